@@ -35,4 +35,15 @@ if pm2 describe freepbx-ui >/dev/null 2>&1; then
 else
   pm2 start npm --name freepbx-ui --watch -- run dev
 fi
+
+# Start or reload the UI server (login + PBX proxy)
+if pm2 describe freepbx-ui-server >/dev/null 2>&1; then
+  pm2 reload freepbx-ui-server
+else
+  pm2 start npm --name freepbx-ui-server -- run server
+fi
 pm2 save
+
+if [[ ! -s server/data/users.json ]]; then
+  echo "No UI users yet. Create the first admin with: npm run users -- add <name> admin"
+fi
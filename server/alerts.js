@@ -0,0 +1,327 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { config } from "./config.js";
+
+/**
+ * Alert rules, notification channels and alert history, kept in one JSON file. Browsers evaluate
+ * the rules against live status and report each alert as it starts and clears; this module records
+ * it once (several open tabs report the same alert) and relays it to a webhook and/or email through
+ * a local SMTP relay.
+ */
+
+export const ALERT_METRICS = ["trunk_unregistered", "trunk_latency", "queue_wait", "queue_waiting", "queue_agents"];
+const SEVERITIES = ["warning", "critical"];
+const MAX_RULES = 50;
+const MAX_HISTORY = 500;
+const EMAIL_RE = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+const DEFAULT_NOTIFY = { browser: true, sound: false, webhook: false, email: false };
+const DEFAULT_RULES = [
+  { id: "trunk-down", name: "Trunk unregistered", metric: "trunk_unregistered", target: "", threshold: 0, for_sec: 60, severity: "critical", enabled: true, notify: { browser: true, sound: true, webhook: true, email: true } },
+  { id: "trunk-latency", name: "Trunk latency", metric: "trunk_latency", target: "", threshold: 150, for_sec: 120, severity: "warning", enabled: true, notify: DEFAULT_NOTIFY },
+  { id: "queue-wait", name: "Long queue wait", metric: "queue_wait", target: "", threshold: 120, for_sec: 0, severity: "warning", enabled: true, notify: { ...DEFAULT_NOTIFY, sound: true } },
+  { id: "queue-callers", name: "Callers piling up", metric: "queue_waiting", target: "", threshold: 3, for_sec: 30, severity: "warning", enabled: true, notify: DEFAULT_NOTIFY },
+  { id: "queue-unstaffed", name: "Queue unstaffed", metric: "queue_agents", target: "", threshold: 1, for_sec: 60, severity: "critical", enabled: true, notify: { browser: true, sound: true, webhook: true, email: false } },
+];
+
+const alertError = (message) => Object.assign(new Error(message), { status: 400 });
+const clip = (v, max) => String(v ?? "").replace(/[\r\n]+/g, " ").trim().slice(0, max);
+
+function readStore() {
+  const empty = { rules: DEFAULT_RULES, channels: { webhookUrl: "", emailTo: [] }, snoozes: {}, relayedAt: {}, history: [] };
+  if (!fs.existsSync(config.alertsFile)) return structuredClone(empty);
+  return { ...structuredClone(empty), ...JSON.parse(fs.readFileSync(config.alertsFile, "utf8")) };
+}
+
+function writeStore(store) {
+  fs.mkdirSync(path.dirname(config.alertsFile), { recursive: true });
+  fs.writeFileSync(config.alertsFile, JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+const alertKey = (rule, subject) => `${rule}|${subject}`;
+
+// What the browser needs: rules, channels, live snoozes and the newest history first.
+export function alertState() {
+  const store = readStore();
+  const now = Date.now();
+  return {
+    rules: store.rules,
+    channels: store.channels,
+    snoozes: Object.fromEntries(Object.entries(store.snoozes).filter(([, until]) => until > now)),
+    history: store.history.slice(-200).reverse(),
+    relay: { email: Boolean(config.smtp.host) },
+  };
+}
+
+function cleanRule(r, i) {
+  const where = `Rule ${i + 1}`;
+  if (!ALERT_METRICS.includes(r?.metric)) throw alertError(`${where}: unknown metric`);
+  if (!SEVERITIES.includes(r.severity)) throw alertError(`${where}: severity must be warning or critical`);
+  const num = (v, lo, hi, what) => {
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < lo || n > hi) throw alertError(`${where}: ${what} must be ${lo} to ${hi}`);
+    return n;
+  };
+  const name = clip(r.name, 60);
+  if (!name) throw alertError(`${where}: name is required`);
+  return {
+    id: /^[\w-]{1,40}$/.test(r.id || "") ? r.id : crypto.randomBytes(4).toString("hex"),
+    name,
+    metric: r.metric,
+    target: clip(r.target, 60),
+    threshold: r.metric === "trunk_unregistered" ? 0 : num(r.threshold, 0, 100_000, "threshold"),
+    for_sec: num(r.for_sec, 0, 86_400, "hold time"),
+    severity: r.severity,
+    enabled: Boolean(r.enabled),
+    notify: Object.fromEntries(Object.keys(DEFAULT_NOTIFY).map(k => [k, Boolean(r.notify?.[k])])),
+  };
+}
+
+function cleanChannels(c) {
+  const webhookUrl = clip(c?.webhookUrl, 500);
+  if (webhookUrl && !/^https?:\/\/[^\s]+$/i.test(webhookUrl)) throw alertError("Webhook URL must start with http:// or https://");
+  const emailTo = [...new Set((Array.isArray(c?.emailTo) ? c.emailTo : []).map(e => clip(e, 120)).filter(Boolean))];
+  const bad = emailTo.find(e => !EMAIL_RE.test(e));
+  if (bad) throw alertError(`"${bad}" is not an email address`);
+  if (emailTo.length > 20) throw alertError("At most 20 email recipients");
+  return { webhookUrl, emailTo };
+}
+
+// Replaces rules and channels. Snoozes and history are kept.
+export function saveAlertConfig({ rules, channels }) {
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) throw alertError(`Send up to ${MAX_RULES} rules`);
+  const store = readStore();
+  const before = { rules: store.rules, channels: store.channels };
+  store.rules = rules.map(cleanRule);
+  store.channels = cleanChannels(channels);
+  writeStore(store);
+  return { before, after: { rules: store.rules, channels: store.channels } };
+}
+
+// ===============
+// Relay (webhook + local SMTP)
+// ===============
+function alertText(entry, state) {
+  const when = new Date(state === "resolved" ? entry.resolvedAt : entry.firedAt).toISOString();
+  return state === "resolved"
+    ? `[RESOLVED] ${entry.ruleName}: ${entry.subject} is back to normal (${when})`
+    : `[${entry.severity.toUpperCase()}] ${entry.ruleName}: ${entry.message} (${when})`;
+}
+
+async function postWebhook(url, payload) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(5000),
+  });
+  if (!res.ok) throw new Error(`webhook answered ${res.status}`);
+}
+
+const mimeHeader = (s) => (/^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString("base64")}?=`);
+
+// Plain SMTP to a relay such as a local Postfix: no auth and no TLS, so keep SMTP_HOST on localhost
+// or a trusted network. Sends each command once the previous reply (possibly multi-line) is in.
+function sendMail({ to, subject, text }) {
+  const message = [
+    `From: ${config.smtp.from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${mimeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    text.replace(/\r?\n/g, "\r\n").replace(/^\./gm, ".."),
+    ".",
+  ].join("\r\n");
+  const steps = [null, `EHLO ${os.hostname()}`, `MAIL FROM:<${config.smtp.from}>`, ...to.map(r => `RCPT TO:<${r}>`), "DATA", message, "QUIT"];
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: config.smtp.host, port: config.smtp.port });
+    let buf = "";
+    let step = 0;
+    socket.setTimeout(10_000, () => socket.destroy(new Error("SMTP relay timed out")));
+    socket.on("error", reject);
+    socket.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+      if (!buf.endsWith("\r\n")) return;
+      const last = buf.trimEnd().split("\r\n").at(-1);
+      if (/^\d{3}-/.test(last)) return; // more lines of a multi-line reply to come
+      buf = "";
+      if (Number(last.slice(0, 3)) >= 400) { socket.destroy(); reject(new Error(`SMTP relay: ${last}`)); return; }
+      step += 1;
+      if (step < steps.length) socket.write(`${steps[step]}\r\n`);
+      else { socket.end(); resolve(); }
+    });
+  });
+}
+
+// Returns { webhook?, email? } with "sent" or the error for each channel the rule uses.
+const relayTargets = (notify, channels) => [
+  notify.webhook && channels.webhookUrl && "webhook",
+  notify.email && channels.emailTo.length && config.smtp.host && "email",
+].filter(Boolean);
+
+async function relay(entry, notify, channels, state = "firing") {
+  const text = alertText(entry, state);
+  const results = {};
+  const jobs = [];
+  if (notify.webhook && channels.webhookUrl) {
+    jobs.push(postWebhook(channels.webhookUrl, { text, state, alert: entry })
+      .then(() => { results.webhook = "sent"; }, (e) => { results.webhook = e.message; }));
+  }
+  if (notify.email && channels.emailTo.length && config.smtp.host) {
+    jobs.push(sendMail({ to: channels.emailTo, subject: text.slice(0, 150), text: `${text}\n\nRule: ${entry.ruleName}\nSubject: ${entry.subject}\nValue: ${entry.value ?? "-"}\n` })
+      .then(() => { results.email = "sent"; }, (e) => { results.email = e.message; }));
+  }
+  await Promise.all(jobs);
+  return results;
+}
+
+const relayIntervalMs = () => config.alertRelayIntervalSec * 1000;
+const isThrottled = (result) => Object.values(result || {}).includes("throttled");
+let retryAt = 0;
+let retryTimer = null;
+
+// An alert notifies at most once per ALERT_RELAY_INTERVAL_SEC for each rule and subject, so a flapping
+// trunk cannot flood the webhook or mailbox. A throttled alert is recorded with "throttled" as its relay
+// result and sent once the interval has passed, if it is still open, unacknowledged and not snoozed.
+function relayFiring(entry, rule, channels) {
+  const store = readStore();
+  const now = Date.now();
+  const last = store.relayedAt[entry.key] || 0;
+  if (now - last < relayIntervalMs()) {
+    const targets = relayTargets(rule.notify, channels);
+    if (targets.length) scheduleRetry(last + relayIntervalMs());
+    return Object.fromEntries(targets.map(k => [k, "throttled"]));
+  }
+  store.relayedAt = Object.fromEntries(Object.entries(store.relayedAt).filter(([, at]) => now - at < relayIntervalMs()));
+  store.relayedAt[entry.key] = now;
+  writeStore(store);
+  return relay(entry, rule.notify, channels);
+}
+
+function scheduleRetry(at) {
+  if (retryTimer && retryAt <= at) return;
+  clearTimeout(retryTimer);
+  retryAt = at;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    retryThrottled().catch(e => console.error("Alert relay retry failed:", e.message));
+  }, Math.max(1000, at - Date.now()));
+  retryTimer.unref();
+}
+
+// Relays the open alerts that were throttled; any still inside the interval schedule the next retry.
+async function retryThrottled() {
+  const store = readStore();
+  const now = Date.now();
+  const due = store.history.filter(e => !e.resolvedAt && !e.acked && !e.mock && isThrottled(e.relay) && !((store.snoozes[e.key] || 0) > now));
+  for (const entry of due) {
+    const rule = store.rules.find(r => r.id === entry.rule);
+    if (rule) patchEntry(entry.id, { relay: await relayFiring(entry, rule, store.channels) });
+  }
+}
+
+// ===============
+// Events from the browser
+// ===============
+
+// state "firing" opens an alert (or returns the one already open for that rule and subject);
+// "resolved" closes it. Whether it is relayed depends only on the rule's webhook and email settings,
+// not on who reported it. Snoozed alerts are still recorded but not relayed. Alerts from a console
+// running on mock data are kept apart from real ones and never relayed. A resolve is relayed only if
+// the alert itself was.
+export async function reportAlert({ rule: ruleId, subject, state, value, message, mock = false }) {
+  const store = readStore();
+  const rule = store.rules.find(r => r.id === ruleId);
+  if (!rule) throw alertError("Unknown alert rule");
+  const cleanSubject = clip(subject, 60);
+  if (!cleanSubject) throw alertError("Alert subject is required");
+  const key = `${mock ? "mock:" : ""}${alertKey(rule.id, cleanSubject)}`;
+  const open = store.history.find(e => e.key === key && !e.resolvedAt);
+  const snoozed = mock || (store.snoozes[key] || 0) > Date.now();
+
+  if (state === "resolved") {
+    if (!open) return { entry: null };
+    open.resolvedAt = Date.now();
+    writeStore(store);
+    const relayed = Object.values(open.relay || {}).some(v => v !== "throttled");
+    if (snoozed || open.acked || !relayed) return { entry: open };
+    const sent = await relay(open, rule.notify, store.channels, "resolved");
+    return { entry: patchEntry(open.id, { relay: { ...open.relay, ...sent } }) };
+  }
+  if (state !== "firing") throw alertError("state must be firing or resolved");
+  if (open) {
+    if (snoozed || open.acked || (open.relay && !isThrottled(open.relay))) return { entry: open, duplicate: true };
+    return { entry: patchEntry(open.id, { relay: await relayFiring(open, rule, store.channels) }), duplicate: true };
+  }
+
+  const entry = {
+    id: crypto.randomBytes(6).toString("hex"),
+    key,
+    rule: rule.id,
+    ruleName: rule.name,
+    severity: rule.severity,
+    subject: cleanSubject,
+    mock: Boolean(mock),
+    value: Number.isFinite(Number(value)) ? Number(value) : null,
+    message: clip(message, 200) || `${rule.name} on ${cleanSubject}`,
+    firedAt: Date.now(),
+    resolvedAt: null,
+    acked: null,
+    snoozedUntil: store.snoozes[key] > Date.now() ? store.snoozes[key] : null,
+  };
+  store.history = [...store.history, entry].slice(-MAX_HISTORY);
+  writeStore(store);
+  if (snoozed) return { entry };
+  return { entry: patchEntry(entry.id, { relay: await relayFiring(entry, rule, store.channels) }) };
+}
+
+// Relay results arrive after an await, so they are merged into a fresh read of the store.
+function patchEntry(id, patch) {
+  const store = readStore();
+  const entry = store.history.find(e => e.id === id);
+  if (!entry) return null;
+  Object.assign(entry, patch);
+  writeStore(store);
+  return entry;
+}
+
+export function ackAlert(id, username) {
+  const store = readStore();
+  const entry = store.history.find(e => e.id === id);
+  if (!entry) throw Object.assign(new Error("Alert not found"), { status: 404 });
+  entry.acked = entry.acked || { by: username, at: Date.now() };
+  writeStore(store);
+  return entry;
+}
+
+// Silences the alert's rule and subject for `minutes`, including any repeat after it clears.
+export function snoozeAlert(id, minutes, username) {
+  const m = Number(minutes);
+  if (!Number.isInteger(m) || m < 1 || m > 7 * 24 * 60) throw alertError("Snooze for 1 minute to 7 days");
+  const store = readStore();
+  const entry = store.history.find(e => e.id === id);
+  if (!entry) throw Object.assign(new Error("Alert not found"), { status: 404 });
+  const until = Date.now() + m * 60_000;
+  store.snoozes = Object.fromEntries(Object.entries(store.snoozes).filter(([, t]) => t > Date.now()));
+  store.snoozes[entry.key] = until;
+  entry.snoozedUntil = until;
+  entry.snoozedBy = username;
+  writeStore(store);
+  return entry;
+}
+
+// Sends a test message through every configured channel.
+export async function testAlertChannels(username) {
+  const { channels } = readStore();
+  const entry = {
+    ruleName: "Test alert", severity: "warning", subject: "test", value: null,
+    message: `test notification sent by ${username}`, firedAt: Date.now(),
+  };
+  return relay(entry, { webhook: true, email: true }, channels);
+}
@@ -0,0 +1,140 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { config } from "./config.js";
+
+/**
+ * Append-only audit log (one JSON entry per line). Every entry stores the SHA-256 of the entry
+ * before it (`prev`) and of itself (`hash`), so editing, deleting or reordering a line breaks the
+ * chain from that point on. User, role, time and address are stamped here, never taken from the
+ * browser.
+ */
+
+// What a browser may report itself, stored with source "client": things the server never sees
+// (playback, softphone calls, this browser's settings and profiles), and client_report for PBX
+// changes made in mock mode or over a direct connection. Writes through the proxy are recorded by
+// the server as pbx_write / ari_write.
+export const CLIENT_AUDIT_ACTIONS = [
+  "client_report", "play_recording", "play_voicemail", "download_voicemail", "click_to_call", "failed_click_to_call",
+  "update_connection_settings", "switch_pbx", "create_pbx_profile", "update_pbx_profile", "delete_pbx_profile",
+  "change_profile_passphrase",
+];
+
+const GENESIS = "0".repeat(64);
+const ACTION_RE = /^[a-z0-9_]{1,64}$/;
+const MAX_DETAIL = 500;
+const MAX_CHANGES = 50;
+
+let tail = null; // { seq, hash } of the last entry, loaded on first append
+
+function entryHash(body) {
+  return crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+}
+
+// Parsed lines; unparseable lines come back as { corrupt: true, line } so verify can report them.
+function readLines() {
+  if (!fs.existsSync(config.auditFile)) return [];
+  return fs.readFileSync(config.auditFile, "utf8").split("\n").filter(Boolean).map((raw, i) => {
+    try { return JSON.parse(raw); } catch { return { corrupt: true, line: i + 1 }; }
+  });
+}
+
+const clip = (v, max) => String(v ?? "").slice(0, max);
+
+function cleanChanges(changes) {
+  if (!Array.isArray(changes) || !changes.length) return undefined;
+  return changes.slice(0, MAX_CHANGES).map(c => ({
+    field: clip(c?.field, 64),
+    from: clip(c?.from, MAX_DETAIL),
+    to: clip(c?.to, MAX_DETAIL),
+  }));
+}
+
+// Returns the stored entry, or throws { status: 400 } for malformed input.
+export function appendAudit({ user, role = "", ip = "", action, detail = "", changes, source }) {
+  if (!ACTION_RE.test(String(action || ""))) throw Object.assign(new Error("Invalid audit action"), { status: 400 });
+  if (!tail) {
+    const last = readLines().filter(e => !e.corrupt).at(-1);
+    tail = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS };
+  }
+  const cleaned = cleanChanges(changes);
+  const body = {
+    seq: tail.seq + 1,
+    ts: Date.now(),
+    user: clip(user, 128),
+    role: clip(role, 64),
+    ip: clip(ip, 64),
+    action,
+    detail: clip(detail, MAX_DETAIL),
+    ...(cleaned && { changes: cleaned }),
+    ...(source && { source }),
+    prev: tail.hash,
+  };
+  const entry = { ...body, hash: entryHash(body) };
+  fs.mkdirSync(path.dirname(config.auditFile), { recursive: true });
+  fs.appendFileSync(config.auditFile, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  tail = { seq: entry.seq, hash: entry.hash };
+  return entry;
+}
+
+// Walks the whole chain. { ok, count, head } or { ok: false, count, brokenAt, reason }.
+export function verifyAudit() {
+  let prev = GENESIS;
+  let seq = 0;
+  const lines = readLines();
+  for (const entry of lines) {
+    if (entry.corrupt) return { ok: false, count: lines.length, brokenAt: seq + 1, reason: `line ${entry.line} is not valid JSON` };
+    const { hash, ...body } = entry;
+    if (body.seq !== seq + 1) return { ok: false, count: lines.length, brokenAt: seq + 1, reason: `expected #${seq + 1}, found #${body.seq}` };
+    if (body.prev !== prev) return { ok: false, count: lines.length, brokenAt: body.seq, reason: "previous-hash link does not match" };
+    if (entryHash(body) !== hash) return { ok: false, count: lines.length, brokenAt: body.seq, reason: "entry was modified" };
+    prev = hash;
+    seq = body.seq;
+  }
+  return { ok: true, count: lines.length, head: prev };
+}
+
+function matches(entry, { user, action, from, to, q }) {
+  if (user && entry.user.toLowerCase() !== user.toLowerCase()) return false;
+  if (action && !entry.action.includes(action.toLowerCase())) return false;
+  if (from && entry.ts < from) return false;
+  if (to && entry.ts >= to) return false;
+  if (q) {
+    const text = [entry.user, entry.action, entry.detail, ...(entry.changes || []).flatMap(c => [c.field, c.from, c.to])].join(" ").toLowerCase();
+    if (!text.includes(q.toLowerCase())) return false;
+  }
+  return true;
+}
+
+// Filters from a query string: user, action (substring), from/to (epoch ms, `to` exclusive), q (free text).
+export function auditFilter(searchParams) {
+  const num = (k) => (Number(searchParams.get(k)) || 0);
+  return {
+    user: searchParams.get("user") || "",
+    action: searchParams.get("action") || "",
+    from: num("from"),
+    to: num("to"),
+    q: searchParams.get("q") || "",
+  };
+}
+
+// Newest first.
+export function queryAudit(filter, { offset = 0, limit = Infinity } = {}) {
+  const hits = readLines().filter(e => !e.corrupt && matches(e, filter)).reverse();
+  return { total: hits.length, entries: hits.slice(offset, offset + limit) };
+}
+
+const AUDIT_CSV_COLUMNS = ["seq", "time", "user", "role", "ip", "source", "action", "detail", "changes", "prev", "hash"];
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function auditCsv(entries) {
+  const rows = entries.map(e => [
+    e.seq, new Date(e.ts).toISOString(), e.user, e.role, e.ip, e.source || "server", e.action, e.detail,
+    (e.changes || []).map(c => `${c.field}: ${c.from} -> ${c.to}`).join("; "), e.prev, e.hash,
+  ]);
+  return `\uFEFF${[AUDIT_CSV_COLUMNS, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
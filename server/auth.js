@@ -0,0 +1,255 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { promisify } from "node:util";
+import { config } from "./config.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Every permission the UI and the proxy know about. "*" in a role grants all of them.
+export const PERMISSIONS = [
+  "extensions:view", "extensions:edit",
+  "voicemail:view", "voicemail:manage",
+  "calls:view", "recordings:play", "recordings:delete",
+  "status:view", "calls:control", "calls:dial",
+  "trunks:view", "trunks:edit",
+  "routes:view", "routes:edit",
+  "queues:view", "queues:edit", "agents:control",
+  "callflows:view", "callflows:edit",
+  "alerts:view", "alerts:ack", "alerts:edit",
+  "metrics:view",
+  "audit:view",
+  "config:backup", "config:restore",
+  "settings:edit",
+];
+
+// ===============
+// Passwords (scrypt, stored as scrypt$<salt>$<hash>)
+// ===============
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ===============
+// Users and roles (JSON files, re-read on every use so edits apply without a restart)
+// ===============
+export function readUsers() {
+  if (!fs.existsSync(config.usersFile)) return { users: [] };
+  return JSON.parse(fs.readFileSync(config.usersFile, "utf8"));
+}
+
+export function writeUsers(store) {
+  fs.mkdirSync(path.dirname(config.usersFile), { recursive: true });
+  fs.writeFileSync(config.usersFile, JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+export function readRoles() {
+  return JSON.parse(fs.readFileSync(config.rolesFile, "utf8")).roles || {};
+}
+
+export function permissionsFor(role) {
+  const def = readRoles()[role];
+  if (!def) return [];
+  return def.permissions.includes("*") ? [...PERMISSIONS] : def.permissions.filter(p => PERMISSIONS.includes(p));
+}
+
+// ===============
+// Sessions (in memory; a restart signs everyone out)
+// ===============
+const sessions = new Map(); // sid -> { username, role, source, createdAt, lastSeen }
+
+export const SESSION_COOKIE = "fpbxui_sid";
+
+export function createSession({ username, role, source }) {
+  const sid = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  sessions.set(sid, { username, role, source, createdAt: now, lastSeen: now });
+  return sid;
+}
+
+function sessionExpiry(s) {
+  return Math.min(s.createdAt + config.sessionTtlMin * 60_000, s.lastSeen + config.sessionIdleMin * 60_000);
+}
+
+// Looks up a live session and slides its idle timer. Expired sessions are dropped.
+export function getSession(sid, { touch = true } = {}) {
+  const s = sid && sessions.get(sid);
+  if (!s) return null;
+  if (sessionExpiry(s) <= Date.now()) { sessions.delete(sid); return null; }
+  if (touch) s.lastSeen = Date.now();
+  return s;
+}
+
+export function destroySession(sid) {
+  sessions.delete(sid);
+}
+
+export function describeSession(s) {
+  const roles = readRoles();
+  return {
+    username: s.username,
+    role: s.role,
+    roleLabel: roles[s.role]?.label || s.role,
+    source: s.source,
+    permissions: permissionsFor(s.role),
+    expiresAt: sessionExpiry(s),
+  };
+}
+
+export function sessionCookie(sid, maxAgeSec) {
+  const parts = [`${SESSION_COOKIE}=${sid}`, "Path=/", "HttpOnly", "SameSite=Strict", `Max-Age=${maxAgeSec}`];
+  if (config.cookieSecure) parts.push("Secure");
+  return parts.join("; ");
+}
+
+export function parseCookies(header) {
+  return Object.fromEntries(String(header || "").split(";").map(c => c.trim().split("=")).filter(([k]) => k).map(([k, ...v]) => [k, v.join("=")]));
+}
+
+setInterval(() => {
+  for (const [sid, s] of sessions) if (sessionExpiry(s) <= Date.now()) sessions.delete(sid);
+}, 60_000).unref();
+
+// ===============
+// Brute-force protection: 5 failures per username+IP locks that pair out for 15 minutes.
+// ===============
+const failures = new Map(); // key -> { count, until }
+
+export function isLockedOut(key) {
+  const f = failures.get(key);
+  return Boolean(f && f.until > Date.now());
+}
+
+export function recordFailure(key) {
+  const f = failures.get(key) || { count: 0, until: 0 };
+  f.count += 1;
+  if (f.count >= 5) { f.until = Date.now() + 15 * 60_000; f.count = 0; }
+  failures.set(key, f);
+}
+
+export function clearFailures(key) {
+  failures.delete(key);
+}
+
+// ===============
+// Login methods
+// ===============
+export function loginMethods() {
+  return {
+    local: true,
+    ldap: Boolean(config.ldap.url && config.ldap.userDn),
+    oidc: config.oidc.issuer ? { label: config.oidc.label } : null,
+  };
+}
+
+const DUMMY_HASH = await hashPassword(crypto.randomBytes(16).toString("hex"));
+
+// Returns { username, role } or null.
+export async function loginLocal(username, password) {
+  const user = readUsers().users.find(u => u.username === username);
+  // Hash even for unknown users so response time doesn't reveal which usernames exist.
+  const ok = await verifyPassword(password, user?.passwordHash || DUMMY_HASH);
+  if (!user || !ok || user.disabled) return null;
+  return { username: user.username, role: user.role };
+}
+
+function escapeDnValue(v) {
+  return String(v).replace(/[\\,+"<>;=#]/g, c => `\\${c}`).replace(/^ | $/g, c => `\\${c}`);
+}
+
+function roleFromGroups(groups, roleMap, defaultRole) {
+  const known = Object.keys(readRoles());
+  // Map order decides precedence when a user is in several mapped groups.
+  const match = Object.entries(roleMap).find(([group]) => groups.some(g => String(g).toLowerCase() === group.toLowerCase()));
+  const role = match ? match[1] : defaultRole;
+  return known.includes(role) ? role : null;
+}
+
+export async function loginLdap(username, password) {
+  if (!password) return null; // an empty password would be an anonymous bind
+  const { Client } = await import("ldapts");
+  const client = new Client({ url: config.ldap.url });
+  const dn = config.ldap.userDn.replace("{username}", escapeDnValue(username));
+  try {
+    await client.bind(dn, password);
+    const { searchEntries } = await client.search(dn, { scope: "base", attributes: ["memberOf"] });
+    const memberOf = [].concat(searchEntries[0]?.memberOf || []);
+    const role = roleFromGroups(memberOf, config.ldap.roleMap, config.ldap.defaultRole);
+    return role ? { username, role } : null;
+  } catch {
+    return null;
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+}
+
+// OIDC authorization code flow with PKCE. Identity comes from the provider's userinfo endpoint,
+// fetched server-side over TLS with the access token, so the id_token signature isn't needed.
+const oidcPending = new Map(); // state -> { verifier, createdAt }
+let oidcDiscovery = null;
+
+async function discover() {
+  if (!oidcDiscovery) {
+    const res = await fetch(`${config.oidc.issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`);
+    if (!res.ok) throw new Error(`OIDC discovery failed: ${res.status}`);
+    oidcDiscovery = await res.json();
+  }
+  return oidcDiscovery;
+}
+
+export async function oidcAuthorizeUrl() {
+  const d = await discover();
+  const state = crypto.randomBytes(16).toString("base64url");
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+  oidcPending.set(state, { verifier, createdAt: Date.now() });
+  for (const [k, v] of oidcPending) if (v.createdAt < Date.now() - 10 * 60_000) oidcPending.delete(k);
+  const qs = new URLSearchParams({
+    response_type: "code",
+    client_id: config.oidc.clientId,
+    redirect_uri: config.oidc.redirectUri,
+    scope: config.oidc.scopes,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  });
+  return `${d.authorization_endpoint}?${qs}`;
+}
+
+export async function oidcCallback({ code, state }) {
+  const pending = oidcPending.get(state);
+  oidcPending.delete(state);
+  if (!pending || !code) return null;
+  const d = await discover();
+  const tokenRes = await fetch(d.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: config.oidc.redirectUri,
+      client_id: config.oidc.clientId,
+      client_secret: config.oidc.clientSecret,
+      code_verifier: pending.verifier,
+    }),
+  });
+  if (!tokenRes.ok) return null;
+  const { access_token } = await tokenRes.json();
+  const infoRes = await fetch(d.userinfo_endpoint, { headers: { Authorization: `Bearer ${access_token}` } });
+  if (!infoRes.ok) return null;
+  const info = await infoRes.json();
+  const claim = [].concat(info[config.oidc.roleClaim] || []);
+  const role = roleFromGroups(claim, config.oidc.roleMap, config.oidc.defaultRole);
+  const username = info.preferred_username || info.email || info.sub;
+  return role && username ? { username, role } : null;
+}
@@ -0,0 +1,128 @@
+import fs from "node:fs";
+import path from "node:path";
+import { config } from "./config.js";
+
+/**
+ * Configuration snapshots: the extensions, trunks, routes, queues and ring groups a console could
+ * read, one JSON file per snapshot in BACKUPS_DIR. Consoles take snapshots through their own PBX
+ * connection and post them here, so mock mode and saved profiles work the same as the proxy. For
+ * scheduled snapshots, every console with config:backup asks when one is due; the first to post
+ * wins and later ones are skipped. Files carry a format number so older snapshots stay readable.
+ */
+
+export const SNAPSHOT_FORMAT = 1;
+export const SNAPSHOT_KINDS = ["extensions", "trunks", "inbound", "outbound", "queues", "ringgroups"];
+const REASONS = ["manual", "scheduled", "before_restore"];
+const MAX_OBJECTS = 5000; // per kind
+const SCHEDULE_DEFAULTS = { everyHours: 0, keep: 30 }; // 0 = no scheduled snapshots
+const ID_RE = /^\d{6}-\d{8}T\d{6}Z$/; // 000012-20251019T101500Z
+
+const backupError = (message, status = 400) => Object.assign(new Error(message), { status });
+const clip = (v, max) => String(v ?? "").replace(/[\r\n]+/g, " ").trim().slice(0, max);
+const scheduleFile = () => path.join(config.backupsDir, "schedule.json");
+
+function readSnapshot(id) {
+  if (!ID_RE.test(id)) throw backupError("Unknown snapshot", 404);
+  const file = path.join(config.backupsDir, `${id}.json`);
+  if (!fs.existsSync(file)) throw backupError("Unknown snapshot", 404);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Everything but the objects, newest first.
+function summaries() {
+  if (!fs.existsSync(config.backupsDir)) return [];
+  return fs.readdirSync(config.backupsDir)
+    .filter(f => ID_RE.test(f.replace(/\.json$/, "")))
+    .sort().reverse()
+    .map(f => {
+      const { objects, ...head } = JSON.parse(fs.readFileSync(path.join(config.backupsDir, f), "utf8"));
+      return { ...head, counts: Object.fromEntries(Object.entries(objects || {}).map(([k, rows]) => [k, rows.length])) };
+    });
+}
+
+export function backupSchedule() {
+  if (!fs.existsSync(scheduleFile())) return { ...SCHEDULE_DEFAULTS };
+  return { ...SCHEDULE_DEFAULTS, ...JSON.parse(fs.readFileSync(scheduleFile(), "utf8")) };
+}
+
+export function saveBackupSchedule(body) {
+  const everyHours = Number(body?.everyHours);
+  const keep = Number(body?.keep);
+  if (![0, 1, 6, 12, 24, 168].includes(everyHours)) throw backupError("Take scheduled snapshots every 1, 6, 12, 24 or 168 hours, or never");
+  if (!Number.isInteger(keep) || keep < 1 || keep > 500) throw backupError("Keep 1 to 500 scheduled snapshots");
+  const before = backupSchedule();
+  const after = { everyHours, keep };
+  fs.mkdirSync(config.backupsDir, { recursive: true });
+  fs.writeFileSync(scheduleFile(), JSON.stringify(after, null, 2), { mode: 0o600 });
+  return { before, after };
+}
+
+// When the next scheduled snapshot of this PBX is due (ms), or null when the schedule is off.
+function nextDue(pbxKey, list = summaries()) {
+  const { everyHours } = backupSchedule();
+  if (!everyHours) return null;
+  const last = list.find(s => s.reason === "scheduled" && s.pbx?.key === pbxKey);
+  return last ? last.takenAt + everyHours * 3_600_000 : 0;
+}
+
+// { snapshots, schedule, due } for the console's PBX; other PBXs' snapshots are left out.
+export function backupState(pbxKey) {
+  const list = summaries().filter(s => s.pbx?.key === pbxKey);
+  return { snapshots: list, schedule: backupSchedule(), due: nextDue(pbxKey, list) };
+}
+
+export function getSnapshot(id) {
+  return readSnapshot(id);
+}
+
+function cleanObjects(objects) {
+  if (!objects || typeof objects !== "object") throw backupError("A snapshot needs objects");
+  const out = {};
+  for (const kind of SNAPSHOT_KINDS) {
+    const rows = objects[kind];
+    if (rows === undefined) continue;
+    if (!Array.isArray(rows) || rows.length > MAX_OBJECTS) throw backupError(`${kind}: send a list of up to ${MAX_OBJECTS} objects`);
+    if (rows.some(r => !r || typeof r !== "object" || r.id === undefined || r.id === null)) throw backupError(`${kind}: every object needs an id`);
+    out[kind] = rows;
+  }
+  return out;
+}
+
+// Stores a snapshot and returns its summary, or { skipped: true, due } when a scheduled one isn't due.
+export function storeSnapshot({ reason = "manual", note = "", pbx, objects, unavailable = {} }, user) {
+  if (!REASONS.includes(reason)) throw backupError("Unknown snapshot reason");
+  const key = clip(pbx?.key, 300);
+  if (!key) throw backupError("A snapshot needs the PBX it was taken from");
+  const list = summaries();
+  if (reason === "scheduled") {
+    const due = nextDue(key, list);
+    if (due === null || due > Date.now()) return { skipped: true, due };
+  }
+  const takenAt = Date.now();
+  const seq = (list[0]?.seq || 0) + 1;
+  const id = `${String(seq).padStart(6, "0")}-${new Date(takenAt).toISOString().replace(/[-:]|\.\d+/g, "")}`;
+  const snapshot = {
+    format: SNAPSHOT_FORMAT, id, seq, takenAt, user: clip(user, 128), reason, note: clip(note, 200),
+    pbx: { key, name: clip(pbx.name, 80) },
+    unavailable: Object.fromEntries(Object.entries(unavailable || {}).filter(([k]) => SNAPSHOT_KINDS.includes(k)).map(([k, v]) => [k, clip(v, 300)])),
+    objects: cleanObjects(objects),
+  };
+  fs.mkdirSync(config.backupsDir, { recursive: true });
+  fs.writeFileSync(path.join(config.backupsDir, `${id}.json`), JSON.stringify(snapshot, null, 2), { mode: 0o600 });
+  if (reason === "scheduled") pruneScheduled(key);
+  const { objects: rows, ...head } = snapshot;
+  return { ...head, counts: Object.fromEntries(Object.entries(rows).map(([k, v]) => [k, v.length])) };
+}
+
+// Only scheduled snapshots are pruned; manual and pre-restore ones stay until deleted.
+function pruneScheduled(pbxKey) {
+  const { keep } = backupSchedule();
+  const old = summaries().filter(s => s.reason === "scheduled" && s.pbx?.key === pbxKey).slice(keep);
+  for (const s of old) fs.rmSync(path.join(config.backupsDir, `${s.id}.json`), { force: true });
+}
+
+export function deleteSnapshot(id) {
+  const snapshot = readSnapshot(id);
+  fs.rmSync(path.join(config.backupsDir, `${id}.json`));
+  return snapshot;
+}
@@ -0,0 +1,95 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const ROOT_DIR = path.resolve(SERVER_DIR, "..");
+
+// Minimal .env support (KEY=VALUE per line, # comments) so the server runs on Node 18 without --env-file.
+// Real environment variables win over the file.
+function loadDotEnv(file) {
+  if (!fs.existsSync(file)) return;
+  for (const line of fs.readFileSync(file, "utf8").split(/\r?\n/)) {
+    const m = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)\s*$/);
+    if (!m || m[1] in process.env) continue;
+    process.env[m[1]] = m[2].replace(/^(['"])(.*)\1$/, "$2");
+  }
+}
+loadDotEnv(path.join(ROOT_DIR, ".env"));
+
+const env = (key, fallback = "") => process.env[key] ?? fallback;
+const json = (key, fallback) => {
+  const raw = process.env[key];
+  if (!raw) return fallback;
+  try { return JSON.parse(raw); } catch { throw new Error(`${key} must be valid JSON`); }
+};
+
+export const config = {
+  host: env("HOST", "0.0.0.0"),
+  port: Number(env("PORT", "5138")),
+  // Secure cookies need HTTPS in front of the server (e.g. a reverse proxy).
+  cookieSecure: env("COOKIE_SECURE", "false") === "true",
+  sessionTtlMin: Number(env("SESSION_TTL_MIN", "480")),
+  sessionIdleMin: Number(env("SESSION_IDLE_MIN", "30")),
+  usersFile: path.resolve(ROOT_DIR, env("USERS_FILE", "server/data/users.json")),
+  rolesFile: path.resolve(ROOT_DIR, env("ROLES_FILE", "server/roles.json")),
+  auditFile: path.resolve(ROOT_DIR, env("AUDIT_FILE", "server/data/audit.jsonl")),
+  alertsFile: path.resolve(ROOT_DIR, env("ALERTS_FILE", "server/data/alerts.json")),
+  backupsDir: path.resolve(ROOT_DIR, env("BACKUPS_DIR", "server/data/backups")),
+  distDir: path.join(ROOT_DIR, "dist"),
+
+  ldap: {
+    url: env("LDAP_URL"),
+    userDn: env("LDAP_USER_DN"), // e.g. uid={username},ou=people,dc=example,dc=com
+    roleMap: json("LDAP_ROLE_MAP", {}), // { "<group DN>": "<role>" }
+    defaultRole: env("LDAP_DEFAULT_ROLE"),
+  },
+
+  oidc: {
+    issuer: env("OIDC_ISSUER"),
+    clientId: env("OIDC_CLIENT_ID"),
+    clientSecret: env("OIDC_CLIENT_SECRET"),
+    redirectUri: env("OIDC_REDIRECT_URI"), // e.g. https://pbx-ui.example.com/auth/oidc/callback
+    scopes: env("OIDC_SCOPES", "openid profile email groups"),
+    roleClaim: env("OIDC_ROLE_CLAIM", "groups"),
+    roleMap: json("OIDC_ROLE_MAP", {}), // { "<claim value>": "<role>" }
+    defaultRole: env("OIDC_DEFAULT_ROLE"),
+    label: env("OIDC_LABEL", "Single sign-on"),
+  },
+
+  // Optional SQLite sink for status history (needs Node 22.13+ for node:sqlite); empty disables it.
+  metrics: {
+    db: env("METRICS_DB") && path.resolve(ROOT_DIR, env("METRICS_DB")),
+    retentionDays: Number(env("METRICS_RETENTION_DAYS", "90")),
+  },
+
+  // Webhook/email notifications for one alert (rule and subject) are sent at most this often; the rest wait.
+  alertRelayIntervalSec: Number(env("ALERT_RELAY_INTERVAL_SEC", "300")),
+
+  // Local SMTP relay for alert emails (plain SMTP, no auth); leave SMTP_HOST empty to disable email.
+  smtp: {
+    host: env("SMTP_HOST"),
+    port: Number(env("SMTP_PORT", "25")),
+    from: env("ALERT_EMAIL_FROM", "freepbx-ui@localhost"),
+  },
+
+  // Upstream PBX for the permission-checked proxy at /pbx and /pbx-ari.
+  pbx: {
+    backend: env("PBX_BACKEND", "rest"), // "rest" | "graphql"
+    apiURL: env("PBX_API_URL"),
+    apiKey: env("PBX_API_KEY"),
+    clientId: env("PBX_CLIENT_ID"),
+    clientSecret: env("PBX_CLIENT_SECRET"),
+    scope: env("PBX_SCOPE"),
+    ariURL: env("ARI_URL"),
+    ariUser: env("ARI_USER"),
+    ariPass: env("ARI_PASS"),
+  },
+
+  // Local SIP-over-WebSocket stand-in for trying the softphone (npm run sip-standin).
+  sipStandin: {
+    host: env("SIP_STANDIN_HOST", "127.0.0.1"),
+    port: Number(env("SIP_STANDIN_PORT", "5066")),
+    password: env("SIP_STANDIN_PASSWORD", "standin"), // every extension registers with this one
+  },
+};
@@ -0,0 +1,395 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { config } from "./config.js";
+import {
+  SESSION_COOKIE, clearFailures, createSession, describeSession, destroySession, getSession, isLockedOut,
+  loginLdap, loginLocal, loginMethods, oidcAuthorizeUrl, oidcCallback, parseCookies, permissionsFor,
+  recordFailure, sessionCookie,
+} from "./auth.js";
+import { ackAlert, alertState, reportAlert, saveAlertConfig, snoozeAlert, testAlertChannels } from "./alerts.js";
+import { CLIENT_AUDIT_ACTIONS, appendAudit, auditCsv, auditFilter, queryAudit, verifyAudit } from "./audit.js";
+import { backupState, deleteSnapshot, getSnapshot, saveBackupSchedule, storeSnapshot } from "./backups.js";
+import { metricsInfo, readMetrics, storeMetrics } from "./metrics.js";
+import { pbxInfo, proxyAri, proxyAriEvents, proxyPbx } from "./proxy.js";
+
+/**
+ * FreePBX UI server
+ * -----------------
+ * - Login (local users, LDAP bind, OIDC) and cookie sessions with idle + absolute expiry
+ * - Role -> permission model from server/roles.json, enforced on every proxied PBX/ARI call
+ * - Hash-chained audit log (server/data/audit.jsonl) with search, export and verification
+ * - Alert rules and history (server/data/alerts.json), relayed to a webhook and a local SMTP relay
+ * - Optional SQLite sink for trunk/queue status history (METRICS_DB)
+ * - Versioned configuration snapshots taken by consoles (server/data/backups) and their schedule
+ * - Serves the built UI from dist/ in production (in development Vite proxies to this server)
+ */
+
+const MAX_BODY = 10 * 1024 * 1024;
+
+// ===============
+// Helpers
+// ===============
+function send(res, status, body, headers = {}) {
+  const isJson = typeof body !== "string" && !Buffer.isBuffer(body);
+  res.writeHead(status, { "Content-Type": isJson ? "application/json" : "text/plain; charset=utf-8", "Cache-Control": "no-store", ...headers });
+  res.end(isJson ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", c => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error("Request body too large"), { status: 413 })); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// The UI server's own endpoints take a JSON object or a form; any other JSON (null, an array, a
+// string) is refused with 400 rather than reaching the handlers' destructuring.
+function parseBody(raw, type = "") {
+  if (!raw.length) return {};
+  if (type.includes("application/x-www-form-urlencoded")) return Object.fromEntries(new URLSearchParams(raw.toString("utf8")));
+  if (!type.includes("application/json")) return {};
+  let body;
+  try { body = JSON.parse(raw.toString("utf8")); } catch { throw badRequest("Request body is not valid JSON"); }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) throw badRequest("Request body must be a JSON object");
+  return body;
+}
+
+// Proxied bodies go upstream as sent (arrays included); this is only what the permission and audit
+// checks look at.
+function peekJson(raw, type = "") {
+  if (!raw.length || !type.includes("application/json")) return {};
+  try {
+    const body = JSON.parse(raw.toString("utf8"));
+    return body !== null && typeof body === "object" ? body : {};
+  } catch { return {}; }
+}
+
+// Cross-site requests are refused outright; together with SameSite=Strict cookies this covers CSRF.
+function sameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try { return new URL(origin).host === req.headers.host; } catch { return false; }
+}
+
+function sessionFrom(req, { touch = true } = {}) {
+  const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = getSession(sid, { touch });
+  return { sid, session };
+}
+
+const clientIp = (req) => req.socket.remoteAddress || "";
+
+// ===============
+// Static files (production build)
+// ===============
+const MIME = {
+  ".html": "text/html; charset=utf-8", ".js": "text/javascript", ".css": "text/css", ".svg": "image/svg+xml",
+  ".png": "image/png", ".ico": "image/x-icon", ".json": "application/json", ".wav": "audio/wav", ".woff2": "font/woff2",
+};
+
+function serveStatic(req, res, pathname) {
+  if (!fs.existsSync(config.distDir)) return send(res, 404, "UI not built. Run `npm run build`, or use `npm run dev` during development.");
+  let decoded;
+  try { decoded = decodeURIComponent(pathname); } catch { return send(res, 400, "Bad request"); }
+  const root = path.resolve(config.distDir);
+  let file = path.normalize(path.join(root, decoded));
+  // The separator keeps a sibling such as dist-old/ from passing as part of dist/.
+  if (file !== root && !file.startsWith(root + path.sep)) return send(res, 403, "Forbidden");
+  if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) file = path.join(root, "index.html"); // SPA fallback
+  res.writeHead(200, { "Content-Type": MIME[path.extname(file)] || "application/octet-stream" });
+  fs.createReadStream(file).pipe(res);
+}
+
+// ===============
+// Routes
+// ===============
+async function handleAuth(req, res, url) {
+  // The UI polls with ?peek so an open but idle tab still times out.
+  const { sid, session } = sessionFrom(req, { touch: !url.searchParams.has("peek") });
+
+  if (url.pathname === "/auth/methods" && req.method === "GET") return send(res, 200, loginMethods());
+
+  if (url.pathname === "/auth/session" && req.method === "GET") {
+    if (!session) return send(res, 401, { message: "Not signed in" });
+    return send(res, 200, { ...describeSession(session), pbx: pbxInfo() });
+  }
+
+  if (url.pathname === "/auth/login" && req.method === "POST") {
+    const body = parseBody(await readBody(req), req.headers["content-type"]);
+    const username = String(body.username || "").trim();
+    const password = String(body.password || "");
+    const method = body.method === "ldap" ? "ldap" : "local";
+    const key = `${username.toLowerCase()}|${clientIp(req)}`;
+    if (!username) return send(res, 400, { message: "Username is required" });
+    if (isLockedOut(key)) return send(res, 429, { message: "Too many failed attempts. Try again in 15 minutes." });
+    if (method === "ldap" && !loginMethods().ldap) return send(res, 400, { message: "LDAP sign-in is not configured" });
+    const user = method === "ldap" ? await loginLdap(username, password) : await loginLocal(username, password);
+    if (!user) {
+      recordFailure(key);
+      appendAudit({ user: username, ip: clientIp(req), action: "login_failed", detail: method });
+      return send(res, 401, { message: "Invalid username or password" });
+    }
+    clearFailures(key);
+    appendAudit({ user: user.username, role: user.role, ip: clientIp(req), action: "login", detail: method });
+    if (sid) destroySession(sid);
+    const newSid = createSession({ ...user, source: method });
+    return send(res, 200, { ...describeSession(getSession(newSid)), pbx: pbxInfo() }, { "Set-Cookie": sessionCookie(newSid, config.sessionTtlMin * 60) });
+  }
+
+  if (url.pathname === "/auth/logout" && req.method === "POST") {
+    if (session) appendAudit({ user: session.username, role: session.role, ip: clientIp(req), action: "logout" });
+    if (sid) destroySession(sid);
+    return send(res, 200, { ok: true }, { "Set-Cookie": sessionCookie("", 0) });
+  }
+
+  if (url.pathname === "/auth/oidc/start" && req.method === "GET") {
+    if (!loginMethods().oidc) return send(res, 404, "OIDC is not configured");
+    res.writeHead(302, { Location: await oidcAuthorizeUrl() });
+    return res.end();
+  }
+
+  if (url.pathname === "/auth/oidc/callback" && req.method === "GET") {
+    const user = await oidcCallback({ code: url.searchParams.get("code"), state: url.searchParams.get("state") });
+    if (!user) { res.writeHead(302, { Location: "/?login_error=sso" }); return res.end(); }
+    appendAudit({ user: user.username, role: user.role, ip: clientIp(req), action: "login", detail: "oidc" });
+    const newSid = createSession({ ...user, source: "oidc" });
+    res.writeHead(302, { Location: "/", "Set-Cookie": sessionCookie(newSid, config.sessionTtlMin * 60) });
+    return res.end();
+  }
+
+  return send(res, 404, { message: "Not found" });
+}
+
+// Any signed-in user reports their own browser-side actions (CLIENT_AUDIT_ACTIONS), which are tagged
+// as client-reported; reading, exporting and verifying need audit:view.
+async function handleAudit(req, res, url) {
+  const { session } = sessionFrom(req);
+  if (!session) return send(res, 401, { message: "Session expired. Sign in again." });
+
+  if (url.pathname === "/audit" && req.method === "POST") {
+    const { action, detail, changes } = parseBody(await readBody(req), req.headers["content-type"]);
+    if (!CLIENT_AUDIT_ACTIONS.includes(action)) return send(res, 400, { message: `${action} can't be reported by a browser` });
+    const entry = appendAudit({ action, detail, changes, user: session.username, role: session.role, ip: clientIp(req), source: "client" });
+    return send(res, 201, entry);
+  }
+
+  if (!permissionsFor(session.role).includes("audit:view")) return send(res, 403, { message: "Missing permission: audit:view" });
+
+  if (url.pathname === "/audit" && req.method === "GET") {
+    const offset = Math.max(0, Number(url.searchParams.get("offset")) || 0);
+    const limit = Math.min(500, Math.max(1, Number(url.searchParams.get("limit")) || 100));
+    return send(res, 200, queryAudit(auditFilter(url.searchParams), { offset, limit }));
+  }
+
+  if (url.pathname === "/audit/verify" && req.method === "GET") return send(res, 200, verifyAudit());
+
+  if (url.pathname === "/audit/export" && req.method === "GET") {
+    const { entries } = queryAudit(auditFilter(url.searchParams));
+    const csv = url.searchParams.get("format") === "csv";
+    appendAudit({ user: session.username, role: session.role, ip: clientIp(req), action: "export_audit", detail: `${entries.length} entries as ${csv ? "CSV" : "JSON"}` });
+    return send(res, 200, csv ? auditCsv(entries) : JSON.stringify(entries, null, 2), {
+      "Content-Type": csv ? "text/csv; charset=utf-8" : "application/json",
+      "Content-Disposition": `attachment; filename="audit-log.${csv ? "csv" : "json"}"`,
+    });
+  }
+
+  return send(res, 404, { message: "Not found" });
+}
+
+// Browsers evaluate the rules and report alerts here; reading and reporting need alerts:view,
+// acknowledging and snoozing alerts:ack, changing rules and channels alerts:edit.
+async function handleAlerts(req, res, url) {
+  const { session } = sessionFrom(req);
+  if (!session) return send(res, 401, { message: "Session expired. Sign in again." });
+  const perms = permissionsFor(session.role);
+  const denied = (p) => {
+    if (perms.includes(p)) return false;
+    send(res, 403, { message: `Missing permission: ${p}` });
+    return true;
+  };
+  const audit = (action, detail, changes) => appendAudit({ user: session.username, role: session.role, ip: clientIp(req), action, detail, changes });
+  const body = req.method === "GET" ? {} : parseBody(await readBody(req), req.headers["content-type"]);
+  const m = url.pathname.match(/^\/alerts\/([0-9a-f]{12})\/(ack|snooze)$/);
+
+  if (url.pathname === "/alerts" && req.method === "GET") {
+    if (denied("alerts:view")) return undefined;
+    return send(res, 200, alertState());
+  }
+
+  if (url.pathname === "/alerts/events" && req.method === "POST") {
+    if (denied("alerts:view")) return undefined;
+    return send(res, 200, await reportAlert(body));
+  }
+
+  if (m && req.method === "POST") {
+    if (denied("alerts:ack")) return undefined;
+    const entry = m[2] === "ack" ? ackAlert(m[1], session.username) : snoozeAlert(m[1], body.minutes, session.username);
+    audit(`${m[2]}_alert`, `${entry.ruleName}: ${entry.subject}${m[2] === "snooze" ? ` for ${body.minutes} min` : ""}`);
+    return send(res, 200, entry);
+  }
+
+  if (url.pathname === "/alerts/config" && req.method === "PUT") {
+    if (denied("alerts:edit")) return undefined;
+    const { before, after } = saveAlertConfig(body);
+    const changes = ["rules", "channels"]
+      .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+      .map(k => ({ field: k, from: JSON.stringify(before[k]), to: JSON.stringify(after[k]) }));
+    audit("update_alert_rules", `${after.rules.length} rules`, changes);
+    return send(res, 200, alertState());
+  }
+
+  if (url.pathname === "/alerts/test" && req.method === "POST") {
+    if (denied("alerts:edit")) return undefined;
+    const result = await testAlertChannels(session.username);
+    audit("test_alert_channels", Object.entries(result).map(([k, v]) => `${k}: ${v}`).join(", ") || "no channels configured");
+    return send(res, 200, result);
+  }
+
+  return send(res, 404, { message: "Not found" });
+}
+
+// Consoles that can see live status post their samples; reading history needs metrics:view.
+async function handleMetrics(req, res, url) {
+  const { session } = sessionFrom(req);
+  if (!session) return send(res, 401, { message: "Session expired. Sign in again." });
+  const perms = permissionsFor(session.role);
+
+  if (url.pathname === "/metrics/info" && req.method === "GET") return send(res, 200, metricsInfo());
+  if (!metricsInfo().enabled) return send(res, 404, { message: "METRICS_DB is not configured on the UI server" });
+
+  if (url.pathname === "/metrics" && req.method === "POST") {
+    if (!perms.includes("status:view")) return send(res, 403, { message: "Missing permission: status:view" });
+    return send(res, 200, await storeMetrics(parseBody(await readBody(req), req.headers["content-type"])));
+  }
+
+  if (url.pathname === "/metrics" && req.method === "GET") {
+    if (!perms.includes("metrics:view")) return send(res, 403, { message: "Missing permission: metrics:view" });
+    const from = Number(url.searchParams.get("from")) || 0;
+    const to = Number(url.searchParams.get("to")) || Date.now();
+    if (to - from > 31 * 86_400_000) return send(res, 400, { message: "Ask for at most 31 days at a time" });
+    return send(res, 200, await readMetrics(from, to));
+  }
+
+  return send(res, 404, { message: "Not found" });
+}
+
+// Consoles post the snapshots they take; everything here needs config:backup. Deleting snapshots,
+// changing the schedule and the snapshot a restore takes first also need config:restore, the same
+// permission the panel asks for. Restores themselves run in the browser through the proxy, which
+// checks each object's edit permission.
+async function handleBackups(req, res, url) {
+  const { session } = sessionFrom(req);
+  if (!session) return send(res, 401, { message: "Session expired. Sign in again." });
+  const perms = permissionsFor(session.role);
+  if (!perms.includes("config:backup")) return send(res, 403, { message: "Missing permission: config:backup" });
+  const needsRestore = () => {
+    if (perms.includes("config:restore")) return false;
+    send(res, 403, { message: "Missing permission: config:restore" });
+    return true;
+  };
+  const audit = (action, detail, changes) => appendAudit({ user: session.username, role: session.role, ip: clientIp(req), action, detail, changes });
+  const body = req.method === "GET" ? {} : parseBody(await readBody(req), req.headers["content-type"]);
+  const m = url.pathname.match(/^\/backups\/([\w-]+)$/);
+
+  if (url.pathname === "/backups" && req.method === "GET") return send(res, 200, backupState(url.searchParams.get("pbx") || ""));
+
+  if (url.pathname === "/backups" && req.method === "POST") {
+    if (body.reason === "before_restore" && needsRestore()) return undefined;
+    const result = storeSnapshot(body, session.username);
+    if (!result.skipped) {
+      const counts = Object.entries(result.counts).map(([k, n]) => `${n} ${k}`).join(", ");
+      audit("take_config_snapshot", `#${result.seq} (${result.reason}) of ${result.pbx.name || result.pbx.key}: ${counts || "nothing readable"}`);
+    }
+    return send(res, result.skipped ? 200 : 201, result);
+  }
+
+  if (url.pathname === "/backups/schedule" && req.method === "PUT") {
+    if (needsRestore()) return undefined;
+    const { before, after } = saveBackupSchedule(body);
+    const changes = Object.keys(after).filter(k => before[k] !== after[k]).map(k => ({ field: k, from: String(before[k]), to: String(after[k]) }));
+    audit("update_backup_schedule", after.everyHours ? `every ${after.everyHours} h, keep ${after.keep}` : "off", changes);
+    return send(res, 200, after);
+  }
+
+  if (m && req.method === "GET") return send(res, 200, getSnapshot(m[1]));
+
+  if (m && req.method === "DELETE") {
+    if (needsRestore()) return undefined;
+    const snapshot = deleteSnapshot(m[1]);
+    audit("delete_config_snapshot", `#${snapshot.seq} (${snapshot.reason}) of ${snapshot.pbx?.name || snapshot.pbx?.key}`);
+    return send(res, 200, { ok: true });
+  }
+
+  return send(res, 404, { message: "Not found" });
+}
+
+async function handleProxy(req, res, url, handler, prefix) {
+  const { session } = sessionFrom(req);
+  if (!session) return send(res, 401, { message: "Session expired. Sign in again." });
+  const perms = new Set(permissionsFor(session.role));
+  const rawBody = await readBody(req);
+  const result = await handler({
+    method: req.method,
+    path: url.pathname.slice(prefix.length) || "/",
+    query: url.search,
+    rawBody,
+    json: peekJson(rawBody, req.headers["content-type"]),
+    contentType: req.headers["content-type"],
+    can: (p) => perms.has(p),
+  });
+  if (result.deny) {
+    appendAudit({ user: session.username, role: session.role, ip: clientIp(req), action: "denied", detail: `${req.method} ${prefix}${url.pathname.slice(prefix.length)}: ${result.reason}` });
+    return send(res, 403, { message: result.reason });
+  }
+  if (result.audit) {
+    const { action, detail, changes } = result.audit;
+    const failed = result.status >= 400;
+    appendAudit({ user: session.username, role: session.role, ip: clientIp(req), action: failed ? `failed_${action}` : action, detail: `${detail} → ${result.status}`, changes: failed ? undefined : changes });
+  }
+  res.writeHead(result.status, { "Content-Type": result.type, "Cache-Control": "no-store" });
+  res.end(result.body);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  try {
+    if (req.method !== "GET" && !sameOrigin(req)) return send(res, 403, { message: "Cross-origin request refused" });
+    if (url.pathname.startsWith("/auth/")) return await handleAuth(req, res, url);
+    if (url.pathname === "/audit" || url.pathname.startsWith("/audit/")) return await handleAudit(req, res, url);
+    if (url.pathname === "/alerts" || url.pathname.startsWith("/alerts/")) return await handleAlerts(req, res, url);
+    if (url.pathname === "/metrics" || url.pathname.startsWith("/metrics/")) return await handleMetrics(req, res, url);
+    if (url.pathname === "/backups" || url.pathname.startsWith("/backups/")) return await handleBackups(req, res, url);
+    if (url.pathname.startsWith("/pbx-ari/")) return await handleProxy(req, res, url, proxyAri, "/pbx-ari");
+    if (url.pathname === "/pbx" || url.pathname.startsWith("/pbx/")) return await handleProxy(req, res, url, proxyPbx, "/pbx");
+    if (req.method === "GET") return serveStatic(req, res, url.pathname);
+    return send(res, 404, { message: "Not found" });
+  } catch (e) {
+    if (!e.status || e.status >= 500) console.error(`${req.method} ${url.pathname}:`, e); // 4xx are answered, not logged
+    if (!res.headersSent) send(res, e.status || 502, { message: e.status ? e.message : "Upstream request failed" });
+    else res.end();
+  }
+});
+
+server.on("upgrade", (req, socket, head) => {
+  const url = new URL(req.url, "http://localhost");
+  const { session } = sessionFrom(req);
+  if (url.pathname !== "/pbx-ari/events" || !config.pbx.ariURL) { socket.end("HTTP/1.1 404 Not Found\r\n\r\n"); return; }
+  if (!sameOrigin(req)) { socket.end("HTTP/1.1 403 Forbidden\r\n\r\n"); return; }
+  if (!session) { socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n"); return; }
+  if (!permissionsFor(session.role).includes("status:view")) { socket.end("HTTP/1.1 403 Forbidden\r\n\r\n"); return; }
+  proxyAriEvents(req, socket, head, url.search);
+});
+
+server.listen(config.port, config.host, () => {
+  console.log(`FreePBX UI server listening on http://${config.host}:${config.port}`);
+});
@@ -0,0 +1,96 @@
+import fs from "node:fs";
+import path from "node:path";
+import { config } from "./config.js";
+
+/**
+ * Optional SQLite store for trunk and queue status samples (METRICS_DB), using Node's built-in
+ * node:sqlite. Every open console posts what it samples, so the same moment can arrive several
+ * times: a sample closer than MIN_GAP_MS to one already stored is dropped unless it records a trunk
+ * state change, and queue calls are keyed by the caller's channel id.
+ */
+
+const MIN_GAP_MS = 20_000;
+const MAX_BATCH = 500;
+const PRUNE_EVERY_MS = 60 * 60_000;
+
+let db = null;
+let prunedAt = 0;
+
+async function open() {
+  if (db) return db;
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch {
+    throw Object.assign(new Error("METRICS_DB needs Node 22.13 or later (node:sqlite)"), { status: 503 });
+  }
+  fs.mkdirSync(path.dirname(config.metrics.db), { recursive: true });
+  db = new DatabaseSync(config.metrics.db);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS samples (ts INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS queue_calls (id TEXT PRIMARY KEY, queue TEXT NOT NULL, ts INTEGER NOT NULL, wait REAL NOT NULL, answered INTEGER NOT NULL);
+    CREATE INDEX IF NOT EXISTS queue_calls_ts ON queue_calls (ts);
+  `);
+  return db;
+}
+
+export function metricsInfo() {
+  return { enabled: Boolean(config.metrics.db), retentionDays: config.metrics.retentionDays };
+}
+
+const clip = (v, max) => String(v ?? "").slice(0, max);
+const num = (v) => (v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v));
+
+function cleanSample(s) {
+  return {
+    ts: Math.round(Number(s.ts)),
+    transition: Boolean(s.transition),
+    trunks: (Array.isArray(s.trunks) ? s.trunks : []).slice(0, 100).map(t => ({ name: clip(t.name, 80), state: clip(t.state, 40), latency_ms: num(t.latency_ms) })),
+    queues: (Array.isArray(s.queues) ? s.queues : []).slice(0, 100).map(q => ({
+      name: clip(q.name, 80), waiting: num(q.waiting), logged_in: num(q.logged_in), agents: num(q.agents), on_call: num(q.on_call),
+    })),
+  };
+}
+
+// { samples: [...], calls: [...] } -> { stored, skipped }
+export async function storeMetrics({ samples = [], calls = [] }) {
+  if (!Array.isArray(samples) || !Array.isArray(calls) || samples.length > MAX_BATCH || calls.length > MAX_BATCH) {
+    throw Object.assign(new Error(`Send up to ${MAX_BATCH} samples and calls at a time`), { status: 400 });
+  }
+  const d = await open();
+  const near = d.prepare("SELECT 1 FROM samples WHERE ts > ? AND ts < ? LIMIT 1");
+  const addSample = d.prepare("INSERT OR IGNORE INTO samples (ts, data) VALUES (?, ?)");
+  const addCall = d.prepare("INSERT OR IGNORE INTO queue_calls (id, queue, ts, wait, answered) VALUES (?, ?, ?, ?, ?)");
+  let stored = 0;
+  d.exec("BEGIN");
+  try {
+    for (const s of samples.map(cleanSample).filter(x => Number.isFinite(x.ts)).sort((a, b) => a.ts - b.ts)) {
+      if (!s.transition && near.get(s.ts - MIN_GAP_MS, s.ts + MIN_GAP_MS)) continue;
+      stored += Number(addSample.run(s.ts, JSON.stringify(s)).changes);
+    }
+    for (const c of calls) {
+      if (!c?.id || !Number.isFinite(Number(c.ts))) continue;
+      addCall.run(clip(c.id, 80), clip(c.queue, 80), Math.round(Number(c.ts)), num(c.wait) ?? 0, c.answered ? 1 : 0);
+    }
+    d.exec("COMMIT");
+  } catch (e) {
+    d.exec("ROLLBACK");
+    throw e;
+  }
+  if (Date.now() - prunedAt > PRUNE_EVERY_MS) {
+    prunedAt = Date.now();
+    const before = Date.now() - config.metrics.retentionDays * 86_400_000;
+    d.prepare("DELETE FROM samples WHERE ts < ?").run(before);
+    d.prepare("DELETE FROM queue_calls WHERE ts < ?").run(before);
+  }
+  return { stored, skipped: samples.length - stored };
+}
+
+// Samples and queue calls with from <= ts < to, oldest first.
+export async function readMetrics(from, to) {
+  const d = await open();
+  const samples = d.prepare("SELECT data FROM samples WHERE ts >= ? AND ts < ? ORDER BY ts").all(from, to).map(r => JSON.parse(r.data));
+  const calls = d.prepare("SELECT id, queue, ts, wait, answered FROM queue_calls WHERE ts >= ? AND ts < ? ORDER BY ts").all(from, to)
+    .map(r => ({ ...r, answered: Boolean(r.answered) }));
+  return { samples, calls };
+}
@@ -0,0 +1,291 @@
+import http from "node:http";
+import https from "node:https";
+import { config } from "./config.js";
+
+// ===============
+// Permission rules. Anything not listed here is refused (default deny), so new API surface
+// has to be added to these tables before the UI can reach it through the proxy.
+// ===============
+const WRITE = /^(POST|PUT|PATCH|DELETE)$/;
+
+const REST_RULES = [
+  { method: /^GET$/, path: /^\/extensions(\/|$)/, perm: "extensions:view" },
+  { method: WRITE, path: /^\/extensions(\/|$)/, perm: "extensions:edit" },
+  { method: /^GET$/, path: /^\/voicemail\/[^/]+(\/|$)/, perm: "voicemail:view" },
+  { method: WRITE, path: /^\/voicemail\/[^/]+\//, perm: "voicemail:manage" },
+  { method: /^GET$/, path: /^\/cdr(\/|$)/, perm: "calls:view" },
+  { method: /^GET$/, path: /^\/recordings\//, perm: "recordings:play" },
+  { method: /^DELETE$/, path: /^\/recordings\//, perm: "recordings:delete" },
+  { method: /^GET$/, path: /^\/trunks(\/|$)/, perm: "trunks:view" },
+  { method: /^POST$/, path: /^\/trunks\/[^/]+\/test$/, perm: "trunks:view" }, // a qualify probe changes nothing
+  { method: WRITE, path: /^\/trunks(\/|$)/, perm: "trunks:edit" },
+  { method: /^GET$/, path: /^\/routes\/(inbound|outbound)(\/|$)/, perm: "routes:view" },
+  { method: WRITE, path: /^\/routes\/(inbound|outbound)(\/|$)/, perm: "routes:edit" },
+  { method: /^GET$/, path: /^\/(queues|ringgroups)(\/|$)/, perm: "queues:view" },
+  // Agent log in/out and pause come before the general queue write rule.
+  { method: /^POST$/, path: /^\/queues\/[^/]+\/agents$/, perm: "agents:control" },
+  { method: /^DELETE$/, path: /^\/queues\/[^/]+\/agents\/[^/]+$/, perm: "agents:control" },
+  { method: /^POST$/, path: /^\/queues\/[^/]+\/agents\/[^/]+\/pause$/, perm: "agents:control" },
+  { method: WRITE, path: /^\/(queues|ringgroups)(\/|$)/, perm: "queues:edit" },
+  { method: /^GET$/, path: /^\/callflow$/, perm: "callflows:view" },
+  { method: /^PUT$/, path: /^\/callflow$/, perm: "callflows:edit" },
+  { method: /^POST$/, path: /^\/announcements$/, perm: "callflows:edit" },
+];
+
+// Top-level GraphQL fields -> permission.
+const GQL_OPERATIONS = {
+  fetchAllExtensions: "extensions:view",
+  fetchExtension: "extensions:view",
+  addExtension: "extensions:edit",
+  updateExtension: "extensions:edit",
+  deleteExtension: "extensions:edit",
+  fetchAllCdrs: "calls:view",
+};
+
+const ARI_RULES = [
+  // Only the lists the status view loads; per-channel reads such as /channels/{id}/variable
+  // expose more than status:view covers.
+  { method: /^GET$/, path: /^\/(endpoints|channels|bridges)$/, perm: "status:view" },
+  { method: /^DELETE$/, path: /^\/channels\/[^/]+$/, perm: "calls:control" },
+  // Any originate through the raw API is call control: its body can pick a Stasis app, context and
+  // channel variables. Click-to-call (calls:dial) goes through /originate instead, see deskCall.
+  { method: /^POST$/, path: /^\/channels$/, perm: "calls:control" },
+];
+
+const DESK_EXTENSION_RE = /^\d{2,10}$/;
+const DIAL_NUMBER_RE = /^\+?[\d*#]{1,32}$/;
+
+function ruleFor(rules, method, path) {
+  return rules.find(r => r.method.test(method) && r.path.test(path))?.perm || null;
+}
+
+// Names of the fields selected at the top of each operation, e.g. ["addExtension"].
+// Strings and comments are stripped first so they can't smuggle in braces.
+export function gqlTopLevelFields(query) {
+  const src = String(query).replace(/"""[\s\S]*?"""|"(?:\\.|[^"\\])*"|#[^\n]*/g, " ");
+  const fields = [];
+  let depth = 0;
+  let parens = 0;
+  const re = /[{}()]|[A-Za-z_][A-Za-z0-9_]*(\s*:\s*[A-Za-z_][A-Za-z0-9_]*)?/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const tok = m[0];
+    if (tok === "{") depth += 1;
+    else if (tok === "}") depth -= 1;
+    else if (tok === "(") parens += 1;
+    else if (tok === ")") parens -= 1;
+    else if (depth === 1 && parens === 0) fields.push(tok.includes(":") ? tok.split(":")[1].trim() : tok); // alias: field
+  }
+  return fields;
+}
+
+function gqlPermissions(body) {
+  const fields = gqlTopLevelFields(body?.query || "");
+  if (!fields.length) return null;
+  const perms = fields.map(f => GQL_OPERATIONS[f]);
+  return perms.includes(undefined) ? null : [...new Set(perms)];
+}
+
+// What the browser needs to know to use the proxy; no credentials.
+export function pbxInfo() {
+  return { backend: config.pbx.backend, api: Boolean(config.pbx.apiURL), ari: Boolean(config.pbx.ariURL) };
+}
+
+// ===============
+// Upstream plumbing
+// ===============
+let pbxToken = null; // { token, expiresAt } for the GraphQL backend
+
+async function graphqlToken({ force = false } = {}) {
+  if (!force && pbxToken && pbxToken.expiresAt - 30_000 > Date.now()) return pbxToken.token;
+  const res = await fetch(`${config.pbx.apiURL.replace(/\/+$/, "")}/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "client_credentials",
+      client_id: config.pbx.clientId,
+      client_secret: config.pbx.clientSecret,
+      ...(config.pbx.scope ? { scope: config.pbx.scope } : {}),
+    }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.access_token) throw new Error(`PBX token request failed (${res.status})`);
+  pbxToken = { token: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 };
+  return pbxToken.token;
+}
+
+async function forward(url, { method, headers, body }) {
+  const res = await fetch(url, { method, headers, body: method === "GET" || method === "HEAD" ? undefined : body });
+  return { status: res.status, type: res.headers.get("content-type") || "application/octet-stream", body: Buffer.from(await res.arrayBuffer()) };
+}
+
+const basicAuth = (user, pass) => `Basic ${Buffer.from(`${user}:${pass}`).toString("base64")}`;
+
+const SECRET_FIELDS = ["secret", "vm_pin"];
+
+// Field-by-field before/after of an extension write, for the audit log; secrets only show that they changed.
+function fieldChanges(before, patch) {
+  const show = (v) => (v !== null && typeof v === "object" ? JSON.stringify(v) : String(v ?? ""));
+  return Object.keys(patch)
+    .filter(k => k !== "id" && (SECRET_FIELDS.includes(k) ? Boolean(patch[k]) : show(before[k]) !== show(patch[k])))
+    .map(k => (SECRET_FIELDS.includes(k) ? { field: k, from: "••••", to: "(changed)" } : { field: k, from: show(before[k]), to: show(patch[k]) }));
+}
+
+// GraphQL extension input -> the REST field names the audit log uses.
+const GQL_EXTENSION_AUDIT = { name: "name", tech: "tech", outboundCid: "callerid", vmEnable: "voicemail", email: "vm_email", vmPassword: "vm_pin" };
+
+// For an updateExtension mutation that passes its input as variables, reads the extension first and
+// diffs it like a REST write. The schema can't read the voicemail email back, so its "from" is unknown.
+async function gqlExtensionChanges(body, gql) {
+  const input = body?.variables?.input;
+  if (gqlTopLevelFields(body?.query || "").join() !== "updateExtension" || !input?.extensionId) return undefined;
+  const res = await gql(JSON.stringify({
+    query: "query ($id: ID!) { fetchExtension(extensionId: $id) { status user { name outboundCid voicemail } coreDevice { tech description } } }",
+    variables: { id: String(input.extensionId) },
+  }));
+  const node = res.status === 200 ? JSON.parse(res.body.toString("utf8"))?.data?.fetchExtension : null;
+  if (!node || node.status === false) return undefined;
+  const before = {
+    name: node.user?.name || node.coreDevice?.description || "",
+    tech: String(node.coreDevice?.tech || "").toUpperCase(),
+    callerid: node.user?.outboundCid || "",
+    voicemail: Boolean(node.user?.voicemail) && node.user.voicemail !== "novm",
+    vm_email: "(unknown)",
+  };
+  const patch = Object.fromEntries(Object.entries(GQL_EXTENSION_AUDIT)
+    .filter(([k]) => input[k] !== undefined)
+    .map(([k, field]) => [field, field === "tech" ? String(input[k]).toUpperCase() : input[k]]));
+  return fieldChanges(before, patch);
+}
+
+// ===============
+// Request handlers. Each returns { status, type, body } or { deny, reason }. Writes also carry
+// audit: { action, detail, changes }, which the server records once the PBX has answered.
+// ===============
+
+// /pbx/* -> PBX_API_URL/*, with the PBX credentials added here so the browser never holds them.
+export async function proxyPbx({ method, path, query, rawBody, json, contentType, can }) {
+  if (!config.pbx.apiURL) return { status: 503, type: "application/json", body: JSON.stringify({ message: "PBX_API_URL is not configured on the UI server" }) };
+  const base = config.pbx.apiURL.replace(/\/+$/, "");
+
+  if (config.pbx.backend === "graphql") {
+    // The browser's adapter still asks for a token; hand it a placeholder and keep the real one here.
+    if (path === "/token" && method === "POST") {
+      return { status: 200, type: "application/json", body: JSON.stringify({ access_token: "session", token_type: "Bearer", expires_in: 3600 }) };
+    }
+    if (path !== "/gql" || method !== "POST") return { deny: true, reason: "Only /gql is proxied for the GraphQL backend" };
+    const perms = gqlPermissions(json);
+    if (!perms) return { deny: true, reason: "GraphQL operation not allowed through the UI proxy" };
+    const missing = perms.filter(p => !can(p));
+    if (missing.length) return { deny: true, reason: `Missing permission: ${missing.join(", ")}` };
+    const gql = async (body) => {
+      const send = async (token) => forward(`${base}/gql`, {
+        method: "POST", body, headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+      });
+      const res = await send(await graphqlToken());
+      return res.status === 401 ? send(await graphqlToken({ force: true })) : res;
+    };
+    const write = perms.some(p => !p.endsWith(":view"));
+    let changes;
+    if (write) {
+      try { changes = await gqlExtensionChanges(json, gql); } catch { /* no diff, the write is still recorded */ }
+    }
+    const res = await gql(rawBody);
+    return write ? { ...res, audit: { action: "pbx_write", detail: `GraphQL ${gqlTopLevelFields(json.query).join(", ")}`, changes } } : res;
+  }
+
+  const perm = ruleFor(REST_RULES, method, path);
+  if (!perm) return { deny: true, reason: `${method} ${path} is not allowed through the UI proxy` };
+  if (!can(perm)) return { deny: true, reason: `Missing permission: ${perm}` };
+  // Saving a call flow can also repoint inbound routes, which is a routing change.
+  if (path === "/callflow" && json?.inbound?.length && !can("routes:edit")) return { deny: true, reason: "Missing permission: routes:edit" };
+  const auth = { Authorization: `Bearer ${config.pbx.apiKey}` };
+  let changes;
+  const ext = path.match(/^\/extensions\/([^/]+)$/);
+  if (ext && /^(PUT|PATCH)$/.test(method) && json && typeof json === "object") {
+    const before = await forward(`${base}/extensions/${ext[1]}`, { method: "GET", headers: auth }).catch(() => null);
+    if (before?.status === 200) {
+      try { changes = fieldChanges(JSON.parse(before.body.toString("utf8")), json); } catch { /* no diff, the write is still recorded */ }
+    }
+  }
+  const res = await forward(`${base}${path}${query}`, {
+    method, body: rawBody,
+    // Announcement and greeting uploads are multipart, so the browser's content type (with its boundary) is kept.
+    headers: { "Content-Type": contentType || "application/json", ...auth },
+  });
+  return WRITE.test(method) ? { ...res, audit: { action: "pbx_write", detail: `${method} ${path}`, changes } } : res;
+}
+
+// POST /pbx-ari/originate { from, number }: click-to-call through a desk phone. The server builds
+// the originate itself: ring PJSIP/<from>, then dial the number from from-internal. Nothing else
+// from the browser reaches ARI, so calls:dial can't pick another context, app or variables.
+async function deskCall({ json, can }) {
+  if (!can("calls:dial")) return { deny: true, reason: "Missing permission: calls:dial" };
+  const from = String(json?.from ?? "");
+  const number = String(json?.number ?? "");
+  const badRequest = (message) => ({ status: 400, type: "application/json", body: JSON.stringify({ message }) });
+  if (!DESK_EXTENSION_RE.test(from)) return badRequest("from must be an extension number");
+  if (!DIAL_NUMBER_RE.test(number)) return badRequest("number may only contain digits, * and #");
+  const params = new URLSearchParams({
+    endpoint: `PJSIP/${from}`, context: "from-internal", extension: number, priority: "1",
+    callerId: `Call ${number} <${from}>`, timeout: "30",
+  });
+  const res = await forward(`${config.pbx.ariURL.replace(/\/+$/, "")}/channels?${params}`, {
+    method: "POST", body: "",
+    headers: { "Content-Type": "application/json", Authorization: basicAuth(config.pbx.ariUser, config.pbx.ariPass) },
+  });
+  return { ...res, audit: { action: "ari_write", detail: `desk call ${from} → ${number}` } };
+}
+
+// /pbx-ari/* -> ARI_URL/* with the ARI user's basic auth.
+export async function proxyAri({ method, path, query, rawBody, json, can }) {
+  if (!config.pbx.ariURL) return { status: 503, type: "application/json", body: JSON.stringify({ message: "ARI_URL is not configured on the UI server" }) };
+  if (path === "/originate" && method === "POST") return deskCall({ json, can });
+  const perm = ruleFor(ARI_RULES, method, path);
+  if (!perm) return { deny: true, reason: `${method} ${path} is not allowed through the UI proxy` };
+  if (!can(perm)) return { deny: true, reason: `Missing permission: ${perm}` };
+  const res = await forward(`${config.pbx.ariURL.replace(/\/+$/, "")}${path}${query}`, {
+    method, body: rawBody,
+    headers: { "Content-Type": "application/json", Authorization: basicAuth(config.pbx.ariUser, config.pbx.ariPass) },
+  });
+  return method === "GET" ? res : { ...res, audit: { action: "ari_write", detail: `${method} ${path}${query}` } };
+}
+
+// WebSocket upgrade for /pbx-ari/events: open the upstream socket with the ARI credentials and
+// splice the two connections together once Asterisk answers 101.
+export function proxyAriEvents(req, socket, head, search) {
+  const params = new URLSearchParams(search);
+  params.delete("api_key"); // credentials come from the server, never from the browser
+  const upstream = new URL(`${config.pbx.ariURL.replace(/\/+$/, "")}/events?${params}`);
+  const lib = upstream.protocol === "https:" ? https : http;
+  const up = lib.request({
+    hostname: upstream.hostname,
+    port: upstream.port || (upstream.protocol === "https:" ? 443 : 80),
+    path: `${upstream.pathname}${upstream.search}`,
+    headers: {
+      Connection: "Upgrade",
+      Upgrade: "websocket",
+      "Sec-WebSocket-Key": req.headers["sec-websocket-key"],
+      "Sec-WebSocket-Version": req.headers["sec-websocket-version"] || "13",
+      Authorization: basicAuth(config.pbx.ariUser, config.pbx.ariPass),
+    },
+  });
+  up.on("upgrade", (res, upSocket, upHead) => {
+    const lines = [`HTTP/1.1 101 ${res.statusMessage || "Switching Protocols"}`];
+    for (let i = 0; i < res.rawHeaders.length; i += 2) lines.push(`${res.rawHeaders[i]}: ${res.rawHeaders[i + 1]}`);
+    socket.write(`${lines.join("\r\n")}\r\n\r\n`);
+    if (upHead?.length) socket.write(upHead);
+    if (head?.length) upSocket.write(head);
+    upSocket.pipe(socket).pipe(upSocket);
+    const close = () => { socket.destroy(); upSocket.destroy(); };
+    upSocket.on("error", close);
+    socket.on("error", close);
+    upSocket.on("close", close);
+    socket.on("close", close);
+  });
+  up.on("response", (res) => {
+    socket.end(`HTTP/1.1 ${res.statusCode} ${res.statusMessage}\r\nConnection: close\r\n\r\n`);
+  });
+  up.on("error", () => socket.end("HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n"));
+  up.end();
+}
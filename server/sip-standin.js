@@ -0,0 +1,433 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import { config } from "./config.js";
+
+/**
+ * SIP-over-WebSocket stand-in
+ * ---------------------------
+ * Just enough of a PBX to try the softphone panel without one (npm run sip-standin):
+ * - Registrar at ws://SIP_STANDIN_HOST:SIP_STANDIN_PORT/ws (subprotocol "sip"). Any extension may
+ *   register; digest auth checks SIP_STANDIN_PASSWORD
+ * - Outgoing calls ring for two seconds and are answered. Dial 486 for busy, 404 for an unknown number
+ *   and 480 for a call nobody answers
+ * - Hold/unhold re-INVITEs, blind transfer (REFER), DTMF over INFO, OPTIONS and BYE
+ * - POST /ring/<ext>?from=<number>&name=<name> rings a registered extension; POST /hangup/<ext> ends its calls
+ * No audio flows: the SDP it sends is well-formed but has no ICE candidates, so calls connect in
+ * signalling only.
+ */
+
+const RING_MS = 2000;
+const NO_ANSWER_MS = 30_000;
+const REALM = "freepbx-ui-standin";
+const HOST = "standin.invalid";
+const CONTACT = `<sip:standin@${HOST};transport=ws>`;
+const ALLOW = "INVITE, ACK, CANCEL, BYE, OPTIONS, INFO, REFER, NOTIFY";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const FINGERPRINT = [...crypto.randomBytes(32)].map(b => b.toString(16).padStart(2, "0").toUpperCase()).join(":");
+const REASONS = {
+  100: "Trying", 180: "Ringing", 200: "OK", 202: "Accepted", 401: "Unauthorized", 403: "Forbidden", 404: "Not Found",
+  405: "Method Not Allowed", 480: "Temporarily Unavailable", 481: "Call/Transaction Does Not Exist", 486: "Busy Here",
+  487: "Request Terminated", 488: "Not Acceptable Here",
+};
+
+const registrations = new Map(); // ext -> { conn, contact, expiresAt }
+const dialogs = new Map(); // Call-ID -> dialog, from the first INVITE until BYE/CANCEL
+const nonces = new Set();
+
+const rand = (bytes = 8) => crypto.randomBytes(bytes).toString("hex");
+const md5 = (text) => crypto.createHash("md5").update(text).digest("hex");
+
+function log(conn, arrow, text) {
+  console.log(`${new Date().toISOString().slice(11, 19)} ${arrow} ${conn.ext || conn.id}  ${text.slice(0, text.indexOf("\r\n"))}`);
+}
+
+// ===============
+// WebSocket framing (RFC 6455, no extensions)
+// ===============
+function wsFrame(opcode, payload) {
+  const n = payload.length;
+  let head;
+  if (n < 126) head = Buffer.from([0, n]);
+  else if (n < 65536) { head = Buffer.alloc(4); head[1] = 126; head.writeUInt16BE(n, 2); }
+  else { head = Buffer.alloc(10); head[1] = 127; head.writeBigUInt64BE(BigInt(n), 2); }
+  head[0] = 0x80 | opcode;
+  return Buffer.concat([head, payload]);
+}
+
+// The first complete frame in buf, or null until more has arrived. Browser frames are always masked.
+function wsParse(buf) {
+  if (buf.length < 2) return null;
+  let n = buf[1] & 0x7f;
+  let at = 2;
+  if (n === 126) { if (buf.length < 4) return null; n = buf.readUInt16BE(2); at = 4; }
+  else if (n === 127) { if (buf.length < 10) return null; n = Number(buf.readBigUInt64BE(2)); at = 10; }
+  const key = buf[1] & 0x80 ? buf.subarray(at, at + 4) : null;
+  if (key) at += 4;
+  if (buf.length < at + n) return null;
+  const payload = Buffer.from(buf.subarray(at, at + n));
+  if (key) for (let i = 0; i < n; i += 1) payload[i] ^= key[i % 4];
+  return { fin: Boolean(buf[0] & 0x80), opcode: buf[0] & 0x0f, payload, size: at + n };
+}
+
+function wsAccept(req, socket) {
+  const protocols = String(req.headers["sec-websocket-protocol"] || "").split(",").map(p => p.trim());
+  if (!protocols.includes("sip")) {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(`${req.headers["sec-websocket-key"]}${WS_GUID}`).digest("base64");
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\nSec-WebSocket-Protocol: sip\r\n\r\n`);
+  const conn = { id: `ws-${rand(2)}`, ext: "", send: (text) => socket.write(wsFrame(0x1, Buffer.from(text))) };
+  let buf = Buffer.alloc(0);
+  let parts = [];
+  socket.on("data", chunk => {
+    buf = Buffer.concat([buf, chunk]);
+    for (let frame = wsParse(buf); frame; frame = wsParse(buf)) {
+      buf = buf.subarray(frame.size);
+      if (frame.opcode === 0x8) { socket.end(wsFrame(0x8, Buffer.alloc(0))); return; }
+      if (frame.opcode === 0x9) { socket.write(wsFrame(0xa, frame.payload)); continue; }
+      if (frame.opcode === 0xa) continue;
+      parts.push(frame.payload);
+      if (frame.fin) {
+        onMessage(conn, Buffer.concat(parts).toString("utf8"));
+        parts = [];
+      }
+    }
+  });
+  socket.on("close", () => dropConnection(conn));
+  socket.on("error", () => socket.destroy());
+}
+
+// ===============
+// SIP messages
+// ===============
+const COMPACT = { v: "via", f: "from", t: "to", i: "call-id", m: "contact", l: "content-length", c: "content-type", o: "event", r: "refer-to" };
+
+function parseSip(text) {
+  const split = text.indexOf("\r\n\r\n");
+  const [start, ...lines] = (split < 0 ? text : text.slice(0, split)).split("\r\n");
+  const headers = [];
+  for (const line of lines) {
+    const i = line.indexOf(":");
+    if (i < 0) continue;
+    const name = line.slice(0, i).trim().toLowerCase();
+    headers.push([COMPACT[name] || name, line.slice(i + 1).trim()]);
+  }
+  const req = start.match(/^([A-Z]+) (\S+) SIP\/2\.0$/);
+  const res = start.match(/^SIP\/2\.0 (\d{3})/);
+  return {
+    method: req?.[1] || "", uri: req?.[2] || "", status: res ? Number(res[1]) : 0,
+    body: split < 0 ? "" : text.slice(split + 4),
+    get: (name) => headers.find(h => h[0] === name)?.[1] || "",
+    all: (name) => headers.filter(h => h[0] === name).map(h => h[1]),
+  };
+}
+
+const tagOf = (value) => value.match(/;\s*tag=([^;>\s]+)/i)?.[1] || "";
+const uriOf = (value) => value.match(/<([^>]+)>/)?.[1] || value.split(";")[0].trim();
+const userOf = (uri) => uri.match(/^sips?:([^@;>]+)@/)?.[1] || "";
+
+function serialize(start, headers, body = "") {
+  return `${start}\r\n${headers.map(([k, v]) => `${k}: ${v}`).join("\r\n")}\r\nContent-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+}
+
+function send(conn, text) {
+  log(conn, "→", text);
+  conn.send(text);
+}
+
+// A response carrying the request's Via, From, To, Call-ID and CSeq.
+function reply(conn, req, status, { toTag = "", headers = [], body = "" } = {}) {
+  const to = req.get("to");
+  send(conn, serialize(`SIP/2.0 ${status} ${REASONS[status]}`, [
+    ...req.all("via").map(v => ["Via", v]),
+    ["From", req.get("from")],
+    ["To", toTag && !tagOf(to) ? `${to};tag=${toTag}` : to],
+    ["Call-ID", req.get("call-id")],
+    ["CSeq", req.get("cseq")],
+    ...headers,
+  ], body));
+}
+
+function request(conn, method, uri, headers, body = "", branch = `z9hG4bK${rand()}`) {
+  send(conn, serialize(`${method} ${uri} SIP/2.0`, [["Via", `SIP/2.0/WSS ${HOST};branch=${branch}`], ["Max-Forwards", "70"], ...headers], body));
+  return branch;
+}
+
+function dialogRequest(d, method, headers = [], body = "", cseq = (d.cseq += 1)) {
+  request(d.conn, method, d.target, [
+    ["From", d.from], ["To", `<${d.remoteUri}>;tag=${d.remoteTag}`], ["Call-ID", d.callId], ["CSeq", `${cseq} ${method}`], ...headers,
+  ], body);
+}
+
+// ===============
+// SDP. Audio only (PCMU/PCMA); other media in an offer is declined.
+// ===============
+const CODECS = { 0: "PCMU/8000", 8: "PCMA/8000" };
+const ANSWER_DIRECTION = { sendrecv: "sendrecv", sendonly: "recvonly", recvonly: "sendonly", inactive: "inactive" };
+
+const iceLines = (d, setup) => [`a=ice-ufrag:${d.ufrag}`, `a=ice-pwd:${d.pwd}`, `a=fingerprint:sha-256 ${FINGERPRINT}`, `a=setup:${setup}`];
+
+function sdpText(d, mids, media) {
+  d.sdpVersion += 1;
+  return [
+    "v=0", `o=- ${d.sdpId} ${d.sdpVersion} IN IP4 127.0.0.1`, "s=-", "t=0 0",
+    ...(mids.length ? [`a=group:BUNDLE ${mids.join(" ")}`] : []),
+    ...media, "",
+  ].join("\r\n");
+}
+
+function sdpOffer(d) {
+  return sdpText(d, ["0"], [
+    "m=audio 9 UDP/TLS/RTP/SAVPF 0 8", "c=IN IP4 0.0.0.0", "a=rtcp:9 IN IP4 0.0.0.0", ...iceLines(d, "actpass"),
+    "a=mid:0", "a=sendrecv", "a=rtcp-mux", "a=rtpmap:0 PCMU/8000", "a=rtpmap:8 PCMA/8000",
+  ]);
+}
+
+function sdpAnswer(d, offer) {
+  const mids = [];
+  const media = offer.split(/\r?\n(?=m=)/).slice(1).flatMap(section => {
+    const lines = section.split(/\r?\n/).filter(Boolean);
+    const [m, , proto, ...formats] = lines[0].split(" ");
+    const kind = m.slice(2);
+    const mid = lines.find(l => l.startsWith("a=mid:"))?.slice(6) ?? "";
+    const direction = lines.map(l => l.slice(2)).find(a => a in ANSWER_DIRECTION) || "sendrecv";
+    const pt = kind === "audio" && formats.find(f => f in CODECS);
+    if (!pt) return [`m=${kind} 0 ${proto} ${formats[0]}`, "c=IN IP4 0.0.0.0", `a=mid:${mid}`];
+    mids.push(mid);
+    return [
+      `m=audio 9 ${proto} ${pt}`, "c=IN IP4 0.0.0.0", "a=rtcp:9 IN IP4 0.0.0.0", ...iceLines(d, d.setup),
+      `a=mid:${mid}`, `a=${ANSWER_DIRECTION[direction]}`, "a=rtcp-mux", `a=rtpmap:${pt} ${CODECS[pt]}`,
+    ];
+  });
+  return sdpText(d, mids, media);
+}
+
+// ===============
+// Registrar and calls
+// ===============
+
+// Digest auth (MD5, qop=auth) against the one stand-in password.
+function authorized(msg, method) {
+  const header = msg.get("authorization");
+  if (!header.startsWith("Digest ")) return false;
+  const p = Object.fromEntries([...header.matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g)].map(m => [m[1], m[2] ?? m[3]]));
+  if (!nonces.has(p.nonce) || p.realm !== REALM) return false;
+  const ha1 = md5(`${p.username}:${REALM}:${config.sipStandin.password}`);
+  const ha2 = md5(`${method}:${p.uri}`);
+  const expected = p.qop ? md5(`${ha1}:${p.nonce}:${p.nc}:${p.cnonce}:${p.qop}:${ha2}`) : md5(`${ha1}:${p.nonce}:${ha2}`);
+  return p.response === expected;
+}
+
+function challenge(conn, msg) {
+  const nonce = rand(16);
+  if (nonces.size > 1000) nonces.clear();
+  nonces.add(nonce);
+  reply(conn, msg, 401, { toTag: rand(), headers: [["WWW-Authenticate", `Digest realm="${REALM}", nonce="${nonce}", algorithm=MD5, qop="auth"`]] });
+}
+
+function onRegister(conn, msg) {
+  if (!authorized(msg, "REGISTER")) return challenge(conn, msg);
+  const ext = userOf(uriOf(msg.get("to")));
+  const contact = msg.get("contact");
+  const expires = Number(contact.match(/;\s*expires=(\d+)/i)?.[1] ?? (msg.get("expires") || 600));
+  if (!expires || contact === "*") {
+    if (registrations.get(ext)?.conn === conn) registrations.delete(ext);
+    console.log(`${ext} unregistered`);
+    return reply(conn, msg, 200, { toTag: rand() });
+  }
+  if (!registrations.has(ext)) console.log(`${ext} registered`);
+  registrations.set(ext, { conn, contact: uriOf(contact), expiresAt: Date.now() + expires * 1000 });
+  conn.ext = ext;
+  // The softphone looks for its own Contact in the answer to learn the expiry.
+  reply(conn, msg, 200, { toTag: rand(), headers: [["Contact", `${contact.replace(/;\s*expires=\d+/i, "")};expires=${expires}`]] });
+}
+
+const newDialog = (fields) => ({ cseq: 0, ufrag: rand(4), pwd: rand(12), sdpId: Date.now(), sdpVersion: 0, confirmed: false, timer: null, ...fields });
+
+// A call from the softphone.
+function onInvite(conn, msg) {
+  if (!conn.ext) return reply(conn, msg, 403, { toTag: rand() });
+  reply(conn, msg, 100);
+  const number = userOf(msg.uri);
+  if (number === "486" || number === "404") return reply(conn, msg, Number(number), { toTag: rand() });
+  const localTag = rand();
+  const d = newDialog({
+    callId: msg.get("call-id"), conn, ext: conn.ext, invite: msg, setup: "active",
+    from: `<${uriOf(msg.get("to"))}>;tag=${localTag}`, remoteUri: uriOf(msg.get("from")), remoteTag: tagOf(msg.get("from")),
+    target: uriOf(msg.get("contact")),
+  });
+  dialogs.set(d.callId, d);
+  reply(conn, msg, 180, { toTag: localTag, headers: [["Contact", CONTACT]] });
+  d.timer = setTimeout(() => {
+    if (number === "480") {
+      dialogs.delete(d.callId);
+      return reply(conn, msg, 480, { toTag: localTag });
+    }
+    d.confirmed = true;
+    console.log(`${d.ext} connected to ${number}`);
+    reply(conn, msg, 200, { toTag: localTag, headers: [["Contact", CONTACT], ["Allow", ALLOW], ["Content-Type", "application/sdp"]], body: sdpAnswer(d, msg.body) });
+  }, number === "480" ? NO_ANSWER_MS : RING_MS);
+}
+
+// Hold and unhold arrive as a new offer in the same dialog.
+function onReinvite(conn, msg) {
+  const d = dialogs.get(msg.get("call-id"));
+  if (!d) return reply(conn, msg, 481);
+  if (!msg.body) return reply(conn, msg, 488);
+  reply(conn, msg, 200, { headers: [["Contact", CONTACT], ["Allow", ALLOW], ["Content-Type", "application/sdp"]], body: sdpAnswer(d, msg.body) });
+}
+
+function onCancel(conn, msg) {
+  const d = dialogs.get(msg.get("call-id"));
+  reply(conn, msg, d ? 200 : 481);
+  if (!d || d.confirmed || !d.invite) return;
+  clearTimeout(d.timer);
+  dialogs.delete(d.callId);
+  reply(conn, d.invite, 487, { toTag: tagOf(d.from) });
+}
+
+function onBye(conn, msg) {
+  const d = dialogs.get(msg.get("call-id"));
+  reply(conn, msg, d ? 200 : 481);
+  if (!d) return;
+  clearTimeout(d.timer);
+  dialogs.delete(d.callId);
+  console.log(`${d.ext} hung up`);
+}
+
+// Blind transfer: accept, then report progress and success as sipfrag NOTIFYs. The softphone hangs up.
+function onRefer(conn, msg) {
+  const d = dialogs.get(msg.get("call-id"));
+  if (!d) return reply(conn, msg, 481);
+  reply(conn, msg, 202, { headers: [["Contact", CONTACT]] });
+  console.log(`${d.ext} transferred the call to ${uriOf(msg.get("refer-to"))}`);
+  const event = `refer;id=${msg.get("cseq").split(/\s+/)[0]}`;
+  const notify = (frag, state) => dialogRequest(d, "NOTIFY", [
+    ["Event", event], ["Subscription-State", state], ["Contact", CONTACT], ["Content-Type", "message/sipfrag;version=2.0"],
+  ], `${frag}\r\n`);
+  notify("SIP/2.0 100 Trying", "active;expires=60");
+  setTimeout(() => { if (dialogs.has(d.callId)) notify("SIP/2.0 200 OK", "terminated;reason=noresource"); }, 500);
+}
+
+// Answers to what the stand-in sent. Only the INVITE that rings the softphone waits on one.
+function onResponse(conn, msg) {
+  const d = dialogs.get(msg.get("call-id"));
+  if (!d || d.invite || !msg.get("cseq").endsWith("INVITE") || msg.status < 200) return;
+  clearTimeout(d.timer);
+  if (msg.status >= 300) {
+    dialogs.delete(d.callId);
+    request(conn, "ACK", d.target, [["From", d.from], ["To", msg.get("to")], ["Call-ID", d.callId], ["CSeq", "1 ACK"]], "", d.branch);
+    return;
+  }
+  if (!d.confirmed) {
+    Object.assign(d, { confirmed: true, remoteTag: tagOf(msg.get("to")), target: uriOf(msg.get("contact")) || d.target });
+    d.setup = /a=setup:active/.test(msg.body) ? "passive" : "active";
+    console.log(`${d.ext} answered`);
+  }
+  dialogRequest(d, "ACK", [], "", 1);
+}
+
+function onMessage(conn, text) {
+  log(conn, "←", text);
+  const msg = parseSip(text);
+  if (msg.status) return onResponse(conn, msg);
+  switch (msg.method) {
+    case "REGISTER": return onRegister(conn, msg);
+    case "INVITE": return tagOf(msg.get("to")) ? onReinvite(conn, msg) : onInvite(conn, msg);
+    case "ACK": return undefined;
+    case "CANCEL": return onCancel(conn, msg);
+    case "BYE": return onBye(conn, msg);
+    case "REFER": return onRefer(conn, msg);
+    case "INFO": return reply(conn, msg, dialogs.has(msg.get("call-id")) ? 200 : 481);
+    case "OPTIONS": return reply(conn, msg, 200, { toTag: tagOf(msg.get("to")) ? "" : rand(), headers: [["Allow", ALLOW]] });
+    case "": return undefined;
+    default: return reply(conn, msg, 405, { headers: [["Allow", ALLOW]] });
+  }
+}
+
+// Rings a registered softphone; unanswered calls are cancelled after NO_ANSWER_MS.
+function ring(ext, from, name) {
+  const reg = registrations.get(ext);
+  if (!reg || reg.expiresAt < Date.now()) return null;
+  const d = newDialog({
+    callId: `${rand()}@${HOST}`, conn: reg.conn, ext, setup: "passive", cseq: 1,
+    from: `${name ? `"${name}" ` : ""}<sip:${from}@${HOST}>;tag=${rand()}`, remoteUri: `sip:${ext}@${HOST}`, remoteTag: "",
+    target: reg.contact,
+  });
+  dialogs.set(d.callId, d);
+  const headers = [["From", d.from], ["To", `<${d.remoteUri}>`], ["Call-ID", d.callId]];
+  d.branch = request(d.conn, "INVITE", d.target, [...headers, ["CSeq", "1 INVITE"], ["Contact", CONTACT], ["Allow", ALLOW], ["Content-Type", "application/sdp"]], sdpOffer(d));
+  d.cancel = () => request(d.conn, "CANCEL", d.target, [...headers, ["CSeq", "1 CANCEL"]], "", d.branch);
+  d.timer = setTimeout(d.cancel, NO_ANSWER_MS);
+  console.log(`ringing ${ext} from ${from}`);
+  return d.callId;
+}
+
+function hangup(ext) {
+  const mine = [...dialogs.values()].filter(d => d.ext === ext);
+  for (const d of mine) {
+    clearTimeout(d.timer);
+    if (d.confirmed) {
+      dialogs.delete(d.callId);
+      dialogRequest(d, "BYE");
+    } else if (d.invite) {
+      dialogs.delete(d.callId);
+      reply(d.conn, d.invite, 480, { toTag: tagOf(d.from) });
+    } else {
+      d.cancel(); // the 487 that follows is acknowledged in onResponse
+    }
+  }
+  return mine.length;
+}
+
+function dropConnection(conn) {
+  for (const [ext, reg] of registrations) if (reg.conn === conn) registrations.delete(ext);
+  for (const [id, d] of dialogs) {
+    if (d.conn !== conn) continue;
+    clearTimeout(d.timer);
+    dialogs.delete(id);
+  }
+  if (conn.ext) console.log(`${conn.ext} disconnected`);
+}
+
+// ===============
+// HTTP control endpoints and WebSocket upgrade
+// ===============
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://standin");
+  const [, action, ext = ""] = url.pathname.split("/");
+  const json = (status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+  if (req.method === "GET" && url.pathname === "/") {
+    return json(200, {
+      registered: [...registrations].filter(([, r]) => r.expiresAt > Date.now()).map(([e]) => e),
+      calls: [...dialogs.values()].map(d => ({ ext: d.ext, callId: d.callId, state: d.confirmed ? "up" : "ringing" })),
+    });
+  }
+  if (req.method !== "POST" || !/^[A-Za-z0-9_.-]+$/.test(ext)) return json(404, { message: "Not found" });
+  if (action === "ring") {
+    const from = url.searchParams.get("from") || "0412345678";
+    if (!/^\+?[0-9*#]{1,32}$/.test(from)) return json(400, { message: "from must be a phone number" });
+    const callId = ring(ext, from, (url.searchParams.get("name") || "").replace(/["\\\r\n]/g, "").slice(0, 40));
+    return callId ? json(200, { callId }) : json(404, { message: `${ext} is not registered` });
+  }
+  if (action === "hangup") return json(200, { ended: hangup(ext) });
+  return json(404, { message: "Not found" });
+});
+
+server.on("upgrade", (req, socket) => {
+  if (new URL(req.url, "http://standin").pathname !== "/ws") {
+    socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+    return;
+  }
+  wsAccept(req, socket);
+});
+
+const { host, port } = config.sipStandin;
+server.listen(port, host, () => {
+  console.log(`SIP stand-in on ws://${host}:${port}/ws (any extension, password from SIP_STANDIN_PASSWORD)`);
+  console.log(`Ring a softphone: curl -X POST 'http://${host}:${port}/ring/1001?from=0412345678&name=Test'`);
+});
@@ -0,0 +1,64 @@
+import readline from "node:readline";
+import { hashPassword, readRoles, readUsers, writeUsers } from "./auth.js";
+
+/**
+ * Local user store admin.
+ *   npm run users -- add <username> <role>     (prompts for the password)
+ *   npm run users -- role <username> <role>
+ *   npm run users -- disable <username> | enable <username> | remove <username>
+ *   npm run users -- list
+ */
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer); }));
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const [cmd, username, role] = process.argv.slice(2);
+const store = readUsers();
+const user = store.users.find(u => u.username === username);
+const roles = Object.keys(readRoles());
+
+switch (cmd) {
+  case "add": {
+    if (!username || !role) fail("usage: add <username> <role>");
+    if (user) fail(`User ${username} already exists`);
+    if (!roles.includes(role)) fail(`Unknown role ${role}. Known roles: ${roles.join(", ")}`);
+    const password = process.env.FPBXUI_PASSWORD || await ask(`Password for ${username}: `);
+    if (password.length < 10) fail("Password must be at least 10 characters");
+    store.users.push({ username, role, passwordHash: await hashPassword(password) });
+    writeUsers(store);
+    console.log(`Added ${username} (${role})`);
+    break;
+  }
+  case "role":
+    if (!user) fail(`No user ${username}`);
+    if (!roles.includes(role)) fail(`Unknown role ${role}. Known roles: ${roles.join(", ")}`);
+    user.role = role;
+    writeUsers(store);
+    console.log(`${username} is now ${role}`);
+    break;
+  case "disable":
+  case "enable":
+    if (!user) fail(`No user ${username}`);
+    user.disabled = cmd === "disable";
+    writeUsers(store);
+    console.log(`${username} ${cmd}d`);
+    break;
+  case "remove":
+    if (!user) fail(`No user ${username}`);
+    store.users = store.users.filter(u => u !== user);
+    writeUsers(store);
+    console.log(`Removed ${username}`);
+    break;
+  case "list":
+    for (const u of store.users) console.log(`${u.username}\t${u.role}${u.disabled ? "\t(disabled)" : ""}`);
+    break;
+  default:
+    fail("usage: users.js add|role|disable|enable|remove|list …");
+}
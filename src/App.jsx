@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
 import axios from "axios";
 import { motion, AnimatePresence } from "framer-motion";
 
@@ -6,23 +6,1367 @@ import { motion, AnimatePresence } from "framer-motion";
  * FreePBX 17 Frontend (React) — Admin UI
  * --------------------------------------
  * Adds for FBX 17:
- * - Edit Extension (advanced PJSIP/voicemail fields)
- * - Realtime Trunk/Queue status via ARI (WebSocket) *with mock fallback*
- * - Role-based access (Admin vs Helpdesk)
- * - Audit log with optimistic UI + rollback
- * - CDR pagination + CSV export
+ * - Tabbed extension editor: PJSIP device/NAT/codecs, forwarding, follow-me, recording policy, voicemail PIN/options
+ * - Realtime Trunk/Queue status from raw ARI events (WebSocket + REST snapshot, auto-reconnect) *with mock fallback*
+ * - In-browser PBX simulator for mock mode (persisted state, generated calls and CDRs, fault injection)
+ * - Sign-in via the bundled UI server (local users, LDAP, OIDC) with server-enforced role permissions
+ * - Persisted, hash-chained audit log (server-side) with search, CSV/JSON export and field diffs
+ * - Call recording playback (waveform, seek, download; delete needs recordings:delete)
+ * - Voicemail inbox per extension (folders, playback, move/forward/delete, quota, PIN reset, greeting upload)
+ * - Bulk extension import (validated CSV, dry-run diff) and matching export
+ * - Multi-select bulk actions on extensions with partial-failure report
+ * - CDR reports (volume, busiest hours, outcomes, talk time, top callers)
+ * - Call log: server-side filters and sorting, saved/shareable views, virtualized infinite scroll, per-call legs and CEL
+ * - Full CDR export (CSV / JSON / XLSX, time-zone aware, cancellable)
+ * - Trunk management (PJSIP create/edit/disable, registration test, latency sparkline)
+ * - Inbound/outbound route editor with a client-side dial-pattern simulator
+ * - Queue and ring group editor with a live agent view (pause/unpause, log in/out)
+ * - Drag-and-drop call flow builder (IVRs, time conditions, holiday calendars) with dead-end and loop checks
+ * - Alert rules on trunk and queue status (desktop notification, sound, webhook/email via the UI server) with acknowledge, snooze and history
+ * - Status history (IndexedDB, optional server SQLite): trunk state timeline, latency percentiles, queue waiting, service level, occupancy, CSV export
+ * - Persistent, validated connection settings with a step-by-step Test connection and retryable load errors
+ * - Encrypted PBX profiles (PBKDF2 + AES-GCM) with a header switcher and an all-systems overview
+ * - Active calls board with hangup / blind transfer / ChanSpy (calls:control)
+ * - WebRTC softphone (JsSIP over the PBX's SIP WebSocket) and click-to-call via the softphone or a desk phone (calls:dial)
+ * - Configuration snapshots (manual/scheduled, stored by the UI server) with diff and previewed selective restore
+ * - Per-user language, PBX time zone and light/dark theme; accessible dialogs, fields and keyboard-navigable tables
+ * - Pluggable API backends: mock, generic REST, native FreePBX 17 GraphQL (OAuth2)
  *
  * NOTE: FreePBX 17 consolidates on PJSIP; CHANSIP/SIP options shown are for mixed/historical setups.
  * Adjust the API layer below to your exact FreePBX 17 REST paths & ARI config.
  */
 
+// ===============
+// Localization (translation catalog; locale and time zone for dates)
+// ===============
+// Strings are looked up by their English text, so anything not yet in a catalog shows in English.
+// {name} placeholders are filled from vars. The locale and the PBX time zone come from the signed-in
+// user's preferences (see usePreferences) and are set here for the whole page, like apiPermissions.
+
+const LOCALES = [["en", "English"], ["de", "Deutsch"], ["fr", "Français"], ["es", "Español"]];
+
+function detectLocale() {
+  const wanted = (navigator.languages?.length ? navigator.languages : [navigator.language || "en"]).map(l => String(l).slice(0, 2).toLowerCase());
+  return wanted.find(l => LOCALES.some(([code]) => code === l)) || "en";
+}
+
+let uiLocale = detectLocale();
+let uiTimeZone = ""; // "" = the browser's own zone
+
+function setUiLocale({ locale, timeZone }) {
+  uiLocale = LOCALES.some(([code]) => code === locale) ? locale : "en";
+  uiTimeZone = timeZone || "";
+}
+
+function t(text, vars) {
+  const s = TRANSLATIONS[uiLocale]?.[text] ?? text;
+  return vars ? s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] ?? m)) : s;
+}
+
+// An instant (epoch ms, ISO string or Date) in the user's language and PBX time zone.
+function formatDateTime(value, options = { dateStyle: "short", timeStyle: "medium" }) {
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return "";
+  return new Intl.DateTimeFormat(uiLocale, { ...options, timeZone: uiTimeZone || undefined }).format(d);
+}
+
+const formatTime = (value) => formatDateTime(value, { timeStyle: "medium" });
+const formatNumber = (n) => Number(n).toLocaleString(uiLocale);
+// Short weekday name, 0 being Monday (1 January 2024 was one).
+const formatWeekday = (d) => new Intl.DateTimeFormat(uiLocale, { weekday: "short", timeZone: "UTC" }).format(Date.UTC(2024, 0, 1 + d));
+
+// CDR calldate is wall-clock time on the PBX with no offset, so it is read in the PBX's zone.
+function formatCallDate(calldate) {
+  return formatDateTime(uiTimeZone ? zonedTimeToEpoch(calldate, uiTimeZone) : String(calldate).replace(" ", "T"));
+}
+
+// English text -> [de, fr, es]. Kept as one table so a missing translation shows up as a short row.
+const CATALOG = {
+  // Shell, sign-in and preferences
+  "Manage extensions, inspect CDRs, and watch realtime status.": ["Nebenstellen verwalten, CDRs prüfen und den Echtzeitstatus beobachten.", "Gérez les extensions, consultez les CDR et suivez l'état en temps réel.", "Gestione extensiones, revise los CDR y vigile el estado en tiempo real."],
+  "PBX": ["TK-Anlage", "PBX", "Centralita"],
+  "This browser": ["Dieser Browser", "Ce navigateur", "Este navegador"],
+  "Unsaved connection": ["Nicht gespeicherte Verbindung", "Connexion non enregistrée", "Conexión sin guardar"],
+  "All systems": ["Alle Systeme", "Tous les systèmes", "Todos los sistemas"],
+  "Unlock profiles": ["Profile entsperren", "Déverrouiller les profils", "Desbloquear perfiles"],
+  "Profiles": ["Profile", "Profils", "Perfiles"],
+  "Preferences": ["Einstellungen", "Préférences", "Preferencias"],
+  "Sign out": ["Abmelden", "Se déconnecter", "Cerrar sesión"],
+  "Security tip: expose the FreePBX API only on a trusted network or behind a reverse proxy with mTLS/IP allowlists. Use least-privilege tokens. For ARI, use a dedicated read-only ARI user over TLS and restrict ari.conf allowed_origins to this UI.": [
+    "Sicherheitshinweis: Stellen Sie die FreePBX-API nur in einem vertrauenswürdigen Netz oder hinter einem Reverse-Proxy mit mTLS/IP-Allowlists bereit. Verwenden Sie Tokens mit minimalen Rechten. Nutzen Sie für ARI einen eigenen, nur lesenden ARI-Benutzer über TLS und beschränken Sie allowed_origins in ari.conf auf diese Oberfläche.",
+    "Conseil de sécurité : n'exposez l'API FreePBX que sur un réseau de confiance ou derrière un proxy inverse avec mTLS/listes d'IP autorisées. Utilisez des jetons aux droits minimaux. Pour ARI, utilisez un utilisateur ARI dédié en lecture seule via TLS et limitez allowed_origins dans ari.conf à cette interface.",
+    "Consejo de seguridad: exponga la API de FreePBX solo en una red de confianza o detrás de un proxy inverso con mTLS/listas de IP permitidas. Use tokens con los mínimos privilegios. Para ARI, use un usuario ARI dedicado de solo lectura sobre TLS y limite allowed_origins en ari.conf a esta interfaz.",
+  ],
+  "Single sign-on failed, or your account is not mapped to a role here.": ["Die Einmalanmeldung ist fehlgeschlagen oder Ihrem Konto ist hier keine Rolle zugeordnet.", "L'authentification unique a échoué, ou votre compte n'est associé à aucun rôle ici.", "El inicio de sesión único falló o su cuenta no tiene un rol asignado aquí."],
+  "Your session expired. Sign in again.": ["Ihre Sitzung ist abgelaufen. Melden Sie sich erneut an.", "Votre session a expiré. Reconnectez-vous.", "Su sesión ha caducado. Inicie sesión de nuevo."],
+  "Could not reach the UI server. Is `npm run server` running?": ["Der UI-Server ist nicht erreichbar. Läuft `npm run server`?", "Impossible de joindre le serveur de l'interface. `npm run server` est-il lancé ?", "No se pudo contactar con el servidor de la interfaz. ¿Se está ejecutando `npm run server`?"],
+  "Sign in to continue.": ["Melden Sie sich an, um fortzufahren.", "Connectez-vous pour continuer.", "Inicie sesión para continuar."],
+  "Directory": ["Verzeichnis", "Annuaire", "Directorio"],
+  "Local account": ["Lokales Konto", "Compte local", "Cuenta local"],
+  "Username": ["Benutzername", "Nom d'utilisateur", "Usuario"],
+  "Password": ["Passwort", "Mot de passe", "Contraseña"],
+  "Signing in…": ["Anmeldung läuft…", "Connexion…", "Iniciando sesión…"],
+  "Sign in": ["Anmelden", "Se connecter", "Iniciar sesión"],
+  "Sign in with {provider}": ["Mit {provider} anmelden", "Se connecter avec {provider}", "Iniciar sesión con {provider}"],
+  "Language": ["Sprache", "Langue", "Idioma"],
+  "Same as the browser": ["Wie der Browser", "Comme le navigateur", "Igual que el navegador"],
+  "PBX time zone": ["Zeitzone der TK-Anlage", "Fuseau horaire du PBX", "Zona horaria de la centralita"],
+  "This browser's ({zone})": ["Die dieses Browsers ({zone})", "Celui de ce navigateur ({zone})", "La de este navegador ({zone})"],
+  "Call log and audit times are shown in this zone. Set it to the PBX's zone so call times read as they do on the PBX.": [
+    "Zeiten in Anrufliste und Prüfprotokoll werden in dieser Zone angezeigt. Wählen Sie die Zone der TK-Anlage, damit Anrufzeiten wie auf der Anlage erscheinen.",
+    "Les heures du journal d'appels et du journal d'audit sont affichées dans ce fuseau. Choisissez celui du PBX pour que les heures d'appel correspondent à celles du PBX.",
+    "Las horas del registro de llamadas y de auditoría se muestran en esta zona. Elija la de la centralita para que las horas de llamada coincidan con las de la centralita.",
+  ],
+  "Theme": ["Design", "Thème", "Tema"],
+  "Same as the system": ["Wie das System", "Comme le système", "Igual que el sistema"],
+  "Light": ["Hell", "Clair", "Claro"],
+  "Dark": ["Dunkel", "Sombre", "Oscuro"],
+
+  // Shared
+  "Close": ["Schließen", "Fermer", "Cerrar"],
+  "Retry": ["Erneut versuchen", "Réessayer", "Reintentar"],
+  "Retrying…": ["Neuer Versuch…", "Nouvel essai…", "Reintentando…"],
+  "Cancel": ["Abbrechen", "Annuler", "Cancelar"],
+  "OK": ["OK", "OK", "Aceptar"],
+  "Save": ["Speichern", "Enregistrer", "Guardar"],
+  "Create": ["Anlegen", "Créer", "Crear"],
+  "Delete": ["Löschen", "Supprimer", "Eliminar"],
+  "Edit": ["Bearbeiten", "Modifier", "Editar"],
+  "Apply": ["Anwenden", "Appliquer", "Aplicar"],
+  "Clear": ["Leeren", "Effacer", "Borrar"],
+  "Reset": ["Zurücksetzen", "Réinitialiser", "Restablecer"],
+  "Dismiss": ["Ausblenden", "Ignorer", "Descartar"],
+  "Export": ["Exportieren", "Exporter", "Exportar"],
+  "Export…": ["Exportieren…", "Exporter…", "Exportar…"],
+  "Loading…": ["Wird geladen…", "Chargement…", "Cargando…"],
+  "loading…": ["wird geladen…", "chargement…", "cargando…"],
+  "Not loaded": ["Nicht geladen", "Non chargé", "No cargado"],
+  "Working…": ["Wird ausgeführt…", "En cours…", "Procesando…"],
+  "Yes": ["Ja", "Oui", "Sí"],
+  "No": ["Nein", "Non", "No"],
+  "on": ["an", "activé", "activado"],
+  "off": ["aus", "désactivé", "desactivado"],
+  "Enable": ["Aktivieren", "Activer", "Activar"],
+  "Any": ["Alle", "Tous", "Cualquiera"],
+  "From": ["Von", "De", "Desde"],
+  "To": ["Bis", "À", "Hasta"],
+  "Name": ["Name", "Nom", "Nombre"],
+  "Caller ID": ["Anrufer-ID", "Identifiant d'appelant", "ID de llamante"],
+  "Extension": ["Nebenstelle", "Extension", "Extensión"],
+  "Voicemail": ["Voicemail", "Messagerie vocale", "Buzón de voz"],
+  "Trunk": ["Amtsleitung", "Trunk", "Troncal"],
+  "Delete {name}": ["{name} löschen", "Supprimer {name}", "Eliminar {name}"],
+
+  // Panel titles
+  "Extensions": ["Nebenstellen", "Extensions", "Extensiones"],
+  "Call Logs": ["Anrufliste", "Journal d'appels", "Registro de llamadas"],
+  "Call Reports": ["Anrufberichte", "Rapports d'appels", "Informes de llamadas"],
+  "Queues & Trunks": ["Warteschlangen & Amtsleitungen", "Files d'attente et trunks", "Colas y troncales"],
+  "Alerts": ["Alarme", "Alertes", "Alertas"],
+  "Status History": ["Statusverlauf", "Historique d'état", "Historial de estado"],
+  "Trunks": ["Amtsleitungen", "Trunks", "Troncales"],
+  "Call Routing": ["Anrufweiterleitung", "Routage des appels", "Enrutamiento de llamadas"],
+  "Queues & Ring Groups": ["Warteschlangen & Rufgruppen", "Files d'attente et groupes d'appel", "Colas y grupos de timbrado"],
+  "Call Flows": ["Anrufabläufe", "Flux d'appels", "Flujos de llamada"],
+  "Active Calls": ["Aktive Anrufe", "Appels en cours", "Llamadas activas"],
+  "Phone": ["Telefon", "Téléphone", "Teléfono"],
+  "Configuration Backups": ["Konfigurationssicherungen", "Sauvegardes de configuration", "Copias de la configuración"],
+  "Audit Log": ["Prüfprotokoll", "Journal d'audit", "Registro de auditoría"],
+  "PBX simulator": ["TK-Anlagen-Simulator", "Simulateur de PBX", "Simulador de centralita"],
+
+  // Extensions
+  "Could not load extensions.": ["Nebenstellen konnten nicht geladen werden.", "Impossible de charger les extensions.", "No se pudieron cargar las extensiones."],
+  "Failed to create extension": ["Nebenstelle konnte nicht angelegt werden", "Échec de la création de l'extension", "No se pudo crear la extensión"],
+  "Failed to save changes": ["Änderungen konnten nicht gespeichert werden", "Échec de l'enregistrement des modifications", "No se pudieron guardar los cambios"],
+  "Delete extension {id}?": ["Nebenstelle {id} löschen?", "Supprimer l'extension {id} ?", "¿Eliminar la extensión {id}?"],
+  "Failed to delete extension": ["Nebenstelle konnte nicht gelöscht werden", "Échec de la suppression de l'extension", "No se pudo eliminar la extensión"],
+  "Delete {n} extension(s): {ids}?": ["{n} Nebenstelle(n) löschen: {ids}?", "Supprimer {n} extension(s) : {ids} ?", "¿Eliminar {n} extensión(es): {ids}?"],
+  "Voicemail on": ["Voicemail an", "Messagerie vocale activée", "Buzón de voz activado"],
+  "Voicemail off": ["Voicemail aus", "Messagerie vocale désactivée", "Buzón de voz desactivado"],
+  "Set VM email domain": ["VM-E-Mail-Domain setzen", "Définir le domaine e-mail de la messagerie", "Definir el dominio de correo del buzón"],
+  "Set VM email domain…": ["VM-E-Mail-Domain setzen…", "Définir le domaine e-mail de la messagerie…", "Definir el dominio de correo del buzón…"],
+  "\"{value}\" is not a domain": ["„{value}“ ist keine Domain", "« {value} » n'est pas un domaine", "«{value}» no es un dominio"],
+  "VM email domain @{domain}": ["VM-E-Mail-Domain @{domain}", "Domaine e-mail de la messagerie @{domain}", "Dominio de correo del buzón @{domain}"],
+  "Tech → {tech}": ["Technik → {tech}", "Technologie → {tech}", "Tecnología → {tech}"],
+  "Change tech…": ["Technik ändern…", "Changer de technologie…", "Cambiar tecnología…"],
+  "Generate new SIP secrets for {n} extension(s)? Their phones will need reprovisioning.": [
+    "Neue SIP-Passwörter für {n} Nebenstelle(n) erzeugen? Die Telefone müssen danach neu provisioniert werden.",
+    "Générer de nouveaux secrets SIP pour {n} extension(s) ? Leurs téléphones devront être reprovisionnés.",
+    "¿Generar nuevas claves SIP para {n} extensión(es)? Habrá que reaprovisionar sus teléfonos.",
+  ],
+  "Reset SIP secrets": ["SIP-Passwörter zurücksetzen", "Réinitialiser les secrets SIP", "Restablecer claves SIP"],
+  "Search…": ["Suchen…", "Rechercher…", "Buscar…"],
+  "Import…": ["Importieren…", "Importer…", "Importar…"],
+  "New": ["Neu", "Nouvelle", "Nueva"],
+  "{n} selected": ["{n} ausgewählt", "{n} sélectionnée(s)", "{n} seleccionada(s)"],
+  "{n} more hidden by the search, not included": ["{n} weitere durch die Suche ausgeblendet, nicht enthalten", "{n} autre(s) masquée(s) par la recherche, non incluse(s)", "{n} más oculta(s) por la búsqueda, no incluida(s)"],
+  "Bulk action": ["Sammelaktion", "Action groupée", "Acción masiva"],
+  "{label}: {ok} succeeded, {failed} failed": ["{label}: {ok} erfolgreich, {failed} fehlgeschlagen", "{label} : {ok} réussie(s), {failed} en échec", "{label}: {ok} correctas, {failed} fallidas"],
+  "Download new secrets": ["Neue Passwörter herunterladen", "Télécharger les nouveaux secrets", "Descargar las nuevas claves"],
+  "Select all shown": ["Alle angezeigten auswählen", "Tout sélectionner", "Seleccionar todas las mostradas"],
+  "Select {id}": ["{id} auswählen", "Sélectionner {id}", "Seleccionar {id}"],
+  "Ext": ["Nst.", "Ext.", "Ext."],
+  "Tech": ["Technik", "Techno.", "Tecnología"],
+  "Actions": ["Aktionen", "Actions", "Acciones"],
+  "No results": ["Keine Treffer", "Aucun résultat", "Sin resultados"],
+  "pending": ["ausstehend", "en attente", "pendiente"],
+
+  // Extension editor
+  "Edit extension {id}": ["Nebenstelle {id} bearbeiten", "Modifier l'extension {id}", "Editar la extensión {id}"],
+  "Create extension": ["Nebenstelle anlegen", "Créer une extension", "Crear extensión"],
+  "has errors": ["enthält Fehler", "contient des erreurs", "tiene errores"],
+  "General": ["Allgemein", "Général", "General"],
+  "Device": ["Gerät", "Appareil", "Dispositivo"],
+  "Codecs": ["Codecs", "Codecs", "Códecs"],
+  "Routing": ["Routing", "Routage", "Enrutamiento"],
+  "Recording": ["Aufzeichnung", "Enregistrement", "Grabación"],
+  "Technology": ["Technik", "Technologie", "Tecnología"],
+  "Caller ID (internal)": ["Anrufer-ID (intern)", "Identifiant d'appelant (interne)", "ID de llamante (interno)"],
+  "Secret": ["Passwort", "Secret", "Clave"],
+  "Secret (leave blank to keep the current one)": ["Passwort (leer lassen, um das aktuelle zu behalten)", "Secret (laisser vide pour conserver l'actuel)", "Clave (déjela vacía para conservar la actual)"],
+  "Generate": ["Erzeugen", "Générer", "Generar"],
+  "Weak": ["Schwach", "Faible", "Débil"],
+  "Fair": ["Mäßig", "Moyen", "Aceptable"],
+  "Good": ["Gut", "Bon", "Buena"],
+  "Strong": ["Stark", "Fort", "Fuerte"],
+  "shorter than 8 characters": ["kürzer als 8 Zeichen", "moins de 8 caractères", "menos de 8 caracteres"],
+  "shorter than 16 characters": ["kürzer als 16 Zeichen", "moins de 16 caractères", "menos de 16 caracteres"],
+  "uses fewer than 3 of lower/upper/digits/symbols": ["nutzt weniger als 3 von Klein-/Großbuchstaben/Ziffern/Sonderzeichen", "utilise moins de 3 types parmi minuscules/majuscules/chiffres/symboles", "usa menos de 3 tipos entre minúsculas/mayúsculas/dígitos/símbolos"],
+  "contains the extension number": ["enthält die Nebenstellennummer", "contient le numéro d'extension", "contiene el número de extensión"],
+  "is a common pattern": ["ist ein gängiges Muster", "est un motif courant", "es un patrón común"],
+  "Max contacts": ["Max. Kontakte", "Contacts max.", "Contactos máx."],
+  "Transport": ["Transport", "Transport", "Transporte"],
+  "All configured transports": ["Alle konfigurierten Transporte", "Tous les transports configurés", "Todos los transportes configurados"],
+  "Max contacts and transport apply to PJSIP only.": ["Max. Kontakte und Transport gelten nur für PJSIP.", "Contacts max. et transport ne s'appliquent qu'à PJSIP.", "Contactos máx. y transporte solo se aplican a PJSIP."],
+  "DTMF mode": ["DTMF-Modus", "Mode DTMF", "Modo DTMF"],
+  "Inband": ["Inband", "Dans la bande", "En banda"],
+  "Auto (INFO fallback)": ["Auto (INFO als Rückfall)", "Auto (repli sur INFO)", "Auto (INFO como respaldo)"],
+  "Direct media": ["Direkte Medien", "Média direct", "Medios directos"],
+  "Phone is behind NAT": ["Telefon ist hinter NAT", "Le téléphone est derrière un NAT", "El teléfono está detrás de NAT"],
+  "Rewrite contact": ["Kontakt umschreiben", "Réécrire le contact", "Reescribir contacto"],
+  "Force rport": ["rport erzwingen", "Forcer rport", "Forzar rport"],
+  "RTP symmetric": ["Symmetrisches RTP", "RTP symétrique", "RTP simétrico"],
+  "Outbound caller ID": ["Ausgehende Anrufer-ID", "Identifiant d'appelant sortant", "ID de llamante saliente"],
+  "Forward always (CF)": ["Immer umleiten (CF)", "Renvoi permanent (CF)", "Desviar siempre (CF)"],
+  "Forward on busy (CFB)": ["Bei besetzt umleiten (CFB)", "Renvoi sur occupation (CFB)", "Desviar si ocupado (CFB)"],
+  "Forward when unavailable (CFU)": ["Bei Nichterreichbarkeit umleiten (CFU)", "Renvoi si indisponible (CFU)", "Desviar si no disponible (CFU)"],
+  "Follow me": ["Follow-me", "Suivez-moi", "Sígueme"],
+  "Numbers (one per line)": ["Nummern (eine pro Zeile)", "Numéros (un par ligne)", "Números (uno por línea)"],
+  "Strategy": ["Strategie", "Stratégie", "Estrategia"],
+  "Ring all (extension first)": ["Alle klingeln (Nebenstelle zuerst)", "Tous sonnent (extension d'abord)", "Sonar todos (extensión primero)"],
+  "Ring all": ["Alle klingeln", "Tous sonnent", "Sonar todos"],
+  "Hunt": ["Der Reihe nach", "Séquentiel", "Secuencial"],
+  "Memory hunt": ["Der Reihe nach, kumulativ", "Séquentiel cumulatif", "Secuencial acumulativo"],
+  "First not on phone": ["Erster nicht im Gespräch", "Premier non occupé", "Primero que no esté al teléfono"],
+  "First available": ["Erster verfügbarer", "Premier disponible", "Primero disponible"],
+  "Ring time (s)": ["Klingeldauer (s)", "Durée de sonnerie (s)", "Tiempo de timbre (s)"],
+  "Ring extension first (s)": ["Zuerst Nebenstelle klingeln (s)", "Faire sonner l'extension d'abord (s)", "Sonar primero la extensión (s)"],
+  "Inbound external": ["Eingehend extern", "Entrant externe", "Entrante externa"],
+  "Outbound external": ["Ausgehend extern", "Sortant externe", "Saliente externa"],
+  "Inbound internal": ["Eingehend intern", "Entrant interne", "Entrante interna"],
+  "Outbound internal": ["Ausgehend intern", "Sortant interne", "Saliente interna"],
+  "Don't care": ["Egal", "Indifférent", "Indiferente"],
+  "Always": ["Immer", "Toujours", "Siempre"],
+  "Never": ["Nie", "Jamais", "Nunca"],
+  "Disabled": ["Deaktiviert", "Désactivé", "Desactivado"],
+  "Enabled": ["Aktiviert", "Activé", "Activado"],
+  "Override": ["Übersteuern", "Forcer", "Anular"],
+  "On-demand recording": ["Aufzeichnung auf Anforderung", "Enregistrement à la demande", "Grabación a petición"],
+  "Priority (0–20, higher wins)": ["Priorität (0–20, höher gewinnt)", "Priorité (0–20, la plus haute l'emporte)", "Prioridad (0–20, gana la mayor)"],
+  "VM Email": ["VM-E-Mail", "E-mail de messagerie", "Correo del buzón"],
+  "PIN": ["PIN", "Code PIN", "PIN"],
+  "PIN (blank keeps it)": ["PIN (leer = unverändert)", "Code PIN (vide pour le conserver)", "PIN (vacío para conservarlo)"],
+  "Options": ["Optionen", "Options", "Opciones"],
+  "Name is required": ["Name ist erforderlich", "Le nom est obligatoire", "El nombre es obligatorio"],
+  "One line, at most 50 characters": ["Eine Zeile, höchstens 50 Zeichen", "Une ligne, 50 caractères au plus", "Una línea, 50 caracteres como máximo"],
+  "Use Name <1001> or a number": ["Name <1001> oder eine Nummer verwenden", "Utilisez Nom <1001> ou un numéro", "Use Nombre <1001> o un número"],
+  "Use Name <0299990000> or a number": ["Name <0299990000> oder eine Nummer verwenden", "Utilisez Nom <0299990000> ou un numéro", "Use Nombre <0299990000> o un número"],
+  "A secret is required": ["Ein Passwort ist erforderlich", "Un secret est obligatoire", "La clave es obligatoria"],
+  "1 to 100": ["1 bis 100", "1 à 100", "De 1 a 100"],
+  "Unknown transport": ["Unbekannter Transport", "Transport inconnu", "Transporte desconocido"],
+  "Unknown DTMF mode": ["Unbekannter DTMF-Modus", "Mode DTMF inconnu", "Modo DTMF desconocido"],
+  "Pick at least one codec, or use the PBX defaults": ["Mindestens einen Codec wählen oder die Standardwerte der Anlage verwenden", "Choisissez au moins un codec ou utilisez les valeurs par défaut du PBX", "Elija al menos un códec o use los valores por defecto de la centralita"],
+  "Digits, * and # only": ["Nur Ziffern, * und #", "Chiffres, * et # uniquement", "Solo dígitos, * y #"],
+  "Add at least one number": ["Mindestens eine Nummer hinzufügen", "Ajoutez au moins un numéro", "Añada al menos un número"],
+  "One number per line; end external numbers with #": ["Eine Nummer pro Zeile; externe Nummern mit # abschließen", "Un numéro par ligne ; terminez les numéros externes par #", "Un número por línea; termine los números externos con #"],
+  "1 to 300 seconds": ["1 bis 300 Sekunden", "1 à 300 secondes", "De 1 a 300 segundos"],
+  "0 to 60 seconds": ["0 bis 60 Sekunden", "0 à 60 secondes", "De 0 a 60 segundos"],
+  "Unknown policy": ["Unbekannte Richtlinie", "Règle inconnue", "Política desconocida"],
+  "Unknown setting": ["Unbekannte Einstellung", "Réglage inconnu", "Ajuste desconocido"],
+  "0 to 20": ["0 bis 20", "0 à 20", "De 0 a 20"],
+  "Not a valid email address": ["Keine gültige E-Mail-Adresse", "Adresse e-mail non valide", "No es un correo válido"],
+  "Set a voicemail PIN": ["Voicemail-PIN festlegen", "Définissez un code PIN de messagerie", "Defina un PIN de buzón"],
+  "4 to 10 digits": ["4 bis 10 Ziffern", "4 à 10 chiffres", "De 4 a 10 dígitos"],
+  "Too easy to guess": ["Zu leicht zu erraten", "Trop facile à deviner", "Demasiado fácil de adivinar"],
+
+  // Call logs
+  "Could not load call logs.": ["Anrufliste konnte nicht geladen werden.", "Impossible de charger le journal d'appels.", "No se pudo cargar el registro de llamadas."],
+  "Save this filter and sort as:": ["Filter und Sortierung speichern als:", "Enregistrer ce filtre et ce tri sous :", "Guardar este filtro y orden como:"],
+  "Link copied. Anyone who opens it with calls:view sees this filter and sort.": ["Link kopiert. Wer ihn mit calls:view öffnet, sieht diesen Filter und diese Sortierung.", "Lien copié. Toute personne qui l'ouvre avec calls:view voit ce filtre et ce tri.", "Enlace copiado. Quien lo abra con calls:view verá este filtro y orden."],
+  "Copy this link:": ["Diesen Link kopieren:", "Copiez ce lien :", "Copie este enlace:"],
+  "Saved filters": ["Gespeicherte Filter", "Filtres enregistrés", "Filtros guardados"],
+  "Saved filters…": ["Gespeicherte Filter…", "Filtres enregistrés…", "Filtros guardados…"],
+  "No saved filters": ["Keine gespeicherten Filter", "Aucun filtre enregistré", "Sin filtros guardados"],
+  "Delete the saved filter {name}?": ["Gespeicherten Filter {name} löschen?", "Supprimer le filtre enregistré {name} ?", "¿Eliminar el filtro guardado {name}?"],
+  "Save filter…": ["Filter speichern…", "Enregistrer le filtre…", "Guardar filtro…"],
+  "Copy link": ["Link kopieren", "Copier le lien", "Copiar enlace"],
+  "Disposition": ["Ergebnis", "Issue", "Resultado"],
+  "Direction": ["Richtung", "Sens", "Dirección"],
+  "Inbound": ["Eingehend", "Entrant", "Entrante"],
+  "Outbound": ["Ausgehend", "Sortant", "Saliente"],
+  "Internal": ["Intern", "Interne", "Interna"],
+  "inbound": ["eingehend", "entrant", "entrante"],
+  "outbound": ["ausgehend", "sortant", "saliente"],
+  "internal": ["intern", "interne", "interna"],
+  "Duration (s)": ["Dauer (s)", "Durée (s)", "Duración (s)"],
+  "Minimum duration in seconds": ["Mindestdauer in Sekunden", "Durée minimale en secondes", "Duración mínima en segundos"],
+  "Maximum duration in seconds": ["Höchstdauer in Sekunden", "Durée maximale en secondes", "Duración máxima en segundos"],
+  "min": ["min.", "min.", "mín."],
+  "max": ["max.", "max.", "máx."],
+  "Caller ID contains": ["Anrufer-ID enthält", "L'identifiant d'appelant contient", "El ID de llamante contiene"],
+  "Name or number": ["Name oder Nummer", "Nom ou numéro", "Nombre o número"],
+  "DID": ["Durchwahl (DID)", "SDA", "DDI"],
+  "Whole seconds": ["Ganze Sekunden", "Secondes entières", "Segundos enteros"],
+  "Shorter than the minimum": ["Kürzer als das Minimum", "Inférieure au minimum", "Menor que el mínimo"],
+  "Before the start date": ["Vor dem Startdatum", "Antérieure à la date de début", "Anterior a la fecha de inicio"],
+  "An extension number": ["Eine Nebenstellennummer", "Un numéro d'extension", "Un número de extensión"],
+  "Digits only": ["Nur Ziffern", "Chiffres uniquement", "Solo dígitos"],
+  "Date/Time": ["Datum/Uhrzeit", "Date/heure", "Fecha/hora"],
+  "Duration": ["Dauer", "Durée", "Duración"],
+  "Rec": ["Aufn.", "Enr.", "Grab."],
+  "No calls found": ["Keine Anrufe gefunden", "Aucun appel trouvé", "No se encontraron llamadas"],
+  "Play recording": ["Aufzeichnung abspielen", "Écouter l'enregistrement", "Reproducir grabación"],
+  "Stop recording": ["Wiedergabe beenden", "Arrêter la lecture", "Detener la reproducción"],
+  "Your role cannot play recordings": ["Ihre Rolle darf keine Aufzeichnungen abspielen", "Votre rôle ne permet pas d'écouter les enregistrements", "Su rol no puede reproducir grabaciones"],
+  "{n} calls": ["{n} Anrufe", "{n} appels", "{n} llamadas"],
+  "Call details": ["Anrufdetails", "Détails de l'appel", "Detalles de la llamada"],
+  "Could not load this call's legs.": ["Die Abschnitte dieses Anrufs konnten nicht geladen werden.", "Impossible de charger les segments de cet appel.", "No se pudieron cargar los tramos de esta llamada."],
+  "Talk time": ["Gesprächszeit", "Temps de conversation", "Tiempo de conversación"],
+  "Channel": ["Kanal", "Canal", "Canal"],
+  "Dialled channel": ["Angewählter Kanal", "Canal appelé", "Canal marcado"],
+  "Linked ID": ["Verknüpfte ID", "ID liée", "ID vinculado"],
+  "Loading legs…": ["Abschnitte werden geladen…", "Chargement des segments…", "Cargando tramos…"],
+  "Legs": ["Abschnitte", "Segments", "Tramos"],
+  "Channels": ["Kanäle", "Canaux", "Canales"],
+  "Result": ["Ergebnis", "Résultat", "Resultado"],
+  "Talk": ["Gespräch", "Conversation", "Conversación"],
+  "Events (CEL)": ["Ereignisse (CEL)", "Événements (CEL)", "Eventos (CEL)"],
+  "No CEL events recorded. Enable CEL in FreePBX to see the call's steps.": ["Keine CEL-Ereignisse aufgezeichnet. Aktivieren Sie CEL in FreePBX, um die Schritte des Anrufs zu sehen.", "Aucun événement CEL enregistré. Activez CEL dans FreePBX pour voir les étapes de l'appel.", "No hay eventos CEL registrados. Active CEL en FreePBX para ver los pasos de la llamada."],
+
+  // Audit log
+  "Could not load the audit log.": ["Das Prüfprotokoll konnte nicht geladen werden.", "Impossible de charger le journal d'audit.", "No se pudo cargar el registro de auditoría."],
+  "Export failed: {reason}": ["Export fehlgeschlagen: {reason}", "Échec de l'export : {reason}", "La exportación falló: {reason}"],
+  "not allowed": ["nicht erlaubt", "non autorisé", "no permitido"],
+  "{n} events": ["{n} Ereignisse", "{n} événements", "{n} eventos"],
+  "{n} not saved yet": ["{n} noch nicht gespeichert", "{n} pas encore enregistré(s)", "{n} aún sin guardar"],
+  "Chain intact ({n})": ["Kette intakt ({n})", "Chaîne intacte ({n})", "Cadena intacta ({n})"],
+  "Chain broken": ["Kette unterbrochen", "Chaîne rompue", "Cadena rota"],
+  "Chain broken at #{seq}": ["Kette unterbrochen bei #{seq}", "Chaîne rompue au n° {seq}", "Cadena rota en el n.º {seq}"],
+  "Verifying…": ["Wird geprüft…", "Vérification…", "Verificando…"],
+  "Verify chain": ["Kette prüfen", "Vérifier la chaîne", "Verificar la cadena"],
+  "Export CSV": ["CSV exportieren", "Exporter en CSV", "Exportar CSV"],
+  "Export JSON": ["JSON exportieren", "Exporter en JSON", "Exportar JSON"],
+  "Note this hash somewhere else to detect a rewritten log later": ["Notieren Sie diesen Hash an anderer Stelle, um später ein umgeschriebenes Protokoll zu erkennen", "Notez ce hachage ailleurs pour détecter plus tard un journal réécrit", "Anote este hash en otro lugar para detectar más adelante un registro reescrito"],
+  "head": ["Kopf", "tête", "cabeza"],
+  "User": ["Benutzer", "Utilisateur", "Usuario"],
+  "Action": ["Aktion", "Action", "Acción"],
+  "Text": ["Text", "Texte", "Texto"],
+  "No matching activity.": ["Keine passenden Aktivitäten.", "Aucune activité correspondante.", "No hay actividad que coincida."],
+  "1 field": ["1 Feld", "1 champ", "1 campo"],
+  "{n} fields": ["{n} Felder", "{n} champs", "{n} campos"],
+  "Load more": ["Mehr laden", "Charger plus", "Cargar más"],
+  "reported by browser": ["vom Browser gemeldet", "signalé par le navigateur", "informado por el navegador"],
+
+  // Shared wording, connection errors and filter summaries
+  "s": ["s", "s", "s"],
+  "ms": ["ms", "ms", "ms"],
+  "Id": ["ID", "Identifiant", "Id."],
+  "email": ["E-Mail", "e-mail", "correo"],
+  "extension": ["Nebenstelle", "extension", "extensión"],
+  "ARI": ["ARI", "ARI", "ARI"],
+  "ARI events": ["ARI-Ereignisse", "Événements ARI", "Eventos ARI"],
+  "callers": ["Anrufer", "appelants", "llamantes"],
+  "agents": ["Agenten", "agents", "agentes"],
+  "create": ["anlegen", "créer", "crear"],
+  "update": ["aktualisieren", "mettre à jour", "actualizar"],
+  "skip": ["überspringen", "ignorer", "omitir"],
+  "error": ["Fehler", "erreur", "error"],
+  "warning": ["Warnung", "avertissement", "aviso"],
+  "critical": ["kritisch", "critique", "crítica"],
+  "route": ["Route", "route", "ruta"],
+  "inbound route": ["eingehende Route", "route entrante", "ruta entrante"],
+  "outbound route": ["ausgehende Route", "route sortante", "ruta saliente"],
+  "ring group": ["Rufgruppe", "groupe d'appel", "grupo de timbrado"],
+  "IVR": ["IVR", "SVI", "IVR"],
+  "webhook": ["Webhook", "webhook", "webhook"],
+  "trunk": ["Amtsleitung", "trunk", "troncal"],
+  "queue": ["Warteschlange", "file d'attente", "cola"],
+  "manual": ["manuell", "manuel", "manual"],
+  "scheduled": ["geplant", "planifié", "programada"],
+  "API": ["API", "API", "API"],
+  "PBX API": ["API der TK-Anlage", "API du PBX", "API de la centralita"],
+  "TLS": ["TLS", "TLS", "TLS"],
+  "UDP": ["UDP", "UDP", "UDP"],
+  "TCP": ["TCP", "TCP", "TCP"],
+  "WS": ["WS", "WS", "WS"],
+  "WSS (WebRTC)": ["WSS (WebRTC)", "WSS (WebRTC)", "WSS (WebRTC)"],
+  "Time": ["Zeit", "Horaire", "Horario"],
+  "VM": ["VM", "Messagerie", "Buzón"],
+  "End": ["Ende", "Fin", "Fin"],
+  "Queues": ["Warteschlangen", "Files d'attente", "Colas"],
+  "Email": ["E-Mail", "E-mail", "Correo"],
+  "Connected": ["Verbunden", "Connecté", "Conectada"],
+  "Asterisk": ["Asterisk", "Asterisk", "Asterisk"],
+  "not found": ["nicht gefunden", "introuvable", "no encontrada"],
+  "already exists": ["existiert bereits", "existe déjà", "ya existe"],
+  "unchanged": ["unverändert", "inchangée", "sin cambios"],
+  "simulated": ["simuliert", "simulé", "simulado"],
+  "Reachable": ["Erreichbar", "Joignable", "Accesible"],
+  "Unavailable": ["Nicht erreichbar", "Indisponible", "No disponible"],
+  "Busy": ["Besetzt", "Occupé", "Ocupado"],
+  "Ringing": ["Klingelt", "Sonne", "Sonando"],
+  "Random": ["Zufällig", "Aléatoire", "Aleatorio"],
+  "Off": ["Aus", "Désactivé", "Desactivado"],
+  "Update": ["Aktualisieren", "Mettre à jour", "Actualizar"],
+  "Reorder": ["Neu ordnen", "Réordonner", "Reordenar"],
+  "sent": ["gesendet", "envoyée", "enviada"],
+  "throttled": ["gedrosselt", "limitée", "limitada"],
+  "connecting": ["verbindet", "connexion", "conectando"],
+  "reconnecting": ["verbindet neu", "reconnexion", "reconectando"],
+  "CORS": ["CORS", "CORS", "CORS"],
+  "The PBX": ["Die TK-Anlage", "Le PBX", "La centralita"],
+  "The UI server": ["Der UI-Server", "Le serveur de l'interface", "El servidor de la interfaz"],
+  "The ARI URL": ["Die ARI-URL", "L'URL ARI", "La URL de ARI"],
+  "This browser's store": ["Der Speicher dieses Browsers", "Le stockage de ce navigateur", "El almacén de este navegador"],
+  "{what} didn't answer. Check the URL and port, that its TLS certificate is trusted here, and that it allows this origin (CORS).": [
+    "{what} hat nicht geantwortet. Prüfen Sie URL und Port, ob das TLS-Zertifikat hier vertrauenswürdig ist und ob dieser Ursprung erlaubt ist (CORS).",
+    "{what} n'a pas répondu. Vérifiez l'URL et le port, que son certificat TLS est approuvé ici et qu'il autorise cette origine (CORS).",
+    "{what} no respondió. Compruebe la URL y el puerto, que su certificado TLS sea de confianza aquí y que permita este origen (CORS).",
+  ],
+  "{what} rejected the credentials (401){detail}. Check the API key, client ID/secret or ARI password.": [
+    "{what} hat die Anmeldedaten abgelehnt (401){detail}. Prüfen Sie API-Schlüssel, Client-ID/-Secret oder ARI-Passwort.",
+    "{what} a refusé les identifiants (401){detail}. Vérifiez la clé d'API, l'ID/le secret client ou le mot de passe ARI.",
+    "{what} rechazó las credenciales (401){detail}. Compruebe la clave de API, el ID/secreto de cliente o la contraseña de ARI.",
+  ],
+  "{what} refused the request (403){detail}.": ["{what} hat die Anfrage verweigert (403){detail}.", "{what} a refusé la requête (403){detail}.", "{what} denegó la solicitud (403){detail}."],
+  "{what} has nothing at {url} (404). Check the base URL.": ["{what} hat unter {url} nichts (404). Prüfen Sie die Basis-URL.", "{what} n'a rien à {url} (404). Vérifiez l'URL de base.", "{what} no tiene nada en {url} (404). Compruebe la URL base."],
+  "that address": ["dieser Adresse", "cette adresse", "esa dirección"],
+  "{what} failed with {status}{detail}.": ["{what} ist mit {status} fehlgeschlagen{detail}.", "{what} a échoué avec {status}{detail}.", "{what} falló con {status}{detail}."],
+  "{what} answered {status}{detail}.": ["{what} hat mit {status} geantwortet{detail}.", "{what} a répondu {status}{detail}.", "{what} respondió {status}{detail}."],
+  "{what} did not answer within {n} s": ["{what} hat nicht innerhalb von {n} s geantwortet", "{what} n'a pas répondu en {n} s", "{what} no respondió en {n} s"],
+  "{from} to {to}": ["{from} bis {to}", "du {from} au {to}", "del {from} al {to}"],
+  "{from} onwards": ["ab {from}", "à partir du {from}", "desde el {from}"],
+  "until {to}": ["bis {to}", "jusqu'au {to}", "hasta el {to}"],
+  "all time": ["gesamter Zeitraum", "toute la période", "todo el periodo"],
+  "ext {ext}": ["Nst. {ext}", "ext. {ext}", "ext. {ext}"],
+  "trunk {trunk}": ["Amtsleitung {trunk}", "trunk {trunk}", "troncal {trunk}"],
+  "caller ID “{text}”": ["Anrufer-ID „{text}“", "identifiant d'appelant « {text} »", "ID de llamante «{text}»"],
+  "DID {did}": ["Durchwahl {did}", "SDA {did}", "DDI {did}"],
+
+  // Codecs and extension import
+  "Use the PBX's default codecs": ["Standard-Codecs der TK-Anlage verwenden", "Utiliser les codecs par défaut du PBX", "Usar los códecs predeterminados de la centralita"],
+  "Allowed, in order of preference": ["Erlaubt, nach Priorität sortiert", "Autorisés, par ordre de préférence", "Permitidos, por orden de preferencia"],
+  "Prefer": ["Bevorzugen", "Préférer", "Preferir"],
+  "Demote": ["Zurückstufen", "Rétrograder", "Relegar"],
+  "Remove": ["Entfernen", "Retirer", "Quitar"],
+  "No codecs allowed.": ["Keine Codecs erlaubt.", "Aucun codec autorisé.", "Ningún códec permitido."],
+  "Available": ["Verfügbar", "Disponibles", "Disponibles"],
+  "Everything else is disallowed (disallow=all).": ["Alles andere ist gesperrt (disallow=all).", "Tout le reste est interdit (disallow=all).", "Todo lo demás está prohibido (disallow=all)."],
+  "Missing required column(s): {columns}": ["Fehlende Pflichtspalte(n): {columns}", "Colonne(s) obligatoire(s) manquante(s) : {columns}", "Faltan columnas obligatorias: {columns}"],
+  "extension “{ext}” must be 2–6 digits": ["Nebenstelle „{ext}“ muss 2–6 Ziffern haben", "l'extension « {ext} » doit comporter 2 à 6 chiffres", "la extensión «{ext}» debe tener de 2 a 6 dígitos"],
+  "duplicate of line {n}": ["Duplikat von Zeile {n}", "doublon de la ligne {n}", "duplicado de la línea {n}"],
+  "name is required": ["Name ist erforderlich", "le nom est obligatoire", "el nombre es obligatorio"],
+  "name must be a single line": ["Name muss einzeilig sein", "le nom doit tenir sur une ligne", "el nombre debe ocupar una sola línea"],
+  "malformed caller ID “{cid}” (use Name <1001>)": ["ungültige Anrufer-ID „{cid}“ (Name <1001> verwenden)", "identifiant d'appelant « {cid} » mal formé (utilisez Nom <1001>)", "ID de llamante «{cid}» mal formado (use Nombre <1001>)"],
+  "unknown tech “{tech}”": ["unbekannte Technik „{tech}“", "technologie « {tech} » inconnue", "tecnología «{tech}» desconocida"],
+  "voicemail must be yes/no, got “{value}”": ["voicemail muss yes/no sein, erhalten: „{value}“", "voicemail doit valoir yes/no, reçu « {value} »", "voicemail debe ser yes/no; se recibió «{value}»"],
+  "bad email “{email}”": ["ungültige E-Mail „{email}“", "e-mail « {email} » non valide", "correo «{email}» no válido"],
+  "voicemail on but no VM email": ["Voicemail an, aber keine VM-E-Mail", "messagerie activée mais sans e-mail de messagerie", "buzón activado pero sin correo del buzón"],
+  "secret must be at least 8 characters": ["Passwort muss mindestens 8 Zeichen haben", "le secret doit comporter au moins 8 caractères", "la clave debe tener al menos 8 caracteres"],
+  "caller ID number {n} belongs to extension {n}": ["Anrufer-ID-Nummer {n} gehört zu Nebenstelle {n}", "le numéro d'appelant {n} appartient à l'extension {n}", "el número de llamante {n} pertenece a la extensión {n}"],
+  "{n} field(s) differ": ["{n} Feld(er) abweichend", "{n} champ(s) différent(s)", "{n} campo(s) distinto(s)"],
+  "Import extensions": ["Nebenstellen importieren", "Importer des extensions", "Importar extensiones"],
+  "Import Extensions": ["Nebenstellen importieren", "Importer des extensions", "Importar extensiones"],
+  "CSV file": ["CSV-Datei", "Fichier CSV", "Archivo CSV"],
+  "Columns: {columns}. Only extension and name are required; a missing or blank column leaves that field of an existing extension as it is. Use Export for a template.": ["Spalten: {columns}. Nur extension und name sind Pflicht; eine fehlende oder leere Spalte lässt dieses Feld bestehender Nebenstellen unverändert. Eine Vorlage erhalten Sie über Exportieren.", "Colonnes : {columns}. Seules extension et name sont obligatoires ; une colonne absente ou vide laisse ce champ des extensions existantes tel quel. Utilisez Exporter pour obtenir un modèle.", "Columnas: {columns}. Solo extension y name son obligatorias; una columna ausente o vacía deja ese campo de las extensiones existentes como está. Use Exportar para obtener una plantilla."],
+  "Existing extensions": ["Vorhandene Nebenstellen", "Extensions existantes", "Extensiones existentes"],
+  "Update changed fields": ["Geänderte Felder aktualisieren", "Mettre à jour les champs modifiés", "Actualizar los campos modificados"],
+  "Skip": ["Überspringen", "Ignorer", "Omitir"],
+  "Dry run:": ["Probelauf:", "Simulation :", "Simulación:"],
+  "Row": ["Zeile", "Ligne", "Fila"],
+  "Details": ["Details", "Détails", "Detalles"],
+  "done": ["erledigt", "fait", "hecho"],
+  "failed": ["fehlgeschlagen", "échec", "fallido"],
+  "Applying {done} / {total}…": ["Wird angewendet: {done} / {total}…", "Application {done} / {total}…", "Aplicando {done} / {total}…"],
+  "{ok} of {n} changes applied.": ["{ok} von {n} Änderungen angewendet.", "{ok} modification(s) sur {n} appliquée(s).", "{ok} de {n} cambios aplicados."],
+  "Apply {n} change(s)": ["{n} Änderung(en) anwenden", "Appliquer {n} modification(s)", "Aplicar {n} cambio(s)"],
+
+  // Call log export, recordings and voicemail
+  "Export cancelled.": ["Export abgebrochen.", "Export annulé.", "Exportación cancelada."],
+  "Export call logs": ["Anrufliste exportieren", "Exporter le journal d'appels", "Exportar el registro de llamadas"],
+  "Export Call Logs": ["Anrufliste exportieren", "Exporter le journal d'appels", "Exportar el registro de llamadas"],
+  "the start": ["dem Anfang", "le début", "el inicio"],
+  "now": ["jetzt", "maintenant", "ahora"],
+  "Format": ["Format", "Format", "Formato"],
+  "Export time zone": ["Zeitzone für den Export", "Fuseau horaire de l'export", "Zona horaria de la exportación"],
+  "Columns": ["Spalten", "Colonnes", "Columnas"],
+  "{done} / {total} rows": ["{done} / {total} Zeilen", "{done} / {total} lignes", "{done} / {total} filas"],
+  "Cancel export": ["Export abbrechen", "Annuler l'export", "Cancelar la exportación"],
+  "Click to seek": ["Klicken, um zu springen", "Cliquez pour vous déplacer", "Haga clic para saltar"],
+  "Could not load recording: {reason}": ["Aufzeichnung konnte nicht geladen werden: {reason}", "Impossible de charger l'enregistrement : {reason}", "No se pudo cargar la grabación: {reason}"],
+  "Delete recording {file}? This cannot be undone.": ["Aufzeichnung {file} löschen? Das lässt sich nicht rückgängig machen.", "Supprimer l'enregistrement {file} ? Cette action est irréversible.", "¿Eliminar la grabación {file}? No se puede deshacer."],
+  "Could not delete recording: {reason}": ["Aufzeichnung konnte nicht gelöscht werden: {reason}", "Impossible de supprimer l'enregistrement : {reason}", "No se pudo eliminar la grabación: {reason}"],
+  "Download": ["Herunterladen", "Télécharger", "Descargar"],
+  "Loading recording…": ["Aufzeichnung wird geladen…", "Chargement de l'enregistrement…", "Cargando la grabación…"],
+  "Temporary": ["Vorübergehend", "Temporaire", "Temporal"],
+  "Unknown": ["Unbekannt", "Inconnu", "Desconocido"],
+  "Could not load message: {reason}": ["Nachricht konnte nicht geladen werden: {reason}", "Impossible de charger le message : {reason}", "No se pudo cargar el mensaje: {reason}"],
+  "Loading message…": ["Nachricht wird geladen…", "Chargement du message…", "Cargando el mensaje…"],
+  "Failed to move the message: {reason}": ["Nachricht konnte nicht verschoben werden: {reason}", "Échec du déplacement du message : {reason}", "No se pudo mover el mensaje: {reason}"],
+  "Failed to forward the message: {reason}": ["Nachricht konnte nicht weitergeleitet werden: {reason}", "Échec du transfert du message : {reason}", "No se pudo reenviar el mensaje: {reason}"],
+  "Delete the message from {caller}? This cannot be undone.": ["Nachricht von {caller} löschen? Das lässt sich nicht rückgängig machen.", "Supprimer le message de {caller} ? Cette action est irréversible.", "¿Eliminar el mensaje de {caller}? No se puede deshacer."],
+  "Failed to delete the message: {reason}": ["Nachricht konnte nicht gelöscht werden: {reason}", "Échec de la suppression du message : {reason}", "No se pudo eliminar el mensaje: {reason}"],
+  "Download failed: {reason}": ["Download fehlgeschlagen: {reason}", "Échec du téléchargement : {reason}", "La descarga falló: {reason}"],
+  "Use 4 to 10 digits": ["4 bis 10 Ziffern verwenden", "Utilisez 4 à 10 chiffres", "Use de 4 a 10 dígitos"],
+  "PIN set to {pin}. Pass it on now; it isn't shown again.": ["PIN auf {pin} gesetzt. Geben Sie sie jetzt weiter; sie wird nicht erneut angezeigt.", "Code PIN défini sur {pin}. Transmettez-le maintenant ; il ne sera plus affiché.", "PIN establecido en {pin}. Comuníquelo ahora; no se volverá a mostrar."],
+  "Could not reset the PIN: {reason}": ["PIN konnte nicht zurückgesetzt werden: {reason}", "Impossible de réinitialiser le code PIN : {reason}", "No se pudo restablecer el PIN: {reason}"],
+  "Greetings must be 5 MB or smaller": ["Ansagen dürfen höchstens 5 MB groß sein", "Les annonces ne doivent pas dépasser 5 Mo", "Los saludos no pueden superar 5 MB"],
+  "Upload failed: {reason}": ["Hochladen fehlgeschlagen: {reason}", "Échec de l'envoi : {reason}", "La subida falló: {reason}"],
+  "Voicemail for {id}": ["Voicemail für {id}", "Messagerie vocale de {id}", "Buzón de voz de {id}"],
+  "{n} of {max} messages": ["{n} von {max} Nachrichten", "{n} messages sur {max}", "{n} de {max} mensajes"],
+  "Received": ["Empfangen", "Reçu", "Recibido"],
+  "Receive": ["Empfangen", "Recevoir", "Recibir"],
+  "Length": ["Länge", "Durée", "Duración"],
+  "No messages in {folder}": ["Keine Nachrichten in {folder}", "Aucun message dans {folder}", "No hay mensajes en {folder}"],
+  "Play": ["Abspielen", "Écouter", "Reproducir"],
+  "Move to folder": ["In Ordner verschieben", "Déplacer vers un dossier", "Mover a carpeta"],
+  "Move to…": ["Verschieben nach…", "Déplacer vers…", "Mover a…"],
+  "Forward to extension": ["An Nebenstelle weiterleiten", "Transférer vers une extension", "Reenviar a una extensión"],
+  "Forward to…": ["Weiterleiten an…", "Transférer vers…", "Reenviar a…"],
+  "Mailbox PIN": ["Postfach-PIN", "Code PIN de la boîte", "PIN del buzón"],
+  "New PIN": ["Neue PIN", "Nouveau code PIN", "PIN nuevo"],
+  "4–10 digits": ["4–10 Ziffern", "4 à 10 chiffres", "4–10 dígitos"],
+  "Reset PIN": ["PIN zurücksetzen", "Réinitialiser le code PIN", "Restablecer PIN"],
+  "Greetings": ["Ansagen", "Annonces", "Saludos"],
+  "recorded": ["aufgenommen", "enregistrée", "grabado"],
+  "system default": ["Systemstandard", "par défaut du système", "predeterminado del sistema"],
+  "Upload the {greeting} greeting": ["Ansage „{greeting}“ hochladen", "Envoyer l'annonce « {greeting} »", "Subir el saludo «{greeting}»"],
+
+  // Call reports, live status and alerts
+  "Only the first {n} calls are counted. Narrow the date range in Call Logs for complete figures.": [
+    "Nur die ersten {n} Anrufe werden gezählt. Grenzen Sie den Zeitraum in der Anrufliste ein, um vollständige Zahlen zu erhalten.",
+    "Seuls les {n} premiers appels sont comptés. Réduisez la période dans le Journal d'appels pour obtenir des chiffres complets.",
+    "Solo se cuentan las primeras {n} llamadas. Acote el intervalo de fechas en el Registro de llamadas para obtener cifras completas.",
+  ],
+  "Could not load call data.": ["Anrufdaten konnten nicht geladen werden.", "Impossible de charger les données d'appel.", "No se pudieron cargar los datos de llamadas."],
+  "loading {done} / {total}…": ["lädt {done} / {total}…", "chargement {done} / {total}…", "cargando {done} / {total}…"],
+  "loading {done}…": ["lädt {done}…", "chargement {done}…", "cargando {done}…"],
+  "{n} calls • {pct}% answered": ["{n} Anrufe • {pct} % angenommen", "{n} appels • {pct} % répondus", "{n} llamadas • {pct} % atendidas"],
+  "Calls per day": ["Anrufe pro Tag", "Appels par jour", "Llamadas por día"],
+  "No calls in range.": ["Keine Anrufe im Zeitraum.", "Aucun appel sur la période.", "No hay llamadas en el periodo."],
+  "Busiest hours": ["Stärkste Stunden", "Heures les plus chargées", "Horas de más actividad"],
+  "Outcome": ["Ergebnis", "Issue", "Resultado"],
+  "Top external callers": ["Häufigste externe Anrufer", "Principaux appelants externes", "Principales llamantes externos"],
+  "No inbound calls.": ["Keine eingehenden Anrufe.", "Aucun appel entrant.", "No hay llamadas entrantes."],
+  "Talk time per extension": ["Gesprächszeit pro Nebenstelle", "Temps de conversation par extension", "Tiempo de conversación por extensión"],
+  "Calls": ["Anrufe", "Appels", "Llamadas"],
+  "Answered": ["Angenommen", "Répondus", "Atendidas"],
+  "Avg talk": ["Ø Gespräch", "Conv. moy.", "Conv. media"],
+  "Total talk": ["Gespräch gesamt", "Conv. totale", "Conv. total"],
+  "connecting…": ["verbindet…", "connexion…", "conectando…"],
+  "ARI error": ["ARI-Fehler", "Erreur ARI", "Error de ARI"],
+  "registered": ["registriert", "enregistré", "registrado"],
+  "Can't connect to ARI (attempt {n}). Check the ARI URL, user and password, and that ari.conf allowed_origins lists this page. Test connection in the settings shows which step fails.": [
+    "Keine Verbindung zu ARI (Versuch {n}). Prüfen Sie ARI-URL, Benutzer und Passwort und ob allowed_origins in ari.conf diese Seite enthält. „Verbindung testen“ in den Einstellungen zeigt, welcher Schritt fehlschlägt.",
+    "Connexion à ARI impossible (tentative {n}). Vérifiez l'URL, l'utilisateur et le mot de passe ARI, et que allowed_origins dans ari.conf inclut cette page. « Tester la connexion » dans les réglages indique l'étape qui échoue.",
+    "No se puede conectar con ARI (intento {n}). Compruebe la URL, el usuario y la contraseña de ARI, y que allowed_origins en ari.conf incluya esta página. «Probar conexión» en los ajustes muestra qué paso falla.",
+  ],
+  "Waiting for the ARI event stream…": ["Warte auf den ARI-Ereignisstrom…", "En attente du flux d'événements ARI…", "Esperando el flujo de eventos de ARI…"],
+  "Latency {ms} ms": ["Latenz {ms} ms", "Latence {ms} ms", "Latencia {ms} ms"],
+  "{in}/{all} agents": ["{in}/{all} Agenten", "{in}/{all} agents", "{in}/{all} agentes"],
+  "Waiting callers: {n}": ["Wartende Anrufer: {n}", "Appelants en attente : {n}", "Llamantes en espera: {n}"],
+  "longest {wait}": ["längste {wait}", "le plus long {wait}", "la más larga {wait}"],
+  "Trunk unregistered": ["Amtsleitung nicht registriert", "Trunk non enregistré", "Troncal no registrada"],
+  "Trunk latency above": ["Latenz der Amtsleitung über", "Latence du trunk supérieure à", "Latencia de la troncal superior a"],
+  "Longest queue wait above": ["Längste Wartezeit über", "Attente la plus longue supérieure à", "Espera más larga superior a"],
+  "Callers waiting above": ["Wartende Anrufer über", "Appelants en attente supérieurs à", "Llamantes en espera superiores a"],
+  "Agents logged in below": ["Angemeldete Agenten unter", "Agents connectés inférieurs à", "Agentes conectados inferiores a"],
+  "Desktop": ["Desktop", "Bureau", "Escritorio"],
+  "Sound": ["Ton", "Son", "Sonido"],
+  "Webhook": ["Webhook", "Webhook", "Webhook"],
+  "15 min": ["15 Min.", "15 min", "15 min"],
+  "1 hour": ["1 Stunde", "1 heure", "1 hora"],
+  "4 hours": ["4 Stunden", "4 heures", "4 horas"],
+  "1 day": ["1 Tag", "1 jour", "1 día"],
+  "Critical": ["Kritisch", "Critique", "Crítica"],
+  "Warning": ["Warnung", "Avertissement", "Aviso"],
+  "Could not load alerts.": ["Alarme konnten nicht geladen werden.", "Impossible de charger les alertes.", "No se pudieron cargar las alertas."],
+  "1 to 60 characters": ["1 bis 60 Zeichen", "1 à 60 caractères", "De 1 a 60 caracteres"],
+  "Whole number, 0 to 100000": ["Ganze Zahl, 0 bis 100000", "Nombre entier, de 0 à 100000", "Número entero, de 0 a 100000"],
+  "0 to 86400 seconds": ["0 bis 86400 Sekunden", "0 à 86400 secondes", "De 0 a 86400 segundos"],
+  "Failed to save alert rules: {reason}": ["Alarmregeln konnten nicht gespeichert werden: {reason}", "Échec de l'enregistrement des règles d'alerte : {reason}", "No se pudieron guardar las reglas de alerta: {reason}"],
+  "Sending…": ["Wird gesendet…", "Envoi…", "Enviando…"],
+  "Send": ["Senden", "Envoyer", "Enviar"],
+  "No channels configured": ["Keine Kanäle eingerichtet", "Aucun canal configuré", "No hay canales configurados"],
+  "Alert rules": ["Alarmregeln", "Règles d'alerte", "Reglas de alerta"],
+  "When": ["Wenn", "Quand", "Cuando"],
+  "Limit ({unit})": ["Grenze ({unit})", "Seuil ({unit})", "Límite ({unit})"],
+  "Limit": ["Grenze", "Seuil", "Límite"],
+  "For (s)": ["Dauer (s)", "Pendant (s)", "Durante (s)"],
+  "Queue": ["Warteschlange", "File d'attente", "Cola"],
+  "All": ["Alle", "Toutes", "Todas"],
+  "Severity": ["Schweregrad", "Gravité", "Gravedad"],
+  "+ Add rule": ["+ Regel hinzufügen", "+ Ajouter une règle", "+ Añadir regla"],
+  "Webhook URL": ["Webhook-URL", "URL du webhook", "URL del webhook"],
+  "Email to": ["E-Mail an", "E-mail à", "Correo a"],
+  "Email to (SMTP relay not configured)": ["E-Mail an (SMTP-Relay nicht eingerichtet)", "E-mail à (relais SMTP non configuré)", "Correo a (relé SMTP no configurado)"],
+  "Send test": ["Test senden", "Envoyer un test", "Enviar prueba"],
+  "Alert action failed: {reason}": ["Alarmaktion fehlgeschlagen: {reason}", "Échec de l'action sur l'alerte : {reason}", "La acción sobre la alerta falló: {reason}"],
+  "{n} active": ["{n} aktiv", "{n} active(s)", "{n} activa(s)"],
+  "Enable desktop notifications": ["Desktop-Benachrichtigungen aktivieren", "Activer les notifications du bureau", "Activar las notificaciones de escritorio"],
+  "Desktop notifications are blocked in this browser": ["Desktop-Benachrichtigungen sind in diesem Browser blockiert", "Les notifications du bureau sont bloquées dans ce navigateur", "Las notificaciones de escritorio están bloqueadas en este navegador"],
+  "Rules ({n})": ["Regeln ({n})", "Règles ({n})", "Reglas ({n})"],
+  "Nothing is alerting.": ["Kein Alarm aktiv.", "Aucune alerte en cours.", "No hay alertas activas."],
+  "mock": ["simuliert", "simulée", "simulada"],
+  "for {time}": ["seit {time}", "depuis {time}", "desde hace {time}"],
+  "acknowledged by {user}": ["bestätigt von {user}", "acquittée par {user}", "confirmada por {user}"],
+  "snoozed until {time}": ["stummgeschaltet bis {time}", "en sourdine jusqu'à {time}", "pospuesta hasta {time}"],
+  "Acknowledge": ["Bestätigen", "Acquitter", "Confirmar"],
+  "Snooze…": ["Stummschalten…", "Mettre en sourdine…", "Posponer…"],
+  "History": ["Verlauf", "Historique", "Historial"],
+  "Filter by rule, trunk, queue, user": ["Nach Regel, Amtsleitung, Warteschlange, Benutzer filtern", "Filtrer par règle, trunk, file, utilisateur", "Filtrar por regla, troncal, cola, usuario"],
+  "Fired": ["Ausgelöst", "Déclenchée", "Disparada"],
+  "Rule": ["Regel", "Règle", "Regla"],
+  "Message": ["Meldung", "Message", "Mensaje"],
+  "Lasted": ["Dauer", "Durée", "Duración"],
+  "Acknowledged": ["Bestätigt", "Acquittée", "Confirmada"],
+  "ongoing": ["andauernd", "en cours", "en curso"],
+  "No alerts yet.": ["Noch keine Alarme.", "Aucune alerte pour l'instant.", "Todavía no hay alertas."],
+
+  // Status history
+  "Could not record status history.": ["Statusverlauf konnte nicht aufgezeichnet werden.", "Impossible d'enregistrer l'historique d'état.", "No se pudo registrar el historial de estado."],
+  "{state} from {time}": ["{state} ab {time}", "{state} depuis {time}", "{state} desde {time}"],
+  "{pct}% up": ["{pct} % verfügbar", "{pct} % disponible", "{pct} % disponible"],
+  "The start has to be before the end": ["Der Beginn muss vor dem Ende liegen", "Le début doit précéder la fin", "El inicio debe ser anterior al final"],
+  "Could not load history.": ["Verlauf konnte nicht geladen werden.", "Impossible de charger l'historique.", "No se pudo cargar el historial."],
+  "UI server": ["UI-Server", "Serveur de l'interface", "Servidor de la interfaz"],
+  "Samples CSV": ["Messwerte als CSV", "Mesures en CSV", "Muestras en CSV"],
+  "Calls CSV": ["Anrufe als CSV", "Appels en CSV", "Llamadas en CSV"],
+  "This browser has no IndexedDB, so nothing is recorded here.": ["Dieser Browser hat kein IndexedDB, daher wird hier nichts aufgezeichnet.", "Ce navigateur n'a pas IndexedDB, rien n'est donc enregistré ici.", "Este navegador no tiene IndexedDB, así que aquí no se registra nada."],
+  "No samples in this range yet. They are recorded every {n} s while a console is open.": [
+    "Noch keine Messwerte in diesem Zeitraum. Sie werden alle {n} s aufgezeichnet, solange eine Konsole geöffnet ist.",
+    "Aucune mesure sur cette période pour l'instant. Elles sont enregistrées toutes les {n} s tant qu'une console est ouverte.",
+    "Aún no hay muestras en este periodo. Se registran cada {n} s mientras haya una consola abierta.",
+  ],
+  "Trunk state": ["Zustand der Amtsleitungen", "État des trunks", "Estado de las troncales"],
+  "{n} state changes": ["{n} Zustandswechsel", "{n} changements d'état", "{n} cambios de estado"],
+  "Trunk latency (p50 solid, p95 dashed)": ["Latenz der Amtsleitungen (p50 durchgezogen, p95 gestrichelt)", "Latence des trunks (p50 en trait plein, p95 en pointillés)", "Latencia de las troncales (p50 continua, p95 discontinua)"],
+  "Callers waiting (peak per interval)": ["Wartende Anrufer (Spitze pro Intervall)", "Appelants en attente (pic par intervalle)", "Llamantes en espera (pico por intervalo)"],
+  "Service level": ["Servicelevel", "Niveau de service", "Nivel de servicio"],
+  "answered within": ["angenommen innerhalb", "répondus en moins de", "atendidas en"],
+  "Abandoned": ["Aufgelegt", "Abandonnés", "Abandonadas"],
+  "Agent occupancy (on a call / logged in)": ["Agentenauslastung (im Gespräch / angemeldet)", "Occupation des agents (en appel / connectés)", "Ocupación de agentes (en llamada / conectados)"],
+
+  // Trunks
+  "Both": ["Beide", "Les deux", "Ambas"],
+  "Allow any caller ID": ["Jede Anrufer-ID erlauben", "Autoriser tout identifiant d'appelant", "Permitir cualquier ID de llamante"],
+  "Block foreign caller IDs": ["Fremde Anrufer-IDs sperren", "Bloquer les identifiants d'appelant externes", "Bloquear los ID de llamante ajenos"],
+  "Remove CNAM": ["CNAM entfernen", "Supprimer le CNAM", "Quitar el CNAM"],
+  "Force trunk caller ID": ["Anrufer-ID der Amtsleitung erzwingen", "Forcer l'identifiant d'appelant du trunk", "Forzar el ID de llamante de la troncal"],
+  "Auth & registration": ["Authentifizierung & Registrierung", "Authentification et enregistrement", "Autenticación y registro"],
+  "1-40 letters, digits, _ . or - (it becomes the PJSIP endpoint name)": ["1–40 Buchstaben, Ziffern, _ . oder - (wird zum Namen des PJSIP-Endpunkts)", "1 à 40 lettres, chiffres, _ . ou - (devient le nom du point de terminaison PJSIP)", "De 1 a 40 letras, dígitos, _ . o - (será el nombre del endpoint PJSIP)"],
+  "Another trunk already uses this name": ["Eine andere Amtsleitung verwendet diesen Namen bereits", "Un autre trunk utilise déjà ce nom", "Otra troncal ya usa este nombre"],
+  "Required unless the provider registers to you": ["Erforderlich, außer der Anbieter registriert sich bei Ihnen", "Obligatoire sauf si le fournisseur s'enregistre auprès de vous", "Obligatorio salvo que el proveedor se registre con usted"],
+  "Host name or IP address": ["Hostname oder IP-Adresse", "Nom d'hôte ou adresse IP", "Nombre de host o dirección IP"],
+  "1 to 65535": ["1 bis 65535", "1 à 65535", "De 1 a 65535"],
+  "0 (off) to 3600 seconds": ["0 (aus) bis 3600 Sekunden", "0 (désactivé) à 3600 secondes", "De 0 (desactivado) a 3600 segundos"],
+  "Required for outbound authentication or registration": ["Erforderlich für ausgehende Authentifizierung oder Registrierung", "Obligatoire pour l'authentification sortante ou l'enregistrement", "Obligatorio para la autenticación saliente o el registro"],
+  "Letters, digits and _ . + - only": ["Nur Buchstaben, Ziffern und _ . + -", "Lettres, chiffres et _ . + - uniquement", "Solo letras, dígitos y _ . + -"],
+  "Blank for unlimited, or 1 to 1000": ["Leer für unbegrenzt, oder 1 bis 1000", "Vide pour illimité, ou 1 à 1000", "Vacío para ilimitado, o de 1 a 1000"],
+  "Rule {n}: needs a match pattern (X N Z [1-5] . !); prepend and prefix take digits * # + only": [
+    "Regel {n}: braucht ein Suchmuster (X N Z [1-5] . !); Voranstellen und Präfix nehmen nur Ziffern * # +",
+    "Règle {n} : il faut un motif (X N Z [1-5] . !) ; le préfixe ajouté et le préfixe retiré n'acceptent que des chiffres * # +",
+    "Regla {n}: necesita un patrón (X N Z [1-5] . !); anteponer y prefijo solo admiten dígitos * # +",
+  ],
+  "not enough data": ["zu wenig Daten", "pas assez de données", "datos insuficientes"],
+  "min {min}, max {max}": ["min. {min}, max. {max}", "min. {min}, max. {max}", "mín. {min}, máx. {max}"],
+  "Edit trunk {name}": ["Amtsleitung {name} bearbeiten", "Modifier le trunk {name}", "Editar la troncal {name}"],
+  "Add trunk": ["Amtsleitung hinzufügen", "Ajouter un trunk", "Añadir troncal"],
+  "Trunk name": ["Name der Amtsleitung", "Nom du trunk", "Nombre de la troncal"],
+  "SIP server": ["SIP-Server", "Serveur SIP", "Servidor SIP"],
+  "Port": ["Port", "Port", "Puerto"],
+  "Qualify every (s)": ["Qualify alle (s)", "Qualify toutes les (s)", "Qualify cada (s)"],
+  "Authentication": ["Authentifizierung", "Authentification", "Autenticación"],
+  "Registration": ["Registrierung", "Enregistrement", "Registro"],
+  "Secret (blank keeps it)": ["Passwort (leer = unverändert)", "Secret (vide pour le conserver)", "Clave (vacía para conservarla)"],
+  "From domain (optional)": ["From-Domain (optional)", "Domaine From (facultatif)", "Dominio From (opcional)"],
+  "Contact user (optional)": ["Contact-Benutzer (optional)", "Utilisateur Contact (facultatif)", "Usuario Contact (opcional)"],
+  "Caller ID options": ["Anrufer-ID-Optionen", "Options d'identifiant d'appelant", "Opciones de ID de llamante"],
+  "Max channels (blank = unlimited)": ["Max. Kanäle (leer = unbegrenzt)", "Canaux max. (vide = illimité)", "Canales máx. (vacío = ilimitado)"],
+  "Dialed number manipulation (first match wins)": ["Bearbeitung der gewählten Nummer (erster Treffer gilt)", "Transformation du numéro composé (la première correspondance l'emporte)", "Manipulación del número marcado (gana la primera coincidencia)"],
+  "prepend": ["voranstellen", "ajouter", "anteponer"],
+  "prefix": ["Präfix", "préfixe", "prefijo"],
+  "match pattern": ["Suchmuster", "motif", "patrón"],
+  "The prefix is stripped before dialing and the prepend is added, e.g. prefix 0, match NXXXXXXXX, prepend 61.": [
+    "Das Präfix wird vor dem Wählen entfernt und das Vorangestellte hinzugefügt, z. B. Präfix 0, Muster NXXXXXXXX, voranstellen 61.",
+    "Le préfixe est retiré avant la numérotation et l'ajout est placé devant, p. ex. préfixe 0, motif NXXXXXXXX, ajouter 61.",
+    "El prefijo se quita antes de marcar y se antepone lo indicado, p. ej. prefijo 0, patrón NXXXXXXXX, anteponer 61.",
+  ],
+  "Could not load trunks.": ["Amtsleitungen konnten nicht geladen werden.", "Impossible de charger les trunks.", "No se pudieron cargar las troncales."],
+  "Failed to add trunk: {reason}": ["Amtsleitung konnte nicht hinzugefügt werden: {reason}", "Échec de l'ajout du trunk : {reason}", "No se pudo añadir la troncal: {reason}"],
+  "Failed to update {name}: {reason}": ["{name} konnte nicht aktualisiert werden: {reason}", "Échec de la mise à jour de {name} : {reason}", "No se pudo actualizar {name}: {reason}"],
+  "Disable {name}? Calls routed to it will fail over or fail.": ["{name} deaktivieren? Dorthin geleitete Anrufe werden umgeleitet oder schlagen fehl.", "Désactiver {name} ? Les appels qui y sont routés basculeront ou échoueront.", "¿Desactivar {name}? Las llamadas enrutadas a ella pasarán a la alternativa o fallarán."],
+  "Test every enabled trunk every {n} s": ["Alle aktiven Amtsleitungen alle {n} s testen", "Tester chaque trunk actif toutes les {n} s", "Probar cada troncal activa cada {n} s"],
+  "Monitor": ["Überwachen", "Surveiller", "Supervisar"],
+  "Refresh": ["Aktualisieren", "Actualiser", "Actualizar"],
+  "Server": ["Server", "Serveur", "Servidor"],
+  "State": ["Zustand", "État", "Estado"],
+  "Latency": ["Latenz", "Latence", "Latencia"],
+  "disabled": ["deaktiviert", "désactivé", "desactivada"],
+  "Tested {time}: {state}": ["Getestet {time}: {state}", "Testé à {time} : {state}", "Probada a las {time}: {state}"],
+  "not tested": ["nicht getestet", "non testé", "sin probar"],
+  "Testing…": ["Wird getestet…", "Test en cours…", "Probando…"],
+  "Test": ["Testen", "Tester", "Probar"],
+  "Disable": ["Deaktivieren", "Désactiver", "Desactivar"],
+  "No trunks": ["Keine Amtsleitungen", "Aucun trunk", "No hay troncales"],
+
+  // Call routing
+  "Ring group": ["Rufgruppe", "Groupe d'appel", "Grupo de timbrado"],
+  "Time condition": ["Zeitbedingung", "Condition horaire", "Condición horaria"],
+  "Hang up": ["Auflegen", "Raccrocher", "Colgar"],
+  "trunk (forced)": ["Amtsleitung (erzwungen)", "trunk (forcé)", "troncal (forzado)"],
+  "route (overrides extension)": ["Route (übersteuert Nebenstelle)", "route (prioritaire sur l'extension)", "ruta (anula la extensión)"],
+  "extension caller ID": ["Anrufer-ID der Nebenstelle", "identifiant d'appelant de l'extension", "ID de llamante de la extensión"],
+  "DID doesn't match": ["Durchwahl passt nicht", "la SDA ne correspond pas", "el DDI no coincide"],
+  "caller ID doesn't match": ["Anrufer-ID passt nicht", "l'identifiant d'appelant ne correspond pas", "el ID de llamante no coincide"],
+  "DID + caller ID": ["Durchwahl + Anrufer-ID", "SDA + identifiant d'appelant", "DDI + ID de llamante"],
+  "any DID / any caller": ["jede Durchwahl / jeder Anrufer", "toute SDA / tout appelant", "cualquier DDI / cualquier llamante"],
+  "caller ID": ["Anrufer-ID", "identifiant d'appelant", "ID de llamante"],
+  "Pick a destination": ["Ziel wählen", "Choisissez une destination", "Elija un destino"],
+  "Pick a target": ["Ziel auswählen", "Choisissez une cible", "Elija un objetivo"],
+  "{kind} {target} does not exist": ["{kind} {target} existiert nicht", "{kind} {target} n'existe pas", "{kind} {target} no existe"],
+  "2 to 6 digit number": ["Nummer mit 2 bis 6 Ziffern", "Numéro de 2 à 6 chiffres", "Número de 2 a 6 dígitos"],
+  "Target": ["Ziel", "Cible", "Objetivo"],
+  "Choose…": ["Auswählen…", "Choisir…", "Elegir…"],
+  "id": ["ID", "identifiant", "id"],
+  "number": ["Nummer", "numéro", "número"],
+  "1 to 50 characters": ["1 bis 50 Zeichen", "1 à 50 caractères", "De 1 a 50 caracteres"],
+  "Blank for any, a number, or a _pattern": ["Leer für alle, eine Nummer oder ein _Muster", "Vide pour tous, un numéro ou un _motif", "Vacío para cualquiera, un número o un _patrón"],
+  "Another route already handles DID “{did}” / CID “{cid}”": ["Eine andere Route behandelt bereits Durchwahl „{did}“ / CID „{cid}“", "Une autre route traite déjà la SDA « {did} » / CID « {cid} »", "Otra ruta ya atiende el DDI «{did}» / CID «{cid}»"],
+  "any": ["alle", "tous", "cualquiera"],
+  "1-50 letters, digits, _ or -": ["1–50 Buchstaben, Ziffern, _ oder -", "1 à 50 lettres, chiffres, _ ou -", "De 1 a 50 letras, dígitos, _ o -"],
+  "Another route uses this name": ["Eine andere Route verwendet diesen Namen", "Une autre route utilise ce nom", "Otra ruta usa este nombre"],
+  "Add at least one dial pattern": ["Mindestens ein Wählmuster hinzufügen", "Ajoutez au moins un motif de numérotation", "Añada al menos un patrón de marcación"],
+  "Pattern {n}: needs a match (X N Z [1-5] . !); prepend and prefix take digits * # + only": [
+    "Muster {n}: braucht ein Suchmuster (X N Z [1-5] . !); Voranstellen und Präfix nehmen nur Ziffern * # +",
+    "Motif {n} : il faut une correspondance (X N Z [1-5] . !) ; le préfixe ajouté et le préfixe retiré n'acceptent que des chiffres * # +",
+    "Patrón {n}: necesita una coincidencia (X N Z [1-5] . !); anteponer y prefijo solo admiten dígitos * # +",
+  ],
+  "Add at least one trunk": ["Mindestens eine Amtsleitung hinzufügen", "Ajoutez au moins un trunk", "Añada al menos una troncal"],
+  "Edit inbound route": ["Eingehende Route bearbeiten", "Modifier la route entrante", "Editar la ruta entrante"],
+  "Add inbound route": ["Eingehende Route hinzufügen", "Ajouter une route entrante", "Añadir ruta entrante"],
+  "Description": ["Beschreibung", "Description", "Descripción"],
+  "DID number (blank = any)": ["Durchwahl (leer = alle)", "Numéro SDA (vide = tous)", "Número DDI (vacío = cualquiera)"],
+  "Caller ID number (blank = any)": ["Anrufer-ID-Nummer (leer = alle)", "Numéro d'appelant (vide = tous)", "Número de llamante (vacío = cualquiera)"],
+  "Edit outbound route {name}": ["Ausgehende Route {name} bearbeiten", "Modifier la route sortante {name}", "Editar la ruta saliente {name}"],
+  "Add outbound route": ["Ausgehende Route hinzufügen", "Ajouter une route sortante", "Añadir ruta saliente"],
+  "Route name": ["Name der Route", "Nom de la route", "Nombre de la ruta"],
+  "Route caller ID": ["Anrufer-ID der Route", "Identifiant d'appelant de la route", "ID de llamante de la ruta"],
+  "Route caller ID overrides extension caller IDs": ["Anrufer-ID der Route übersteuert die der Nebenstellen", "L'identifiant de la route prime sur ceux des extensions", "El ID de llamante de la ruta anula los de las extensiones"],
+  "Emergency route": ["Notrufroute", "Route d'urgence", "Ruta de emergencia"],
+  "Dial patterns (prepend + prefix | match / caller ID)": ["Wählmuster (voranstellen + Präfix | Muster / Anrufer-ID)", "Motifs de numérotation (ajout + préfixe | motif / identifiant d'appelant)", "Patrones de marcación (anteponer + prefijo | patrón / ID de llamante)"],
+  "match": ["Muster", "motif", "patrón"],
+  "+ Add pattern": ["+ Muster hinzufügen", "+ Ajouter un motif", "+ Añadir patrón"],
+  "Trunk sequence (tried in order)": ["Amtsleitungsfolge (der Reihe nach versucht)", "Séquence de trunks (essayés dans l'ordre)", "Secuencia de troncales (se prueban en orden)"],
+  "What happens if I dial…": ["Was passiert, wenn ich wähle…", "Que se passe-t-il si je compose…", "Qué pasa si marco…"],
+  "Number": ["Nummer", "Numéro", "Número"],
+  "From extension": ["Von Nebenstelle", "Depuis l'extension", "Desde la extensión"],
+  "(any)": ["(beliebig)", "(quelconque)", "(cualquiera)"],
+  "Route": ["Route", "Route", "Ruta"],
+  "via pattern": ["über Muster", "via le motif", "mediante el patrón"],
+  "sends": ["sendet", "envoie", "envía"],
+  "trunk rule {n}": ["Amtsleitungsregel {n}", "règle du trunk {n}", "regla de troncal {n}"],
+  "No usable trunk: the call fails.": ["Keine nutzbare Amtsleitung: Der Anruf schlägt fehl.", "Aucun trunk utilisable : l'appel échoue.", "Ninguna troncal utilizable: la llamada falla."],
+  "from {source}": ["von {source}", "de {source}", "de {source}"],
+  "Skipped {trunk}: {reason}": ["{trunk} übersprungen: {reason}", "{trunk} ignoré : {reason}", "{trunk} omitida: {reason}"],
+  "No outbound route matches; the caller hears “all circuits are busy”.": ["Keine ausgehende Route passt; der Anrufer hört „alle Leitungen sind belegt“.", "Aucune route sortante ne correspond ; l'appelant entend « tous les circuits sont occupés ».", "Ninguna ruta saliente coincide; el llamante oye «todos los circuitos están ocupados»."],
+  "would match, but a route above wins": ["würde passen, aber eine Route darüber gewinnt", "correspondrait, mais une route au-dessus l'emporte", "coincidiría, pero gana una ruta superior"],
+  "What happens if X calls DID Y…": ["Was passiert, wenn X die Durchwahl Y anruft…", "Que se passe-t-il si X appelle la SDA Y…", "Qué pasa si X llama al DDI Y…"],
+  "Caller ID (X)": ["Anrufer-ID (X)", "Identifiant d'appelant (X)", "ID de llamante (X)"],
+  "DID (Y)": ["Durchwahl (Y)", "SDA (Y)", "DDI (Y)"],
+  "matched on {reason}": ["Treffer über {reason}", "correspondance sur {reason}", "coincide por {reason}"],
+  "Goes to {destination}": ["Geht an {destination}", "Va vers {destination}", "Va a {destination}"],
+  "No inbound route matches; FreePBX plays its “number not in service” message.": ["Keine eingehende Route passt; FreePBX spielt die Ansage „Kein Anschluss unter dieser Nummer“.", "Aucune route entrante ne correspond ; FreePBX diffuse son message « numéro non attribué ».", "Ninguna ruta entrante coincide; FreePBX reproduce su mensaje «número fuera de servicio»."],
+  "matches on {reason}": ["passt über {reason}", "correspond sur {reason}", "coincide por {reason}"],
+  "Could not load routes.": ["Routen konnten nicht geladen werden.", "Impossible de charger les routes.", "No se pudieron cargar las rutas."],
+  "Failed to save route: {reason}": ["Route konnte nicht gespeichert werden: {reason}", "Échec de l'enregistrement de la route : {reason}", "No se pudo guardar la ruta: {reason}"],
+  "Failed to delete route: {reason}": ["Route konnte nicht gelöscht werden: {reason}", "Échec de la suppression de la route : {reason}", "No se pudo eliminar la ruta: {reason}"],
+  "Failed to reorder routes: {reason}": ["Routen konnten nicht neu geordnet werden: {reason}", "Échec du réordonnancement des routes : {reason}", "No se pudieron reordenar las rutas: {reason}"],
+  "Inbound ({n})": ["Eingehend ({n})", "Entrantes ({n})", "Entrantes ({n})"],
+  "Outbound ({n})": ["Ausgehend ({n})", "Sortantes ({n})", "Salientes ({n})"],
+  "Simulator": ["Simulator", "Simulateur", "Simulador"],
+  "Add route": ["Route hinzufügen", "Ajouter une route", "Añadir ruta"],
+  "Destination": ["Ziel", "Destination", "Destino"],
+  "No inbound routes": ["Keine eingehenden Routen", "Aucune route entrante", "No hay rutas entrantes"],
+  "Dial patterns": ["Wählmuster", "Motifs de numérotation", "Patrones de marcación"],
+  "emergency": ["Notruf", "urgence", "emergencia"],
+  "Evaluate earlier": ["Früher auswerten", "Évaluer plus tôt", "Evaluar antes"],
+  "Evaluate later": ["Später auswerten", "Évaluer plus tard", "Evaluar después"],
+  "No outbound routes": ["Keine ausgehenden Routen", "Aucune route sortante", "No hay rutas salientes"],
+
+  // Queues and ring groups
+  "Least recent": ["Am längsten frei", "Le moins récent", "Menos reciente"],
+  "Fewest calls": ["Wenigste Anrufe", "Le moins d'appels", "Menos llamadas"],
+  "Round robin (memory)": ["Reihum (mit Gedächtnis)", "Tourniquet (mémorisé)", "Rotativo (con memoria)"],
+  "Round robin (ordered)": ["Reihum (geordnet)", "Tourniquet (ordonné)", "Rotativo (ordenado)"],
+  "Linear": ["Linear", "Linéaire", "Lineal"],
+  "Weighted random": ["Gewichteter Zufall", "Aléatoire pondéré", "Aleatorio ponderado"],
+  "Add queue": ["Warteschlange hinzufügen", "Ajouter une file d'attente", "Añadir cola"],
+  "Edit queue {id}": ["Warteschlange {id} bearbeiten", "Modifier la file d'attente {id}", "Editar la cola {id}"],
+  "No queues": ["Keine Warteschlangen", "Aucune file d'attente", "No hay colas"],
+  "A queue can't fail over to itself": ["Eine Warteschlange kann nicht auf sich selbst ausweichen", "Une file d'attente ne peut pas basculer sur elle-même", "Una cola no puede desviarse a sí misma"],
+  "Delete queue {id} {name}?": ["Warteschlange {id} {name} löschen?", "Supprimer la file d'attente {id} {name} ?", "¿Eliminar la cola {id} {name}?"],
+  "Failed to save queue: {reason}": ["Warteschlange konnte nicht gespeichert werden: {reason}", "Échec de l'enregistrement de la file d'attente : {reason}", "No se pudo guardar la cola: {reason}"],
+  "Failed to delete queue: {reason}": ["Warteschlange konnte nicht gelöscht werden: {reason}", "Échec de la suppression de la file d'attente : {reason}", "No se pudo eliminar la cola: {reason}"],
+  "Add ring group": ["Rufgruppe hinzufügen", "Ajouter un groupe d'appel", "Añadir grupo de timbrado"],
+  "Edit ring group {id}": ["Rufgruppe {id} bearbeiten", "Modifier le groupe d'appel {id}", "Editar el grupo de timbrado {id}"],
+  "No ring groups": ["Keine Rufgruppen", "Aucun groupe d'appel", "No hay grupos de timbrado"],
+  "A ring group can't fail over to itself": ["Eine Rufgruppe kann nicht auf sich selbst ausweichen", "Un groupe d'appel ne peut pas basculer sur lui-même", "Un grupo de timbrado no puede desviarse a sí mismo"],
+  "Delete ring group {id} {name}?": ["Rufgruppe {id} {name} löschen?", "Supprimer le groupe d'appel {id} {name} ?", "¿Eliminar el grupo de timbrado {id} {name}?"],
+  "Failed to save ring group: {reason}": ["Rufgruppe konnte nicht gespeichert werden: {reason}", "Échec de l'enregistrement du groupe d'appel : {reason}", "No se pudo guardar el grupo de timbrado: {reason}"],
+  "Failed to delete ring group: {reason}": ["Rufgruppe konnte nicht gelöscht werden: {reason}", "Échec de la suppression du groupe d'appel : {reason}", "No se pudo eliminar el grupo de timbrado: {reason}"],
+  "Failed to log in {agent}: {reason}": ["{agent} konnte nicht angemeldet werden: {reason}", "Échec de la connexion de {agent} : {reason}", "No se pudo conectar a {agent}: {reason}"],
+  "Failed to log out {agent}: {reason}": ["{agent} konnte nicht abgemeldet werden: {reason}", "Échec de la déconnexion de {agent} : {reason}", "No se pudo desconectar a {agent}: {reason}"],
+  "Failed to pause {agent}: {reason}": ["{agent} konnte nicht pausiert werden: {reason}", "Échec de la mise en pause de {agent} : {reason}", "No se pudo pausar a {agent}: {reason}"],
+  "Failed to unpause {agent}: {reason}": ["Pause von {agent} konnte nicht beendet werden: {reason}", "Échec de la reprise de {agent} : {reason}", "No se pudo reanudar a {agent}: {reason}"],
+  "Idle": ["Frei", "Libre", "Libre"],
+  "On call": ["Im Gespräch", "En appel", "En llamada"],
+  "Paused": ["Pausiert", "En pause", "En pausa"],
+  "Logged out": ["Abgemeldet", "Déconnecté", "Desconectado"],
+  "Break": ["Pause", "Pause", "Descanso"],
+  "Lunch": ["Mittagessen", "Déjeuner", "Comida"],
+  "Meeting": ["Besprechung", "Réunion", "Reunión"],
+  "Training": ["Schulung", "Formation", "Formación"],
+  "After-call work": ["Nachbearbeitung", "Post-appel", "Trabajo posllamada"],
+  "2 to 6 digits": ["2 bis 6 Ziffern", "2 à 6 chiffres", "De 2 a 6 dígitos"],
+  "Already used by {what}": ["Bereits verwendet von {what}", "Déjà utilisé par {what}", "Ya lo usa {what}"],
+  "System recording name": ["Name einer Systemaufnahme", "Nom d'un enregistrement système", "Nombre de una grabación del sistema"],
+  "0 (no limit) to 86400 seconds": ["0 (unbegrenzt) bis 86400 Sekunden", "0 (sans limite) à 86400 secondes", "De 0 (sin límite) a 86400 segundos"],
+  "Set how often to play the announcement": ["Legen Sie fest, wie oft die Ansage gespielt wird", "Indiquez à quelle fréquence diffuser l'annonce", "Indique cada cuánto se reproduce el anuncio"],
+  "{member}: use PJSIP/1001 or Local/0412…@from-queue/n with a penalty of 0 to 10": ["{member}: PJSIP/1001 oder Local/0412…@from-queue/n mit einer Strafe von 0 bis 10 verwenden", "{member} : utilisez PJSIP/1001 ou Local/0412…@from-queue/n avec une pénalité de 0 à 10", "{member}: use PJSIP/1001 o Local/0412…@from-queue/n con una penalización de 0 a 10"],
+  "(blank)": ["(leer)", "(vide)", "(vacío)"],
+  "Add at least one member": ["Mindestens ein Mitglied hinzufügen", "Ajoutez au moins un membre", "Añada al menos un miembro"],
+  "{member}: an extension, or an external number ending in #": ["{member}: eine Nebenstelle oder eine externe Nummer mit # am Ende", "{member} : une extension, ou un numéro externe terminé par #", "{member}: una extensión, o un número externo terminado en #"],
+  "{member} is listed twice": ["{member} ist doppelt aufgeführt", "{member} figure deux fois", "{member} aparece dos veces"],
+  "Agent ring timeout (s)": ["Klingeldauer pro Agent (s)", "Durée de sonnerie par agent (s)", "Tiempo de timbre por agente (s)"],
+  "Retry after (s)": ["Erneut versuchen nach (s)", "Nouvel essai après (s)", "Reintentar tras (s)"],
+  "Max wait before failover (s, 0 = no limit)": ["Max. Wartezeit vor Ausweichziel (s, 0 = unbegrenzt)", "Attente max. avant basculement (s, 0 = sans limite)", "Espera máx. antes del desvío (s, 0 = sin límite)"],
+  "Music on hold class": ["Wartemusik-Klasse", "Classe de musique d'attente", "Clase de música en espera"],
+  "Join announcement (system recording)": ["Begrüßungsansage (Systemaufnahme)", "Annonce d'entrée (enregistrement système)", "Anuncio de entrada (grabación del sistema)"],
+  "none": ["keine", "aucune", "ninguno"],
+  "Periodic announcement": ["Wiederkehrende Ansage", "Annonce périodique", "Anuncio periódico"],
+  "Repeat every (s, 0 = off)": ["Wiederholen alle (s, 0 = aus)", "Répéter toutes les (s, 0 = désactivé)", "Repetir cada (s, 0 = desactivado)"],
+  "Static agents (lower penalty is offered calls first)": ["Statische Agenten (niedrigere Strafe erhält Anrufe zuerst)", "Agents statiques (la pénalité la plus basse reçoit les appels en premier)", "Agentes estáticos (la penalización menor recibe las llamadas primero)"],
+  "Members": ["Mitglieder", "Membres", "Miembros"],
+  "Penalty": ["Strafe", "Pénalité", "Penalización"],
+  "Add extension…": ["Nebenstelle hinzufügen…", "Ajouter une extension…", "Añadir extensión…"],
+  "Add": ["Hinzufügen", "Ajouter", "Añadir"],
+  "Failover when nobody answers or max wait passes": ["Ausweichziel, wenn niemand annimmt oder die max. Wartezeit abläuft", "Basculement si personne ne répond ou si l'attente max. est dépassée", "Desvío si nadie contesta o se supera la espera máxima"],
+  "Failover when nobody answers": ["Ausweichziel, wenn niemand annimmt", "Basculement si personne ne répond", "Desvío si nadie contesta"],
+  "Agent": ["Agent", "Agent", "Agente"],
+  "dynamic": ["dynamisch", "dynamique", "dinámico"],
+  "Log in": ["Anmelden", "Connecter", "Conectar"],
+  "Unpause": ["Pause beenden", "Reprendre", "Reanudar"],
+  "Pause…": ["Pausieren…", "Pause…", "Pausar…"],
+  "Log out": ["Abmelden", "Déconnecter", "Desconectar"],
+  "No agents": ["Keine Agenten", "Aucun agent", "No hay agentes"],
+  "Log in another agent…": ["Weiteren Agenten anmelden…", "Connecter un autre agent…", "Conectar otro agente…"],
+  "Waiting callers ({n})": ["Wartende Anrufer ({n})", "Appelants en attente ({n})", "Llamantes en espera ({n})"],
+  "anonymous": ["anonym", "anonyme", "anónimo"],
+  "Nobody waiting": ["Niemand wartet", "Personne en attente", "Nadie en espera"],
+  "extension {id}": ["Nebenstelle {id}", "l'extension {id}", "la extensión {id}"],
+  "queue {id} {name}": ["Warteschlange {id} {name}", "la file d'attente {id} {name}", "la cola {id} {name}"],
+  "ring group {id} {name}": ["Rufgruppe {id} {name}", "le groupe d'appel {id} {name}", "el grupo de timbrado {id} {name}"],
+  "Could not load queues and ring groups.": ["Warteschlangen und Rufgruppen konnten nicht geladen werden.", "Impossible de charger les files d'attente et les groupes d'appel.", "No se pudieron cargar las colas y los grupos de timbrado."],
+  "Failover": ["Ausweichziel", "Basculement", "Desvío"],
+  "Live": ["Live", "En direct", "En vivo"],
+  "Queues ({n})": ["Warteschlangen ({n})", "Files d'attente ({n})", "Colas ({n})"],
+  "Ring groups ({n})": ["Rufgruppen ({n})", "Groupes d'appel ({n})", "Grupos de timbrado ({n})"],
+  "Ring groups": ["Rufgruppen", "Groupes d'appel", "Grupos de timbrado"],
+
+  // Call flows
+  "Name: 1 to 50 characters": ["Name: 1 bis 50 Zeichen", "Nom : 1 à 50 caractères", "Nombre: de 1 a 50 caracteres"],
+  "Add a weekly rule or a date": ["Eine wöchentliche Regel oder ein Datum hinzufügen", "Ajoutez une règle hebdomadaire ou une date", "Añada una regla semanal o una fecha"],
+  "Weekly rule {n}: pick days and two different HH:MM times": ["Wochenregel {n}: Tage und zwei verschiedene HH:MM-Zeiten wählen", "Règle hebdomadaire {n} : choisissez des jours et deux heures HH:MM différentes", "Regla semanal {n}: elija días y dos horas HH:MM distintas"],
+  "Weekly": ["Wöchentlich", "Hebdomadaire", "Semanal"],
+  "Date {n}: YYYY-MM-DD, and the end can't be before the start": ["Datum {n}: JJJJ-MM-TT, und das Ende darf nicht vor dem Beginn liegen", "Date {n} : AAAA-MM-JJ, et la fin ne peut pas précéder le début", "Fecha {n}: AAAA-MM-DD, y el final no puede ser anterior al inicio"],
+  "any DID": ["jede Durchwahl", "toute SDA", "cualquier DDI"],
+  "Call arrives": ["Anruf kommt an", "Appel entrant", "Llega la llamada"],
+  "(unnamed IVR)": ["(IVR ohne Namen)", "(SVI sans nom)", "(IVR sin nombre)"],
+  "plays {name}": ["spielt {name}", "diffuse {name}", "reproduce {name}"],
+  "no announcement": ["keine Ansage", "aucune annonce", "sin anuncio"],
+  "Press {digit}": ["Taste {digit}", "Touche {digit}", "Pulsar {digit}"],
+  "Invalid": ["Ungültig", "Invalide", "No válida"],
+  "Timeout": ["Zeitüberschreitung", "Délai dépassé", "Tiempo agotado"],
+  "(unnamed)": ["(ohne Namen)", "(sans nom)", "(sin nombre)"],
+  "now matches": ["trifft jetzt zu", "correspond maintenant", "coincide ahora"],
+  "now otherwise": ["jetzt sonst", "sinon maintenant", "ahora no"],
+  "no calendar": ["kein Kalender", "aucun calendrier", "sin calendario"],
+  "In {calendar}": ["In {calendar}", "Dans {calendar}", "En {calendar}"],
+  "Matches": ["Trifft zu", "Correspond", "Coincide"],
+  "Otherwise": ["Sonst", "Sinon", "Si no"],
+  "Queue {id}": ["Warteschlange {id}", "File d'attente {id}", "Cola {id}"],
+  "Ring group {id}": ["Rufgruppe {id}", "Groupe d'appel {id}", "Grupo de timbrado {id}"],
+  "does not exist": ["existiert nicht", "n'existe pas", "no existe"],
+  "{name} does not exist": ["{name} existiert nicht", "{name} n'existe pas", "{name} no existe"],
+  "{name}: “{port}” is a dead end": ["{name}: „{port}“ ist eine Sackgasse", "{name} : « {port} » est une impasse", "{name}: «{port}» es un callejón sin salida"],
+  "IVR {id} needs a name": ["IVR {id} braucht einen Namen", "Le SVI {id} doit avoir un nom", "La IVR {id} necesita un nombre"],
+  "{name}: timeout must be 1 to 60 seconds": ["{name}: Zeitüberschreitung muss 1 bis 60 Sekunden betragen", "{name} : le délai doit être de 1 à 60 secondes", "{name}: el tiempo de espera debe ser de 1 a 60 segundos"],
+  "{name}: invalid retries must be 0 to 10": ["{name}: Wiederholungen bei ungültiger Eingabe müssen 0 bis 10 sein", "{name} : les nouvelles tentatives après saisie invalide doivent être de 0 à 10", "{name}: los reintentos por entrada no válida deben ser de 0 a 10"],
+  "{name}: “{option}” is not a valid option (0-9, *, # or 2-4 digits)": ["{name}: „{option}“ ist keine gültige Option (0-9, *, # oder 2–4 Ziffern)", "{name} : « {option} » n'est pas une option valide (0-9, *, # ou 2 à 4 chiffres)", "{name}: «{option}» no es una opción válida (0-9, *, # o 2-4 dígitos)"],
+  "{name}: option {option} is used twice": ["{name}: Option {option} wird doppelt verwendet", "{name} : l'option {option} est utilisée deux fois", "{name}: la opción {option} se usa dos veces"],
+  "{name}: no menu options": ["{name}: keine Menüoptionen", "{name} : aucune option de menu", "{name}: no hay opciones de menú"],
+  "{name}: no announcement, callers hear silence": ["{name}: keine Ansage, Anrufer hören Stille", "{name} : aucune annonce, les appelants n'entendent rien", "{name}: sin anuncio, los llamantes oyen silencio"],
+  "Time condition {id} needs a name": ["Zeitbedingung {id} braucht einen Namen", "La condition horaire {id} doit avoir un nom", "La condición horaria {id} necesita un nombre"],
+  "{name}: pick a calendar": ["{name}: einen Kalender wählen", "{name} : choisissez un calendrier", "{name}: elija un calendario"],
+  "Loop with no caller input: {path}": ["Schleife ohne Eingabe des Anrufers: {path}", "Boucle sans saisie de l'appelant : {path}", "Bucle sin intervención del llamante: {path}"],
+  "{name} is not reachable from any DID": ["{name} ist von keiner Durchwahl aus erreichbar", "{name} n'est accessible depuis aucune SDA", "{name} no es accesible desde ningún DDI"],
+  "Calendars (time groups and holidays)": ["Kalender (Zeitgruppen und Feiertage)", "Calendriers (groupes horaires et jours fériés)", "Calendarios (grupos horarios y festivos)"],
+  "+ Add calendar": ["+ Kalender hinzufügen", "+ Ajouter un calendrier", "+ Añadir calendario"],
+  "Weekly hours": ["Wochenzeiten", "Horaires hebdomadaires", "Horario semanal"],
+  "to": ["bis", "à", "a"],
+  "+ Weekly rule": ["+ Wochenregel", "+ Règle hebdomadaire", "+ Regla semanal"],
+  "Dates and holidays": ["Daten und Feiertage", "Dates et jours fériés", "Fechas y festivos"],
+  "Label": ["Bezeichnung", "Libellé", "Etiqueta"],
+  "+ Date": ["+ Datum", "+ Date", "+ Fecha"],
+  "Matches right now (browser time)": ["Trifft gerade zu (Browserzeit)", "Correspond en ce moment (heure du navigateur)", "Coincide ahora mismo (hora del navegador)"],
+  "Does not match right now (browser time)": ["Trifft gerade nicht zu (Browserzeit)", "Ne correspond pas en ce moment (heure du navigateur)", "No coincide ahora mismo (hora del navegador)"],
+  "Used by {name}": ["Verwendet von {name}", "Utilisé par {name}", "Usado por {name}"],
+  "Delete calendar": ["Kalender löschen", "Supprimer le calendrier", "Eliminar calendario"],
+  "No calendars yet.": ["Noch keine Kalender.", "Aucun calendrier pour l'instant.", "Todavía no hay calendarios."],
+  "Select a node to edit it. Drag from a ● handle onto another node to connect them.": [
+    "Wählen Sie einen Knoten aus, um ihn zu bearbeiten. Ziehen Sie von einem ●-Griff auf einen anderen Knoten, um sie zu verbinden.",
+    "Sélectionnez un nœud pour le modifier. Faites glisser une poignée ● sur un autre nœud pour les relier.",
+    "Seleccione un nodo para editarlo. Arrastre desde un tirador ● hasta otro nodo para conectarlos.",
+  ],
+  "Announcements must be 5 MB or smaller": ["Ansagen dürfen höchstens 5 MB groß sein", "Les annonces ne doivent pas dépasser 5 Mo", "Los anuncios no pueden superar 5 MB"],
+  "Announcement": ["Ansage", "Annonce", "Anuncio"],
+  "None": ["Keine", "Aucun", "Ninguno"],
+  "Uploading…": ["Wird hochgeladen…", "Envoi…", "Subiendo…"],
+  "Upload (WAV or MP3)": ["Hochladen (WAV oder MP3)", "Envoyer (WAV ou MP3)", "Subir (WAV o MP3)"],
+  "Timeout (s)": ["Zeitüberschreitung (s)", "Délai (s)", "Tiempo de espera (s)"],
+  "Invalid retries": ["Wiederholungen bei ungültiger Eingabe", "Tentatives après saisie invalide", "Reintentos por entrada no válida"],
+  "Menu options": ["Menüoptionen", "Options du menu", "Opciones del menú"],
+  "not connected": ["nicht verbunden", "non relié", "sin conectar"],
+  "+ Option": ["+ Option", "+ Option", "+ Opción"],
+  "Calendar": ["Kalender", "Calendrier", "Calendario"],
+  "DIDs come from inbound routes; add or remove them in Call Routing.": ["Durchwahlen stammen aus den eingehenden Routen; fügen Sie sie unter Anrufweiterleitung hinzu oder entfernen Sie sie dort.", "Les SDA proviennent des routes entrantes ; ajoutez-les ou supprimez-les dans Routage des appels.", "Los DDI vienen de las rutas entrantes; añádalos o quítelos en Enrutamiento de llamadas."],
+  "Members and failover are edited in Queues & Ring Groups.": ["Mitglieder und Ausweichziel werden unter Warteschlangen & Rufgruppen bearbeitet.", "Les membres et le basculement se modifient dans Files d'attente et groupes d'appel.", "Los miembros y el desvío se editan en Colas y grupos de timbrado."],
+  "Connections": ["Verbindungen", "Connexions", "Conexiones"],
+  "Delete IVR": ["IVR löschen", "Supprimer le SVI", "Eliminar IVR"],
+  "Delete time condition": ["Zeitbedingung löschen", "Supprimer la condition horaire", "Eliminar condición horaria"],
+  "Discard unsaved changes to the call flow?": ["Nicht gespeicherte Änderungen am Anrufablauf verwerfen?", "Abandonner les modifications non enregistrées du flux d'appels ?", "¿Descartar los cambios sin guardar del flujo de llamada?"],
+  "Could not load the call flow.": ["Der Anrufablauf konnte nicht geladen werden.", "Impossible de charger le flux d'appels.", "No se pudo cargar el flujo de llamada."],
+  "Fix {n} problem(s) before saving:": ["Beheben Sie vor dem Speichern {n} Problem(e):", "Corrigez {n} problème(s) avant d'enregistrer :", "Corrija {n} problema(s) antes de guardar:"],
+  "Failed to save the call flow: {reason}": ["Anrufablauf konnte nicht gespeichert werden: {reason}", "Échec de l'enregistrement du flux d'appels : {reason}", "No se pudo guardar el flujo de llamada: {reason}"],
+  "Delete {name}? Anything that points at it becomes a dead end.": ["{name} löschen? Alles, was darauf verweist, wird zur Sackgasse.", "Supprimer {name} ? Tout ce qui y mène devient une impasse.", "¿Eliminar {name}? Todo lo que apunte a él quedará sin salida."],
+  "unsaved": ["nicht gespeichert", "non enregistré", "sin guardar"],
+  "+ IVR": ["+ IVR", "+ SVI", "+ IVR"],
+  "+ Time condition": ["+ Zeitbedingung", "+ Condition horaire", "+ Condición horaria"],
+  "Calendars": ["Kalender", "Calendriers", "Calendarios"],
+  "Place destination…": ["Ziel platzieren…", "Placer une destination…", "Colocar destino…"],
+  "Auto-arrange": ["Automatisch anordnen", "Disposition automatique", "Organizar automáticamente"],
+  "Reload the current PBX configuration and lay it out from scratch": ["Aktuelle Konfiguration der TK-Anlage neu laden und neu anordnen", "Recharger la configuration actuelle du PBX et la disposer de zéro", "Recargar la configuración actual de la centralita y organizarla desde cero"],
+  "Import from PBX": ["Aus TK-Anlage importieren", "Importer depuis le PBX", "Importar de la centralita"],
+  "Saving…": ["Wird gespeichert…", "Enregistrement…", "Guardando…"],
+  "Edited elsewhere": ["Anderswo bearbeitet", "Modifié ailleurs", "Editado en otro lugar"],
+  "Drag onto a node to connect": ["Auf einen Knoten ziehen, um zu verbinden", "Faites glisser sur un nœud pour relier", "Arrastre sobre un nodo para conectar"],
+  "Nothing to show yet": ["Noch nichts anzuzeigen", "Rien à afficher pour l'instant", "Aún no hay nada que mostrar"],
+
+  // Active calls
+  "Hang up failed for {call}: {reason}": ["Auflegen von {call} fehlgeschlagen: {reason}", "Échec du raccrochage de {call} : {reason}", "No se pudo colgar {call}: {reason}"],
+  "Transfer failed for {call}: {reason}": ["Weiterleitung von {call} fehlgeschlagen: {reason}", "Échec du transfert de {call} : {reason}", "No se pudo transferir {call}: {reason}"],
+  "Spy failed for {call}: {reason}": ["Mithören bei {call} fehlgeschlagen: {reason}", "Échec de l'écoute de {call} : {reason}", "No se pudo escuchar {call}: {reason}"],
+  "Hang up {call}?": ["{call} auflegen?", "Raccrocher {call} ?", "¿Colgar {call}?"],
+  "Blind transfer {call} to extension:": ["{call} blind an Nebenstelle weiterleiten:", "Transférer {call} à l'aveugle vers l'extension :", "Transferir {call} sin consulta a la extensión:"],
+  "“{ext}” is not an extension number": ["„{ext}“ ist keine Nebenstellennummer", "« {ext} » n'est pas un numéro d'extension", "«{ext}» no es un número de extensión"],
+  "Enter your supervisor extension before spying": ["Geben Sie vor dem Mithören Ihre Supervisor-Nebenstelle ein", "Saisissez votre extension de superviseur avant d'écouter", "Introduzca su extensión de supervisor antes de escuchar"],
+  "{n} channels": ["{n} Kanäle", "{n} canaux", "{n} canales"],
+  "Supervisor ext": ["Supervisor-Nst.", "Ext. superviseur", "Ext. supervisor"],
+  "Listen": ["Mithören", "Écouter", "Escuchar"],
+  "Whisper": ["Einflüstern", "Chuchoter", "Susurrar"],
+  "Barge": ["Aufschalten", "Intervenir", "Intervenir"],
+  "Caller": ["Anrufer", "Appelant", "Llamante"],
+  "Callee": ["Angerufener", "Appelé", "Llamado"],
+  "Bridged with": ["Verbunden mit", "Relié à", "Conectado con"],
+  "No calls in progress": ["Keine laufenden Anrufe", "Aucun appel en cours", "No hay llamadas en curso"],
+  "Spy": ["Mithören", "Écouter", "Escuchar"],
+  "Transfer": ["Weiterleiten", "Transférer", "Transferir"],
+
+  // Softphone
+  "Calling…": ["Wählt…", "Appel…", "Llamando…"],
+  "Ringing…": ["Klingelt…", "Sonnerie…", "Sonando…"],
+  "Call ended": ["Anruf beendet", "Appel terminé", "Llamada finalizada"],
+  "Incoming call": ["Eingehender Anruf", "Appel entrant", "Llamada entrante"],
+  "Use a wss:// URL such as wss://pbx.example.com:8089/ws": ["Eine wss://-URL wie wss://pbx.example.com:8089/ws verwenden", "Utilisez une URL wss:// comme wss://pbx.example.com:8089/ws", "Use una URL wss:// como wss://pbx.example.com:8089/ws"],
+  "This page is on HTTPS, so the browser blocks ws://. Use wss://": ["Diese Seite läuft über HTTPS, daher blockiert der Browser ws://. Verwenden Sie wss://", "Cette page est en HTTPS, le navigateur bloque donc ws://. Utilisez wss://", "Esta página usa HTTPS, así que el navegador bloquea ws://. Use wss://"],
+  "Put the password in its own field, not in the URL": ["Passwort in das eigene Feld eintragen, nicht in die URL", "Mettez le mot de passe dans son propre champ, pas dans l'URL", "Ponga la contraseña en su propio campo, no en la URL"],
+  "Enter the PBX's SIP WebSocket": ["SIP-WebSocket der TK-Anlage eingeben", "Saisissez le WebSocket SIP du PBX", "Introduzca el WebSocket SIP de la centralita"],
+  "Letters, digits and . _ + - only": ["Nur Buchstaben, Ziffern und . _ + -", "Lettres, chiffres et . _ + - uniquement", "Solo letras, dígitos y . _ + -"],
+  "Enter your extension": ["Ihre Nebenstelle eingeben", "Saisissez votre extension", "Introduzca su extensión"],
+  "A host name, without sip: or a port": ["Ein Hostname, ohne sip: und ohne Port", "Un nom d'hôte, sans sip: ni port", "Un nombre de host, sin sip: ni puerto"],
+  "Leave out < > and quotes": ["< > und Anführungszeichen weglassen", "Sans < > ni guillemets", "Sin < > ni comillas"],
+  "Enter your desk phone's extension": ["Nebenstelle Ihres Tischtelefons eingeben", "Saisissez l'extension de votre poste fixe", "Introduzca la extensión de su teléfono de escritorio"],
+  "The PBX rejected the extension or password.": ["Die TK-Anlage hat Nebenstelle oder Passwort abgelehnt.", "Le PBX a refusé l'extension ou le mot de passe.", "La centralita rechazó la extensión o la contraseña."],
+  "The connection to the PBX failed.": ["Die Verbindung zur TK-Anlage ist fehlgeschlagen.", "La connexion au PBX a échoué.", "Falló la conexión con la centralita."],
+  "The PBX didn't answer in time.": ["Die TK-Anlage hat nicht rechtzeitig geantwortet.", "Le PBX n'a pas répondu à temps.", "La centralita no respondió a tiempo."],
+  "Busy.": ["Besetzt.", "Occupé.", "Ocupado."],
+  "The call was declined.": ["Der Anruf wurde abgelehnt.", "L'appel a été refusé.", "La llamada fue rechazada."],
+  "Nobody answered.": ["Niemand hat abgenommen.", "Personne n'a répondu.", "Nadie contestó."],
+  "That number doesn't exist.": ["Diese Nummer existiert nicht.", "Ce numéro n'existe pas.", "Ese número no existe."],
+  "That number is incomplete.": ["Diese Nummer ist unvollständig.", "Ce numéro est incomplet.", "Ese número está incompleto."],
+  "Cancelled.": ["Abgebrochen.", "Annulé.", "Cancelada."],
+  "The browser has no microphone access. Allow it for this site and try again.": ["Der Browser hat keinen Mikrofonzugriff. Erlauben Sie ihn für diese Seite und versuchen Sie es erneut.", "Le navigateur n'a pas accès au micro. Autorisez-le pour ce site et réessayez.", "El navegador no tiene acceso al micrófono. Permítalo para este sitio e inténtelo de nuevo."],
+  "The PBX and the browser couldn't agree on audio. Check that the extension has WebRTC enabled.": [
+    "TK-Anlage und Browser konnten sich nicht auf ein Audioformat einigen. Prüfen Sie, ob WebRTC für die Nebenstelle aktiviert ist.",
+    "Le PBX et le navigateur n'ont pas pu s'accorder sur l'audio. Vérifiez que WebRTC est activé pour l'extension.",
+    "La centralita y el navegador no se pusieron de acuerdo en el audio. Compruebe que la extensión tenga WebRTC activado.",
+  ],
+  "The audio connection was lost.": ["Die Audioverbindung ist abgebrochen.", "La connexion audio a été perdue.", "Se perdió la conexión de audio."],
+  "Call ended.": ["Anruf beendet.", "Appel terminé.", "Llamada finalizada."],
+  "Could not load the SIP library: {reason}": ["SIP-Bibliothek konnte nicht geladen werden: {reason}", "Impossible de charger la bibliothèque SIP : {reason}", "No se pudo cargar la biblioteca SIP: {reason}"],
+  "No connection to {url}; retrying. Check the URL and port, and open {check} in a tab once if the browser doesn't trust the PBX certificate yet.": [
+    "Keine Verbindung zu {url}; neuer Versuch läuft. Prüfen Sie URL und Port und öffnen Sie {check} einmal in einem Tab, falls der Browser dem Zertifikat der TK-Anlage noch nicht vertraut.",
+    "Pas de connexion à {url} ; nouvel essai en cours. Vérifiez l'URL et le port, et ouvrez {check} une fois dans un onglet si le navigateur ne fait pas encore confiance au certificat du PBX.",
+    "Sin conexión con {url}; reintentando. Compruebe la URL y el puerto, y abra {check} una vez en una pestaña si el navegador aún no confía en el certificado de la centralita.",
+  ],
+  "The softphone isn't registered": ["Das Softphone ist nicht registriert", "Le softphone n'est pas enregistré", "El softphone no está registrado"],
+  "Finish the current call first": ["Beenden Sie zuerst den laufenden Anruf", "Terminez d'abord l'appel en cours", "Termine primero la llamada en curso"],
+  "Transfer to {target} failed; the call is still yours.": ["Weiterleitung an {target} fehlgeschlagen; der Anruf bleibt bei Ihnen.", "Le transfert vers {target} a échoué ; vous gardez l'appel.", "La transferencia a {target} falló; la llamada sigue siendo suya."],
+  "Enter your desk phone's extension in the Phone panel first.": ["Geben Sie zuerst die Nebenstelle Ihres Tischtelefons im Bereich Telefon ein.", "Saisissez d'abord l'extension de votre poste fixe dans le panneau Téléphone.", "Introduzca primero la extensión de su teléfono de escritorio en el panel Teléfono."],
+  "Register the softphone first, or switch click-to-call to your desk phone.": ["Registrieren Sie zuerst das Softphone oder stellen Sie Klick-zum-Anrufen auf Ihr Tischtelefon um.", "Enregistrez d'abord le softphone, ou faites passer le clic pour appeler sur votre poste fixe.", "Registre primero el softphone o cambie el clic para llamar a su teléfono de escritorio."],
+  "Could not call {number}: {reason}": ["{number} konnte nicht angerufen werden: {reason}", "Impossible d'appeler {number} : {reason}", "No se pudo llamar a {number}: {reason}"],
+  "Call {number}": ["{number} anrufen", "Appeler {number}", "Llamar a {number}"],
+  "SIP WebSocket": ["SIP-WebSocket", "WebSocket SIP", "WebSocket SIP"],
+  "SIP password": ["SIP-Passwort", "Mot de passe SIP", "Contraseña SIP"],
+  "Enter the extension's secret": ["Passwort der Nebenstelle eingeben", "Saisissez le secret de l'extension", "Introduzca la clave de la extensión"],
+  "Display name": ["Anzeigename", "Nom affiché", "Nombre visible"],
+  "SIP domain": ["SIP-Domain", "Domaine SIP", "Dominio SIP"],
+  "WebSocket host": ["WebSocket-Host", "Hôte du WebSocket", "Host del WebSocket"],
+  "Click-to-call rings": ["Klick-zum-Anrufen klingelt auf", "Le clic pour appeler fait sonner", "El clic para llamar hace sonar"],
+  "this softphone": ["diesem Softphone", "ce softphone", "este softphone"],
+  "desk phone": ["Tischtelefon", "le poste fixe", "el teléfono de escritorio"],
+  "Desk phone extension": ["Nebenstelle des Tischtelefons", "Extension du poste fixe", "Extensión del teléfono de escritorio"],
+  "ext": ["Nst.", "ext.", "ext."],
+  "Register": ["Registrieren", "S'enregistrer", "Registrar"],
+  "Softphone": ["Softphone", "Softphone", "Softphone"],
+  "Minimise": ["Minimieren", "Réduire", "Minimizar"],
+  "Settings": ["Einstellungen", "Réglages", "Ajustes"],
+  "Unregister": ["Abmelden", "Se désenregistrer", "Anular registro"],
+  "On hold": ["Gehalten", "En attente", "En espera"],
+  "Answer": ["Annehmen", "Répondre", "Contestar"],
+  "Decline": ["Ablehnen", "Refuser", "Rechazar"],
+  "Unmute": ["Ton an", "Réactiver le micro", "Activar micrófono"],
+  "Mute": ["Stumm", "Couper le micro", "Silenciar"],
+  "Resume": ["Fortsetzen", "Reprendre", "Reanudar"],
+  "Hold": ["Halten", "Mettre en attente", "Retener"],
+  "Keypad": ["Tastenfeld", "Clavier", "Teclado"],
+  "Transfer to": ["Weiterleiten an", "Transférer vers", "Transferir a"],
+  "Transfer to…": ["Weiterleiten an…", "Transférer vers…", "Transferir a…"],
+  "Number to call": ["Zu wählende Nummer", "Numéro à appeler", "Número al que llamar"],
+  "Call": ["Anrufen", "Appeler", "Llamar"],
+  "Delete last digit": ["Letzte Ziffer löschen", "Effacer le dernier chiffre", "Borrar el último dígito"],
+
+  // Configuration backups
+  "live": ["live", "en direct", "en vivo"],
+  "Every hour": ["Stündlich", "Toutes les heures", "Cada hora"],
+  "Every 6 hours": ["Alle 6 Stunden", "Toutes les 6 heures", "Cada 6 horas"],
+  "Every 12 hours": ["Alle 12 Stunden", "Toutes les 12 heures", "Cada 12 horas"],
+  "Daily": ["Täglich", "Quotidien", "Diario"],
+  "before restore": ["vor Wiederherstellung", "avant restauration", "antes de restaurar"],
+  "Inbound routes": ["Eingehende Routen", "Routes entrantes", "Rutas entrantes"],
+  "Outbound routes": ["Ausgehende Routen", "Routes sortantes", "Rutas salientes"],
+  "Route order": ["Reihenfolge der Routen", "Ordre des routes", "Orden de las rutas"],
+  "Re-create": ["Neu anlegen", "Recréer", "Volver a crear"],
+  "Could not load snapshots.": ["Snapshots konnten nicht geladen werden.", "Impossible de charger les instantanés.", "No se pudieron cargar las instantáneas."],
+  "Nothing could be read from the PBX.": ["Von der TK-Anlage konnte nichts gelesen werden.", "Rien n'a pu être lu sur le PBX.", "No se pudo leer nada de la centralita."],
+  "Live PBX": ["Live-TK-Anlage", "PBX en direct", "Centralita en vivo"],
+  "outbound routes to the snapshot's order": ["ausgehende Routen in die Reihenfolge des Snapshots", "les routes sortantes dans l'ordre de l'instantané", "las rutas salientes al orden de la instantánea"],
+  "Could not compare.": ["Vergleich nicht möglich.", "Comparaison impossible.", "No se pudo comparar."],
+  "Note for this snapshot (optional):": ["Notiz zu diesem Snapshot (optional):", "Note pour cet instantané (facultatif) :", "Nota para esta instantánea (opcional):"],
+  "Snapshot #{seq} saved without {kinds}: {reason}": ["Snapshot #{seq} ohne {kinds} gespeichert: {reason}", "Instantané n° {seq} enregistré sans {kinds} : {reason}", "Instantánea n.º {seq} guardada sin {kinds}: {reason}"],
+  "Failed to take a snapshot: {reason}": ["Snapshot konnte nicht erstellt werden: {reason}", "Échec de la prise d'instantané : {reason}", "No se pudo tomar la instantánea: {reason}"],
+  "Delete snapshot #{seq} from {time}?": ["Snapshot #{seq} vom {time} löschen?", "Supprimer l'instantané n° {seq} du {time} ?", "¿Eliminar la instantánea n.º {seq} del {time}?"],
+  "Failed to delete snapshot: {reason}": ["Snapshot konnte nicht gelöscht werden: {reason}", "Échec de la suppression de l'instantané : {reason}", "No se pudo eliminar la instantánea: {reason}"],
+  "Failed to download snapshot: {reason}": ["Snapshot konnte nicht heruntergeladen werden: {reason}", "Échec du téléchargement de l'instantané : {reason}", "No se pudo descargar la instantánea: {reason}"],
+  "Failed to save the schedule: {reason}": ["Zeitplan konnte nicht gespeichert werden: {reason}", "Échec de l'enregistrement de la planification : {reason}", "No se pudo guardar la programación: {reason}"],
+  "Restore cancelled: the safety snapshot failed.": ["Wiederherstellung abgebrochen: Der Sicherheits-Snapshot ist fehlgeschlagen.", "Restauration annulée : l'instantané de sécurité a échoué.", "Restauración cancelada: falló la instantánea de seguridad."],
+  "Scheduled snapshots": ["Geplante Snapshots", "Instantanés planifiés", "Instantáneas programadas"],
+  "Changing the schedule needs config:restore": ["Zum Ändern des Zeitplans ist config:restore nötig", "Modifier la planification nécessite config:restore", "Cambiar la programación requiere config:restore"],
+  "Scheduled snapshots to keep": ["Aufzubewahrende geplante Snapshots", "Instantanés planifiés à conserver", "Instantáneas programadas que se conservan"],
+  "keep {n}": ["{n} behalten", "en garder {n}", "conservar {n}"],
+  "Reading PBX…": ["TK-Anlage wird gelesen…", "Lecture du PBX…", "Leyendo la centralita…"],
+  "Take snapshot": ["Snapshot erstellen", "Prendre un instantané", "Tomar instantánea"],
+  "The next scheduled snapshot is due now.": ["Der nächste geplante Snapshot ist jetzt fällig.", "Le prochain instantané planifié est dû maintenant.", "La próxima instantánea programada toca ahora."],
+  "Next scheduled snapshot after {time}.": ["Nächster geplanter Snapshot nach {time}.", "Prochain instantané planifié après {time}.", "Próxima instantánea programada después de {time}."],
+  "Snapshots are taken by an open console with this permission.": ["Snapshots erstellt eine geöffnete Konsole mit dieser Berechtigung.", "Les instantanés sont pris par une console ouverte disposant de cette autorisation.", "Las instantáneas las toma una consola abierta con este permiso."],
+  "Taken": ["Erstellt", "Pris le", "Tomada"],
+  "By": ["Von", "Par", "Por"],
+  "Why": ["Anlass", "Motif", "Motivo"],
+  "Objects": ["Objekte", "Objets", "Objetos"],
+  "No snapshots of this PBX yet": ["Noch keine Snapshots dieser TK-Anlage", "Aucun instantané de ce PBX pour l'instant", "Aún no hay instantáneas de esta centralita"],
+  "not read: {kinds}": ["nicht gelesen: {kinds}", "non lus : {kinds}", "sin leer: {kinds}"],
+  "Compare with live": ["Mit live vergleichen", "Comparer avec le direct", "Comparar con en vivo"],
+  "Delete snapshot {seq}": ["Snapshot {seq} löschen", "Supprimer l'instantané {seq}", "Eliminar la instantánea {seq}"],
+  "Compare": ["Vergleichen", "Comparer", "Comparar"],
+  "Pick a snapshot": ["Snapshot wählen", "Choisissez un instantané", "Elija una instantánea"],
+  "with": ["mit", "avec", "con"],
+  "Comparing…": ["Wird verglichen…", "Comparaison…", "Comparando…"],
+  "{n} difference(s)": ["{n} Unterschied(e)", "{n} différence(s)", "{n} diferencia(s)"],
+  "identical": ["identisch", "identiques", "idénticas"],
+  "not compared: {kinds}": ["nicht verglichen: {kinds}", "non comparés : {kinds}", "sin comparar: {kinds}"],
+  "Select none": ["Nichts auswählen", "Ne rien sélectionner", "No seleccionar nada"],
+  "Select all": ["Alle auswählen", "Tout sélectionner", "Seleccionar todo"],
+  "Preview restore ({n})": ["Wiederherstellung prüfen ({n})", "Aperçu de la restauration ({n})", "Vista previa de la restauración ({n})"],
+  "Restoring needs the config:restore permission.": ["Zum Wiederherstellen ist die Berechtigung config:restore nötig.", "La restauration nécessite l'autorisation config:restore.", "Restaurar requiere el permiso config:restore."],
+  "Restore {name}": ["{name} wiederherstellen", "Restaurer {name}", "Restaurar {name}"],
+  "changed": ["geändert", "modifié", "modificado"],
+  "only in {side}": ["nur in {side}", "seulement dans {side}", "solo en {side}"],
+  "Field": ["Feld", "Champ", "Campo"],
+  "Restore preview": ["Vorschau der Wiederherstellung", "Aperçu de la restauration", "Vista previa de la restauración"],
+  "Restore from snapshot #{seq} (dry run)": ["Aus Snapshot #{seq} wiederherstellen (Probelauf)", "Restaurer depuis l'instantané n° {seq} (simulation)", "Restaurar desde la instantánea n.º {seq} (simulación)"],
+  "Nothing has changed yet. Restoring first takes a snapshot of the live PBX, then makes these calls in this order.": [
+    "Noch wurde nichts geändert. Die Wiederherstellung erstellt zuerst einen Snapshot der laufenden TK-Anlage und führt dann diese Aufrufe in dieser Reihenfolge aus.",
+    "Rien n'a encore été modifié. La restauration prend d'abord un instantané du PBX en direct, puis effectue ces appels dans cet ordre.",
+    "Todavía no ha cambiado nada. La restauración toma primero una instantánea de la centralita en vivo y luego hace estas llamadas en este orden.",
+  ],
+  "Gets a new SIP secret; its phone needs reprovisioning and its voicemail PIN resetting.": [
+    "Erhält ein neues SIP-Passwort; das Telefon muss neu provisioniert und die Voicemail-PIN zurückgesetzt werden.",
+    "Reçoit un nouveau secret SIP ; son téléphone doit être reprovisionné et son code PIN de messagerie réinitialisé.",
+    "Recibe una nueva clave SIP; hay que reaprovisionar su teléfono y restablecer el PIN de su buzón.",
+  ],
+  "Comes back without its secret; set it in Trunks.": ["Kommt ohne Passwort zurück; setzen Sie es unter Amtsleitungen.", "Revient sans son secret ; définissez-le dans Trunks.", "Vuelve sin su clave; configúrela en Troncales."],
+  "Comes back with a new route id.": ["Kommt mit einer neuen Routen-ID zurück.", "Revient avec un nouvel identifiant de route.", "Vuelve con un nuevo id de ruta."],
+  "Trunks can't be deleted here, so it is disabled.": ["Amtsleitungen lassen sich hier nicht löschen, daher wird sie deaktiviert.", "Les trunks ne peuvent pas être supprimés ici, il est donc désactivé.", "Aquí no se pueden eliminar troncales, así que se desactiva."],
+  "Restoring…": ["Wird wiederhergestellt…", "Restauration…", "Restaurando…"],
+  "Restore {n} object(s)": ["{n} Objekt(e) wiederherstellen", "Restaurer {n} objet(s)", "Restaurar {n} objeto(s)"],
+  "Restore report": ["Wiederherstellungsbericht", "Rapport de restauration", "Informe de restauración"],
+  "Restored from #{seq}": ["Aus #{seq} wiederhergestellt", "Restauré depuis le n° {seq}", "Restaurado desde el n.º {seq}"],
+  "{ok} restored, {failed} failed. Snapshot #{seq} holds the configuration from just before the restore.": [
+    "{ok} wiederhergestellt, {failed} fehlgeschlagen. Snapshot #{seq} enthält die Konfiguration von unmittelbar vor der Wiederherstellung.",
+    "{ok} restauré(s), {failed} en échec. L'instantané n° {seq} contient la configuration d'avant la restauration.",
+    "{ok} restaurados, {failed} fallidos. La instantánea n.º {seq} guarda la configuración de justo antes de la restauración.",
+  ],
+  "New SIP secrets (shown once)": ["Neue SIP-Passwörter (nur einmal angezeigt)", "Nouveaux secrets SIP (affichés une seule fois)", "Nuevas claves SIP (se muestran una vez)"],
+  "Done": ["Fertig", "Terminé", "Listo"],
+
+  // Profiles and all systems
+  "There are no saved profiles in this browser": ["In diesem Browser sind keine Profile gespeichert", "Aucun profil n'est enregistré dans ce navigateur", "No hay perfiles guardados en este navegador"],
+  "Wrong passphrase": ["Falsche Passphrase", "Phrase secrète incorrecte", "Frase de contraseña incorrecta"],
+  "Use at least {n} characters": ["Mindestens {n} Zeichen verwenden", "Utilisez au moins {n} caractères", "Use al menos {n} caracteres"],
+  "The passphrases don't match": ["Die Passphrasen stimmen nicht überein", "Les phrases secrètes ne correspondent pas", "Las frases de contraseña no coinciden"],
+  "Give the profile a name": ["Geben Sie dem Profil einen Namen", "Donnez un nom au profil", "Ponga un nombre al perfil"],
+  "Keep names under 40 characters": ["Namen unter 40 Zeichen halten", "Les noms doivent faire moins de 40 caractères", "Use nombres de menos de 40 caracteres"],
+  "Names can't contain “ / ”": ["Namen dürfen „ / “ nicht enthalten", "Les noms ne peuvent pas contenir « / »", "Los nombres no pueden contener « / »"],
+  "There is already a profile called {name}": ["Es gibt bereits ein Profil namens {name}", "Un profil nommé {name} existe déjà", "Ya existe un perfil llamado {name}"],
+  "Delete the profile {name}? Its saved credentials are removed from this browser.": ["Profil {name} löschen? Die gespeicherten Zugangsdaten werden aus diesem Browser entfernt.", "Supprimer le profil {name} ? Ses identifiants enregistrés seront retirés de ce navigateur.", "¿Eliminar el perfil {name}? Sus credenciales guardadas se quitarán de este navegador."],
+  "Delete every saved profile in this browser? Use this if the passphrase is lost.": [
+    "Alle in diesem Browser gespeicherten Profile löschen? Nutzen Sie dies, wenn die Passphrase verloren ist.",
+    "Supprimer tous les profils enregistrés dans ce navigateur ? À utiliser si la phrase secrète est perdue.",
+    "¿Eliminar todos los perfiles guardados en este navegador? Úselo si se ha perdido la frase de contraseña.",
+  ],
+  "Saved profiles need this page on HTTPS (or localhost): browsers only offer WebCrypto in a secure context.": [
+    "Gespeicherte Profile erfordern diese Seite über HTTPS (oder localhost): Browser bieten WebCrypto nur in einem sicheren Kontext an.",
+    "Les profils enregistrés exigent cette page en HTTPS (ou localhost) : les navigateurs n'offrent WebCrypto que dans un contexte sécurisé.",
+    "Los perfiles guardados requieren esta página en HTTPS (o localhost): los navegadores solo ofrecen WebCrypto en un contexto seguro.",
+  ],
+  "Choose a master passphrase. Profiles are encrypted with it in this browser; it isn't stored anywhere and can't be recovered.": [
+    "Wählen Sie eine Master-Passphrase. Die Profile werden damit in diesem Browser verschlüsselt; sie wird nirgends gespeichert und lässt sich nicht wiederherstellen.",
+    "Choisissez une phrase secrète principale. Les profils sont chiffrés avec elle dans ce navigateur ; elle n'est stockée nulle part et ne peut pas être récupérée.",
+    "Elija una frase de contraseña maestra. Los perfiles se cifran con ella en este navegador; no se guarda en ningún sitio y no se puede recuperar.",
+  ],
+  "Master passphrase": ["Master-Passphrase", "Phrase secrète principale", "Frase de contraseña maestra"],
+  "Repeat passphrase": ["Passphrase wiederholen", "Répétez la phrase secrète", "Repita la frase de contraseña"],
+  "Encrypting…": ["Wird verschlüsselt…", "Chiffrement…", "Cifrando…"],
+  "Create profile store": ["Profilspeicher anlegen", "Créer le coffre de profils", "Crear el almacén de perfiles"],
+  "No PBX profiles are saved in this browser. Ask an administrator to add them.": [
+    "In diesem Browser sind keine TK-Anlagen-Profile gespeichert. Bitten Sie einen Administrator, sie hinzuzufügen.",
+    "Aucun profil de PBX n'est enregistré dans ce navigateur. Demandez à un administrateur de les ajouter.",
+    "No hay perfiles de centralita guardados en este navegador. Pida a un administrador que los añada.",
+  ],
+  "Unlocking…": ["Wird entsperrt…", "Déverrouillage…", "Desbloqueando…"],
+  "Unlock": ["Entsperren", "Déverrouiller", "Desbloquear"],
+  "Forgot it? Delete saved profiles": ["Vergessen? Gespeicherte Profile löschen", "Oubliée ? Supprimer les profils enregistrés", "¿La olvidó? Eliminar los perfiles guardados"],
+  "No profiles yet. Save the current connection to start.": ["Noch keine Profile. Speichern Sie zum Start die aktuelle Verbindung.", "Aucun profil pour l'instant. Enregistrez la connexion actuelle pour commencer.", "Aún no hay perfiles. Guarde la conexión actual para empezar."],
+  "active": ["aktiv", "actif", "activo"],
+  "Use": ["Verwenden", "Utiliser", "Usar"],
+  "Save the connection settings as they are now": ["Verbindungseinstellungen im aktuellen Zustand speichern", "Enregistrer les réglages de connexion tels qu'ils sont", "Guardar los ajustes de conexión tal como están"],
+  "Save current settings": ["Aktuelle Einstellungen speichern", "Enregistrer les réglages actuels", "Guardar los ajustes actuales"],
+  "mock data": ["Testdaten", "données simulées", "datos simulados"],
+  "Save the current connection as": ["Aktuelle Verbindung speichern als", "Enregistrer la connexion actuelle sous", "Guardar la conexión actual como"],
+  "Sydney office": ["Büro Sydney", "Bureau de Sydney", "Oficina de Sídney"],
+  "Add profile": ["Profil hinzufügen", "Ajouter un profil", "Añadir perfil"],
+  "Lock now": ["Jetzt sperren", "Verrouiller maintenant", "Bloquear ahora"],
+  "Change passphrase": ["Passphrase ändern", "Changer la phrase secrète", "Cambiar la frase de contraseña"],
+  "Current passphrase": ["Aktuelle Passphrase", "Phrase secrète actuelle", "Frase de contraseña actual"],
+  "New passphrase": ["Neue Passphrase", "Nouvelle phrase secrète", "Nueva frase de contraseña"],
+  "Repeat new passphrase": ["Neue Passphrase wiederholen", "Répétez la nouvelle phrase secrète", "Repita la nueva frase de contraseña"],
+  "Re-encrypting…": ["Wird neu verschlüsselt…", "Nouveau chiffrement…", "Volviendo a cifrar…"],
+  "PBX profiles": ["TK-Anlagen-Profile", "Profils de PBX", "Perfiles de centralita"],
+  "locked": ["gesperrt", "verrouillé", "bloqueado"],
+  "{n} PBX(s)": ["{n} TK-Anlage(n)", "{n} PBX", "{n} centralita(s)"],
+  "checked {time}": ["geprüft {time}", "vérifié à {time}", "comprobado a las {time}"],
+  "Checking…": ["Wird geprüft…", "Vérification…", "Comprobando…"],
+  "Trunks down": ["Ausgefallene Amtsleitungen", "Trunks hors service", "Troncales caídas"],
+  "of {n}": ["von {n}", "sur {n}", "de {n}"],
+  "Callers waiting": ["Wartende Anrufer", "Appelants en attente", "Llamantes en espera"],
+  "Agents logged in": ["Angemeldete Agenten", "Agents connectés", "Agentes conectados"],
+  "Failed calls, 24 h": ["Fehlgeschlagene Anrufe, 24 h", "Appels échoués, 24 h", "Llamadas fallidas, 24 h"],
+  "System": ["System", "Système", "Sistema"],
+  "Worst latency": ["Höchste Latenz", "Pire latence", "Peor latencia"],
+  "Waiting": ["Wartend", "En attente", "En espera"],
+  "Agents": ["Agenten", "Agents", "Agentes"],
+  "Failed 24 h": ["Fehlgeschl. 24 h", "Échecs 24 h", "Fallidas 24 h"],
+  "{up} / {all} up": ["{up} / {all} in Betrieb", "{up} / {all} en service", "{up} / {all} activas"],
+  "Open": ["Öffnen", "Ouvrir", "Abrir"],
+  "Checking every system…": ["Alle Systeme werden geprüft…", "Vérification de tous les systèmes…", "Comprobando todos los sistemas…"],
+  "Recent failed calls": ["Letzte fehlgeschlagene Anrufe", "Appels échoués récents", "Llamadas fallidas recientes"],
+  "None in the last 24 hours.": ["Keine in den letzten 24 Stunden.", "Aucun ces dernières 24 heures.", "Ninguna en las últimas 24 horas."],
+
+  // Connection settings
+  "{label} must be a full URL such as {example}, or a path on this server": ["{label} muss eine vollständige URL wie {example} oder ein Pfad auf diesem Server sein", "{label} doit être une URL complète comme {example}, ou un chemin sur ce serveur", "{label} debe ser una URL completa como {example} o una ruta en este servidor"],
+  "{label} must start with {schemes}": ["{label} muss mit {schemes} beginnen", "{label} doit commencer par {schemes}", "{label} debe empezar por {schemes}"],
+  "or": ["oder", "ou", "o"],
+  "This page is on HTTPS, so the browser blocks {scheme}:// requests. Use {scheme}s://": [
+    "Diese Seite läuft über HTTPS, daher blockiert der Browser {scheme}://-Anfragen. Verwenden Sie {scheme}s://",
+    "Cette page est en HTTPS, le navigateur bloque donc les requêtes {scheme}://. Utilisez {scheme}s://",
+    "Esta página usa HTTPS, así que el navegador bloquea las solicitudes {scheme}://. Use {scheme}s://",
+  ],
+  "Leave out the query string and #fragment": ["Query-String und #Fragment weglassen", "Retirez la chaîne de requête et le #fragment", "Quite la cadena de consulta y el #fragmento"],
+  "Put credentials in their own fields, not in the URL": ["Zugangsdaten in die eigenen Felder eintragen, nicht in die URL", "Mettez les identifiants dans leurs propres champs, pas dans l'URL", "Ponga las credenciales en sus propios campos, no en la URL"],
+  "Enter the API base URL": ["API-Basis-URL eingeben", "Saisissez l'URL de base de l'API", "Introduzca la URL base de la API"],
+  "The API base URL": ["Die API-Basis-URL", "L'URL de base de l'API", "La URL base de la API"],
+  "Paste the token without the \"Bearer\" prefix": ["Token ohne das Präfix „Bearer“ einfügen", "Collez le jeton sans le préfixe « Bearer »", "Pegue el token sin el prefijo «Bearer»"],
+  "Tokens don't contain spaces; check the paste": ["Tokens enthalten keine Leerzeichen; prüfen Sie das Eingefügte", "Les jetons ne contiennent pas d'espaces ; vérifiez le collage", "Los tokens no contienen espacios; revise lo pegado"],
+  "The REST backend needs a token": ["Das REST-Backend braucht ein Token", "Le backend REST nécessite un jeton", "El backend REST necesita un token"],
+  "Enter the application's client ID": ["Client-ID der Anwendung eingeben", "Saisissez l'ID client de l'application", "Introduzca el ID de cliente de la aplicación"],
+  "Enter the client secret": ["Client-Secret eingeben", "Saisissez le secret client", "Introduzca el secreto de cliente"],
+  "Enter an ARI user from ari.conf": ["ARI-Benutzer aus ari.conf eingeben", "Saisissez un utilisateur ARI d'ari.conf", "Introduzca un usuario ARI de ari.conf"],
+  "Use letters, digits, . _ and - only": ["Nur Buchstaben, Ziffern, . _ und - verwenden", "Utilisez uniquement lettres, chiffres, . _ et -", "Use solo letras, dígitos, . _ y -"],
+  "Line {n}: write the queue number, its name, a colon and the member devices, e.g. 600 Support: PJSIP/1001, PJSIP/1003": [
+    "Zeile {n}: Nummer der Warteschlange, Name, Doppelpunkt und die Mitgliedsgeräte angeben, z. B. 600 Support: PJSIP/1001, PJSIP/1003",
+    "Ligne {n} : indiquez le numéro de la file, son nom, deux-points et les appareils membres, p. ex. 600 Support: PJSIP/1001, PJSIP/1003",
+    "Línea {n}: escriba el número de la cola, su nombre, dos puntos y los dispositivos miembros, p. ej. 600 Support: PJSIP/1001, PJSIP/1003",
+  ],
+  "Mock data needs no connection.": ["Testdaten brauchen keine Verbindung.", "Les données simulées n'ont pas besoin de connexion.", "Los datos simulados no necesitan conexión."],
+  "Requests go through the UI server, which holds the PBX credentials.": ["Anfragen laufen über den UI-Server, der die Zugangsdaten der TK-Anlage hält.", "Les requêtes passent par le serveur de l'interface, qui détient les identifiants du PBX.", "Las solicitudes pasan por el servidor de la interfaz, que guarda las credenciales de la centralita."],
+  "{host} answered.": ["{host} hat geantwortet.", "{host} a répondu.", "{host} respondió."],
+  "No answer from {host}. Check the host name, port and firewall, and that this browser trusts its TLS certificate (open the URL in a tab once).": [
+    "Keine Antwort von {host}. Prüfen Sie Hostname, Port und Firewall und ob dieser Browser dem TLS-Zertifikat vertraut (URL einmal in einem Tab öffnen).",
+    "Pas de réponse de {host}. Vérifiez le nom d'hôte, le port et le pare-feu, et que ce navigateur fait confiance à son certificat TLS (ouvrez l'URL une fois dans un onglet).",
+    "Sin respuesta de {host}. Compruebe el nombre de host, el puerto y el cortafuegos, y que este navegador confíe en su certificado TLS (abra la URL una vez en una pestaña).",
+  ],
+  "The PBX answered, but the browser blocked the response. Allow {origin} in Access-Control-Allow-Origin, with Authorization and Content-Type in Access-Control-Allow-Headers.": [
+    "Die TK-Anlage hat geantwortet, aber der Browser hat die Antwort blockiert. Erlauben Sie {origin} in Access-Control-Allow-Origin, mit Authorization und Content-Type in Access-Control-Allow-Headers.",
+    "Le PBX a répondu, mais le navigateur a bloqué la réponse. Autorisez {origin} dans Access-Control-Allow-Origin, avec Authorization et Content-Type dans Access-Control-Allow-Headers.",
+    "La centralita respondió, pero el navegador bloqueó la respuesta. Permita {origin} en Access-Control-Allow-Origin, con Authorization y Content-Type en Access-Control-Allow-Headers.",
+  ],
+  "The token endpoint": ["Der Token-Endpunkt", "Le point de terminaison du jeton", "El endpoint del token"],
+  "The PBX accepts requests from {origin}.": ["Die TK-Anlage akzeptiert Anfragen von {origin}.", "Le PBX accepte les requêtes de {origin}.", "La centralita acepta solicitudes de {origin}."],
+  "The token endpoint issued an access token.": ["Der Token-Endpunkt hat ein Zugriffstoken ausgestellt.", "Le point de terminaison a délivré un jeton d'accès.", "El endpoint del token emitió un token de acceso."],
+  "The PBX API": ["Die API der TK-Anlage", "L'API du PBX", "La API de la centralita"],
+  "The token was accepted.": ["Das Token wurde akzeptiert.", "Le jeton a été accepté.", "El token fue aceptado."],
+  "Read {n} extensions.": ["{n} Nebenstellen gelesen.", "{n} extensions lues.", "Se leyeron {n} extensiones."],
+  "Mock data comes with mock status.": ["Testdaten bringen einen simulierten Status mit.", "Les données simulées ont un état simulé.", "Los datos simulados traen un estado simulado."],
+  "No ARI URL, so realtime status is off.": ["Keine ARI-URL, daher ist der Echtzeitstatus aus.", "Pas d'URL ARI, l'état en temps réel est donc désactivé.", "No hay URL de ARI, así que el estado en tiempo real está desactivado."],
+  "No answer from {host}. Check the port (8088, or 8089 with TLS), http.conf and the firewall.": ["Keine Antwort von {host}. Prüfen Sie den Port (8088, oder 8089 mit TLS), http.conf und die Firewall.", "Pas de réponse de {host}. Vérifiez le port (8088, ou 8089 avec TLS), http.conf et le pare-feu.", "Sin respuesta de {host}. Compruebe el puerto (8088, u 8089 con TLS), http.conf y el cortafuegos."],
+  "ARI reachable": ["ARI erreichbar", "ARI joignable", "ARI accesible"],
+  "Asterisk listed {n} endpoints.": ["Asterisk hat {n} Endpunkte aufgelistet.", "Asterisk a listé {n} points de terminaison.", "Asterisk listó {n} endpoints."],
+  "ARI REST": ["ARI REST", "ARI REST", "ARI REST"],
+  "Asterisk answered, but the browser blocked the response. Add {origin} to allowed_origins in ari.conf.": [
+    "Asterisk hat geantwortet, aber der Browser hat die Antwort blockiert. Fügen Sie {origin} zu allowed_origins in ari.conf hinzu.",
+    "Asterisk a répondu, mais le navigateur a bloqué la réponse. Ajoutez {origin} à allowed_origins dans ari.conf.",
+    "Asterisk respondió, pero el navegador bloqueó la respuesta. Añada {origin} a allowed_origins en ari.conf.",
+  ],
+  "The WebSocket handshake succeeded.": ["Der WebSocket-Handshake war erfolgreich.", "La négociation WebSocket a réussi.", "El handshake de WebSocket se completó."],
+  "The WebSocket handshake timed out.": ["Beim WebSocket-Handshake ist die Zeit abgelaufen.", "La négociation WebSocket a expiré.", "El handshake de WebSocket agotó el tiempo."],
+  "The WebSocket handshake was refused.": ["Der WebSocket-Handshake wurde abgelehnt.", "La négociation WebSocket a été refusée.", "El handshake de WebSocket fue rechazado."],
+  "Check the ARI user and password and allowed_origins in ari.conf.": ["Prüfen Sie ARI-Benutzer und -Passwort sowie allowed_origins in ari.conf.", "Vérifiez l'utilisateur et le mot de passe ARI ainsi que allowed_origins dans ari.conf.", "Compruebe el usuario y la contraseña de ARI y allowed_origins en ari.conf."],
+  "Could not save: {reason}": ["Speichern nicht möglich: {reason}", "Enregistrement impossible : {reason}", "No se pudo guardar: {reason}"],
+  "API Base URL": ["API-Basis-URL", "URL de base de l'API", "URL base de la API"],
+  "Client ID": ["Client-ID", "ID client", "ID de cliente"],
+  "Client Secret": ["Client-Secret", "Secret client", "Secreto de cliente"],
+  "API Key / Token": ["API-Schlüssel / Token", "Clé d'API / jeton", "Clave de API / token"],
+  "paste token": ["Token einfügen", "coller le jeton", "pegar el token"],
+  "Backend": ["Backend", "Backend", "Backend"],
+  "Mock data": ["Testdaten", "Données simulées", "Datos simulados"],
+  "OAuth2 scope (optional)": ["OAuth2-Scope (optional)", "Portée OAuth2 (facultatif)", "Ámbito OAuth2 (opcional)"],
+  "ARI URL (optional)": ["ARI-URL (optional)", "URL ARI (facultatif)", "URL de ARI (opcional)"],
+  "ARI app": ["ARI-App", "Application ARI", "Aplicación ARI"],
+  "ARI user": ["ARI-Benutzer", "Utilisateur ARI", "Usuario ARI"],
+  "ARI password": ["ARI-Passwort", "Mot de passe ARI", "Contraseña de ARI"],
+  "Queue members (one queue per line)": ["Mitglieder der Warteschlangen (eine Warteschlange pro Zeile)", "Membres des files (une file par ligne)", "Miembros de las colas (una cola por línea)"],
+  "unsaved changes": ["ungespeicherte Änderungen", "modifications non enregistrées", "cambios sin guardar"],
+  "Discard": ["Verwerfen", "Abandonner", "Descartar"],
+  "Test connection": ["Verbindung testen", "Tester la connexion", "Probar conexión"],
+  "Forget saved settings": ["Gespeicherte Einstellungen vergessen", "Oublier les réglages enregistrés", "Olvidar los ajustes guardados"],
+  "Saved to the encrypted {name} profile.": ["Im verschlüsselten Profil {name} gespeichert.", "Enregistré dans le profil chiffré {name}.", "Guardado en el perfil cifrado {name}."],
+  "Saved in this browser, except the key, secret and password, which last for this session. Save the connection as a profile to keep them encrypted.": [
+    "In diesem Browser gespeichert, außer Schlüssel, Secret und Passwort, die nur für diese Sitzung gelten. Speichern Sie die Verbindung als Profil, um sie verschlüsselt zu behalten.",
+    "Enregistré dans ce navigateur, sauf la clé, le secret et le mot de passe, qui durent le temps de cette session. Enregistrez la connexion comme profil pour les conserver chiffrés.",
+    "Guardado en este navegador, salvo la clave, el secreto y la contraseña, que duran esta sesión. Guarde la conexión como perfil para conservarlos cifrados.",
+  ],
+  "Saved in this browser.": ["In diesem Browser gespeichert.", "Enregistré dans ce navigateur.", "Guardado en este navegador."],
+
+  // Simulator
+  "1 in 5 requests": ["1 von 5 Anfragen", "1 requête sur 5", "1 de cada 5 solicitudes"],
+  "Every request": ["Jede Anfrage", "Chaque requête", "Todas las solicitudes"],
+  "Reset the simulated PBX? Configuration changes and call history made in this browser are lost.": [
+    "Simulierte TK-Anlage zurücksetzen? In diesem Browser vorgenommene Konfigurationsänderungen und der Anrufverlauf gehen verloren.",
+    "Réinitialiser le PBX simulé ? Les modifications de configuration et l'historique d'appels faits dans ce navigateur seront perdus.",
+    "¿Restablecer la centralita simulada? Se perderán los cambios de configuración y el historial de llamadas hechos en este navegador.",
+  ],
+  "{n} call(s) in progress": ["{n} laufende(r) Anruf(e)", "{n} appel(s) en cours", "{n} llamada(s) en curso"],
+  "{n} queued": ["{n} in Warteschlange", "{n} en file d'attente", "{n} en cola"],
+  "{n} fault(s) on": ["{n} Störung(en) aktiv", "{n} panne(s) active(s)", "{n} fallo(s) activo(s)"],
+  "no faults": ["keine Störungen", "aucune panne", "sin fallos"],
+  "Mock data comes from a PBX simulated in this browser. Its configuration and {n} call records are kept here until you reset it; faults last until the page is reloaded.": [
+    "Die Testdaten stammen von einer in diesem Browser simulierten TK-Anlage. Ihre Konfiguration und {n} Anrufdatensätze bleiben hier, bis Sie sie zurücksetzen; Störungen gelten bis zum Neuladen der Seite.",
+    "Les données simulées proviennent d'un PBX simulé dans ce navigateur. Sa configuration et {n} enregistrements d'appels sont conservés ici jusqu'à sa réinitialisation ; les pannes durent jusqu'au rechargement de la page.",
+    "Los datos simulados vienen de una centralita simulada en este navegador. Su configuración y {n} registros de llamadas se conservan aquí hasta que la restablezca; los fallos duran hasta que se recarga la página.",
+  ],
+  "New calls per minute": ["Neue Anrufe pro Minute", "Nouveaux appels par minute", "Llamadas nuevas por minuto"],
+  "Random seed": ["Zufalls-Seed", "Graine aléatoire", "Semilla aleatoria"],
+  "none (varies every run)": ["keiner (ändert sich bei jedem Lauf)", "aucune (varie à chaque exécution)", "ninguna (varía en cada ejecución)"],
+  "Reset simulator": ["Simulator zurücksetzen", "Réinitialiser le simulateur", "Restablecer el simulador"],
+  "Faults": ["Störungen", "Pannes", "Fallos"],
+  "Trunk outage": ["Ausfall einer Amtsleitung", "Panne de trunk", "Caída de troncal"],
+  "Take {name} down": ["{name} abschalten", "Mettre {name} hors service", "Desactivar {name}"],
+  "Queue flood": ["Warteschlange fluten", "Afflux dans une file", "Avalancha en una cola"],
+  "Queue to flood": ["Zu flutende Warteschlange", "File à saturer", "Cola que saturar"],
+  "+{n} callers": ["+{n} Anrufer", "+{n} appelants", "+{n} llamantes"],
+  "ARI event stream": ["ARI-Ereignisstrom", "Flux d'événements ARI", "Flujo de eventos de ARI"],
+  "Restore ARI link": ["ARI-Verbindung wiederherstellen", "Rétablir le lien ARI", "Restablecer el enlace ARI"],
+  "Drop ARI link": ["ARI-Verbindung trennen", "Couper le lien ARI", "Cortar el enlace ARI"],
+  "API errors (500)": ["API-Fehler (500)", "Erreurs d'API (500)", "Errores de API (500)"],
+  "API latency": ["API-Latenz", "Latence de l'API", "Latencia de la API"],
+};
+
+const TRANSLATIONS = Object.fromEntries(LOCALES.slice(1).map(([code], i) => [
+  code, Object.fromEntries(Object.entries(CATALOG).map(([en, row]) => [en, row[i]])),
+]));
+
 // ===============
 // Minimal UI (Tailwind)
 // ===============
+// The dark theme is a stylesheet in index.html keyed off <html class="dark">, so panels don't need
+// dark: variants of their own.
+const FOCUS_RING = "focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-sky-600";
+
 const TWButton = ({ className = "", disabled, ...props }) => (
   <button
     disabled={disabled}
-    className={`px-3 py-2 rounded-2xl shadow hover:shadow-md transition text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+    className={`px-3 py-2 rounded-2xl shadow hover:shadow-md transition text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed ${FOCUS_RING} ${className}`}
     {...props}
   />
 );
@@ -31,17 +1375,43 @@ const TWCard = ({ children, className = "" }) => (
   <div className={`bg-white rounded-2xl shadow p-4 ${className}`}>{children}</div>
 );
 
-const TWInput = ({ className = "", ...props }) => (
-  <input className={`border rounded-xl px-3 py-2 w-full ${className}`} {...props} />
-);
+// Ties a field to the TWLabel in front of it (or in front of its wrapper), so screen readers
+// announce it and clicking the label focuses it. Fields with no label use their placeholder.
+function useFieldLabel() {
+  const ref = useRef(null);
+  const id = useId();
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || el.labels?.length || el.hasAttribute("aria-label") || el.hasAttribute("aria-labelledby")) return;
+    for (let node = el, depth = 0; node && depth < 2; node = node.parentElement, depth += 1) {
+      for (let prev = node.previousElementSibling; prev; prev = prev.previousElementSibling) {
+        if (prev.tagName === "LABEL" && !prev.htmlFor && !prev.querySelector("input, select, textarea")) {
+          if (!el.id) el.id = id;
+          prev.htmlFor = el.id;
+          return;
+        }
+        if (prev.matches("input, select, textarea") || prev.querySelector("input, select, textarea")) break;
+      }
+    }
+    if (el.placeholder) el.setAttribute("aria-label", el.placeholder);
+  }, []);
+  return ref;
+}
 
-const TWSelect = ({ className = "", children, ...props }) => (
-  <select className={`border rounded-xl px-3 py-2 w-full bg-white ${className}`} {...props}>{children}</select>
-);
+const TWInput = ({ className = "", ...props }) => {
+  const ref = useFieldLabel();
+  return <input ref={ref} className={`border rounded-xl px-3 py-2 w-full ${FOCUS_RING} ${className}`} {...props} />;
+};
 
-const TWTextarea = ({ className = "", ...props }) => (
-  <textarea className={`border rounded-xl px-3 py-2 w-full ${className}`} {...props} />
-);
+const TWSelect = ({ className = "", children, ...props }) => {
+  const ref = useFieldLabel();
+  return <select ref={ref} className={`border rounded-xl px-3 py-2 w-full bg-white ${FOCUS_RING} ${className}`} {...props}>{children}</select>;
+};
+
+const TWTextarea = ({ className = "", ...props }) => {
+  const ref = useFieldLabel();
+  return <textarea ref={ref} className={`border rounded-xl px-3 py-2 w-full ${FOCUS_RING} ${className}`} {...props} />;
+};
 
 const TWLabel = ({ children }) => (
   <label className="block text-sm font-medium mb-1 text-gray-700">{children}</label>
@@ -59,6 +1429,117 @@ const TWBadge = ({ children, tone = "default" }) => {
   );
 };
 
+// A load that failed, why, and a way to try again (see describeError).
+const LoadError = ({ error, onRetry, busy = false }) => (
+  <div role="alert" className="mb-3 border border-rose-200 bg-rose-50 text-rose-800 rounded-2xl p-3 text-sm flex items-center justify-between gap-3">
+    <span className="whitespace-pre-line">{error}</span>
+    {onRetry && <TWButton className="bg-white shrink-0" onClick={onRetry} disabled={busy}>{busy ? t("Retrying…") : t("Retry")}</TWButton>}
+  </div>
+);
+
+const FOCUSABLE = "a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+const openDialogs = []; // innermost last; only it handles Esc and Tab
+
+// Makes the element it is spread on a modal dialog: focus moves into it and Tab wraps inside it,
+// Esc calls onClose (leave it out while closing must wait), and focus goes back to the opener.
+function useDialog(onClose) {
+  const ref = useRef(null);
+  const close = useRef(onClose);
+  close.current = onClose;
+  useEffect(() => {
+    const el = ref.current;
+    const opener = document.activeElement;
+    openDialogs.push(el);
+    if (!el.contains(document.activeElement)) el.focus();
+    function onKey(e) {
+      if (openDialogs[openDialogs.length - 1] !== el) return;
+      if (e.key === "Escape") {
+        if (close.current) { e.preventDefault(); close.current(); }
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = [...el.querySelectorAll(FOCUSABLE)].filter(n => n.getClientRects().length);
+      if (!items.length) { e.preventDefault(); return; }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (!el.contains(document.activeElement)) { e.preventDefault(); first.focus(); }
+      else if (e.shiftKey && (document.activeElement === first || document.activeElement === el)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    }
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      openDialogs.splice(openDialogs.indexOf(el), 1);
+      if (opener?.isConnected) opener.focus();
+    };
+  }, []);
+  return { ref, role: "dialog", "aria-modal": true, tabIndex: -1 };
+}
+
+// A motion.div that is a modal dialog (see useDialog); label names it for screen readers.
+const DialogSurface = ({ onClose, label, className = "", ...props }) => {
+  const dialog = useDialog(onClose);
+  return <motion.div {...dialog} aria-label={label} className={`focus:outline-none ${className}`} {...props} />;
+};
+
+// The centred dialog every modal uses, rendered inside AnimatePresence while open.
+const Modal = ({ onClose, label, className = "max-w-xl", children }) => (
+  <motion.div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30"
+    initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+    <DialogSurface onClose={onClose} label={label} initial={{ y: 24, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 24, opacity: 0 }}
+      className={`bg-white w-full rounded-2xl shadow-xl p-6 ${className}`}>
+      {children}
+    </DialogSurface>
+  </motion.div>
+);
+
+// In-page stand-in for window.confirm and window.prompt. ask(message) resolves to true or false;
+// with { input: "initial text" } it resolves to the entered text, or null when cancelled. Render
+// `dialog` once in the component that asks.
+function useAsk() {
+  const [pending, setPending] = useState(null); // { message, confirmLabel, danger, input, resolve }
+  const ask = (message, { confirmLabel = t("OK"), danger = false, input = null } = {}) =>
+    new Promise(resolve => setPending({ message, confirmLabel, danger, input, resolve }));
+  const finish = (answer) => { pending.resolve(answer); setPending(null); };
+  const cancel = () => finish(pending.input === null ? false : null);
+  const dialog = (
+    <AnimatePresence>
+      {pending && (
+        <Modal onClose={cancel} label={pending.message} className="max-w-md">
+          <form onSubmit={e => { e.preventDefault(); finish(pending.input === null ? true : pending.input); }}>
+            <p className="text-sm mb-4 whitespace-pre-line">{pending.message}</p>
+            {pending.input !== null && (
+              <TWInput aria-label={pending.message} autoFocus value={pending.input} onChange={e => setPending(p => ({ ...p, input: e.target.value }))} className="mb-4" />
+            )}
+            <div className="flex justify-end gap-2">
+              <TWButton type="button" className="bg-gray-100" onClick={cancel}>{t("Cancel")}</TWButton>
+              <TWButton type="submit" autoFocus={pending.input === null} className={pending.danger ? "bg-rose-600 text-white" : "bg-black text-white"}>{pending.confirmLabel}</TWButton>
+            </div>
+          </form>
+        </Modal>
+      )}
+    </AnimatePresence>
+  );
+  return [ask, dialog];
+}
+
+// onKeyDown for a table body or list whose rows carry data-row and tabIndex={0}: the arrow keys,
+// Home and End move between rows, and Enter activates the row's [data-row-action] (or the row).
+function rowKeyNav(e) {
+  const row = e.target;
+  if (!row.hasAttribute?.("data-row")) return; // keys typed into a control inside the row
+  const rows = [...e.currentTarget.querySelectorAll("[data-row]")];
+  const i = rows.indexOf(row);
+  const to = { ArrowDown: i + 1, ArrowUp: i - 1, Home: 0, End: rows.length - 1 }[e.key];
+  if (to !== undefined) {
+    e.preventDefault();
+    rows[Math.max(0, Math.min(rows.length - 1, to))]?.focus();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    (row.querySelector("[data-row-action]") || row).click();
+  }
+}
+
 // ===============
 // Mock data
 // ===============
@@ -68,487 +1549,10055 @@ const MOCK_EXTENSIONS = [
   { id: 1003, tech: "PJSIP", name: "Support", callerid: "Support <1003>", voicemail: false, vm_email: "" },
 ];
 
-const MOCK_CALLS = Array.from({ length: 137 }).map((_, i) => ({
-  id: `c${i + 1}`,
-  src: i % 3 === 0 ? "0400123456" : String(1001 + (i % 5)),
-  dst: String(1001 + (i % 7)),
-  disposition: i % 4 === 0 ? "NO ANSWER" : "ANSWERED",
-  duration: (i % 5) * 47,
-  calldate: `2025-08-${String(1 + (i % 28)).padStart(2, "0")} ${String(8 + (i % 10)).padStart(2, "0")}:0${i % 6}:1${i % 9}`,
+const MOCK_CALLS = Array.from({ length: 137 }).map((_, i) => {
+  const disposition = i % 4 === 0 ? "NO ANSWER" : i % 13 === 5 ? "BUSY" : i % 17 === 7 ? "FAILED" : "ANSWERED";
+  const day = String(1 + (i % 28)).padStart(2, "0");
+  const inbound = i % 3 === 0;
+  const outbound = !inbound && i % 11 === 4;
+  const src = inbound ? "0400123456" : String(1001 + (i % 5));
+  const dst = outbound ? "0298765432" : String(1001 + (i % 7));
+  const duration = (i % 5) * 47;
+  const channel = (endpoint, n) => `PJSIP/${endpoint}-${n.toString(16).padStart(8, "0")}`;
+  const name = MOCK_EXTENSIONS.find(e => String(e.id) === src)?.name;
+  return {
+    id: `c${i + 1}`,
+    src,
+    dst,
+    disposition,
+    duration,
+    billsec: disposition === "ANSWERED" ? Math.max(0, duration - 6) : 0,
+    calldate: `2025-08-${day} ${String(8 + (i % 10)).padStart(2, "0")}:0${i % 6}:1${i % 9}`,
+    // A handful of answered calls point at the generated sample clips (see mockRecordingBlob).
+    recordingfile: disposition === "ANSWERED" && i % 6 === 1 ? `2025/08/${day}/sample-${1 + (i % 2)}-c${i + 1}.wav` : "",
+    clid: name ? `"${name}" <${src}>` : `<${src}>`,
+    did: inbound ? "0299990000" : "",
+    channel: channel(inbound ? "AU-East" : src, i * 2 + 1),
+    dstchannel: disposition === "FAILED" ? "" : channel(outbound ? "AU-West" : dst, i * 2 + 2),
+    linkedid: `c${i + 1}`,
+  };
+});
+
+// Voicemail across every mailbox. `id` stands in for Asterisk's msg_id, which survives moves between folders.
+const MOCK_VOICEMAILS = [
+  ["1001", "INBOX", "\"Jane Citizen\" <0412345678>", 2, 23],
+  ["1001", "INBOX", "<0298765432>", 5, 41],
+  ["1001", "Urgent", "\"Acme Facilities\" <0293334444>", 9, 67],
+  ["1001", "Old", "\"Jane Citizen\" <0412345678>", 30, 12],
+  ["1001", "Old", "\"Sales\" <1002>", 52, 8],
+  ["1002", "INBOX", "<0400123456>", 1, 35],
+  ["1002", "Old", "\"Bright Supplies\" <0387776666>", 75, 54],
+].map(([mailbox, folder, callerid, hoursAgo, duration], i) => ({
+  id: `${Math.floor(Date.now() / 1000) - hoursAgo * 3600}-0000000${i}`, mailbox, folder, callerid,
+  date: new Date(Date.now() - hoursAgo * 3_600_000).toISOString(), duration,
 }));
 
-const MOCK_STATUS = {
-  trunks: [
-    { name: "SIP Trunk AU-East", state: "Registered", latency_ms: 38 },
-    { name: "SIP Trunk AU-West", state: "Reachable", latency_ms: 182 },
-  ],
-  queues: [
-    { name: "600 Support", agents: 4, logged_in: 3, waiting: 0 },
-    { name: "700 Sales", agents: 6, logged_in: 5, waiting: 1 },
-  ],
+let mockVoicemailSeq = 0;
+const mockVoicemailId = () => `${Math.floor(Date.now() / 1000)}-${String((mockVoicemailSeq += 1)).padStart(8, "0")}`;
+
+// Recorded greetings per mailbox (unavail | busy | name | temp).
+const MOCK_VM_GREETINGS = [{ mailbox: "1001", type: "unavail" }, { mailbox: "1001", type: "name" }, { mailbox: "1002", type: "busy" }];
+const MOCK_VM_MAX_MESSAGES = 100;
+
+const MOCK_TRUNKS = [
+  {
+    id: 1, name: "AU-East", disabled: false, sip_server: "sip.east.example.net", sip_server_port: 5060, transport: "0.0.0.0-udp",
+    qualify_frequency: 60, authentication: "outbound", registration: "send", username: "0299990000", from_domain: "", contact_user: "",
+    allow: "alaw&ulaw", disallow: "all", outcid: "Example Pty Ltd <0299990000>", keepcid: "off", maxchans: 10,
+    dialrules: [{ prepend: "", prefix: "0", match: "NXXXXXXXX" }, { prepend: "", prefix: "", match: "0011." }],
+  },
+  {
+    id: 2, name: "AU-West", disabled: false, sip_server: "sip.west.example.net", sip_server_port: 5061, transport: "0.0.0.0-tls",
+    qualify_frequency: 60, authentication: "both", registration: "none", username: "examplewest", from_domain: "west.example.net", contact_user: "",
+    allow: "", disallow: "", outcid: "", keepcid: "all", maxchans: "", dialrules: [],
+  },
+];
+
+const MOCK_INBOUND_ROUTES = [
+  { id: 1, description: "Main number", did: "0299990000", cid: "", destination: { type: "timecondition", target: "1" } },
+  { id: 2, description: "Sales line", did: "0299990001", cid: "", destination: { type: "queue", target: "700" } },
+  { id: 3, description: "Owner's mobile to reception", did: "0299990000", cid: "0400123456", destination: { type: "extension", target: "1001" } },
+  { id: 4, description: "Any other DID", did: "", cid: "", destination: { type: "voicemail", target: "1001" } },
+];
+
+// Evaluated top to bottom; the first route with a matching pattern wins.
+const MOCK_OUTBOUND_ROUTES = [
+  { id: 1, name: "Emergency", emergency: true, outcid: "", override_extension: false, trunks: [1, 2],
+    patterns: [{ prepend: "", prefix: "", match: "000", callerid: "" }, { prepend: "", prefix: "", match: "112", callerid: "" }] },
+  { id: 2, name: "Local-and-mobile", emergency: false, outcid: "", override_extension: false, trunks: [1, 2],
+    patterns: [{ prepend: "", prefix: "", match: "0[2-478]XXXXXXXX", callerid: "" }, { prepend: "02", prefix: "", match: "NXXXXXXX", callerid: "" }] },
+  { id: 3, name: "International", emergency: false, outcid: "Example Pty Ltd <0299990000>", override_extension: true, trunks: [2],
+    patterns: [{ prepend: "", prefix: "", match: "0011.", callerid: "" }] },
+  { id: 4, name: "Dial-9-for-an-outside-line", emergency: false, outcid: "", override_extension: false, trunks: [1],
+    patterns: [{ prepend: "", prefix: "9", match: "0.", callerid: "" }] },
+];
+
+const MOCK_QUEUES = [
+  {
+    id: "600", name: "Support", strategy: "rrmemory", timeout: 15, retry: 5, maxwait: 600,
+    announce: "support-welcome", periodic_announce: "all-agents-busy", periodic_frequency: 45, music: "default",
+    members: [{ interface: "PJSIP/1003", penalty: 0 }, { interface: "PJSIP/1001", penalty: 1 }, { interface: "PJSIP/1002", penalty: 2 }, { interface: "Local/0412000111@from-queue/n", penalty: 5 }],
+    failover: { type: "voicemail", target: "1001" },
+  },
+  {
+    id: "700", name: "Sales", strategy: "ringall", timeout: 20, retry: 5, maxwait: 300,
+    announce: "", periodic_announce: "", periodic_frequency: 0, music: "default",
+    members: [{ interface: "PJSIP/1002", penalty: 0 }, { interface: "PJSIP/1001", penalty: 2 }],
+    failover: { type: "ringgroup", target: "800" },
+  },
+];
+
+const MOCK_RING_GROUPS = [
+  { id: "800", name: "Sales overflow", strategy: "ringall", ringtime: 20, announce: "", members: ["1001", "1002", "0412345678#"], failover: { type: "voicemail", target: "1002" } },
+];
+
+// Time groups double as holiday calendars: weekly rules and/or date ranges.
+const MOCK_TIME_GROUPS = [
+  { id: 1, name: "Business hours", rules: [{ days: ["mon", "tue", "wed", "thu", "fri"], start: "08:30", end: "17:30" }], dates: [] },
+  { id: 2, name: "Public holidays", rules: [], dates: [
+    { label: "Christmas shutdown", from: "2025-12-24", to: "2026-01-02" },
+    { label: "Australia Day", from: "2026-01-26", to: "" },
+    { label: "Good Friday", from: "2026-04-03", to: "" },
+  ] },
+];
+
+const MOCK_TIME_CONDITIONS = [
+  { id: 1, name: "Holiday check", timegroup: 2, match_dest: { type: "voicemail", target: "1001" }, nomatch_dest: { type: "timecondition", target: "2" } },
+  { id: 2, name: "Open hours", timegroup: 1, match_dest: { type: "ivr", target: "1" }, nomatch_dest: { type: "voicemail", target: "1001" } },
+];
+
+const MOCK_IVRS = [
+  {
+    id: 1, name: "Main menu", announcement: "main-menu", timeout: 5, invalid_retries: 2,
+    entries: [
+      { digit: "1", dest: { type: "queue", target: "700" } },
+      { digit: "2", dest: { type: "queue", target: "600" } },
+      { digit: "0", dest: { type: "extension", target: "1001" } },
+    ],
+    invalid_dest: { type: "extension", target: "1001" },
+    timeout_dest: { type: "extension", target: "1001" },
+  },
+];
+
+const MOCK_ANNOUNCEMENTS = ["main-menu", "support-welcome", "all-agents-busy", "closed-for-holidays"];
+let mockCallFlowLayout = {};
+
+// 8 kHz 16-bit mono PCM WAV, the format Asterisk records in by default.
+function synthWav(seconds, sampleAt, rate = 8000) {
+  const n = Math.floor(seconds * rate);
+  const view = new DataView(new ArrayBuffer(44 + n * 2));
+  const str = (o, t) => [...t].forEach((ch, i) => view.setUint8(o + i, ch.charCodeAt(0)));
+  str(0, "RIFF"); view.setUint32(4, 36 + n * 2, true); str(8, "WAVE");
+  str(12, "fmt "); view.setUint32(16, 16, true); view.setUint16(20, 1, true); view.setUint16(22, 1, true);
+  view.setUint32(24, rate, true); view.setUint32(28, rate * 2, true); view.setUint16(32, 2, true); view.setUint16(34, 16, true);
+  str(36, "data"); view.setUint32(40, n * 2, true);
+  for (let i = 0; i < n; i++) {
+    const v = Math.max(-1, Math.min(1, sampleAt(i / rate)));
+    view.setInt16(44 + i * 2, v * 0x7fff, true);
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
+
+const MOCK_RECORDING_SAMPLES = {
+  // Voice-like: a pitched buzz chopped into syllables, so the waveform has visible words and pauses.
+  1: () => synthWav(6, t => {
+    const syllable = Math.max(0, Math.sin(Math.PI * ((t * 3.2) % 1))) * (Math.floor(t * 3.2) % 4 === 3 ? 0 : 1);
+    const f = 140 + 30 * Math.sin(t * 2.1);
+    return 0.5 * syllable * (Math.sin(2 * Math.PI * f * t) + 0.5 * Math.sin(4 * Math.PI * f * t) + 0.25 * Math.sin(6 * Math.PI * f * t)) / 1.75;
+  }),
+  // Ringback (400+450 Hz, AU cadence) followed by DTMF digits 1-2-3-#.
+  2: () => {
+    const dtmf = [[697, 1209], [697, 1336], [697, 1477], [941, 1477]];
+    return synthWav(5, t => {
+      if (t < 2) return (t % 2) < 0.4 || ((t % 2) > 0.6 && (t % 2) < 1) ? 0.25 * (Math.sin(2 * Math.PI * 400 * t) + Math.sin(2 * Math.PI * 450 * t)) : 0;
+      const k = Math.floor((t - 2) / 0.5);
+      if (k >= dtmf.length || (t - 2) % 0.5 > 0.3) return 0;
+      return 0.3 * (Math.sin(2 * Math.PI * dtmf[k][0] * t) + Math.sin(2 * Math.PI * dtmf[k][1] * t));
+    });
+  },
 };
 
+function mockRecordingBlob(file) {
+  const m = String(file).match(/sample-(\d)/);
+  const make = m && MOCK_RECORDING_SAMPLES[m[1]];
+  if (!make) throw new Error(`Recording not found: ${file}`);
+  return make();
+}
+
+// The mailbox of an extension with voicemail switched on, or a 404-style error.
+function mockMailbox(ext) {
+  const row = MOCK_EXTENSIONS.find(e => String(e.id) === String(ext));
+  if (!row?.voicemail) throw new Error(`Extension ${ext} has no voicemail box`);
+  return String(row.id);
+}
+
+function mockVoicemail(ext, msg) {
+  const box = mockMailbox(ext);
+  const row = MOCK_VOICEMAILS.find(m => m.mailbox === box && m.id === msg.id);
+  if (!row) throw new Error(`No message ${msg.id} in mailbox ${box}`);
+  return row;
+}
+
+// Live queue state for mock mode: queue id -> { agents: Map(interface -> agent) }. Seeded from the
+// queue members on first use; waiting callers and who is on a call come from the PBX simulator.
+const mockQueueLive = new Map();
+
+function mockQueueState(queue) {
+  if (!mockQueueLive.has(queue.id)) mockQueueLive.set(queue.id, { agents: new Map() });
+  const live = mockQueueLive.get(queue.id);
+  const statics = new Set(queue.members.map(m => m.interface));
+  for (const [iface, a] of live.agents) if (!a.dynamic && !statics.has(iface)) live.agents.delete(iface);
+  for (const m of queue.members) {
+    const a = live.agents.get(m.interface);
+    if (a) a.penalty = m.penalty;
+    else live.agents.set(m.interface, { interface: m.interface, penalty: m.penalty, dynamic: false, loggedIn: !m.interface.startsWith("Local/"), paused: false, reason: "", calls_taken: 0 });
+  }
+  return live;
+}
+
 // ===============
 // API layer (adjust for FreePBX 17)
 // ===============
-async function apiFetchExtensions({ baseURL, apiKey, useMock }) {
-  if (useMock) return structuredClone(MOCK_EXTENSIONS);
-  const res = await axios.get(`${baseURL}/extensions`, {
-    headers: { Authorization: `Bearer ${apiKey}` },
-  });
-  return res.data; // Expect: [{id, tech, name, callerid, voicemail, vm_email}]
-}
+// Each backend adapter implements the same set of calls. The api* functions below
+// pick the adapter from cfg.backend ("mock" | "rest" | "graphql"), so panels never
+// need to know which one is active.
 
-async function apiCreateExtension(cfg, payload) {
-  if (cfg.useMock) {
+const mockAdapter = {
+  async fetchExtensions() {
+    return structuredClone(MOCK_EXTENSIONS).map(withoutSecrets); // like the PBX, never read secrets back
+  },
+  async createExtension(cfg, payload) {
     const nextId = Math.max(...MOCK_EXTENSIONS.map(e => e.id)) + 1;
     const row = { id: nextId, tech: payload.tech || "PJSIP", ...payload };
     MOCK_EXTENSIONS.push(row);
     return row;
-  }
-  const res = await axios.post(`${cfg.baseURL}/extensions`, payload, {
-    headers: { Authorization: `Bearer ${cfg.apiKey}` },
-  });
-  return res.data;
-}
-
-async function apiUpdateExtension(cfg, id, payload) {
-  if (cfg.useMock) {
+  },
+  async updateExtension(cfg, id, payload) {
     const i = MOCK_EXTENSIONS.findIndex(e => e.id === id);
     if (i >= 0) MOCK_EXTENSIONS[i] = { ...MOCK_EXTENSIONS[i], ...payload };
     return MOCK_EXTENSIONS[i];
-  }
-  const res = await axios.put(`${cfg.baseURL}/extensions/${id}`, payload, {
-    headers: { Authorization: `Bearer ${cfg.apiKey}` },
-  });
-  return res.data;
-}
-
-async function apiDeleteExtension(cfg, id) {
-  if (cfg.useMock) {
+  },
+  async deleteExtension(cfg, id) {
     const idx = MOCK_EXTENSIONS.findIndex(e => e.id === id);
     if (idx >= 0) MOCK_EXTENSIONS.splice(idx, 1);
     return { ok: true };
-  }
-  const res = await axios.delete(`${cfg.baseURL}/extensions/${id}`, {
-    headers: { Authorization: `Bearer ${cfg.apiKey}` },
-  });
-  return res.data;
-}
-
-async function apiFetchCalls(cfg, { from, to, ext, page, pageSize }) {
-  if (cfg.useMock) {
-    let rows = MOCK_CALLS.filter(c =>
-      (!ext || c.src === String(ext) || c.dst === String(ext)) &&
-      (!from || new Date(c.calldate) >= new Date(from)) &&
-      (!to || new Date(c.calldate) <= new Date(to))
-    );
+  },
+  async fetchRecording(cfg, call) {
+    return mockRecordingBlob(call.recordingfile);
+  },
+  async fetchVoicemail(cfg, ext) {
+    const box = mockMailbox(ext);
+    const messages = MOCK_VOICEMAILS.filter(m => m.mailbox === box).sort((a, b) => b.date.localeCompare(a.date));
+    return {
+      folders: Object.fromEntries(VOICEMAIL_FOLDERS.map(f => [f, structuredClone(messages.filter(m => m.folder === f))])),
+      quota: { messages: messages.length, max_messages: MOCK_VM_MAX_MESSAGES, bytes: messages.reduce((n, m) => n + 44 + m.duration * 16000, 0) },
+      greetings: Object.fromEntries(VOICEMAIL_GREETINGS.map(([type]) => [type, MOCK_VM_GREETINGS.some(g => g.mailbox === box && g.type === type)])),
+    };
+  },
+  async fetchVoicemailAudio(cfg, ext, msg) {
+    mockMailbox(ext);
+    return mockRecordingBlob("sample-1");
+  },
+  async moveVoicemail(cfg, ext, msg, folder) {
+    mockVoicemail(ext, msg).folder = folder;
+    return { ok: true };
+  },
+  async forwardVoicemail(cfg, ext, msg, to) {
+    const source = mockVoicemail(ext, msg);
+    const box = mockMailbox(to);
+    if (MOCK_VOICEMAILS.filter(m => m.mailbox === box).length >= MOCK_VM_MAX_MESSAGES) throw new Error(`Mailbox ${box} is full`);
+    MOCK_VOICEMAILS.push({ ...source, id: mockVoicemailId(), mailbox: box, folder: "INBOX" });
+    return { ok: true };
+  },
+  async deleteVoicemail(cfg, ext, msg) {
+    MOCK_VOICEMAILS.splice(MOCK_VOICEMAILS.indexOf(mockVoicemail(ext, msg)), 1);
+    return { ok: true };
+  },
+  async resetVoicemailPin(cfg, ext, pin) {
+    mockMailbox(ext);
+    MOCK_EXTENSIONS.find(e => String(e.id) === String(ext)).vm_pin = pin;
+    return { ok: true };
+  },
+  async uploadGreeting(cfg, ext, type, file) {
+    const box = mockMailbox(ext);
+    if (!MOCK_VM_GREETINGS.some(g => g.mailbox === box && g.type === type)) MOCK_VM_GREETINGS.push({ mailbox: box, type });
+    return { ok: true, size: file.size };
+  },
+  async deleteRecording(cfg, call) {
+    const row = MOCK_CALLS.find(c => c.id === call.id);
+    if (row) row.recordingfile = "";
+    return { ok: true };
+  },
+  async fetchTrunks() {
+    return structuredClone(MOCK_TRUNKS).map(withoutSecrets);
+  },
+  async createTrunk(cfg, payload) {
+    const row = { ...payload, id: Math.max(0, ...MOCK_TRUNKS.map(t => t.id)) + 1 };
+    MOCK_TRUNKS.push(row);
+    return withoutSecrets(row);
+  },
+  async updateTrunk(cfg, id, payload) {
+    const i = MOCK_TRUNKS.findIndex(t => t.id === id);
+    if (i < 0) throw new Error(`No trunk ${id}`);
+    MOCK_TRUNKS[i] = { ...MOCK_TRUNKS[i], ...payload };
+    return withoutSecrets(MOCK_TRUNKS[i]);
+  },
+  async fetchRoutes(cfg, kind) {
+    return structuredClone(kind === "inbound" ? MOCK_INBOUND_ROUTES : MOCK_OUTBOUND_ROUTES);
+  },
+  async saveRoute(cfg, kind, route) {
+    const list = kind === "inbound" ? MOCK_INBOUND_ROUTES : MOCK_OUTBOUND_ROUTES;
+    if (!route.id) {
+      const row = { ...route, id: Math.max(0, ...list.map(r => r.id)) + 1 };
+      list.push(row);
+      return structuredClone(row);
+    }
+    const i = list.findIndex(r => r.id === route.id);
+    if (i < 0) throw new Error(`No ${kind} route ${route.id}`);
+    list[i] = { ...list[i], ...route };
+    return structuredClone(list[i]);
+  },
+  async deleteRoute(cfg, kind, id) {
+    const list = kind === "inbound" ? MOCK_INBOUND_ROUTES : MOCK_OUTBOUND_ROUTES;
+    const i = list.findIndex(r => r.id === id);
+    if (i >= 0) list.splice(i, 1);
+    return { ok: true };
+  },
+  async reorderOutboundRoutes(cfg, ids) {
+    const byId = new Map(MOCK_OUTBOUND_ROUTES.map(r => [r.id, r]));
+    MOCK_OUTBOUND_ROUTES.splice(0, MOCK_OUTBOUND_ROUTES.length, ...ids.map(id => byId.get(id)).filter(Boolean));
+    return { ok: true };
+  },
+  async fetchGroups(cfg, kind) {
+    return structuredClone(kind === "queues" ? MOCK_QUEUES : MOCK_RING_GROUPS);
+  },
+  async createGroup(cfg, kind, payload) {
+    const list = kind === "queues" ? MOCK_QUEUES : MOCK_RING_GROUPS;
+    if (list.some(g => g.id === payload.id)) throw new Error(`${payload.id} already exists`);
+    list.push(structuredClone(payload));
+    return structuredClone(payload);
+  },
+  async updateGroup(cfg, kind, id, payload) {
+    const list = kind === "queues" ? MOCK_QUEUES : MOCK_RING_GROUPS;
+    const i = list.findIndex(g => g.id === id);
+    if (i < 0) throw new Error(`No ${kind === "queues" ? "queue" : "ring group"} ${id}`);
+    list[i] = { ...list[i], ...structuredClone(payload) };
+    return structuredClone(list[i]);
+  },
+  async deleteGroup(cfg, kind, id) {
+    const list = kind === "queues" ? MOCK_QUEUES : MOCK_RING_GROUPS;
+    const i = list.findIndex(g => g.id === id);
+    if (i >= 0) list.splice(i, 1);
+    if (kind === "queues") mockQueueLive.delete(id);
+    return { ok: true };
+  },
+  async fetchQueueLive(cfg, id) {
+    const queue = MOCK_QUEUES.find(q => q.id === id);
+    if (!queue) throw new Error(`No queue ${id}`);
+    const live = mockQueueState(queue);
+    return {
+      agents: [...live.agents.values()].map(a => ({
+        interface: a.interface,
+        name: MOCK_EXTENSIONS.find(e => `PJSIP/${e.id}` === a.interface)?.name || "",
+        state: !a.loggedIn ? "loggedout" : a.paused ? "paused" : mockSimOnCall(a.interface) ? "oncall" : "idle",
+        reason: a.paused ? a.reason : "",
+        penalty: a.penalty,
+        dynamic: a.dynamic,
+        calls_taken: a.calls_taken,
+      })),
+      callers: mockSimQueueCallers(id).map((c, i) => ({ position: i + 1, caller: c.caller, name: c.name, wait_sec: Math.round((Date.now() - c.since) / 1000) })),
+    };
+  },
+  async queueAgentAction(cfg, queueId, action, iface, { reason = "", penalty = 0 } = {}) {
+    const queue = MOCK_QUEUES.find(q => q.id === queueId);
+    if (!queue) throw new Error(`No queue ${queueId}`);
+    const live = mockQueueState(queue);
+    const agent = live.agents.get(iface);
+    if (action === "login") {
+      if (agent) agent.loggedIn = true;
+      else live.agents.set(iface, { interface: iface, penalty, dynamic: true, loggedIn: true, paused: false, reason: "", calls_taken: 0 });
+      return { ok: true };
+    }
+    if (!agent) throw new Error(`${iface} is not a member of queue ${queueId}`);
+    if (action === "logout") {
+      if (agent.dynamic) live.agents.delete(iface);
+      else Object.assign(agent, { loggedIn: false, paused: false });
+    } else {
+      agent.paused = action === "pause";
+      agent.reason = agent.paused ? reason : "";
+    }
+    return { ok: true };
+  },
+  async fetchCallFlow() {
+    return structuredClone({
+      ivrs: MOCK_IVRS, timeconditions: MOCK_TIME_CONDITIONS, timegroups: MOCK_TIME_GROUPS,
+      announcements: MOCK_ANNOUNCEMENTS, layout: mockCallFlowLayout,
+    });
+  },
+  async saveCallFlow(cfg, { ivrs, timeconditions, timegroups, inbound = [], layout }) {
+    const missing = inbound.find(r => !MOCK_INBOUND_ROUTES.some(m => m.id === r.id));
+    if (missing) throw new Error(`No inbound route ${missing.id}`);
+    MOCK_IVRS.splice(0, MOCK_IVRS.length, ...structuredClone(ivrs));
+    MOCK_TIME_CONDITIONS.splice(0, MOCK_TIME_CONDITIONS.length, ...structuredClone(timeconditions));
+    MOCK_TIME_GROUPS.splice(0, MOCK_TIME_GROUPS.length, ...structuredClone(timegroups));
+    for (const r of inbound) MOCK_INBOUND_ROUTES.find(m => m.id === r.id).destination = structuredClone(r.destination);
+    mockCallFlowLayout = structuredClone(layout || {});
+    return { ok: true };
+  },
+  async uploadAnnouncement(cfg, file) {
+    const name = file.name.replace(/\.[^.]+$/, "").toLowerCase().replace(/[^a-z0-9_-]+/g, "-").slice(0, 60) || "announcement";
+    if (!MOCK_ANNOUNCEMENTS.includes(name)) MOCK_ANNOUNCEMENTS.push(name);
+    return { name };
+  },
+  // A qualify round trip with some jitter around a per-trunk baseline; .invalid hosts and simulated outages never answer.
+  async testTrunk(cfg, trunk) {
+    const row = MOCK_TRUNKS.find(t => t.id === trunk.id);
+    if (!row) throw new Error(`No trunk ${trunk.id}`);
+    await new Promise(r => setTimeout(r, 300));
+    if (row.disabled) return { state: "Disabled", latency_ms: null };
+    if (!mockTrunkUp(row)) return { state: "Unreachable", latency_ms: null, detail: "No response to OPTIONS" };
+    return { state: row.registration === "send" ? "Registered" : "Reachable", latency_ms: mockTrunkLatency(row) };
+  },
+  async fetchCalls(cfg, { page, pageSize, sort, order, signal, ...filter }) {
+    let rows = MOCK_CALLS.filter(c => cdrMatches(c, filter));
+    if (sort) rows.sort(cdrCompare(sort, order));
     const total = rows.length;
     const start = (page - 1) * pageSize;
     rows = rows.slice(start, start + pageSize);
     return { rows, total };
+  },
+  async fetchCallDetail(cfg, call) {
+    const linkedid = call.linkedid || call.id;
+    const cdrs = MOCK_CALLS.filter(c => (c.linkedid || c.id) === linkedid);
+    return { cdrs: structuredClone(cdrs), cel: cdrs.flatMap(mockCelEvents) };
+  },
+};
+
+// The mock adapter as the PBX simulator serves it: injected latency and 500s first (see
+// mockSim.faults), and anything that changed is saved with the rest of the simulated PBX.
+const simulatedAdapter = Object.fromEntries(Object.entries(mockAdapter).map(([name, call]) => [name, async (...args) => {
+  mockSimInit();
+  const { apiDelayMs, apiErrorRate } = mockSim.faults;
+  if (apiDelayMs) await new Promise(r => setTimeout(r, apiDelayMs));
+  if (apiErrorRate && Math.random() < apiErrorRate) {
+    throw Object.assign(new Error("Request failed with status code 500"), {
+      response: { status: 500, data: { message: `Simulated fault in ${name}` } },
+    });
   }
-  const params = { page, pageSize };
-  if (from) params.from = from;
-  if (to) params.to = to;
-  if (ext) params.ext = ext;
-  const res = await axios.get(`${cfg.baseURL}/cdr`, {
-    headers: { Authorization: `Bearer ${cfg.apiKey}` },
-    params,
+  const out = await call(...args);
+  if (!/^(fetch|test)/.test(name)) mockPbxSave();
+  return out;
+}]));
+
+// Generic REST shape (/extensions, /cdr) — for installs fronted by a custom REST proxy.
+const restAdapter = {
+  async fetchExtensions(cfg) {
+    const res = await axios.get(`${cfg.baseURL}/extensions`, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data; // Expect: [{id, tech, name, callerid, voicemail, vm_email}]
+  },
+  async createExtension(cfg, payload) {
+    const res = await axios.post(`${cfg.baseURL}/extensions`, payload, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data;
+  },
+  async updateExtension(cfg, id, payload) {
+    const res = await axios.put(`${cfg.baseURL}/extensions/${id}`, payload, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data;
+  },
+  async deleteExtension(cfg, id) {
+    const res = await axios.delete(`${cfg.baseURL}/extensions/${id}`, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data;
+  },
+  async fetchCalls(cfg, { page, pageSize, sort, order, signal, ...filter }) {
+    const params = { page, pageSize };
+    for (const k of Object.keys(CDR_FILTER_DEFAULTS)) if (filter[k] !== undefined && filter[k] !== "") params[k] = filter[k];
+    if (sort) Object.assign(params, { sort, order });
+    const res = await axios.get(`${cfg.baseURL}/cdr`, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+      params,
+      signal,
+    });
+    return res.data; // Expect: { rows: [...], total }
+  },
+  // Every CDR and CEL row sharing the call's linkedid, i.e. each leg of a transferred or queued call.
+  async fetchCallDetail(cfg, call) {
+    const res = await axios.get(`${cfg.baseURL}/cdr/${encodeURIComponent(call.linkedid || call.uniqueid || call.id)}/legs`, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data; // Expect: { cdrs: [...], cel: [{eventtime, eventtype, channame, cid_num, exten, appname, appdata, extra}] }
+  },
+  async fetchRecording(cfg, call) {
+    const res = await axios.get(`${cfg.baseURL}/recordings/${encodeURIComponent(call.recordingfile)}`, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+      responseType: "blob",
+    });
+    return res.data;
+  },
+  async deleteRecording(cfg, call) {
+    const res = await axios.delete(`${cfg.baseURL}/recordings/${encodeURIComponent(call.recordingfile)}`, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data;
+  },
+  async fetchVoicemail(cfg, ext) {
+    const res = await axios.get(`${cfg.baseURL}/voicemail/${encodeURIComponent(ext)}`, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data; // Expect: { folders: { INBOX: [{id, callerid, date, duration}], Old, Urgent }, quota: {messages, max_messages, bytes}, greetings: {unavail, busy, name, temp} }
+  },
+  async fetchVoicemailAudio(cfg, ext, msg) {
+    const res = await axios.get(`${cfg.baseURL}/voicemail/${encodeURIComponent(ext)}/messages/${encodeURIComponent(msg.id)}/audio`, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+      responseType: "blob",
+    });
+    return res.data;
+  },
+  async moveVoicemail(cfg, ext, msg, folder) {
+    const res = await axios.post(`${cfg.baseURL}/voicemail/${encodeURIComponent(ext)}/messages/${encodeURIComponent(msg.id)}/move`, { folder }, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data;
+  },
+  async forwardVoicemail(cfg, ext, msg, to) {
+    const res = await axios.post(`${cfg.baseURL}/voicemail/${encodeURIComponent(ext)}/messages/${encodeURIComponent(msg.id)}/forward`, { to }, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data;
+  },
+  async deleteVoicemail(cfg, ext, msg) {
+    const res = await axios.delete(`${cfg.baseURL}/voicemail/${encodeURIComponent(ext)}/messages/${encodeURIComponent(msg.id)}`, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data;
+  },
+  async resetVoicemailPin(cfg, ext, pin) {
+    const res = await axios.put(`${cfg.baseURL}/voicemail/${encodeURIComponent(ext)}/pin`, { pin }, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async uploadGreeting(cfg, ext, type, file) {
+    const form = new FormData();
+    form.append("file", file);
+    const res = await axios.post(`${cfg.baseURL}/voicemail/${encodeURIComponent(ext)}/greetings/${type}`, form, {
+      headers: { Authorization: `Bearer ${cfg.apiKey}` },
+    });
+    return res.data;
+  },
+  async fetchTrunks(cfg) {
+    const res = await axios.get(`${cfg.baseURL}/trunks`, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data; // Expect: [{id, name, disabled, sip_server, registration, ...}] without secrets
+  },
+  async createTrunk(cfg, payload) {
+    const res = await axios.post(`${cfg.baseURL}/trunks`, payload, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async updateTrunk(cfg, id, payload) {
+    const res = await axios.put(`${cfg.baseURL}/trunks/${id}`, payload, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async testTrunk(cfg, trunk) {
+    const res = await axios.post(`${cfg.baseURL}/trunks/${trunk.id}/test`, null, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data; // Expect: {state, latency_ms, detail?}
+  },
+  // kind is "inbound" or "outbound"; outbound routes come back in evaluation order.
+  async fetchRoutes(cfg, kind) {
+    const res = await axios.get(`${cfg.baseURL}/routes/${kind}`, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async saveRoute(cfg, kind, route) {
+    const headers = { Authorization: `Bearer ${cfg.apiKey}` };
+    const res = route.id
+      ? await axios.put(`${cfg.baseURL}/routes/${kind}/${route.id}`, route, { headers })
+      : await axios.post(`${cfg.baseURL}/routes/${kind}`, route, { headers });
+    return res.data;
+  },
+  async deleteRoute(cfg, kind, id) {
+    const res = await axios.delete(`${cfg.baseURL}/routes/${kind}/${id}`, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async reorderOutboundRoutes(cfg, ids) {
+    const res = await axios.put(`${cfg.baseURL}/routes/outbound/order`, { ids }, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  // kind is "queues" or "ringgroups"; both are keyed by their dialable number.
+  async fetchGroups(cfg, kind) {
+    const res = await axios.get(`${cfg.baseURL}/${kind}`, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async createGroup(cfg, kind, payload) {
+    const res = await axios.post(`${cfg.baseURL}/${kind}`, payload, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async updateGroup(cfg, kind, id, payload) {
+    const res = await axios.put(`${cfg.baseURL}/${kind}/${id}`, payload, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async deleteGroup(cfg, kind, id) {
+    const res = await axios.delete(`${cfg.baseURL}/${kind}/${id}`, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async fetchQueueLive(cfg, id) {
+    const res = await axios.get(`${cfg.baseURL}/queues/${id}/live`, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data; // Expect: {agents: [{interface, name, state, reason, penalty, dynamic, calls_taken}], callers: [{position, caller, name, wait_sec}]}
+  },
+  // IVRs, time conditions and time groups as one document, so a flow is saved (and reloaded) together.
+  async fetchCallFlow(cfg) {
+    const res = await axios.get(`${cfg.baseURL}/callflow`, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data; // Expect: {ivrs, timeconditions, timegroups, announcements: [name], layout}
+  },
+  async saveCallFlow(cfg, flow) {
+    const res = await axios.put(`${cfg.baseURL}/callflow`, flow, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data;
+  },
+  async uploadAnnouncement(cfg, file) {
+    const form = new FormData();
+    form.append("file", file);
+    const res = await axios.post(`${cfg.baseURL}/announcements`, form, { headers: { Authorization: `Bearer ${cfg.apiKey}` } });
+    return res.data; // Expect: {name}
+  },
+  // action is "login" | "logout" | "pause" | "unpause"; the backend maps these to AMI QueueAdd/QueueRemove/QueuePause.
+  async queueAgentAction(cfg, queueId, action, iface, { reason = "", penalty = 0 } = {}) {
+    const headers = { Authorization: `Bearer ${cfg.apiKey}` };
+    const agents = `${cfg.baseURL}/queues/${queueId}/agents`;
+    const res = action === "login"
+      ? await axios.post(agents, { interface: iface, penalty }, { headers })
+      : action === "logout"
+        ? await axios.delete(`${agents}/${encodeURIComponent(iface)}`, { headers })
+        : await axios.post(`${agents}/${encodeURIComponent(iface)}/pause`, { paused: action === "pause", reason }, { headers });
+    return res.data;
+  },
+};
+
+// Native FreePBX 17 API: GraphQL at {baseURL}/gql, OAuth2 client-credentials at {baseURL}/token.
+// baseURL is the API root from Admin → API → Applications, e.g. https://pbx.example.com/admin/api/api
+const gqlTokens = new Map(); // `${baseURL}|${clientId}` -> { token, expiresAt }
+
+async function gqlToken(cfg, { force = false } = {}) {
+  const key = `${cfg.baseURL}|${cfg.clientId}`;
+  const cached = gqlTokens.get(key);
+  // Refresh 30s early so a request never goes out with a token that expires in flight.
+  if (!force && cached && cached.expiresAt - 30_000 > Date.now()) return cached.token;
+  const body = new URLSearchParams({
+    grant_type: "client_credentials",
+    client_id: cfg.clientId || "",
+    client_secret: cfg.clientSecret || "",
+  });
+  if (cfg.scope) body.set("scope", cfg.scope);
+  const res = await axios.post(`${cfg.baseURL}/token`, body, {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
   });
-  return res.data; // Expect: { rows: [...], total }
+  const { access_token, expires_in = 3600 } = res.data || {};
+  if (!access_token) throw new Error("FreePBX token endpoint returned no access_token");
+  gqlTokens.set(key, { token: access_token, expiresAt: Date.now() + expires_in * 1000 });
+  return access_token;
 }
 
-// ARI (Asterisk Realtime Interface) status via WebSocket
-function useAriStatus({ ariWS, useMock }) {
-  const [status, setStatus] = useState(MOCK_STATUS);
-  const wsRef = useRef(null);
+async function gqlRequest(cfg, query, variables = {}, { signal } = {}) {
+  const send = async (token) => axios.post(`${cfg.baseURL}/gql`, { query, variables }, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal,
+  });
+  let res;
+  try {
+    res = await send(await gqlToken(cfg));
+  } catch (e) {
+    // Token revoked or expired early on the PBX side: fetch a fresh one and retry once.
+    if (e.response?.status !== 401) throw e;
+    res = await send(await gqlToken(cfg, { force: true }));
+  }
+  if (res.data?.errors?.length) throw new Error(res.data.errors.map(x => x.message).join("; "));
+  return res.data.data;
+}
 
-  useEffect(() => {
-    if (useMock || !ariWS) { setStatus(MOCK_STATUS); return; }
-    try {
-      const ws = new WebSocket(ariWS);
-      wsRef.current = ws;
-      ws.onopen = () => {
-        // Optionally authenticate if your ARI proxy expects a token via query/header
-      };
-      ws.onmessage = (evt) => {
-        try {
-          const msg = JSON.parse(evt.data);
-          // Expect a normalized payload { trunks: [...], queues: [...] }
-          if (msg.trunks || msg.queues) setStatus(msg);
-        } catch { /* ignore */ }
-      };
-      ws.onerror = () => { /* show error badge maybe */ };
-      ws.onclose = () => { /* retry/backoff if desired */ };
-      return () => ws.close();
-    } catch {
-      // Fallback silently to mock
-      setStatus(MOCK_STATUS);
+// FreePBX mutations answer { status, message } instead of failing the HTTP request.
+function gqlCheck(result, what) {
+  if (!result || result.status === false) throw new Error(result?.message || `${what} failed`);
+  return result;
+}
+
+const GQL_EXTENSION_FIELDS = `
+  extensionId
+  user { name outboundCid voicemail extPassword }
+  coreDevice { deviceId tech description }
+`;
+
+function gqlToExtension(node) {
+  return {
+    id: Number(node.extensionId),
+    tech: (node.coreDevice?.tech || "pjsip").toUpperCase(),
+    name: node.user?.name || node.coreDevice?.description || "",
+    callerid: node.user?.outboundCid || "",
+    voicemail: Boolean(node.user?.voicemail) && node.user.voicemail !== "novm",
+    vm_email: "", // not exposed by fetchAllExtensions; kept so rows match the REST shape
+  };
+}
+
+// Extension fields the GraphQL schema can set. Anything else (PJSIP device options, forwarding,
+// follow-me, recording policy) is refused rather than silently dropped.
+const GQL_EXTENSION_INPUTS = ["id", "name", "tech", "callerid", "voicemail", "vm_email", "vm_pin"];
+
+function gqlUnsupportedFields(payload, { create = false } = {}) {
+  return Object.keys(payload).filter(k => !GQL_EXTENSION_INPUTS.includes(k) &&
+    // A new extension may carry untouched defaults from the editor; those are what FreePBX applies anyway.
+    !(create && JSON.stringify(payload[k]) === JSON.stringify(EXTENSION_DEFAULTS[k])));
+}
+
+function extensionToGqlInput(id, payload, { create = false } = {}) {
+  const unsupported = gqlUnsupportedFields(payload, { create });
+  if (unsupported.length) throw new Error(`Not settable through the FreePBX GraphQL API: ${unsupported.join(", ")}`);
+  const input = { extensionId: String(id) };
+  if (payload.name !== undefined) input.name = payload.name;
+  if (payload.tech !== undefined) input.tech = String(payload.tech).toLowerCase();
+  if (payload.callerid !== undefined) input.outboundCid = payload.callerid;
+  if (payload.voicemail !== undefined) input.vmEnable = Boolean(payload.voicemail);
+  if (payload.vm_email !== undefined) input.email = payload.vm_email;
+  if (payload.vm_pin) input.vmPassword = payload.vm_pin;
+  return input;
+}
+
+const gqlUnavailable = (what, path) => async () => {
+  throw new Error(`${what} are not available through the FreePBX GraphQL API; use a REST backend that serves ${path}`);
+};
+
+async function gqlCdrPage(cfg, { from, to }, { first, after }, signal) {
+  const vars = { first, after };
+  if (from) vars.startDate = from;
+  if (to) vars.endDate = to;
+  const data = await gqlRequest(cfg, `
+    query ($first: Int, $after: Int, $startDate: String, $endDate: String) {
+      fetchAllCdrs(first: $first, after: $after, orderby: date, startDate: $startDate, endDate: $endDate) {
+        status message totalCount
+        cdrs { id uniqueid calldate src dst disposition duration billsec recordingfile }
+      }
+    }`, vars, { signal });
+  const result = gqlCheck(data.fetchAllCdrs, "fetchAllCdrs");
+  const rows = (result.cdrs || []).map(c => ({ ...c, id: c.uniqueid || c.id }));
+  // Some FreePBX versions leave totalCount out; then only a short page says the range has ended.
+  const totalCount = result.totalCount == null ? null : Number(result.totalCount);
+  return { rows, totalCount, more: totalCount === null ? rows.length === first : after + rows.length < totalCount };
+}
+
+const GQL_CDR_SCAN_PAGE = 500;
+const GQL_CDR_SCAN_MAX = 20_000;
+const GQL_CDR_SCAN_TTL_MS = 60_000;
+let gqlCdrScanCache = null; // { key, at, rows } of the last date range read in full
+
+// Every CDR in the date range, read page by page until the last one. Scrolling and exporting ask
+// for many pages of the same view in a row, so the last range is kept for a minute.
+async function gqlCdrScan(cfg, filter, signal) {
+  const key = JSON.stringify([cfg.baseURL, cfg.clientId, filter.from || "", filter.to || ""]);
+  if (gqlCdrScanCache?.key === key && Date.now() - gqlCdrScanCache.at < GQL_CDR_SCAN_TTL_MS) return gqlCdrScanCache.rows;
+  const rows = [];
+  for (let more = true; more;) {
+    const res = await gqlCdrPage(cfg, filter, { first: GQL_CDR_SCAN_PAGE, after: rows.length }, signal);
+    const total = res.totalCount ?? rows.length + res.rows.length;
+    if (total > GQL_CDR_SCAN_MAX) {
+      throw new Error(`${res.totalCount ?? `Over ${GQL_CDR_SCAN_MAX}`} calls in this date range. With the GraphQL API, filters other than date and sorts other than newest first work on up to ${GQL_CDR_SCAN_MAX} calls; narrow the dates.`);
+    }
+    rows.push(...res.rows);
+    more = res.more && res.rows.length > 0;
+  }
+  gqlCdrScanCache = { key, at: Date.now(), rows };
+  return rows;
+}
+
+const graphqlAdapter = {
+  async fetchExtensions(cfg) {
+    const data = await gqlRequest(cfg, `query { fetchAllExtensions { status message extension { ${GQL_EXTENSION_FIELDS} } } }`);
+    const result = gqlCheck(data.fetchAllExtensions, "fetchAllExtensions");
+    return (result.extension || []).map(gqlToExtension);
+  },
+  async createExtension(cfg, payload) {
+    // addExtension needs the number up front; take the requested one or the next free one.
+    let id = payload.id;
+    if (!id) {
+      const existing = await graphqlAdapter.fetchExtensions(cfg);
+      id = existing.length ? Math.max(...existing.map(e => e.id)) + 1 : 1001;
+    }
+    const input = extensionToGqlInput(id, { tech: "PJSIP", ...payload }, { create: true });
+    const data = await gqlRequest(cfg, `mutation ($input: addExtensionInput!) { addExtension(input: $input) { status message } }`, { input });
+    gqlCheck(data.addExtension, "addExtension");
+    const { secret, vm_pin, ...row } = payload;
+    return { tech: "PJSIP", voicemail: false, vm_email: "", ...row, id: Number(id) };
+  },
+  async updateExtension(cfg, id, payload) {
+    const input = extensionToGqlInput(id, payload);
+    const data = await gqlRequest(cfg, `mutation ($input: updateExtensionInput!) { updateExtension(input: $input) { status message } }`, { input });
+    gqlCheck(data.updateExtension, "updateExtension");
+    return { ...payload, id };
+  },
+  async deleteExtension(cfg, id) {
+    const input = { extensionId: String(id) };
+    const data = await gqlRequest(cfg, `mutation ($input: deleteExtensionInput!) { deleteExtension(input: $input) { status message } }`, { input });
+    gqlCheck(data.deleteExtension, "deleteExtension");
+    return { ok: true };
+  },
+  // fetchAllCdrs only filters by date and only orders newest first. Anything else is applied here
+  // across the whole date range (see gqlCdrScan), so totals and pages match what is shown. So is
+  // a plain view when the PBX doesn't report totalCount, since the total is needed for paging.
+  async fetchCalls(cfg, { page, pageSize, sort, order, signal, ...filter }) {
+    const start = (page - 1) * pageSize;
+    const local = Object.keys(CDR_FILTER_DEFAULTS).some(k => k !== "from" && k !== "to" && filter[k] !== undefined && filter[k] !== "");
+    if (!local && (!sort || (sort === "calldate" && order !== "asc"))) {
+      const { rows, totalCount } = await gqlCdrPage(cfg, filter, { first: pageSize, after: start }, signal);
+      if (totalCount !== null) return { rows, total: totalCount };
     }
-  }, [ariWS, useMock]);
+    let rows = (await gqlCdrScan(cfg, filter, signal)).filter(c => cdrMatches(c, { ...filter, from: "", to: "" }));
+    if (sort) rows = [...rows].sort(cdrCompare(sort, order));
+    return { rows: rows.slice(start, start + pageSize), total: rows.length };
+  },
+  fetchCallDetail: gqlUnavailable("Call legs and CEL events", "/cdr/<linkedid>/legs"),
+  // The FreePBX GraphQL schema has no call-recording download or delete.
+  fetchRecording: gqlUnavailable("Recordings", "/recordings"),
+  deleteRecording: gqlUnavailable("Recordings", "/recordings"),
+  // Trunks and routes aren't covered by the GraphQL schema either.
+  fetchTrunks: gqlUnavailable("Trunks", "/trunks"),
+  createTrunk: gqlUnavailable("Trunks", "/trunks"),
+  updateTrunk: gqlUnavailable("Trunks", "/trunks"),
+  testTrunk: gqlUnavailable("Trunks", "/trunks"),
+  fetchRoutes: gqlUnavailable("Routes", "/routes"),
+  saveRoute: gqlUnavailable("Routes", "/routes"),
+  deleteRoute: gqlUnavailable("Routes", "/routes"),
+  reorderOutboundRoutes: gqlUnavailable("Routes", "/routes"),
+  fetchGroups: gqlUnavailable("Queues and ring groups", "/queues and /ringgroups"),
+  createGroup: gqlUnavailable("Queues and ring groups", "/queues and /ringgroups"),
+  updateGroup: gqlUnavailable("Queues and ring groups", "/queues and /ringgroups"),
+  deleteGroup: gqlUnavailable("Queues and ring groups", "/queues and /ringgroups"),
+  fetchQueueLive: gqlUnavailable("Queue agents", "/queues"),
+  queueAgentAction: gqlUnavailable("Queue agents", "/queues"),
+  fetchCallFlow: gqlUnavailable("IVRs and time conditions", "/callflow"),
+  saveCallFlow: gqlUnavailable("IVRs and time conditions", "/callflow"),
+  uploadAnnouncement: gqlUnavailable("Announcements", "/announcements"),
+  fetchVoicemail: gqlUnavailable("Voicemail messages", "/voicemail"),
+  fetchVoicemailAudio: gqlUnavailable("Voicemail messages", "/voicemail"),
+  moveVoicemail: gqlUnavailable("Voicemail messages", "/voicemail"),
+  forwardVoicemail: gqlUnavailable("Voicemail messages", "/voicemail"),
+  deleteVoicemail: gqlUnavailable("Voicemail messages", "/voicemail"),
+  resetVoicemailPin: gqlUnavailable("Voicemail messages", "/voicemail"),
+  uploadGreeting: gqlUnavailable("Voicemail messages", "/voicemail"),
+};
+
+const API_ADAPTERS = { mock: simulatedAdapter, rest: restAdapter, graphql: graphqlAdapter };
 
-  return status;
+function apiAdapter(cfg) {
+  return API_ADAPTERS[cfg.backend] || restAdapter;
 }
 
-// ===============
-// Helpers
-// ===============
-function secondsToHMS(s) {
-  const h = Math.floor(s / 3600);
-  const m = Math.floor((s % 3600) / 60);
-  const sec = s % 60;
-  return [h, m, sec].map(v => String(v).padStart(2, "0")).join(":");
+// Permissions of the signed-in user, set by App from the session. The UI server enforces them on
+// /pbx and /pbx-ari; checking here too stops the mock backend and direct PBX URLs from bypassing roles.
+let apiPermissions = new Set();
+
+function setApiPermissions(permissions) {
+  apiPermissions = new Set(permissions || []);
 }
 
-function downloadCsv(filename, rows) {
-  const headers = Object.keys(rows[0] || {});
-  const escape = (v) => (`${v ?? ""}`.includes(",") || `${v ?? ""}`.includes("\n")) ? `"${(`${v ?? ""}`).replace(/"/g, '""')}"` : `${v ?? ""}`;
-  const csv = [headers.join(","), ...rows.map(r => headers.map(h => escape(r[h])).join(","))].join("\n");
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url; a.download = filename; a.click();
-  URL.revokeObjectURL(url);
+function requirePermission(permission) {
+  if (!apiPermissions.has(permission)) throw new Error(`Your role is missing the ${permission} permission`);
 }
 
-// ===============
-// Create/Edit Extension Modal
-// ===============
-function ExtensionModal({ open, onClose, onSubmit, initial }) {
-  const [form, setForm] = useState(() => initial || { tech: "PJSIP", name: "", callerid: "", voicemail: false, vm_email: "" });
-  useEffect(() => { setForm(initial || { tech: "PJSIP", name: "", callerid: "", voicemail: false, vm_email: "" }); }, [initial, open]);
-  const isEdit = Boolean(initial && initial.id);
+async function apiFetchExtensions(cfg) {
+  requirePermission("extensions:view");
+  return apiAdapter(cfg).fetchExtensions(cfg);
+}
 
-  return (
-    <AnimatePresence>
-      {open && (
-        <motion.div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30"
-          initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-          <motion.div initial={{ y: 24, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 24, opacity: 0 }} className="bg-white w-full max-w-xl rounded-2xl shadow-xl p-6">
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold">{isEdit ? "Edit" : "Create"} Extension</h3>
-              <TWButton className="bg-gray-100" onClick={onClose}>✕</TWButton>
-            </div>
+async function apiCreateExtension(cfg, payload) {
+  requirePermission("extensions:edit");
+  return apiAdapter(cfg).createExtension(cfg, payload);
+}
 
-            <div className="grid md:grid-cols-2 gap-4">
-              <div>
-                <TWLabel>Technology</TWLabel>
-                <TWSelect value={form.tech} onChange={e => setForm({ ...form, tech: e.target.value })}>
-                  <option value="PJSIP">PJSIP</option>
-                  <option value="SIP">SIP (legacy)</option>
-                  <option value="CHANSIP">CHANSIP (legacy)</option>
-                </TWSelect>
-              </div>
-              <div>
-                <TWLabel>Name</TWLabel>
-                <TWInput value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
-              </div>
-              <div className="md:col-span-2">
-                <TWLabel>Caller ID</TWLabel>
-                <TWInput placeholder="Display <1001>" value={form.callerid} onChange={e => setForm({ ...form, callerid: e.target.value })} />
-              </div>
+async function apiUpdateExtension(cfg, id, payload) {
+  requirePermission("extensions:edit");
+  return apiAdapter(cfg).updateExtension(cfg, id, payload);
+}
 
-              <div className="md:col-span-2 border rounded-2xl p-3">
-                <div className="flex items-center justify-between">
-                  <div className="font-medium">Voicemail</div>
-                  <div className="flex items-center gap-2">
-                    <input id="vm" type="checkbox" checked={form.voicemail} onChange={e => setForm({ ...form, voicemail: e.target.checked })} />
-                    <label htmlFor="vm" className="text-sm">Enable</label>
-                  </div>
-                </div>
-                {form.voicemail && (
-                  <div className="grid md:grid-cols-2 gap-3 mt-3">
+async function apiDeleteExtension(cfg, id) {
+  requirePermission("extensions:edit");
+  return apiAdapter(cfg).deleteExtension(cfg, id);
+}
+
+async function apiFetchCalls(cfg, query) {
+  requirePermission("calls:view");
+  return apiAdapter(cfg).fetchCalls(cfg, query);
+}
+
+async function apiFetchCallDetail(cfg, call) {
+  requirePermission("calls:view");
+  return apiAdapter(cfg).fetchCallDetail(cfg, call);
+}
+
+async function apiFetchRecording(cfg, call) {
+  requirePermission("recordings:play");
+  return apiAdapter(cfg).fetchRecording(cfg, call);
+}
+
+async function apiDeleteRecording(cfg, call) {
+  requirePermission("recordings:delete");
+  return apiAdapter(cfg).deleteRecording(cfg, call);
+}
+
+async function apiFetchVoicemail(cfg, ext) {
+  requirePermission("voicemail:view");
+  return apiAdapter(cfg).fetchVoicemail(cfg, ext);
+}
+
+async function apiFetchVoicemailAudio(cfg, ext, msg) {
+  requirePermission("voicemail:view");
+  return apiAdapter(cfg).fetchVoicemailAudio(cfg, ext, msg);
+}
+
+async function apiMoveVoicemail(cfg, ext, msg, folder) {
+  requirePermission("voicemail:manage");
+  return apiAdapter(cfg).moveVoicemail(cfg, ext, msg, folder);
+}
+
+async function apiForwardVoicemail(cfg, ext, msg, to) {
+  requirePermission("voicemail:manage");
+  return apiAdapter(cfg).forwardVoicemail(cfg, ext, msg, to);
+}
+
+async function apiDeleteVoicemail(cfg, ext, msg) {
+  requirePermission("voicemail:manage");
+  return apiAdapter(cfg).deleteVoicemail(cfg, ext, msg);
+}
+
+async function apiResetVoicemailPin(cfg, ext, pin) {
+  requirePermission("voicemail:manage");
+  return apiAdapter(cfg).resetVoicemailPin(cfg, ext, pin);
+}
+
+async function apiUploadGreeting(cfg, ext, type, file) {
+  requirePermission("voicemail:manage");
+  return apiAdapter(cfg).uploadGreeting(cfg, ext, type, file);
+}
+
+async function apiFetchTrunks(cfg) {
+  requirePermission("trunks:view");
+  return apiAdapter(cfg).fetchTrunks(cfg);
+}
+
+async function apiCreateTrunk(cfg, payload) {
+  requirePermission("trunks:edit");
+  return apiAdapter(cfg).createTrunk(cfg, payload);
+}
+
+async function apiUpdateTrunk(cfg, id, payload) {
+  requirePermission("trunks:edit");
+  return apiAdapter(cfg).updateTrunk(cfg, id, payload);
+}
+
+async function apiTestTrunk(cfg, trunk) {
+  requirePermission("trunks:view");
+  return apiAdapter(cfg).testTrunk(cfg, trunk);
+}
+
+async function apiFetchRoutes(cfg, kind) {
+  requirePermission("routes:view");
+  return apiAdapter(cfg).fetchRoutes(cfg, kind);
+}
+
+async function apiSaveRoute(cfg, kind, route) {
+  requirePermission("routes:edit");
+  return apiAdapter(cfg).saveRoute(cfg, kind, route);
+}
+
+async function apiDeleteRoute(cfg, kind, id) {
+  requirePermission("routes:edit");
+  return apiAdapter(cfg).deleteRoute(cfg, kind, id);
+}
+
+async function apiReorderOutboundRoutes(cfg, ids) {
+  requirePermission("routes:edit");
+  return apiAdapter(cfg).reorderOutboundRoutes(cfg, ids);
+}
+
+async function apiFetchGroups(cfg, kind) {
+  requirePermission("queues:view");
+  return apiAdapter(cfg).fetchGroups(cfg, kind);
+}
+
+async function apiCreateGroup(cfg, kind, payload) {
+  requirePermission("queues:edit");
+  return apiAdapter(cfg).createGroup(cfg, kind, payload);
+}
+
+async function apiUpdateGroup(cfg, kind, id, payload) {
+  requirePermission("queues:edit");
+  return apiAdapter(cfg).updateGroup(cfg, kind, id, payload);
+}
+
+async function apiDeleteGroup(cfg, kind, id) {
+  requirePermission("queues:edit");
+  return apiAdapter(cfg).deleteGroup(cfg, kind, id);
+}
+
+async function apiFetchQueueLive(cfg, id) {
+  requirePermission("queues:view");
+  return apiAdapter(cfg).fetchQueueLive(cfg, id);
+}
+
+async function apiFetchCallFlow(cfg) {
+  requirePermission("callflows:view");
+  return apiAdapter(cfg).fetchCallFlow(cfg);
+}
+
+async function apiSaveCallFlow(cfg, flow) {
+  requirePermission("callflows:edit");
+  if (flow.inbound?.length) requirePermission("routes:edit");
+  return apiAdapter(cfg).saveCallFlow(cfg, flow);
+}
+
+async function apiUploadAnnouncement(cfg, file) {
+  requirePermission("callflows:edit");
+  return apiAdapter(cfg).uploadAnnouncement(cfg, file);
+}
+
+async function apiQueueAgentAction(cfg, queueId, action, iface, opts) {
+  requirePermission("agents:control");
+  return apiAdapter(cfg).queueAgentAction(cfg, queueId, action, iface, opts);
+}
+
+// ===============
+// ARI (Asterisk Realtime Interface)
+// ===============
+// Connects straight to Asterisk: REST snapshot of endpoints/channels/bridges, then the
+// /ari/events stream folded into the same { trunks, queues } model StatusPanel renders.
+// Asterisk must list this UI's origin in ari.conf `allowed_origins` for the browser to connect.
+
+const ARI_EMPTY = { endpoints: {}, channels: {}, bridges: {}, devices: {}, contacts: {} };
+const ARI_OFFLINE_DEVICE_STATES = ["UNAVAILABLE", "INVALID", "UNKNOWN"];
+const ARI_BUSY_DEVICE_STATES = ["INUSE", "BUSY", "ONHOLD", "RINGINUSE"];
+
+function ariEventsURL({ ariURL, ariApp, ariUser, ariPass }) {
+  // A relative ariURL ("/pbx-ari") goes through the UI server on this page's host.
+  const base = new URL(ariURL, window.location.href).href.replace(/\/+$/, "").replace(/^http/, "ws");
+  const qs = new URLSearchParams({ app: ariApp || "freepbx-ui", subscribeAll: "true" });
+  // Browsers can't set headers on a WebSocket, so ARI's api_key query param carries the credentials.
+  if (ariUser) qs.set("api_key", `${ariUser}:${ariPass || ""}`);
+  return `${base}/events?${qs}`;
+}
+
+// The ARI URL may be given as ws(s)://…/ari too; REST calls go to the same place over http(s).
+const ariRestBase = (ariURL) => ariURL.replace(/^ws/, "http").replace(/\/+$/, "");
+
+async function ariRequest(cfg, method, path, { params, data } = {}) {
+  const res = await axios.request({
+    method,
+    url: `${ariRestBase(cfg.ariURL)}${path}`,
+    auth: { username: cfg.ariUser || "", password: cfg.ariPass || "" },
+    params,
+    data,
+  });
+  return res.data;
+}
+
+const ariGet = (cfg, path) => ariRequest(cfg, "get", path);
+
+const endpointKey = (ep) => `${ep.technology}/${ep.resource}`;
+
+async function ariSnapshot(cfg) {
+  const [endpoints, channels, bridges] = await Promise.all([
+    ariGet(cfg, "/endpoints"), ariGet(cfg, "/channels"), ariGet(cfg, "/bridges"),
+  ]);
+  return {
+    ...ARI_EMPTY,
+    endpoints: Object.fromEntries(endpoints.map(ep => [endpointKey(ep), ep])),
+    channels: Object.fromEntries(channels.map(ch => [ch.id, ch])),
+    bridges: Object.fromEntries(bridges.map(br => [br.id, br])),
+  };
+}
+
+// Pure reducer: one raw ARI event in, next ARI state out. Unknown events are ignored.
+function applyAriEvent(state, evt) {
+  const without = (map, key) => { const next = { ...map }; delete next[key]; return next; };
+  switch (evt.type) {
+    case "ChannelCreated":
+    case "ChannelStateChange":
+    case "ChannelDialplan":
+    case "ChannelCallerId":
+    case "ChannelConnectedLine":
+      return { ...state, channels: { ...state.channels, [evt.channel.id]: evt.channel } };
+    case "ChannelDestroyed":
+      return { ...state, channels: without(state.channels, evt.channel.id) };
+    case "ChannelEnteredBridge":
+    case "ChannelLeftBridge":
+    case "BridgeCreated":
+      return { ...state, bridges: { ...state.bridges, [evt.bridge.id]: evt.bridge } };
+    case "BridgeDestroyed":
+      return { ...state, bridges: without(state.bridges, evt.bridge.id) };
+    case "EndpointStateChange":
+      return { ...state, endpoints: { ...state.endpoints, [endpointKey(evt.endpoint)]: evt.endpoint } };
+    case "ContactStatusChange": {
+      const c = evt.contact_info || {};
+      const key = endpointKey(evt.endpoint);
+      const rtt = Number(c.roundtrip_usec);
+      return {
+        ...state,
+        endpoints: { ...state.endpoints, [key]: evt.endpoint },
+        contacts: { ...state.contacts, [key]: { status: c.contact_status, latency_ms: rtt > 0 ? Math.round(rtt / 1000) : null } },
+      };
+    }
+    case "DeviceStateChanged":
+      return { ...state, devices: { ...state.devices, [evt.device_state.name]: evt.device_state.state } };
+    default:
+      return state;
+  }
+}
+
+// "600 Support: PJSIP/1001, PJSIP/1002" per line. Queue membership isn't exposed by ARI.
+function parseQueueDefs(text) {
+  return (text || "").split("\n").map(l => l.trim()).filter(Boolean).map(line => {
+    const [name, members = ""] = line.split(":");
+    return { name: name.trim(), number: name.trim().split(/\s+/)[0], members: members.split(",").map(m => m.trim()).filter(Boolean) };
+  });
+}
+
+function ariDeviceState(state, device) {
+  if (state.devices[device]) return state.devices[device];
+  const ep = state.endpoints[device];
+  if (!ep) return "UNKNOWN";
+  if (ep.state === "offline") return "UNAVAILABLE";
+  return ep.channel_ids?.length ? "INUSE" : "NOT_INUSE";
+}
+
+// Endpoints with a non-numeric resource (e.g. PJSIP/telstra-sip) are treated as trunks.
+function ariToStatus(state, queueDefs) {
+  const bridged = new Set(Object.values(state.bridges).flatMap(b => b.channels || []));
+  const trunks = Object.values(state.endpoints)
+    .filter(ep => !/^\d+$/.test(ep.resource))
+    .map(ep => {
+      const contact = state.contacts[endpointKey(ep)] || {};
+      const online = ep.state === "online";
+      return {
+        name: ep.resource,
+        state: contact.status || (online ? "Registered" : ep.state === "offline" ? "Unavailable" : "Unknown"),
+        latency_ms: contact.latency_ms ?? null,
+      };
+    });
+  const queues = queueDefs.map(q => {
+    // A caller stays in the Queue application after an agent answers; being bridged is what tells them apart.
+    const callers = Object.values(state.channels)
+      .filter(ch => ch.dialplan?.app_name === "Queue" && (ch.dialplan.app_data || "").split(",")[0] === q.number)
+      .map(ch => ({ id: ch.id, since: ariTime(ch.creationtime), answered: bridged.has(ch.id) }));
+    const waiting = callers.filter(c => !c.answered);
+    const states = q.members.map(m => ariDeviceState(state, m));
+    return {
+      name: q.name,
+      agents: q.members.length,
+      logged_in: states.filter(s => !ARI_OFFLINE_DEVICE_STATES.includes(s)).length,
+      on_call: states.filter(s => ARI_BUSY_DEVICE_STATES.includes(s)).length,
+      waiting: waiting.length,
+      // When the longest-waiting caller arrived (channel creation is close enough), for wait-time alerts.
+      waiting_since: waiting.length ? Math.min(...waiting.map(c => c.since)) : null,
+      callers,
+    };
+  });
+  return { trunks, queues };
+}
+
+// ARI timestamps look like 2025-08-01T09:15:02.123+1000, which Date.parse doesn't accept everywhere.
+function ariTime(ts) {
+  return new Date(String(ts || "").replace(/([+-]\d{2})(\d{2})$/, "$1:$2")).getTime();
+}
+
+// "PJSIP/1001-0000001a" -> { tech: "PJSIP", resource: "1001" }
+function channelEndpoint(name) {
+  const [tech, rest = ""] = String(name).split("/");
+  return { tech, resource: rest.replace(/-[0-9a-f]+$/i, "") };
+}
+
+// One row per live channel. Local channels are dialplan plumbing and are left out.
+function ariToCalls(state) {
+  const peerOf = {};
+  Object.values(state.bridges).forEach(b => (b.channels || []).forEach(id => {
+    peerOf[id] = (b.channels || []).find(other => other !== id);
+  }));
+  return Object.values(state.channels)
+    .filter(ch => !String(ch.name).startsWith("Local/"))
+    .map(ch => {
+      const { tech, resource } = channelEndpoint(ch.name);
+      const isExt = /^\d+$/.test(resource);
+      const peer = state.channels[peerOf[ch.id]];
+      return {
+        id: ch.id,
+        name: ch.name,
+        state: ch.state,
+        caller: ch.caller?.number || "",
+        callerName: ch.caller?.name || "",
+        callee: ch.connected?.number || ch.dialplan?.exten || "",
+        extension: isExt ? resource : "",
+        trunk: isExt ? "" : `${tech}/${resource}`,
+        app: ch.dialplan?.app_name || "",
+        startedAt: ariTime(ch.creationtime),
+        peer: peer ? peer.name : "",
+      };
+    })
+    .sort((a, b) => a.startedAt - b.startedAt);
+}
+
+// Simulated calls for mock mode, expressed as raw ARI objects so they flow through the same reducer.
+let mockChannelSeq = 0;
+
+function mockChannel(name, caller, connected, { agoSec = 0, app = "Dial", appData = "" } = {}) {
+  mockChannelSeq += 1;
+  const created = new Date(Date.now() - agoSec * 1000).toISOString().replace("Z", "+0000");
+  return {
+    id: `mock-${mockChannelSeq}`,
+    name: `${name}-${mockChannelSeq.toString(16).padStart(8, "0")}`,
+    state: "Up",
+    caller: { name: caller.name || "", number: caller.number },
+    connected: { name: connected.name || "", number: connected.number },
+    dialplan: { context: "from-internal", exten: connected.number, priority: 1, app_name: app, app_data: appData },
+    creationtime: created,
+  };
+}
+
+function mockCallEvents({ trunk, ext, external, agoSec = 0, inbound = true }) {
+  const extParty = { name: MOCK_EXTENSIONS.find(e => String(e.id) === ext)?.name || "", number: ext };
+  const remoteParty = { number: external };
+  const a = inbound
+    ? mockChannel(`PJSIP/${trunk}`, remoteParty, extParty, { agoSec })
+    : mockChannel(`PJSIP/${ext}`, extParty, remoteParty, { agoSec });
+  const b = inbound
+    ? mockChannel(`PJSIP/${ext}`, extParty, remoteParty, { agoSec: Math.max(0, agoSec - 3) })
+    : mockChannel(`PJSIP/${trunk}`, remoteParty, extParty, { agoSec: Math.max(0, agoSec - 3) });
+  return [
+    { type: "ChannelCreated", channel: a },
+    { type: "ChannelCreated", channel: b },
+    { type: "BridgeCreated", bridge: { id: `bridge-${a.id}`, bridge_type: "mixing", channels: [a.id, b.id] } },
+  ];
+}
+
+// The same actions against the mock state, as the ARI events Asterisk would have sent.
+function mockCallAction(state, action, call, { ext, supervisor, mode } = {}) {
+  const bridge = Object.values(state.bridges).find(b => (b.channels || []).includes(call.id));
+  const ch = state.channels[call.id];
+  const destroyBridge = bridge ? [
+    ...bridge.channels.filter(id => id !== call.id).map(id => ({ type: "ChannelDestroyed", channel: state.channels[id] })).filter(e => e.channel),
+    { type: "BridgeDestroyed", bridge },
+  ] : [];
+  if (action === "hangup") return [...destroyBridge, { type: "ChannelDestroyed", channel: ch }];
+  if (action === "transfer") {
+    const target = mockChannel(`PJSIP/${ext}`, { number: ext }, ch.caller, {});
+    return [
+      ...destroyBridge,
+      { type: "ChannelCreated", channel: target },
+      { type: "BridgeCreated", bridge: { id: `bridge-${target.id}`, bridge_type: "mixing", channels: [ch.id, target.id] } },
+    ];
+  }
+  if (action === "spy") {
+    const spy = mockChannel(`PJSIP/${supervisor}`, { number: supervisor }, { number: call.extension || call.caller }, { app: "ChanSpy", appData: `${ch.name},${ARI_SPY_OPTIONS[mode]}` });
+    return [{ type: "ChannelCreated", channel: spy }];
+  }
+  return [];
+}
+
+// ChanSpy option sets: listen only, whisper to the spied channel, or full barge-in.
+const ARI_SPY_OPTIONS = { listen: "qE", whisper: "qEw", barge: "qEB" };
+
+// Live call control. ARI can only redirect channels that are inside a Stasis app, so transfer and
+// spy originate into two small dialplan contexts instead (see README "Call control").
+async function ariCallAction(cfg, action, call, { ext, supervisor, mode = "listen" } = {}) {
+  if (action === "hangup") return ariRequest(cfg, "delete", `/channels/${encodeURIComponent(call.id)}`);
+  if (action === "transfer") {
+    return ariRequest(cfg, "post", "/channels", {
+      params: { endpoint: `Local/${ext}@freepbx-ui-xfer/n`, app: cfg.ariApp || "freepbx-ui" },
+      data: { variables: { XFER_CHANNEL: call.name } },
+    });
+  }
+  if (action === "spy") {
+    return ariRequest(cfg, "post", "/channels", {
+      params: { endpoint: `PJSIP/${supervisor}`, context: "freepbx-ui-spy", extension: "s", priority: 1, callerId: `Spy <${call.extension || call.caller}>` },
+      data: { variables: { SPY_TARGET: call.name, SPY_OPTS: ARI_SPY_OPTIONS[mode] } },
+    });
+  }
+  throw new Error(`Unknown call action: ${action}`);
+}
+
+// Click-to-call through a desk phone: it rings first and, once picked up, dials the number through
+// from-internal as if it had been dialled there. The caller ID number is the desk extension, which
+// FreePBX uses to find the user's outbound caller ID and routes. Through the UI server the originate
+// is built server-side (POST /pbx-ari/originate), since the proxy doesn't pass calls:dial users a
+// raw /channels.
+async function originateCall(cfg, deskExt, number) {
+  requirePermission("calls:dial");
+  if (cfg.backend === "mock") return mockSimOriginate(deskExt, number);
+  if (!cfg.ariURL) throw new Error("Calling from a desk phone needs ARI. Set the ARI URL, or switch click-to-call to the softphone.");
+  if (cfg.ariURL.startsWith("/")) return (await axios.post(`${ariRestBase(cfg.ariURL)}/originate`, { from: String(deskExt), number })).data;
+  return ariRequest(cfg, "post", "/channels", {
+    params: { endpoint: `PJSIP/${deskExt}`, context: "from-internal", extension: number, priority: 1, callerId: `Call ${number} <${deskExt}>`, timeout: 30 },
+  });
+}
+
+// Realtime status. Returns { trunks, queues, calls, connection, attempt, simulated, ari, callAction, reconnect }
+// where connection is "mock" | "connecting" | "open" | "reconnecting" | "error". Mock mode, or no ARI URL,
+// connects to the PBX simulator through the same code path ("mock" once its socket is open).
+function useAriStatus({ ariURL, ariApp, ariUser, ariPass, ariQueues, useMock }) {
+  const simulated = useMock || !ariURL;
+  const [ari, setAri] = useState(ARI_EMPTY);
+  const [connection, setConnection] = useState(useMock ? "mock" : "connecting");
+  const [attempt, setAttempt] = useState(0);
+  const [generation, setGeneration] = useState(0); // bumped to skip the backoff and connect now
+  const queueDefs = useMemo(() => parseQueueDefs(ariQueues), [ariQueues]);
+
+  useEffect(() => {
+    const cfg = { ariURL, ariApp, ariUser, ariPass };
+    let ws = null;
+    let timer = null;
+    let tries = 0;
+    let disposed = false;
+
+    const connect = () => {
+      setConnection(tries ? "reconnecting" : "connecting");
+      setAttempt(tries);
+      let buffered = []; // events that arrive while the snapshot is in flight
+      let sock;
+      try {
+        sock = simulated ? mockAriSocket() : new WebSocket(ariEventsURL(cfg));
+      } catch {
+        setConnection("error");
+        return;
+      }
+      ws = sock;
+      // A socket that was closed or replaced (or whose snapshot resolves after its close) must not
+      // touch state any more, otherwise a late "open" would hide the reconnect in progress.
+      const stale = () => disposed || ws !== sock || sock.readyState >= WebSocket.CLOSING;
+      sock.onopen = async () => {
+        try {
+          const snap = simulated ? mockSim.ari : await ariSnapshot(cfg);
+          if (stale()) return;
+          setAri(buffered.reduce(applyAriEvent, snap));
+          buffered = null;
+          tries = 0;
+          setAttempt(0);
+          setConnection(simulated ? "mock" : "open");
+        } catch {
+          if (!stale()) sock.close(); // onclose schedules the retry
+        }
+      };
+      sock.onmessage = (evt) => {
+        if (stale()) return;
+        let msg;
+        try { msg = JSON.parse(evt.data); } catch { return; }
+        if (buffered) buffered.push(msg);
+        else setAri(s => applyAriEvent(s, msg));
+      };
+      sock.onerror = () => { /* onclose always follows */ };
+      sock.onclose = () => {
+        if (disposed || ws !== sock) return;
+        ws = null;
+        // Exponential backoff with jitter: 1s, 2s, 4s … capped at 30s.
+        const delay = Math.min(30_000, 1000 * 2 ** tries) * (0.8 + Math.random() * 0.4);
+        tries += 1;
+        setConnection("reconnecting");
+        setAttempt(tries);
+        timer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+    return () => {
+      disposed = true;
+      clearTimeout(timer);
+      if (ws) ws.close();
+    };
+  }, [ariURL, ariApp, ariUser, ariPass, simulated, generation]);
+
+  // The simulator's queue members come from its own queue config rather than the ARI queues setting.
+  const status = useMemo(() => ariToStatus(ari, simulated ? mockQueueDefs() : queueDefs), [ari, queueDefs, simulated]);
+  const calls = useMemo(() => ariToCalls(ari), [ari]);
+
+  async function callAction(action, call, opts) {
+    requirePermission("calls:control");
+    if (simulated) {
+      mockSimCallAction(action, call, opts); // its events come back over the mock socket
+      return;
+    }
+    // Live state follows from the ARI events Asterisk sends back.
+    await ariCallAction({ ariURL, ariApp, ariUser, ariPass }, action, call, opts);
+  }
+
+  return { ...status, calls, connection, attempt, simulated, ari, callAction, reconnect: () => setGeneration(g => g + 1) };
+}
+
+// ===============
+// PBX simulator (mock backend)
+// ===============
+// Mock mode runs a small PBX in the browser. Calls arrive over time, wait in queues for a free agent,
+// ring extensions and go out over the trunks; every step is sent as the ARI event Asterisk would send,
+// over a stand-in for the ARI WebSocket (mockAriSocket), and every finished call becomes a CDR row.
+// The configuration and call history persist in localStorage. Faults (trunk outages, queue floods,
+// a failing or slow API, a dropped ARI link) are switched from the PBX simulator card.
+
+const MOCK_STORE_KEY = "freepbx-ui.mock-pbx";
+const MOCK_SIM_TICK_MS = 2000;
+const MOCK_CDR_LIMIT = 5000;
+const MOCK_SIM_DEFAULTS = { rate: 2, seed: "" }; // rate: new calls per minute; a seed makes a run repeatable
+const MOCK_FAULTS_NONE = { trunksDown: [], apiErrorRate: 0, apiDelayMs: 0, ariDown: false };
+
+// Everything the mock adapter edits, by storage key.
+const MOCK_TABLES = {
+  extensions: MOCK_EXTENSIONS, calls: MOCK_CALLS, trunks: MOCK_TRUNKS, inbound: MOCK_INBOUND_ROUTES,
+  outbound: MOCK_OUTBOUND_ROUTES, queues: MOCK_QUEUES, ringgroups: MOCK_RING_GROUPS, timegroups: MOCK_TIME_GROUPS,
+  timeconditions: MOCK_TIME_CONDITIONS, ivrs: MOCK_IVRS, announcements: MOCK_ANNOUNCEMENTS,
+  voicemails: MOCK_VOICEMAILS, greetings: MOCK_VM_GREETINGS,
+};
+const MOCK_INITIAL = structuredClone(MOCK_TABLES);
+
+const mockSim = {
+  loaded: false,
+  ari: ARI_EMPTY, // what the simulated Asterisk would answer to a REST snapshot
+  calls: new Map(), // call id -> { id, kind, src, dst, trunk, queue, legs, spies, bridge, phase, startedAt, until, answers }
+  sockets: new Set(),
+  listeners: new Set(), // re-renders for the simulator card
+  settings: { ...MOCK_SIM_DEFAULTS },
+  faults: { ...MOCK_FAULTS_NONE },
+  random: Math.random,
+  timer: null,
+  saveTimer: null,
+  cdrSeq: 0,
+};
+
+// mulberry32 over an FNV-1a hash of the seed text.
+function seededRandom(seed) {
+  let h = [...String(seed)].reduce((a, c) => Math.imul(a ^ c.charCodeAt(0), 16777619), 2166136261) >>> 0;
+  return () => {
+    h = (h + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(h ^ (h >>> 15), h | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const mockPick = (list) => list[Math.floor(mockSim.random() * list.length)];
+const mockBetween = (lo, hi) => lo + mockSim.random() * (hi - lo);
+const mockPhoneNumber = () => `04${String(Math.floor(mockSim.random() * 1e8)).padStart(8, "0")}`;
+const mockParty = (number) => ({ name: MOCK_EXTENSIONS.find(e => String(e.id) === number)?.name || "", number });
+
+function mockPbxSave() {
+  clearTimeout(mockSim.saveTimer);
+  mockSim.saveTimer = setTimeout(() => {
+    try {
+      localStorage.setItem(MOCK_STORE_KEY, JSON.stringify({ tables: MOCK_TABLES, layout: mockCallFlowLayout, settings: mockSim.settings }));
+    } catch { /* storage full or blocked: the simulation carries on in memory */ }
+  }, 1000);
+}
+
+function mockPbxLoad() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(MOCK_STORE_KEY)); } catch { /* unreadable: start from the built-in data */ }
+  if (!saved?.tables) return;
+  for (const [key, rows] of Object.entries(MOCK_TABLES)) {
+    if (Array.isArray(saved.tables[key])) rows.splice(0, rows.length, ...saved.tables[key]);
+  }
+  mockCallFlowLayout = saved.layout || {};
+  mockSim.settings = { ...MOCK_SIM_DEFAULTS, ...saved.settings };
+}
+
+const mockTrunkUp = (trunk) => !trunk.disabled && Boolean(trunk.sip_server) && !trunk.sip_server.endsWith(".invalid")
+  && !mockSim.faults.trunksDown.includes(trunk.name);
+
+// A qualify round trip in ms: a per-trunk baseline with some jitter.
+function mockTrunkLatency(trunk, random = Math.random) {
+  const base = 30 + ([...trunk.name].reduce((a, c) => a + c.charCodeAt(0), 0) % 150);
+  return Math.round(base * (0.85 + random() * 0.3));
+}
+
+function mockTrunkEvent(trunk) {
+  const up = mockTrunkUp(trunk);
+  return {
+    type: "ContactStatusChange",
+    endpoint: { technology: "PJSIP", resource: trunk.name, state: up ? "online" : "offline", channel_ids: [] },
+    contact_info: {
+      aor: trunk.name, uri: `sip:${trunk.sip_server}:${trunk.sip_server_port}`,
+      contact_status: up ? "Reachable" : "Unreachable", roundtrip_usec: up ? String(mockTrunkLatency(trunk, mockSim.random) * 1000) : "0",
+    },
+  };
+}
+
+const mockExtChannels = (ext) => Object.values(mockSim.ari.channels).filter(ch => ch.name.startsWith(`PJSIP/${ext}-`));
+
+// Busy on a call (not just ringing), for the queue live view.
+const mockSimOnCall = (iface) => /^PJSIP\/\d+$/.test(iface) && mockExtChannels(iface.slice(6)).some(ch => ch.state === "Up");
+
+// An extension's device state: its channels first, then whether it is logged out of every queue it belongs to.
+function mockDeviceState(ext) {
+  const channels = mockExtChannels(ext);
+  if (channels.some(ch => ch.state === "Up")) return "INUSE";
+  if (channels.length) return "RINGING";
+  const seats = MOCK_QUEUES.map(q => mockQueueState(q).agents.get(`PJSIP/${ext}`)).filter(Boolean);
+  return seats.length && seats.every(a => !a.loggedIn) ? "UNAVAILABLE" : "NOT_INUSE";
+}
+
+const mockQueueDefs = () => MOCK_QUEUES.map(q => ({ name: `${q.id} ${q.name}`, number: q.id, members: q.members.map(m => m.interface) }));
+
+const mockSimQueueCallers = (queueId) => [...mockSim.calls.values()]
+  .filter(c => c.queue === queueId && c.phase === "waiting")
+  .map(c => ({ caller: c.src, name: "", since: c.startedAt }));
+
+// Applies events to the simulator's own ARI state and sends them to every open mock socket.
+function mockSimEmit(events) {
+  for (const evt of events) {
+    const msg = { ...evt, application: "freepbx-ui", timestamp: new Date().toISOString().replace("Z", "+0000") };
+    mockSim.ari = applyAriEvent(mockSim.ari, msg);
+    for (const socket of mockSim.sockets) socket.deliver(msg);
+  }
+}
+
+const mockSimChanged = () => mockSim.listeners.forEach(fn => fn());
+
+// Endpoints for new extensions and trunks, trunk up/down changes and device states.
+function mockSimSync() {
+  const { endpoints, devices } = mockSim.ari;
+  const events = [];
+  for (const e of MOCK_EXTENSIONS) {
+    const ext = String(e.id);
+    if (!endpoints[`PJSIP/${ext}`]) events.push({ type: "EndpointStateChange", endpoint: { technology: "PJSIP", resource: ext, state: "online", channel_ids: [] } });
+    const state = mockDeviceState(ext);
+    if (devices[`PJSIP/${ext}`] !== state) events.push({ type: "DeviceStateChanged", device_state: { name: `PJSIP/${ext}`, state } });
+  }
+  for (const t of MOCK_TRUNKS) {
+    if ((endpoints[`PJSIP/${t.name}`]?.state === "online") !== mockTrunkUp(t)) events.push(mockTrunkEvent(t));
+  }
+  mockSimEmit(events);
+}
+
+// One CDR row per finished call, newest first.
+function mockSimRecord(call, disposition) {
+  const calldate = new Date(call.startedAt - new Date(call.startedAt).getTimezoneOffset() * 60_000).toISOString().slice(0, 19).replace("T", " ");
+  const id = `s${Date.now().toString(36)}${(mockSim.cdrSeq += 1)}`;
+  const recorded = disposition === "ANSWERED" && mockSim.random() < 0.25;
+  const inbound = call.kind === "inbound" || call.kind === "queue";
+  const answeredBy = call.kind === "outbound" ? call.trunk : call.kind === "queue" ? call.agent : call.dst;
+  const channel = (endpoint) => `PJSIP/${endpoint}-${(mockChannelSeq += 1).toString(16).padStart(8, "0")}`;
+  const name = mockParty(call.src).name;
+  MOCK_CALLS.unshift({
+    id, src: call.src, dst: call.dst, disposition,
+    duration: Math.round((Date.now() - call.startedAt) / 1000),
+    billsec: call.answeredAt ? Math.round((Date.now() - call.answeredAt) / 1000) : 0,
+    calldate,
+    recordingfile: recorded ? `${calldate.slice(0, 10).replaceAll("-", "/")}/sample-${1 + Math.floor(mockSim.random() * 2)}-${id}.wav` : "",
+    clid: name ? `"${name}" <${call.src}>` : `<${call.src}>`,
+    did: inbound ? (MOCK_INBOUND_ROUTES.find(r => r.did && r.destination.target === (call.queue || call.dst)) || MOCK_INBOUND_ROUTES.find(r => r.did))?.did || "" : "",
+    channel: channel(inbound ? call.trunk : call.src),
+    dstchannel: disposition === "FAILED" || !answeredBy ? "" : channel(answeredBy),
+    linkedid: id,
+  });
+  if (MOCK_CALLS.length > MOCK_CDR_LIMIT) MOCK_CALLS.length = MOCK_CDR_LIMIT;
+  mockPbxSave();
+}
+
+// The CEL events behind a CDR row. The simulator doesn't keep them, so they are rebuilt from the
+// row: both channels start, the callee rings until answer, both sides bridge, then hang up.
+function mockCelEvents(c) {
+  const start = Date.parse(`${String(c.calldate).replace(" ", "T")}Z`); // wall clock, like calldate
+  const answered = String(c.disposition).toUpperCase() === "ANSWERED";
+  const duration = Number(c.duration || 0);
+  const talk = answered ? Math.min(duration, Number(c.billsec ?? Math.max(0, duration - 6))) : 0;
+  const at = (sec) => new Date(start + sec * 1000).toISOString().slice(0, 19).replace("T", " ");
+  const cause = { ANSWERED: 16, BUSY: 17, "NO ANSWER": 19, FAILED: 34 }[String(c.disposition).toUpperCase()] ?? 16;
+  const ev = (sec, eventtype, channame, extra = {}) => ({ eventtime: at(sec), eventtype, channame, cid_num: c.src, exten: c.dst, linkedid: c.linkedid || c.id, ...extra });
+  const caller = c.channel || `PJSIP/${c.src}`; // rows saved before channels were recorded
+  const callee = c.dstchannel;
+  const out = [
+    ev(0, "CHAN_START", caller),
+    ev(0, "APP_START", caller, { appname: "Dial", appdata: callee ? callee.replace(/-[0-9a-f]+$/, "") : `PJSIP/${c.dst}` }),
+  ];
+  if (callee) out.push(ev(0, "CHAN_START", callee));
+  if (answered && callee) {
+    const ring = duration - talk;
+    out.push(ev(ring, "ANSWER", callee), ev(ring, "ANSWER", caller), ev(ring, "BRIDGE_ENTER", caller), ev(ring, "BRIDGE_ENTER", callee));
+    out.push(ev(duration, "BRIDGE_EXIT", callee), ev(duration, "BRIDGE_EXIT", caller));
+  }
+  if (callee) out.push(ev(duration, "HANGUP", callee, { extra: JSON.stringify({ hangupcause: cause, dialstatus: c.disposition }) }), ev(duration, "CHAN_END", callee));
+  out.push(
+    ev(duration, "APP_END", caller, { appname: "Dial" }),
+    ev(duration, "HANGUP", caller, { extra: JSON.stringify({ hangupcause: cause, dialstatus: c.disposition }) }),
+    ev(duration, "CHAN_END", caller),
+    ev(duration, "LINKEDID_END", caller),
+  );
+  return out;
+}
+
+function mockSimEnd(call, disposition) {
+  const { channels, bridges } = mockSim.ari;
+  mockSim.calls.delete(call.id);
+  mockSimEmit([
+    ...[...call.legs, ...call.spies].map(id => channels[id]).filter(Boolean).map(channel => ({ type: "ChannelDestroyed", channel, cause: 16, cause_txt: "Normal Clearing" })),
+    ...(bridges[call.bridge] ? [{ type: "BridgeDestroyed", bridge: bridges[call.bridge] }] : []),
+  ]);
+  mockSimRecord(call, disposition);
+}
+
+// An unanswered caller who leaves a message, if the extension has a mailbox with room.
+function mockSimVoicemail(call) {
+  const box = MOCK_EXTENSIONS.find(e => String(e.id) === call.dst && e.voicemail);
+  if (!box || MOCK_VOICEMAILS.filter(m => m.mailbox === call.dst).length >= MOCK_VM_MAX_MESSAGES) return;
+  MOCK_VOICEMAILS.push({
+    id: mockVoicemailId(), mailbox: call.dst,
+    folder: mockSim.random() < 0.1 ? "Urgent" : "INBOX", callerid: `<${call.src}>`, date: new Date().toISOString(),
+    duration: Math.round(mockBetween(5, 60)),
+  });
+}
+
+// A call that rings first: inbound (trunk to extension), outbound (extension to trunk) or internal.
+function mockSimDial({ kind, src, dst, trunk = "" }) {
+  const fromExt = kind !== "inbound";
+  const toExt = kind !== "outbound";
+  if (fromExt && mockExtChannels(src).length) return; // a phone in use doesn't place another call
+  const call = { kind, src, dst, trunk, queue: "", legs: [], spies: [], bridge: null, startedAt: Date.now() };
+  if (kind === "outbound" && !MOCK_TRUNKS.some(t => t.name === trunk && mockTrunkUp(t))) return mockSimRecord(call, "FAILED");
+  if (toExt && mockExtChannels(dst).length) return mockSimRecord(call, "BUSY");
+  const a = { ...mockChannel(`PJSIP/${fromExt ? src : trunk}`, mockParty(src), mockParty(dst), { appData: toExt ? `PJSIP/${dst},30` : `PJSIP/${dst}@${trunk}` }), state: "Ring" };
+  const b = { ...mockChannel(`PJSIP/${toExt ? dst : trunk}`, mockParty(dst), mockParty(src)), state: "Ringing" };
+  const answers = mockSim.random() < (kind === "outbound" ? 0.75 : 0.8);
+  mockSim.calls.set(a.id, {
+    ...call, id: a.id, legs: [a.id, b.id], phase: "ringing", answers,
+    until: call.startedAt + (answers ? mockBetween(3, 12) : 20) * 1000,
+  });
+  mockSimEmit([{ type: "ChannelCreated", channel: a }, { type: "ChannelCreated", channel: b }]);
+}
+
+// A caller in a queue gives up after a random patience, or at the queue's max wait.
+function mockSimQueueCall(queue, trunk, from, { agoSec = 0 } = {}) {
+  const ch = mockChannel(`PJSIP/${trunk}`, { number: from }, { name: queue.name, number: queue.id }, { agoSec, app: "Queue", appData: `${queue.id},t` });
+  const since = Date.now() - agoSec * 1000;
+  const patience = Math.min(mockBetween(45, 240), Number(queue.maxwait) || Infinity);
+  mockSim.calls.set(ch.id, {
+    id: ch.id, kind: "queue", src: from, dst: queue.id, trunk, queue: queue.id, legs: [ch.id], spies: [], bridge: null,
+    phase: "waiting", startedAt: since, until: since + patience * 1000,
+  });
+  mockSimEmit([{ type: "ChannelCreated", channel: ch }]);
+}
+
+// The lowest-penalty agent who is logged in, not paused and not on a call; ties go to chance.
+function mockFreeAgent(queueId) {
+  const queue = MOCK_QUEUES.find(q => q.id === queueId);
+  if (!queue) return null;
+  const free = [...mockQueueState(queue).agents.values()]
+    .filter(a => a.loggedIn && !a.paused && /^PJSIP\/\d+$/.test(a.interface) && !mockExtChannels(a.interface.slice(6)).length);
+  if (!free.length) return null;
+  const best = Math.min(...free.map(a => a.penalty));
+  return mockPick(free.filter(a => a.penalty === best));
+}
+
+function mockSimStep(call, now) {
+  const { channels } = mockSim.ari;
+  if (call.phase === "waiting") {
+    const agent = mockFreeAgent(call.queue);
+    if (agent && channels[call.legs[0]]) {
+      const caller = channels[call.legs[0]];
+      const leg = mockChannel(agent.interface, mockParty(agent.interface.slice(6)), caller.caller);
+      agent.calls_taken += 1;
+      Object.assign(call, {
+        phase: "talking", agent: agent.interface.slice(6), answeredAt: now, legs: [caller.id, leg.id], bridge: `bridge-${leg.id}`, until: now + mockBetween(30, 300) * 1000,
+      });
+      mockSimEmit([
+        { type: "ChannelCreated", channel: leg },
+        { type: "BridgeCreated", bridge: { id: call.bridge, bridge_type: "mixing", channels: call.legs } },
+      ]);
+    } else if (now >= call.until) mockSimEnd(call, "NO ANSWER");
+    return;
+  }
+  if (now < call.until) return;
+  if (call.phase === "talking") return mockSimEnd(call, "ANSWERED");
+  if (!call.answers) {
+    if (call.kind === "inbound" && mockSim.random() < 0.5) mockSimVoicemail(call);
+    return mockSimEnd(call, call.kind === "outbound" && mockSim.random() < 0.3 ? "BUSY" : "NO ANSWER");
+  }
+  const [a, b] = call.legs.map(id => channels[id]);
+  if (!a || !b) return mockSimEnd(call, "FAILED");
+  Object.assign(call, { phase: "talking", answeredAt: now, bridge: `bridge-${a.id}`, until: now + mockBetween(20, 240) * 1000 });
+  mockSimEmit([
+    { type: "ChannelStateChange", channel: { ...a, state: "Up" } },
+    { type: "ChannelStateChange", channel: { ...b, state: "Up" } },
+    { type: "BridgeCreated", bridge: { id: call.bridge, bridge_type: "mixing", channels: [a.id, b.id] } },
+  ]);
+}
+
+// Two in three new calls come in (most of them to a queue), the rest go out or stay internal.
+// Outbound calls take any trunk that is up and fail only when none is.
+function mockSimArrival() {
+  const exts = MOCK_EXTENSIONS.map(e => String(e.id));
+  const up = MOCK_TRUNKS.filter(mockTrunkUp);
+  const r = mockSim.random();
+  if (r < 0.65) {
+    if (!up.length) return; // nothing reaches the PBX while every trunk is down
+    const trunk = mockPick(up).name;
+    const queues = MOCK_QUEUES.filter(q => q.members.length);
+    if (queues.length && mockSim.random() < 0.7) mockSimQueueCall(mockPick(queues), trunk, mockPhoneNumber());
+    else if (exts.length) mockSimDial({ kind: "inbound", src: mockPhoneNumber(), dst: mockPick(exts), trunk });
+    return;
+  }
+  if (!exts.length) return;
+  if (r < 0.9) {
+    const trunk = (up.length ? mockPick(up) : MOCK_TRUNKS.find(t => !t.disabled))?.name;
+    if (trunk) mockSimDial({ kind: "outbound", src: mockPick(exts), dst: mockPhoneNumber(), trunk });
+    return;
+  }
+  const [src, dst] = [mockPick(exts), mockPick(exts)];
+  if (src !== dst) mockSimDial({ kind: "internal", src, dst });
+}
+
+function mockSimTick() {
+  const now = Date.now();
+  // Poisson arrivals at the configured rate.
+  const limit = Math.exp(-(mockSim.settings.rate * MOCK_SIM_TICK_MS) / 60_000);
+  for (let x = mockSim.random(); x > limit; x *= mockSim.random()) mockSimArrival();
+  for (const call of [...mockSim.calls.values()]) mockSimStep(call, now);
+  // Qualify results drift a little, about every half minute per trunk.
+  mockSimEmit(MOCK_TRUNKS.filter(t => mockTrunkUp(t) && mockSim.random() < MOCK_SIM_TICK_MS / 30_000).map(mockTrunkEvent));
+  mockSimSync();
+  mockSimChanged();
+}
+
+// Calls run while a console is watching, and through a dropped ARI link (Asterisk doesn't stop for it).
+function mockSimClock() {
+  const needed = mockSim.sockets.size > 0 || mockSim.faults.ariDown;
+  if (needed && !mockSim.timer) mockSim.timer = setInterval(mockSimTick, MOCK_SIM_TICK_MS);
+  if (!needed && mockSim.timer) {
+    clearInterval(mockSim.timer);
+    mockSim.timer = null;
+  }
+}
+
+// Fresh ARI state with the calls in progress at start: a customer with reception, an outbound call
+// from sales and a caller waiting in the Sales queue.
+function mockSimBoot() {
+  mockSim.random = mockSim.settings.seed ? seededRandom(mockSim.settings.seed) : Math.random;
+  mockSim.ari = ARI_EMPTY;
+  mockSim.calls.clear();
+  mockSimSync();
+  const trunk = MOCK_TRUNKS.find(mockTrunkUp)?.name;
+  if (!trunk) return;
+  const exts = new Set(MOCK_EXTENSIONS.map(e => String(e.id)));
+  for (const [ext, external, agoSec, inbound] of [["1001", "0400123456", 95, true], ["1002", "0298765432", 312, false]]) {
+    if (!exts.has(ext)) continue;
+    const events = mockCallEvents({ trunk, ext, external, agoSec, inbound });
+    const [a, b] = events.map(e => e.channel);
+    mockSim.calls.set(a.id, {
+      id: a.id, kind: inbound ? "inbound" : "outbound", src: inbound ? external : ext, dst: inbound ? ext : external, trunk, queue: "",
+      legs: [a.id, b.id], spies: [], bridge: events[2].bridge.id, phase: "talking",
+      startedAt: Date.now() - agoSec * 1000, until: Date.now() + mockBetween(30, 120) * 1000,
+    });
+    mockSimEmit(events);
+  }
+  const sales = MOCK_QUEUES.find(q => q.id === "700");
+  if (sales) mockSimQueueCall(sales, trunk, "0411222333", { agoSec: 41 });
+  mockSimSync();
+}
+
+function mockSimInit() {
+  if (mockSim.loaded) return;
+  mockSim.loaded = true;
+  mockPbxLoad();
+  mockSimBoot();
+}
+
+// Stands in for the ARI WebSocket: the same onopen/onmessage/onclose surface, fed by mockSimEmit.
+function mockAriSocket() {
+  const socket = {
+    readyState: WebSocket.CONNECTING,
+    deliver(msg) { socket.onmessage?.({ data: JSON.stringify(msg) }); },
+    close(code = 1000) {
+      if (socket.readyState === WebSocket.CLOSED) return;
+      socket.readyState = WebSocket.CLOSED;
+      mockSim.sockets.delete(socket);
+      mockSimClock();
+      socket.onclose?.({ code });
+    },
+  };
+  setTimeout(() => {
+    if (socket.readyState !== WebSocket.CONNECTING) return;
+    mockSimInit();
+    if (mockSim.faults.ariDown) return socket.close(1006);
+    socket.readyState = WebSocket.OPEN;
+    mockSim.sockets.add(socket);
+    mockSimClock();
+    socket.onopen?.();
+  }, 100);
+  return socket;
+}
+
+// Status without a socket, for the all-systems overview.
+function mockSimStatus() {
+  mockSimInit();
+  return ariToStatus(mockSim.ari, mockQueueDefs());
+}
+
+// Hang-up, transfer and spy from the call board, applied to the simulated calls.
+function mockSimCallAction(action, target, opts) {
+  mockSimInit();
+  const calls = [...mockSim.calls.values()];
+  const call = calls.find(c => c.legs.includes(target.id));
+  const spied = calls.find(c => c.spies.includes(target.id));
+  if (action === "hangup" && call) return mockSimEnd(call, call.phase === "talking" ? "ANSWERED" : "NO ANSWER");
+  if (action === "hangup" && spied) spied.spies = spied.spies.filter(id => id !== target.id);
+  const events = mockCallAction(mockSim.ari, action, target, opts);
+  mockSimEmit(events);
+  if (call && action === "transfer") {
+    const dropped = new Set(events.filter(e => e.type === "ChannelDestroyed").map(e => e.channel.id));
+    const created = events.find(e => e.type === "ChannelCreated").channel;
+    Object.assign(call, { legs: [...call.legs.filter(id => !dropped.has(id)), created.id], bridge: `bridge-${created.id}` });
+    if (call.phase !== "talking") Object.assign(call, { phase: "talking", until: Date.now() + mockBetween(30, 180) * 1000 });
+  }
+  // A supervisor listening in drops out when the call ends.
+  if (call && action === "spy") call.spies.push(...events.map(e => e.channel.id));
+  mockSimSync();
+  mockSimChanged();
+}
+
+// Click-to-call from a desk phone. A real PBX rings the desk phone first; here the call starts from it.
+function mockSimOriginate(ext, number) {
+  mockSimInit();
+  const src = String(ext);
+  if (!MOCK_EXTENSIONS.some(e => String(e.id) === src)) throw new Error(`Extension ${src} doesn't exist`);
+  if (mockExtChannels(src).length) throw new Error(`Extension ${src} is already on a call`);
+  if (isExtensionNumber(number)) mockSimDial({ kind: "internal", src, dst: number });
+  else mockSimDial({ kind: "outbound", src, dst: number, trunk: (MOCK_TRUNKS.find(mockTrunkUp) || MOCK_TRUNKS.find(t => !t.disabled))?.name });
+  mockSimSync();
+  mockSimChanged();
+}
+
+function mockSimSetFaults(patch) {
+  mockSimInit();
+  const before = mockSim.faults;
+  mockSim.faults = { ...before, ...patch };
+  // Calls on a trunk that just went down are cut off.
+  const down = mockSim.faults.trunksDown.filter(name => !before.trunksDown.includes(name));
+  for (const call of [...mockSim.calls.values()]) {
+    if (down.includes(call.trunk)) mockSimEnd(call, call.phase === "talking" ? "ANSWERED" : "FAILED");
+  }
+  mockSimSync();
+  if (mockSim.faults.ariDown && !before.ariDown) [...mockSim.sockets].forEach(socket => socket.close(1006));
+  mockSimClock();
+  mockSimChanged();
+}
+
+function mockSimFlood(queueId, count) {
+  mockSimInit();
+  const queue = MOCK_QUEUES.find(q => q.id === queueId);
+  const up = MOCK_TRUNKS.filter(mockTrunkUp);
+  if (!queue || !up.length) return;
+  for (let i = 0; i < count; i++) mockSimQueueCall(queue, mockPick(up).name, mockPhoneNumber());
+  mockSimChanged();
+}
+
+function mockSimConfigure(patch) {
+  mockSim.settings = { ...mockSim.settings, ...patch };
+  if ("seed" in patch) mockSim.random = patch.seed ? seededRandom(patch.seed) : Math.random;
+  mockPbxSave();
+  mockSimChanged();
+}
+
+// Back to the built-in data and a fresh start; open consoles see the ARI link restart and reconnect.
+function mockSimReset() {
+  for (const [key, rows] of Object.entries(MOCK_TABLES)) rows.splice(0, rows.length, ...structuredClone(MOCK_INITIAL[key]));
+  mockCallFlowLayout = {};
+  mockQueueLive.clear();
+  mockSim.faults = { ...MOCK_FAULTS_NONE };
+  mockSimBoot();
+  mockPbxSave();
+  [...mockSim.sockets].forEach(socket => socket.close(1012));
+  mockSimChanged();
+}
+
+// ===============
+// Helpers
+// ===============
+// What went wrong with a PBX or UI server request, phrased so an admin knows where to look. Browsers
+// hide why a request got no response, so DNS, TLS, a closed port and CORS all look the same here.
+function describeError(e, source = "The PBX") {
+  const what = t(source);
+  const status = e?.response?.status;
+  const said = e?.response?.data?.message;
+  const detail = said ? `: ${said}` : "";
+  if (!e?.response) {
+    if (e?.message === "Network Error") return t("{what} didn't answer. Check the URL and port, that its TLS certificate is trusted here, and that it allows this origin (CORS).", { what });
+    return e?.message || String(e);
+  }
+  if (status === 401) return t("{what} rejected the credentials (401){detail}. Check the API key, client ID/secret or ARI password.", { what, detail });
+  if (status === 403) return t("{what} refused the request (403){detail}.", { what, detail });
+  if (status === 404) return t("{what} has nothing at {url} (404). Check the base URL.", { what, url: e.config?.url || t("that address") });
+  if (status >= 500) return t("{what} failed with {status}{detail}.", { what, status, detail });
+  return t("{what} answered {status}{detail}.", { what, status, detail });
+}
+
+function secondsToHMS(s) {
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  return [h, m, sec].map(v => String(v).padStart(2, "0")).join(":");
+}
+
+// Extensions are short internal numbers; anything longer is treated as a PSTN number.
+function isExtensionNumber(n) {
+  return /^\d{2,6}$/.test(String(n ?? ""));
+}
+
+// Random SIP secret from the browser's CSPRNG; avoids look-alike characters.
+function generateSecret(length = 24) {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789";
+  const limit = 256 - (256 % alphabet.length); // reject bytes that would skew the distribution
+  let out = "";
+  while (out.length < length) {
+    for (const b of crypto.getRandomValues(new Uint8Array(length * 2))) {
+      if (b < limit && out.length < length) out += alphabet[b % alphabet.length];
+    }
+  }
+  return out;
+}
+
+// Random numeric voicemail PIN that weakPin accepts.
+function generatePin(ext, length = 6) {
+  for (;;) {
+    const pin = Array.from(crypto.getRandomValues(new Uint8Array(length * 2)))
+      .filter(b => b < 250).slice(0, length).map(b => b % 10).join("");
+    if (pin.length === length && !weakPin(pin, ext)) return pin;
+  }
+}
+
+function callDirection(c) {
+  const fromExt = isExtensionNumber(c.src);
+  const toExt = isExtensionNumber(c.dst);
+  if (fromExt && toExt) return "internal";
+  return fromExt ? "outbound" : "inbound";
+}
+
+// The trunk a call crossed. The CDR has no trunk column, so it comes from the caller's channel on
+// inbound calls and the dialled one on outbound calls (channel names look like PJSIP/AU-East-0000001a).
+function cdrTrunk(c) {
+  const dir = callDirection(c);
+  if (dir === "internal") return "";
+  const m = String((dir === "inbound" ? c.channel : c.dstchannel) || "").match(/^[A-Za-z0-9]+\/(.+)-[0-9a-f]+$/);
+  return m && !isExtensionNumber(m[1]) ? m[1] : "";
+}
+
+// Call log filters. Durations are in seconds; empty fields don't filter. Every adapter takes these next
+// to page and pageSize, and a view (filter + sort) round-trips through the page URL as cdr_* parameters.
+const CDR_FILTER_DEFAULTS = {
+  from: "", to: "", ext: "", disposition: "", direction: "", minDuration: "", maxDuration: "", trunk: "", callerid: "", did: "",
+};
+const CDR_SORTS = { calldate: "Date/Time", src: "From", dst: "To", disposition: "Disposition", duration: "Duration" };
+const CDR_VIEW_DEFAULTS = { filter: CDR_FILTER_DEFAULTS, sort: "calldate", order: "desc" };
+const CDR_URL_PREFIX = "cdr_";
+const CDR_PRESETS_KEY = "freepbx-ui.cdr-presets";
+
+function cdrMatches(c, f) {
+  const duration = Number(c.duration || 0);
+  const needle = f.callerid?.trim().toLowerCase();
+  return (!f.ext || c.src === String(f.ext) || c.dst === String(f.ext)) &&
+    (!f.from || new Date(c.calldate) >= new Date(f.from)) &&
+    (!f.to || new Date(c.calldate) <= new Date(f.to)) &&
+    (!f.disposition || String(c.disposition).toUpperCase() === f.disposition) &&
+    (!f.direction || callDirection(c) === f.direction) &&
+    (f.minDuration === "" || f.minDuration === undefined || duration >= Number(f.minDuration)) &&
+    (f.maxDuration === "" || f.maxDuration === undefined || duration <= Number(f.maxDuration)) &&
+    (!f.trunk || cdrTrunk(c).toLowerCase() === f.trunk.trim().toLowerCase()) &&
+    (!needle || `${c.clid ?? ""} ${c.src}`.toLowerCase().includes(needle)) &&
+    (!f.did || String(c.did ?? "").includes(f.did.trim()));
+}
+
+// Ties fall back to newest first, so paging through equal keys is stable.
+function cdrCompare(sort, order) {
+  const dir = order === "asc" ? 1 : -1;
+  const key = (c) => (sort === "duration" ? Number(c.duration || 0) : String(c[sort] ?? ""));
+  return (a, b) => {
+    const ka = key(a), kb = key(b);
+    if (ka !== kb) return (ka < kb ? -1 : 1) * dir;
+    return String(b.calldate).localeCompare(String(a.calldate)) || String(b.id).localeCompare(String(a.id));
+  };
+}
+
+// Returns { field: message }.
+function validateCdrFilter(f) {
+  const e = {};
+  for (const k of ["minDuration", "maxDuration"]) {
+    if (f[k] !== "" && !/^\d{1,6}$/.test(String(f[k]))) e[k] = "Whole seconds";
+  }
+  if (!e.minDuration && !e.maxDuration && f.minDuration !== "" && f.maxDuration !== "" && Number(f.minDuration) > Number(f.maxDuration)) {
+    e.maxDuration = "Shorter than the minimum";
+  }
+  if (f.from && f.to && f.from > f.to) e.to = "Before the start date";
+  if (f.ext && !isExtensionNumber(f.ext)) e.ext = "An extension number";
+  if (f.did && !/^\+?\d{1,20}$/.test(f.did.trim())) e.did = "Digits only";
+  return e;
+}
+
+// "2025-08-01 to 2025-08-31, ext 1001, BUSY" for badges.
+function describeCdrFilter(f) {
+  const parts = [
+    f.from && f.to ? t("{from} to {to}", { from: f.from, to: f.to }) : f.from ? t("{from} onwards", { from: f.from }) : f.to ? t("until {to}", { to: f.to }) : t("all time"),
+    f.ext && t("ext {ext}", { ext: f.ext }),
+    f.direction && t(f.direction),
+    f.disposition,
+    f.minDuration !== "" && f.maxDuration !== "" ? `${f.minDuration}–${f.maxDuration}s`
+      : f.minDuration !== "" ? `≥ ${f.minDuration}s` : f.maxDuration !== "" ? `≤ ${f.maxDuration}s` : "",
+    f.trunk && t("trunk {trunk}", { trunk: f.trunk }),
+    f.callerid && t("caller ID “{text}”", { text: f.callerid }),
+    f.did && t("DID {did}", { did: f.did }),
+  ];
+  return parts.filter(Boolean).join(", ");
+}
+
+function readCdrView(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const get = (k) => params.get(`${CDR_URL_PREFIX}${k}`) ?? "";
+  const filter = Object.fromEntries(Object.keys(CDR_FILTER_DEFAULTS).map(k => [k, get(k)]));
+  if (filter.disposition && !CDR_DISPOSITIONS.includes(filter.disposition)) filter.disposition = "";
+  if (filter.direction && !["inbound", "outbound", "internal"].includes(filter.direction)) filter.direction = "";
+  const problems = validateCdrFilter(filter);
+  for (const k of Object.keys(problems)) filter[k] = ""; // a hand-edited link shouldn't break the panel
+  return {
+    filter,
+    sort: CDR_SORTS[get("sort")] ? get("sort") : CDR_VIEW_DEFAULTS.sort,
+    order: get("order") === "asc" ? "asc" : CDR_VIEW_DEFAULTS.order,
+  };
+}
+
+// The page URL with this view's cdr_* parameters; other parameters are left alone.
+function cdrViewURL({ filter, sort, order }) {
+  const url = new URL(window.location.href);
+  for (const k of [...url.searchParams.keys()]) if (k.startsWith(CDR_URL_PREFIX)) url.searchParams.delete(k);
+  for (const [k, v] of Object.entries(filter)) if (v !== "") url.searchParams.set(`${CDR_URL_PREFIX}${k}`, v);
+  if (sort !== CDR_VIEW_DEFAULTS.sort) url.searchParams.set(`${CDR_URL_PREFIX}sort`, sort);
+  if (order !== CDR_VIEW_DEFAULTS.order) url.searchParams.set(`${CDR_URL_PREFIX}order`, order);
+  return url.toString();
+}
+
+function readCdrPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(CDR_PRESETS_KEY));
+    return Array.isArray(list) ? list.filter(p => p?.name && p.filter) : [];
+  } catch { return []; }
+}
+
+// RFC 4180: quote any field containing a comma, quote, CR or LF; double embedded quotes.
+function csvEscape(v) {
+  const str = `${v ?? ""}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function csvLine(values) {
+  return values.map(csvEscape).join(",") + "\r\n";
+}
+
+// RFC 4180 parser: quoted fields, doubled quotes, embedded newlines, CRLF or LF line ends.
+// Returns one array per record; blank records are kept so indexes line up with the file.
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (src[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      record.push(field); records.push(record);
+      record = []; field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || record.length) { record.push(field); records.push(record); }
+  return records;
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadCsv(filename, rows, headers = Object.keys(rows[0] || {})) {
+  const parts = ["\uFEFF", csvLine(headers), ...rows.map(r => csvLine(headers.map(h => r[h])))];
+  downloadBlob(filename, new Blob(parts, { type: "text/csv;charset=utf-8;" }));
+}
+
+// --- Time zones ---
+// FreePBX stores CDR calldate as wall-clock time in the PBX's zone, with no offset.
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === "function"
+  ? Intl.supportedValuesOf("timeZone")
+  : ["UTC", "Australia/Sydney", "Australia/Perth", "Europe/London", "America/New_York", "America/Los_Angeles"];
+
+const BROWSER_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+function wallParts(epochMs, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(epochMs));
+  const get = (t) => Number(parts.find(p => p.type === t).value);
+  return { y: get("year"), mo: get("month"), d: get("day"), h: get("hour"), mi: get("minute"), s: get("second") };
+}
+
+// Minutes east of UTC for tz at the given instant.
+function tzOffsetMinutes(epochMs, tz) {
+  const w = wallParts(epochMs, tz);
+  return Math.round((Date.UTC(w.y, w.mo - 1, w.d, w.h, w.mi, w.s) - Math.floor(epochMs / 1000) * 1000) / 60000);
+}
+
+// "2025-08-01 09:15:02" as seen on a clock in tz -> epoch ms.
+function zonedTimeToEpoch(str, tz) {
+  const m = String(str).match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!m) return new Date(str).getTime();
+  const asUTC = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  // Two passes settle the offset correctly either side of a DST change.
+  let epoch = asUTC - tzOffsetMinutes(asUTC, tz) * 60000;
+  epoch = asUTC - tzOffsetMinutes(epoch, tz) * 60000;
+  return epoch;
+}
+
+// epoch ms -> "2025-08-01T09:15:02+10:00" in tz.
+function formatInZone(epochMs, tz) {
+  if (!Number.isFinite(epochMs)) return "";
+  const w = wallParts(epochMs, tz);
+  const off = tzOffsetMinutes(epochMs, tz);
+  const pad = (n, l = 2) => String(Math.abs(n)).padStart(l, "0");
+  const sign = off < 0 ? "-" : "+";
+  return `${pad(w.y, 4)}-${pad(w.mo)}-${pad(w.d)}T${pad(w.h)}:${pad(w.mi)}:${pad(w.s)}${sign}${pad(Math.floor(Math.abs(off) / 60))}:${pad(Math.abs(off) % 60)}`;
+}
+
+// --- XLSX (Office Open XML in an uncompressed zip; no dependency needed) ---
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }] -> Blob of a zip using the "stored" method.
+function zipStore(files, type = "application/zip") {
+  const enc = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const crc = crc32(f.data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, 0, true); // stored
+    local.setUint32(14, crc, true);
+    local.setUint32(18, f.data.length, true);
+    local.setUint32(22, f.data.length, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(local, name, f.data);
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, f.data.length, true);
+    dir.setUint32(24, f.data.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(dir, name);
+    offset += 30 + name.length + f.data.length;
+  }
+  const dirSize = central.reduce((n, c) => n + c.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, dirSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...chunks, ...central, end], { type });
+}
+
+function xmlEscape(v) {
+  // Strip control characters XML 1.0 can't carry, then escape markup.
+  return `${v ?? ""}`.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function xlsxColumn(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function xlsxRow(values, r) {
+  const cells = values.map((v, c) => {
+    const ref = `${xlsxColumn(c)}${r}`;
+    return typeof v === "number" && Number.isFinite(v)
+      ? `<c r="${ref}"><v>${v}</v></c>`
+      : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+  });
+  return `<row r="${r}">${cells.join("")}</row>`;
+}
+
+// sheetRows: array of XML <row> strings built with xlsxRow.
+function xlsxBlob(sheetRows, sheetName = "Sheet1") {
+  const enc = new TextEncoder();
+  const file = (name, xml) => ({ name, data: enc.encode(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${xml}`) });
+  return zipStore([
+    file("[Content_Types].xml", `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`),
+    file("_rels/.rels", `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`),
+    file("xl/workbook.xml", `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`),
+    file("xl/_rels/workbook.xml.rels", `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`),
+    file("xl/worksheets/sheet1.xml", `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows.join("")}</sheetData></worksheet>`),
+  ], "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+}
+
+// ===============
+// Create/Edit Extension Modal
+// ===============
+// Field names follow FreePBX's device/user settings so the REST adapter can pass them straight
+// through. Defaults are what FreePBX 17 gives a new PJSIP extension.
+const EXTENSION_DEFAULTS = {
+  tech: "PJSIP", name: "", callerid: "", outboundcid: "",
+  secret: "", max_contacts: 1, transport: "", dtmfmode: "rfc4733",
+  rewrite_contact: "yes", force_rport: "yes", rtp_symmetric: "yes", direct_media: "yes",
+  allow: "", disallow: "", // empty = the PBX's global codec list
+  cf: "", cfb: "", cfu: "",
+  fm_enabled: false, fm_list: "", fm_strategy: "ringallv2-prim", fm_grptime: 20, fm_prering: 7,
+  recording_in_external: "dontcare", recording_out_external: "dontcare",
+  recording_in_internal: "dontcare", recording_out_internal: "dontcare",
+  recording_ondemand: "disabled", recording_priority: 10,
+  voicemail: false, vm_email: "", vm_pin: "", vm_options: {},
+};
+
+// Never shown or logged verbatim; blank on edit means "keep the current one".
+const EXTENSION_SECRET_FIELDS = ["secret", "vm_pin"];
+
+const PJSIP_TRANSPORTS = [
+  ["", "All configured transports"], ["0.0.0.0-udp", "UDP"], ["0.0.0.0-tcp", "TCP"],
+  ["0.0.0.0-tls", "TLS"], ["0.0.0.0-ws", "WS"], ["0.0.0.0-wss", "WSS (WebRTC)"],
+];
+const DTMF_MODES = [["rfc4733", "RFC 4733"], ["inband", "Inband"], ["info", "SIP INFO"], ["auto", "Auto"], ["auto_info", "Auto (INFO fallback)"]];
+const CODECS = ["ulaw", "alaw", "g722", "opus", "gsm", "g729", "ilbc", "g726", "speex", "slin16", "h264", "vp8"];
+const FOLLOWME_STRATEGIES = [
+  ["ringallv2-prim", "Ring all (extension first)"], ["ringall", "Ring all"], ["hunt", "Hunt"],
+  ["memoryhunt", "Memory hunt"], ["firstnotonphone", "First not on phone"], ["firstavailable", "First available"],
+];
+const RECORDING_DIRECTIONS = [
+  ["recording_in_external", "Inbound external"], ["recording_out_external", "Outbound external"],
+  ["recording_in_internal", "Inbound internal"], ["recording_out_internal", "Outbound internal"],
+];
+const RECORDING_POLICIES = [["dontcare", "Don't care"], ["always", "Always"], ["never", "Never"]];
+const RECORDING_ONDEMAND = [["disabled", "Disabled"], ["enabled", "Enabled"], ["override", "Override"]];
+
+// voicemail.conf per-mailbox options FreePBX accepts in the "VM Options" field.
+const VM_OPTION_KEYS = {
+  attach: "bool", saycid: "bool", envelope: "bool", delete: "bool", review: "bool", operator: "bool",
+  callback: "text", dialout: "text", exitcontext: "text", tz: "text", attachfmt: "text",
+  sayduration: "bool", saydurationm: "int", volgain: "number", nextaftercmd: "bool",
+  forcename: "bool", forcegreetings: "bool", hidefromdir: "bool", maxmsg: "int", maxsecs: "int",
+};
+
+const DIAL_NUMBER_RE = /^\+?[0-9*#]{2,20}$/;
+const FOLLOWME_NUMBER_RE = /^\+?\d{2,20}#?$/; // trailing # = external number, as in FreePBX
+
+// "key=value" per line; blank lines and # comments are ignored.
+function parseVmOptions(text) {
+  const options = {};
+  const errors = [];
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const m = line.match(/^([a-z][a-z0-9_]*)\s*=\s*(.*)$/i);
+    if (!m) { errors.push(`line ${i + 1}: expected key=value`); return; }
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+    const type = VM_OPTION_KEYS[key];
+    if (!type) errors.push(`line ${i + 1}: unknown option "${key}"`);
+    else if (key in options) errors.push(`line ${i + 1}: "${key}" is set twice`);
+    else if (type === "bool" && !/^(yes|no)$/i.test(value)) errors.push(`line ${i + 1}: ${key} must be yes or no`);
+    else if (type === "int" && !/^\d+$/.test(value)) errors.push(`line ${i + 1}: ${key} must be a whole number`);
+    else if (type === "number" && !/^-?\d+(\.\d+)?$/.test(value)) errors.push(`line ${i + 1}: ${key} must be a number`);
+    else if (!value) errors.push(`line ${i + 1}: ${key} has no value`);
+    else options[key] = type === "bool" ? value.toLowerCase() : value;
+  });
+  return { options, errors };
+}
+
+const vmOptionsText = (options) => Object.entries(options || {}).map(([k, v]) => `${k}=${v}`).join("\n");
+
+// 0 (unusable) to 4 (strong), with the reasons it isn't stronger.
+function secretStrength(secret, ext) {
+  const s = String(secret || "");
+  const problems = [];
+  if (s.length < 8) problems.push("shorter than 8 characters");
+  else if (s.length < 16) problems.push("shorter than 16 characters");
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(s)).length;
+  if (classes < 3) problems.push("uses fewer than 3 of lower/upper/digits/symbols");
+  if (ext && s.includes(String(ext))) problems.push("contains the extension number");
+  if (/^(.)\1+$/.test(s) || /^(?:0123456789|1234567890|password|secret)/i.test(s)) problems.push("is a common pattern");
+  const fatal = s.length < 8 || problems.some(p => p.startsWith("contains") || p.startsWith("is a common"));
+  const score = fatal ? 0 : Math.max(1, 4 - problems.length);
+  return { score, label: ["Weak", "Fair", "Good", "Good", "Strong"][score], problems };
+}
+
+function weakPin(pin, ext) {
+  return /^(\d)\1+$/.test(pin) || "01234567890".includes(pin) || "09876543210".includes(pin) || pin === String(ext || "");
+}
+
+// Returns { field: message }; empty when the form can be saved.
+function validateExtensionForm(form, { isEdit, ext }) {
+  const e = {};
+  const int = (v, lo, hi) => /^\d+$/.test(String(v)) && Number(v) >= lo && Number(v) <= hi;
+  if (!form.name.trim()) e.name = "Name is required";
+  else if (/[\r\n]/.test(form.name) || form.name.length > 50) e.name = "One line, at most 50 characters";
+  if (form.callerid && !CALLERID_RE.test(form.callerid)) e.callerid = "Use Name <1001> or a number";
+  if (form.outboundcid && !CALLERID_RE.test(form.outboundcid)) e.outboundcid = "Use Name <0299990000> or a number";
+
+  if (!isEdit && !form.secret) e.secret = "A secret is required";
+  else if (form.secret && secretStrength(form.secret, ext).score === 0) e.secret = `Too weak: ${secretStrength(form.secret, ext).problems.join(", ")}`;
+  if (form.tech === "PJSIP" && !int(form.max_contacts, 1, 100)) e.max_contacts = "1 to 100";
+  if (!PJSIP_TRANSPORTS.some(([v]) => v === form.transport)) e.transport = "Unknown transport";
+  if (!DTMF_MODES.some(([v]) => v === form.dtmfmode)) e.dtmfmode = "Unknown DTMF mode";
+  if (form.allow !== "" && !form.allow.split("&").filter(Boolean).length) e.allow = "Pick at least one codec, or use the PBX defaults";
+
+  for (const k of ["cf", "cfb", "cfu"]) if (form[k] && !DIAL_NUMBER_RE.test(form[k])) e[k] = "Digits, * and # only";
+  if (form.fm_enabled) {
+    const list = form.fm_list.split("-").filter(Boolean);
+    if (!list.length) e.fm_list = "Add at least one number";
+    else if (list.some(n => !FOLLOWME_NUMBER_RE.test(n))) e.fm_list = "One number per line; end external numbers with #";
+    if (!int(form.fm_grptime, 1, 300)) e.fm_grptime = "1 to 300 seconds";
+    if (!int(form.fm_prering, 0, 60)) e.fm_prering = "0 to 60 seconds";
+  }
+  for (const [k] of RECORDING_DIRECTIONS) if (!RECORDING_POLICIES.some(([v]) => v === form[k])) e[k] = "Unknown policy";
+  if (!RECORDING_ONDEMAND.some(([v]) => v === form.recording_ondemand)) e.recording_ondemand = "Unknown setting";
+  if (!int(form.recording_priority, 0, 20)) e.recording_priority = "0 to 20";
+
+  if (form.voicemail) {
+    if (form.vm_email && !EMAIL_RE.test(form.vm_email)) e.vm_email = "Not a valid email address";
+    if (!isEdit && !form.vm_pin) e.vm_pin = "Set a voicemail PIN";
+    else if (form.vm_pin && !/^\d{4,10}$/.test(form.vm_pin)) e.vm_pin = "4 to 10 digits";
+    else if (form.vm_pin && weakPin(form.vm_pin, ext)) e.vm_pin = "Too easy to guess";
+    const { errors } = parseVmOptions(form.vm_options_text);
+    if (errors.length) e.vm_options = errors.join("; ");
+  }
+  return e;
+}
+
+const EXTENSION_TABS = [
+  ["general", "General", ["name", "callerid", "tech"]],
+  ["device", "Device", ["secret", "max_contacts", "transport", "dtmfmode"]],
+  ["codecs", "Codecs", ["allow"]],
+  ["routing", "Routing", ["outboundcid", "cf", "cfb", "cfu", "fm_list", "fm_grptime", "fm_prering"]],
+  ["recording", "Recording", [...RECORDING_DIRECTIONS.map(([k]) => k), "recording_ondemand", "recording_priority"]],
+  ["voicemail", "Voicemail", ["vm_email", "vm_pin", "vm_options"]],
+];
+
+const extensionFormFrom = (initial) => {
+  const form = { ...EXTENSION_DEFAULTS, ...(initial || {}), secret: "", vm_pin: "" };
+  return { ...form, vm_options_text: vmOptionsText(form.vm_options) };
+};
+
+// The fields to send: everything on create, only what changed on edit.
+function extensionPayload(form, start, isEdit) {
+  const { vm_options_text, ...rest } = form;
+  const out = { ...rest, vm_options: parseVmOptions(vm_options_text).options };
+  for (const k of ["max_contacts", "fm_grptime", "fm_prering", "recording_priority"]) out[k] = Number(out[k]);
+  if (!isEdit) return out;
+  const before = { ...start, vm_options: parseVmOptions(start.vm_options_text).options };
+  return Object.fromEntries(Object.entries(out).filter(([k, v]) =>
+    EXTENSION_SECRET_FIELDS.includes(k) ? Boolean(v) : JSON.stringify(v) !== JSON.stringify(before[k])));
+}
+
+// Validation messages are English; those the catalog knows are shown translated.
+const FieldError = ({ msg }) => (msg ? <div role="alert" className="text-xs text-rose-700 mt-1">{t(msg)}</div> : null);
+
+function CodecOrder({ value, onChange }) {
+  const useDefault = value === "";
+  const list = value.split("&").filter(Boolean);
+  const move = (i, d) => { const next = [...list]; [next[i], next[i + d]] = [next[i + d], next[i]]; onChange(next.join("&")); };
+  return (
+    <div className="grid gap-3">
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={useDefault} onChange={e => onChange(e.target.checked ? "" : "ulaw&alaw&g722")} />
+        {t("Use the PBX's default codecs")}
+      </label>
+      {!useDefault && (
+        <div className="grid md:grid-cols-2 gap-3">
+          <div>
+            <TWLabel>{t("Allowed, in order of preference")}</TWLabel>
+            <div className="space-y-1">
+              {list.map((c, i) => (
+                <div key={c} className="flex items-center justify-between border rounded-xl px-2 py-1 text-sm">
+                  <span className="font-mono">{i + 1}. {c}</span>
+                  <span className="flex gap-1">
+                    <TWButton className="bg-gray-100 px-2 py-0.5" disabled={i === 0} onClick={() => move(i, -1)} title={t("Prefer")}>↑</TWButton>
+                    <TWButton className="bg-gray-100 px-2 py-0.5" disabled={i === list.length - 1} onClick={() => move(i, 1)} title={t("Demote")}>↓</TWButton>
+                    <TWButton className="bg-gray-100 px-2 py-0.5" onClick={() => onChange(list.filter(x => x !== c).join("&"))} title={t("Remove")} aria-label={t("Remove")}>✕</TWButton>
+                  </span>
+                </div>
+              ))}
+              {!list.length && <div className="text-xs text-gray-500">{t("No codecs allowed.")}</div>}
+            </div>
+          </div>
+          <div>
+            <TWLabel>{t("Available")}</TWLabel>
+            <div className="flex flex-wrap gap-1">
+              {CODECS.filter(c => !list.includes(c)).map(c => (
+                <TWButton key={c} className="bg-gray-100 px-2 py-0.5 font-mono" onClick={() => onChange([...list, c].join("&"))}>+ {c}</TWButton>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">{t("Everything else is disallowed (disallow=all).")}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ExtensionModal({ open, onClose, onSubmit, initial }) {
+  const [form, setForm] = useState(() => extensionFormFrom(initial));
+  const [start, setStart] = useState(form);
+  const [tab, setTab] = useState("general");
+  const [showErrors, setShowErrors] = useState(false);
+  const isEdit = Boolean(initial && initial.id);
+  useEffect(() => {
+    const f = extensionFormFrom(initial);
+    if (!isEdit) f.secret = generateSecret();
+    setForm(f); setStart(f); setTab("general"); setShowErrors(false);
+  }, [initial, open]);
+
+  const errors = useMemo(() => validateExtensionForm(form, { isEdit, ext: initial?.id }), [form, isEdit, initial]);
+  const strength = form.secret ? secretStrength(form.secret, initial?.id) : null;
+  const set = (k) => (e) => setForm({ ...form, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value });
+  const err = (k) => (showErrors ? errors[k] : "");
+  const yesNo = (k, label) => (
+    <div>
+      <TWLabel>{label}</TWLabel>
+      <TWSelect value={form[k]} onChange={set(k)}><option value="yes">{t("Yes")}</option><option value="no">{t("No")}</option></TWSelect>
+    </div>
+  );
+
+  function submit() {
+    if (Object.keys(errors).length) {
+      setShowErrors(true);
+      setTab(EXTENSION_TABS.find(([, , fields]) => fields.some(f => errors[f]))?.[0] || tab);
+      return;
+    }
+    const payload = extensionPayload(form, start, isEdit);
+    if (!isEdit || Object.keys(payload).length) onSubmit(payload);
+    onClose();
+  }
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <Modal onClose={onClose} label={isEdit ? t("Edit extension {id}", { id: initial.id }) : t("Create extension")} className="max-w-2xl max-h-[90vh] overflow-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{isEdit ? t("Edit extension {id}", { id: initial.id }) : t("Create extension")}</h3>
+            <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={onClose}>✕</TWButton>
+          </div>
+
+          <div role="tablist" className="flex flex-wrap gap-1 mb-4 border-b">
+            {EXTENSION_TABS.map(([key, label, fields]) => (
+              <button key={key} type="button" role="tab" aria-selected={tab === key} onClick={() => setTab(key)}
+                className={`px-3 py-1.5 text-sm rounded-t-xl ${FOCUS_RING} ${tab === key ? "bg-gray-100 font-medium" : "text-gray-600"}`}>
+                {t(label)}{showErrors && fields.some(f => errors[f]) && <span className="ml-1 text-rose-600" aria-label={t("has errors")}>●</span>}
+              </button>
+            ))}
+          </div>
+
+          {tab === "general" && (
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <TWLabel>{t("Technology")}</TWLabel>
+                <TWSelect value={form.tech} onChange={set("tech")}>
+                  <option value="PJSIP">PJSIP</option>
+                  <option value="SIP">SIP (legacy)</option>
+                  <option value="CHANSIP">CHANSIP (legacy)</option>
+                </TWSelect>
+              </div>
+              <div>
+                <TWLabel>{t("Name")}</TWLabel>
+                <TWInput value={form.name} onChange={set("name")} />
+                <FieldError msg={err("name")} />
+              </div>
+              <div className="md:col-span-2">
+                <TWLabel>{t("Caller ID (internal)")}</TWLabel>
+                <TWInput placeholder="Display <1001>" value={form.callerid} onChange={set("callerid")} />
+                <FieldError msg={err("callerid")} />
+              </div>
+            </div>
+          )}
+
+          {tab === "device" && (
+            <div className="grid md:grid-cols-2 gap-4">
+              <div className="md:col-span-2">
+                <TWLabel>{isEdit ? t("Secret (leave blank to keep the current one)") : t("Secret")}</TWLabel>
+                <div className="flex gap-2">
+                  <TWInput className="font-mono" value={form.secret} onChange={set("secret")} autoComplete="new-password" />
+                  <TWButton className="bg-gray-100 whitespace-nowrap" onClick={() => setForm({ ...form, secret: generateSecret() })}>{t("Generate")}</TWButton>
+                </div>
+                {strength && (
+                  <div className="text-xs mt-1 flex items-center gap-2">
+                    <TWBadge tone={strength.score >= 3 ? "ok" : strength.score >= 1 ? "warn" : "err"}>{t(strength.label)}</TWBadge>
+                    <span className="text-gray-600">{strength.problems.map(p => t(p)).join(", ")}</span>
+                  </div>
+                )}
+                <FieldError msg={err("secret")} />
+              </div>
+              {form.tech === "PJSIP" ? (
+                <>
+                  <div>
+                    <TWLabel>{t("Max contacts")}</TWLabel>
+                    <TWInput type="number" min={1} max={100} value={form.max_contacts} onChange={set("max_contacts")} />
+                    <FieldError msg={err("max_contacts")} />
+                  </div>
+                  <div>
+                    <TWLabel>{t("Transport")}</TWLabel>
+                    <TWSelect value={form.transport} onChange={set("transport")}>
+                      {PJSIP_TRANSPORTS.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                    </TWSelect>
+                  </div>
+                </>
+              ) : (
+                <div className="md:col-span-2 text-xs text-gray-500">{t("Max contacts and transport apply to PJSIP only.")}</div>
+              )}
+              <div>
+                <TWLabel>{t("DTMF mode")}</TWLabel>
+                <TWSelect value={form.dtmfmode} onChange={set("dtmfmode")}>
+                  {DTMF_MODES.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                </TWSelect>
+              </div>
+              {yesNo("direct_media", t("Direct media"))}
+              <div className="md:col-span-2 border rounded-2xl p-3">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-medium text-sm">NAT</div>
+                  <TWButton className="bg-gray-100 px-2 py-1" onClick={() => setForm({ ...form, rewrite_contact: "yes", force_rport: "yes", rtp_symmetric: "yes", direct_media: "no" })}>{t("Phone is behind NAT")}</TWButton>
+                </div>
+                <div className="grid md:grid-cols-3 gap-3">
+                  {yesNo("rewrite_contact", t("Rewrite contact"))}
+                  {yesNo("force_rport", t("Force rport"))}
+                  {yesNo("rtp_symmetric", t("RTP symmetric"))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {tab === "codecs" && (
+            <>
+              <CodecOrder value={form.allow} onChange={allow => setForm({ ...form, allow, disallow: allow ? "all" : "" })} />
+              <FieldError msg={err("allow")} />
+            </>
+          )}
+
+          {tab === "routing" && (
+            <div className="grid md:grid-cols-3 gap-4">
+              <div className="md:col-span-3">
+                <TWLabel>{t("Outbound caller ID")}</TWLabel>
+                <TWInput placeholder="Company <0299990000>" value={form.outboundcid} onChange={set("outboundcid")} />
+                <FieldError msg={err("outboundcid")} />
+              </div>
+              {[["cf", "Forward always (CF)"], ["cfb", "Forward on busy (CFB)"], ["cfu", "Forward when unavailable (CFU)"]].map(([k, label]) => (
+                <div key={k}>
+                  <TWLabel>{t(label)}</TWLabel>
+                  <TWInput value={form[k]} onChange={set(k)} placeholder={t("off")} />
+                  <FieldError msg={err(k)} />
+                </div>
+              ))}
+              <div className="md:col-span-3 border rounded-2xl p-3">
+                <div className="flex items-center justify-between">
+                  <div className="font-medium text-sm">{t("Follow me")}</div>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={form.fm_enabled} onChange={set("fm_enabled")} /> {t("Enable")}
+                  </label>
+                </div>
+                {form.fm_enabled && (
+                  <div className="grid md:grid-cols-3 gap-3 mt-3">
+                    <div className="md:row-span-2">
+                      <TWLabel>{t("Numbers (one per line)")}</TWLabel>
+                      <TWTextarea rows={4} placeholder={"1001\n0400123456#"} value={form.fm_list.split("-").join("\n")}
+                        onChange={e => setForm({ ...form, fm_list: e.target.value.split(/\r?\n/).map(s => s.trim()).join("-") })} />
+                      <FieldError msg={err("fm_list")} />
+                    </div>
+                    <div className="md:col-span-2">
+                      <TWLabel>{t("Strategy")}</TWLabel>
+                      <TWSelect value={form.fm_strategy} onChange={set("fm_strategy")}>
+                        {FOLLOWME_STRATEGIES.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                      </TWSelect>
+                    </div>
+                    <div>
+                      <TWLabel>{t("Ring time (s)")}</TWLabel>
+                      <TWInput type="number" value={form.fm_grptime} onChange={set("fm_grptime")} />
+                      <FieldError msg={err("fm_grptime")} />
+                    </div>
                     <div>
-                      <TWLabel>VM Email</TWLabel>
-                      <TWInput type="email" value={form.vm_email} onChange={e => setForm({ ...form, vm_email: e.target.value })} />
+                      <TWLabel>{t("Ring extension first (s)")}</TWLabel>
+                      <TWInput type="number" value={form.fm_prering} onChange={set("fm_prering")} />
+                      <FieldError msg={err("fm_prering")} />
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {tab === "recording" && (
+            <div className="grid md:grid-cols-2 gap-4">
+              {RECORDING_DIRECTIONS.map(([k, label]) => (
+                <div key={k}>
+                  <TWLabel>{t(label)}</TWLabel>
+                  <TWSelect value={form[k]} onChange={set(k)}>
+                    {RECORDING_POLICIES.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                  </TWSelect>
+                </div>
+              ))}
+              <div>
+                <TWLabel>{t("On-demand recording")}</TWLabel>
+                <TWSelect value={form.recording_ondemand} onChange={set("recording_ondemand")}>
+                  {RECORDING_ONDEMAND.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                </TWSelect>
+              </div>
+              <div>
+                <TWLabel>{t("Priority (0–20, higher wins)")}</TWLabel>
+                <TWInput type="number" min={0} max={20} value={form.recording_priority} onChange={set("recording_priority")} />
+                <FieldError msg={err("recording_priority")} />
+              </div>
+            </div>
+          )}
+
+          {tab === "voicemail" && (
+            <div className="border rounded-2xl p-3">
+              <div className="flex items-center justify-between">
+                <div className="font-medium">{t("Voicemail")}</div>
+                <div className="flex items-center gap-2">
+                  <input id="vm" type="checkbox" checked={form.voicemail} onChange={set("voicemail")} />
+                  <label htmlFor="vm" className="text-sm">{t("Enable")}</label>
+                </div>
+              </div>
+              {form.voicemail && (
+                <div className="grid md:grid-cols-2 gap-3 mt-3">
+                  <div>
+                    <TWLabel>{t("VM Email")}</TWLabel>
+                    <TWInput type="email" value={form.vm_email} onChange={set("vm_email")} />
+                    <FieldError msg={err("vm_email")} />
+                  </div>
+                  <div>
+                    <TWLabel>{isEdit ? t("PIN (blank keeps it)") : t("PIN")}</TWLabel>
+                    <TWInput inputMode="numeric" autoComplete="new-password" value={form.vm_pin} onChange={set("vm_pin")} />
+                    <FieldError msg={err("vm_pin")} />
+                  </div>
+                  <div className="md:col-span-2">
+                    <TWLabel>{t("Options")}</TWLabel>
+                    <TWTextarea className="font-mono" placeholder={"attach=yes\nsaycid=no\ndelete=no"} rows={4} value={form.vm_options_text} onChange={set("vm_options_text")} />
+                    <FieldError msg={showErrors || form.vm_options_text ? errors.vm_options : ""} />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2 mt-6">
+            <TWButton className="bg-gray-100" onClick={onClose}>{t("Cancel")}</TWButton>
+            <TWButton className="bg-black text-white" onClick={submit}>{isEdit ? t("Save") : t("Create")}</TWButton>
+          </div>
+        </Modal>
+      )}
+    </AnimatePresence>
+  );
+}
+
+// ===============
+// Bulk Extension Import / Export (CSV)
+// ===============
+const EXTENSION_CSV_COLUMNS = ["extension", "name", "callerid", "tech", "voicemail", "vm_email", "secret"];
+const EXTENSION_CSV_ALIASES = {
+  ext: "extension", id: "extension", caller_id: "callerid", "caller id": "callerid",
+  vm: "voicemail", email: "vm_email", password: "secret",
+};
+const EXTENSION_TECHS = ["PJSIP", "SIP", "CHANSIP"];
+
+const EMAIL_RE = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+// "Name <1001>", "\"Name\" <1001>" or a bare number.
+const CALLERID_RE = /^(?:"?[^"<>]*"?\s*<\+?\d+>|\+?\d+)$/;
+
+function parseYesNo(v) {
+  const t = String(v ?? "").trim().toLowerCase();
+  if (["", "no", "n", "false", "0", "off"].includes(t)) return false;
+  if (["yes", "y", "true", "1", "on"].includes(t)) return true;
+  return null;
+}
+
+function callerIdNumber(cid) {
+  const m = String(cid || "").match(/<\+?(\d+)>|^\+?(\d+)$/);
+  return m ? m[1] || m[2] : "";
+}
+
+function extensionsToCsvRows(rows) {
+  // Secrets are never read back from the PBX, so the column is left blank; a blank secret on import
+  // leaves the existing one alone, which keeps export → import a clean round trip.
+  return rows.map(r => ({
+    extension: r.id, name: r.name, callerid: r.callerid, tech: r.tech,
+    voicemail: r.voicemail ? "yes" : "no", vm_email: r.vm_email || "", secret: "",
+  }));
+}
+
+// Field-level before/after of applying patch to a record; secrets are never included verbatim.
+// Shared by the import preview and the audit log (extensions and trunks).
+function fieldChanges(current, patch) {
+  const show = (v) => (v !== null && typeof v === "object" ? JSON.stringify(v) : String(v ?? ""));
+  return Object.keys(patch)
+    .filter(k => k !== "id" && (EXTENSION_SECRET_FIELDS.includes(k) ? Boolean(patch[k]) : show(current[k]) !== show(patch[k])))
+    .map(k => EXTENSION_SECRET_FIELDS.includes(k)
+      ? { field: k, from: "••••", to: `(new ${k === "vm_pin" ? "PIN" : "secret"})` }
+      : { field: k, from: show(current[k]), to: show(patch[k]) });
+}
+
+// Table rows never hold secrets, even optimistically.
+function withoutSecrets(row) {
+  const out = { ...row };
+  for (const k of EXTENSION_SECRET_FIELDS) delete out[k];
+  return out;
+}
+
+// Validate a parsed CSV against the current extensions. Every data record gets exactly one plan
+// entry: create, update, skip (identical, or existing and onExisting === "skip") or error.
+function planExtensionImport(records, existing, { onExisting = "update" } = {}) {
+  const [header = [], ...body] = records;
+  const cols = header.map(h => {
+    const key = h.trim().toLowerCase();
+    return EXTENSION_CSV_ALIASES[key] || key;
+  });
+  const missing = ["extension", "name"].filter(c => !cols.includes(c));
+  if (missing.length) return { error: t("Missing required column(s): {columns}", { columns: missing.join(", ") }), plan: [] };
+
+  const byId = new Map(existing.map(e => [String(e.id), e]));
+  const seen = new Map(); // extension -> first line it appeared on
+  const plan = [];
+  body.forEach((values, i) => {
+    const line = i + 2; // CSV record number, counting the header as 1
+    if (values.every(v => v.trim() === "")) return;
+    const raw = Object.fromEntries(cols.map((c, j) => [c, (values[j] ?? "").trim()]));
+    const errors = [];
+    const warnings = [];
+    const ext = raw.extension;
+
+    if (!isExtensionNumber(ext)) errors.push(t("extension “{ext}” must be 2–6 digits", { ext }));
+    else if (seen.has(ext)) errors.push(t("duplicate of line {n}", { n: seen.get(ext) }));
+    else seen.set(ext, line);
+    if (!raw.name) errors.push(t("name is required"));
+    else if (/[\r\n]/.test(raw.name)) errors.push(t("name must be a single line"));
+    if (raw.callerid && !CALLERID_RE.test(raw.callerid)) errors.push(t("malformed caller ID “{cid}” (use Name <1001>)", { cid: raw.callerid }));
+    const tech = (raw.tech || "PJSIP").toUpperCase();
+    if (!EXTENSION_TECHS.includes(tech)) errors.push(t("unknown tech “{tech}”", { tech: raw.tech }));
+    const voicemail = parseYesNo(raw.voicemail);
+    if (voicemail === null) errors.push(t("voicemail must be yes/no, got “{value}”", { value: raw.voicemail }));
+    if (raw.vm_email && !EMAIL_RE.test(raw.vm_email)) errors.push(t("bad email “{email}”", { email: raw.vm_email }));
+    const current = byId.get(ext);
+    if (voicemail && !(raw.vm_email || current?.vm_email)) warnings.push(t("voicemail on but no VM email"));
+    if (raw.secret && raw.secret.length < 8) errors.push(t("secret must be at least 8 characters"));
+
+    const cidNum = callerIdNumber(raw.callerid);
+    if (cidNum && cidNum !== ext && byId.has(cidNum)) warnings.push(t("caller ID number {n} belongs to extension {n}", { n: cidNum }));
+
+    // New extensions get defaults for what the file leaves out; existing ones only change the fields
+    // whose column is present and filled in, so a partial file doesn't reset the rest.
+    const payload = current ? { name: raw.name } : { name: raw.name, callerid: `${raw.name} <${ext}>`, tech, voicemail: false, vm_email: "" };
+    if (raw.callerid) payload.callerid = raw.callerid;
+    if (raw.tech) payload.tech = tech;
+    if (raw.voicemail) payload.voicemail = voicemail;
+    if (raw.vm_email) payload.vm_email = raw.vm_email;
+    if (raw.secret) payload.secret = raw.secret;
+
+    if (errors.length) { plan.push({ line, ext, action: "error", errors, warnings, payload }); return; }
+
+    if (!current) { plan.push({ line, ext, action: "create", errors, warnings, payload: { id: Number(ext), ...payload } }); return; }
+    const changes = fieldChanges(current, payload);
+    if (!changes.length) plan.push({ line, ext, action: "skip", reason: "unchanged", errors, warnings, payload });
+    else if (onExisting === "skip") plan.push({ line, ext, action: "skip", reason: "already exists", errors, warnings: [...warnings, t("{n} field(s) differ", { n: changes.length })], payload });
+    else plan.push({ line, ext, action: "update", changes, errors, warnings, payload });
+  });
+  return { error: "", plan };
+}
+
+const IMPORT_ACTION_TONE = { create: "ok", update: "warn", skip: "default", error: "err" };
+
+function ExtensionImportModal({ open, onClose, cfg, existing, pushAudit, onApplied }) {
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [onExisting, setOnExisting] = useState("update");
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [results, setResults] = useState(null); // [{ ext, action, ok, error }]
+  const [applied, setApplied] = useState(null); // plan as it was when Apply was pressed
+
+  useEffect(() => { if (open) { setText(""); setFileName(""); setProgress(null); setResults(null); setApplied(null); } }, [open]);
+
+  const computed = useMemo(
+    () => (text.trim() ? planExtensionImport(parseCsv(text), existing, { onExisting }) : { error: "", plan: [] }),
+    [text, existing, onExisting]
+  );
+  // Once applied, keep showing the original plan; the reload afterwards would otherwise mark every row "unchanged".
+  const { error, plan } = applied || computed;
+  const counts = plan.reduce((n, p) => ({ ...n, [p.action]: (n[p.action] || 0) + 1 }), {});
+  const todo = plan.filter(p => p.action === "create" || p.action === "update");
+
+  async function pickFile(e) {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    setFileName(f.name); setResults(null); setApplied(null);
+    setText(await f.text());
+  }
+
+  async function apply() {
+    const out = [];
+    setApplied(computed);
+    setProgress({ done: 0, total: todo.length });
+    for (const p of todo) {
+      try {
+        if (p.action === "create") {
+          await apiCreateExtension(cfg, p.payload);
+          pushAudit({ action: "create_extension", detail: `${p.ext} ${p.payload.name} (bulk import)` });
+        } else {
+          await apiUpdateExtension(cfg, Number(p.ext), p.payload);
+          pushAudit({ action: "update_extension", detail: `${p.ext} (bulk import)`, changes: p.changes });
+        }
+        out.push({ ext: p.ext, action: p.action, ok: true });
+      } catch (e) {
+        out.push({ ext: p.ext, action: p.action, ok: false, error: e.response?.data?.message || e.message });
+      }
+      setProgress({ done: out.length, total: todo.length });
+    }
+    const failed = out.filter(r => !r.ok).length;
+    pushAudit({ action: "bulk_import_extensions", detail: `${fileName || "pasted CSV"}: ${out.length - failed} applied, ${failed} failed` });
+    setResults(out);
+    setProgress(null);
+    onApplied();
+  }
+
+  const running = Boolean(progress);
+  const failures = (results || []).filter(r => !r.ok);
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <Modal onClose={running ? undefined : onClose} label={t("Import extensions")} className="max-w-4xl max-h-[90vh] flex flex-col">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{t("Import Extensions")}</h3>
+            <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={onClose} disabled={running}>✕</TWButton>
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-3 mb-3">
+            <div className="md:col-span-2">
+              <TWLabel>{t("CSV file")}</TWLabel>
+              <input type="file" accept=".csv,text/csv" onChange={pickFile} disabled={running} className="text-sm" />
+              <div className="text-xs text-gray-500 mt-1">{t("Columns: {columns}. Only extension and name are required; a missing or blank column leaves that field of an existing extension as it is. Use Export for a template.", { columns: EXTENSION_CSV_COLUMNS.join(", ") })}</div>
+            </div>
+            <div>
+              <TWLabel>{t("Existing extensions")}</TWLabel>
+              <TWSelect value={onExisting} onChange={e => setOnExisting(e.target.value)} disabled={running || Boolean(results)}>
+                <option value="update">{t("Update changed fields")}</option>
+                <option value="skip">{t("Skip")}</option>
+              </TWSelect>
+            </div>
+            <div className="md:col-span-3">
+              <TWTextarea rows={3} className="font-mono text-xs" placeholder={"extension,name,callerid,tech,voicemail,vm_email,secret\n2001,Jane Doe,Jane Doe <2001>,PJSIP,yes,jane@example.com,"}
+                value={text} onChange={e => { setText(e.target.value); setFileName(""); setResults(null); setApplied(null); }} disabled={running} />
+            </div>
+          </div>
+
+          {error && <div className="text-sm text-rose-700 mb-2">{error}</div>}
+          {plan.length > 0 && (
+            <div className="flex items-center gap-2 mb-2 text-sm">
+              <span className="font-medium">{t("Dry run:")}</span>
+              {["create", "update", "skip", "error"].map(a => <TWBadge key={a} tone={IMPORT_ACTION_TONE[a]}>{counts[a] || 0} {t(a)}</TWBadge>)}
+            </div>
+          )}
+
+          <div className="overflow-auto flex-1 min-h-0 border rounded-xl">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-white">
+                <tr className="text-left border-b">
+                  <th className="py-2 px-2">{t("Row")}</th>
+                  <th>{t("Ext")}</th>
+                  <th>{t("Action")}</th>
+                  <th>{t("Details")}</th>
+                  {results && <th className="pr-2">{t("Result")}</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {plan.map(p => {
+                  const res = results?.find(r => r.ext === p.ext && r.action === p.action);
+                  return (
+                    <tr key={p.line} className="border-b align-top">
+                      <td className="py-1 px-2 text-gray-500">{p.line}</td>
+                      <td className="font-mono">{p.ext}</td>
+                      <td><TWBadge tone={IMPORT_ACTION_TONE[p.action]}>{t(p.action)}</TWBadge></td>
+                      <td className="text-xs">
+                        {p.errors.map((e, i) => <div key={`e${i}`} className="text-rose-700">{e}</div>)}
+                        {p.action === "create" && <div>{p.payload.name} — {p.payload.callerid}</div>}
+                        {p.changes?.map(c => <div key={c.field}><span className="font-mono">{c.field}</span>: <span className="line-through text-gray-500">{String(c.from ?? "")}</span> → {String(c.to ?? "")}</div>)}
+                        {p.reason && <div className="text-gray-500">{t(p.reason)}</div>}
+                        {p.warnings.map((w, i) => <div key={`w${i}`} className="text-amber-700">{w}</div>)}
+                      </td>
+                      {results && <td className="pr-2">{res ? (res.ok ? <TWBadge tone="ok">{t("done")}</TWBadge> : <TWBadge tone="err">{t("failed")}</TWBadge>) : ""}</td>}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {running && (
+            <div className="mt-3">
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-black transition-all" style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }} />
+              </div>
+              <div className="text-xs text-gray-600 mt-1">{t("Applying {done} / {total}…", progress)}</div>
+            </div>
+          )}
+          {results && (
+            <div className="mt-3 text-sm">
+              <div className="font-medium">{t("{ok} of {n} changes applied.", { ok: results.length - failures.length, n: results.length })}</div>
+              {failures.map(f => <div key={`${f.ext}-${f.action}`} className="text-rose-700">{t(f.action)} {f.ext}: {f.error}</div>)}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2 mt-4">
+            <TWButton className="bg-gray-100" onClick={onClose} disabled={running}>{results ? t("Close") : t("Cancel")}</TWButton>
+            {!results && (
+              <TWButton className="bg-black text-white" disabled={running || todo.length === 0} onClick={apply}>
+                {t("Apply {n} change(s)", { n: todo.length })}
+              </TWButton>
+            )}
+          </div>
+        </Modal>
+      )}
+    </AnimatePresence>
+  );
+}
+
+// ===============
+// Extensions Panel (with RBAC, optimistic + audit)
+// ===============
+function ExtensionsPanel({ cfg, can, pushAudit, onDial }) {
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [q, setQ] = useState("");
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editRow, setEditRow] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [voicemailRow, setVoicemailRow] = useState(null);
+  const [selected, setSelected] = useState(() => new Set());
+  const [bulk, setBulk] = useState({ action: "vm_on", value: "" });
+  const [bulkReport, setBulkReport] = useState(null); // { label, ok, failures, secrets? }
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [actionError, setActionError] = useState(""); // last failed create, edit or delete
+  const [ask, askDialog] = useAsk();
+  const selectAllRef = useRef(null);
+
+  async function load() {
+    setLoading(true); setError("");
+    try { setData(await apiFetchExtensions(cfg)); }
+    catch (e) { setData([]); setError(`${t("Could not load extensions.")} ${describeError(e)}`); }
+    finally { setLoading(false); }
+  }
+  useEffect(() => { load(); }, [cfg.baseURL, cfg.apiKey, cfg.backend, cfg.clientId, cfg.clientSecret]);
+
+  const filtered = useMemo(() => {
+    const term = q.trim().toLowerCase();
+    if (!term) return data;
+    return data.filter(r => [r.id, r.name, r.callerid, r.tech].join(" ").toLowerCase().includes(term));
+  }, [data, q]);
+
+  // Bulk actions only touch selected rows the search still shows; the rest stay selected for later.
+  const selectedRows = useMemo(() => filtered.filter(r => selected.has(r.id) && !r.__optimistic), [filtered, selected]);
+  const hiddenSelected = data.filter(r => selected.has(r.id) && !r.__optimistic).length - selectedRows.length;
+  const allFilteredSelected = filtered.length > 0 && filtered.every(r => selected.has(r.id));
+  useEffect(() => {
+    if (selectAllRef.current) selectAllRef.current.indeterminate = selectedRows.length > 0 && !allFilteredSelected;
+  }, [selectedRows.length, allFilteredSelected]);
+
+  function toggleAll(checked) {
+    // Select-all works on the filtered view only; selections outside the filter are kept.
+    setSelected(sel => {
+      const next = new Set(sel);
+      filtered.forEach(r => (checked ? next.add(r.id) : next.delete(r.id)));
+      return next;
+    });
+  }
+
+  function toggleOne(id, checked) {
+    setSelected(sel => {
+      const next = new Set(sel);
+      if (checked) next.add(id); else next.delete(id);
+      return next;
+    });
+  }
+
+  async function createExt(form) {
+    setActionError("");
+    const optimistic = { id: Math.floor(Math.random() * 1e9), ...withoutSecrets(form), __optimistic: true };
+    setData(d => [optimistic, ...d]);
+    pushAudit({ action: "create_extension", detail: `${form.name} (${form.callerid})` });
+    try {
+      const saved = await apiCreateExtension(cfg, form);
+      setData(d => d.map(r => (r === optimistic ? withoutSecrets(saved) : r)));
+    } catch (e) {
+      setData(d => d.filter(r => r !== optimistic));
+      pushAudit({ action: "rollback_create_extension", detail: `${form.name}` });
+      setActionError(`${t("Failed to create extension")}. ${describeError(e)}`);
+    }
+  }
+
+  // Shared optimistic path: apply every patch locally, persist them one at a time and roll back
+  // only the rows the PBX rejected. Failures are returned so callers decide how to report them.
+  async function updateRows(updates, note = "") {
+    const prevById = new Map(updates.map(u => [u.row.id, u.row]));
+    const nextById = new Map(updates.map(u => [u.row.id, withoutSecrets({ ...u.row, ...u.patch })]));
+    setData(d => d.map(r => nextById.get(r.id) || r));
+    const failures = [];
+    for (const { row, patch } of updates) {
+      pushAudit({ action: "update_extension", detail: `${row.id}${note ? ` (${note})` : ""}`, changes: fieldChanges(row, patch) });
+      try {
+        const saved = await apiUpdateExtension(cfg, row.id, patch);
+        const merged = withoutSecrets({ ...nextById.get(row.id), ...saved });
+        setData(d => d.map(r => (r.id === row.id ? merged : r)));
+      } catch (e) {
+        setData(d => d.map(r => (r.id === row.id ? prevById.get(row.id) : r)));
+        pushAudit({ action: "rollback_update_extension", detail: `${row.id}` });
+        failures.push({ id: row.id, error: e.response?.data?.message || e.message });
+      }
+    }
+    return failures;
+  }
+
+  async function deleteRows(rows) {
+    const order = new Map(data.map((r, i) => [r.id, i]));
+    const ids = new Set(rows.map(r => r.id));
+    setData(d => d.filter(r => !ids.has(r.id)));
+    const failures = [];
+    for (const row of rows) {
+      pushAudit({ action: "delete_extension", detail: `${row.id}` });
+      try { await apiDeleteExtension(cfg, row.id); }
+      catch (e) {
+        // Put the row back where it was.
+        setData(d => [...d, row].sort((a, b) => (order.get(a.id) ?? -1) - (order.get(b.id) ?? -1)));
+        pushAudit({ action: "rollback_delete_extension", detail: `${row.id}` });
+        failures.push({ id: row.id, error: e.response?.data?.message || e.message });
+      }
+    }
+    return failures;
+  }
+
+  async function saveEdit(row, form) {
+    setActionError("");
+    const failures = await updateRows([{ row, patch: form }]);
+    if (failures.length) setActionError(`${t("Failed to save changes")}: ${failures[0].error}`);
+  }
+
+  async function deleteExt(id) {
+    if (!(await ask(t("Delete extension {id}?", { id }), { confirmLabel: t("Delete"), danger: true }))) return;
+    setActionError("");
+    const row = data.find(r => r.id === id);
+    const failures = await deleteRows([row]);
+    if (failures.length) setActionError(`${t("Failed to delete extension")}: ${failures[0].error}`);
+  }
+
+  async function runBulk() {
+    const rows = selectedRows;
+    if (!rows.length) return;
+    const { action, value } = bulk;
+    let label = "";
+    let failures = [];
+    let secrets = null;
+    if (action === "delete") {
+      if (!(await ask(t("Delete {n} extension(s): {ids}?", { n: rows.length, ids: rows.map(r => r.id).join(", ") }), { confirmLabel: t("Delete"), danger: true }))) return;
+      label = t("Delete");
+      failures = await deleteRows(rows);
+    } else if (action === "vm_on" || action === "vm_off") {
+      label = action === "vm_on" ? t("Voicemail on") : t("Voicemail off");
+      failures = await updateRows(rows.map(row => ({ row, patch: { voicemail: action === "vm_on" } })), `bulk voicemail ${action === "vm_on" ? "on" : "off"}`);
+    } else if (action === "vm_domain") {
+      const domain = value.trim().replace(/^@/, "");
+      if (!/^[^\s@]+\.[^\s@]+$/.test(domain)) { setBulkReport({ label: t("Set VM email domain"), ok: 0, failures: [{ id: "—", error: t("\"{value}\" is not a domain", { value }) }] }); return; }
+      label = t("VM email domain @{domain}", { domain });
+      failures = await updateRows(rows.map(row => ({ row, patch: { vm_email: `${(row.vm_email || "").split("@")[0] || row.id}@${domain}` } })), `bulk vm domain ${domain}`);
+    } else if (action === "tech") {
+      label = t("Tech → {tech}", { tech: value });
+      failures = await updateRows(rows.map(row => ({ row, patch: { tech: value } })), `bulk tech ${value}`);
+    } else if (action === "reset_secret") {
+      if (!(await ask(t("Generate new SIP secrets for {n} extension(s)? Their phones will need reprovisioning.", { n: rows.length }), { confirmLabel: t("Reset SIP secrets"), danger: true }))) return;
+      label = t("Reset SIP secrets");
+      const updates = rows.map(row => ({ row, patch: { secret: generateSecret() } }));
+      failures = await updateRows(updates, "bulk reset secret");
+      const failed = new Set(failures.map(f => f.id));
+      secrets = updates.filter(u => !failed.has(u.row.id)).map(u => ({ extension: u.row.id, name: u.row.name, secret: u.patch.secret }));
+    }
+    setBulkReport({ label, ok: rows.length - failures.length, failures, secrets });
+    setSelected(sel => new Set([...sel].filter(id => !rows.some(r => r.id === id))));
+  }
+
+  const canEdit = can("extensions:edit");
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold">{t("Extensions")}</h2>
+        <div className="flex items-center gap-2">
+          <TWInput placeholder={t("Search…")} value={q} onChange={e => setQ(e.target.value)} className="w-48" />
+          <TWButton className="bg-gray-100" disabled={!data.length} onClick={() => downloadCsv("extensions.csv", extensionsToCsvRows(data), EXTENSION_CSV_COLUMNS)}>{t("Export")}</TWButton>
+          <TWButton className="bg-gray-100" disabled={!canEdit} onClick={() => setImportOpen(true)}>{t("Import…")}</TWButton>
+          <TWButton className={`text-white ${canEdit ? "bg-black" : "bg-gray-300"}`} disabled={!canEdit} onClick={() => setModalOpen(true)}>{t("New")}</TWButton>
+        </div>
+      </div>
+      {error && <LoadError error={error} onRetry={load} busy={loading} />}
+      {actionError && <LoadError error={actionError} />}
+      {askDialog}
+
+      {canEdit && selectedRows.length > 0 && (
+        <div className="mb-3 flex flex-wrap items-center gap-2 border rounded-2xl p-2 bg-gray-50">
+          <TWBadge>{t("{n} selected", { n: selectedRows.length })}</TWBadge>
+          {hiddenSelected > 0 && <span className="text-xs text-gray-500">{t("{n} more hidden by the search, not included", { n: hiddenSelected })}</span>}
+          <TWSelect aria-label={t("Bulk action")} value={bulk.action} onChange={e => setBulk({ action: e.target.value, value: e.target.value === "tech" ? "PJSIP" : "" })} className="w-48">
+            <option value="vm_on">{t("Voicemail on")}</option>
+            <option value="vm_off">{t("Voicemail off")}</option>
+            <option value="vm_domain">{t("Set VM email domain…")}</option>
+            <option value="tech">{t("Change tech…")}</option>
+            <option value="reset_secret">{t("Reset SIP secrets")}</option>
+            <option value="delete">{t("Delete")}</option>
+          </TWSelect>
+          {bulk.action === "vm_domain" && <TWInput placeholder="example.com" value={bulk.value} onChange={e => setBulk({ ...bulk, value: e.target.value })} className="w-40" />}
+          {bulk.action === "tech" && (
+            <TWSelect value={bulk.value} onChange={e => setBulk({ ...bulk, value: e.target.value })} className="w-40">
+              {EXTENSION_TECHS.map(t => <option key={t} value={t}>{t}</option>)}
+            </TWSelect>
+          )}
+          <TWButton className={`text-white ${bulk.action === "delete" ? "bg-rose-600" : "bg-black"}`} disabled={bulkBusy}
+            onClick={async () => { setBulkBusy(true); try { await runBulk(); } finally { setBulkBusy(false); } }}>{bulkBusy ? t("Working…") : t("Apply")}</TWButton>
+          <TWButton className="bg-gray-100" disabled={bulkBusy} onClick={() => setSelected(new Set())}>{t("Clear")}</TWButton>
+        </div>
+      )}
+
+      {bulkReport && (
+        <div className={`mb-3 border rounded-2xl p-3 text-sm ${bulkReport.failures.length ? "border-rose-200 bg-rose-50" : "border-green-200 bg-green-50"}`}>
+          <div className="flex items-center justify-between">
+            <div className="font-medium">{t("{label}: {ok} succeeded, {failed} failed", { label: bulkReport.label, ok: bulkReport.ok, failed: bulkReport.failures.length })}</div>
+            <div className="flex items-center gap-2">
+              {bulkReport.secrets?.length > 0 && (
+                <TWButton className="bg-white" onClick={() => downloadCsv("sip-secrets.csv", bulkReport.secrets)}>{t("Download new secrets")}</TWButton>
+              )}
+              <TWButton className="bg-white" onClick={() => setBulkReport(null)}>{t("Dismiss")}</TWButton>
+            </div>
+          </div>
+          {bulkReport.failures.map(f => <div key={f.id} className="text-rose-800 mt-1"><span className="font-mono">{f.id}</span>: {f.error}</div>)}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              {canEdit && (
+                <th className="py-2 w-8">
+                  <input ref={selectAllRef} type="checkbox" title={t("Select all shown")} aria-label={t("Select all shown")} checked={allFilteredSelected} onChange={e => toggleAll(e.target.checked)} />
+                </th>
+              )}
+              <th className="py-2">{t("Ext")}</th>
+              <th>{t("Tech")}</th>
+              <th>{t("Name")}</th>
+              <th>{t("Caller ID")}</th>
+              <th>{t("Voicemail")}</th>
+              <th className="text-right">{t("Actions")}</th>
+            </tr>
+          </thead>
+          <tbody onKeyDown={rowKeyNav}>
+            {loading ? (
+              <tr><td colSpan={canEdit ? 7 : 6} className="py-8 text-center text-gray-500">{t("Loading…")}</td></tr>
+            ) : filtered.length === 0 ? (
+              <tr><td colSpan={canEdit ? 7 : 6} className="py-8 text-center text-gray-500">{error ? t("Not loaded") : t("No results")}</td></tr>
+            ) : (
+              filtered.map(r => (
+                <tr key={r.id} data-row tabIndex={0} className={`border-b hover:bg-gray-50 ${selected.has(r.id) ? "bg-gray-50" : ""}`}>
+                  {canEdit && (
+                    <td className="py-2">
+                      <input type="checkbox" aria-label={t("Select {id}", { id: r.id })} disabled={r.__optimistic} checked={selected.has(r.id)} onChange={e => toggleOne(r.id, e.target.checked)} />
+                    </td>
+                  )}
+                  <td className="py-2 font-mono">{r.__optimistic ? r.id : <DialNumber number={r.id} onDial={onDial} />}{r.__optimistic && <span title={t("pending")}>*</span>}</td>
+                  <td>{r.tech}</td>
+                  <td>{r.name}</td>
+                  <td className="text-gray-600"><DialNumber number={callerIdNumber(r.callerid)} label={r.callerid} onDial={onDial} /></td>
+                  <td>{r.voicemail ? <TWBadge tone="ok">{t("on")}</TWBadge> : <TWBadge>{t("off")}</TWBadge>}</td>
+                  <td className="text-right whitespace-nowrap">
+                    {can("voicemail:view") && r.voicemail && !r.__optimistic && <TWButton className="bg-gray-100 mr-2" onClick={() => setVoicemailRow(r)}>{t("Voicemail")}</TWButton>}
+                    <TWButton data-row-action className="bg-gray-100 mr-2" disabled={!canEdit} onClick={() => { setEditRow(r); setModalOpen(true); }}>{t("Edit")}</TWButton>
+                    <TWButton className={`text-white ${canEdit ? "bg-rose-600" : "bg-gray-300"}`} disabled={!canEdit} onClick={() => deleteExt(r.id)}>{t("Delete")}</TWButton>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <ExtensionImportModal open={importOpen} onClose={() => setImportOpen(false)} cfg={cfg} existing={data} pushAudit={pushAudit} onApplied={load} />
+      <ExtensionModal open={modalOpen} onClose={() => { setModalOpen(false); setEditRow(null); }} onSubmit={(f) => editRow ? saveEdit(editRow, f) : createExt(f)} initial={editRow} />
+      <VoicemailModal open={Boolean(voicemailRow)} cfg={cfg} ext={voicemailRow} extensions={data} can={can} pushAudit={pushAudit} onClose={() => setVoicemailRow(null)} />
+    </TWCard>
+  );
+}
+
+
+// ===============
+// CDR Export (every page matching the filter, streamed page by page)
+// ===============
+const CDR_EXPORT_PAGE_SIZE = 500;
+
+const CDR_EXPORT_FORMATS = {
+  csv: {
+    label: "CSV", ext: "csv",
+    begin: (cols) => ["\uFEFF", csvLine(cols)],
+    rows: (rows) => rows.map(csvLine),
+    end: (parts) => new Blob(parts, { type: "text/csv;charset=utf-8;" }),
+  },
+  json: {
+    label: "JSON", ext: "json",
+    begin: () => ["["],
+    // Each part carries its own leading separator so pages can be appended independently.
+    rows: (rows, cols, first) => rows.map((r, i) => `${first && i === 0 ? "" : ","}\n  ${JSON.stringify(Object.fromEntries(cols.map((c, j) => [c, r[j]])))}`),
+    end: (parts) => new Blob([...parts, "\n]\n"], { type: "application/json" }),
+  },
+  xlsx: {
+    label: "Excel (XLSX)", ext: "xlsx",
+    begin: (cols) => [xlsxRow(cols, 1)],
+    rows: (rows, cols, first, offset) => rows.map((r, i) => xlsxRow(r, offset + i + 2)),
+    end: (parts) => xlsxBlob(parts, "CDR"),
+  },
+};
+
+// Project a CDR row onto the chosen columns. calldate is re-zoned from the PBX's clock to outTz.
+function cdrExportValues(row, cols, { pbxTz, outTz }) {
+  return cols.map(c => {
+    if (c === "calldate") return formatInZone(zonedTimeToEpoch(row.calldate, pbxTz), outTz);
+    if (c === "duration" || c === "billsec") return Number(row[c] || 0);
+    return row[c] ?? "";
+  });
+}
+
+// Yields every page of CDRs matching filter, one apiFetchCalls round-trip at a time.
+async function* iterateCalls(cfg, filter, { signal, onProgress = () => {} } = {}) {
+  let page = 1, done = 0, total = Infinity;
+  while (done < total) {
+    if (signal?.aborted) throw new DOMException("Cancelled", "AbortError");
+    const res = await apiFetchCalls(cfg, { ...filter, page, pageSize: CDR_EXPORT_PAGE_SIZE, signal });
+    total = Number(res.total ?? 0);
+    if (!res.rows.length) break;
+    yield res.rows;
+    done += res.rows.length;
+    onProgress({ done, total });
+    page += 1;
+  }
+}
+
+async function exportCalls(cfg, filter, { format, cols, pbxTz, outTz, signal, onProgress }) {
+  const writer = CDR_EXPORT_FORMATS[format];
+  const parts = writer.begin(cols);
+  let done = 0;
+  for await (const rows of iterateCalls(cfg, filter, { signal, onProgress })) {
+    const values = rows.map(r => cdrExportValues(r, cols, { pbxTz, outTz }));
+    parts.push(...writer.rows(values, cols, done === 0, done));
+    done += rows.length;
+  }
+  return writer.end(parts);
+}
+
+function CdrExportModal({ open, onClose, cfg, filter, columns }) {
+  const [format, setFormat] = useState("csv");
+  const [cols, setCols] = useState(columns);
+  const [pbxTz, setPbxTz] = useState(uiTimeZone || BROWSER_TZ);
+  const [outTz, setOutTz] = useState(uiTimeZone || BROWSER_TZ);
+  const [progress, setProgress] = useState(null); // { done, total } while running
+  const [error, setError] = useState("");
+  const abortRef = useRef(null);
+
+  useEffect(() => { if (open) { setCols(columns); setProgress(null); setError(""); } }, [open, columns.join(",")]);
+
+  async function start() {
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setError(""); setProgress({ done: 0, total: 0 });
+    try {
+      const blob = await exportCalls(cfg, filter, { format, cols, pbxTz, outTz, signal: ctrl.signal, onProgress: setProgress });
+      const stamp = [filter.from || "all", filter.to || "now", filter.ext].filter(Boolean).join("_");
+      downloadBlob(`cdr-${stamp}.${CDR_EXPORT_FORMATS[format].ext}`, blob);
+      onClose();
+    } catch (e) {
+      if (e.name === "AbortError" || e.name === "CanceledError") setError(t("Export cancelled."));
+      else setError(t("Export failed: {reason}", { reason: e.message }));
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  }
+
+  function close() {
+    abortRef.current?.abort();
+    onClose();
+  }
+
+  const running = Boolean(progress);
+  const pct = progress && progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <Modal onClose={close} label={t("Export call logs")} className="max-w-xl">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{t("Export Call Logs")}</h3>
+            <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={close}>✕</TWButton>
+          </div>
+
+          <div className="text-sm text-gray-600 mb-3">
+            {t(filter.ext ? "Every call from {from} to {to} for extension {ext} is exported, not just the visible page." : "Every call from {from} to {to} is exported, not just the visible page.",
+              { from: filter.from || t("the start"), to: filter.to || t("now"), ext: filter.ext })}
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-3">
+            <div>
+              <TWLabel>{t("Format")}</TWLabel>
+              <TWSelect value={format} onChange={e => setFormat(e.target.value)} disabled={running}>
+                {Object.entries(CDR_EXPORT_FORMATS).map(([k, f]) => <option key={k} value={k}>{f.label}</option>)}
+              </TWSelect>
+            </div>
+            <div>
+              <TWLabel>{t("PBX time zone")}</TWLabel>
+              <TWSelect value={pbxTz} onChange={e => setPbxTz(e.target.value)} disabled={running}>
+                {TIME_ZONES.map(z => <option key={z} value={z}>{z}</option>)}
+              </TWSelect>
+            </div>
+            <div>
+              <TWLabel>{t("Export time zone")}</TWLabel>
+              <TWSelect value={outTz} onChange={e => setOutTz(e.target.value)} disabled={running}>
+                {TIME_ZONES.map(z => <option key={z} value={z}>{z}</option>)}
+              </TWSelect>
+            </div>
+            <div className="md:col-span-3">
+              <TWLabel>{t("Columns")}</TWLabel>
+              <div className="flex flex-wrap gap-3">
+                {columns.map(c => (
+                  <label key={c} className="text-sm flex items-center gap-1">
+                    <input type="checkbox" disabled={running} checked={cols.includes(c)}
+                      onChange={e => setCols(e.target.checked ? columns.filter(x => x === c || cols.includes(x)) : cols.filter(x => x !== c))} />
+                    <span className="font-mono">{c}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {running && (
+            <div className="mt-4">
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-black transition-all" style={{ width: `${pct}%` }} />
+              </div>
+              <div className="text-xs text-gray-600 mt-1">{t("{done} / {total} rows", { done: formatNumber(progress.done), total: progress.total ? formatNumber(progress.total) : "…" })}</div>
+            </div>
+          )}
+          {error && <div className="mt-3 text-sm text-rose-700">{error}</div>}
+
+          <div className="flex justify-end gap-2 mt-6">
+            {running
+              ? <TWButton className="bg-gray-100" onClick={() => abortRef.current?.abort()}>{t("Cancel export")}</TWButton>
+              : <TWButton className="bg-gray-100" onClick={close}>{t("Close")}</TWButton>}
+            <TWButton className="bg-black text-white" disabled={running || cols.length === 0} onClick={start}>{t("Export")}</TWButton>
+          </div>
+        </Modal>
+      )}
+    </AnimatePresence>
+  );
+}
+
+
+// ===============
+// Recording Player (waveform + seek)
+// ===============
+// Peak amplitude per bucket, for drawing the waveform.
+async function audioPeaks(blob, buckets = 160) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  try {
+    const audio = await ctx.decodeAudioData(await blob.arrayBuffer());
+    const data = audio.getChannelData(0);
+    const size = Math.max(1, Math.floor(data.length / buckets));
+    return Array.from({ length: buckets }, (_, b) => {
+      let peak = 0;
+      for (let i = b * size; i < Math.min(data.length, (b + 1) * size); i++) peak = Math.max(peak, Math.abs(data[i]));
+      return peak;
+    });
+  } finally {
+    ctx.close();
+  }
+}
+
+// Clickable waveform over an <audio> element, for recordings and voicemail.
+function AudioWaveform({ blob, url }) {
+  const [peaks, setPeaks] = useState([]);
+  const [time, setTime] = useState({ current: 0, duration: 0 });
+  const audioRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    audioPeaks(blob).then(p => { if (!cancelled) setPeaks(p); }, () => {});
+    return () => { cancelled = true; };
+  }, [blob]);
+
+  function seek(e) {
+    const audio = audioRef.current;
+    if (!audio || !time.duration) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    audio.currentTime = ((e.clientX - rect.left) / rect.width) * time.duration;
+  }
+
+  const played = time.duration ? time.current / time.duration : 0;
+
+  return (
+    <>
+      <div className="flex items-center gap-px h-12 cursor-pointer" onClick={seek} title={t("Click to seek")}>
+        {(peaks.length ? peaks : Array(160).fill(0.05)).map((p, i, arr) => (
+          <div key={i} className={`flex-1 rounded-sm ${i / arr.length < played ? "bg-black" : "bg-gray-300"}`} style={{ height: `${Math.max(4, p * 100)}%` }} />
+        ))}
+      </div>
+      <div className="flex items-center gap-3 mt-2">
+        <audio ref={audioRef} src={url} controls className="h-8 flex-1"
+          onLoadedMetadata={e => setTime({ current: 0, duration: e.currentTarget.duration })}
+          onTimeUpdate={e => setTime({ current: e.currentTarget.currentTime, duration: e.currentTarget.duration })} />
+        <span className="text-xs font-mono text-gray-600">{secondsToHMS(Math.floor(time.current))} / {secondsToHMS(Math.floor(time.duration || 0))}</span>
+      </div>
+    </>
+  );
+}
+
+function RecordingPlayer({ cfg, call, can, pushAudit, onDeleted, onClose }) {
+  const [blob, setBlob] = useState(null);
+  const [url, setUrl] = useState("");
+  const [error, setError] = useState("");
+  const [ask, askDialog] = useAsk();
+  const fileName = String(call.recordingfile).split("/").pop();
+
+  useEffect(() => {
+    let objectUrl = "";
+    let cancelled = false;
+    (async () => {
+      try {
+        const b = await apiFetchRecording(cfg, call);
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(b);
+        setBlob(b); setUrl(objectUrl);
+        pushAudit({ action: "play_recording", detail: `${call.id} ${fileName}` });
+      } catch (e) {
+        if (!cancelled) setError(t("Could not load recording: {reason}", { reason: e.message }));
+      }
+    })();
+    return () => { cancelled = true; if (objectUrl) URL.revokeObjectURL(objectUrl); };
+  }, [call.id, call.recordingfile]);
+
+  async function remove() {
+    if (!(await ask(t("Delete recording {file}? This cannot be undone.", { file: fileName }), { confirmLabel: t("Delete"), danger: true }))) return;
+    pushAudit({ action: "delete_recording", detail: `${call.id} ${fileName}` });
+    try {
+      await apiDeleteRecording(cfg, call);
+      onDeleted(call);
+    } catch (e) {
+      pushAudit({ action: "rollback_delete_recording", detail: `${call.id} ${fileName}` });
+      setError(t("Could not delete recording: {reason}", { reason: e.message }));
+    }
+  }
+
+  return (
+    <div className="border rounded-2xl p-3 bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-xs font-mono text-gray-600 truncate">{fileName}</div>
+        <div className="flex items-center gap-2">
+          <TWButton className="bg-gray-100" disabled={!blob} onClick={() => downloadBlob(fileName, blob)}>{t("Download")}</TWButton>
+          {can("recordings:delete") && <TWButton className="bg-rose-600 text-white" disabled={!blob} onClick={remove}>{t("Delete")}</TWButton>}
+          <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={onClose}>✕</TWButton>
+        </div>
+      </div>
+      {error ? <div className="text-sm text-rose-700">{error}</div> : !url ? <div className="text-sm text-gray-500">{t("Loading recording…")}</div> : <AudioWaveform blob={blob} url={url} />}
+      {askDialog}
+    </div>
+  );
+}
+
+
+// ===============
+// Voicemail (per-extension mailbox)
+// ===============
+const VOICEMAIL_FOLDERS = ["INBOX", "Old", "Urgent"];
+const VOICEMAIL_GREETINGS = [["unavail", "Unavailable"], ["busy", "Busy"], ["name", "Name"], ["temp", "Temporary"]];
+
+const fmtBytes = (n) => (n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`);
+
+// "Jane Citizen" <0412345678> -> Jane Citizen · 0412345678
+function callerIdLabel(cid) {
+  const m = String(cid || "").match(/^\s*"?([^"<]*?)"?\s*<([^>]*)>\s*$/);
+  if (!m) return cid || t("Unknown");
+  return m[1] ? `${m[1]} · ${m[2]}` : m[2];
+}
+
+function VoicemailPlayer({ cfg, ext, msg, pushAudit }) {
+  const [blob, setBlob] = useState(null);
+  const [url, setUrl] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let objectUrl = "";
+    let cancelled = false;
+    (async () => {
+      try {
+        const b = await apiFetchVoicemailAudio(cfg, ext, msg);
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(b);
+        setBlob(b); setUrl(objectUrl);
+        pushAudit({ action: "play_voicemail", detail: `${ext} ${msg.id}` });
+      } catch (e) {
+        if (!cancelled) setError(t("Could not load message: {reason}", { reason: describeError(e) }));
+      }
+    })();
+    return () => { cancelled = true; if (objectUrl) URL.revokeObjectURL(objectUrl); };
+  }, [ext, msg.id]);
+
+  if (error) return <div className="text-sm text-rose-700">{error}</div>;
+  if (!url) return <div className="text-sm text-gray-500">{t("Loading message…")}</div>;
+  return <AudioWaveform blob={blob} url={url} />;
+}
+
+function VoicemailModal({ open, cfg, ext, extensions, can, pushAudit, onClose }) {
+  const [box, setBox] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [folder, setFolder] = useState("INBOX");
+  const [playing, setPlaying] = useState(null); // message id
+  const [busy, setBusy] = useState(""); // message id, "pin" or a greeting type
+  const [pin, setPin] = useState("");
+  const [pinError, setPinError] = useState("");
+  const [pinDone, setPinDone] = useState("");
+  const [actionError, setActionError] = useState(""); // last failed move, forward, delete, download or upload
+  const [ask, askDialog] = useAsk();
+  const id = ext?.id;
+  const canManage = can("voicemail:manage");
+  const targets = (extensions || []).filter(x => x.voicemail && !x.__optimistic && String(x.id) !== String(id));
+
+  async function load() {
+    setLoading(true); setError("");
+    try {
+      setBox(await apiFetchVoicemail(cfg, id));
+    } catch (e) {
+      setError(describeError(e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    if (!open || !ext) return;
+    setBox(null); setFolder("INBOX"); setPlaying(null); setPin(""); setPinError(""); setPinDone(""); setActionError("");
+    load();
+  }, [open, id]);
+
+  // Audit first, then call the PBX; a failure is recorded as a rollback.
+  async function change(msg, action, detail, call, failed) {
+    setBusy(msg.id); setActionError("");
+    pushAudit({ action, detail });
+    try {
+      await call();
+      if (playing === msg.id) setPlaying(null);
+      await load();
+    } catch (e) {
+      pushAudit({ action: `rollback_${action}`, detail });
+      setActionError(failed(e.response?.data?.message || e.message));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  const move = (msg, to) => change(msg, "move_voicemail", `${id} ${msg.id} ${msg.folder} -> ${to}`, () => apiMoveVoicemail(cfg, id, msg, to),
+    (reason) => t("Failed to move the message: {reason}", { reason }));
+  const forward = (msg, to) => change(msg, "forward_voicemail", `${id} ${msg.id} -> ${to}`, () => apiForwardVoicemail(cfg, id, msg, to),
+    (reason) => t("Failed to forward the message: {reason}", { reason }));
+
+  async function remove(msg) {
+    if (!(await ask(t("Delete the message from {caller}? This cannot be undone.", { caller: callerIdLabel(msg.callerid) }), { confirmLabel: t("Delete"), danger: true }))) return;
+    change(msg, "delete_voicemail", `${id} ${msg.id}`, () => apiDeleteVoicemail(cfg, id, msg),
+      (reason) => t("Failed to delete the message: {reason}", { reason }));
+  }
+
+  async function download(msg) {
+    setBusy(msg.id); setActionError("");
+    try {
+      const blob = await apiFetchVoicemailAudio(cfg, id, msg);
+      downloadBlob(`voicemail-${id}-${msg.id}.wav`, blob);
+      pushAudit({ action: "download_voicemail", detail: `${id} ${msg.id}` });
+    } catch (e) {
+      setActionError(t("Download failed: {reason}", { reason: e.response?.data?.message || e.message }));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  async function resetPin() {
+    const problem = !/^\d{4,10}$/.test(pin) ? t("Use 4 to 10 digits") : weakPin(pin, id) ? t("Too easy to guess") : "";
+    setPinError(problem); setPinDone("");
+    if (problem) return;
+    setBusy("pin");
+    // The PIN itself never goes into the audit log.
+    pushAudit({ action: "reset_voicemail_pin", detail: String(id) });
+    try {
+      await apiResetVoicemailPin(cfg, id, pin);
+      setPinDone(t("PIN set to {pin}. Pass it on now; it isn't shown again.", { pin }));
+      setPin("");
+    } catch (e) {
+      pushAudit({ action: "rollback_reset_voicemail_pin", detail: String(id) });
+      setPinError(t("Could not reset the PIN: {reason}", { reason: e.response?.data?.message || e.message }));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  async function uploadGreeting(type, e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setActionError("");
+    if (file.size > 5 * 1024 * 1024) { setActionError(t("Greetings must be 5 MB or smaller")); return; }
+    setBusy(type);
+    pushAudit({ action: "upload_voicemail_greeting", detail: `${id} ${type} ${file.name}` });
+    try {
+      await apiUploadGreeting(cfg, id, type, file);
+      await load();
+    } catch (err) {
+      pushAudit({ action: "rollback_upload_voicemail_greeting", detail: `${id} ${type} ${file.name}` });
+      setActionError(t("Upload failed: {reason}", { reason: err.response?.data?.message || err.message }));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  const messages = box?.folders?.[folder] || [];
+  const quota = box?.quota;
+  const used = quota?.max_messages ? Math.min(100, (quota.messages / quota.max_messages) * 100) : 0;
+
+  return (
+    <AnimatePresence>
+      {open && ext && (
+        <Modal onClose={onClose} label={t("Voicemail for {id}", { id })} className="max-w-4xl max-h-[90vh] overflow-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{t("Voicemail")} · {id} {ext.name}</h3>
+            <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={onClose}>✕</TWButton>
+          </div>
+
+          {error && <LoadError error={error} onRetry={load} busy={loading} />}
+          {actionError && <LoadError error={actionError} />}
+          {askDialog}
+
+          {quota && (
+            <div className="mb-4">
+              <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span>{t("{n} of {max} messages", { n: formatNumber(quota.messages), max: formatNumber(quota.max_messages) })}</span>
+                {quota.bytes != null && <span>{fmtBytes(quota.bytes)}</span>}
+              </div>
+              <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+                <div className={`h-full ${used >= 90 ? "bg-rose-600" : used >= 75 ? "bg-amber-500" : "bg-green-600"}`} style={{ width: `${used}%` }} />
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-1 mb-3 border-b">
+            {VOICEMAIL_FOLDERS.map(f => (
+              <button key={f} type="button" onClick={() => { setFolder(f); setPlaying(null); }}
+                className={`px-3 py-1.5 text-sm rounded-t-xl ${folder === f ? "bg-gray-100 font-medium" : "text-gray-600"}`}>
+                {f} <span className="text-gray-500">({box?.folders?.[f]?.length ?? 0})</span>
+              </button>
+            ))}
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2">{t("From")}</th>
+                <th>{t("Received")}</th>
+                <th>{t("Length")}</th>
+                <th className="text-right">{t("Actions")}</th>
+              </tr>
+            </thead>
+            <tbody onKeyDown={rowKeyNav}>
+              {!box ? (
+                <tr><td colSpan={4} className="py-8 text-center text-gray-500">{loading ? t("Loading…") : t("Not loaded")}</td></tr>
+              ) : messages.length === 0 ? (
+                <tr><td colSpan={4} className="py-8 text-center text-gray-500">{t("No messages in {folder}", { folder })}</td></tr>
+              ) : messages.map(m => (
+                <React.Fragment key={m.id}>
+                  <tr data-row tabIndex={0} className="border-b">
+                    <td className="py-2">{callerIdLabel(m.callerid)}</td>
+                    <td>{formatDateTime(m.date)}</td>
+                    <td className="font-mono">{fmtWait(m.duration)}</td>
+                    <td className="text-right whitespace-nowrap">
+                      <TWButton className="bg-gray-100 mr-2" onClick={() => setPlaying(playing === m.id ? null : m.id)}>{playing === m.id ? t("Close") : t("Play")}</TWButton>
+                      <TWButton className="bg-gray-100 mr-2" disabled={busy === m.id} onClick={() => download(m)}>{t("Download")}</TWButton>
+                      {canManage && (
+                        <>
+                          <TWSelect aria-label={t("Move to folder")} className="!w-auto inline-block mr-2" value="" disabled={busy === m.id} onChange={e => e.target.value && move(m, e.target.value)}>
+                            <option value="">{t("Move to…")}</option>
+                            {VOICEMAIL_FOLDERS.filter(f => f !== m.folder).map(f => <option key={f} value={f}>{f}</option>)}
+                          </TWSelect>
+                          <TWSelect aria-label={t("Forward to extension")} className="!w-auto inline-block mr-2" value="" disabled={busy === m.id || !targets.length} onChange={e => e.target.value && forward(m, e.target.value)}>
+                            <option value="">{t("Forward to…")}</option>
+                            {targets.map(x => <option key={x.id} value={x.id}>{x.id} {x.name}</option>)}
+                          </TWSelect>
+                          <TWButton className="bg-rose-600 text-white" disabled={busy === m.id} onClick={() => remove(m)}>{t("Delete")}</TWButton>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                  {playing === m.id && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan={4} className="p-3"><VoicemailPlayer cfg={cfg} ext={id} msg={m} pushAudit={pushAudit} /></td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+
+          {canManage && (
+            <div className="grid md:grid-cols-2 gap-4 mt-6">
+              <div className="border rounded-2xl p-3">
+                <div className="font-medium mb-2">{t("Mailbox PIN")}</div>
+                <div className="flex gap-2">
+                  <TWInput aria-label={t("New PIN")} inputMode="numeric" autoComplete="new-password" placeholder={t("4–10 digits")} value={pin}
+                    onChange={e => { setPin(e.target.value.trim()); setPinError(""); setPinDone(""); }} />
+                  <TWButton className="bg-gray-100 shrink-0" onClick={() => { setPin(generatePin(id)); setPinError(""); setPinDone(""); }}>{t("Generate")}</TWButton>
+                  <TWButton className="bg-black text-white shrink-0" disabled={!pin || busy === "pin"} onClick={resetPin}>{t("Reset PIN")}</TWButton>
+                </div>
+                <FieldError msg={pinError} />
+                {pinDone && <div className="text-sm text-green-700 mt-1">{pinDone}</div>}
+              </div>
+              <div className="border rounded-2xl p-3">
+                <div className="font-medium mb-2">{t("Greetings")}</div>
+                {VOICEMAIL_GREETINGS.map(([type, label]) => (
+                  <div key={type} className="flex items-center justify-between gap-2 py-1 text-sm">
+                    <span>{t(label)} {box?.greetings?.[type] ? <TWBadge tone="ok">{t("recorded")}</TWBadge> : <TWBadge>{t("system default")}</TWBadge>}</span>
+                    <input type="file" aria-label={t("Upload the {greeting} greeting", { greeting: t(label) })} accept="audio/wav,audio/x-wav,audio/mpeg,.wav,.mp3"
+                      disabled={busy === type} onChange={e => uploadGreeting(type, e)} className="text-xs w-52" />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </Modal>
+      )}
+    </AnimatePresence>
+  );
+}
+
+
+// ===============
+// Call Logs Panel (filters, sorting, virtualized scrolling, call detail, export)
+// ===============
+const CDR_PAGE_SIZE = 100;
+const CDR_CACHED_PAGES = 40; // 4,000 rows; the least recently viewed pages go first
+const CDR_ROW_PX = 37;
+const CDR_VISIBLE_ROWS = 14;
+const CDR_OVERSCAN = 10;
+
+// Pages of one call log query, fetched when the table scrolls near them. The pages either side of
+// what's on screen are prefetched, and cached pages are reused until the query changes or Retry.
+function useCdrPages(cfg, query) {
+  const key = JSON.stringify(query);
+  const [attempt, setAttempt] = useState(0);
+  const [total, setTotal] = useState(null); // null until the first page is in
+  const [error, setError] = useState("");
+  const [, setVersion] = useState(0); // re-renders as pages arrive
+  const pages = useRef(new Map()); // page -> rows, in least- to most-recently-used order
+  const inflight = useRef(new Map()); // page -> promise
+  const totalRef = useRef(null);
+  const ctrl = useRef(null);
+
+  useEffect(() => {
+    ctrl.current = new AbortController();
+    pages.current = new Map();
+    inflight.current = new Map();
+    totalRef.current = null;
+    setTotal(null); setError("");
+    fetchPage(1);
+    return () => ctrl.current.abort();
+  }, [cfg.baseURL, cfg.apiKey, cfg.backend, cfg.clientId, cfg.clientSecret, key, attempt]);
+
+  function fetchPage(page) {
+    const cached = pages.current.get(page);
+    if (cached) {
+      pages.current.delete(page);
+      pages.current.set(page, cached);
+      return;
+    }
+    if (page < 1 || inflight.current.has(page)) return;
+    if (totalRef.current !== null && (page - 1) * CDR_PAGE_SIZE >= totalRef.current) return;
+    const { signal } = ctrl.current;
+    const requests = inflight.current;
+    const job = apiFetchCalls(cfg, { ...query, page, pageSize: CDR_PAGE_SIZE, signal })
+      .then(({ rows, total }) => {
+        if (signal.aborted) return;
+        pages.current.set(page, rows);
+        while (pages.current.size > CDR_CACHED_PAGES) pages.current.delete(pages.current.keys().next().value);
+        totalRef.current = Number(total ?? 0);
+        setTotal(totalRef.current);
+      })
+      .catch((e) => {
+        if (!signal.aborted && e.name !== "CanceledError") setError(`${t("Could not load call logs.")} ${describeError(e)}`);
+      })
+      .finally(() => {
+        requests.delete(page);
+        if (!signal.aborted) setVersion(v => v + 1);
+      });
+    requests.set(page, job);
+    setVersion(v => v + 1);
+  }
+
+  return {
+    total,
+    error,
+    loading: inflight.current.size > 0,
+    retry: () => setAttempt(a => a + 1),
+    rowAt: (i) => pages.current.get(Math.floor(i / CDR_PAGE_SIZE) + 1)?.[i % CDR_PAGE_SIZE],
+    // Rows first..last (inclusive) plus a page either side.
+    want(first, last) {
+      const lo = Math.floor(first / CDR_PAGE_SIZE) + 1;
+      const hi = Math.floor(last / CDR_PAGE_SIZE) + 1;
+      for (let p = lo; p <= hi; p += 1) fetchPage(p);
+      fetchPage(hi + 1);
+      fetchPage(lo - 1);
+    },
+    patch(id, change) {
+      for (const rows of pages.current.values()) {
+        const i = rows.findIndex(r => r.id === id);
+        if (i >= 0) rows[i] = { ...rows[i], ...change };
+      }
+      setVersion(v => v + 1);
+    },
+    firstRow: () => pages.current.get(1)?.[0],
+  };
+}
+
+function CallLogsPanel({ cfg, can, pushAudit, onApply, onDial }) {
+  const [view, setView] = useState(readCdrView); // what the table shows, mirrored in the URL
+  const [draft, setDraft] = useState(view.filter);
+  const [showErrors, setShowErrors] = useState(false);
+  const [presets, setPresets] = useState(readCdrPresets);
+  const [presetName, setPresetName] = useState("");
+  const [scrollTop, setScrollTop] = useState(0);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [playing, setPlaying] = useState(null); // call whose recording is open
+  const [detail, setDetail] = useState(null); // call whose legs are open
+  const [linkCopied, setLinkCopied] = useState(false); // for the view as it is now
+  const [ask, askDialog] = useAsk();
+  const scroller = useRef(null);
+  // Playing a recording exposes call content, so it has its own permission (recordings:play).
+  const canPlay = can("recordings:play");
+  const query = useMemo(() => ({ ...view.filter, sort: view.sort, order: view.order }), [view]);
+  const data = useCdrPages(cfg, query);
+  const errors = validateCdrFilter(draft);
+  const err = (k) => (showErrors ? errors[k] : "");
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+
+  const count = data.total ?? 0;
+  const first = Math.max(0, Math.floor(scrollTop / CDR_ROW_PX) - CDR_OVERSCAN);
+  const last = Math.min(count - 1, Math.floor(scrollTop / CDR_ROW_PX) + CDR_VISIBLE_ROWS + CDR_OVERSCAN);
+  useEffect(() => { if (count) data.want(first, last); }, [first, last, count]);
+
+  useEffect(() => { window.history.replaceState(window.history.state, "", cdrViewURL(view)); setLinkCopied(false); }, [view]);
+
+  function show(next) {
+    setView(next);
+    setPlaying(null);
+    setScrollTop(0);
+    if (scroller.current) scroller.current.scrollTop = 0;
+  }
+
+  function apply(filter = draft) {
+    if (Object.keys(validateCdrFilter(filter)).length) { setShowErrors(true); return; }
+    setShowErrors(false);
+    show({ ...view, filter });
+    data.retry(); // Apply also reloads an unchanged filter
+    onApply?.(filter);
+  }
+
+  function sortBy(column) {
+    const order = view.sort === column ? (view.order === "asc" ? "desc" : "asc") : column === "calldate" || column === "duration" ? "desc" : "asc";
+    show({ ...view, sort: column, order });
+  }
+
+  function loadPreset(name) {
+    setPresetName(name);
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    const filter = { ...CDR_FILTER_DEFAULTS, ...preset.filter };
+    setDraft(filter);
+    setShowErrors(false);
+    show({ filter, sort: CDR_SORTS[preset.sort] ? preset.sort : view.sort, order: preset.order === "asc" ? "asc" : "desc" });
+    onApply?.(filter);
+  }
+
+  function savePresets(next) {
+    setPresets(next);
+    localStorage.setItem(CDR_PRESETS_KEY, JSON.stringify(next));
+  }
+
+  async function savePreset() {
+    if (Object.keys(errors).length) { setShowErrors(true); return; }
+    const name = ((await ask(t("Save this filter and sort as:"), { input: presetName, confirmLabel: t("Save") })) || "").trim().slice(0, 60);
+    if (!name) return;
+    savePresets([...presets.filter(p => p.name !== name), { name, filter: draft, sort: view.sort, order: view.order }].sort((a, b) => a.name.localeCompare(b.name)));
+    setPresetName(name);
+    apply();
+  }
+
+  async function copyLink() {
+    const url = cdrViewURL(view);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+    } catch {
+      await ask(t("Copy this link:"), { input: url, confirmLabel: t("Done") });
+    }
+  }
+
+  const columns = useMemo(() => {
+    const keys = Object.keys(data.firstRow() || {}).filter(k => k !== "id");
+    return keys.length ? keys : ["calldate", "src", "dst", "disposition", "duration"];
+  }, [data.total]);
+
+  const rows = [];
+  for (let i = first; i <= last; i += 1) rows.push([i, data.rowAt(i)]);
+
+  return (
+    <TWCard>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="text-xl font-semibold">{t("Call Logs")}</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <TWSelect aria-label={t("Saved filters")} className="w-40" value={presetName} onChange={e => loadPreset(e.target.value)}>
+            <option value="">{presets.length ? t("Saved filters…") : t("No saved filters")}</option>
+            {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+          </TWSelect>
+          {presetName && (
+            <TWButton className="bg-gray-100" title={t("Delete {name}", { name: presetName })} aria-label={t("Delete {name}", { name: presetName })}
+              onClick={async () => { if (await ask(t("Delete the saved filter {name}?", { name: presetName }), { confirmLabel: t("Delete"), danger: true })) { savePresets(presets.filter(p => p.name !== presetName)); setPresetName(""); } }}>✕</TWButton>
+          )}
+          <TWButton className="bg-gray-100" onClick={savePreset}>{t("Save filter…")}</TWButton>
+          <TWButton className="bg-gray-100" onClick={copyLink}>{t("Copy link")}</TWButton>
+          <TWButton className="bg-gray-100" onClick={() => setExportOpen(true)}>{t("Export…")}</TWButton>
+        </div>
+      </div>
+      {linkCopied && <div role="status" className="text-sm text-green-700 mb-3">{t("Link copied. Anyone who opens it with calls:view sees this filter and sort.")}</div>}
+      {askDialog}
+
+      <form className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-3" onSubmit={e => { e.preventDefault(); apply(); }}>
+        <div>
+          <TWLabel>{t("From")}</TWLabel>
+          <TWInput type="date" value={draft.from} onChange={e => set({ from: e.target.value })} />
+        </div>
+        <div>
+          <TWLabel>{t("To")}</TWLabel>
+          <TWInput type="date" value={draft.to} onChange={e => set({ to: e.target.value })} />
+          <FieldError msg={err("to")} />
+        </div>
+        <div>
+          <TWLabel>{t("Extension")}</TWLabel>
+          <TWInput value={draft.ext} onChange={e => set({ ext: e.target.value.trim() })} placeholder={t("Any")} />
+          <FieldError msg={err("ext")} />
+        </div>
+        <div>
+          <TWLabel>{t("Disposition")}</TWLabel>
+          <TWSelect value={draft.disposition} onChange={e => set({ disposition: e.target.value })}>
+            <option value="">{t("Any")}</option>
+            {CDR_DISPOSITIONS.map(d => <option key={d} value={d}>{d}</option>)}
+          </TWSelect>
+        </div>
+        <div>
+          <TWLabel>{t("Direction")}</TWLabel>
+          <TWSelect value={draft.direction} onChange={e => set({ direction: e.target.value })}>
+            <option value="">{t("Any")}</option>
+            <option value="inbound">{t("Inbound")}</option>
+            <option value="outbound">{t("Outbound")}</option>
+            <option value="internal">{t("Internal")}</option>
+          </TWSelect>
+        </div>
+        <div>
+          <TWLabel>{t("Duration (s)")}</TWLabel>
+          <div className="flex gap-1">
+            <TWInput aria-label={t("Minimum duration in seconds")} inputMode="numeric" placeholder={t("min")} value={draft.minDuration} onChange={e => set({ minDuration: e.target.value.trim() })} />
+            <TWInput aria-label={t("Maximum duration in seconds")} inputMode="numeric" placeholder={t("max")} value={draft.maxDuration} onChange={e => set({ maxDuration: e.target.value.trim() })} />
+          </div>
+          <FieldError msg={err("minDuration") || err("maxDuration")} />
+        </div>
+        <div>
+          <TWLabel>{t("Trunk")}</TWLabel>
+          <TWInput value={draft.trunk} onChange={e => set({ trunk: e.target.value })} placeholder={t("Any")} />
+        </div>
+        <div>
+          <TWLabel>{t("Caller ID contains")}</TWLabel>
+          <TWInput value={draft.callerid} onChange={e => set({ callerid: e.target.value })} placeholder={t("Name or number")} />
+        </div>
+        <div>
+          <TWLabel>{t("DID")}</TWLabel>
+          <TWInput inputMode="numeric" value={draft.did} onChange={e => set({ did: e.target.value.trim() })} placeholder={t("Any")} />
+          <FieldError msg={err("did")} />
+        </div>
+        <div className="col-span-2 sm:col-span-3 flex justify-end gap-2">
+          <TWButton type="button" className="bg-white" onClick={() => { setDraft(CDR_FILTER_DEFAULTS); setPresetName(""); apply(CDR_FILTER_DEFAULTS); }}>{t("Clear")}</TWButton>
+          <TWButton type="submit" className="bg-black text-white">{t("Apply")}</TWButton>
+        </div>
+      </form>
+      {data.error && <LoadError error={data.error} onRetry={data.retry} busy={data.loading} />}
+
+      <div ref={scroller} className="overflow-auto border rounded-xl" style={{ height: CDR_ROW_PX * (CDR_VISIBLE_ROWS + 1) }}
+        onScroll={e => setScrollTop(e.currentTarget.scrollTop)}>
+        <table className="w-full text-sm">
+          <thead className="sticky top-0 bg-white z-10">
+            <tr className="text-left border-b">
+              {Object.entries(CDR_SORTS).map(([column, label]) => (
+                <th key={column} className={`py-2 px-2 ${column === "duration" ? "text-right" : ""}`}
+                  aria-sort={view.sort === column ? (view.order === "asc" ? "ascending" : "descending") : "none"}>
+                  <button type="button" className="font-semibold hover:underline" onClick={() => sortBy(column)}>
+                    {t(label)}{view.sort === column ? (view.order === "asc" ? " ▲" : " ▼") : ""}
+                  </button>
+                </th>
+              ))}
+              <th className="text-right px-2">{t("Rec")}</th>
+            </tr>
+          </thead>
+          <tbody onKeyDown={rowKeyNav}>
+            {data.total === null ? (
+              <tr><td colSpan={6} className="py-8 text-center text-gray-500">{data.error ? t("Not loaded") : t("Loading…")}</td></tr>
+            ) : count === 0 ? (
+              <tr><td colSpan={6} className="py-8 text-center text-gray-500">{t("No calls found")}</td></tr>
+            ) : (
+              <>
+                {first > 0 && <tr style={{ height: first * CDR_ROW_PX }} aria-hidden="true" />}
+                {rows.map(([i, c]) => (c ? (
+                  <tr key={c.id} style={{ height: CDR_ROW_PX }} data-row tabIndex={0} className="border-b hover:bg-gray-50 cursor-pointer whitespace-nowrap"
+                    onClick={() => setDetail(c)}>
+                    <td className="px-2">{formatCallDate(c.calldate)}</td>
+                    <td className="px-2 font-mono" onClick={e => e.stopPropagation()}><DialNumber number={c.src} onDial={onDial} /></td>
+                    <td className="px-2 font-mono" onClick={e => e.stopPropagation()}><DialNumber number={c.dst} onDial={onDial} /></td>
+                    <td className="px-2">
+                      <TWBadge tone={c.disposition === 'ANSWERED' ? 'ok' : 'warn'}>{c.disposition}</TWBadge>
+                    </td>
+                    <td className="px-2 text-right">{secondsToHMS(Number(c.duration || 0))}</td>
+                    <td className="px-2 text-right" onClick={e => e.stopPropagation()}>
+                      {c.recordingfile && (
+                        <TWButton className="bg-gray-100 px-2 py-0.5" disabled={!canPlay} title={canPlay ? t("Play recording") : t("Your role cannot play recordings")}
+                          aria-label={playing?.id === c.id ? t("Stop recording") : t("Play recording")}
+                          onClick={() => setPlaying(p => (p?.id === c.id ? null : c))}>{playing?.id === c.id ? "■" : "▶"}</TWButton>
+                      )}
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={`row-${i}`} style={{ height: CDR_ROW_PX }} className="border-b">
+                    <td colSpan={6} className="px-2 text-gray-400">…</td>
+                  </tr>
+                )))}
+                {last < count - 1 && <tr style={{ height: (count - 1 - last) * CDR_ROW_PX }} aria-hidden="true" />}
+              </>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {playing && canPlay && (
+        <div className="mt-3">
+          <RecordingPlayer cfg={cfg} call={playing} can={can} pushAudit={pushAudit} onClose={() => setPlaying(null)}
+            onDeleted={(call) => { data.patch(call.id, { recordingfile: "" }); setPlaying(null); }} />
+        </div>
+      )}
+
+      <div className="mt-3 flex items-center justify-between text-sm text-gray-600">
+        <div>{data.total === null ? "…" : t("{n} calls", { n: formatNumber(count) })} • {describeCdrFilter(view.filter)}</div>
+        {data.loading && <TWBadge>{t("loading…")}</TWBadge>}
+      </div>
+
+      <CallDetailDrawer cfg={cfg} call={detail} onClose={() => setDetail(null)} />
+      <CdrExportModal open={exportOpen} onClose={() => setExportOpen(false)} cfg={cfg} filter={query} columns={columns} />
+    </TWCard>
+  );
+}
+
+const CEL_TONES = { ANSWER: "ok", BRIDGE_ENTER: "ok", HANGUP: "warn", LINKEDID_END: "warn" };
+
+// Every leg of one call (CDR rows sharing its linkedid) and the CEL events between them.
+function CallDetailDrawer({ cfg, call, onClose }) {
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function load() {
+    setLoading(true); setError(""); setDetail(null);
+    try {
+      setDetail(await apiFetchCallDetail(cfg, call));
+    } catch (e) {
+      setError(`${t("Could not load this call's legs.")} ${describeError(e)}`);
+    } finally { setLoading(false); }
+  }
+
+  useEffect(() => { if (call) load(); }, [call]);
+
+  const start = call ? Date.parse(String(call.calldate).replace(" ", "T")) : 0;
+  const offset = (at) => `+${Math.max(0, Math.round((Date.parse(String(at).replace(" ", "T")) - start) / 1000))}s`;
+  const fields = call ? [
+    [t("Date/Time"), formatCallDate(call.calldate)],
+    [t("Direction"), t(callDirection(call))],
+    [t("Caller ID"), call.clid],
+    [t("DID"), call.did],
+    [t("Trunk"), cdrTrunk(call)],
+    [t("Disposition"), call.disposition],
+    [t("Duration"), secondsToHMS(Number(call.duration || 0))],
+    [t("Talk time"), call.billsec !== undefined ? secondsToHMS(Number(call.billsec || 0)) : ""],
+    [t("Channel"), call.channel],
+    [t("Dialled channel"), call.dstchannel],
+    [t("Linked ID"), call.linkedid || call.uniqueid || call.id],
+  ].filter(([, v]) => v) : [];
+
+  return (
+    <AnimatePresence>
+      {call && (
+        <motion.div className="fixed inset-0 z-50 bg-black/30" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} onClick={onClose}>
+          <DialogSurface onClose={onClose} label={t("Call details")} initial={{ x: 48, opacity: 0 }} animate={{ x: 0, opacity: 1 }} exit={{ x: 48, opacity: 0 }}
+            className="absolute right-0 top-0 h-full w-full max-w-xl bg-white shadow-xl p-6 overflow-y-auto" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold font-mono">{call.src} → {call.dst}</h3>
+              <TWButton className="bg-gray-100" onClick={onClose}>{t("Close")}</TWButton>
+            </div>
+            <dl className="grid grid-cols-3 gap-x-3 gap-y-1 text-sm mb-4">
+              {fields.map(([label, value]) => (
+                <React.Fragment key={label}>
+                  <dt className="text-gray-500">{label}</dt>
+                  <dd className="col-span-2 font-mono break-all">{value}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+
+            {error && <LoadError error={error} onRetry={load} busy={loading} />}
+            {loading && <div className="text-sm text-gray-500">{t("Loading legs…")}</div>}
+            {detail && (
+              <>
+                <h4 className="font-semibold mb-2">{t("Legs")}</h4>
+                <table className="w-full text-sm mb-4">
+                  <thead>
+                    <tr className="text-left border-b"><th className="py-1">{t("From")}</th><th>{t("To")}</th><th>{t("Channels")}</th><th>{t("Result")}</th><th className="text-right">{t("Talk")}</th></tr>
+                  </thead>
+                  <tbody>
+                    {(detail.cdrs || []).map((leg, i) => (
+                      <tr key={leg.id || leg.uniqueid || i} className={`border-b align-top ${(leg.id || leg.uniqueid) === call.id ? "bg-gray-50" : ""}`}>
+                        <td className="py-1 font-mono">{leg.src}</td>
+                        <td className="font-mono">{leg.dst}</td>
+                        <td className="font-mono text-xs text-gray-600">{leg.channel}{leg.dstchannel && <><br />{leg.dstchannel}</>}</td>
+                        <td><TWBadge tone={leg.disposition === "ANSWERED" ? "ok" : "warn"}>{leg.disposition}</TWBadge></td>
+                        <td className="text-right">{secondsToHMS(Number(leg.billsec ?? leg.duration ?? 0))}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <h4 className="font-semibold mb-2">{t("Events (CEL)")}</h4>
+                {(detail.cel || []).length === 0 ? (
+                  <div className="text-sm text-gray-500">{t("No CEL events recorded. Enable CEL in FreePBX to see the call's steps.")}</div>
+                ) : (
+                  <ol className="text-sm space-y-1">
+                    {detail.cel.map((ev, i) => (
+                      <li key={i} className="flex items-baseline gap-2">
+                        <span className="w-12 shrink-0 text-right text-gray-500 font-mono">{offset(ev.eventtime)}</span>
+                        <TWBadge tone={CEL_TONES[ev.eventtype] || "default"}>{ev.eventtype}</TWBadge>
+                        <span className="font-mono text-xs break-all">{ev.channame}{ev.appname && ` · ${ev.appname}${ev.appdata ? `(${ev.appdata})` : ""}`}</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </>
+            )}
+          </DialogSurface>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+
+// ===============
+// CDR Reports Panel (analytics over every call matching the Call Logs filter)
+// ===============
+const CDR_DISPOSITIONS = ["ANSWERED", "NO ANSWER", "BUSY", "FAILED"];
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const DISPOSITION_COLORS = {
+  ANSWERED: "bg-green-500", "NO ANSWER": "bg-amber-400", BUSY: "bg-orange-500", FAILED: "bg-rose-500", OTHER: "bg-gray-400",
+};
+const DIRECTION_COLORS = { inbound: "bg-sky-500", outbound: "bg-indigo-500", internal: "bg-gray-400" };
+
+const CDR_REPORT_DAYS = 30; // range the reports cover when the filter sets no dates
+const CDR_REPORT_MAX_ROWS = 100_000; // the scan stops here; narrow the range for complete figures
+
+// Aggregates are keyed off the PBX wall-clock calldate, so hours match what the PBX saw. Pages are
+// folded in as they arrive (cdrStatsAdd), so the rows themselves are never kept.
+function cdrStatsEmpty() {
+  return {
+    total: 0,
+    byDay: {},
+    heat: WEEKDAYS.map(() => Array(24).fill(0)),
+    dispositions: Object.fromEntries([...CDR_DISPOSITIONS, "OTHER"].map(d => [d, 0])),
+    directions: { inbound: 0, outbound: 0, internal: 0 },
+    exts: {},
+    callers: {},
+  };
+}
+
+function cdrStatsAdd(acc, rows) {
+  const { byDay, heat, dispositions, directions, exts, callers } = acc;
+  for (const c of rows) {
+    const m = String(c.calldate).match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2})/);
+    if (m) {
+      const day = `${m[1]}-${m[2]}-${m[3]}`;
+      byDay[day] = (byDay[day] || 0) + 1;
+      const weekday = (new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])).getUTCDay() + 6) % 7; // Monday first
+      heat[weekday][+m[4]] += 1;
+    }
+    const disp = String(c.disposition || "").toUpperCase();
+    dispositions[CDR_DISPOSITIONS.includes(disp) ? disp : "OTHER"] += 1;
+    const dir = callDirection(c);
+    directions[dir] += 1;
+    const answered = disp === "ANSWERED";
+    // billsec is talk time; older exports only carry duration, which includes ringing.
+    const talk = answered ? Number(c.billsec ?? c.duration ?? 0) : 0;
+    for (const party of new Set([c.src, c.dst].filter(isExtensionNumber).map(String))) {
+      const e = exts[party] || (exts[party] = { ext: party, calls: 0, answered: 0, talk: 0 });
+      e.calls += 1;
+      if (answered) { e.answered += 1; e.talk += talk; }
+    }
+    if (dir === "inbound" && c.src) callers[c.src] = (callers[c.src] || 0) + 1;
+  }
+  acc.total += rows.length;
+  return acc;
+}
+
+function cdrStatsView(acc) {
+  return {
+    total: acc.total,
+    byDay: Object.entries(acc.byDay).sort(([a], [b]) => a.localeCompare(b)),
+    heat: acc.heat.map(hours => [...hours]),
+    dispositions: { ...acc.dispositions },
+    directions: { ...acc.directions },
+    extensions: Object.values(acc.exts).map(e => ({ ...e, avg: e.answered ? Math.round(e.talk / e.answered) : 0 })).sort((a, b) => b.talk - a.talk),
+    topCallers: Object.entries(acc.callers).sort((a, b) => b[1] - a[1]).slice(0, 10),
+  };
+}
+
+function StackedBar({ parts, colors }) {
+  const total = Object.values(parts).reduce((n, v) => n + v, 0) || 1;
+  return (
+    <div>
+      <div className="flex h-4 rounded-full overflow-hidden bg-gray-100">
+        {Object.entries(parts).filter(([, v]) => v > 0).map(([k, v]) => (
+          <div key={k} className={colors[k]} style={{ width: `${(v / total) * 100}%` }} title={`${t(k)}: ${formatNumber(v)}`} />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-700">
+        {Object.entries(parts).filter(([, v]) => v > 0).map(([k, v]) => (
+          <span key={k} className="flex items-center gap-1">
+            <span className={`inline-block w-2 h-2 rounded-full ${colors[k]}`} />
+            {t(k)} {formatNumber(v)} ({Math.round((v / total) * 100)}%)
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function CdrReportsPanel({ cfg, filter }) {
+  const [stats, setStats] = useState(() => cdrStatsView(cdrStatsEmpty()));
+  const [capped, setCapped] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const [attempt, setAttempt] = useState(0); // bumped by Retry
+  // Without dates the Call Logs filter means all time; reports cover the last CDR_REPORT_DAYS instead.
+  const range = filter.from || filter.to
+    ? filter
+    : { ...filter, from: toLocalInput(Date.now() - CDR_REPORT_DAYS * 86_400_000).slice(0, 10) };
+
+  useEffect(() => {
+    // A newer filter (or leaving the page) aborts this scan; nothing it has read is shown after that.
+    const ctrl = new AbortController();
+    const live = (fn) => (...args) => { if (!ctrl.signal.aborted) fn(...args); };
+    (async () => {
+      setError(""); setCapped(false); setProgress({ done: 0, total: 0 });
+      setStats(cdrStatsView(cdrStatsEmpty()));
+      const acc = cdrStatsEmpty();
+      try {
+        for await (const page of iterateCalls(cfg, range, { signal: ctrl.signal, onProgress: live(setProgress) })) {
+          if (ctrl.signal.aborted) return;
+          cdrStatsAdd(acc, page.slice(0, CDR_REPORT_MAX_ROWS - acc.total));
+          setStats(cdrStatsView(acc));
+          if (acc.total >= CDR_REPORT_MAX_ROWS) { setCapped(true); break; }
+        }
+      } catch (e) {
+        if (e.name !== "AbortError" && e.name !== "CanceledError") live(setError)(`${t("Could not load call data.")} ${describeError(e)}`);
+      } finally {
+        if (!ctrl.signal.aborted) setProgress(null);
+      }
+    })();
+    return () => ctrl.abort();
+  }, [cfg.baseURL, cfg.apiKey, cfg.backend, cfg.clientId, cfg.clientSecret, JSON.stringify(range), attempt]);
+
+  const maxDay = Math.max(1, ...stats.byDay.map(([, n]) => n));
+  const maxHeat = Math.max(1, ...stats.heat.flat());
+  const maxTalk = Math.max(1, ...stats.extensions.map(e => e.talk));
+  const answerRate = stats.total ? Math.round((stats.dispositions.ANSWERED / stats.total) * 100) : 0;
+  const scope = describeCdrFilter(range);
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold">{t("Call Reports")}</h2>
+        <div className="flex items-center gap-2">
+          {progress && <TWBadge>{progress.total ? t("loading {done} / {total}…", { done: formatNumber(progress.done), total: formatNumber(progress.total) }) : t("loading {done}…", { done: formatNumber(progress.done) })}</TWBadge>}
+          <TWBadge>{scope}</TWBadge>
+          <TWBadge tone={answerRate >= 80 ? "ok" : "warn"}>{t("{n} calls • {pct}% answered", { n: formatNumber(stats.total), pct: answerRate })}</TWBadge>
+        </div>
+      </div>
+      {error && <LoadError error={error} onRetry={() => setAttempt(a => a + 1)} busy={Boolean(progress)} />}
+      {capped && (
+        <div className="mb-3 border border-amber-200 bg-amber-50 text-amber-900 rounded-2xl p-3 text-sm">
+          {t("Only the first {n} calls are counted. Narrow the date range in Call Logs for complete figures.", { n: formatNumber(CDR_REPORT_MAX_ROWS) })}
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="font-medium mb-2">{t("Calls per day")}</h3>
+          {stats.byDay.length === 0 ? <div className="text-sm text-gray-500">{t("No calls in range.")}</div> : (
+            <div className="flex items-end gap-px h-32 border-b">
+              {stats.byDay.map(([day, n]) => (
+                <div key={day} className="flex-1 bg-black/70 hover:bg-black rounded-t" style={{ height: `${(n / maxDay) * 100}%` }} title={`${day}: ${t("{n} calls", { n: formatNumber(n) })}`} />
+              ))}
+            </div>
+          )}
+          {stats.byDay.length > 0 && (
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+              <span>{stats.byDay[0][0]}</span><span>{stats.byDay[stats.byDay.length - 1][0]}</span>
+            </div>
+          )}
+        </div>
+
+        <div>
+          <h3 className="font-medium mb-2">{t("Busiest hours")}</h3>
+          <div className="text-xs">
+            {stats.heat.map((hours, d) => (
+              <div key={d} className="flex items-center gap-px mb-px">
+                <span className="w-8 text-gray-500">{formatWeekday(d)}</span>
+                {hours.map((n, h) => (
+                  <div key={h} className="flex-1 h-4 rounded-sm bg-indigo-600" style={{ opacity: n ? 0.15 + 0.85 * (n / maxHeat) : 0.05 }} title={`${formatWeekday(d)} ${String(h).padStart(2, "0")}:00 — ${t("{n} calls", { n: formatNumber(n) })}`} />
+                ))}
+              </div>
+            ))}
+            <div className="flex justify-between text-gray-500 ml-8"><span>00</span><span>06</span><span>12</span><span>18</span><span>23</span></div>
+          </div>
+        </div>
+
+        <div>
+          <h3 className="font-medium mb-2">{t("Outcome")}</h3>
+          <StackedBar parts={stats.dispositions} colors={DISPOSITION_COLORS} />
+          <h3 className="font-medium mb-2 mt-4">{t("Direction")}</h3>
+          <StackedBar parts={stats.directions} colors={DIRECTION_COLORS} />
+        </div>
+
+        <div>
+          <h3 className="font-medium mb-2">{t("Top external callers")}</h3>
+          {stats.topCallers.length === 0 ? <div className="text-sm text-gray-500">{t("No inbound calls.")}</div> : (
+            <table className="w-full text-sm">
+              <tbody>
+                {stats.topCallers.map(([num, n]) => (
+                  <tr key={num} className="border-b"><td className="py-1 font-mono">{num}</td><td className="text-right">{t("{n} calls", { n: formatNumber(n) })}</td></tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="md:col-span-2">
+          <h3 className="font-medium mb-2">{t("Talk time per extension")}</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2">{t("Ext")}</th>
+                <th>{t("Calls")}</th>
+                <th>{t("Answered")}</th>
+                <th>{t("Avg talk")}</th>
+                <th className="w-1/3">{t("Total talk")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.extensions.map(e => (
+                <tr key={e.ext} className="border-b">
+                  <td className="py-1 font-mono">{e.ext}</td>
+                  <td>{e.calls}</td>
+                  <td>{e.answered}</td>
+                  <td className="font-mono">{secondsToHMS(e.avg)}</td>
+                  <td>
+                    <div className="flex items-center gap-2">
+                      <div className="h-2 bg-black/70 rounded-full" style={{ width: `${(e.talk / maxTalk) * 100}%` }} />
+                      <span className="font-mono text-xs">{secondsToHMS(e.talk)}</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </TWCard>
+  );
+}
+
+
+// ===============
+// Status Panel (Realtime via ARI)
+// ===============
+const ARI_CONNECTION_BADGE = {
+  mock: { tone: "warn", label: "simulated" },
+  connecting: { tone: "default", label: "connecting…" },
+  open: { tone: "ok", label: "live" },
+  reconnecting: { tone: "warn", label: "reconnecting" },
+  error: { tone: "err", label: "ARI error" },
+};
+
+const TRUNK_DOWN_RE = /unavailable|unreachable|unregistered|rejected|unknown/i;
+
+function trunkTone(t) {
+  if (TRUNK_DOWN_RE.test(t.state)) return 'err';
+  return t.latency_ms > 150 ? 'warn' : 'ok';
+}
+
+function StatusPanel({ status, alerting = new Set() }) {
+  const badge = ARI_CONNECTION_BADGE[status.connection];
+  return (
+    <TWCard>
+      <div className="mb-3 flex items-center justify-between">
+        <h2 className="text-xl font-semibold">{t("Queues & Trunks")}</h2>
+        <TWBadge tone={badge.tone}>{t(badge.label)}{status.connection === 'reconnecting' && status.attempt > 0 ? ` (#${status.attempt})` : ''}</TWBadge>
+      </div>
+      {status.connection !== 'mock' && status.connection !== 'open' && status.trunks.length === 0 && (
+        status.attempt > 0 || status.connection === 'error' ? (
+          <LoadError onRetry={status.reconnect}
+            error={t("Can't connect to ARI (attempt {n}). Check the ARI URL, user and password, and that ari.conf allowed_origins lists this page. Test connection in the settings shows which step fails.", { n: status.attempt })} />
+        ) : <div className="text-sm text-gray-500 mb-3">{t("Waiting for the ARI event stream…")}</div>
+      )}
+      <div className="grid md:grid-cols-3 gap-3">
+        {status.trunks.map((trunk, idx) => (
+          <div key={`t${idx}`} className={`border rounded-2xl p-3 ${alerting.has(trunk.name) ? "border-rose-400" : ""}`}>
+            <div className="flex items-center justify-between">
+              <div className="font-medium">{trunk.name}</div>
+              <TWBadge tone={trunkTone(trunk)}>{trunk.state}</TWBadge>
+            </div>
+            <div className="text-sm text-gray-600 mt-1">{t("Latency {ms} ms", { ms: trunk.latency_ms ?? "—" })}</div>
+          </div>
+        ))}
+        {status.queues.map((q, idx) => (
+          <div key={`q${idx}`} className={`border rounded-2xl p-3 ${alerting.has(q.name) ? "border-rose-400" : ""}`}>
+            <div className="flex items-center justify-between">
+              <div className="font-medium">{q.name}</div>
+              <TWBadge tone={q.waiting > 0 ? 'warn' : 'ok'}>{t("{in}/{all} agents", { in: q.logged_in, all: q.agents })}</TWBadge>
+            </div>
+            <div className="text-sm text-gray-600 mt-1">{t("Waiting callers: {n}", { n: q.waiting })}{q.waiting_since ? ` · ${t("longest {wait}", { wait: fmtWait((Date.now() - q.waiting_since) / 1000) })}` : ''}</div>
+          </div>
+        ))}
+      </div>
+    </TWCard>
+  );
+}
+
+
+// ===============
+// Alerts (threshold rules on live trunk/queue status)
+// ===============
+// Rules, channels and history live on the UI server (server/alerts.js). Every open console evaluates
+// the rules on each status update and reports alerts as they start and clear; the server records
+// each one once and relays it to the webhook and email.
+const ALERT_METRICS = {
+  trunk_unregistered: {
+    label: "Trunk unregistered", kind: "trunk", unit: "",
+    value: (t) => (TRUNK_DOWN_RE.test(t.state) ? 1 : 0), breached: (v) => v === 1,
+    text: (t) => `${t.name} is ${t.state}`,
+  },
+  trunk_latency: {
+    label: "Trunk latency above", kind: "trunk", unit: "ms",
+    value: (t) => t.latency_ms ?? 0, breached: (v, lim) => v > lim,
+    text: (t, v, lim) => `${t.name} latency ${v} ms (limit ${lim} ms)`,
+  },
+  queue_wait: {
+    label: "Longest queue wait above", kind: "queue", unit: "s",
+    value: (q, now) => (q.waiting_since ? Math.max(0, Math.round((now - q.waiting_since) / 1000)) : 0), breached: (v, lim) => v > lim,
+    text: (q, v, lim) => `${q.name}: a caller has waited ${fmtWait(v)} (limit ${fmtWait(lim)})`,
+  },
+  queue_waiting: {
+    label: "Callers waiting above", kind: "queue", unit: "callers",
+    value: (q) => q.waiting, breached: (v, lim) => v > lim,
+    text: (q, v, lim) => `${q.name}: ${v} callers waiting (limit ${lim})`,
+  },
+  queue_agents: {
+    label: "Agents logged in below", kind: "queue", unit: "agents",
+    value: (q) => q.logged_in, breached: (v, lim) => v < lim,
+    text: (q, v, lim) => `${q.name}: ${v} agents logged in (minimum ${lim})`,
+  },
+};
+const ALERT_SEVERITY_TONE = { warning: "warn", critical: "err" };
+const ALERT_NOTIFY = [["browser", "Desktop"], ["sound", "Sound"], ["webhook", "Webhook"], ["email", "Email"]];
+const ALERT_SNOOZE_MIN = [[15, "15 min"], [60, "1 hour"], [240, "4 hours"], [1440, "1 day"]];
+const ALERT_POLL_MS = 30_000;
+const ALERT_REPEAT_MS = 60_000; // unacknowledged critical alerts with sound beep again this often
+const ALERT_RULE_DEFAULTS = {
+  id: "", name: "", metric: "trunk_latency", target: "", threshold: 150, for_sec: 60, severity: "warning", enabled: true,
+  notify: { browser: true, sound: false, webhook: false, email: false },
+};
+const ALERT_EMPTY = { rules: [], channels: { webhookUrl: "", emailTo: [] }, snoozes: {}, history: [], relay: { email: false } };
+
+// Breaches of one rule in the current status: [{ subject, value, message }].
+function alertBreaches(rule, status, now) {
+  const m = ALERT_METRICS[rule.metric];
+  if (!m) return [];
+  return (m.kind === "trunk" ? status.trunks : status.queues)
+    .filter(x => !rule.target || x.name === rule.target)
+    .map(x => ({ x, value: m.value(x, now) }))
+    .filter(({ value }) => m.breached(value, rule.threshold))
+    .map(({ x, value }) => ({ subject: x.name, value, message: m.text(x, value, rule.threshold) }));
+}
+
+let alertAudio = null;
+
+// Short beeps from Web Audio, so no sound file has to ship: one for a warning, three for critical.
+function alertBeep(severity) {
+  try {
+    alertAudio ||= new (window.AudioContext || window.webkitAudioContext)();
+    const count = severity === "critical" ? 3 : 1;
+    for (let i = 0; i < count; i += 1) {
+      const t = alertAudio.currentTime + i * 0.3;
+      const osc = alertAudio.createOscillator();
+      const gain = alertAudio.createGain();
+      osc.frequency.value = severity === "critical" ? 880 : 660;
+      gain.gain.setValueAtTime(0.2, t);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + 0.25);
+      osc.connect(gain).connect(alertAudio.destination);
+      osc.start(t);
+      osc.stop(t + 0.25);
+    }
+  } catch { /* no audio output available */ }
+}
+
+function alertNotify(entry, rule) {
+  if (rule.notify.browser && "Notification" in window && Notification.permission === "granted") {
+    new Notification(`${entry.severity === "critical" ? t("Critical") : t("Warning")}: ${entry.ruleName}`, { body: entry.message, tag: entry.key });
+  }
+  if (rule.notify.sound) alertBeep(entry.severity);
+}
+
+// Loads the rules, evaluates them whenever `status` changes (and every few seconds, for hold times)
+// and reports alerts to the UI server. A rule must stay breached for its hold time before it fires.
+// With a saved PBX profile active, `scope` (its name) prefixes subjects so systems don't mix.
+function useAlerts({ status, enabled, scope = "" }) {
+  const [state, setState] = useState(ALERT_EMPTY);
+  const [error, setError] = useState("");
+  const since = useRef(new Map()); // key -> when the breach was first seen
+  const sent = useRef(new Map()); // key -> last state this console reported ("firing" | "resolved")
+  const lastBeep = useRef(new Map()); // alert id -> when it last beeped
+  const now = useNow(5000);
+  const mock = status.connection === "mock";
+  const live = mock || status.connection === "open"; // a dropped ARI link says nothing about the trunks
+  const tag = scope ? `${scope} / ` : "";
+  const mine = (e) => !e.resolvedAt && Boolean(e.mock) === mock && (tag ? e.subject.startsWith(tag) : !e.subject.includes(" / "));
+
+  useEffect(() => { since.current.clear(); sent.current.clear(); }, [scope]);
+
+  async function reload() {
+    try {
+      setState((await axios.get("/alerts")).data);
+      setError("");
+    } catch (e) {
+      setError(`${t("Could not load alerts.")} ${describeError(e, "The UI server")}`);
+    }
+  }
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    reload();
+    const timer = setInterval(reload, ALERT_POLL_MS);
+    return () => clearInterval(timer);
+  }, [enabled]);
+
+  const mergeEntry = (entry) => setState(s => ({ ...s, history: [entry, ...s.history.filter(e => e.id !== entry.id)] }));
+
+  async function report(rule, breach, alertState) {
+    try {
+      const { data } = await axios.post("/alerts/events", { rule: rule.id, subject: breach.subject, value: breach.value, message: breach.message, state: alertState, mock });
+      if (!data.entry) return;
+      mergeEntry(data.entry);
+      // Only the console that opened the alert (or one that saw it within seconds) pops it up.
+      const snoozed = data.entry.snoozedUntil > Date.now();
+      if (alertState === "firing" && !snoozed && Date.now() - data.entry.firedAt < 15_000) {
+        alertNotify(data.entry, rule);
+        lastBeep.current.set(data.entry.id, Date.now());
+      }
+    } catch (e) {
+      sent.current.delete(`${mock ? "mock:" : ""}${rule.id}|${breach.subject}`); // try again on the next update
+      setError(e.response?.data?.message || e.message);
+    }
+  }
+
+  useEffect(() => {
+    if (!enabled || !live) return;
+    const at = Date.now();
+    const prefix = mock ? "mock:" : "";
+    const open = new Map(state.history.filter(mine).map(e => [e.key, e]));
+    const seen = new Set();
+    for (const rule of state.rules.filter(r => r.enabled)) {
+      for (const breach of alertBreaches(rule, status, at)) {
+        const b = { ...breach, subject: tag + breach.subject, message: scope ? `${scope}: ${breach.message}` : breach.message };
+        const key = `${prefix}${rule.id}|${b.subject}`;
+        seen.add(key);
+        if (!since.current.has(key)) since.current.set(key, at);
+        const held = at - since.current.get(key) >= rule.for_sec * 1000;
+        if (held && !open.has(key) && sent.current.get(key) !== "firing") {
+          sent.current.set(key, "firing");
+          report(rule, b, "firing");
+        }
+      }
+    }
+    for (const key of [...since.current.keys()]) if (!seen.has(key)) since.current.delete(key);
+    // Close alerts this console (or any other, or an earlier session) opened that no longer hold.
+    for (const key of new Set([...open.keys(), ...[...sent.current].filter(([, v]) => v === "firing").map(([k]) => k)])) {
+      if (seen.has(key) || sent.current.get(key) === "resolved") continue;
+      const [ruleId, ...rest] = key.slice(prefix.length).split("|");
+      const subject = rest.join("|");
+      const rule = state.rules.find(r => r.id === ruleId);
+      if (!rule) continue;
+      sent.current.set(key, "resolved");
+      report(rule, { subject }, "resolved");
+    }
+    for (const e of open.values()) {
+      const rule = state.rules.find(r => r.id === e.rule);
+      if (!rule?.notify.sound || e.severity !== "critical" || e.acked || e.snoozedUntil > at || state.snoozes[e.key] > at) continue;
+      if (at - (lastBeep.current.get(e.id) || e.firedAt) >= ALERT_REPEAT_MS) {
+        alertBeep(e.severity);
+        lastBeep.current.set(e.id, at);
+      }
+    }
+  }, [status, now, state, enabled, live]);
+
+  async function act(id, action, body = {}) {
+    const { data } = await axios.post(`/alerts/${id}/${action}`, body);
+    mergeEntry(data);
+    if (action === "snooze") reload();
+  }
+
+  async function saveConfig(config) {
+    const { data } = await axios.put("/alerts/config", config);
+    setState(data);
+  }
+
+  return {
+    ...state, error, reload, saveConfig,
+    open: state.history.filter(mine),
+    // Subjects as StatusPanel names them, without the profile prefix.
+    alerting: new Set(state.history.filter(mine).map(e => e.subject.slice(tag.length))),
+    ack: (id) => act(id, "ack"),
+    snooze: (id, minutes) => act(id, "snooze", { minutes }),
+    test: async () => (await axios.post("/alerts/test")).data,
+  };
+}
+
+function validateAlertRule(r) {
+  const e = {};
+  const int = (v, lo, hi) => /^\d+$/.test(String(v)) && Number(v) >= lo && Number(v) <= hi;
+  if (!r.name.trim() || r.name.length > 60) e.name = "1 to 60 characters";
+  if (r.metric !== "trunk_unregistered" && !int(r.threshold, 0, 100000)) e.threshold = "Whole number, 0 to 100000";
+  if (!int(r.for_sec, 0, 86400)) e.for_sec = "0 to 86400 seconds";
+  return e;
+}
+
+function AlertRulesModal({ open, alerts, status, onClose, onSave }) {
+  const [rules, setRules] = useState([]);
+  const [webhookUrl, setWebhookUrl] = useState("");
+  const [emailTo, setEmailTo] = useState("");
+  const [showErrors, setShowErrors] = useState(false);
+  const [testResult, setTestResult] = useState("");
+  const [saveError, setSaveError] = useState("");
+  useEffect(() => {
+    setRules(structuredClone(alerts.rules));
+    setWebhookUrl(alerts.channels.webhookUrl);
+    setEmailTo(alerts.channels.emailTo.join(", "));
+    setShowErrors(false);
+    setTestResult("");
+    setSaveError("");
+  }, [open]);
+  const errors = rules.map(validateAlertRule);
+  const setRule = (i, patch) => setRules(rs => rs.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const channels = () => ({ webhookUrl: webhookUrl.trim(), emailTo: emailTo.split(/[\s,;]+/).filter(Boolean) });
+
+  async function save() {
+    if (errors.some(e => Object.keys(e).length)) { setShowErrors(true); return; }
+    setSaveError("");
+    try {
+      await onSave({ rules: rules.map(r => ({ ...r, threshold: Number(r.threshold), for_sec: Number(r.for_sec) })), channels: channels() });
+      onClose();
+    } catch (e) {
+      setSaveError(t("Failed to save alert rules: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  // Channels are tested as saved on the server, so unsaved edits are saved first.
+  async function test() {
+    setTestResult(t("Sending…"));
+    try {
+      await onSave({ rules: alerts.rules, channels: channels() });
+      const result = await alerts.test();
+      setTestResult(Object.entries(result).map(([k, v]) => `${t(k)}: ${t(v)}`).join(", ") || t("No channels configured"));
+    } catch (e) {
+      setTestResult(e.response?.data?.message || e.message);
+    }
+  }
+
+  return (
+    <EditorModalFrame open={open} title={t("Alert rules")} onClose={onClose} onSave={save} error={saveError}>
+      <div className="space-y-3">
+        {rules.map((r, i) => {
+          const m = ALERT_METRICS[r.metric];
+          const err = (k) => (showErrors ? errors[i][k] : "");
+          const subjects = (m.kind === "trunk" ? status.trunks : status.queues).map(x => x.name);
+          return (
+            <div key={r.id || `new${i}`} className={`border rounded-2xl p-3 ${r.enabled ? "" : "opacity-60"}`}>
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+                <div className="md:col-span-2">
+                  <TWLabel>{t("Name")}</TWLabel>
+                  <TWInput value={r.name} onChange={e => setRule(i, { name: e.target.value })} />
+                  <FieldError msg={err("name")} />
+                </div>
+                <div className="md:col-span-2">
+                  <TWLabel>{t("When")}</TWLabel>
+                  <TWSelect value={r.metric} onChange={e => setRule(i, { metric: e.target.value, target: "" })}>
+                    {Object.entries(ALERT_METRICS).map(([k, v]) => <option key={k} value={k}>{t(v.label)}</option>)}
+                  </TWSelect>
+                </div>
+                <div>
+                  <TWLabel>{m.unit ? t("Limit ({unit})", { unit: t(m.unit) }) : t("Limit")}</TWLabel>
+                  <TWInput value={m.unit ? r.threshold : "—"} disabled={!m.unit} onChange={e => setRule(i, { threshold: e.target.value.trim() })} />
+                  <FieldError msg={err("threshold")} />
+                </div>
+                <div>
+                  <TWLabel>{t("For (s)")}</TWLabel>
+                  <TWInput value={r.for_sec} onChange={e => setRule(i, { for_sec: e.target.value.trim() })} />
+                  <FieldError msg={err("for_sec")} />
+                </div>
+                <div className="md:col-span-2">
+                  <TWLabel>{m.kind === "trunk" ? t("Trunk") : t("Queue")}</TWLabel>
+                  <TWSelect value={r.target} onChange={e => setRule(i, { target: e.target.value })}>
+                    <option value="">{t("All")}</option>
+                    {[...new Set([...subjects, r.target].filter(Boolean))].map(n => <option key={n} value={n}>{n}</option>)}
+                  </TWSelect>
+                </div>
+                <div>
+                  <TWLabel>{t("Severity")}</TWLabel>
+                  <TWSelect value={r.severity} onChange={e => setRule(i, { severity: e.target.value })}>
+                    <option value="warning">{t("Warning")}</option>
+                    <option value="critical">{t("Critical")}</option>
+                  </TWSelect>
+                </div>
+                <div className="md:col-span-3 flex flex-wrap gap-3 text-sm pb-2">
+                  {ALERT_NOTIFY.map(([k, label]) => (
+                    <label key={k} className="flex items-center gap-1">
+                      <input type="checkbox" checked={r.notify[k]} onChange={e => setRule(i, { notify: { ...r.notify, [k]: e.target.checked } })} /> {t(label)}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="flex items-center justify-between mt-2 text-sm">
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={r.enabled} onChange={e => setRule(i, { enabled: e.target.checked })} /> {t("Enabled")}
+                </label>
+                <TWButton className="bg-gray-100" onClick={() => setRules(rules.filter((_, j) => j !== i))}>{t("Remove")}</TWButton>
+              </div>
+            </div>
+          );
+        })}
+        <TWButton className="bg-gray-100" onClick={() => setRules([...rules, structuredClone(ALERT_RULE_DEFAULTS)])}>{t("+ Add rule")}</TWButton>
+
+        <div className="border-t pt-3 grid md:grid-cols-2 gap-3">
+          <div>
+            <TWLabel>{t("Webhook URL")}</TWLabel>
+            <TWInput value={webhookUrl} onChange={e => setWebhookUrl(e.target.value)} placeholder="https://hooks.example.com/…" />
+          </div>
+          <div>
+            <TWLabel>{alerts.relay.email ? t("Email to") : t("Email to (SMTP relay not configured)")}</TWLabel>
+            <TWInput value={emailTo} onChange={e => setEmailTo(e.target.value)} placeholder="noc@example.com, oncall@example.com" disabled={!alerts.relay.email} />
+          </div>
+          <div className="md:col-span-2 flex items-center gap-2 text-sm">
+            <TWButton className="bg-white" onClick={test}>{t("Send test")}</TWButton>
+            <span className="text-gray-600">{testResult}</span>
+          </div>
+        </div>
+      </div>
+    </EditorModalFrame>
+  );
+}
+
+function AlertsPanel({ alerts, status, can }) {
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [actionError, setActionError] = useState(""); // last failed acknowledge or snooze
+  const [notifyPermission, setNotifyPermission] = useState(() => ("Notification" in window ? Notification.permission : "unsupported"));
+  const now = useNow(10_000);
+  const ago = (ms) => secondsToHMS(Math.max(0, Math.round((now - ms) / 1000)));
+  const q = query.trim().toLowerCase();
+  const history = alerts.history
+    .filter(e => !q || [e.ruleName, e.subject, e.message, e.acked?.by].join(" ").toLowerCase().includes(q))
+    .slice(0, 50);
+
+  async function act(fn) {
+    setActionError("");
+    try { await fn(); } catch (e) { setActionError(t("Alert action failed: {reason}", { reason: e.response?.data?.message || e.message })); }
+  }
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <div className="flex items-center gap-2">
+          <h2 className="text-xl font-semibold">{t("Alerts")}</h2>
+          <TWBadge tone={alerts.open.some(e => e.severity === "critical") ? "err" : alerts.open.length ? "warn" : "ok"}>{t("{n} active", { n: alerts.open.length })}</TWBadge>
+        </div>
+        <div className="flex items-center gap-2">
+          {notifyPermission === "default" && (
+            <TWButton className="bg-white" onClick={async () => { setNotifyPermission(await Notification.requestPermission()); alertBeep("warning"); }}>{t("Enable desktop notifications")}</TWButton>
+          )}
+          {notifyPermission === "denied" && <span className="text-xs text-gray-500">{t("Desktop notifications are blocked in this browser")}</span>}
+          {can("alerts:edit") && <TWButton className="bg-white" onClick={() => setRulesOpen(true)}>{t("Rules ({n})", { n: alerts.rules.filter(r => r.enabled).length })}</TWButton>}
+        </div>
+      </div>
+      {alerts.error && <LoadError error={alerts.error} onRetry={alerts.reload} />}
+      {actionError && <LoadError error={actionError} />}
+
+      {alerts.open.length === 0 ? (
+        <div className="text-sm text-gray-500 mb-3">{t("Nothing is alerting.")}</div>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {alerts.open.map(e => (
+            <div key={e.id} className="border rounded-2xl p-3 flex items-center justify-between gap-3 flex-wrap">
+              <div className="text-sm">
+                <div className="flex items-center gap-2">
+                  <TWBadge tone={ALERT_SEVERITY_TONE[e.severity]}>{t(e.severity)}</TWBadge>
+                  <span className="font-medium">{e.ruleName}</span>
+                  {e.mock && <TWBadge>{t("mock")}</TWBadge>}
+                </div>
+                <div className="mt-1">{e.message}</div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {t("for {time}", { time: ago(e.firedAt) })}
+                  {e.acked && ` · ${t("acknowledged by {user}", { user: e.acked.by })}`}
+                  {e.snoozedUntil > now && ` · ${t("snoozed until {time}", { time: formatTime(e.snoozedUntil) })}`}
+                  {Object.entries(e.relay || {}).map(([k, v]) => ` · ${t(k)} ${t(v)}`).join("")}
+                </div>
+              </div>
+              {can("alerts:ack") && (
+                <div className="flex items-center gap-2">
+                  {!e.acked && <TWButton className="bg-black text-white" onClick={() => act(() => alerts.ack(e.id))}>{t("Acknowledge")}</TWButton>}
+                  <div className="w-32">
+                    <TWSelect value="" onChange={ev => ev.target.value && act(() => alerts.snooze(e.id, Number(ev.target.value)))}>
+                      <option value="">{t("Snooze…")}</option>
+                      {ALERT_SNOOZE_MIN.map(([m, label]) => <option key={m} value={m}>{t(label)}</option>)}
+                    </TWSelect>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium">{t("History")}</h3>
+        <div className="w-64"><TWInput value={query} onChange={e => setQuery(e.target.value)} placeholder={t("Filter by rule, trunk, queue, user")} /></div>
+      </div>
+      <div className="overflow-auto max-h-72">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1">{t("Fired")}</th><th>{t("Rule")}</th><th>{t("Message")}</th><th>{t("Lasted")}</th><th>{t("Acknowledged")}</th>
+            </tr>
+          </thead>
+          <tbody onKeyDown={rowKeyNav}>
+            {history.map(e => (
+              <tr key={e.id} data-row tabIndex={0} className="border-t">
+                <td className="py-1 whitespace-nowrap">{formatDateTime(e.firedAt)}</td>
+                <td><TWBadge tone={ALERT_SEVERITY_TONE[e.severity]}>{e.ruleName}</TWBadge></td>
+                <td>{e.message}{e.mock ? ` (${t("mock")})` : ""}</td>
+                <td>{e.resolvedAt ? secondsToHMS(Math.round((e.resolvedAt - e.firedAt) / 1000)) : t("ongoing")}</td>
+                <td>{e.acked ? e.acked.by : ""}</td>
+              </tr>
+            ))}
+            {!history.length && <tr><td colSpan={5} className="py-2 text-gray-500">{t("No alerts yet.")}</td></tr>}
+          </tbody>
+        </table>
+      </div>
+
+      <AlertRulesModal open={rulesOpen} alerts={alerts} status={status} onClose={() => setRulesOpen(false)} onSave={alerts.saveConfig} />
+    </TWCard>
+  );
+}
+
+// ===============
+// Status History (trunk and queue metrics over time)
+// ===============
+// Samples of the live status go to IndexedDB in this browser and, when the UI server has METRICS_DB
+// set, to its SQLite store as well. Mock mode writes to a separate database, backfilled with a day
+// of generated history.
+const METRICS_SAMPLE_MS = 30_000;
+const METRICS_RETENTION_DAYS = 14;
+const METRICS_BUCKETS = 60;
+const METRICS_RANGES = [["1h", 3_600_000], ["6h", 21_600_000], ["24h", 86_400_000], ["7d", 604_800_000]];
+const METRICS_TRUNK_COLORS = ["text-blue-600", "text-purple-600", "text-teal-600", "text-orange-600"];
+
+const metricsDbs = {};
+
+// Two stores: "samples" keyed by time, and "calls" (queue calls, keyed by the caller's channel id).
+function metricsDb(name) {
+  metricsDbs[name] ||= new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore("samples", { keyPath: "ts" });
+      req.result.createObjectStore("calls", { keyPath: "id" }).createIndex("ts", "ts");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      delete metricsDbs[name]; // so a retry opens it again
+      reject(req.error);
+    };
+  });
+  return metricsDbs[name];
+}
+
+async function metricsTx(name, mode, fn) {
+  const db = await metricsDb(name);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["samples", "calls"], mode);
+    const result = fn(tx.objectStore("samples"), tx.objectStore("calls"));
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const metricsPut = (name, { samples = [], calls = [] }) => metricsTx(name, "readwrite", (s, c) => {
+  samples.forEach(x => s.put(x));
+  calls.forEach(x => c.put(x));
+  return {};
+});
+
+async function metricsRange(name, from, to) {
+  const range = IDBKeyRange.bound(from, to, false, true);
+  const out = {};
+  await metricsTx(name, "readonly", (s, c) => {
+    s.getAll(range).onsuccess = (e) => { out.samples = e.target.result; };
+    c.index("ts").getAll(range).onsuccess = (e) => { out.calls = e.target.result; };
+    return out;
+  });
+  return out;
+}
+
+const metricsPrune = (name, before) => metricsTx(name, "readwrite", (s, c) => {
+  s.delete(IDBKeyRange.upperBound(before, true));
+  c.index("ts").openCursor(IDBKeyRange.upperBound(before, true)).onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) { cursor.delete(); cursor.continue(); }
+  };
+  return {};
+});
+
+// Deterministic noise in [0, 1), so a repeated backfill fills the same history.
+const mockNoise = (n) => {
+  const x = Math.sin(n * 12.9898) * 43758.5453;
+  return x - Math.floor(x);
+};
+
+// A plausible day to backfill mock history with (live samples come from the PBX simulator): queues
+// busy in business hours, and AU-West flapping for 20 minutes from 02:00.
+function mockMetricsSample(ts) {
+  const slot = Math.floor(ts / METRICS_SAMPLE_MS);
+  const d = new Date(ts);
+  const hour = d.getHours() + d.getMinutes() / 60;
+  const busy = hour >= 8 && hour < 18 ? Math.sin(((hour - 8) / 10) * Math.PI) : 0.05;
+  const flapping = hour >= 2 && hour < 2 + 1 / 3 && mockNoise(slot) < 0.5;
+  const queue = (name, agents, seed) => {
+    const logged_in = busy > 0.1 ? agents - (mockNoise(slot + seed) < 0.2 ? 1 : 0) : Math.min(1, agents);
+    return {
+      name, agents, logged_in,
+      on_call: Math.min(logged_in, Math.round(busy * logged_in * (0.5 + mockNoise(slot + seed + 1) / 2))),
+      waiting: Math.floor(busy * 4 * mockNoise(slot + seed + 2)),
+    };
+  };
+  const calls = [["600 Support", 3], ["700 Sales", 7]].flatMap(([name, seed]) =>
+    Array.from({ length: Math.round(busy * 2 * mockNoise(slot + seed + 3)) }, (_, i) => {
+      const wait = Math.round(mockNoise(slot + seed + i + 4) ** 3 * 90);
+      return { id: `mock-${slot}-${seed}-${i}`, queue: name, ts: ts - i * 1000, wait, answered: wait < 70 || mockNoise(slot + i) < 0.5 };
+    }));
+  return {
+    sample: {
+      ts,
+      trunks: [
+        { name: "AU-East", state: "Registered", latency_ms: Math.round(30 + 15 * mockNoise(slot + 11)) },
+        { name: "AU-West", state: flapping ? "Unreachable" : "Reachable", latency_ms: flapping ? null : Math.round(140 + 60 * mockNoise(slot + 12)) },
+      ],
+      queues: [queue("600 Support", 4, 3), queue("700 Sales", 2, 7)],
+    },
+    calls,
+  };
+}
+
+const metricsSampleOf = (status, ts) => ({
+  ts,
+  trunks: status.trunks.map(({ name, state, latency_ms }) => ({ name, state, latency_ms })),
+  queues: status.queues.map(({ name, waiting, logged_in, agents, on_call }) => ({ name, waiting, logged_in, agents, on_call: on_call ?? null })),
+});
+
+// Records a sample every METRICS_SAMPLE_MS and whenever a trunk changes state, plus one row per queue
+// call once it is answered or abandoned. Returns { dbName, server } for the history panel, plus the
+// last failure to write this browser's store (`error`) and `retry` to start over.
+// A saved PBX profile (`profile`, its id) keeps its own browser history and stays out of the
+// server's store, which belongs to the PBX the UI server proxies.
+function useMetricsRecorder({ status, enabled, profile = null }) {
+  const [serverInfo, setServer] = useState({ enabled: false });
+  const [revision, setRevision] = useState(0); // bumped when history is written in bulk
+  const [error, setError] = useState("");
+  const [attempt, setAttempt] = useState(0);
+  const mock = status.connection === "mock";
+  const dbName = `freepbx-ui-metrics${mock ? "-mock" : ""}${profile ? `-${profile}` : ""}`;
+  const server = profile ? { enabled: false } : serverInfo;
+  const last = useRef({ ts: 0, states: {} });
+  const callers = useRef(new Map()); // channel id -> { queue, since, answered }
+  const outbox = useRef({ samples: [], calls: [] }); // waiting for the server sink
+  const now = useNow(5000);
+  const storeFailed = (e) => setError(`${t("Could not record status history.")} ${describeError(e, "This browser's store")}`);
+
+  useEffect(() => {
+    if (!enabled) return;
+    axios.get("/metrics/info").then(r => setServer(r.data), () => setServer({ enabled: false }));
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled || !window.indexedDB) return;
+    last.current = { ts: 0, states: {} };
+    callers.current = new Map();
+    metricsPrune(dbName, Date.now() - METRICS_RETENTION_DAYS * 86_400_000).catch(storeFailed);
+    if (!mock) return;
+    // Backfill whatever part of the last day the mock database doesn't have yet.
+    (async () => {
+      const to = Date.now();
+      const { samples } = await metricsRange(dbName, to - 86_400_000, to);
+      const have = new Set(samples.map(s => Math.floor(s.ts / METRICS_SAMPLE_MS)));
+      const fill = { samples: [], calls: [] };
+      for (let ts = Math.ceil((to - 86_400_000) / METRICS_SAMPLE_MS) * METRICS_SAMPLE_MS; ts < to; ts += METRICS_SAMPLE_MS) {
+        if (have.has(ts / METRICS_SAMPLE_MS)) continue;
+        const { sample, calls } = mockMetricsSample(ts);
+        fill.samples.push(sample);
+        fill.calls.push(...calls);
+      }
+      if (fill.samples.length) await metricsPut(dbName, fill);
+      setRevision(r => r + 1);
+    })().catch(storeFailed);
+  }, [enabled, dbName, attempt]);
+
+  useEffect(() => {
+    if (!enabled || !window.indexedDB || !(mock || status.connection === "open")) return;
+    const at = Date.now();
+    const batch = { samples: [], calls: [] };
+
+    const states = Object.fromEntries(status.trunks.map(t => [t.name, t.state]));
+    const transition = Object.entries(states).some(([name, state]) => name in last.current.states && last.current.states[name] !== state);
+    if (transition || at - last.current.ts >= METRICS_SAMPLE_MS) {
+      batch.samples.push({ ...metricsSampleOf(status, at), ...(transition && { transition: true }) });
+      last.current = { ts: at, states };
+    }
+
+    // A queue call counts once: when it goes from waiting to bridged (answered), or leaves unanswered.
+    const present = new Set();
+    for (const q of status.queues) {
+      for (const c of q.callers || []) {
+        present.add(c.id);
+        const prev = callers.current.get(c.id);
+        // Callers already talking when this console started watching were never seen waiting.
+        if (c.answered && prev && !prev.answered) batch.calls.push({ id: c.id, queue: q.name, ts: at, wait: Math.round((at - c.since) / 1000), answered: true });
+        callers.current.set(c.id, { queue: q.name, since: c.since, answered: c.answered });
+      }
+    }
+    for (const [id, c] of callers.current) {
+      if (present.has(id)) continue;
+      if (!c.answered) batch.calls.push({ id, queue: c.queue, ts: at, wait: Math.round((at - c.since) / 1000), answered: false });
+      callers.current.delete(id);
+    }
+
+    if (!batch.samples.length && !batch.calls.length) return;
+    metricsPut(dbName, batch).then(() => setError(""), storeFailed);
+    if (!server.enabled || mock) return; // mock history never goes to the server
+    const box = outbox.current;
+    box.samples = [...box.samples, ...batch.samples].slice(-400);
+    box.calls = [...box.calls, ...batch.calls].slice(-400);
+    const sending = { samples: box.samples, calls: box.calls };
+    outbox.current = { samples: [], calls: [] };
+    // Kept for the next attempt if the server can't take them now.
+    axios.post("/metrics", sending).catch(() => {
+      outbox.current = { samples: [...sending.samples, ...outbox.current.samples], calls: [...sending.calls, ...outbox.current.calls] };
+    });
+  }, [status, now, enabled, server.enabled]);
+
+  const retry = () => {
+    setError("");
+    setAttempt(a => a + 1);
+    setRevision(r => r + 1);
+  };
+
+  return { dbName, server, mock, revision, error, retry };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// Buckets samples and calls for the charts, and pulls out trunk state transitions.
+function metricsSeries({ samples, calls }, { from, to, slSec }) {
+  const size = (to - from) / METRICS_BUCKETS;
+  const bucketOf = (ts) => Math.min(METRICS_BUCKETS - 1, Math.max(0, Math.floor((ts - from) / size)));
+  const empty = () => Array.from({ length: METRICS_BUCKETS }, () => []);
+  const trunks = {};
+  const queues = {};
+  const transitions = [];
+  const prevState = {};
+  for (const s of [...samples].sort((a, b) => a.ts - b.ts)) {
+    const b = bucketOf(s.ts);
+    for (const t of s.trunks) {
+      const tr = trunks[t.name] ||= { name: t.name, latency: empty(), all: [], up: 0, samples: 0, states: [] };
+      if (t.latency_ms != null) { tr.latency[b].push(t.latency_ms); tr.all.push(t.latency_ms); }
+      const down = TRUNK_DOWN_RE.test(t.state);
+      tr.samples += 1;
+      if (!down) tr.up += 1;
+      const last = tr.states.at(-1);
+      if (!last || last.state !== t.state) tr.states.push({ ts: s.ts, state: t.state, down });
+      if (prevState[t.name] !== undefined && prevState[t.name] !== t.state) transitions.push({ ts: s.ts, name: t.name, from: prevState[t.name], to: t.state });
+      prevState[t.name] = t.state;
+    }
+    for (const q of s.queues) {
+      const qu = queues[q.name] ||= { name: q.name, waiting: empty(), onCall: empty(), loggedIn: empty(), answered: 0, within: 0, abandoned: 0, sl: empty() };
+      qu.waiting[b].push(q.waiting ?? 0);
+      if (q.on_call != null) qu.onCall[b].push(q.on_call);
+      qu.loggedIn[b].push(q.logged_in ?? 0);
+    }
+  }
+  for (const c of calls) {
+    const qu = queues[c.queue] ||= { name: c.queue, waiting: empty(), onCall: empty(), loggedIn: empty(), answered: 0, within: 0, abandoned: 0, sl: empty() };
+    const ok = c.answered && c.wait <= slSec;
+    if (c.answered) qu.answered += 1; else qu.abandoned += 1;
+    if (ok) qu.within += 1;
+    qu.sl[bucketOf(c.ts)].push(ok ? 1 : 0);
+  }
+  const avg = (xs) => (xs.length ? xs.reduce((n, v) => n + v, 0) / xs.length : null);
+  const sum = (xs) => xs.reduce((n, v) => n + v, 0);
+  return {
+    transitions,
+    trunks: Object.values(trunks).map(t => {
+      const all = [...t.all].sort((a, b) => a - b);
+      return {
+        name: t.name, states: t.states,
+        availability: t.samples ? t.up / t.samples : null,
+        p50: percentile(all, 50), p95: percentile(all, 95), p99: percentile(all, 99),
+        p50Series: t.latency.map(xs => percentile([...xs].sort((a, b) => a - b), 50)),
+        p95Series: t.latency.map(xs => percentile([...xs].sort((a, b) => a - b), 95)),
+      };
+    }),
+    queues: Object.values(queues).map(q => ({
+      name: q.name,
+      waitingMax: q.waiting.map(xs => (xs.length ? Math.max(...xs) : null)),
+      waitingAvg: q.waiting.map(avg),
+      occupancy: q.onCall.map((xs, i) => (xs.length && sum(q.loggedIn[i]) ? sum(xs) / sum(q.loggedIn[i]) : null)),
+      slSeries: q.sl.map(avg),
+      calls: q.answered + q.abandoned,
+      answered: q.answered,
+      abandoned: q.abandoned,
+      serviceLevel: q.answered + q.abandoned ? q.within / (q.answered + q.abandoned) : null,
+    })),
+  };
+}
+
+// Multi-line chart over fixed buckets; null points leave gaps.
+function MetricsChart({ series, from, to, max, format = (v) => v, height = 120 }) {
+  const width = 560;
+  const top = max ?? Math.max(1, ...series.flatMap(s => s.values.filter(v => v != null)));
+  const x = (i) => 32 + (i / (METRICS_BUCKETS - 1)) * (width - 40);
+  const y = (v) => height - 18 - (Math.min(v, top) / top) * (height - 28);
+  const fmtT = (ts) => formatDateTime(ts, to - from > 86_400_000 ? { month: "short", day: "numeric", hour: "2-digit" } : { hour: "2-digit", minute: "2-digit" });
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label={series.map(s => s.label).join(", ")}>
+        <line x1="32" x2={width - 8} y1={height - 18} y2={height - 18} className="stroke-gray-300" />
+        <text x="28" y="14" textAnchor="end" className="fill-gray-500 text-[10px]">{format(top)}</text>
+        <text x="28" y={height - 18} textAnchor="end" className="fill-gray-500 text-[10px]">{format(0)}</text>
+        <text x="32" y={height - 4} className="fill-gray-500 text-[10px]">{fmtT(from)}</text>
+        <text x={width - 8} y={height - 4} textAnchor="end" className="fill-gray-500 text-[10px]">{fmtT(to)}</text>
+        {series.map(s => {
+          const runs = [];
+          s.values.forEach((v, i) => {
+            if (v == null) { runs.push([]); return; }
+            if (!runs.length) runs.push([]);
+            runs.at(-1).push(`${x(i)},${y(v)}`);
+          });
+          return (
+            <g key={s.label} className={s.className}>
+              {runs.filter(r => r.length).map((r, i) => (r.length === 1
+                ? <circle key={i} cx={r[0].split(",")[0]} cy={r[0].split(",")[1]} r="1.5" fill="currentColor" />
+                : <polyline key={i} points={r.join(" ")} fill="none" stroke="currentColor" strokeWidth="1.5" strokeDasharray={s.dashed ? "4 3" : undefined} />))}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs text-gray-700">
+        {series.map(s => <span key={s.label} className={`flex items-center gap-1 ${s.className}`}><span className="inline-block w-3 h-0.5 bg-current" /><span className="text-gray-700">{s.label}</span></span>)}
+      </div>
+    </div>
+  );
+}
+
+// One bar per trunk, green while up and red while down, so flapping stands out.
+function TrunkStateTimeline({ trunks, from, to }) {
+  const pct = (ts) => `${((Math.max(from, ts) - from) / (to - from)) * 100}%`;
+  return (
+    <div className="space-y-1">
+      {trunks.map(trunk => (
+        <div key={trunk.name} className="flex items-center gap-2 text-xs">
+          <span className="w-24 truncate">{trunk.name}</span>
+          <div className="relative flex-1 h-3 rounded bg-gray-100 overflow-hidden">
+            {trunk.states.map((s, i) => {
+              const end = trunk.states[i + 1]?.ts ?? to;
+              return (
+                <div key={i} title={t("{state} from {time}", { state: s.state, time: formatDateTime(s.ts) })}
+                  className={`absolute inset-y-0 ${s.down ? "bg-rose-500" : "bg-green-500"}`}
+                  style={{ left: pct(s.ts), width: `calc(${pct(end)} - ${pct(s.ts)})` }} />
+              );
+            })}
+          </div>
+          <span className="w-16 text-right">{trunk.availability == null ? "—" : t("{pct}% up", { pct: (trunk.availability * 100).toFixed(1) })}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const toLocalInput = (ts) => {
+  const d = new Date(ts - new Date(ts).getTimezoneOffset() * 60_000);
+  return d.toISOString().slice(0, 16);
+};
+
+function MetricsPanel({ recorder }) {
+  const [range, setRange] = useState("24h");
+  const [custom, setCustom] = useState(() => ({ from: toLocalInput(Date.now() - 86_400_000), to: toLocalInput(Date.now()) }));
+  const [source, setSource] = useState("browser");
+  const [slSec, setSlSec] = useState(20);
+  const [data, setData] = useState({ samples: [], calls: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [version, setVersion] = useState(0);
+  const useServer = source === "server" && recorder.server.enabled && !recorder.mock;
+
+  const span = useMemo(() => {
+    if (range === "custom") return { from: new Date(custom.from).getTime(), to: new Date(custom.to).getTime() };
+    const to = Date.now();
+    return { from: to - METRICS_RANGES.find(([k]) => k === range)[1], to };
+  }, [range, custom, version]);
+
+  useEffect(() => {
+    const { from, to } = span;
+    if (!(from < to)) { setError(t("The start has to be before the end")); return; }
+    let stale = false;
+    setLoading(true);
+    setError("");
+    (useServer ? axios.get("/metrics", { params: { from, to } }).then(r => r.data) : metricsRange(recorder.dbName, from, to))
+      .then(d => { if (!stale) setData(d); })
+      .catch(e => { if (!stale) setError(`${t("Could not load history.")} ${describeError(e, useServer ? "The UI server" : "This browser's store")}`); })
+      .finally(() => { if (!stale) setLoading(false); });
+    return () => { stale = true; };
+  }, [span, useServer, recorder.dbName, recorder.revision]);
+
+  const series = useMemo(() => metricsSeries(data, { ...span, slSec }), [data, span, slSec]);
+  const pctFmt = (v) => `${Math.round(v * 100)}%`;
+
+  function exportCsv(kind) {
+    const stamp = new Date(span.from).toISOString().slice(0, 10);
+    if (kind === "calls") {
+      downloadCsv(`queue-calls-${stamp}.csv`, data.calls.map(c => ({ time: new Date(c.ts).toISOString(), queue: c.queue, wait_sec: c.wait, answered: c.answered ? "yes" : "no", within_sl: c.answered && c.wait <= slSec ? "yes" : "no" })),
+        ["time", "queue", "wait_sec", "answered", "within_sl"]);
+      return;
+    }
+    const rows = data.samples.flatMap(s => [
+      ...s.trunks.map(t => ({ time: new Date(s.ts).toISOString(), kind: "trunk", name: t.name, state: t.state, latency_ms: t.latency_ms })),
+      ...s.queues.map(q => ({ time: new Date(s.ts).toISOString(), kind: "queue", name: q.name, waiting: q.waiting, logged_in: q.logged_in, agents: q.agents, on_call: q.on_call })),
+    ]);
+    downloadCsv(`status-samples-${stamp}.csv`, rows, ["time", "kind", "name", "state", "latency_ms", "waiting", "logged_in", "agents", "on_call"]);
+  }
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <div className="flex items-center gap-2">
+          <h2 className="text-xl font-semibold">{t("Status History")}</h2>
+          {recorder.mock && <TWBadge tone="warn">{t("mock")}</TWBadge>}
+          {loading && <TWBadge>{t("loading…")}</TWBadge>}
+        </div>
+        <div className="flex items-center gap-2 flex-wrap">
+          {[...METRICS_RANGES.map(([k]) => k), "custom"].map(k => (
+            <TWButton key={k} className={range === k ? "bg-black text-white" : "bg-white"} onClick={() => { setRange(k); setVersion(v => v + 1); }}>{k}</TWButton>
+          ))}
+          {recorder.server.enabled && !recorder.mock && (
+            <div className="w-40">
+              <TWSelect value={source} onChange={e => setSource(e.target.value)}>
+                <option value="browser">{t("This browser")}</option>
+                <option value="server">{t("UI server")}</option>
+              </TWSelect>
+            </div>
+          )}
+          <TWButton className="bg-white" onClick={() => exportCsv("samples")} disabled={!data.samples.length}>{t("Samples CSV")}</TWButton>
+          <TWButton className="bg-white" onClick={() => exportCsv("calls")} disabled={!data.calls.length}>{t("Calls CSV")}</TWButton>
+        </div>
+      </div>
+      {range === "custom" && (
+        <div className="flex items-end gap-2 mb-3">
+          <div><TWLabel>{t("From")}</TWLabel><TWInput type="datetime-local" value={custom.from} onChange={e => setCustom({ ...custom, from: e.target.value })} /></div>
+          <div><TWLabel>{t("To")}</TWLabel><TWInput type="datetime-local" value={custom.to} onChange={e => setCustom({ ...custom, to: e.target.value })} /></div>
+        </div>
+      )}
+      {error && <LoadError error={error} onRetry={() => setVersion(v => v + 1)} busy={loading} />}
+      {recorder.error && <LoadError error={recorder.error} onRetry={recorder.retry} />}
+      {!window.indexedDB && <div className="mb-2 text-sm text-rose-700">{t("This browser has no IndexedDB, so nothing is recorded here.")}</div>}
+      {!loading && !data.samples.length && !error && (
+        <div className="text-sm text-gray-500">{t("No samples in this range yet. They are recorded every {n} s while a console is open.", { n: METRICS_SAMPLE_MS / 1000 })}</div>
+      )}
+
+      {data.samples.length > 0 && (
+        <div className="grid md:grid-cols-2 gap-6">
+          <div className="md:col-span-2">
+            <h3 className="font-medium mb-2">{t("Trunk state")}</h3>
+            <TrunkStateTimeline trunks={series.trunks} {...span} />
+            {series.transitions.length > 0 && (
+              <details className="mt-2 text-sm">
+                <summary className="cursor-pointer text-gray-700">{t("{n} state changes", { n: series.transitions.length })}</summary>
+                <div className="max-h-40 overflow-auto mt-1">
+                  {series.transitions.map((t, i) => (
+                    <div key={i} className="font-mono text-xs">{formatDateTime(t.ts)} {t.name}: {t.from} → {t.to}</div>
+                  ))}
+                </div>
+              </details>
+            )}
+          </div>
+
+          <div>
+            <h3 className="font-medium mb-2">{t("Trunk latency (p50 solid, p95 dashed)")}</h3>
+            <MetricsChart {...span} format={(v) => `${Math.round(v)} ms`} series={series.trunks.flatMap((t, i) => [
+              { label: `${t.name} p50`, values: t.p50Series, className: METRICS_TRUNK_COLORS[i % METRICS_TRUNK_COLORS.length] },
+              { label: `${t.name} p95`, values: t.p95Series, className: METRICS_TRUNK_COLORS[i % METRICS_TRUNK_COLORS.length], dashed: true },
+            ])} />
+            <table className="w-full text-sm mt-2">
+              <thead><tr className="text-left text-gray-600"><th>{t("Trunk")}</th><th>p50</th><th>p95</th><th>p99</th></tr></thead>
+              <tbody>
+                {series.trunks.map(trunk => (
+                  <tr key={trunk.name} className="border-t"><td className="py-1">{trunk.name}</td><td>{trunk.p50 ?? "—"} ms</td><td>{trunk.p95 ?? "—"} ms</td><td>{trunk.p99 ?? "—"} ms</td></tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <h3 className="font-medium mb-2">{t("Callers waiting (peak per interval)")}</h3>
+            <MetricsChart {...span} format={(v) => Math.round(v)} series={series.queues.map((q, i) => (
+              { label: q.name, values: q.waitingMax, className: METRICS_TRUNK_COLORS[i % METRICS_TRUNK_COLORS.length] }
+            ))} />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-medium">{t("Service level")}</h3>
+              <label className="flex items-center gap-1 text-sm">{t("answered within")}
+                <span className="w-16"><TWInput type="number" min="1" value={slSec} onChange={e => setSlSec(Math.max(1, Number(e.target.value) || 1))} /></span> s
+              </label>
+            </div>
+            <MetricsChart {...span} max={1} format={pctFmt} series={series.queues.map((q, i) => (
+              { label: q.name, values: q.slSeries, className: METRICS_TRUNK_COLORS[i % METRICS_TRUNK_COLORS.length] }
+            ))} />
+            <table className="w-full text-sm mt-2">
+              <thead><tr className="text-left text-gray-600"><th>{t("Queue")}</th><th>{t("Calls")}</th><th>{t("Abandoned")}</th><th>{t("Service level")}</th></tr></thead>
+              <tbody>
+                {series.queues.map(q => (
+                  <tr key={q.name} className="border-t">
+                    <td className="py-1">{q.name}</td><td>{q.calls}</td><td>{q.abandoned}</td>
+                    <td>{q.serviceLevel == null ? "—" : pctFmt(q.serviceLevel)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <h3 className="font-medium mb-2">{t("Agent occupancy (on a call / logged in)")}</h3>
+            <MetricsChart {...span} max={1} format={pctFmt} series={series.queues.map((q, i) => (
+              { label: q.name, values: q.occupancy, className: METRICS_TRUNK_COLORS[i % METRICS_TRUNK_COLORS.length] }
+            ))} />
+          </div>
+        </div>
+      )}
+    </TWCard>
+  );
+}
+
+// ===============
+// Trunks Panel (PJSIP trunk CRUD + registration test)
+// ===============
+const TRUNK_DEFAULTS = {
+  name: "", disabled: false,
+  sip_server: "", sip_server_port: 5060, transport: "0.0.0.0-udp", qualify_frequency: 60,
+  authentication: "outbound", registration: "send", username: "", secret: "", from_domain: "", contact_user: "",
+  allow: "", disallow: "",
+  outcid: "", keepcid: "off", maxchans: "", dialrules: [],
+};
+const TRUNK_AUTH = [["outbound", "Outbound"], ["inbound", "Inbound"], ["both", "Both"], ["none", "None"]];
+const TRUNK_REGISTRATION = [["send", "Send"], ["receive", "Receive"], ["none", "None"]];
+const TRUNK_KEEPCID = [
+  ["off", "Allow any caller ID"], ["on", "Block foreign caller IDs"],
+  ["cnum", "Remove CNAM"], ["all", "Force trunk caller ID"],
+];
+const TRUNK_TABS = [
+  ["general", "General", ["name", "sip_server", "sip_server_port", "qualify_frequency"]],
+  ["auth", "Auth & registration", ["username", "secret", "from_domain", "contact_user"]],
+  ["codecs", "Codecs", ["allow"]],
+  ["outbound", "Outbound", ["outcid", "maxchans", "dialrules"]],
+];
+const TRUNK_HISTORY_LEN = 60;
+const TRUNK_MONITOR_MS = 30_000;
+
+const HOST_RE = /^(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$|^\[[0-9a-fA-F:]+\]$/;
+// FreePBX dial pattern: digits, X/N/Z, [ranges], . and ! wildcards, * # +
+const DIAL_PATTERN_RE = /^[0-9XNZxnz*#+]*(\[[0-9-]+\][0-9XNZxnz*#+]*)*[.!]?$/;
+
+function validateTrunkForm(form, { isEdit, names }) {
+  const e = {};
+  const int = (v, lo, hi) => /^\d+$/.test(String(v)) && Number(v) >= lo && Number(v) <= hi;
+  if (!/^[A-Za-z0-9_.-]{1,40}$/.test(form.name)) e.name = "1-40 letters, digits, _ . or - (it becomes the PJSIP endpoint name)";
+  else if (names.includes(form.name.toLowerCase())) e.name = "Another trunk already uses this name";
+  if (form.registration !== "receive" && !form.sip_server) e.sip_server = "Required unless the provider registers to you";
+  else if (form.sip_server && !HOST_RE.test(form.sip_server)) e.sip_server = "Host name or IP address";
+  if (!int(form.sip_server_port, 1, 65535)) e.sip_server_port = "1 to 65535";
+  if (!int(form.qualify_frequency, 0, 3600)) e.qualify_frequency = "0 (off) to 3600 seconds";
+  const sendsAuth = form.authentication === "outbound" || form.authentication === "both" || form.registration === "send";
+  if (sendsAuth && !form.username) e.username = "Required for outbound authentication or registration";
+  if (sendsAuth && !isEdit && !form.secret) e.secret = "Required for outbound authentication or registration";
+  if (form.from_domain && !HOST_RE.test(form.from_domain)) e.from_domain = "Host name or IP address";
+  if (form.contact_user && !/^[A-Za-z0-9_.+-]{1,64}$/.test(form.contact_user)) e.contact_user = "Letters, digits and _ . + - only";
+  if (form.allow !== "" && !form.allow.split("&").filter(Boolean).length) e.allow = "Pick at least one codec, or use the PBX defaults";
+  if (form.outcid && !CALLERID_RE.test(form.outcid)) e.outcid = "Use Name <0299990000> or a number";
+  if (form.maxchans !== "" && !int(form.maxchans, 1, 1000)) e.maxchans = "Blank for unlimited, or 1 to 1000";
+  const badRule = form.dialrules.findIndex(r => !r.match || !DIAL_PATTERN_RE.test(r.match) || !/^[0-9*#+]*$/.test(r.prepend) || !/^[0-9*#+]*$/.test(r.prefix));
+  if (badRule >= 0) e.dialrules = t("Rule {n}: needs a match pattern (X N Z [1-5] . !); prepend and prefix take digits * # + only", { n: badRule + 1 });
+  return e;
+}
+
+function trunkPayload(form, start, isEdit) {
+  const out = {
+    ...form,
+    sip_server_port: Number(form.sip_server_port),
+    qualify_frequency: Number(form.qualify_frequency),
+    maxchans: form.maxchans === "" ? "" : Number(form.maxchans),
+    dialrules: form.dialrules.filter(r => r.match || r.prepend || r.prefix),
+  };
+  if (!isEdit) return out;
+  return Object.fromEntries(Object.entries(out).filter(([k, v]) =>
+    k === "secret" ? Boolean(v) : JSON.stringify(v) !== JSON.stringify(start[k])));
+}
+
+function Sparkline({ values, width = 120, height = 28, className = "text-blue-600" }) {
+  const pts = values.filter(v => v != null);
+  if (pts.length < 2) return <span className="text-xs text-gray-400">{t("not enough data")}</span>;
+  const max = Math.max(...pts);
+  const min = Math.min(...pts);
+  const span = max - min || 1;
+  const d = pts.map((v, i) => `${(i / (pts.length - 1)) * width},${height - 2 - ((v - min) / span) * (height - 4)}`).join(" ");
+  return (
+    <svg width={width} height={height} className={className} role="img" aria-label={t("min {min}, max {max}", { min, max })}>
+      <polyline points={d} fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+function TrunkModal({ open, onClose, onSubmit, initial, names }) {
+  const isEdit = Boolean(initial && initial.id);
+  const fresh = () => ({ ...TRUNK_DEFAULTS, ...(initial || {}), secret: "" });
+  const [form, setForm] = useState(fresh);
+  const [start, setStart] = useState(form);
+  const [tab, setTab] = useState("general");
+  const [showErrors, setShowErrors] = useState(false);
+  useEffect(() => { const f = fresh(); setForm(f); setStart(f); setTab("general"); setShowErrors(false); }, [initial, open]);
+
+  const otherNames = useMemo(() => names.filter(n => n !== initial?.name).map(n => n.toLowerCase()), [names, initial]);
+  const errors = useMemo(() => validateTrunkForm(form, { isEdit, names: otherNames }), [form, isEdit, otherNames]);
+  const set = (k) => (e) => setForm({ ...form, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value });
+  const err = (k) => (showErrors ? errors[k] : "");
+  const setRule = (i, k, v) => setForm({ ...form, dialrules: form.dialrules.map((r, j) => (j === i ? { ...r, [k]: v } : r)) });
+
+  function submit() {
+    if (Object.keys(errors).length) {
+      setShowErrors(true);
+      setTab(TRUNK_TABS.find(([, , fields]) => fields.some(f => errors[f]))?.[0] || tab);
+      return;
+    }
+    const payload = trunkPayload(form, start, isEdit);
+    if (!isEdit || Object.keys(payload).length) onSubmit(payload);
+    onClose();
+  }
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <Modal onClose={onClose} label={isEdit ? t("Edit trunk {name}", { name: initial.name }) : t("Add trunk")} className="max-w-2xl max-h-[90vh] overflow-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{isEdit ? t("Edit trunk {name}", { name: initial.name }) : t("Add trunk")}</h3>
+            <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={onClose}>✕</TWButton>
+          </div>
+
+          <div className="flex flex-wrap gap-1 mb-4 border-b">
+            {TRUNK_TABS.map(([key, label, fields]) => (
+              <button key={key} type="button" onClick={() => setTab(key)}
+                className={`px-3 py-1.5 text-sm rounded-t-xl ${tab === key ? "bg-gray-100 font-medium" : "text-gray-600"}`}>
+                {t(label)}{showErrors && fields.some(f => errors[f]) && <span className="ml-1 text-rose-600">●</span>}
+              </button>
+            ))}
+          </div>
+
+          {tab === "general" && (
+            <div className="grid md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <TWLabel>{t("Trunk name")}</TWLabel>
+                <TWInput value={form.name} onChange={set("name")} placeholder="telstra-sip" />
+                <FieldError msg={err("name")} />
+              </div>
+              <div className="flex items-end pb-2">
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={form.disabled} onChange={set("disabled")} /> {t("Disabled")}
+                </label>
+              </div>
+              <div className="md:col-span-2">
+                <TWLabel>{t("SIP server")}</TWLabel>
+                <TWInput value={form.sip_server} onChange={set("sip_server")} placeholder="sip.provider.example" />
+                <FieldError msg={err("sip_server")} />
+              </div>
+              <div>
+                <TWLabel>{t("Port")}</TWLabel>
+                <TWInput type="number" value={form.sip_server_port} onChange={set("sip_server_port")} />
+                <FieldError msg={err("sip_server_port")} />
+              </div>
+              <div className="md:col-span-2">
+                <TWLabel>{t("Transport")}</TWLabel>
+                <TWSelect value={form.transport} onChange={set("transport")}>
+                  {PJSIP_TRANSPORTS.filter(([v]) => v).map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                </TWSelect>
+              </div>
+              <div>
+                <TWLabel>{t("Qualify every (s)")}</TWLabel>
+                <TWInput type="number" value={form.qualify_frequency} onChange={set("qualify_frequency")} />
+                <FieldError msg={err("qualify_frequency")} />
+              </div>
+            </div>
+          )}
+
+          {tab === "auth" && (
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <TWLabel>{t("Authentication")}</TWLabel>
+                <TWSelect value={form.authentication} onChange={set("authentication")}>
+                  {TRUNK_AUTH.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                </TWSelect>
+              </div>
+              <div>
+                <TWLabel>{t("Registration")}</TWLabel>
+                <TWSelect value={form.registration} onChange={set("registration")}>
+                  {TRUNK_REGISTRATION.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                </TWSelect>
+              </div>
+              <div>
+                <TWLabel>{t("Username")}</TWLabel>
+                <TWInput value={form.username} onChange={set("username")} autoComplete="off" />
+                <FieldError msg={err("username")} />
+              </div>
+              <div>
+                <TWLabel>{isEdit ? t("Secret (blank keeps it)") : t("Secret")}</TWLabel>
+                <TWInput type="password" value={form.secret} onChange={set("secret")} autoComplete="new-password" />
+                <FieldError msg={err("secret")} />
+              </div>
+              <div>
+                <TWLabel>{t("From domain (optional)")}</TWLabel>
+                <TWInput value={form.from_domain} onChange={set("from_domain")} />
+                <FieldError msg={err("from_domain")} />
+              </div>
+              <div>
+                <TWLabel>{t("Contact user (optional)")}</TWLabel>
+                <TWInput value={form.contact_user} onChange={set("contact_user")} />
+                <FieldError msg={err("contact_user")} />
+              </div>
+            </div>
+          )}
+
+          {tab === "codecs" && (
+            <>
+              <CodecOrder value={form.allow} onChange={allow => setForm({ ...form, allow, disallow: allow ? "all" : "" })} />
+              <FieldError msg={err("allow")} />
+            </>
+          )}
+
+          {tab === "outbound" && (
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <TWLabel>{t("Outbound caller ID")}</TWLabel>
+                <TWInput value={form.outcid} onChange={set("outcid")} placeholder="Company <0299990000>" />
+                <FieldError msg={err("outcid")} />
+              </div>
+              <div>
+                <TWLabel>{t("Caller ID options")}</TWLabel>
+                <TWSelect value={form.keepcid} onChange={set("keepcid")}>
+                  {TRUNK_KEEPCID.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+                </TWSelect>
+              </div>
+              <div>
+                <TWLabel>{t("Max channels (blank = unlimited)")}</TWLabel>
+                <TWInput type="number" value={form.maxchans} onChange={set("maxchans")} />
+                <FieldError msg={err("maxchans")} />
+              </div>
+              <div className="md:col-span-2">
+                <TWLabel>{t("Dialed number manipulation (first match wins)")}</TWLabel>
+                <div className="space-y-2">
+                  {form.dialrules.map((r, i) => (
+                    <div key={i} className="flex items-center gap-2 text-sm">
+                      <TWInput className="font-mono" placeholder={t("prepend")} value={r.prepend} onChange={e => setRule(i, "prepend", e.target.value)} />
+                      <span>+</span>
+                      <TWInput className="font-mono" placeholder={t("prefix")} value={r.prefix} onChange={e => setRule(i, "prefix", e.target.value)} />
+                      <span>|</span>
+                      <TWInput className="font-mono" placeholder={t("match pattern")} value={r.match} onChange={e => setRule(i, "match", e.target.value)} />
+                      <TWButton className="bg-gray-100 px-2" aria-label={t("Remove")} onClick={() => setForm({ ...form, dialrules: form.dialrules.filter((_, j) => j !== i) })}>✕</TWButton>
+                    </div>
+                  ))}
+                  <TWButton className="bg-gray-100" onClick={() => setForm({ ...form, dialrules: [...form.dialrules, { prepend: "", prefix: "", match: "" }] })}>{t("+ Add rule")}</TWButton>
+                </div>
+                <FieldError msg={err("dialrules")} />
+                <p className="text-xs text-gray-500 mt-1">{t("The prefix is stripped before dialing and the prepend is added, e.g. prefix 0, match NXXXXXXXX, prepend 61.")}</p>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2 mt-6">
+            <TWButton className="bg-gray-100" onClick={onClose}>{t("Cancel")}</TWButton>
+            <TWButton className="bg-black text-white" onClick={submit}>{isEdit ? t("Save") : t("Add trunk")}</TWButton>
+          </div>
+        </Modal>
+      )}
+    </AnimatePresence>
+  );
+}
+
+function TrunksPanel({ cfg, can, status, pushAudit }) {
+  const [trunks, setTrunks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editRow, setEditRow] = useState(null);
+  const [tests, setTests] = useState({}); // id -> { state, latency_ms, detail, at }
+  const [testing, setTesting] = useState(() => new Set());
+  const [history, setHistory] = useState({}); // trunk name -> [{ at, ms }]
+  const [monitor, setMonitor] = useState(false);
+  const [actionError, setActionError] = useState(""); // last failed add, edit, enable or disable
+  const [ask, askDialog] = useAsk();
+  const canEdit = can("trunks:edit");
+
+  async function load() {
+    setLoading(true); setError("");
+    try { setTrunks(await apiFetchTrunks(cfg)); }
+    catch (e) { setError(`${t("Could not load trunks.")} ${describeError(e)}`); }
+    finally { setLoading(false); }
+  }
+  useEffect(() => { load(); }, [cfg.baseURL, cfg.apiKey, cfg.backend]);
+
+  function addSample(name, ms) {
+    if (ms == null) return;
+    setHistory(h => ({ ...h, [name]: [...(h[name] || []), { at: Date.now(), ms }].slice(-TRUNK_HISTORY_LEN) }));
+  }
+
+  // Live qualify times from ARI (or the PBX simulator) feed the same history as manual tests.
+  useEffect(() => {
+    status.trunks.forEach(t => addSample(t.name, t.latency_ms));
+  }, [status.trunks]);
+
+  async function test(trunk) {
+    setTesting(s => new Set(s).add(trunk.id));
+    let result;
+    try { result = await apiTestTrunk(cfg, trunk); }
+    catch (e) { result = { state: "Error", latency_ms: null, detail: e.response?.data?.message || e.message }; }
+    setTests(t => ({ ...t, [trunk.id]: { ...result, at: Date.now() } }));
+    addSample(trunk.name, result.latency_ms);
+    setTesting(s => { const next = new Set(s); next.delete(trunk.id); return next; });
+  }
+
+  useEffect(() => {
+    if (!monitor) return;
+    const run = () => trunks.filter(t => !t.disabled).forEach(test);
+    run();
+    const timer = setInterval(run, TRUNK_MONITOR_MS);
+    return () => clearInterval(timer);
+  }, [monitor, trunks]);
+
+  async function createTrunk(form) {
+    setActionError("");
+    const optimistic = { ...withoutSecrets(form), id: -Date.now(), __optimistic: true };
+    setTrunks(ts => [...ts, optimistic]);
+    pushAudit({ action: "create_trunk", detail: form.name });
+    try {
+      const saved = await apiCreateTrunk(cfg, form);
+      setTrunks(ts => ts.map(t => (t === optimistic ? saved : t)));
+    } catch (e) {
+      setTrunks(ts => ts.filter(t => t !== optimistic));
+      pushAudit({ action: "rollback_create_trunk", detail: form.name });
+      setActionError(t("Failed to add trunk: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  async function updateTrunk(row, patch, action = "update_trunk") {
+    setActionError("");
+    const next = withoutSecrets({ ...row, ...patch });
+    setTrunks(ts => ts.map(t => (t.id === row.id ? next : t)));
+    pushAudit({ action, detail: row.name, changes: fieldChanges(row, patch) });
+    try {
+      const saved = await apiUpdateTrunk(cfg, row.id, patch);
+      setTrunks(ts => ts.map(t => (t.id === row.id ? withoutSecrets({ ...next, ...saved }) : t)));
+    } catch (e) {
+      setTrunks(ts => ts.map(t => (t.id === row.id ? row : t)));
+      pushAudit({ action: `rollback_${action}`, detail: row.name });
+      setActionError(t("Failed to update {name}: {reason}", { name: row.name, reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  async function toggleDisabled(row) {
+    if (!row.disabled && !(await ask(t("Disable {name}? Calls routed to it will fail over or fail.", { name: row.name }), { confirmLabel: t("Disable"), danger: true }))) return;
+    updateTrunk(row, { disabled: !row.disabled }, row.disabled ? "enable_trunk" : "disable_trunk");
+  }
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <div className="flex items-center gap-2">
+          <h2 className="text-xl font-semibold">{t("Trunks")}</h2>
+          <TWBadge>{trunks.length}</TWBadge>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-2 text-sm" title={t("Test every enabled trunk every {n} s", { n: TRUNK_MONITOR_MS / 1000 })}>
+            <input type="checkbox" checked={monitor} onChange={e => setMonitor(e.target.checked)} /> {t("Monitor")}
+          </label>
+          <TWButton className="bg-white" onClick={load} disabled={loading}>{loading ? t("Loading…") : t("Refresh")}</TWButton>
+          {canEdit && <TWButton className="bg-black text-white" onClick={() => { setEditRow(null); setModalOpen(true); }}>{t("Add trunk")}</TWButton>}
+        </div>
+      </div>
+      {error && <LoadError error={error} onRetry={load} busy={loading} />}
+      {actionError && <LoadError error={actionError} />}
+      {askDialog}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">{t("Name")}</th>
+              <th>{t("Server")}</th>
+              <th>{t("Registration")}</th>
+              <th>{t("State")}</th>
+              <th>{t("Latency")}</th>
+              <th className="text-right">{t("Actions")}</th>
+            </tr>
+          </thead>
+          <tbody onKeyDown={rowKeyNav}>
+            {trunks.map(trunk => {
+              const live = status.trunks.find(s => s.name === trunk.name);
+              const last = tests[trunk.id];
+              const samples = (history[trunk.name] || []).map(h => h.ms);
+              return (
+                <tr key={trunk.id} data-row tabIndex={0} className={`border-b hover:bg-gray-50 ${trunk.disabled ? "text-gray-400" : ""} ${trunk.__optimistic ? "opacity-60" : ""}`}>
+                  <td className="py-2 font-medium">{trunk.name} {trunk.disabled && <TWBadge>{t("disabled")}</TWBadge>}</td>
+                  <td className="font-mono text-xs">{trunk.sip_server ? `${trunk.sip_server}:${trunk.sip_server_port}` : "—"}</td>
+                  <td>{t(TRUNK_REGISTRATION.find(([v]) => v === trunk.registration)?.[1] || trunk.registration)}</td>
+                  <td>
+                    {live && !trunk.disabled && <TWBadge tone={trunkTone(live)}>{live.state}</TWBadge>}
+                    {last && (
+                      <div className="text-xs text-gray-600 mt-0.5" title={last.detail || ""}>
+                        {t("Tested {time}: {state}", { time: formatTime(last.at), state: last.state })}{last.latency_ms != null ? `, ${last.latency_ms} ms` : ""}{last.detail ? ` (${last.detail})` : ""}
+                      </div>
+                    )}
+                    {!live && !last && <span className="text-xs text-gray-400">{t("not tested")}</span>}
+                  </td>
+                  <td>
+                    <div className="flex items-center gap-2">
+                      <Sparkline values={samples} />
+                      {samples.length > 0 && <span className="text-xs text-gray-600">{samples[samples.length - 1]} ms</span>}
+                    </div>
+                  </td>
+                  <td className="text-right space-x-2 whitespace-nowrap">
+                    <TWButton className="bg-gray-100" disabled={trunk.disabled || trunk.__optimistic || testing.has(trunk.id)} onClick={() => test(trunk)}>
+                      {testing.has(trunk.id) ? t("Testing…") : t("Test")}
+                    </TWButton>
+                    {canEdit && <TWButton className="bg-gray-100" disabled={trunk.__optimistic} onClick={() => { setEditRow(trunk); setModalOpen(true); }}>{t("Edit")}</TWButton>}
+                    {canEdit && <TWButton className={trunk.disabled ? "bg-green-600 text-white" : "bg-amber-500 text-white"} disabled={trunk.__optimistic} onClick={() => toggleDisabled(trunk)}>{trunk.disabled ? t("Enable") : t("Disable")}</TWButton>}
+                  </td>
+                </tr>
+              );
+            })}
+            {!trunks.length && <tr><td colSpan={6} className="py-8 text-center text-gray-500">{loading ? t("Loading…") : t("No trunks")}</td></tr>}
+          </tbody>
+        </table>
+      </div>
+      <TrunkModal open={modalOpen} onClose={() => { setModalOpen(false); setEditRow(null); }} initial={editRow}
+        names={trunks.map(t => t.name)} onSubmit={f => (editRow ? updateTrunk(editRow, f) : createTrunk(f))} />
+    </TWCard>
+  );
+}
+
+// ===============
+// Call Routing (inbound/outbound routes + dial simulator)
+// ===============
+const ROUTE_DESTINATIONS = [
+  ["extension", "Extension"], ["queue", "Queue"], ["ringgroup", "Ring group"],
+  ["ivr", "IVR"], ["timecondition", "Time condition"], ["voicemail", "Voicemail"], ["hangup", "Hang up"],
+];
+const INBOUND_DEFAULTS = { description: "", did: "", cid: "", destination: { type: "extension", target: "" } };
+const OUTBOUND_DEFAULTS = {
+  name: "", emergency: false, outcid: "", override_extension: false, trunks: [],
+  patterns: [{ prepend: "", prefix: "", match: "", callerid: "" }],
+};
+
+// Asterisk pattern syntax as FreePBX uses it: X = 0-9, Z = 1-9, N = 2-9, [1-5] sets,
+// "." one or more of anything, "!" zero or more. A leading "_" (dialplan style) is optional.
+function dialPatternRegex(pattern) {
+  const p = String(pattern || "").replace(/^_/, "");
+  let re = "";
+  for (let i = 0; i < p.length; i++) {
+    const c = p[i].toUpperCase();
+    if (c === "[") {
+      const end = p.indexOf("]", i);
+      if (end < 0) return null;
+      re += `[${p.slice(i + 1, end).replace(/[^0-9-]/g, "")}]`;
+      i = end;
+    } else if (c === "X") re += "[0-9]";
+    else if (c === "Z") re += "[1-9]";
+    else if (c === "N") re += "[2-9]";
+    else if (c === ".") re += ".+";
+    else if (c === "!") re += ".*";
+    else re += c.replace(/[*+#]/, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+const matchesPattern = (pattern, value) => dialPatternRegex(pattern)?.test(String(value ?? "")) ?? false;
+const isPattern = (p) => /^_|[XNZxnz.![]/.test(p || "");
+
+// DIDs and caller IDs: blank (any), a plain number, or _pattern.
+const validNumberOrPattern = (v) => !v || /^\+?\d{1,20}$/.test(v) || (v.startsWith("_") && v.length > 1 && DIAL_PATTERN_RE.test(v.slice(1)));
+
+// First rule whose prefix+match fits the number (and whose callerid pattern fits the caller, if set).
+// Returns { rule, index, number } with the prefix stripped and the prepend added, or null.
+// Used for outbound route patterns and for trunk dial rules.
+function applyDialRules(number, rules, caller = "") {
+  for (const [index, rule] of (rules || []).entries()) {
+    const prefix = rule.prefix || "";
+    if (!number.startsWith(prefix)) continue;
+    if (!matchesPattern(rule.match || "!", number.slice(prefix.length))) continue;
+    if (rule.callerid && !matchesPattern(rule.callerid, caller)) continue;
+    return { rule, index, number: `${rule.prepend || ""}${number.slice(prefix.length)}` };
+  }
+  return null;
+}
+
+// What FreePBX would do with `number` dialled from extension `caller`: the winning route (first in
+// order), the trunk it would try first, the digits sent after route and trunk manipulation, and
+// the outbound caller ID.
+function simulateOutbound(number, caller, routes, trunks) {
+  const callerNum = caller ? String(caller.id) : "";
+  const steps = routes.map(route => ({ route, hit: applyDialRules(number, route.patterns, callerNum) }));
+  const win = steps.find(st => st.hit);
+  if (!win) return { steps, route: null };
+  const byId = new Map(trunks.map(t => [t.id, t]));
+  const sequence = win.route.trunks.map(id => {
+    const trunk = byId.get(id);
+    return { id, trunk, skip: !trunk ? "not found" : trunk.disabled ? "disabled" : "" };
+  });
+  const chosen = sequence.find(st => !st.skip)?.trunk || null;
+  const trunkHit = chosen ? applyDialRules(win.hit.number, chosen.dialrules) : null;
+  // FreePBX precedence: a trunk that forces its CID, then a route that overrides the extension,
+  // then the extension's own outbound CID, then the route's, then the trunk's.
+  const cid =
+    chosen?.keepcid === "all" && chosen.outcid ? { value: chosen.outcid, from: "trunk (forced)" }
+    : win.route.override_extension && win.route.outcid ? { value: win.route.outcid, from: "route (overrides extension)" }
+    : caller?.outboundcid ? { value: caller.outboundcid, from: "extension" }
+    : win.route.outcid ? { value: win.route.outcid, from: "route" }
+    : chosen?.outcid ? { value: chosen.outcid, from: "trunk" }
+    : { value: caller?.callerid || "", from: "extension caller ID" };
+  return { steps, route: win.route, hit: win.hit, sequence, trunk: chosen, trunkHit, sent: trunkHit ? trunkHit.number : win.hit.number, cid };
+}
+
+// FreePBX checks DID+CID routes first, then DID only, then CID only, then the catch-all. Within a
+// tier an exact number beats a pattern. Returns every route with its rank (null = no match).
+function simulateInbound(did, cid, routes) {
+  return routes.map(route => {
+    const didOk = !route.did || matchesPattern(route.did, did);
+    const cidOk = !route.cid || matchesPattern(route.cid, cid);
+    if (!didOk || !cidOk) return { route, rank: null, reason: !didOk ? "DID doesn't match" : "caller ID doesn't match" };
+    const tier = (route.did ? 0 : 2) + (route.cid ? 0 : 1);
+    const patterns = [route.did, route.cid].filter(isPattern).length;
+    return { route, rank: tier * 10 + patterns, reason: ["DID + caller ID", "DID", "caller ID", "any DID / any caller"][tier] };
+  }).sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+}
+
+// Picker options per destination type, as [value, label] pairs. A type without a loaded list
+// falls back to a free-text target. queues, ringGroups, ivrs and timeConditions are [{ id, name }].
+function destinationTargets({ extensions = [], queues = [], ringGroups = [], ivrs = [], timeConditions = [] }) {
+  const ext = (x) => [String(x.id), `${x.id} ${x.name}`];
+  return {
+    extension: extensions.map(ext),
+    voicemail: extensions.filter(x => x.voicemail).map(ext),
+    queue: queues.map(q => [String(q.id), `${q.id} ${q.name}`]),
+    ringgroup: ringGroups.map(g => [String(g.id), `${g.id} ${g.name}`]),
+    ivr: ivrs.map(i => [String(i.id), `${i.id} ${i.name}`]),
+    timecondition: timeConditions.map(t => [String(t.id), `${t.id} ${t.name}`]),
+  };
+}
+
+// StatusPanel names queues "600 Support"; that is all a role without queues:view gets to see.
+const statusQueueRefs = (status) => status.queues.map(q => {
+  const [id, ...name] = String(q.name).split(/\s+/);
+  return { id, name: name.join(" ") };
+});
+
+function destinationLabel(dest, targets) {
+  if (!dest) return "—";
+  if (dest.type === "hangup") return t("Hang up");
+  const kind = ROUTE_DESTINATIONS.find(([v]) => v === dest.type)?.[1] || dest.type;
+  return `${t(kind)} ${targets[dest.type]?.find(([v]) => v === String(dest.target))?.[1] || dest.target}`;
+}
+
+function destinationError({ type, target }, targets) {
+  if (!ROUTE_DESTINATIONS.some(([v]) => v === type)) return "Pick a destination";
+  if (type === "hangup") return "";
+  if (!target) return "Pick a target";
+  const known = targets[type];
+  if (known?.length) return known.some(([v]) => v === String(target)) ? "" : t("{kind} {target} does not exist", { kind: t(ROUTE_DESTINATIONS.find(([v]) => v === type)[1]), target });
+  if (type === "ivr" || type === "timecondition") return /^[A-Za-z0-9_-]{1,40}$/.test(target) ? "" : "Id";
+  return /^\d{2,6}$/.test(target) ? "" : "2 to 6 digit number";
+}
+
+// Destination type + target, laid out as two cells of the parent grid.
+function DestinationPicker({ value, onChange, targets, error, label = "Destination" }) {
+  const { type, target } = value;
+  const options = targets[type] || [];
+  return (
+    <>
+      <div>
+        <TWLabel>{t(label)}</TWLabel>
+        <TWSelect value={type} onChange={e => onChange({ type: e.target.value, target: "" })}>
+          {ROUTE_DESTINATIONS.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+        </TWSelect>
+      </div>
+      <div>
+        {type !== "hangup" && <TWLabel>{t("Target")}</TWLabel>}
+        {type === "hangup" ? null : options.length > 0 ? (
+          <TWSelect value={target} onChange={e => onChange({ type, target: e.target.value })}>
+            <option value="">{t("Choose…")}</option>
+            {options.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+          </TWSelect>
+        ) : (
+          <TWInput value={target} onChange={e => onChange({ type, target: e.target.value.trim() })} placeholder={type === "ivr" || type === "timecondition" ? t("id") : t("number")} />
+        )}
+        <FieldError msg={error} />
+      </div>
+    </>
+  );
+}
+
+function validateInboundRoute(r, { others, targets }) {
+  const e = {};
+  if (!r.description.trim() || r.description.length > 50) e.description = "1 to 50 characters";
+  if (!validNumberOrPattern(r.did)) e.did = "Blank for any, a number, or a _pattern";
+  if (!validNumberOrPattern(r.cid)) e.cid = "Blank for any, a number, or a _pattern";
+  if (others.some(o => o.did === r.did && o.cid === r.cid)) e.did = t("Another route already handles DID “{did}” / CID “{cid}”", { did: r.did || t("any"), cid: r.cid || t("any") });
+  const dest = destinationError(r.destination, targets);
+  if (dest) e.destination = dest;
+  return e;
+}
+
+function validateOutboundRoute(r, { others }) {
+  const e = {};
+  if (!/^[A-Za-z0-9_-]{1,50}$/.test(r.name)) e.name = "1-50 letters, digits, _ or -";
+  else if (others.some(o => o.name.toLowerCase() === r.name.toLowerCase())) e.name = "Another route uses this name";
+  if (!r.patterns.length) e.patterns = "Add at least one dial pattern";
+  const bad = r.patterns.findIndex(p => !p.match || !DIAL_PATTERN_RE.test(p.match) || !/^[0-9*#+]*$/.test(p.prepend) ||
+    !/^[0-9*#+]*$/.test(p.prefix) || (p.callerid && !DIAL_PATTERN_RE.test(p.callerid.replace(/^_/, ""))));
+  if (bad >= 0) e.patterns = t("Pattern {n}: needs a match (X N Z [1-5] . !); prepend and prefix take digits * # + only", { n: bad + 1 });
+  if (!r.trunks.length) e.trunks = "Add at least one trunk";
+  if (r.outcid && !CALLERID_RE.test(r.outcid)) e.outcid = "Use Name <0299990000> or a number";
+  return e;
+}
+
+// error is shown above the buttons, e.g. why the last save failed.
+function EditorModalFrame({ open, title, onClose, onSave, error = "", children }) {
+  return (
+    <AnimatePresence>
+      {open && (
+        <Modal onClose={onClose} label={title} className="max-w-2xl max-h-[90vh] overflow-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{title}</h3>
+            <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={onClose}>✕</TWButton>
+          </div>
+          {children}
+          {error && <div className="mt-4"><LoadError error={error} /></div>}
+          <div className="flex justify-end gap-2 mt-6">
+            <TWButton className="bg-gray-100" onClick={onClose}>{t("Cancel")}</TWButton>
+            <TWButton className="bg-black text-white" onClick={onSave}>{t("Save")}</TWButton>
+          </div>
+        </Modal>
+      )}
+    </AnimatePresence>
+  );
+}
+
+function InboundRouteModal({ open, initial, routes, targets, onClose, onSubmit }) {
+  const [form, setForm] = useState(INBOUND_DEFAULTS);
+  const [showErrors, setShowErrors] = useState(false);
+  useEffect(() => { setForm(structuredClone(initial || INBOUND_DEFAULTS)); setShowErrors(false); }, [initial, open]);
+  const others = routes.filter(r => r.id !== initial?.id);
+  const errors = validateInboundRoute(form, { others, targets });
+  const err = (k) => (showErrors ? errors[k] : "");
+
+  function save() {
+    if (Object.keys(errors).length) { setShowErrors(true); return; }
+    onSubmit(form);
+    onClose();
+  }
+
+  return (
+    <EditorModalFrame open={open} title={initial ? t("Edit inbound route") : t("Add inbound route")} onClose={onClose} onSave={save}>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <TWLabel>{t("Description")}</TWLabel>
+          <TWInput value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
+          <FieldError msg={err("description")} />
+        </div>
+        <div>
+          <TWLabel>{t("DID number (blank = any)")}</TWLabel>
+          <TWInput className="font-mono" value={form.did} onChange={e => setForm({ ...form, did: e.target.value.trim() })} placeholder="0299990000 or _02999900XX" />
+          <FieldError msg={err("did")} />
+        </div>
+        <div>
+          <TWLabel>{t("Caller ID number (blank = any)")}</TWLabel>
+          <TWInput className="font-mono" value={form.cid} onChange={e => setForm({ ...form, cid: e.target.value.trim() })} placeholder="0400123456 or _04XXXXXXXX" />
+          <FieldError msg={err("cid")} />
+        </div>
+        <DestinationPicker value={form.destination} onChange={destination => setForm({ ...form, destination })} targets={targets} error={err("destination")} />
+      </div>
+    </EditorModalFrame>
+  );
+}
+
+function OutboundRouteModal({ open, initial, routes, trunks, onClose, onSubmit }) {
+  const [form, setForm] = useState(OUTBOUND_DEFAULTS);
+  const [showErrors, setShowErrors] = useState(false);
+  useEffect(() => { setForm(structuredClone(initial || OUTBOUND_DEFAULTS)); setShowErrors(false); }, [initial, open]);
+  const others = routes.filter(r => r.id !== initial?.id);
+  const errors = validateOutboundRoute(form, { others });
+  const err = (k) => (showErrors ? errors[k] : "");
+  const setPattern = (i, k, v) => setForm({ ...form, patterns: form.patterns.map((p, j) => (j === i ? { ...p, [k]: v.trim() } : p)) });
+  const moveTrunk = (i, d) => { const next = [...form.trunks]; [next[i], next[i + d]] = [next[i + d], next[i]]; setForm({ ...form, trunks: next }); };
+  const trunkName = (id) => trunks.find(trunk => trunk.id === id)?.name || `#${id}`;
+
+  function save() {
+    if (Object.keys(errors).length) { setShowErrors(true); return; }
+    onSubmit(form);
+    onClose();
+  }
+
+  return (
+    <EditorModalFrame open={open} title={initial ? t("Edit outbound route {name}", { name: initial.name }) : t("Add outbound route")} onClose={onClose} onSave={save}>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <TWLabel>{t("Route name")}</TWLabel>
+          <TWInput value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+          <FieldError msg={err("name")} />
+        </div>
+        <div>
+          <TWLabel>{t("Route caller ID")}</TWLabel>
+          <TWInput value={form.outcid} onChange={e => setForm({ ...form, outcid: e.target.value })} placeholder="Company <0299990000>" />
+          <FieldError msg={err("outcid")} />
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={form.override_extension} onChange={e => setForm({ ...form, override_extension: e.target.checked })} />
+          {t("Route caller ID overrides extension caller IDs")}
+        </label>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={form.emergency} onChange={e => setForm({ ...form, emergency: e.target.checked })} />
+          {t("Emergency route")}
+        </label>
+
+        <div className="md:col-span-2">
+          <TWLabel>{t("Dial patterns (prepend + prefix | match / caller ID)")}</TWLabel>
+          <div className="space-y-2">
+            {form.patterns.map((p, i) => (
+              <div key={i} className="flex items-center gap-2 text-sm">
+                <TWInput className="font-mono" placeholder={t("prepend")} value={p.prepend} onChange={e => setPattern(i, "prepend", e.target.value)} />
+                <span>+</span>
+                <TWInput className="font-mono" placeholder={t("prefix")} value={p.prefix} onChange={e => setPattern(i, "prefix", e.target.value)} />
+                <span>|</span>
+                <TWInput className="font-mono" placeholder={t("match")} value={p.match} onChange={e => setPattern(i, "match", e.target.value)} />
+                <span>/</span>
+                <TWInput className="font-mono" placeholder={t("caller ID")} value={p.callerid} onChange={e => setPattern(i, "callerid", e.target.value)} />
+                <TWButton className="bg-gray-100 px-2" aria-label={t("Remove")} onClick={() => setForm({ ...form, patterns: form.patterns.filter((_, j) => j !== i) })}>✕</TWButton>
+              </div>
+            ))}
+            <TWButton className="bg-gray-100" onClick={() => setForm({ ...form, patterns: [...form.patterns, { prepend: "", prefix: "", match: "", callerid: "" }] })}>{t("+ Add pattern")}</TWButton>
+          </div>
+          <FieldError msg={err("patterns")} />
+        </div>
+
+        <div className="md:col-span-2">
+          <TWLabel>{t("Trunk sequence (tried in order)")}</TWLabel>
+          <div className="space-y-1">
+            {form.trunks.map((id, i) => (
+              <div key={id} className="flex items-center justify-between border rounded-xl px-2 py-1 text-sm">
+                <span>{i + 1}. {trunkName(id)}</span>
+                <span className="flex gap-1">
+                  <TWButton className="bg-gray-100 px-2 py-0.5" disabled={i === 0} onClick={() => moveTrunk(i, -1)}>↑</TWButton>
+                  <TWButton className="bg-gray-100 px-2 py-0.5" disabled={i === form.trunks.length - 1} onClick={() => moveTrunk(i, 1)}>↓</TWButton>
+                  <TWButton className="bg-gray-100 px-2 py-0.5" aria-label={t("Remove")} onClick={() => setForm({ ...form, trunks: form.trunks.filter(other => other !== id) })}>✕</TWButton>
+                </span>
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-1 mt-2">
+            {trunks.filter(trunk => !form.trunks.includes(trunk.id)).map(trunk => (
+              <TWButton key={trunk.id} className="bg-gray-100 px-2 py-0.5" onClick={() => setForm({ ...form, trunks: [...form.trunks, trunk.id] })}>+ {trunk.name}</TWButton>
+            ))}
+          </div>
+          <FieldError msg={err("trunks")} />
+        </div>
+      </div>
+    </EditorModalFrame>
+  );
+}
+
+function RouteSimulator({ inbound, outbound, extensions, targets, trunks }) {
+  const [dial, setDial] = useState("");
+  const [from, setFrom] = useState("");
+  const [did, setDid] = useState("");
+  const [cid, setCid] = useState("");
+  const caller = extensions.find(x => String(x.id) === from) || (from ? { id: from } : null);
+  const out = useMemo(() => (dial ? simulateOutbound(dial, caller, outbound, trunks) : null), [dial, from, outbound, trunks, extensions]);
+  const inb = useMemo(() => (did || cid ? simulateInbound(did, cid, inbound) : null), [did, cid, inbound]);
+  const winner = inb?.find(c => c.rank != null);
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      <div className="border rounded-2xl p-3">
+        <div className="font-medium mb-2">{t("What happens if I dial…")}</div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <TWLabel>{t("Number")}</TWLabel>
+            <TWInput className="font-mono" value={dial} onChange={e => setDial(e.target.value.replace(/\s/g, ""))} placeholder="0412345678" />
+          </div>
+          <div>
+            <TWLabel>{t("From extension")}</TWLabel>
+            {extensions.length ? (
+              <TWSelect value={from} onChange={e => setFrom(e.target.value)}>
+                <option value="">{t("(any)")}</option>
+                {extensions.map(x => <option key={x.id} value={String(x.id)}>{x.id} {x.name}</option>)}
+              </TWSelect>
+            ) : (
+              <TWInput value={from} onChange={e => setFrom(e.target.value.trim())} placeholder="1001" />
+            )}
+          </div>
+        </div>
+        {out && (
+          <div className="mt-3 text-sm space-y-2">
+            {out.route ? (
+              <div className="border border-green-200 bg-green-50 rounded-xl p-2">
+                <div>{t("Route")} <span className="font-medium">{out.route.name}</span> {t("via pattern")} <span className="font-mono">{out.hit.rule.prefix ? `${out.hit.rule.prefix}|` : ""}{out.hit.rule.match}</span></div>
+                {out.trunk ? (
+                  <div>{t("Trunk")} <span className="font-medium">{out.trunk.name}</span>, {t("sends")} <span className="font-mono">{out.sent}</span>
+                    {out.trunkHit && <span className="text-gray-600"> ({t("trunk rule {n}", { n: out.trunkHit.index + 1 })})</span>}
+                  </div>
+                ) : <div className="text-rose-700">{t("No usable trunk: the call fails.")}</div>}
+                {out.trunk && <div>{t("Caller ID")} <span className="font-mono">{out.cid.value || "—"}</span> <span className="text-gray-600">{t("from {source}", { source: t(out.cid.from) })}</span></div>}
+                {out.sequence.filter(st => st.skip).map(st => <div key={st.id} className="text-xs text-gray-600">{t("Skipped {trunk}: {reason}", { trunk: st.trunk?.name || `#${st.id}`, reason: t(st.skip) })}</div>)}
+              </div>
+            ) : (
+              <div className="border border-rose-200 bg-rose-50 rounded-xl p-2">{t("No outbound route matches; the caller hears “all circuits are busy”.")}</div>
+            )}
+            <div className="text-xs text-gray-600">
+              {out.steps.map(st => (
+                <div key={st.route.id}>{st.route === out.route ? "✓" : st.hit ? "·" : "✗"} {st.route.name}{st.hit && st.route !== out.route ? ` (${t("would match, but a route above wins")})` : ""}</div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="border rounded-2xl p-3">
+        <div className="font-medium mb-2">{t("What happens if X calls DID Y…")}</div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <TWLabel>{t("Caller ID (X)")}</TWLabel>
+            <TWInput className="font-mono" value={cid} onChange={e => setCid(e.target.value.replace(/\s/g, ""))} placeholder="0400123456" />
+          </div>
+          <div>
+            <TWLabel>{t("DID (Y)")}</TWLabel>
+            <TWInput className="font-mono" value={did} onChange={e => setDid(e.target.value.replace(/\s/g, ""))} placeholder="0299990000" />
+          </div>
+        </div>
+        {inb && (
+          <div className="mt-3 text-sm space-y-2">
+            {winner ? (
+              <div className="border border-green-200 bg-green-50 rounded-xl p-2">
+                <div>{t("Route")} <span className="font-medium">{winner.route.description}</span> ({t("matched on {reason}", { reason: t(winner.reason) })})</div>
+                <div>{t("Goes to {destination}", { destination: destinationLabel(winner.route.destination, targets) })}</div>
+              </div>
+            ) : (
+              <div className="border border-rose-200 bg-rose-50 rounded-xl p-2">{t("No inbound route matches; FreePBX plays its “number not in service” message.")}</div>
+            )}
+            <div className="text-xs text-gray-600">
+              {inb.map(c => (
+                <div key={c.route.id}>{c === winner ? "✓" : c.rank != null ? "·" : "✗"} {c.route.description}: {c.rank != null ? t("matches on {reason}", { reason: t(c.reason) }) : t(c.reason)}</div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RoutingPanel({ cfg, can, status, pushAudit }) {
+  const [tab, setTab] = useState("inbound");
+  const [inbound, setInbound] = useState([]);
+  const [outbound, setOutbound] = useState([]);
+  const [extensions, setExtensions] = useState([]);
+  const [trunks, setTrunks] = useState([]);
+  const [queues, setQueues] = useState([]);
+  const [ringGroups, setRingGroups] = useState([]);
+  const [flow, setFlow] = useState({ ivrs: [], timeconditions: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [editing, setEditing] = useState(null); // { kind, route } with route null for a new one
+  const [actionError, setActionError] = useState(""); // last failed save, delete or reorder
+  const [ask, askDialog] = useAsk();
+  const canEdit = can("routes:edit");
+  const targets = useMemo(() => destinationTargets({
+    extensions, ringGroups, queues: queues.length ? queues : statusQueueRefs(status),
+    ivrs: flow.ivrs, timeConditions: flow.timeconditions,
+  }), [extensions, queues, ringGroups, status.queues, flow]);
+  const setList = (kind) => (kind === "inbound" ? setInbound : setOutbound);
+
+  async function load() {
+    setLoading(true); setError("");
+    // Extensions, trunks, queues, ring groups and call flows only feed the pickers and the
+    // simulator, so a role without them still gets routes.
+    const [inb, outb, exts, trks, qs, rgs, cf] = await Promise.allSettled([
+      apiFetchRoutes(cfg, "inbound"), apiFetchRoutes(cfg, "outbound"),
+      can("extensions:view") ? apiFetchExtensions(cfg) : Promise.resolve([]),
+      can("trunks:view") ? apiFetchTrunks(cfg) : Promise.resolve([]),
+      can("queues:view") ? apiFetchGroups(cfg, "queues") : Promise.resolve([]),
+      can("queues:view") ? apiFetchGroups(cfg, "ringgroups") : Promise.resolve([]),
+      can("callflows:view") ? apiFetchCallFlow(cfg) : Promise.resolve({ ivrs: [], timeconditions: [] }),
+    ]);
+    if (inb.status === "fulfilled") setInbound(inb.value);
+    if (outb.status === "fulfilled") setOutbound(outb.value);
+    if (exts.status === "fulfilled") setExtensions(exts.value);
+    if (trks.status === "fulfilled") setTrunks(trks.value);
+    if (qs.status === "fulfilled") setQueues(qs.value);
+    if (rgs.status === "fulfilled") setRingGroups(rgs.value);
+    if (cf.status === "fulfilled") setFlow(cf.value);
+    const failed = [inb, outb].find(r => r.status === "rejected");
+    if (failed) setError(`${t("Could not load routes.")} ${describeError(failed.reason)}`);
+    setLoading(false);
+  }
+  useEffect(() => { load(); }, [cfg.baseURL, cfg.apiKey, cfg.backend]);
+
+  const routeLabel = (kind, r) => (kind === "inbound" ? `${r.did || "any"}/${r.cid || "any"} ${r.description}` : r.name);
+
+  async function save(kind, route) {
+    const list = kind === "inbound" ? inbound : outbound;
+    const before = list.find(r => r.id === route.id);
+    setActionError("");
+    const optimistic = before ? route : { ...route, id: -Date.now(), __optimistic: true };
+    setList(kind)(l => (before ? l.map(r => (r.id === route.id ? route : r)) : [...l, optimistic]));
+    pushAudit({ action: `${before ? "update" : "create"}_${kind}_route`, detail: routeLabel(kind, route), ...(before && { changes: fieldChanges(before, route) }) });
+    try {
+      const saved = await apiSaveRoute(cfg, kind, route);
+      setList(kind)(l => l.map(r => (r === optimistic || r.id === route.id ? saved : r)));
+    } catch (e) {
+      setList(kind)(l => (before ? l.map(r => (r.id === route.id ? before : r)) : l.filter(r => r !== optimistic)));
+      pushAudit({ action: `rollback_${before ? "update" : "create"}_${kind}_route`, detail: routeLabel(kind, route) });
+      setActionError(t("Failed to save route: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  async function remove(kind, route) {
+    if (!(await ask(t(kind === "inbound" ? "Delete inbound route {name}?" : "Delete outbound route {name}?", { name: routeLabel(kind, route) }), { confirmLabel: t("Delete"), danger: true }))) return;
+    setActionError("");
+    const list = kind === "inbound" ? inbound : outbound;
+    setList(kind)(l => l.filter(r => r.id !== route.id));
+    pushAudit({ action: `delete_${kind}_route`, detail: routeLabel(kind, route) });
+    try { await apiDeleteRoute(cfg, kind, route.id); }
+    catch (e) {
+      setList(kind)(list);
+      pushAudit({ action: `rollback_delete_${kind}_route`, detail: routeLabel(kind, route) });
+      setActionError(t("Failed to delete route: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  async function move(i, d) {
+    setActionError("");
+    const prev = outbound;
+    const next = [...outbound];
+    [next[i], next[i + d]] = [next[i + d], next[i]];
+    setOutbound(next);
+    pushAudit({ action: "reorder_outbound_routes", detail: next.map(r => r.name).join(" > ") });
+    try { await apiReorderOutboundRoutes(cfg, next.map(r => r.id)); }
+    catch (e) {
+      setOutbound(prev);
+      pushAudit({ action: "rollback_reorder_outbound_routes", detail: prev.map(r => r.name).join(" > ") });
+      setActionError(t("Failed to reorder routes: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  const trunkName = (id) => trunks.find(trunk => trunk.id === id)?.name || `#${id}`;
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <div className="flex items-center gap-1">
+          <h2 className="text-xl font-semibold mr-2">{t("Call Routing")}</h2>
+          {[["inbound", t("Inbound ({n})", { n: inbound.length })], ["outbound", t("Outbound ({n})", { n: outbound.length })], ["simulate", t("Simulator")]].map(([k, l]) => (
+            <TWButton key={k} className={tab === k ? "bg-black text-white" : "bg-white"} onClick={() => setTab(k)}>{l}</TWButton>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <TWButton className="bg-white" onClick={load} disabled={loading}>{loading ? t("Loading…") : t("Refresh")}</TWButton>
+          {canEdit && tab !== "simulate" && <TWButton className="bg-black text-white" onClick={() => setEditing({ kind: tab, route: null })}>{t("Add route")}</TWButton>}
+        </div>
+      </div>
+      {error && <LoadError error={error} onRetry={load} busy={loading} />}
+      {actionError && <LoadError error={actionError} />}
+      {askDialog}
+
+      {tab === "inbound" && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2">{t("DID")}</th>
+                <th>{t("Caller ID")}</th>
+                <th>{t("Description")}</th>
+                <th>{t("Destination")}</th>
+                <th className="text-right">{t("Actions")}</th>
+              </tr>
+            </thead>
+            <tbody onKeyDown={rowKeyNav}>
+              {inbound.map(r => (
+                <tr key={r.id} data-row tabIndex={0} className={`border-b hover:bg-gray-50 ${r.__optimistic ? "opacity-60" : ""}`}>
+                  <td className="py-2 font-mono">{r.did || <span className="text-gray-400">{t("any")}</span>}</td>
+                  <td className="font-mono">{r.cid || <span className="text-gray-400">{t("any")}</span>}</td>
+                  <td>{r.description}</td>
+                  <td>{destinationLabel(r.destination, targets)}</td>
+                  <td className="text-right space-x-2 whitespace-nowrap">
+                    {canEdit && <TWButton className="bg-gray-100" disabled={r.__optimistic} onClick={() => setEditing({ kind: "inbound", route: r })}>{t("Edit")}</TWButton>}
+                    {canEdit && <TWButton className="bg-rose-600 text-white" disabled={r.__optimistic} onClick={() => remove("inbound", r)}>{t("Delete")}</TWButton>}
+                  </td>
+                </tr>
+              ))}
+              {!inbound.length && <tr><td colSpan={5} className="py-8 text-center text-gray-500">{loading ? t("Loading…") : t("No inbound routes")}</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tab === "outbound" && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2">#</th>
+                <th>{t("Route")}</th>
+                <th>{t("Dial patterns")}</th>
+                <th>{t("Trunks")}</th>
+                <th className="text-right">{t("Actions")}</th>
+              </tr>
+            </thead>
+            <tbody onKeyDown={rowKeyNav}>
+              {outbound.map((r, i) => (
+                <tr key={r.id} data-row tabIndex={0} className={`border-b hover:bg-gray-50 ${r.__optimistic ? "opacity-60" : ""}`}>
+                  <td className="py-2">{i + 1}</td>
+                  <td className="font-medium">{r.name} {r.emergency && <TWBadge tone="warn">{t("emergency")}</TWBadge>}</td>
+                  <td className="font-mono text-xs">{r.patterns.map(p => `${p.prepend ? `${p.prepend}+` : ""}${p.prefix ? `${p.prefix}|` : ""}${p.match}${p.callerid ? `/${p.callerid}` : ""}`).join("  ")}</td>
+                  <td>{r.trunks.map(trunkName).join(" → ")}</td>
+                  <td className="text-right space-x-2 whitespace-nowrap">
+                    {canEdit && <TWButton className="bg-gray-100 px-2" disabled={i === 0 || r.__optimistic} onClick={() => move(i, -1)} title={t("Evaluate earlier")}>↑</TWButton>}
+                    {canEdit && <TWButton className="bg-gray-100 px-2" disabled={i === outbound.length - 1 || r.__optimistic} onClick={() => move(i, 1)} title={t("Evaluate later")}>↓</TWButton>}
+                    {canEdit && <TWButton className="bg-gray-100" disabled={r.__optimistic} onClick={() => setEditing({ kind: "outbound", route: r })}>{t("Edit")}</TWButton>}
+                    {canEdit && <TWButton className="bg-rose-600 text-white" disabled={r.__optimistic} onClick={() => remove("outbound", r)}>{t("Delete")}</TWButton>}
+                  </td>
+                </tr>
+              ))}
+              {!outbound.length && <tr><td colSpan={5} className="py-8 text-center text-gray-500">{loading ? t("Loading…") : t("No outbound routes")}</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tab === "simulate" && <RouteSimulator inbound={inbound} outbound={outbound} extensions={extensions} targets={targets} trunks={trunks} />}
+
+      <InboundRouteModal open={editing?.kind === "inbound"} initial={editing?.route} routes={inbound} targets={targets}
+        onClose={() => setEditing(null)} onSubmit={r => save("inbound", r)} />
+      <OutboundRouteModal open={editing?.kind === "outbound"} initial={editing?.route} routes={outbound} trunks={trunks}
+        onClose={() => setEditing(null)} onSubmit={r => save("outbound", r)} />
+    </TWCard>
+  );
+}
+
+// ===============
+// Queues Panel (queues, ring groups, live agent control)
+// ===============
+const QUEUE_STRATEGIES = [
+  ["ringall", "Ring all"], ["leastrecent", "Least recent"], ["fewestcalls", "Fewest calls"], ["random", "Random"],
+  ["rrmemory", "Round robin (memory)"], ["rrordered", "Round robin (ordered)"], ["linear", "Linear"], ["wrandom", "Weighted random"],
+];
+const RINGGROUP_STRATEGIES = [
+  ["ringall", "Ring all"], ["hunt", "Hunt"], ["memoryhunt", "Memory hunt"],
+  ["firstavailable", "First available"], ["firstnotonphone", "First not on phone"], ["random", "Random"],
+];
+const GROUP_DEFAULTS = {
+  queues: {
+    id: "", name: "", strategy: "ringall", timeout: 15, retry: 5, maxwait: 0,
+    announce: "", periodic_announce: "", periodic_frequency: 0, music: "default",
+    members: [], failover: { type: "hangup", target: "" },
+  },
+  ringgroups: { id: "", name: "", strategy: "ringall", ringtime: 20, announce: "", members: [], failover: { type: "hangup", target: "" } },
+};
+// Per-kind wording, as whole sentences so each locale can order the words its own way.
+const GROUP_TEXT = {
+  queues: {
+    add: "Add queue", edit: "Edit queue {id}", none: "No queues", self: "A queue can't fail over to itself",
+    del: "Delete queue {id} {name}?", saveFailed: "Failed to save queue: {reason}", deleteFailed: "Failed to delete queue: {reason}",
+  },
+  ringgroups: {
+    add: "Add ring group", edit: "Edit ring group {id}", none: "No ring groups", self: "A ring group can't fail over to itself",
+    del: "Delete ring group {id} {name}?", saveFailed: "Failed to save ring group: {reason}", deleteFailed: "Failed to delete ring group: {reason}",
+  },
+};
+const AGENT_ACTION_FAILED = {
+  login: "Failed to log in {agent}: {reason}", logout: "Failed to log out {agent}: {reason}",
+  pause: "Failed to pause {agent}: {reason}", unpause: "Failed to unpause {agent}: {reason}",
+};
+const AGENT_STATES = {
+  idle: { tone: "ok", label: "Idle" },
+  ringing: { tone: "warn", label: "Ringing" },
+  oncall: { tone: "warn", label: "On call" },
+  paused: { tone: "default", label: "Paused" },
+  loggedout: { tone: "err", label: "Logged out" },
+};
+const PAUSE_REASONS = ["Break", "Lunch", "Meeting", "Training", "After-call work"];
+const QUEUE_LIVE_POLL_MS = 5000;
+
+const AGENT_INTERFACE_RE = /^(PJSIP|SIP|IAX2)\/[A-Za-z0-9_.-]+$|^Local\/[^\s,@]+@[A-Za-z0-9_-]+(\/n)?$/;
+// An extension, or an external number with FreePBX's trailing "#".
+const RINGGROUP_MEMBER_RE = /^\d{2,6}$|^\+?\d{3,20}#$/;
+const RECORDING_NAME_RE = /^[A-Za-z0-9_/-]{1,80}$/;
+
+const fmtWait = (sec) => `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, "0")}`;
+
+// Members are edited as { value, penalty } rows for both kinds and converted back on save.
+function groupFormFrom(kind, row) {
+  const base = structuredClone(row || GROUP_DEFAULTS[kind]);
+  return {
+    ...base,
+    members: kind === "queues"
+      ? base.members.map(m => ({ value: m.interface, penalty: String(m.penalty ?? 0) }))
+      : base.members.map(value => ({ value, penalty: "" })),
+  };
+}
+
+function validateGroupForm(kind, form, { isEdit, taken, targets }) {
+  const e = {};
+  const int = (v, lo, hi) => /^\d+$/.test(String(v)) && Number(v) >= lo && Number(v) <= hi;
+  if (!isEdit) {
+    if (!/^\d{2,6}$/.test(form.id)) e.id = "2 to 6 digits";
+    else if (taken.has(form.id)) e.id = t("Already used by {what}", { what: taken.get(form.id) });
+  }
+  if (!form.name.trim() || form.name.length > 50) e.name = "1 to 50 characters";
+  if (form.announce && !RECORDING_NAME_RE.test(form.announce)) e.announce = "System recording name";
+  const values = form.members.map(m => m.value);
+  const dupe = values.find((v, i) => values.indexOf(v) !== i);
+  if (kind === "queues") {
+    if (!int(form.timeout, 1, 300)) e.timeout = "1 to 300 seconds";
+    if (!int(form.retry, 0, 60)) e.retry = "0 to 60 seconds";
+    if (!int(form.maxwait, 0, 86400)) e.maxwait = "0 (no limit) to 86400 seconds";
+    if (form.periodic_announce && !RECORDING_NAME_RE.test(form.periodic_announce)) e.periodic_announce = "System recording name";
+    if (!int(form.periodic_frequency, 0, 3600)) e.periodic_frequency = "0 (off) to 3600 seconds";
+    else if (form.periodic_announce && !Number(form.periodic_frequency)) e.periodic_frequency = "Set how often to play the announcement";
+    if (!/^[A-Za-z0-9_-]{1,40}$/.test(form.music)) e.music = "Music on hold class";
+    const bad = form.members.find(m => !AGENT_INTERFACE_RE.test(m.value) || !int(m.penalty, 0, 10));
+    if (bad) e.members = t("{member}: use PJSIP/1001 or Local/0412…@from-queue/n with a penalty of 0 to 10", { member: bad.value || t("(blank)") });
+  } else {
+    if (!int(form.ringtime, 1, 300)) e.ringtime = "1 to 300 seconds";
+    if (!form.members.length) e.members = "Add at least one member";
+    const bad = form.members.find(m => !RINGGROUP_MEMBER_RE.test(m.value));
+    if (bad) e.members = t("{member}: an extension, or an external number ending in #", { member: bad.value || t("(blank)") });
+  }
+  if (!e.members && dupe) e.members = t("{member} is listed twice", { member: dupe });
+  const failover = destinationError(form.failover, targets);
+  if (failover) e.failover = failover;
+  else if (form.failover.type === (kind === "queues" ? "queue" : "ringgroup") && form.failover.target === form.id) e.failover = GROUP_TEXT[kind].self;
+  return e;
+}
+
+function groupPayload(kind, form, start, isEdit) {
+  const num = kind === "queues" ? ["timeout", "retry", "maxwait", "periodic_frequency"] : ["ringtime"];
+  const out = {
+    ...form,
+    ...Object.fromEntries(num.map(k => [k, Number(form[k])])),
+    members: kind === "queues"
+      ? form.members.map(m => ({ interface: m.value, penalty: Number(m.penalty) }))
+      : form.members.map(m => m.value),
+  };
+  if (!isEdit) return out;
+  return Object.fromEntries(Object.entries(out).filter(([k, v]) => k !== "id" && JSON.stringify(v) !== JSON.stringify(start[k])));
+}
+
+function GroupModal({ open, kind, initial, extensions, taken, targets, onClose, onSubmit }) {
+  const isEdit = Boolean(initial);
+  const [form, setForm] = useState(() => groupFormFrom(kind, initial));
+  const [showErrors, setShowErrors] = useState(false);
+  const [addExt, setAddExt] = useState("");
+  const [addOther, setAddOther] = useState("");
+  useEffect(() => { setForm(groupFormFrom(kind, initial)); setShowErrors(false); setAddExt(""); setAddOther(""); }, [initial, open, kind]);
+  const errors = validateGroupForm(kind, form, { isEdit, taken, targets });
+  const err = (k) => (showErrors ? errors[k] : "");
+  const set = (k) => (e) => setForm({ ...form, [k]: e.target.value });
+  const isQueue = kind === "queues";
+  const memberFor = (x) => (isQueue ? `${x.tech || "PJSIP"}/${x.id}` : String(x.id));
+
+  function addMember(value) {
+    if (!value || form.members.some(m => m.value === value)) return;
+    setForm({ ...form, members: [...form.members, { value, penalty: isQueue ? "0" : "" }] });
+  }
+  const setMember = (i, patch) => setForm({ ...form, members: form.members.map((m, j) => (j === i ? { ...m, ...patch } : m)) });
+
+  function save() {
+    if (Object.keys(errors).length) { setShowErrors(true); return; }
+    onSubmit(groupPayload(kind, form, groupFormFrom(kind, initial), isEdit));
+    onClose();
+  }
+
+  return (
+    <EditorModalFrame open={open} title={isEdit ? t(GROUP_TEXT[kind].edit, { id: initial.id }) : t(GROUP_TEXT[kind].add)} onClose={onClose} onSave={save}>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <TWLabel>{t("Number")}</TWLabel>
+          <TWInput value={form.id} disabled={isEdit} onChange={e => setForm({ ...form, id: e.target.value.trim() })} placeholder={isQueue ? "600" : "800"} />
+          <FieldError msg={err("id")} />
+        </div>
+        <div>
+          <TWLabel>{t("Name")}</TWLabel>
+          <TWInput value={form.name} onChange={set("name")} />
+          <FieldError msg={err("name")} />
+        </div>
+        <div>
+          <TWLabel>{t("Strategy")}</TWLabel>
+          <TWSelect value={form.strategy} onChange={set("strategy")}>
+            {(isQueue ? QUEUE_STRATEGIES : RINGGROUP_STRATEGIES).map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+          </TWSelect>
+        </div>
+        {isQueue ? (
+          <>
+            <div>
+              <TWLabel>{t("Agent ring timeout (s)")}</TWLabel>
+              <TWInput type="number" value={form.timeout} onChange={set("timeout")} />
+              <FieldError msg={err("timeout")} />
+            </div>
+            <div>
+              <TWLabel>{t("Retry after (s)")}</TWLabel>
+              <TWInput type="number" value={form.retry} onChange={set("retry")} />
+              <FieldError msg={err("retry")} />
+            </div>
+            <div>
+              <TWLabel>{t("Max wait before failover (s, 0 = no limit)")}</TWLabel>
+              <TWInput type="number" value={form.maxwait} onChange={set("maxwait")} />
+              <FieldError msg={err("maxwait")} />
+            </div>
+            <div>
+              <TWLabel>{t("Music on hold class")}</TWLabel>
+              <TWInput value={form.music} onChange={set("music")} />
+              <FieldError msg={err("music")} />
+            </div>
+          </>
+        ) : (
+          <div>
+            <TWLabel>{t("Ring time (s)")}</TWLabel>
+            <TWInput type="number" value={form.ringtime} onChange={set("ringtime")} />
+            <FieldError msg={err("ringtime")} />
+          </div>
+        )}
+        <div>
+          <TWLabel>{t("Join announcement (system recording)")}</TWLabel>
+          <TWInput value={form.announce} onChange={set("announce")} placeholder={t("none")} />
+          <FieldError msg={err("announce")} />
+        </div>
+        {isQueue && (
+          <>
+            <div>
+              <TWLabel>{t("Periodic announcement")}</TWLabel>
+              <TWInput value={form.periodic_announce} onChange={set("periodic_announce")} placeholder={t("none")} />
+              <FieldError msg={err("periodic_announce")} />
+            </div>
+            <div>
+              <TWLabel>{t("Repeat every (s, 0 = off)")}</TWLabel>
+              <TWInput type="number" value={form.periodic_frequency} onChange={set("periodic_frequency")} />
+              <FieldError msg={err("periodic_frequency")} />
+            </div>
+          </>
+        )}
+
+        <div className="md:col-span-2">
+          <TWLabel>{isQueue ? t("Static agents (lower penalty is offered calls first)") : t("Members")}</TWLabel>
+          <div className="space-y-1">
+            {form.members.map((m, i) => (
+              <div key={i} className="flex items-center gap-2 text-sm">
+                <TWInput className="font-mono" value={m.value} onChange={e => setMember(i, { value: e.target.value.trim() })} />
+                {isQueue && <div className="w-20 shrink-0"><TWInput type="number" title={t("Penalty")} value={m.penalty} onChange={e => setMember(i, { penalty: e.target.value })} /></div>}
+                <TWButton className="bg-gray-100 px-2" aria-label={t("Remove")} onClick={() => setForm({ ...form, members: form.members.filter((_, j) => j !== i) })}>✕</TWButton>
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-2 mt-2">
+            {extensions.length > 0 && (
+              <TWSelect value={addExt} onChange={e => { addMember(e.target.value); setAddExt(""); }}>
+                <option value="">{t("Add extension…")}</option>
+                {extensions.filter(x => !form.members.some(m => m.value === memberFor(x))).map(x => <option key={x.id} value={memberFor(x)}>{x.id} {x.name}</option>)}
+              </TWSelect>
+            )}
+            <TWInput className="font-mono" value={addOther} onChange={e => setAddOther(e.target.value.trim())} placeholder={isQueue ? "Local/0412000111@from-queue/n" : "0412345678#"} />
+            <TWButton className="bg-gray-100" onClick={() => { addMember(addOther); setAddOther(""); }} disabled={!addOther}>{t("Add")}</TWButton>
+          </div>
+          <FieldError msg={err("members")} />
+        </div>
+
+        <DestinationPicker label={isQueue ? "Failover when nobody answers or max wait passes" : "Failover when nobody answers"}
+          value={form.failover} onChange={failover => setForm({ ...form, failover })} targets={targets} error={err("failover")} />
+      </div>
+    </EditorModalFrame>
+  );
+}
+
+// Agent states and waiting callers for one queue, polled while shown. Agent actions are optimistic
+// and refetch on completion; the next poll corrects anything the backend did differently.
+function QueueLiveView({ cfg, can, queue, extensions, pushAudit }) {
+  const now = useNow();
+  const [live, setLive] = useState(null);
+  const [fetchedAt, setFetchedAt] = useState(0);
+  const [error, setError] = useState("");
+  const [loginIface, setLoginIface] = useState("");
+  const [actionError, setActionError] = useState(""); // last failed log in, log out or pause
+  const canControl = can("agents:control");
+
+  async function refresh() {
+    try {
+      const data = await apiFetchQueueLive(cfg, queue.id);
+      setLive(data);
+      setFetchedAt(Date.now());
+      setError("");
+    } catch (e) {
+      setError(describeError(e));
+    }
+  }
+  useEffect(() => {
+    setLive(null);
+    refresh();
+    const timer = setInterval(refresh, QUEUE_LIVE_POLL_MS);
+    return () => clearInterval(timer);
+  }, [queue.id, cfg.baseURL, cfg.apiKey, cfg.backend]);
+
+  const agentLabel = (a) => a.name ? `${a.interface} (${a.name})` : a.interface;
+
+  async function act(agent, action, { reason = "", penalty = 0 } = {}) {
+    setActionError("");
+    const prev = live;
+    const state = { login: "idle", logout: "loggedout", pause: "paused", unpause: "idle" }[action];
+    setLive(l => ({
+      ...l,
+      agents: agent.interface && l.agents.some(a => a.interface === agent.interface)
+        ? l.agents.map(a => (a.interface === agent.interface ? { ...a, state, reason } : a))
+        : [...l.agents, { interface: agent.interface, name: agent.name || "", state, reason: "", penalty, dynamic: true, calls_taken: 0 }],
+    }));
+    const detail = `${queue.id} ${agentLabel(agent)}${reason ? `: ${reason}` : ""}`;
+    pushAudit({ action: `${action}_agent`, detail });
+    try {
+      await apiQueueAgentAction(cfg, queue.id, action, agent.interface, { reason, penalty });
+      refresh();
+    } catch (e) {
+      setLive(prev);
+      pushAudit({ action: `rollback_${action}_agent`, detail });
+      setActionError(t(AGENT_ACTION_FAILED[action], { agent: agent.interface, reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  if (!live) return <div className="text-sm text-gray-500 py-6 text-center">{error || t("Loading…")}</div>;
+  const elapsed = Math.max(0, (now - fetchedAt) / 1000);
+  const counts = Object.fromEntries(Object.keys(AGENT_STATES).map(k => [k, live.agents.filter(a => a.state === k).length]));
+  const outsiders = extensions.filter(x => !live.agents.some(a => a.interface === `${x.tech || "PJSIP"}/${x.id}`));
+
+  return (
+    <div className="grid md:grid-cols-3 gap-4">
+      <div className="md:col-span-2">
+        {actionError && <LoadError error={actionError} />}
+        <div className="flex items-center gap-2 mb-2 flex-wrap text-sm">
+          {Object.entries(AGENT_STATES).map(([k, s]) => <TWBadge key={k} tone={counts[k] ? s.tone : "default"}>{t(s.label)} {counts[k]}</TWBadge>)}
+          {error && <span className="text-rose-700">{error}</span>}
+        </div>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">{t("Agent")}</th>
+              <th>{t("State")}</th>
+              <th>{t("Penalty")}</th>
+              <th>{t("Calls")}</th>
+              {canControl && <th className="text-right">{t("Actions")}</th>}
+            </tr>
+          </thead>
+          <tbody onKeyDown={rowKeyNav}>
+            {live.agents.map(a => (
+              <tr key={a.interface} data-row tabIndex={0} className="border-b hover:bg-gray-50">
+                <td className="py-2">
+                  <span className="font-mono">{a.interface}</span> {a.name}
+                  {a.dynamic && <span className="ml-1 text-xs text-gray-500">({t("dynamic")})</span>}
+                </td>
+                <td><TWBadge tone={AGENT_STATES[a.state]?.tone || "default"}>{AGENT_STATES[a.state] ? t(AGENT_STATES[a.state].label) : a.state}</TWBadge>{a.reason && <span className="ml-1 text-xs text-gray-600">{a.reason}</span>}</td>
+                <td>{a.penalty}</td>
+                <td>{a.calls_taken ?? "—"}</td>
+                {canControl && (
+                  <td className="text-right space-x-2 whitespace-nowrap">
+                    {a.state === "loggedout" ? (
+                      <TWButton className="bg-gray-100" onClick={() => act(a, "login", { penalty: a.penalty })}>{t("Log in")}</TWButton>
+                    ) : (
+                      <>
+                        {a.state === "paused" ? (
+                          <TWButton className="bg-gray-100" onClick={() => act(a, "unpause")}>{t("Unpause")}</TWButton>
+                        ) : (
+                          <span className="inline-block w-36">
+                            <TWSelect value="" onChange={e => e.target.value && act(a, "pause", { reason: e.target.value })}>
+                              <option value="">{t("Pause…")}</option>
+                              {PAUSE_REASONS.map(r => <option key={r} value={r}>{t(r)}</option>)}
+                            </TWSelect>
+                          </span>
+                        )}
+                        <TWButton className="bg-gray-100" onClick={() => act(a, "logout")}>{t("Log out")}</TWButton>
+                      </>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+            {!live.agents.length && <tr><td colSpan={5} className="py-6 text-center text-gray-500">{t("No agents")}</td></tr>}
+          </tbody>
+        </table>
+        {canControl && outsiders.length > 0 && (
+          <div className="flex items-center gap-2 mt-2">
+            <div className="w-64">
+              <TWSelect value={loginIface} onChange={e => setLoginIface(e.target.value)}>
+                <option value="">{t("Log in another agent…")}</option>
+                {outsiders.map(x => <option key={x.id} value={`${x.tech || "PJSIP"}/${x.id}`}>{x.id} {x.name}</option>)}
+              </TWSelect>
+            </div>
+            <TWButton className="bg-gray-100" disabled={!loginIface} onClick={() => {
+              const x = outsiders.find(o => `${o.tech || "PJSIP"}/${o.id}` === loginIface);
+              act({ interface: loginIface, name: x?.name }, "login");
+              setLoginIface("");
+            }}>{t("Log in")}</TWButton>
+          </div>
+        )}
+      </div>
+      <div>
+        <div className="font-medium mb-2">{t("Waiting callers ({n})", { n: live.callers.length })}</div>
+        <div className="space-y-1">
+          {live.callers.map(c => {
+            const wait = c.wait_sec + elapsed;
+            return (
+              <div key={`${c.position}-${c.caller}`} className="flex items-center justify-between border rounded-xl px-2 py-1 text-sm">
+                <span>{c.position}. <span className="font-mono">{c.caller || t("anonymous")}</span> {c.name}</span>
+                <TWBadge tone={queue.maxwait && wait > queue.maxwait * 0.8 ? "err" : wait > 60 ? "warn" : "default"}>{fmtWait(wait)}</TWBadge>
+              </div>
+            );
+          })}
+          {!live.callers.length && <div className="text-sm text-gray-500">{t("Nobody waiting")}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function QueuesPanel({ cfg, can, pushAudit }) {
+  const [tab, setTab] = useState("live");
+  const [groups, setGroups] = useState({ queues: [], ringgroups: [] });
+  const [extensions, setExtensions] = useState([]);
+  const [liveId, setLiveId] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [editing, setEditing] = useState(null); // { kind, row } with row null for a new one
+  const [actionError, setActionError] = useState(""); // last failed save or delete
+  const [ask, askDialog] = useAsk();
+  const canEdit = can("queues:edit");
+  const { queues, ringgroups } = groups;
+  const targets = useMemo(() => destinationTargets({ extensions, queues, ringGroups: ringgroups }), [extensions, queues, ringgroups]);
+  // Numbers a new queue or ring group can't take.
+  const taken = useMemo(() => new Map([
+    ...extensions.map(x => [String(x.id), t("extension {id}", { id: x.id })]),
+    ...queues.map(q => [q.id, t("queue {id} {name}", q)]),
+    ...ringgroups.map(g => [g.id, t("ring group {id} {name}", g)]),
+  ]), [extensions, queues, ringgroups]);
+
+  async function load() {
+    setLoading(true); setError("");
+    const [qs, rgs, exts] = await Promise.allSettled([
+      apiFetchGroups(cfg, "queues"), apiFetchGroups(cfg, "ringgroups"),
+      can("extensions:view") ? apiFetchExtensions(cfg) : Promise.resolve([]),
+    ]);
+    setGroups({ queues: qs.status === "fulfilled" ? qs.value : [], ringgroups: rgs.status === "fulfilled" ? rgs.value : [] });
+    if (exts.status === "fulfilled") setExtensions(exts.value);
+    const failed = [qs, rgs].find(r => r.status === "rejected");
+    if (failed) setError(`${t("Could not load queues and ring groups.")} ${describeError(failed.reason)}`);
+    if (qs.status === "fulfilled") setLiveId(id => (qs.value.some(q => q.id === id) ? id : qs.value[0]?.id || ""));
+    setLoading(false);
+  }
+  useEffect(() => { load(); }, [cfg.baseURL, cfg.apiKey, cfg.backend]);
+
+  const setList = (kind, fn) => setGroups(g => ({ ...g, [kind]: fn(g[kind]) }));
+  const auditName = (kind) => (kind === "queues" ? "queue" : "ring_group");
+
+  async function save(kind, payload) {
+    const before = editing?.row;
+    const label = `${before?.id || payload.id} ${payload.name ?? before.name}`;
+    setActionError("");
+    if (before) {
+      setList(kind, l => l.map(g => (g.id === before.id ? { ...g, ...payload } : g)));
+      pushAudit({ action: `update_${auditName(kind)}`, detail: label, changes: fieldChanges(before, payload) });
+    } else {
+      setList(kind, l => [...l, { ...payload, __optimistic: true }]);
+      pushAudit({ action: `create_${auditName(kind)}`, detail: label });
+    }
+    try {
+      const saved = before ? await apiUpdateGroup(cfg, kind, before.id, payload) : await apiCreateGroup(cfg, kind, payload);
+      setList(kind, l => l.map(g => (g.id === saved.id ? saved : g)));
+    } catch (e) {
+      setList(kind, l => (before ? l.map(g => (g.id === before.id ? before : g)) : l.filter(g => !(g.__optimistic && g.id === payload.id))));
+      pushAudit({ action: `rollback_${before ? "update" : "create"}_${auditName(kind)}`, detail: label });
+      setActionError(t(GROUP_TEXT[kind].saveFailed, { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  async function remove(kind, row) {
+    if (!(await ask(t(GROUP_TEXT[kind].del, row), { confirmLabel: t("Delete"), danger: true }))) return;
+    setActionError("");
+    const prev = groups[kind];
+    setList(kind, l => l.filter(g => g.id !== row.id));
+    pushAudit({ action: `delete_${auditName(kind)}`, detail: `${row.id} ${row.name}` });
+    try { await apiDeleteGroup(cfg, kind, row.id); }
+    catch (e) {
+      setList(kind, () => prev);
+      pushAudit({ action: `rollback_delete_${auditName(kind)}`, detail: `${row.id} ${row.name}` });
+      setActionError(t(GROUP_TEXT[kind].deleteFailed, { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  const strategyLabel = (kind, v) => (kind === "queues" ? QUEUE_STRATEGIES : RINGGROUP_STRATEGIES).find(([k]) => k === v)?.[1];
+  const strategyText = (kind, v) => (strategyLabel(kind, v) ? t(strategyLabel(kind, v)) : v);
+  const liveQueue = queues.find(q => q.id === liveId);
+
+  function groupTable(kind) {
+    const rows = groups[kind];
+    return (
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">{t("Number")}</th>
+              <th>{t("Name")}</th>
+              <th>{t("Strategy")}</th>
+              <th>{t("Members")}</th>
+              <th>{t("Failover")}</th>
+              <th className="text-right">{t("Actions")}</th>
+            </tr>
+          </thead>
+          <tbody onKeyDown={rowKeyNav}>
+            {rows.map(g => (
+              <tr key={g.id} data-row tabIndex={0} className={`border-b hover:bg-gray-50 ${g.__optimistic ? "opacity-60" : ""}`}>
+                <td className="py-2 font-medium">{g.id}</td>
+                <td>{g.name}</td>
+                <td>{strategyText(kind, g.strategy)}</td>
+                <td className="text-xs">
+                  {kind === "queues" ? g.members.map(m => `${m.interface}${m.penalty ? ` (${m.penalty})` : ""}`).join(", ") : g.members.join(", ")}
+                </td>
+                <td>{destinationLabel(g.failover, targets)}</td>
+                <td className="text-right space-x-2 whitespace-nowrap">
+                  {kind === "queues" && <TWButton className="bg-gray-100" disabled={g.__optimistic} onClick={() => { setLiveId(g.id); setTab("live"); }}>{t("Live")}</TWButton>}
+                  {canEdit && <TWButton className="bg-gray-100" disabled={g.__optimistic} onClick={() => setEditing({ kind, row: g })}>{t("Edit")}</TWButton>}
+                  {canEdit && <TWButton className="bg-rose-600 text-white" disabled={g.__optimistic} onClick={() => remove(kind, g)}>{t("Delete")}</TWButton>}
+                </td>
+              </tr>
+            ))}
+            {!rows.length && <tr><td colSpan={6} className="py-8 text-center text-gray-500">{loading ? t("Loading…") : t(GROUP_TEXT[kind].none)}</td></tr>}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <div className="flex items-center gap-1">
+          <h2 className="text-xl font-semibold mr-2">{t("Queues & Ring Groups")}</h2>
+          {[["live", t("Live")], ["queues", t("Queues ({n})", { n: queues.length })], ["ringgroups", t("Ring groups ({n})", { n: ringgroups.length })]].map(([k, l]) => (
+            <TWButton key={k} className={tab === k ? "bg-black text-white" : "bg-white"} onClick={() => setTab(k)}>{l}</TWButton>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <TWButton className="bg-white" onClick={load} disabled={loading}>{loading ? t("Loading…") : t("Refresh")}</TWButton>
+          {canEdit && tab !== "live" && <TWButton className="bg-black text-white" onClick={() => setEditing({ kind: tab, row: null })}>{t(GROUP_TEXT[tab].add)}</TWButton>}
+        </div>
+      </div>
+      {error && <LoadError error={error} onRetry={load} busy={loading} />}
+      {actionError && <LoadError error={actionError} />}
+      {askDialog}
+
+      {tab === "live" && (
+        <>
+          <div className="flex items-center gap-1 mb-3 flex-wrap">
+            {queues.filter(q => !q.__optimistic).map(q => (
+              <TWButton key={q.id} className={q.id === liveId ? "bg-black text-white" : "bg-gray-100"} onClick={() => setLiveId(q.id)}>{q.id} {q.name}</TWButton>
+            ))}
+          </div>
+          {liveQueue
+            ? <QueueLiveView cfg={cfg} can={can} queue={liveQueue} extensions={extensions} pushAudit={pushAudit} />
+            : <div className="text-sm text-gray-500 py-6 text-center">{loading ? t("Loading…") : t("No queues")}</div>}
+        </>
+      )}
+      {tab === "queues" && groupTable("queues")}
+      {tab === "ringgroups" && groupTable("ringgroups")}
+
+      {editing && (
+        <GroupModal open kind={editing.kind} initial={editing.row} extensions={extensions} taken={taken} targets={targets}
+          onClose={() => setEditing(null)} onSubmit={payload => save(editing.kind, payload)} />
+      )}
+    </TWCard>
+  );
+}
+
+// ===============
+// Call Flow Builder (IVRs, time conditions, holiday calendars)
+// ===============
+const FLOW_NODE_W = 210;
+const FLOW_HEADER_H = 40;
+const FLOW_PORT_H = 24;
+const FLOW_DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const FLOW_KINDS = {
+  did: { label: "DID", className: "bg-sky-100 text-sky-900" },
+  ivr: { label: "IVR", className: "bg-indigo-100 text-indigo-900" },
+  timecondition: { label: "Time", className: "bg-amber-100 text-amber-900" },
+  queue: { label: "Queue", className: "bg-green-100 text-green-900" },
+  ringgroup: { label: "Ring group", className: "bg-teal-100 text-teal-900" },
+  extension: { label: "Ext", className: "bg-gray-100 text-gray-900" },
+  voicemail: { label: "VM", className: "bg-purple-100 text-purple-900" },
+  hangup: { label: "End", className: "bg-rose-100 text-rose-900" },
+};
+const IVR_DEFAULTS = { name: "", announcement: "", timeout: 5, invalid_retries: 2, entries: [], invalid_dest: { type: "hangup", target: "" }, timeout_dest: { type: "hangup", target: "" } };
+const TIME_CONDITION_DEFAULTS = { name: "", timegroup: "", match_dest: { type: "", target: "" }, nomatch_dest: { type: "", target: "" } };
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const flowNodeId = (dest) => (dest.type === "hangup" ? "hangup" : `${dest.type}:${dest.target}`);
+const flowDest = (nodeId) => {
+  const [type, ...rest] = nodeId.split(":");
+  return { type, target: rest.join(":") };
+};
+const flowNodeHeight = (node) => FLOW_HEADER_H + node.ports.length * FLOW_PORT_H + 8;
+const hasDest = (d) => Boolean(d?.type && (d.type === "hangup" || d.target));
+
+// Is `at` (browser time) inside the group's weekly rules or one of its date ranges?
+function timeGroupMatches(group, at = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const ymd = `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}`;
+  const hm = `${pad(at.getHours())}:${pad(at.getMinutes())}`;
+  const day = FLOW_DAYS[(at.getDay() + 6) % 7];
+  if (group.dates.some(d => ymd >= d.from && ymd <= (d.to || d.from))) return true;
+  // A rule whose end is before its start runs overnight.
+  return group.rules.some(r => r.days.includes(day) && (r.start < r.end ? hm >= r.start && hm < r.end : hm >= r.start || hm < r.end));
+}
+
+function validateTimeGroup(g) {
+  if (!g.name.trim() || g.name.length > 50) return t("Name: 1 to 50 characters");
+  if (!g.rules.length && !g.dates.length) return t("Add a weekly rule or a date");
+  const rule = g.rules.findIndex(r => !r.days.length || !TIME_RE.test(r.start) || !TIME_RE.test(r.end) || r.start === r.end);
+  if (rule >= 0) return t("Weekly rule {n}: pick days and two different HH:MM times", { n: rule + 1 });
+  const date = g.dates.findIndex(d => !DATE_RE.test(d.from) || (d.to && (!DATE_RE.test(d.to) || d.to < d.from)));
+  if (date >= 0) return t("Date {n}: YYYY-MM-DD, and the end can't be before the start", { n: date + 1 });
+  return "";
+}
+
+// Every object in the flow becomes a node and every destination an edge. Destinations that point
+// at something that doesn't exist still get a (missing) node, so they can be seen and fixed.
+function buildFlowGraph(data, { placed = [], now = new Date(), canRoute = false } = {}) {
+  const { inbound, ivrs, timeconditions, timegroups, queues, ringgroups, extensions } = data;
+  const nodes = new Map();
+  const add = (id, node) => { if (!nodes.has(id)) nodes.set(id, { id, ports: [], subtitle: "", ...node }); };
+  for (const r of inbound) {
+    add(`did:${r.id}`, {
+      kind: "did", title: `${r.did || t("any DID")}${r.cid ? ` / ${r.cid}` : ""}`, subtitle: r.description,
+      ports: [{ key: "destination", label: t("Call arrives"), dest: r.destination, auto: true, readOnly: !canRoute }],
+    });
+  }
+  for (const v of ivrs) {
+    add(`ivr:${v.id}`, {
+      kind: "ivr", title: v.name || t("(unnamed IVR)"), subtitle: v.announcement ? t("plays {name}", { name: v.announcement }) : t("no announcement"),
+      ports: [
+        ...v.entries.map((e, i) => ({ key: `entry:${i}`, label: t("Press {digit}", { digit: e.digit || "?" }), dest: e.dest, auto: false })),
+        { key: "invalid_dest", label: t("Invalid"), dest: v.invalid_dest, auto: true },
+        { key: "timeout_dest", label: t("Timeout"), dest: v.timeout_dest, auto: true },
+      ],
+    });
+  }
+  for (const tc of timeconditions) {
+    const group = timegroups.find(g => String(g.id) === String(tc.timegroup));
+    add(`timecondition:${tc.id}`, {
+      kind: "timecondition", title: tc.name || t("(unnamed)"),
+      subtitle: group ? `${group.name} · ${timeGroupMatches(group, now) ? t("now matches") : t("now otherwise")}` : t("no calendar"),
+      ports: [
+        { key: "match_dest", label: group ? t("In {calendar}", { calendar: group.name }) : t("Matches"), dest: tc.match_dest, auto: true },
+        { key: "nomatch_dest", label: t("Otherwise"), dest: tc.nomatch_dest, auto: true },
+      ],
+    });
+  }
+  for (const q of queues) add(`queue:${q.id}`, { kind: "queue", title: t("Queue {id}", { id: q.id }), subtitle: q.name, ports: [{ key: "failover", label: t("Failover"), dest: q.failover, auto: true, readOnly: true }] });
+  for (const g of ringgroups) add(`ringgroup:${g.id}`, { kind: "ringgroup", title: t("Ring group {id}", { id: g.id }), subtitle: g.name, ports: [{ key: "failover", label: t("Failover"), dest: g.failover, auto: true, readOnly: true }] });
+
+  const ensure = (dest) => {
+    const id = flowNodeId(dest);
+    if (nodes.has(id) || !FLOW_KINDS[dest.type] || dest.type === "did") return;
+    const ext = extensions.find(x => String(x.id) === String(dest.target));
+    const known = dest.type === "hangup" || ((dest.type === "extension" || dest.type === "voicemail") && (!extensions.length || (ext && (dest.type === "extension" || ext.voicemail))));
+    add(id, {
+      kind: dest.type, missing: !known,
+      title: dest.type === "hangup" ? t("Hang up") : `${t(FLOW_KINDS[dest.type].label)} ${dest.target}`,
+      subtitle: known ? ext?.name || "" : t("does not exist"),
+    });
+  };
+  for (const n of [...nodes.values()]) for (const p of n.ports) if (hasDest(p.dest)) ensure(p.dest);
+  for (const id of placed) {
+    const dest = flowDest(id);
+    if (["extension", "voicemail", "hangup"].includes(dest.type)) ensure(dest);
+  }
+
+  const list = [...nodes.values()];
+  const edges = list.flatMap(n => n.ports.filter(p => hasDest(p.dest)).map(p => ({ from: n.id, port: p.key, to: flowNodeId(p.dest), auto: p.auto })));
+  return { nodes: list, byId: nodes, edges };
+}
+
+// Errors block saving; warnings don't.
+function validateFlow(graph, data) {
+  const issues = [];
+  const push = (level, node, message) => issues.push({ level, node, message });
+  for (const n of graph.nodes) {
+    if (n.missing) push("error", n.id, t("{name} does not exist", { name: n.title }));
+    for (const p of n.ports) if (!hasDest(p.dest)) push("error", n.id, t("{name}: “{port}” is a dead end", { name: n.title, port: p.label }));
+  }
+  for (const v of data.ivrs) {
+    const id = `ivr:${v.id}`;
+    if (!v.name.trim()) push("error", id, t("IVR {id} needs a name", { id: v.id }));
+    if (!/^\d+$/.test(String(v.timeout)) || v.timeout < 1 || v.timeout > 60) push("error", id, t("{name}: timeout must be 1 to 60 seconds", { name: v.name }));
+    if (!/^\d+$/.test(String(v.invalid_retries)) || v.invalid_retries > 10) push("error", id, t("{name}: invalid retries must be 0 to 10", { name: v.name }));
+    const digits = v.entries.map(e => e.digit);
+    const bad = digits.find(d => !/^([0-9*#]|\d{2,4})$/.test(d));
+    if (bad !== undefined) push("error", id, t("{name}: “{option}” is not a valid option (0-9, *, # or 2-4 digits)", { name: v.name, option: bad }));
+    const dupe = digits.find((d, i) => digits.indexOf(d) !== i);
+    if (dupe) push("error", id, t("{name}: option {option} is used twice", { name: v.name, option: dupe }));
+    if (!v.entries.length) push("warn", id, t("{name}: no menu options", { name: v.name }));
+    if (!v.announcement) push("warn", id, t("{name}: no announcement, callers hear silence", { name: v.name }));
+  }
+  for (const tc of data.timeconditions) {
+    if (!tc.name.trim()) push("error", `timecondition:${tc.id}`, t("Time condition {id} needs a name", { id: tc.id }));
+    if (!data.timegroups.some(g => String(g.id) === String(tc.timegroup))) push("error", `timecondition:${tc.id}`, t("{name}: pick a calendar", { name: tc.name || tc.id }));
+  }
+
+  // A loop made only of edges that fire on their own (no caller key press) never ends.
+  const auto = new Map(graph.nodes.map(n => [n.id, []]));
+  for (const e of graph.edges) if (e.auto) auto.get(e.from).push(e.to);
+  const state = new Map(); // 1 = on the stack, 2 = done
+  const stack = [];
+  const seen = new Set();
+  const visit = (id) => {
+    state.set(id, 1);
+    stack.push(id);
+    for (const to of auto.get(id) || []) {
+      if (state.get(to) === 1) {
+        const cycle = stack.slice(stack.indexOf(to));
+        const key = [...cycle].sort().join("|");
+        if (!seen.has(key)) {
+          seen.add(key);
+          push("error", to, t("Loop with no caller input: {path}", { path: [...cycle, to].map(c => graph.byId.get(c)?.title || c).join(" → ") }));
+        }
+      } else if (!state.has(to)) visit(to);
+    }
+    stack.pop();
+    state.set(id, 2);
+  };
+  for (const n of graph.nodes) if (!state.has(n.id)) visit(n.id);
+
+  const reached = new Set(graph.nodes.filter(n => n.kind === "did").map(n => n.id));
+  const todo = [...reached];
+  while (todo.length) {
+    const id = todo.pop();
+    for (const e of graph.edges) if (e.from === id && !reached.has(e.to)) { reached.add(e.to); todo.push(e.to); }
+  }
+  if (data.inbound.length) {
+    for (const n of graph.nodes) if ((n.kind === "ivr" || n.kind === "timecondition") && !reached.has(n.id)) push("warn", n.id, t("{name} is not reachable from any DID", { name: n.title }));
+  }
+  return issues;
+}
+
+// Columns by distance from the DIDs; anything unreachable goes in a last column.
+function autoLayoutFlow(graph) {
+  const depth = new Map(graph.nodes.filter(n => n.kind === "did").map(n => [n.id, 0]));
+  const todo = [...depth.keys()];
+  while (todo.length) {
+    const id = todo.shift();
+    for (const e of graph.edges) {
+      if (e.from === id && !depth.has(e.to) && graph.byId.has(e.to)) { depth.set(e.to, depth.get(id) + 1); todo.push(e.to); }
+    }
+  }
+  const last = depth.size ? Math.max(...depth.values()) + 1 : 0;
+  const columns = [];
+  for (const n of graph.nodes) (columns[depth.get(n.id) ?? last] ||= []).push(n);
+  const layout = {};
+  columns.forEach((col, c) => {
+    let y = 24;
+    for (const n of col || []) {
+      layout[n.id] = { x: 24 + c * (FLOW_NODE_W + 90), y };
+      y += flowNodeHeight(n) + 24;
+    }
+  });
+  return layout;
+}
+
+// Compact per-object snapshot for the audit trail: "ivr 1" -> JSON.
+function flowSnapshot(data) {
+  return Object.fromEntries([
+    ...data.ivrs.map(v => [`ivr ${v.id}`, v]),
+    ...data.timeconditions.map(t => [`time condition ${t.id}`, t]),
+    ...data.timegroups.map(g => [`calendar ${g.id}`, g]),
+    ...data.inbound.map(r => [`inbound ${r.id}`, r.destination]),
+  ].map(([k, v]) => [k, JSON.stringify(v)]));
+}
+
+function CalendarModal({ open, timegroups, usedBy, onClose, onSubmit }) {
+  const [groups, setGroups] = useState([]);
+  const [sel, setSel] = useState(0);
+  const [showErrors, setShowErrors] = useState(false);
+  useEffect(() => { setGroups(structuredClone(timegroups)); setSel(0); setShowErrors(false); }, [timegroups, open]);
+  const g = groups[sel];
+  const errors = groups.map(validateTimeGroup);
+  const update = (patch) => setGroups(gs => gs.map((x, i) => (i === sel ? { ...x, ...patch } : x)));
+  const setRule = (i, patch) => update({ rules: g.rules.map((r, j) => (j === i ? { ...r, ...patch } : r)) });
+  const setDate = (i, patch) => update({ dates: g.dates.map((d, j) => (j === i ? { ...d, ...patch } : d)) });
+
+  function addGroup() {
+    const id = Math.max(0, ...groups.map(x => Number(x.id) || 0)) + 1;
+    setGroups([...groups, { id, name: "", rules: [], dates: [] }]);
+    setSel(groups.length);
+  }
+
+  function save() {
+    const bad = errors.findIndex(Boolean);
+    if (bad >= 0) { setShowErrors(true); setSel(bad); return; }
+    onSubmit(groups);
+    onClose();
+  }
+
+  return (
+    <EditorModalFrame open={open} title={t("Calendars (time groups and holidays)")} onClose={onClose} onSave={save}>
+      <div className="grid md:grid-cols-3 gap-4">
+        <div className="space-y-1">
+          {groups.map((x, i) => (
+            <button key={x.id} onClick={() => setSel(i)} className={`w-full text-left px-2 py-1 rounded-xl text-sm ${i === sel ? "bg-black text-white" : "hover:bg-gray-100"}`}>
+              {x.name || t("(unnamed)")}{showErrors && errors[i] && <span className="text-rose-500"> ●</span>}
+            </button>
+          ))}
+          <TWButton className="bg-gray-100 w-full" onClick={addGroup}>{t("+ Add calendar")}</TWButton>
+        </div>
+        {g ? (
+          <div className="md:col-span-2 space-y-3 text-sm">
+            <div>
+              <TWLabel>{t("Name")}</TWLabel>
+              <TWInput value={g.name} onChange={e => update({ name: e.target.value })} />
+            </div>
+            <div>
+              <TWLabel>{t("Weekly hours")}</TWLabel>
+              {g.rules.map((r, i) => (
+                <div key={i} className="flex items-center gap-1 mb-1 flex-wrap">
+                  {FLOW_DAYS.map((d, di) => (
+                    <button key={d} onClick={() => setRule(i, { days: r.days.includes(d) ? r.days.filter(x => x !== d) : FLOW_DAYS.filter(x => x === d || r.days.includes(x)) })}
+                      className={`px-1.5 py-0.5 rounded-lg border text-xs ${r.days.includes(d) ? "bg-black text-white" : "bg-white"}`}>{formatWeekday(di)}</button>
+                  ))}
+                  <div className="w-24"><TWInput value={r.start} onChange={e => setRule(i, { start: e.target.value.trim() })} placeholder="09:00" /></div>
+                  <span>{t("to")}</span>
+                  <div className="w-24"><TWInput value={r.end} onChange={e => setRule(i, { end: e.target.value.trim() })} placeholder="17:00" /></div>
+                  <TWButton className="bg-gray-100 px-2" aria-label={t("Remove")} onClick={() => update({ rules: g.rules.filter((_, j) => j !== i) })}>✕</TWButton>
+                </div>
+              ))}
+              <TWButton className="bg-gray-100" onClick={() => update({ rules: [...g.rules, { days: ["mon", "tue", "wed", "thu", "fri"], start: "09:00", end: "17:00" }] })}>{t("+ Weekly rule")}</TWButton>
+            </div>
+            <div>
+              <TWLabel>{t("Dates and holidays")}</TWLabel>
+              {g.dates.map((d, i) => (
+                <div key={i} className="flex items-center gap-1 mb-1">
+                  <TWInput value={d.label} onChange={e => setDate(i, { label: e.target.value })} placeholder={t("Label")} />
+                  <div className="w-40 shrink-0"><TWInput type="date" value={d.from} onChange={e => setDate(i, { from: e.target.value })} /></div>
+                  <span>{t("to")}</span>
+                  <div className="w-40 shrink-0"><TWInput type="date" value={d.to} onChange={e => setDate(i, { to: e.target.value })} /></div>
+                  <TWButton className="bg-gray-100 px-2" aria-label={t("Remove")} onClick={() => update({ dates: g.dates.filter((_, j) => j !== i) })}>✕</TWButton>
+                </div>
+              ))}
+              <TWButton className="bg-gray-100" onClick={() => update({ dates: [...g.dates, { label: "", from: "", to: "" }] })}>{t("+ Date")}</TWButton>
+            </div>
+            <FieldError msg={showErrors ? errors[sel] : ""} />
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">{timeGroupMatches(g) ? t("Matches right now (browser time)") : t("Does not match right now (browser time)")}</span>
+              <TWButton className="bg-rose-600 text-white" disabled={Boolean(usedBy.get(String(g.id)))} title={usedBy.get(String(g.id)) ? t("Used by {name}", { name: usedBy.get(String(g.id)) }) : ""}
+                onClick={() => { setGroups(groups.filter((_, i) => i !== sel)); setSel(0); }}>{t("Delete calendar")}</TWButton>
+            </div>
+          </div>
+        ) : <div className="md:col-span-2 text-sm text-gray-500">{t("No calendars yet.")}</div>}
+      </div>
+    </EditorModalFrame>
+  );
+}
+
+// Side panel for the selected node. Every connection can also be set here, without dragging.
+function FlowInspector({ cfg, node, data, graph, canEdit, onChangeIvr, onChangeTc, onSetDest, onDelete, onCalendars, onAnnouncement }) {
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState("");
+  if (!node) return <div className="text-sm text-gray-500">{t("Select a node to edit it. Drag from a ● handle onto another node to connect them.")}</div>;
+  const [kind, id] = [node.kind, flowDest(node.id).target];
+  const ivr = kind === "ivr" && data.ivrs.find(v => String(v.id) === id);
+  const tc = kind === "timecondition" && data.timeconditions.find(x => String(x.id) === id);
+  const targets = graph.nodes.filter(n => n.kind !== "did" && n.id !== node.id);
+
+  async function upload(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setUploadError("");
+    if (file.size > 5 * 1024 * 1024) { setUploadError(t("Announcements must be 5 MB or smaller")); return; }
+    setUploading(true);
+    try {
+      const { name } = await apiUploadAnnouncement(cfg, file);
+      onAnnouncement(name);
+      onChangeIvr({ announcement: name });
+    } catch (err) {
+      setUploadError(t("Upload failed: {reason}", { reason: err.response?.data?.message || err.message }));
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="font-medium">{node.title}</div>
+        <TWBadge>{t(FLOW_KINDS[kind].label)}</TWBadge>
+      </div>
+      {node.subtitle && <div className="text-gray-600">{node.subtitle}</div>}
+      {ivr && (
+        <>
+          <div>
+            <TWLabel>{t("Name")}</TWLabel>
+            <TWInput value={ivr.name} disabled={!canEdit} onChange={e => onChangeIvr({ name: e.target.value })} />
+          </div>
+          <div>
+            <TWLabel>{t("Announcement")}</TWLabel>
+            <TWSelect value={ivr.announcement} disabled={!canEdit} onChange={e => onChangeIvr({ announcement: e.target.value })}>
+              <option value="">{t("None")}</option>
+              {data.announcements.map(a => <option key={a} value={a}>{a}</option>)}
+            </TWSelect>
+            {canEdit && (
+              <label className="block mt-1 text-xs text-gray-600">
+                {uploading ? t("Uploading…") : `${t("Upload (WAV or MP3)")}: `}
+                <input type="file" accept="audio/wav,audio/x-wav,audio/mpeg,.wav,.mp3" onChange={upload} disabled={uploading} className="text-xs" />
+              </label>
+            )}
+            {uploadError && <div role="alert" className="text-xs text-rose-700 mt-1">{uploadError}</div>}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <TWLabel>{t("Timeout (s)")}</TWLabel>
+              <TWInput type="number" value={ivr.timeout} disabled={!canEdit} onChange={e => onChangeIvr({ timeout: e.target.value === "" ? "" : Number(e.target.value) })} />
+            </div>
+            <div>
+              <TWLabel>{t("Invalid retries")}</TWLabel>
+              <TWInput type="number" value={ivr.invalid_retries} disabled={!canEdit} onChange={e => onChangeIvr({ invalid_retries: e.target.value === "" ? "" : Number(e.target.value) })} />
+            </div>
+          </div>
+          <div>
+            <TWLabel>{t("Menu options")}</TWLabel>
+            {ivr.entries.map((entry, i) => (
+              <div key={i} className="flex items-center gap-1 mb-1">
+                <div className="w-16 shrink-0"><TWInput value={entry.digit} disabled={!canEdit} onChange={e => onChangeIvr({ entries: ivr.entries.map((x, j) => (j === i ? { ...x, digit: e.target.value.trim() } : x)) })} /></div>
+                <span className="truncate flex-1">{hasDest(entry.dest) ? graph.byId.get(flowNodeId(entry.dest))?.title : <span className="text-rose-600">{t("not connected")}</span>}</span>
+                {canEdit && <TWButton className="bg-gray-100 px-2" aria-label={t("Remove")} onClick={() => onChangeIvr({ entries: ivr.entries.filter((_, j) => j !== i) })}>✕</TWButton>}
+              </div>
+            ))}
+            {canEdit && (
+              <TWButton className="bg-gray-100" onClick={() => {
+                const digit = [..."1234567890*#"].find(d => !ivr.entries.some(e => e.digit === d)) || "";
+                onChangeIvr({ entries: [...ivr.entries, { digit, dest: { type: "", target: "" } }] });
+              }}>{t("+ Option")}</TWButton>
+            )}
+          </div>
+        </>
+      )}
+      {tc && (
+        <>
+          <div>
+            <TWLabel>{t("Name")}</TWLabel>
+            <TWInput value={tc.name} disabled={!canEdit} onChange={e => onChangeTc({ name: e.target.value })} />
+          </div>
+          <div>
+            <TWLabel>{t("Calendar")}</TWLabel>
+            <div className="flex gap-2">
+              <TWSelect value={String(tc.timegroup)} disabled={!canEdit} onChange={e => onChangeTc({ timegroup: e.target.value === "" ? "" : Number(e.target.value) })}>
+                <option value="">{t("Choose…")}</option>
+                {data.timegroups.map(g => <option key={g.id} value={String(g.id)}>{g.name}</option>)}
+              </TWSelect>
+              {canEdit && <TWButton className="bg-gray-100" onClick={onCalendars}>{t("Edit")}</TWButton>}
+            </div>
+          </div>
+        </>
+      )}
+      {kind === "did" && <div className="text-gray-600">{t("DIDs come from inbound routes; add or remove them in Call Routing.")}</div>}
+      {(kind === "queue" || kind === "ringgroup") && <div className="text-gray-600">{t("Members and failover are edited in Queues & Ring Groups.")}</div>}
+
+      {node.ports.length > 0 && (
+        <div>
+          <TWLabel>{t("Connections")}</TWLabel>
+          {node.ports.map(p => (
+            <div key={p.key} className="flex items-center gap-2 mb-1">
+              <span className="w-24 shrink-0">{p.label}</span>
+              <TWSelect value={hasDest(p.dest) ? flowNodeId(p.dest) : ""} disabled={!canEdit || p.readOnly} onChange={e => onSetDest(node.id, p.key, e.target.value ? flowDest(e.target.value) : { type: "", target: "" })}>
+                <option value="">— {t("not connected")} —</option>
+                {targets.map(n => <option key={n.id} value={n.id}>{n.title}{n.subtitle && !n.missing ? ` (${n.subtitle})` : ""}</option>)}
+              </TWSelect>
+            </div>
+          ))}
+        </div>
+      )}
+      {canEdit && (ivr || tc) && <TWButton className="bg-rose-600 text-white" onClick={() => onDelete(node.id)}>{ivr ? t("Delete IVR") : t("Delete time condition")}</TWButton>}
+    </div>
+  );
+}
+
+function CallFlowPanel({ cfg, can, pushAudit }) {
+  const empty = { inbound: [], ivrs: [], timeconditions: [], timegroups: [], announcements: [], queues: [], ringgroups: [], extensions: [] };
+  const [data, setData] = useState(empty);
+  const [saved, setSaved] = useState({ snapshot: {}, layout: {} });
+  const [layout, setLayout] = useState({});
+  const [selected, setSelected] = useState("");
+  const [drag, setDrag] = useState(null); // { mode: "move", id, dx, dy } | { mode: "connect", from, port, x, y }
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [actionError, setActionError] = useState(""); // why the last save didn't go through
+  const [calendarsOpen, setCalendarsOpen] = useState(false);
+  const [ask, askDialog] = useAsk();
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const now = useNow(60_000);
+  const canEdit = can("callflows:edit");
+  const canRoute = canEdit && can("routes:edit");
+
+  const graph = useMemo(() => buildFlowGraph(data, { placed: Object.keys(layout), now: new Date(now), canRoute }), [data, layout, now, canRoute]);
+  const issues = useMemo(() => validateFlow(graph, data), [graph, data]);
+  const errorNodes = new Set(issues.filter(i => i.level === "error").map(i => i.node));
+  const dirty = JSON.stringify(flowSnapshot(data)) !== JSON.stringify(saved.snapshot) || JSON.stringify(layout) !== JSON.stringify(saved.layout);
+
+  async function load({ rearrange = false } = {}) {
+    if (dirty && !(await ask(t("Discard unsaved changes to the call flow?"), { confirmLabel: t("Discard"), danger: true }))) return;
+    setLoading(true); setError(""); setActionError("");
+    const [flow, inb, qs, rgs, exts] = await Promise.allSettled([
+      apiFetchCallFlow(cfg),
+      can("routes:view") ? apiFetchRoutes(cfg, "inbound") : Promise.resolve([]),
+      can("queues:view") ? apiFetchGroups(cfg, "queues") : Promise.resolve([]),
+      can("queues:view") ? apiFetchGroups(cfg, "ringgroups") : Promise.resolve([]),
+      can("extensions:view") ? apiFetchExtensions(cfg) : Promise.resolve([]),
+    ]);
+    setLoading(false);
+    if (flow.status === "rejected") { setError(`${t("Could not load the call flow.")} ${describeError(flow.reason)}`); return; }
+    const value = (r) => (r.status === "fulfilled" ? r.value : []);
+    const next = {
+      ...empty, ...flow.value,
+      inbound: value(inb), queues: value(qs), ringgroups: value(rgs), extensions: value(exts),
+    };
+    // Saved positions win; anything new (or everything, when importing) is laid out automatically.
+    const auto = autoLayoutFlow(buildFlowGraph(next, { placed: Object.keys(flow.value.layout || {}) }));
+    const nextLayout = rearrange ? auto : { ...auto, ...(flow.value.layout || {}) };
+    setData(next);
+    setLayout(nextLayout);
+    setSaved({ snapshot: flowSnapshot(next), layout: nextLayout });
+    setSelected("");
+  }
+  useEffect(() => { load(); }, [cfg.baseURL, cfg.apiKey, cfg.backend]);
+
+  async function save() {
+    const errors = issues.filter(i => i.level === "error");
+    setActionError("");
+    if (errors.length) { setActionError(`${t("Fix {n} problem(s) before saving:", { n: errors.length })}\n${errors.slice(0, 5).map(i => `• ${i.message}`).join("\n")}`); return; }
+    const before = saved.snapshot;
+    const after = flowSnapshot(data);
+    const changedInbound = data.inbound.filter(r => before[`inbound ${r.id}`] !== after[`inbound ${r.id}`]);
+    const keep = new Set(graph.nodes.map(n => n.id));
+    const cleanLayout = Object.fromEntries(Object.entries(layout).filter(([k]) => keep.has(k)));
+    const changes = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(k => before[k] !== after[k])
+      .map(k => ({ field: k, from: before[k] ?? "(new)", to: after[k] ?? "(deleted)" }));
+    const detail = `${data.ivrs.length} IVRs, ${data.timeconditions.length} time conditions, ${data.timegroups.length} calendars`;
+    setSaving(true);
+    try {
+      await apiSaveCallFlow(cfg, {
+        ivrs: data.ivrs, timeconditions: data.timeconditions, timegroups: data.timegroups,
+        inbound: changedInbound.map(r => ({ id: r.id, destination: r.destination })),
+        layout: cleanLayout,
+      });
+      setLayout(cleanLayout);
+      setSaved({ snapshot: after, layout: cleanLayout });
+      pushAudit({ action: "save_call_flow", detail, changes });
+    } catch (e) {
+      pushAudit({ action: "failed_save_call_flow", detail });
+      setActionError(t("Failed to save the call flow: {reason}", { reason: e.response?.data?.message || e.message }));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function setPortDest(nodeId, key, dest) {
+    const { type, target } = flowDest(nodeId);
+    setData(d => {
+      if (type === "did") return { ...d, inbound: d.inbound.map(r => (String(r.id) === target ? { ...r, destination: dest } : r)) };
+      if (type === "ivr") {
+        return {
+          ...d, ivrs: d.ivrs.map(v => (String(v.id) !== target ? v : key.startsWith("entry:")
+            ? { ...v, entries: v.entries.map((e, i) => (i === Number(key.slice(6)) ? { ...e, dest } : e)) }
+            : { ...v, [key]: dest })),
+        };
+      }
+      if (type === "timecondition") return { ...d, timeconditions: d.timeconditions.map(tc => (String(tc.id) === target ? { ...tc, [key]: dest } : tc)) };
+      return d;
+    });
+  }
+
+  const updateIn = (list, nodeId) => (patch) => {
+    const { target } = flowDest(nodeId);
+    setData(d => ({ ...d, [list]: d[list].map(x => (String(x.id) === target ? { ...x, ...patch } : x)) }));
+  };
+
+  // New nodes go at the top-left of whatever part of the canvas is in view.
+  function placeAt(id) {
+    const el = canvasRef.current?.parentElement;
+    setLayout(l => ({ ...l, [id]: { x: (el?.scrollLeft || 0) + 40, y: (el?.scrollTop || 0) + 40 } }));
+    setSelected(id);
+  }
+
+  function addNode(list) {
+    const id = Math.max(0, ...data[list].map(x => Number(x.id) || 0)) + 1;
+    const row = list === "ivrs" ? { ...structuredClone(IVR_DEFAULTS), id, name: `IVR ${id}` } : { ...structuredClone(TIME_CONDITION_DEFAULTS), id, name: `Time condition ${id}` };
+    setData(d => ({ ...d, [list]: [...d[list], row] }));
+    placeAt(`${list === "ivrs" ? "ivr" : "timecondition"}:${id}`);
+  }
+
+  async function deleteNode(nodeId) {
+    const { type, target } = flowDest(nodeId);
+    const list = type === "ivr" ? "ivrs" : "timeconditions";
+    if (!(await ask(t("Delete {name}? Anything that points at it becomes a dead end.", { name: graph.byId.get(nodeId)?.title }), { confirmLabel: t("Delete"), danger: true }))) return;
+    setData(d => ({ ...d, [list]: d[list].filter(x => String(x.id) !== target) }));
+    setLayout(l => { const next = { ...l }; delete next[nodeId]; return next; });
+    setSelected("");
+  }
+
+  function canvasPoint(e) {
+    const r = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  }
+
+  const nodeAt = (p) => graph.nodes.find(n => {
+    const pos = layout[n.id];
+    return pos && p.x >= pos.x && p.x <= pos.x + FLOW_NODE_W && p.y >= pos.y && p.y <= pos.y + flowNodeHeight(n);
+  });
+
+  function startDrag(e, next) {
+    e.preventDefault();
+    e.stopPropagation();
+    dragRef.current = next;
+    setDrag(next);
+  }
+
+  useEffect(() => {
+    if (!drag) return undefined;
+    const move = (e) => {
+      const d = dragRef.current;
+      const p = canvasPoint(e);
+      if (d.mode === "move") setLayout(l => ({ ...l, [d.id]: { x: Math.max(0, Math.round(p.x - d.dx)), y: Math.max(0, Math.round(p.y - d.dy)) } }));
+      else { dragRef.current = { ...d, x: p.x, y: p.y }; setDrag(dragRef.current); }
+    };
+    const up = (e) => {
+      const d = dragRef.current;
+      if (d.mode === "connect") {
+        const target = nodeAt(canvasPoint(e));
+        if (target && target.kind !== "did" && target.id !== d.from) setPortDest(d.from, d.port, flowDest(target.id));
+      }
+      dragRef.current = null;
+      setDrag(null);
+    };
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+    return () => { window.removeEventListener("pointermove", move); window.removeEventListener("pointerup", up); };
+  }, [drag !== null, graph, layout]);
+
+  const portPoint = (n, i) => ({ x: layout[n.id].x + FLOW_NODE_W, y: layout[n.id].y + FLOW_HEADER_H + i * FLOW_PORT_H + FLOW_PORT_H / 2 });
+  const inPoint = (id) => ({ x: layout[id].x, y: layout[id].y + FLOW_HEADER_H / 2 });
+  const curve = (a, b) => `M ${a.x} ${a.y} C ${a.x + 60} ${a.y}, ${b.x - 60} ${b.y}, ${b.x} ${b.y}`;
+  const width = Math.max(900, ...graph.nodes.map(n => (layout[n.id]?.x || 0) + FLOW_NODE_W + 80));
+  const height = Math.max(480, ...graph.nodes.map(n => (layout[n.id]?.y || 0) + flowNodeHeight(n) + 80));
+  const usedBy = new Map(data.timeconditions.map(tc => [String(tc.timegroup), tc.name]));
+  const placeable = [
+    ...data.extensions.map(x => [`extension:${x.id}`, `${t("Extension")} ${x.id} ${x.name}`]),
+    ...data.extensions.filter(x => x.voicemail).map(x => [`voicemail:${x.id}`, `${t("Voicemail")} ${x.id} ${x.name}`]),
+    ["hangup", t("Hang up")],
+  ].filter(([id]) => !graph.byId.has(id));
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <div className="flex items-center gap-2">
+          <h2 className="text-xl font-semibold">{t("Call Flows")}</h2>
+          {dirty && <TWBadge tone="warn">{t("unsaved")}</TWBadge>}
+        </div>
+        <div className="flex items-center gap-2 flex-wrap">
+          {canEdit && <TWButton className="bg-white" onClick={() => addNode("ivrs")}>{t("+ IVR")}</TWButton>}
+          {canEdit && <TWButton className="bg-white" onClick={() => addNode("timeconditions")}>{t("+ Time condition")}</TWButton>}
+          {canEdit && <TWButton className="bg-white" onClick={() => setCalendarsOpen(true)}>{t("Calendars")}</TWButton>}
+          {placeable.length > 0 && (
+            <div className="w-56">
+              <TWSelect value="" onChange={e => e.target.value && placeAt(e.target.value)}>
+                <option value="">{t("Place destination…")}</option>
+                {placeable.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </TWSelect>
+            </div>
+          )}
+          <TWButton className="bg-white" onClick={() => setLayout(autoLayoutFlow(graph))}>{t("Auto-arrange")}</TWButton>
+          <TWButton className="bg-white" onClick={() => load({ rearrange: true })} disabled={loading} title={t("Reload the current PBX configuration and lay it out from scratch")}>{t("Import from PBX")}</TWButton>
+          {canEdit && <TWButton className="bg-black text-white" onClick={save} disabled={saving || !dirty}>{saving ? t("Saving…") : t("Save")}</TWButton>}
+        </div>
+      </div>
+      {error && <LoadError error={error} onRetry={() => load()} busy={loading} />}
+      {actionError && <LoadError error={actionError} />}
+      {askDialog}
+
+      <div className="grid lg:grid-cols-4 gap-4">
+        <div className="lg:col-span-3 border rounded-2xl overflow-auto h-[560px] bg-gray-50">
+          <div ref={canvasRef} className="relative" style={{ width, height }} onPointerDown={() => setSelected("")}>
+            <svg className="absolute inset-0 pointer-events-none" width={width} height={height}>
+              {graph.nodes.filter(n => layout[n.id]).flatMap(n => n.ports.map((p, i) => {
+                if (!hasDest(p.dest) || !layout[flowNodeId(p.dest)]) return null;
+                const bad = errorNodes.has(flowNodeId(p.dest)) && graph.byId.get(flowNodeId(p.dest))?.missing;
+                return (
+                  <path key={`${n.id}|${p.key}`} d={curve(portPoint(n, i), inPoint(flowNodeId(p.dest)))} fill="none" strokeWidth="2"
+                    className={bad ? "stroke-rose-500" : p.auto ? "stroke-gray-400" : "stroke-indigo-500"} strokeDasharray={p.readOnly ? "4 3" : undefined} />
+                );
+              }))}
+              {drag?.mode === "connect" && layout[drag.from] && (
+                <path d={curve(portPoint(graph.byId.get(drag.from), graph.byId.get(drag.from).ports.findIndex(p => p.key === drag.port)), { x: drag.x, y: drag.y })}
+                  fill="none" strokeWidth="2" className="stroke-black" strokeDasharray="5 4" />
+              )}
+            </svg>
+            {graph.nodes.filter(n => layout[n.id]).map(n => {
+              const pos = layout[n.id];
+              return (
+                <div key={n.id} className={`absolute bg-white rounded-xl border shadow-sm pb-2 ${selected === n.id ? "ring-2 ring-black" : ""} ${errorNodes.has(n.id) ? "border-rose-400" : ""}`}
+                  style={{ left: pos.x, top: pos.y, width: FLOW_NODE_W }} onPointerDown={e => { e.stopPropagation(); setSelected(n.id); }}>
+                  <div className={`px-2 rounded-t-xl cursor-move select-none ${FLOW_KINDS[n.kind].className}`} style={{ height: FLOW_HEADER_H }}
+                    onPointerDown={e => { setSelected(n.id); const p = canvasPoint(e); startDrag(e, { mode: "move", id: n.id, dx: p.x - pos.x, dy: p.y - pos.y }); }}>
+                    <div className="flex items-center justify-between text-sm font-medium pt-0.5">
+                      <span className="truncate">{n.title}</span>
+                      <span className="text-xs opacity-70">{t(FLOW_KINDS[n.kind].label)}</span>
                     </div>
-                    <div>
-                      <TWLabel>Options</TWLabel>
-                      <TWTextarea placeholder="key=value\nautodelete=yes" rows={3} />
+                    <div className={`text-xs truncate ${n.missing ? "text-rose-700" : "opacity-70"}`}>{n.subtitle}</div>
+                  </div>
+                  {n.ports.map(p => (
+                    <div key={p.key} className="relative flex items-center px-2 text-xs" style={{ height: FLOW_PORT_H }}>
+                      <span className={hasDest(p.dest) ? "" : "text-rose-600"}>{p.label}</span>
+                      <span title={p.readOnly ? t("Edited elsewhere") : t("Drag onto a node to connect")}
+                        className={`absolute -right-1.5 w-3 h-3 rounded-full border-2 border-white ${hasDest(p.dest) ? "bg-indigo-500" : "bg-rose-500"} ${canEdit && !p.readOnly ? "cursor-crosshair" : "opacity-50"}`}
+                        onPointerDown={e => { if (canEdit && !p.readOnly) { const pt = canvasPoint(e); startDrag(e, { mode: "connect", from: n.id, port: p.key, x: pt.x, y: pt.y }); } }} />
                     </div>
+                  ))}
+                </div>
+              );
+            })}
+            {!graph.nodes.length && <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">{loading ? t("Loading…") : t("Nothing to show yet")}</div>}
+          </div>
+        </div>
+        <div>
+          <FlowInspector cfg={cfg} node={graph.byId.get(selected)} data={data} graph={graph} canEdit={canEdit}
+            onChangeIvr={updateIn("ivrs", selected)} onChangeTc={updateIn("timeconditions", selected)} onSetDest={setPortDest}
+            onDelete={deleteNode} onCalendars={() => setCalendarsOpen(true)}
+            onAnnouncement={name => setData(d => ({ ...d, announcements: d.announcements.includes(name) ? d.announcements : [...d.announcements, name] }))} />
+        </div>
+      </div>
+
+      {issues.length > 0 && (
+        <div className="mt-3 space-y-1 text-sm">
+          {issues.map((i, k) => (
+            <button key={k} onClick={() => setSelected(i.node)} className={`block text-left ${i.level === "error" ? "text-rose-700" : "text-amber-700"}`}>
+              {i.level === "error" ? "✗" : "!"} {i.message}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <CalendarModal open={calendarsOpen} timegroups={data.timegroups} usedBy={usedBy} onClose={() => setCalendarsOpen(false)}
+        onSubmit={timegroups => setData(d => ({ ...d, timegroups }))} />
+    </TWCard>
+  );
+}
+
+// ===============
+// Active Calls Panel (live channels + admin call control)
+// ===============
+function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(t);
+  }, [intervalMs]);
+  return now;
+}
+
+function ActiveCallsPanel({ status, can, pushAudit }) {
+  const now = useNow();
+  const [supervisor, setSupervisor] = useState("");
+  const [spyMode, setSpyMode] = useState("listen");
+  const [busy, setBusy] = useState(null); // channel id with an action in flight
+  const [error, setError] = useState("");
+  const [ask, askDialog] = useAsk();
+  const canControl = can("calls:control");
+  const actionFailed = { hangup: "Hang up failed for {call}: {reason}", transfer: "Transfer failed for {call}: {reason}", spy: "Spy failed for {call}: {reason}" };
+  const badge = ARI_CONNECTION_BADGE[status.connection];
+
+  async function run(action, call, opts, detail) {
+    setBusy(call.id); setError("");
+    pushAudit({ action: `${action}_call`, detail });
+    try {
+      await status.callAction(action, call, opts);
+    } catch (e) {
+      pushAudit({ action: `failed_${action}_call`, detail });
+      setError(t(actionFailed[action], { call: call.name, reason: e.response?.data?.message || e.message }));
+    } finally { setBusy(null); }
+  }
+
+  async function hangup(call) {
+    if (!(await ask(t("Hang up {call}?", { call: call.name }), { confirmLabel: t("Hang up"), danger: true }))) return;
+    run("hangup", call, {}, call.name);
+  }
+
+  async function transfer(call) {
+    const ext = ((await ask(t("Blind transfer {call} to extension:", { call: call.caller || call.name }), { confirmLabel: t("Transfer"), input: "" })) || "").trim();
+    if (!ext) return;
+    if (!/^\d+$/.test(ext)) { setError(t("“{ext}” is not an extension number", { ext })); return; }
+    run("transfer", call, { ext }, `${call.name} → ${ext}`);
+  }
+
+  function spy(call) {
+    if (!/^\d+$/.test(supervisor.trim())) { setError(t("Enter your supervisor extension before spying")); return; }
+    run("spy", call, { supervisor: supervisor.trim(), mode: spyMode }, `${supervisor.trim()} ${spyMode} ${call.name}`);
+  }
+
+  return (
+    <TWCard>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <h2 className="text-xl font-semibold">{t("Active Calls")}</h2>
+          <TWBadge>{t("{n} channels", { n: status.calls.length })}</TWBadge>
+          <TWBadge tone={badge.tone}>{t(badge.label)}</TWBadge>
+        </div>
+        <div className="flex items-center gap-2">
+          <TWInput placeholder={t("Supervisor ext")} value={supervisor} onChange={e => setSupervisor(e.target.value)} className="w-36" disabled={!canControl} />
+          <TWSelect value={spyMode} onChange={e => setSpyMode(e.target.value)} className="w-32" disabled={!canControl}>
+            <option value="listen">{t("Listen")}</option>
+            <option value="whisper">{t("Whisper")}</option>
+            <option value="barge">{t("Barge")}</option>
+          </TWSelect>
+        </div>
+      </div>
+      {error && <div className="mb-3 text-sm text-rose-700">{error}</div>}
+      {askDialog}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">{t("Channel")}</th>
+              <th>{t("Caller")}</th>
+              <th>{t("Callee")}</th>
+              <th>{t("Ext")}</th>
+              <th>{t("Trunk")}</th>
+              <th>{t("Bridged with")}</th>
+              <th className="text-right">{t("Duration")}</th>
+              <th className="text-right">{t("Actions")}</th>
+            </tr>
+          </thead>
+          <tbody onKeyDown={rowKeyNav}>
+            {status.calls.length === 0 ? (
+              <tr><td colSpan={8} className="py-8 text-center text-gray-500">{t("No calls in progress")}</td></tr>
+            ) : (
+              status.calls.map(c => (
+                <tr key={c.id} data-row tabIndex={0} className="border-b hover:bg-gray-50">
+                  <td className="py-2 font-mono text-xs">
+                    {c.name}
+                    {c.app && c.app !== "Dial" && <span className="ml-1"><TWBadge tone={c.app === "Queue" ? "warn" : "default"}>{c.app}</TWBadge></span>}
+                  </td>
+                  <td><span className="font-mono">{c.caller}</span>{c.callerName && <span className="text-gray-500"> {c.callerName}</span>}</td>
+                  <td className="font-mono">{c.callee}</td>
+                  <td className="font-mono">{c.extension}</td>
+                  <td>{c.trunk}</td>
+                  <td className="font-mono text-xs text-gray-600">{c.peer || "—"}</td>
+                  <td className="text-right font-mono">{Number.isFinite(c.startedAt) ? secondsToHMS(Math.max(0, Math.floor((now - c.startedAt) / 1000))) : "—"}</td>
+                  <td className="text-right whitespace-nowrap">
+                    <TWButton className="bg-gray-100 mr-1" disabled={!canControl || busy === c.id} onClick={() => spy(c)}>{t("Spy")}</TWButton>
+                    <TWButton className="bg-gray-100 mr-1" disabled={!canControl || busy === c.id} onClick={() => transfer(c)}>{t("Transfer")}</TWButton>
+                    <TWButton className={`text-white ${canControl ? "bg-rose-600" : "bg-gray-300"}`} disabled={!canControl || busy === c.id} onClick={() => hangup(c)}>{t("Hang up")}</TWButton>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </TWCard>
+  );
+}
+
+
+// ===============
+// Softphone (WebRTC) and click-to-call
+// ===============
+// The softphone registers as the user's own PJSIP extension over the PBX's SIP WebSocket (Asterisk's
+// wss://<pbx>:8089/ws) with JsSIP, which is only loaded once the user registers. Its settings are per
+// user and browser; the SIP password is kept for the session only, like the PBX secrets. Click-to-call
+// dials through it, or has the PBX ring the user's desk phone first (originateCall).
+
+const SOFTPHONE_STORE_KEY = "freepbx-ui.softphone"; // + ".<username>"
+const SOFTPHONE_DEFAULTS = {
+  wsURL: "", // e.g. wss://pbx.example.com:8089/ws
+  domain: "", // SIP domain; empty uses the WebSocket host
+  extension: "",
+  displayName: "",
+  dialVia: "softphone", // "softphone" | "desk": what click-to-call uses
+  deskExt: "",
+};
+const SOFTPHONE_CALL_OPTIONS = {
+  mediaConstraints: { audio: true, video: false },
+  pcConfig: { iceServers: [] }, // host candidates only, so no third-party STUN server learns about calls
+};
+const SOFTPHONE_RING_MS = 3000;
+const SOFTPHONE_ENDED_MS = 3000; // how long an ended call stays on screen
+const DIALPAD_KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "*", "0", "#"];
+
+const REGISTRATION_BADGE = {
+  off: { tone: "default", label: "off", dot: "bg-gray-400" },
+  connecting: { tone: "warn", label: "connecting", dot: "bg-amber-400" },
+  registered: { tone: "ok", label: "registered", dot: "bg-green-500" },
+  failed: { tone: "err", label: "failed", dot: "bg-rose-500" },
+};
+
+const CALL_STATE_LABEL = { dialling: "Calling…", ringing: "Ringing…", incoming: "Incoming call", active: "Connected", ended: "Call ended" };
+
+// "0412 345 678" or "+61 (2) 9999-0000" -> what a PBX can dial; "" for anything else.
+function dialString(text) {
+  const s = String(text ?? "").replace(/[\s().-]/g, "");
+  return /^\+?[0-9*#]{1,32}$/.test(s) ? s : "";
+}
+
+const sipDomain = (s) => s.domain.trim() || new URL(s.wsURL.trim()).hostname;
+
+function readSoftphoneSettings(key) {
+  try { return { ...SOFTPHONE_DEFAULTS, ...JSON.parse(localStorage.getItem(key)) }; } catch { return { ...SOFTPHONE_DEFAULTS }; }
+}
+
+// Returns { field: message }. The WebSocket and extension are only needed to register; click-to-call
+// from a desk phone works without them.
+function validateSoftphone(s, { registering = false } = {}) {
+  const e = {};
+  const wsURL = s.wsURL.trim();
+  if (wsURL) {
+    let url = null;
+    try { url = new URL(wsURL); } catch { /* reported below */ }
+    if (!url || !["wss:", "ws:"].includes(url.protocol)) e.wsURL = "Use a wss:// URL such as wss://pbx.example.com:8089/ws";
+    else if (url.protocol === "ws:" && window.location.protocol === "https:") e.wsURL = "This page is on HTTPS, so the browser blocks ws://. Use wss://";
+    else if (url.username || url.password) e.wsURL = "Put the password in its own field, not in the URL";
+  } else if (registering) e.wsURL = "Enter the PBX's SIP WebSocket";
+  if (s.extension.trim() && !/^[A-Za-z0-9_.+-]{1,40}$/.test(s.extension.trim())) e.extension = "Letters, digits and . _ + - only";
+  else if (!s.extension.trim() && registering) e.extension = "Enter your extension";
+  if (s.domain.trim() && !/^[A-Za-z0-9.-]+$/.test(s.domain.trim())) e.domain = "A host name, without sip: or a port";
+  if (/[<>"\r\n]/.test(s.displayName)) e.displayName = "Leave out < > and quotes";
+  if (s.dialVia === "desk" && !isExtensionNumber(s.deskExt.trim())) e.deskExt = "Enter your desk phone's extension";
+  return e;
+}
+
+// JsSIP's end and failure causes, phrased for the person holding the phone.
+function describeSipCause(cause) {
+  const text = {
+    "Authentication Error": "The PBX rejected the extension or password.",
+    "Connection Error": "The connection to the PBX failed.",
+    "Request Timeout": "The PBX didn't answer in time.",
+    Busy: "Busy.",
+    Rejected: "The call was declined.",
+    Unavailable: "Nobody answered.",
+    "No Answer": "Nobody answered.",
+    "Not Found": "That number doesn't exist.",
+    "Address Incomplete": "That number is incomplete.",
+    Canceled: "Cancelled.",
+    Terminated: "Call ended.",
+    "User Denied Media Access": "The browser has no microphone access. Allow it for this site and try again.",
+    "Incompatible SDP": "The PBX and the browser couldn't agree on audio. Check that the extension has WebRTC enabled.",
+    "RTP Timeout": "The audio connection was lost.",
+  }[cause];
+  return text ? t(text) : cause || t("Call ended.");
+}
+
+// Two short bursts of the 440 + 480 Hz ring tone, on the alerts' audio context.
+function ringBurst() {
+  try {
+    alertAudio ||= new (window.AudioContext || window.webkitAudioContext)();
+    for (let i = 0; i < 2; i += 1) {
+      const t = alertAudio.currentTime + i * 0.5;
+      const gain = alertAudio.createGain();
+      gain.gain.setValueAtTime(0.1, t);
+      gain.gain.setValueAtTime(0, t + 0.4);
+      gain.connect(alertAudio.destination);
+      for (const hz of [440, 480]) {
+        const osc = alertAudio.createOscillator();
+        osc.frequency.value = hz;
+        osc.connect(gain);
+        osc.start(t);
+        osc.stop(t + 0.4);
+      }
+    }
+  } catch { /* no audio output available */ }
+}
+
+// One softphone per signed-in user. `call` mirrors the JsSIP session:
+// { id, direction, number, name, state: "dialling" | "ringing" | "incoming" | "active" | "ended", held, muted, answeredAt, cause }
+function useSoftphone({ cfg, username, enabled, pushAudit }) {
+  const storeKey = `${SOFTPHONE_STORE_KEY}.${username}`;
+  const [settings, setSettings] = useState(() => readSoftphoneSettings(storeKey));
+  const [password, setPassword] = useState(""); // this session only
+  const [registration, setRegistration] = useState("off"); // "off" | "connecting" | "registered" | "failed"
+  const [error, setError] = useState("");
+  const [dialError, setDialError] = useState(""); // why the last outgoing call didn't start
+  const [call, setCall] = useState(null);
+  const [open, setOpen] = useState(false);
+  const ua = useRef(null);
+  const session = useRef(null);
+  const audio = useRef(null);
+  const ringer = useRef(null); // { timer, notification } while a call rings here
+
+  useEffect(() => () => teardown(), []);
+
+  function saveSettings(next) {
+    setSettings(next);
+    localStorage.setItem(storeKey, JSON.stringify(next));
+  }
+
+  function stopRinging() {
+    const r = ringer.current;
+    ringer.current = null;
+    if (!r) return;
+    clearInterval(r.timer);
+    r.notification?.close();
+  }
+
+  function startRinging(who) {
+    ringBurst();
+    let notification = null;
+    if (document.hidden && "Notification" in window && Notification.permission === "granted") {
+      notification = new Notification(t("Incoming call"), { body: who, tag: "freepbx-ui-softphone", requireInteraction: true });
+      notification.onclick = () => window.focus();
+    }
+    ringer.current = { timer: setInterval(ringBurst, SOFTPHONE_RING_MS), notification };
+  }
+
+  function playRemote(pc) {
+    audio.current ||= new Audio();
+    audio.current.autoplay = true;
+    pc.addEventListener("track", (e) => {
+      audio.current.srcObject = e.streams[0] || new MediaStream([e.track]);
+      audio.current.play().catch(() => { /* no audio output available */ });
+    });
+  }
+
+  function track(s, { number, name }) {
+    session.current = s;
+    setCall({ id: s.id, direction: s.direction, number, name, state: s.direction === "incoming" ? "incoming" : "dialling", held: false, muted: false, answeredAt: null, cause: "" });
+    const update = (patch) => setCall(c => (c?.id === s.id ? { ...c, ...patch } : c));
+    s.on("progress", () => { if (s.direction === "outgoing") update({ state: "ringing" }); });
+    s.on("accepted", () => { stopRinging(); update({ state: "active", answeredAt: Date.now() }); });
+    s.on("hold", (e) => { if (e.originator === "local") update({ held: true }); });
+    s.on("unhold", (e) => { if (e.originator === "local") update({ held: false }); });
+    s.on("muted", () => update({ muted: true }));
+    s.on("unmuted", () => update({ muted: false }));
+    const end = (e) => {
+      stopRinging();
+      if (session.current === s) session.current = null;
+      update({ state: "ended", cause: describeSipCause(e.cause) });
+      setTimeout(() => setCall(c => (c?.id === s.id ? null : c)), SOFTPHONE_ENDED_MS);
+    };
+    s.on("ended", end);
+    s.on("failed", end);
+  }
+
+  function teardown() {
+    stopRinging();
+    const phone = ua.current;
+    ua.current = null;
+    session.current = null;
+    setCall(null);
+    if (phone) {
+      phone.removeAllListeners();
+      phone.stop(); // ends any call and unregisters
+    }
+  }
+
+  async function register(next = settings) {
+    teardown();
+    setRegistration("connecting"); setError("");
+    let JsSIP;
+    try {
+      ({ default: JsSIP } = await import("jssip"));
+    } catch (e) {
+      setRegistration("failed"); setError(t("Could not load the SIP library: {reason}", { reason: e.message }));
+      return;
+    }
+    const wsURL = next.wsURL.trim();
+    const phone = new JsSIP.UA({
+      sockets: [new JsSIP.WebSocketInterface(wsURL)],
+      uri: `sip:${next.extension.trim()}@${sipDomain(next)}`,
+      password,
+      display_name: next.displayName.trim() || undefined,
+      register: true,
+      session_timers: false,
+      user_agent: "freepbx-ui softphone",
+    });
+    phone.on("registered", () => { setRegistration("registered"); setError(""); });
+    phone.on("registrationFailed", (e) => {
+      setRegistration("failed");
+      setError(describeSipCause(e.cause));
+      if (e.cause === JsSIP.C.causes.AUTHENTICATION_ERROR) teardown(); // retrying would only lock the extension out
+    });
+    // JsSIP reconnects by itself, with backoff.
+    phone.on("disconnected", (e) => {
+      setRegistration(r => (r === "failed" ? r : "connecting"));
+      if (e.error) setError(t("No connection to {url}; retrying. Check the URL and port, and open {check} in a tab once if the browser doesn't trust the PBX certificate yet.", { url: wsURL, check: `https://${new URL(wsURL).host}/ws` }));
+    });
+    phone.on("newRTCSession", ({ session: s, originator }) => {
+      if (originator !== "remote") return;
+      if (session.current) {
+        s.terminate({ status_code: 486, reason_phrase: "Busy Here" });
+        return;
+      }
+      const who = s.remote_identity;
+      s.on("peerconnection", ({ peerconnection }) => playRemote(peerconnection));
+      track(s, { number: who.uri.user, name: who.display_name || "" });
+      startRinging(who.display_name ? `${who.display_name} (${who.uri.user})` : who.uri.user);
+    });
+    ua.current = phone;
+    phone.start();
+  }
+
+  function unregister() {
+    teardown();
+    setRegistration("off"); setError("");
+  }
+
+  function placeCall(number) {
+    if (!ua.current?.isRegistered()) throw new Error(t("The softphone isn't registered"));
+    if (session.current) throw new Error(t("Finish the current call first"));
+    const s = ua.current.call(`sip:${number}@${sipDomain(settings)}`, SOFTPHONE_CALL_OPTIONS);
+    track(s, { number, name: "" });
+    playRemote(s.connection);
+  }
+
+  function answer() {
+    stopRinging();
+    session.current?.answer(SOFTPHONE_CALL_OPTIONS);
+    setOpen(true);
+  }
+
+  const decline = () => session.current?.terminate({ status_code: 603, reason_phrase: "Decline" });
+  const hangup = () => session.current?.terminate();
+  const sendDigit = (digit) => session.current?.sendDTMF(digit);
+
+  function toggleHold() {
+    const s = session.current;
+    if (s) s.isOnHold().local ? s.unhold() : s.hold();
+  }
+
+  function toggleMute() {
+    const s = session.current;
+    if (s) s.isMuted().audio ? s.unmute({ audio: true }) : s.mute({ audio: true });
+  }
+
+  // Blind transfer: the PBX takes the call over once it accepts the REFER, so this end hangs up.
+  function transfer(target) {
+    const s = session.current;
+    if (!s) return;
+    s.refer(`sip:${target}@${sipDomain(settings)}`, {
+      eventHandlers: {
+        accepted: () => s.terminate(),
+        failed: () => setCall(c => (c?.id === s.id ? { ...c, cause: t("Transfer to {target} failed; the call is still yours.", { target }) } : c)),
+      },
+    });
+  }
+
+  // Click-to-call, from any number in the panels.
+  async function dial(number) {
+    const desk = settings.dialVia === "desk";
+    const ready = desk ? isExtensionNumber(settings.deskExt) : registration === "registered";
+    setDialError("");
+    if (!ready) {
+      setOpen(true);
+      setDialError(desk ? t("Enter your desk phone's extension in the Phone panel first.") : t("Register the softphone first, or switch click-to-call to your desk phone."));
+      return;
+    }
+    const detail = `${desk ? `desk ${settings.deskExt}` : `softphone ${settings.extension}`} → ${number}`;
+    pushAudit({ action: "click_to_call", detail });
+    try {
+      if (desk) await originateCall(cfg, settings.deskExt, number);
+      else {
+        placeCall(number);
+        setOpen(true);
+      }
+    } catch (e) {
+      pushAudit({ action: "failed_click_to_call", detail });
+      setOpen(true);
+      setDialError(t("Could not call {number}: {reason}", { number, reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  return {
+    enabled, settings, saveSettings, password, setPassword, registration, error, dialError, setDialError, call, open, setOpen,
+    register, unregister, placeCall, answer, decline, hangup, sendDigit, toggleHold, toggleMute, transfer,
+    dial: enabled ? dial : null,
+  };
+}
+
+// A number in a table that places a call when clicked, if the user may (onDial is null otherwise).
+function DialNumber({ number, label = number, onDial }) {
+  const digits = dialString(number);
+  if (!onDial || !digits) return <>{label}</>;
+  return (
+    <button type="button" className="underline decoration-dotted underline-offset-2 hover:text-black text-left" title={t("Call {number}", { number: digits })} onClick={() => onDial(digits)}>
+      {label}
+    </button>
+  );
+}
+
+function Dialpad({ onKey }) {
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      {DIALPAD_KEYS.map(k => <TWButton key={k} className="bg-gray-100 font-mono text-lg" onClick={() => onKey(k)}>{k}</TWButton>)}
+    </div>
+  );
+}
+
+function SoftphoneSettingsForm({ phone, onDone }) {
+  const [draft, setDraft] = useState(phone.settings);
+  const [showErrors, setShowErrors] = useState(false);
+  const [registering, setRegistering] = useState(false);
+  const errors = validateSoftphone(draft, { registering });
+  const err = (k) => (showErrors ? errors[k] : "");
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+
+  function submit(register) {
+    setRegistering(register);
+    const problems = validateSoftphone(draft, { registering: register });
+    if (Object.keys(problems).length || (register && !phone.password)) { setShowErrors(true); return; }
+    phone.saveSettings(draft);
+    if (register) phone.register(draft);
+    onDone?.();
+  }
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <TWLabel>{t("SIP WebSocket")}</TWLabel>
+        <TWInput value={draft.wsURL} onChange={e => set({ wsURL: e.target.value })} placeholder="wss://pbx.example.com:8089/ws" />
+        <FieldError msg={err("wsURL")} />
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <TWLabel>{t("Extension")}</TWLabel>
+          <TWInput value={draft.extension} onChange={e => set({ extension: e.target.value })} autoComplete="username" />
+          <FieldError msg={err("extension")} />
+        </div>
+        <div>
+          <TWLabel>{t("SIP password")}</TWLabel>
+          <TWInput type="password" value={phone.password} onChange={e => phone.setPassword(e.target.value)} autoComplete="current-password" />
+          <FieldError msg={showErrors && registering && !phone.password ? "Enter the extension's secret" : ""} />
+        </div>
+        <div>
+          <TWLabel>{t("Display name")}</TWLabel>
+          <TWInput value={draft.displayName} onChange={e => set({ displayName: e.target.value })} />
+          <FieldError msg={err("displayName")} />
+        </div>
+        <div>
+          <TWLabel>{t("SIP domain")}</TWLabel>
+          <TWInput value={draft.domain} onChange={e => set({ domain: e.target.value })} placeholder={t("WebSocket host")} />
+          <FieldError msg={err("domain")} />
+        </div>
+      </div>
+      <div>
+        <TWLabel>{t("Click-to-call rings")}</TWLabel>
+        <div className="flex items-center gap-3 text-sm">
+          <label className="flex items-center gap-1"><input type="radio" checked={draft.dialVia === "softphone"} onChange={() => set({ dialVia: "softphone" })} /> {t("this softphone")}</label>
+          <label className="flex items-center gap-1"><input type="radio" checked={draft.dialVia === "desk"} onChange={() => set({ dialVia: "desk" })} /> {t("desk phone")}</label>
+          {draft.dialVia === "desk" && <TWInput aria-label={t("Desk phone extension")} className="w-24" value={draft.deskExt} onChange={e => set({ deskExt: e.target.value })} placeholder={t("ext")} />}
+        </div>
+        <FieldError msg={err("deskExt")} />
+      </div>
+      <div className="flex justify-end gap-2 pt-1">
+        <TWButton className="bg-white" onClick={() => submit(false)}>{t("Save")}</TWButton>
+        <TWButton className="bg-black text-white" onClick={() => submit(true)}>{t("Register")}</TWButton>
+      </div>
+    </div>
+  );
+}
+
+// Floating phone in the corner: settings until registered, then a dialpad or the call in progress.
+function SoftphonePanel({ phone }) {
+  const now = useNow();
+  const [number, setNumber] = useState("");
+  const [transferTo, setTransferTo] = useState("");
+  const [keypad, setKeypad] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const { call, registration, settings } = phone;
+  const badge = REGISTRATION_BADGE[registration];
+  const live = call && call.state !== "ended";
+  const showForm = editing || registration === "off" || (registration === "failed" && !live);
+
+  function dial() {
+    const digits = dialString(number);
+    if (!digits) return;
+    phone.setDialError("");
+    try { phone.placeCall(digits); setNumber(""); } catch (e) { phone.setDialError(e.message); }
+  }
+
+  if (!phone.open) {
+    return (
+      <button type="button" onClick={() => phone.setOpen(true)}
+        className="fixed bottom-4 right-4 z-40 bg-black text-white rounded-full shadow-xl px-4 py-2 text-sm flex items-center gap-2">
+        <span className={`w-2 h-2 rounded-full ${badge.dot}`} />
+        {t("Phone")}{live && <span className="font-mono">· {call.number}</span>}
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-80 max-h-[85vh] overflow-auto bg-white rounded-2xl shadow-xl border p-4" role="region" aria-label={t("Softphone")}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <h2 className="font-semibold">{t("Phone")}</h2>
+          <TWBadge tone={badge.tone}>{t(badge.label)}</TWBadge>
+        </div>
+        <TWButton className="bg-gray-100" aria-label={t("Minimise")} onClick={() => phone.setOpen(false)}>–</TWButton>
+      </div>
+      {phone.error && <div className="mb-3 text-sm text-rose-700">{phone.error}</div>}
+      {phone.dialError && <div role="alert" className="mb-3 text-sm text-rose-700">{phone.dialError}</div>}
+
+      {showForm ? (
+        <SoftphoneSettingsForm phone={phone} onDone={() => setEditing(false)} />
+      ) : (
+        <>
+          <div className="flex items-center justify-between text-sm text-gray-600 mb-3">
+            <span className="font-mono">{settings.extension}{settings.displayName && <span className="font-sans"> · {settings.displayName}</span>}</span>
+            <span className="flex gap-2">
+              <button type="button" className="underline" onClick={() => setEditing(true)}>{t("Settings")}</button>
+              <button type="button" className="underline" onClick={phone.unregister}>{t("Unregister")}</button>
+            </span>
+          </div>
+
+          {call ? (
+            <div>
+              <div className="text-center mb-3">
+                <div className="text-lg font-semibold font-mono">{call.number}</div>
+                {call.name && <div className="text-sm text-gray-600">{call.name}</div>}
+                <div className="text-sm text-gray-500">
+                  {t(call.state === "active" && call.held ? "On hold" : CALL_STATE_LABEL[call.state])}
+                  {call.answeredAt && ` · ${secondsToHMS(Math.max(0, Math.floor((now - call.answeredAt) / 1000)))}`}
+                </div>
+                {call.cause && <div className="text-sm text-gray-700 mt-1">{call.cause}</div>}
+              </div>
+              {call.state === "incoming" ? (
+                <div className="flex gap-2">
+                  <TWButton className="bg-green-600 text-white flex-1" onClick={phone.answer}>{t("Answer")}</TWButton>
+                  <TWButton className="bg-rose-600 text-white flex-1" onClick={phone.decline}>{t("Decline")}</TWButton>
+                </div>
+              ) : live && (
+                <div className="space-y-2">
+                  <div className="grid grid-cols-3 gap-2">
+                    <TWButton className={call.muted ? "bg-amber-500 text-white" : "bg-gray-100"} disabled={call.state !== "active"} onClick={phone.toggleMute}>{call.muted ? t("Unmute") : t("Mute")}</TWButton>
+                    <TWButton className={call.held ? "bg-amber-500 text-white" : "bg-gray-100"} disabled={call.state !== "active"} onClick={phone.toggleHold}>{call.held ? t("Resume") : t("Hold")}</TWButton>
+                    <TWButton className="bg-gray-100" disabled={call.state !== "active"} onClick={() => setKeypad(k => !k)}>{t("Keypad")}</TWButton>
                   </div>
-                )}
+                  {keypad && call.state === "active" && <Dialpad onKey={phone.sendDigit} />}
+                  {call.state === "active" && (
+                    <div className="flex gap-2">
+                      <TWInput aria-label={t("Transfer to")} placeholder={t("Transfer to…")} value={transferTo} onChange={e => setTransferTo(e.target.value)} />
+                      <TWButton className="bg-gray-100 shrink-0" disabled={!dialString(transferTo)} onClick={() => { phone.transfer(dialString(transferTo)); setTransferTo(""); }}>{t("Transfer")}</TWButton>
+                    </div>
+                  )}
+                  <TWButton className="bg-rose-600 text-white w-full" onClick={phone.hangup}>{t("Hang up")}</TWButton>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <TWInput aria-label={t("Number to call")} className="font-mono text-lg text-center" value={number} placeholder={t("Number")}
+                onChange={e => setNumber(e.target.value)} onKeyDown={e => { if (e.key === "Enter") dial(); }} />
+              <Dialpad onKey={k => setNumber(n => n + k)} />
+              <div className="flex gap-2">
+                <TWButton className="bg-green-600 text-white flex-1" disabled={registration !== "registered" || !dialString(number)} onClick={dial}>{t("Call")}</TWButton>
+                <TWButton className="bg-gray-100" aria-label={t("Delete last digit")} disabled={!number} onClick={() => setNumber(n => n.slice(0, -1))}>⌫</TWButton>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Incoming calls pop up at the top of the page wherever the user is.
+function IncomingCallPopup({ phone }) {
+  const ringing = phone.call?.state === "incoming" ? phone.call : null;
+  return (
+    <AnimatePresence>
+      {ringing && (
+        <div className="fixed inset-x-0 top-4 z-50 flex justify-center pointer-events-none">
+          <motion.div role="alertdialog" aria-label={t("Incoming call")} className="pointer-events-auto bg-white rounded-2xl shadow-xl border p-4 w-80"
+            initial={{ y: -24, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: -24, opacity: 0 }}>
+            <div className="text-xs text-gray-500">{t("Incoming call")}</div>
+            <div className="text-lg font-semibold">{ringing.name || <span className="font-mono">{ringing.number}</span>}</div>
+            {ringing.name && <div className="font-mono text-sm text-gray-600">{ringing.number}</div>}
+            <div className="flex gap-2 mt-3">
+              <TWButton className="bg-green-600 text-white flex-1" onClick={phone.answer}>{t("Answer")}</TWButton>
+              <TWButton className="bg-rose-600 text-white flex-1" onClick={phone.decline}>{t("Decline")}</TWButton>
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+
+// ===============
+// Configuration backups (snapshots, diff, selective restore)
+// ===============
+// A snapshot is whatever the api* reads return for each kind below, stored on the UI server. Restores
+// go back through the same api* writes, so they work on every backend that supports the edit, and
+// the PBX can still refuse one object without stopping the rest. Snapshots never hold secrets: a
+// re-created extension gets a new SIP secret, and a re-created trunk needs its secret set again.
+
+const BACKUP_POLL_MS = 5 * 60_000; // how often an open console asks whether a scheduled snapshot is due
+const BACKUP_SCHEDULES = [[0, "Off"], [1, "Every hour"], [6, "Every 6 hours"], [12, "Every 12 hours"], [24, "Daily"], [168, "Weekly"]];
+const BACKUP_REASONS = { manual: "manual", scheduled: "scheduled", before_restore: "before restore" };
+const LIVE = "live";
+
+const withoutId = ({ id, ...rest }) => rest;
+
+// In restore order: trunks before the routes that use them, extensions before queues and groups.
+// `remove` undoes an object that exists live but not in the snapshot (trunks can only be disabled).
+const CONFIG_KINDS = [
+  {
+    kind: "trunks", label: "Trunks", noun: "trunk", name: (t) => t.name,
+    read: (cfg) => apiFetchTrunks(cfg),
+    create: (cfg, t) => apiCreateTrunk(cfg, withoutId(t)),
+    update: (cfg, live, patch) => apiUpdateTrunk(cfg, live.id, patch),
+    remove: (cfg, live) => apiUpdateTrunk(cfg, live.id, { disabled: true }),
+    removeVerb: "Disable",
+  },
+  {
+    kind: "extensions", label: "Extensions", noun: "extension", name: (e) => `${e.id} ${e.name || ""}`.trim(),
+    read: (cfg) => apiFetchExtensions(cfg),
+    create: (cfg, e, secret) => apiCreateExtension(cfg, { ...e, secret }),
+    update: (cfg, live, patch) => apiUpdateExtension(cfg, live.id, patch),
+    remove: (cfg, live) => apiDeleteExtension(cfg, live.id),
+  },
+  {
+    kind: "queues", label: "Queues", noun: "queue", name: (g) => `${g.id} ${g.name || ""}`.trim(),
+    read: (cfg) => apiFetchGroups(cfg, "queues"),
+    create: (cfg, g) => apiCreateGroup(cfg, "queues", g),
+    update: (cfg, live, patch, snap) => apiUpdateGroup(cfg, "queues", live.id, snap),
+    remove: (cfg, live) => apiDeleteGroup(cfg, "queues", live.id),
+  },
+  {
+    kind: "ringgroups", label: "Ring groups", noun: "ring group", name: (g) => `${g.id} ${g.name || ""}`.trim(),
+    read: (cfg) => apiFetchGroups(cfg, "ringgroups"),
+    create: (cfg, g) => apiCreateGroup(cfg, "ringgroups", g),
+    update: (cfg, live, patch, snap) => apiUpdateGroup(cfg, "ringgroups", live.id, snap),
+    remove: (cfg, live) => apiDeleteGroup(cfg, "ringgroups", live.id),
+  },
+  {
+    kind: "inbound", label: "Inbound routes", noun: "inbound route", name: (r) => r.description || `DID ${r.did || "any"}`,
+    read: (cfg) => apiFetchRoutes(cfg, "inbound"),
+    create: (cfg, r) => apiSaveRoute(cfg, "inbound", withoutId(r)), // re-created routes get a new id
+    update: (cfg, live, patch, snap) => apiSaveRoute(cfg, "inbound", { ...snap, id: live.id }),
+    remove: (cfg, live) => apiDeleteRoute(cfg, "inbound", live.id),
+  },
+  {
+    kind: "outbound", label: "Outbound routes", noun: "outbound route", name: (r) => r.name,
+    read: (cfg) => apiFetchRoutes(cfg, "outbound"),
+    create: (cfg, r) => apiSaveRoute(cfg, "outbound", withoutId(r)),
+    update: (cfg, live, patch, snap) => apiSaveRoute(cfg, "outbound", { ...snap, id: live.id }),
+    remove: (cfg, live) => apiDeleteRoute(cfg, "outbound", live.id),
+  },
+];
+const ROUTE_ORDER = "outbound:order"; // the outbound routes' evaluation order, restored as one item
+
+// JSON with sorted object keys, so the same object read twice compares equal.
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (v && typeof v === "object") return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(",")}}`;
+  return JSON.stringify(v ?? null);
+}
+
+const configFields = (row) => Object.keys(row || {}).filter(k => k !== "id" && !k.startsWith("__"));
+
+// Reads every kind the role and backend allow, without secrets; the rest are listed in `unavailable`
+// with the reason.
+async function readPbxConfig(cfg) {
+  const objects = {};
+  const unavailable = {};
+  await Promise.all(CONFIG_KINDS.map(async (k) => {
+    try {
+      objects[k.kind] = (await k.read(cfg)).map(row => withoutSecrets(Object.fromEntries(Object.entries(row).filter(([f]) => !f.startsWith("__")))));
+    } catch (e) {
+      unavailable[k.kind] = describeError(e);
+    }
+  }));
+  return { objects, unavailable };
+}
+
+// Per kind, every object that differs between two configurations, matched on id:
+// { key, kind, name, status: "changed" | "left" | "right", left, right, fields: [{ field, left, right }] }.
+// "left" means it exists only on the left, "right" only on the right.
+function diffConfig(left, right) {
+  const out = [];
+  for (const k of CONFIG_KINDS) {
+    const a = left.objects[k.kind];
+    const b = right.objects[k.kind];
+    if (!a || !b) continue; // not readable on one side
+    const byId = new Map(b.map(r => [String(r.id), r]));
+    const seen = new Set();
+    for (const l of a) {
+      const id = String(l.id);
+      const r = byId.get(id);
+      seen.add(id);
+      if (!r) { out.push({ key: `${k.kind}:${id}`, kind: k.kind, name: k.name(l), status: "left", left: l, right: null, fields: [] }); continue; }
+      const fields = [...new Set([...configFields(l), ...configFields(r)])]
+        .filter(f => canonicalJson(l[f]) !== canonicalJson(r[f]))
+        .map(f => ({ field: f, left: l[f], right: r[f] }));
+      if (fields.length) out.push({ key: `${k.kind}:${id}`, kind: k.kind, name: k.name(l), status: "changed", left: l, right: r, fields });
+    }
+    for (const r of b) {
+      if (!seen.has(String(r.id))) out.push({ key: `${k.kind}:${r.id}`, kind: k.kind, name: k.name(r), status: "right", left: null, right: r, fields: [] });
+    }
+    if (k.kind === "outbound") {
+      const order = (rows) => rows.map(r => String(r.id)).filter(id => a.some(x => String(x.id) === id) && b.some(x => String(x.id) === id));
+      if (order(a).join() !== order(b).join()) {
+        out.push({
+          key: ROUTE_ORDER, kind: "outbound", name: "Route order", status: "changed", left: null, right: null,
+          fields: [{ field: "order", left: a.map(r => r.name).join(" → "), right: b.map(r => r.name).join(" → ") }],
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// What restoring the chosen differences would do to the live PBX (left = snapshot, right = live),
+// in CONFIG_KINDS order with the route order last.
+function restorePlan(diff, chosen) {
+  const steps = diff.filter(d => chosen.has(d.key)).map(d => {
+    const k = CONFIG_KINDS.find(x => x.kind === d.kind);
+    if (d.key === ROUTE_ORDER) return { ...d, verb: "Reorder", what: "outbound routes to the snapshot's order" };
+    if (d.status === "left") return { ...d, verb: "Re-create", what: `${k.noun} ${d.name}` };
+    if (d.status === "right") return { ...d, verb: k.removeVerb || "Delete", what: `${k.noun} ${d.name}` };
+    return { ...d, verb: "Update", what: `${k.noun} ${d.name}` };
+  });
+  const rank = (s) => (s.key === ROUTE_ORDER ? CONFIG_KINDS.length : CONFIG_KINDS.findIndex(k => k.kind === s.kind));
+  return steps.sort((a, b) => rank(a) - rank(b));
+}
+
+const showConfigValue = (v) => (v === undefined ? "—" : v !== null && typeof v === "object" ? JSON.stringify(v) : String(v));
+
+// Snapshots of the open PBX on the UI server. While enabled, the console also takes a scheduled
+// snapshot whenever the server says one is due.
+function useConfigBackups({ cfg, pbx, enabled }) {
+  const [state, setState] = useState({ snapshots: [], schedule: { everyHours: 0, keep: 30 }, due: null });
+  const [error, setError] = useState("");
+  const [taking, setTaking] = useState(false);
+  const cfgRef = useRef(cfg);
+  cfgRef.current = cfg;
+
+  async function reload() {
+    try {
+      const { data } = await axios.get("/backups", { params: { pbx: pbx.key } });
+      setState(data);
+      setError("");
+      return data;
+    } catch (e) {
+      setError(`${t("Could not load snapshots.")} ${describeError(e, "The UI server")}`);
+      return null;
+    }
+  }
+
+  async function take(reason = "manual", note = "") {
+    setTaking(true);
+    try {
+      const { objects, unavailable } = await readPbxConfig(cfgRef.current);
+      if (!Object.keys(objects).length) throw new Error(`${t("Nothing could be read from the PBX.")} ${Object.values(unavailable)[0] || ""}`);
+      const { data } = await axios.post("/backups", { reason, note, pbx, objects, unavailable });
+      if (!data.skipped) await reload();
+      return data;
+    } finally { setTaking(false); }
+  }
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const check = async () => {
+      const data = await reload();
+      if (data && data.due !== null && data.due <= Date.now()) take("scheduled").catch(() => { /* tried again at the next check */ });
+    };
+    check();
+    const timer = setInterval(check, BACKUP_POLL_MS);
+    return () => clearInterval(timer);
+  }, [enabled, pbx.key]);
+
+  return {
+    ...state, error, taking, reload, take,
+    get: async (id) => (await axios.get(`/backups/${id}`)).data,
+    remove: async (id) => { await axios.delete(`/backups/${id}`); await reload(); },
+    saveSchedule: async (schedule) => { await axios.put("/backups/schedule", schedule); await reload(); },
+  };
+}
+
+function ConfigBackupsPanel({ cfg, backups, can, pushAudit }) {
+  const [leftId, setLeftId] = useState("");
+  const [rightId, setRightId] = useState(LIVE);
+  const [compared, setCompared] = useState(null); // { left, right, diff }
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState("");
+  const [open, setOpen] = useState(new Set()); // diff keys shown field by field
+  const [chosen, setChosen] = useState(new Set()); // diff keys to restore
+  const [plan, setPlan] = useState(null); // dry-run steps awaiting confirmation
+  const [restoring, setRestoring] = useState(false);
+  const [report, setReport] = useState(null); // { snapshot, ok, failures, secrets, warnings }
+  const [actionError, setActionError] = useState(""); // last failed snapshot, delete, download or schedule change
+  const [restoreError, setRestoreError] = useState(""); // why the restore in the preview didn't start
+  const [ask, askDialog] = useAsk();
+  const canRestore = can("config:restore");
+  const restorable = canRestore && compared?.right.id === LIVE;
+  const label = (s) => (s.id === LIVE ? t("Live PBX") : `#${s.seq} · ${formatDateTime(s.takenAt)}`);
+  const kindLabels = (kinds) => kinds.map(kind => t(CONFIG_KINDS.find(k => k.kind === kind)?.label || kind)).join(", ");
+  // Plans keep English verbs and nouns for the audit trail; they are translated where shown.
+  const stepWhat = (step) => (step.key === ROUTE_ORDER ? t("outbound routes to the snapshot's order") : `${t(CONFIG_KINDS.find(k => k.kind === step.kind).noun)} ${step.name}`);
+
+  useEffect(() => {
+    if (!leftId && backups.snapshots.length) setLeftId(backups.snapshots[0].id);
+  }, [backups.snapshots]);
+
+  async function side(id) {
+    if (id === LIVE) return { id: LIVE, ...(await readPbxConfig(cfg)) };
+    return backups.get(id);
+  }
+
+  async function compare(l = leftId, r = rightId) {
+    setComparing(true); setError(""); setChosen(new Set()); setOpen(new Set()); setPlan(null);
+    try {
+      const [left, right] = await Promise.all([side(l), side(r)]);
+      setCompared({ left, right, diff: diffConfig(left, right) });
+    } catch (e) {
+      setCompared(null);
+      setError(`${t("Could not compare.")} ${describeError(e)}`);
+    } finally { setComparing(false); }
+  }
+
+  async function takeNow() {
+    const note = await ask(t("Note for this snapshot (optional):"), { confirmLabel: t("Take snapshot"), input: "" });
+    if (note === null) return;
+    setActionError("");
+    try {
+      const s = await backups.take("manual", note);
+      const missing = Object.keys(s.unavailable || {});
+      if (missing.length) setActionError(t("Snapshot #{seq} saved without {kinds}: {reason}", { seq: s.seq, kinds: kindLabels(missing), reason: Object.values(s.unavailable)[0] }));
+    } catch (e) {
+      setActionError(t("Failed to take a snapshot: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  async function remove(s) {
+    if (!(await ask(t("Delete snapshot #{seq} from {time}?", { seq: s.seq, time: formatDateTime(s.takenAt) }), { confirmLabel: t("Delete"), danger: true }))) return;
+    setActionError("");
+    try {
+      await backups.remove(s.id);
+      if (leftId === s.id) setLeftId("");
+      if (compared && [compared.left.id, compared.right.id].includes(s.id)) setCompared(null);
+    } catch (e) {
+      setActionError(t("Failed to delete snapshot: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  async function download(s) {
+    setActionError("");
+    try {
+      downloadBlob(`pbx-config-${s.id}.json`, new Blob([JSON.stringify(await backups.get(s.id), null, 2)], { type: "application/json" }));
+    } catch (e) {
+      setActionError(t("Failed to download snapshot: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  async function saveSchedule(patch) {
+    setActionError("");
+    try {
+      await backups.saveSchedule({ ...backups.schedule, ...patch });
+    } catch (e) {
+      setActionError(t("Failed to save the schedule: {reason}", { reason: e.response?.data?.message || e.message }));
+    }
+  }
+
+  // Takes a safety snapshot first, so a restore can itself be undone.
+  async function restore() {
+    const steps = plan;
+    const snap = compared.left;
+    setRestoring(true); setRestoreError("");
+    let safety;
+    try {
+      safety = await backups.take("before_restore", `Before restoring #${snap.seq}`);
+    } catch (e) {
+      setRestoring(false);
+      setRestoreError(`${t("Restore cancelled: the safety snapshot failed.")} ${e.response?.data?.message || e.message}`);
+      return;
+    }
+    pushAudit({ action: "restore_config_snapshot", detail: `${steps.length} object(s) from #${snap.seq}; safety snapshot #${safety.seq}` });
+    const failures = [];
+    const secrets = [];
+    for (const step of steps) {
+      const k = CONFIG_KINDS.find(x => x.kind === step.kind);
+      const detail = `${step.verb} ${step.what} from #${snap.seq}`;
+      const patch = Object.fromEntries(step.fields.filter(f => f.left !== undefined).map(f => [f.field, f.left]));
+      pushAudit({ action: "restore_config_object", detail, changes: step.status === "changed" && step.right ? fieldChanges(step.right, patch) : undefined });
+      try {
+        if (step.key === ROUTE_ORDER) {
+          // Routes missing from the snapshot (including any re-created above) keep their place at the end.
+          const live = (await apiFetchRoutes(cfg, "outbound")).map(r => r.id);
+          const first = snap.objects.outbound.map(r => r.id).filter(id => live.includes(id));
+          await apiReorderOutboundRoutes(cfg, [...first, ...live.filter(id => !first.includes(id))]);
+        } else if (step.status === "left") {
+          const secret = generateSecret();
+          await k.create(cfg, step.left, secret);
+          if (k.kind === "extensions") secrets.push({ extension: step.left.id, name: step.left.name, secret });
+        } else if (step.status === "right") {
+          await k.remove(cfg, step.right);
+        } else {
+          await k.update(cfg, step.right, patch, withoutId(step.left));
+        }
+      } catch (e) {
+        pushAudit({ action: "rollback_restore_config_object", detail });
+        failures.push({ id: stepWhat(step), error: e.response?.data?.message || e.message });
+      }
+    }
+    setRestoring(false);
+    setPlan(null);
+    setReport({ snapshot: snap, safety, ok: steps.length - failures.length, failures, secrets });
+    compare(snap.id, LIVE);
+  }
+
+  const choose = (key, on) => setChosen(c => { const n = new Set(c); if (on) n.add(key); else n.delete(key); return n; });
+  const toggleOpen = (key) => setOpen(o => { const n = new Set(o); if (n.has(key)) n.delete(key); else n.add(key); return n; });
+  const options = [{ id: LIVE }, ...backups.snapshots];
+
+  return (
+    <TWCard>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="flex items-center gap-2">
+          <h2 className="text-xl font-semibold">{t("Configuration Backups")}</h2>
+          <TWBadge>{backups.snapshots.length}</TWBadge>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <TWSelect aria-label={t("Scheduled snapshots")} className="w-40" disabled={!canRestore} title={canRestore ? undefined : t("Changing the schedule needs config:restore")} value={backups.schedule.everyHours} onChange={e => saveSchedule({ everyHours: Number(e.target.value) })}>
+            {BACKUP_SCHEDULES.map(([h, text]) => <option key={h} value={h}>{t(text)}</option>)}
+          </TWSelect>
+          {backups.schedule.everyHours > 0 && (
+            <TWSelect aria-label={t("Scheduled snapshots to keep")} className="w-32" disabled={!canRestore} value={backups.schedule.keep} onChange={e => saveSchedule({ keep: Number(e.target.value) })}>
+              {[7, 14, 30, 90, 365].map(n => <option key={n} value={n}>{t("keep {n}", { n })}</option>)}
+            </TWSelect>
+          )}
+          <TWButton className="bg-black text-white" disabled={backups.taking} onClick={takeNow}>{backups.taking ? t("Reading PBX…") : t("Take snapshot")}</TWButton>
+        </div>
+      </div>
+      {backups.error && <LoadError error={backups.error} onRetry={backups.reload} />}
+      {actionError && <LoadError error={actionError} />}
+      {askDialog}
+      {backups.schedule.everyHours > 0 && backups.due !== null && (
+        <div className="text-sm text-gray-600 mb-3">
+          {backups.due <= Date.now() ? t("The next scheduled snapshot is due now.") : t("Next scheduled snapshot after {time}.", { time: formatDateTime(backups.due) })} {t("Snapshots are taken by an open console with this permission.")}
+        </div>
+      )}
+
+      <div className="overflow-x-auto max-h-72 overflow-y-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b"><th className="py-2">#</th><th>{t("Taken")}</th><th>{t("By")}</th><th>{t("Why")}</th><th>{t("Objects")}</th><th /></tr>
+          </thead>
+          <tbody onKeyDown={rowKeyNav}>
+            {backups.snapshots.length === 0 ? (
+              <tr><td colSpan={6} className="py-6 text-center text-gray-500">{t("No snapshots of this PBX yet")}</td></tr>
+            ) : backups.snapshots.map(s => (
+              <tr key={s.id} data-row tabIndex={0} className="border-b align-top">
+                <td className="py-2 font-mono">{s.seq}</td>
+                <td className="whitespace-nowrap">{formatDateTime(s.takenAt)}{s.note && <div className="text-xs text-gray-500">{s.note}</div>}</td>
+                <td>{s.user}</td>
+                <td><TWBadge tone={s.reason === "manual" ? "default" : s.reason === "scheduled" ? "ok" : "warn"}>{BACKUP_REASONS[s.reason] ? t(BACKUP_REASONS[s.reason]) : s.reason}</TWBadge></td>
+                <td className="text-xs text-gray-600">
+                  {CONFIG_KINDS.filter(k => s.counts[k.kind] !== undefined).map(k => `${s.counts[k.kind]} ${t(k.label)}`).join(", ")}
+                  {Object.keys(s.unavailable || {}).length > 0 && <div className="text-amber-700">{t("not read: {kinds}", { kinds: kindLabels(Object.keys(s.unavailable)) })}</div>}
+                </td>
+                <td className="text-right whitespace-nowrap space-x-1">
+                  <TWButton data-row-action className="bg-gray-100 px-2 py-1" onClick={() => { setLeftId(s.id); setRightId(LIVE); compare(s.id, LIVE); }}>{t("Compare with live")}</TWButton>
+                  <TWButton className="bg-gray-100 px-2 py-1" onClick={() => download(s)}>JSON</TWButton>
+                  {canRestore && <TWButton className="bg-gray-100 px-2 py-1" aria-label={t("Delete snapshot {seq}", { seq: s.seq })} onClick={() => remove(s)}>✕</TWButton>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2 mb-3">
+        <div className="w-64">
+          <TWLabel>{t("Compare")}</TWLabel>
+          <TWSelect value={leftId} onChange={e => setLeftId(e.target.value)}>
+            {!leftId && <option value="">{t("Pick a snapshot")}</option>}
+            {options.map(s => <option key={s.id} value={s.id}>{label(s)}</option>)}
+          </TWSelect>
+        </div>
+        <div className="w-64">
+          <TWLabel>{t("with")}</TWLabel>
+          <TWSelect value={rightId} onChange={e => setRightId(e.target.value)}>
+            {options.map(s => <option key={s.id} value={s.id}>{label(s)}</option>)}
+          </TWSelect>
+        </div>
+        <TWButton className="bg-gray-100" disabled={!leftId || leftId === rightId || comparing} onClick={() => compare()}>{comparing ? t("Comparing…") : t("Compare")}</TWButton>
+      </div>
+      {error && <LoadError error={error} onRetry={() => compare()} busy={comparing} />}
+
+      {compared && (
+        <div>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-sm">
+            <div className="text-gray-600">
+              <span className="font-medium">{label(compared.left)}</span> → <span className="font-medium">{label(compared.right)}</span>: {compared.diff.length ? t("{n} difference(s)", { n: compared.diff.length }) : t("identical")}
+              {[compared.left, compared.right].flatMap(s => Object.keys(s.unavailable || {})).length > 0 && (
+                <span className="text-amber-700"> · {t("not compared: {kinds}", { kinds: kindLabels([...new Set([compared.left, compared.right].flatMap(s => Object.keys(s.unavailable || {})))]) })}</span>
+              )}
+            </div>
+            {restorable && compared.diff.length > 0 && (
+              <div className="flex items-center gap-2">
+                <TWButton className="bg-gray-100" onClick={() => setChosen(chosen.size === compared.diff.length ? new Set() : new Set(compared.diff.map(d => d.key)))}>
+                  {chosen.size === compared.diff.length ? t("Select none") : t("Select all")}
+                </TWButton>
+                <TWButton className="bg-black text-white" disabled={!chosen.size} onClick={() => { setRestoreError(""); setPlan(restorePlan(compared.diff, chosen)); }}>{t("Preview restore ({n})", { n: chosen.size })}</TWButton>
+              </div>
+            )}
+          </div>
+          {compared.left.id !== LIVE && compared.right.id === LIVE && !canRestore && (
+            <div className="text-sm text-gray-500 mb-2">{t("Restoring needs the config:restore permission.")}</div>
+          )}
+          {CONFIG_KINDS.map(k => {
+            const items = compared.diff.filter(d => d.kind === k.kind);
+            if (!items.length) return null;
+            return (
+              <div key={k.kind} className="mb-3">
+                <h3 className="font-semibold text-sm mb-1">{t(k.label)}</h3>
+                <ul className="border rounded-xl divide-y">
+                  {items.map(d => (
+                    <li key={d.key} className="p-2">
+                      <div className="flex items-center gap-2 text-sm">
+                        {restorable && <input type="checkbox" aria-label={t("Restore {name}", { name: d.name })} checked={chosen.has(d.key)} onChange={e => choose(d.key, e.target.checked)} />}
+                        <TWBadge tone={d.status === "changed" ? "warn" : d.status === "left" ? "err" : "ok"}>
+                          {d.status === "changed" ? t("changed") : t("only in {side}", { side: (d.status === "left" ? compared.left : compared.right).id === LIVE ? t("live") : `#${(d.status === "left" ? compared.left : compared.right).seq}` })}
+                        </TWBadge>
+                        <button type="button" className="text-left hover:underline" onClick={() => toggleOpen(d.key)}>{d.key === ROUTE_ORDER ? t(d.name) : d.name}</button>
+                        {d.fields.length > 0 && <span className="text-xs text-gray-500">{d.fields.map(f => f.field).join(", ")}</span>}
+                      </div>
+                      {open.has(d.key) && (
+                        <table className="w-full text-xs mt-2 table-fixed">
+                          <thead>
+                            <tr className="text-left text-gray-500"><th className="w-32">{t("Field")}</th><th>{label(compared.left)}</th><th>{label(compared.right)}</th></tr>
+                          </thead>
+                          <tbody className="font-mono">
+                            {(d.status === "changed" ? d.fields : configFields(d.left || d.right).map(f => ({ field: f, left: d.left?.[f], right: d.right?.[f] }))).map(f => (
+                              <tr key={f.field} className="align-top">
+                                <td className="py-0.5 font-sans text-gray-600">{f.field}</td>
+                                <td className={`break-all pr-2 ${f.left === undefined ? "text-gray-400" : "bg-rose-50"}`}>{showConfigValue(f.left)}</td>
+                                <td className={`break-all ${f.right === undefined ? "text-gray-400" : "bg-green-50"}`}>{showConfigValue(f.right)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <AnimatePresence>
+        {plan && (
+          <Modal onClose={restoring ? undefined : () => setPlan(null)} label={t("Restore preview")} className="max-w-2xl max-h-[85vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold mb-1">{t("Restore from snapshot #{seq} (dry run)", { seq: compared.left.seq })}</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              {t("Nothing has changed yet. Restoring first takes a snapshot of the live PBX, then makes these calls in this order.")}
+            </p>
+            <ol className="text-sm space-y-2 mb-3 list-decimal pl-5">
+              {plan.map(step => (
+                <li key={step.key}>
+                  <span className="font-medium">{t(step.verb)}</span> {stepWhat(step)}
+                  {step.status === "changed" && step.key !== ROUTE_ORDER && (
+                    <ul className="text-xs text-gray-600 font-mono">
+                      {step.fields.map(f => <li key={f.field}>{f.field}: {showConfigValue(f.right)} → {showConfigValue(f.left)}</li>)}
+                    </ul>
+                  )}
+                  {step.status === "left" && step.kind === "extensions" && <div className="text-xs text-amber-700">{t("Gets a new SIP secret; its phone needs reprovisioning and its voicemail PIN resetting.")}</div>}
+                  {step.status === "left" && step.kind === "trunks" && <div className="text-xs text-amber-700">{t("Comes back without its secret; set it in Trunks.")}</div>}
+                  {step.status === "left" && (step.kind === "inbound" || step.kind === "outbound") && <div className="text-xs text-gray-500">{t("Comes back with a new route id.")}</div>}
+                  {step.status === "right" && step.kind === "trunks" && <div className="text-xs text-gray-500">{t("Trunks can't be deleted here, so it is disabled.")}</div>}
+                </li>
+              ))}
+            </ol>
+            {restoreError && <LoadError error={restoreError} />}
+            <div className="flex justify-end gap-2">
+              <TWButton className="bg-gray-100" disabled={restoring} onClick={() => setPlan(null)}>{t("Cancel")}</TWButton>
+              <TWButton className="bg-rose-600 text-white" disabled={restoring} onClick={restore}>{restoring ? t("Restoring…") : t("Restore {n} object(s)", { n: plan.length })}</TWButton>
+            </div>
+          </Modal>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {report && (
+          <Modal onClose={() => setReport(null)} label={t("Restore report")} className="max-w-xl max-h-[85vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold mb-2">{t("Restored from #{seq}", { seq: report.snapshot.seq })}</h3>
+            <p className="text-sm mb-3">
+              {t("{ok} restored, {failed} failed. Snapshot #{seq} holds the configuration from just before the restore.", { ok: report.ok, failed: report.failures.length, seq: report.safety.seq })}
+            </p>
+            {report.failures.length > 0 && (
+              <ul className="text-sm text-rose-700 mb-3 space-y-1">
+                {report.failures.map(f => <li key={f.id}><span className="font-medium">{f.id}</span>: {f.error}</li>)}
+              </ul>
+            )}
+            {report.secrets.length > 0 && (
+              <div className="mb-3">
+                <div className="text-sm font-medium mb-1">{t("New SIP secrets (shown once)")}</div>
+                <table className="w-full text-sm font-mono">
+                  <tbody>{report.secrets.map(s => <tr key={s.extension}><td className="pr-3">{s.extension}</td><td className="pr-3 font-sans">{s.name}</td><td>{s.secret}</td></tr>)}</tbody>
+                </table>
+              </div>
+            )}
+            <div className="flex justify-end"><TWButton className="bg-black text-white" onClick={() => setReport(null)}>{t("Done")}</TWButton></div>
+          </Modal>
+        )}
+      </AnimatePresence>
+    </TWCard>
+  );
+}
+
+
+// ===============
+// Audit Log Panel
+// ===============
+// Entries live in the UI server's hash-chained log (server/audit.js); this panel only reads them.
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_EMPTY_FILTER = { user: "", action: "", from: "", to: "", q: "" };
+const AUDIT_ALERT_ACTIONS = /^(rollback_|failed_|denied|login_failed)/;
+// What the browser reports as itself; must match CLIENT_AUDIT_ACTIONS in server/audit.js. Any
+// other action is a PBX change, which the server records when it proxies it (see pushAudit).
+const BROWSER_AUDIT_ACTIONS = [
+  "play_recording", "play_voicemail", "download_voicemail", "click_to_call", "failed_click_to_call",
+  "update_connection_settings", "switch_pbx", "create_pbx_profile", "update_pbx_profile", "delete_pbx_profile",
+  "change_profile_passphrase",
+];
+// PBX changes ActiveCallsPanel makes through ARI rather than the PBX API.
+const ARI_AUDIT_ACTION_RE = /^(failed_)?(hangup|transfer|spy)_call$/;
+
+// Dates are picked in the user's PBX time zone (the browser's when none is set), the same zone the
+// entries are shown in; the server compares epoch ms and treats `to` as exclusive.
+function auditParams(f) {
+  const day = (d, plus = 0) => {
+    if (!d) return undefined;
+    const midnight = new Date(`${d}T00:00Z`);
+    midnight.setUTCDate(midnight.getUTCDate() + plus);
+    const wall = midnight.toISOString().slice(0, 16);
+    return uiTimeZone ? zonedTimeToEpoch(wall, uiTimeZone) : new Date(wall).getTime();
+  };
+  return { user: f.user || undefined, action: f.action || undefined, q: f.q || undefined, from: day(f.from), to: day(f.to, 1) };
+}
+
+function AuditPanel({ version, pending }) {
+  const [draft, setDraft] = useState(AUDIT_EMPTY_FILTER);
+  const [filter, setFilter] = useState(AUDIT_EMPTY_FILTER);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [loadError, setLoadError] = useState("");
+  const [chain, setChain] = useState(null); // last /audit/verify result
+  const [open, setOpen] = useState(null); // seq whose changes are expanded
+
+  async function load(offset = 0) {
+    setLoading(true); setLoadError("");
+    try {
+      const res = await axios.get("/audit", { params: { ...auditParams(filter), offset, limit: AUDIT_PAGE_SIZE } });
+      setEntries(e => (offset ? [...e, ...res.data.entries] : res.data.entries));
+      setTotal(res.data.total);
+    } catch (e) {
+      setLoadError(`${t("Could not load the audit log.")} ${describeError(e, "The UI server")}`);
+    } finally { setLoading(false); }
+  }
+
+  useEffect(() => { load(0); }, [filter, version]);
+
+  async function verify() {
+    setChain({ checking: true });
+    try { setChain((await axios.get("/audit/verify")).data); }
+    catch (e) { setChain({ ok: false, reason: e.response?.data?.message || e.message }); }
+  }
+
+  async function exportAs(format) {
+    try {
+      const res = await axios.get("/audit/export", { params: { ...auditParams(filter), format }, responseType: "blob" });
+      downloadBlob(`audit-log.${format}`, res.data);
+    } catch (e) {
+      setError(t("Export failed: {reason}", { reason: e.response?.status === 403 ? t("not allowed") : e.message }));
+    }
+  }
+
+  return (
+    <TWCard>
+      <div className="mb-3 flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex items-center gap-2">
+          <h2 className="text-xl font-semibold">{t("Audit Log")}</h2>
+          <TWBadge>{t("{n} events", { n: formatNumber(total) })}</TWBadge>
+          {pending > 0 && <TWBadge tone="warn">{t("{n} not saved yet", { n: pending })}</TWBadge>}
+          {chain && !chain.checking && (
+            <TWBadge tone={chain.ok ? "ok" : "err"}>
+              {chain.ok ? t("Chain intact ({n})", { n: chain.count }) : `${chain.brokenAt ? t("Chain broken at #{seq}", { seq: chain.brokenAt }) : t("Chain broken")}: ${chain.reason}`}
+            </TWBadge>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <TWButton className="bg-white" onClick={verify} disabled={chain?.checking}>{chain?.checking ? t("Verifying…") : t("Verify chain")}</TWButton>
+          <TWButton className="bg-white" onClick={() => exportAs("csv")}>{t("Export CSV")}</TWButton>
+          <TWButton className="bg-white" onClick={() => exportAs("json")}>{t("Export JSON")}</TWButton>
+        </div>
+      </div>
+      {chain?.ok && <div className="mb-2 text-xs text-gray-500 font-mono break-all" title={t("Note this hash somewhere else to detect a rewritten log later")}>{t("head")} {chain.head}</div>}
+
+      <form className="grid md:grid-cols-6 gap-2 items-end mb-3" onSubmit={e => { e.preventDefault(); setFilter(draft); }}>
+        <div>
+          <TWLabel>{t("User")}</TWLabel>
+          <TWInput value={draft.user} onChange={e => setDraft({ ...draft, user: e.target.value })} />
+        </div>
+        <div>
+          <TWLabel>{t("Action")}</TWLabel>
+          <TWInput value={draft.action} onChange={e => setDraft({ ...draft, action: e.target.value })} placeholder="update_extension" />
+        </div>
+        <div>
+          <TWLabel>{t("From")}</TWLabel>
+          <TWInput type="date" value={draft.from} onChange={e => setDraft({ ...draft, from: e.target.value })} />
+        </div>
+        <div>
+          <TWLabel>{t("To")}</TWLabel>
+          <TWInput type="date" value={draft.to} onChange={e => setDraft({ ...draft, to: e.target.value })} />
+        </div>
+        <div>
+          <TWLabel>{t("Text")}</TWLabel>
+          <TWInput value={draft.q} onChange={e => setDraft({ ...draft, q: e.target.value })} placeholder="1001, vm_email…" />
+        </div>
+        <div className="flex gap-2">
+          <TWButton type="submit" className="bg-black text-white">{t("Apply")}</TWButton>
+          <TWButton type="button" className="bg-white" onClick={() => { setDraft(AUDIT_EMPTY_FILTER); setFilter(AUDIT_EMPTY_FILTER); }}>{t("Reset")}</TWButton>
+        </div>
+      </form>
+
+      {loadError && <LoadError error={loadError} onRetry={() => load(0)} busy={loading} />}
+      {error && <div className="mb-2 text-sm text-rose-700">{error}</div>}
+      <div className="space-y-2 max-h-96 overflow-auto pr-1" onKeyDown={rowKeyNav}>
+        {entries.length === 0 ? (
+          <div className="text-sm text-gray-500">{loading ? t("Loading…") : t("No matching activity.")}</div>
+        ) : (
+          entries.map(e => (
+            <div key={e.seq} data-row tabIndex={0} className="text-sm border rounded-xl p-2">
+              <div className="flex items-center justify-between gap-2">
+                <div>
+                  <span className="font-mono text-xs mr-2" title={`#${e.seq} ${e.hash}`}>{formatDateTime(e.ts)}</span>
+                  <span className="font-medium">{e.action}</span>
+                  {e.source === "client" && <span className="ml-1"><TWBadge>{t("reported by browser")}</TWBadge></span>}
+                  {e.detail && <span className="text-gray-600"> — {e.detail}</span>}
+                  {e.changes && (
+                    <button type="button" data-row-action aria-expanded={open === e.seq} className="ml-2 text-xs text-blue-700 underline" onClick={() => setOpen(open === e.seq ? null : e.seq)}>
+                      {e.changes.length === 1 ? t("1 field") : t("{n} fields", { n: e.changes.length })}
+                    </button>
+                  )}
+                </div>
+                <TWBadge tone={AUDIT_ALERT_ACTIONS.test(e.action) ? "err" : "default"}>{e.user}</TWBadge>
               </div>
+              {open === e.seq && (
+                <div className="mt-1 pl-2 text-xs">
+                  {e.changes.map(c => <div key={c.field}><span className="font-mono">{c.field}</span>: <span className="line-through text-gray-500">{c.from}</span> → {c.to}</div>)}
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+      {entries.length < total && (
+        <div className="mt-2 text-center">
+          <TWButton className="bg-white" disabled={loading} onClick={() => load(entries.length)}>{loading ? t("Loading…") : t("Load more")}</TWButton>
+        </div>
+      )}
+    </TWCard>
+  );
+}
+
+// ===============
+// Preferences (language, PBX time zone and theme; per user, in this browser)
+// ===============
+const PREFERENCES_STORE_KEY = "freepbx-ui.preferences"; // + ".<username>"
+const THEMES = [["system", "Same as the system"], ["light", "Light"], ["dark", "Dark"]];
+const PREFERENCE_DEFAULTS = { locale: "", timeZone: "", theme: "system" }; // "" = from the browser
+
+function readPreferences(key) {
+  try { return { ...PREFERENCE_DEFAULTS, ...JSON.parse(localStorage.getItem(key)) }; } catch { return { ...PREFERENCE_DEFAULTS }; }
+}
+
+const darkScheme = window.matchMedia?.("(prefers-color-scheme: dark)");
+
+function applyTheme(theme) {
+  const dark = theme === "dark" || (theme === "system" && Boolean(darkScheme?.matches));
+  document.documentElement.classList.toggle("dark", dark);
+}
+
+// Returns { prefs, save }. The locale and time zone are applied for the whole page while rendering,
+// so every panel formats with them on the same pass.
+function usePreferences(username) {
+  const storeKey = `${PREFERENCES_STORE_KEY}.${username}`;
+  const [prefs, setPrefs] = useState(() => readPreferences(storeKey));
+  setUiLocale({ locale: prefs.locale || detectLocale(), timeZone: prefs.timeZone });
+
+  useEffect(() => {
+    document.documentElement.lang = uiLocale;
+    applyTheme(prefs.theme);
+    if (prefs.theme !== "system" || !darkScheme) return undefined;
+    const follow = () => applyTheme("system");
+    darkScheme.addEventListener("change", follow);
+    return () => darkScheme.removeEventListener("change", follow);
+  }, [prefs]);
+
+  function save(next) {
+    localStorage.setItem(storeKey, JSON.stringify(next));
+    setPrefs(next);
+  }
+
+  return { prefs, save };
+}
+
+function PreferencesModal({ open, onClose, prefs, onSave }) {
+  const [draft, setDraft] = useState(prefs);
+  useEffect(() => { if (open) setDraft(prefs); }, [open]);
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <Modal onClose={onClose} label={t("Preferences")} className="max-w-md">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{t("Preferences")}</h3>
+            <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={onClose}>✕</TWButton>
+          </div>
+          <form className="grid gap-3" onSubmit={e => { e.preventDefault(); onSave(draft); onClose(); }}>
+            <div>
+              <TWLabel>{t("Language")}</TWLabel>
+              <TWSelect value={draft.locale} onChange={e => set({ locale: e.target.value })}>
+                <option value="">{t("Same as the browser")}</option>
+                {LOCALES.map(([code, name]) => <option key={code} value={code} lang={code}>{name}</option>)}
+              </TWSelect>
+            </div>
+            <div>
+              <TWLabel>{t("PBX time zone")}</TWLabel>
+              <TWSelect value={draft.timeZone} onChange={e => set({ timeZone: e.target.value })}>
+                <option value="">{t("This browser's ({zone})", { zone: BROWSER_TZ })}</option>
+                {TIME_ZONES.map(z => <option key={z} value={z}>{z}</option>)}
+              </TWSelect>
+              <p className="text-xs text-gray-500 mt-1">{t("Call log and audit times are shown in this zone. Set it to the PBX's zone so call times read as they do on the PBX.")}</p>
+            </div>
+            <div>
+              <TWLabel>{t("Theme")}</TWLabel>
+              <TWSelect value={draft.theme} onChange={e => set({ theme: e.target.value })}>
+                {THEMES.map(([v, label]) => <option key={v} value={v}>{t(label)}</option>)}
+              </TWSelect>
+            </div>
+            <div className="flex justify-end gap-2 mt-2">
+              <TWButton type="button" className="bg-gray-100" onClick={onClose}>{t("Cancel")}</TWButton>
+              <TWButton type="submit" className="bg-black text-white">{t("Save")}</TWButton>
+            </div>
+          </form>
+        </Modal>
+      )}
+    </AnimatePresence>
+  );
+}
+
+// ===============
+// Session (sign-in through the UI server in server/)
+// ===============
+const SESSION_POLL_MS = 60_000;
+
+// Returns { session, methods, notice, login, logout }. session is undefined while the first
+// check is in flight and null when signed out.
+function useSession() {
+  const [session, setSessionState] = useState(undefined);
+  const [methods, setMethods] = useState({ local: true, ldap: false, oidc: null });
+  const [notice, setNotice] = useState(() =>
+    new URLSearchParams(window.location.search).get("login_error") === "sso"
+      ? t("Single sign-on failed, or your account is not mapped to a role here.")
+      : "");
+  const signedIn = Boolean(session);
+
+  function setSession(next) {
+    setApiPermissions(next?.permissions);
+    setSessionState(next);
+  }
+
+  useEffect(() => {
+    if (notice) window.history.replaceState(null, "", window.location.pathname);
+    axios.get("/auth/methods").then(r => setMethods(r.data)).catch(() => {});
+    axios.get("/auth/session").then(r => setSession(r.data)).catch(() => setSession(null));
+  }, []);
+
+  // Notice expiry (idle or absolute) without waiting for the next PBX call, and pick up role edits.
+  useEffect(() => {
+    if (!signedIn) return;
+    const expire = () => { setSession(null); setNotice(t("Your session expired. Sign in again.")); };
+    const timer = setInterval(() => {
+      axios.get("/auth/session", { params: { peek: 1 } })
+        .then(r => setSession(r.data))
+        .catch(e => { if (e.response?.status === 401) expire(); });
+    }, SESSION_POLL_MS);
+    const interceptor = axios.interceptors.response.use(null, e => {
+      if (e.response?.status === 401 && /^\/pbx(-ari)?\//.test(e.config?.url || "")) expire();
+      return Promise.reject(e);
+    });
+    return () => { clearInterval(timer); axios.interceptors.response.eject(interceptor); };
+  }, [signedIn]);
+
+  async function login(form) {
+    const res = await axios.post("/auth/login", form);
+    setNotice("");
+    setSession(res.data);
+  }
+
+  async function logout() {
+    await axios.post("/auth/logout").catch(() => {});
+    setSession(null);
+  }
+
+  return { session, methods, notice, login, logout };
+}
+
+function LoginScreen({ methods, notice, onLogin }) {
+  const [form, setForm] = useState({ username: "", password: "", method: "local" });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true); setError("");
+    try {
+      await onLogin(form);
+    } catch (err) {
+      setError(err.response?.data?.message || t("Could not reach the UI server. Is `npm run server` running?"));
+      setForm(f => ({ ...f, password: "" }));
+    } finally { setBusy(false); }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 flex items-center justify-center p-4">
+      <TWCard className="w-full max-w-sm">
+        <h1 className="text-xl font-bold">FreePBX 17 — Friendly Admin</h1>
+        <p className="text-gray-600 text-sm mt-1 mb-4">{t("Sign in to continue.")}</p>
+        {(error || notice) && (
+          <div role="alert" className="mb-3 border border-rose-200 bg-rose-50 text-rose-800 rounded-2xl p-3 text-sm">{error || notice}</div>
+        )}
+        <form className="grid gap-3" onSubmit={submit}>
+          {methods.ldap && (
+            <div>
+              <TWLabel>{t("Directory")}</TWLabel>
+              <TWSelect value={form.method} onChange={e => setForm({ ...form, method: e.target.value })}>
+                <option value="local">{t("Local account")}</option>
+                <option value="ldap">LDAP / Active Directory</option>
+              </TWSelect>
+            </div>
+          )}
+          <div>
+            <TWLabel>{t("Username")}</TWLabel>
+            <TWInput autoFocus autoComplete="username" value={form.username} onChange={e => setForm({ ...form, username: e.target.value })} />
+          </div>
+          <div>
+            <TWLabel>{t("Password")}</TWLabel>
+            <TWInput type="password" autoComplete="current-password" value={form.password} onChange={e => setForm({ ...form, password: e.target.value })} />
+          </div>
+          <TWButton type="submit" className="bg-black text-white" disabled={busy || !form.username || !form.password}>
+            {busy ? t("Signing in…") : t("Sign in")}
+          </TWButton>
+        </form>
+        {methods.oidc && (
+          <div className="mt-4 pt-4 border-t text-center">
+            <a href="/auth/oidc/start" className="inline-block w-full px-3 py-2 rounded-2xl shadow hover:shadow-md transition text-sm font-medium bg-gray-100">
+              {t("Sign in with {provider}", { provider: methods.oidc.label || "SSO" })}
+            </a>
+          </div>
+        )}
+      </TWCard>
+    </div>
+  );
+}
+
+// ===============
+// PBX profiles (saved connections) and the all-systems overview
+// ===============
+// Profiles are kept in localStorage as one AES-GCM blob. Its key is derived from a master passphrase
+// (PBKDF2) and only ever held in memory, so a locked or closed tab leaves no usable PBX credentials
+// behind. WebCrypto is only available on HTTPS or localhost.
+
+const PBX_CFG_DEFAULTS = {
+  baseURL: "https://your-freepbx17/api", // e.g., https://pbx.example.com/admin/api
+  apiKey: "",
+  backend: "mock", // "mock" | "rest" | "graphql"
+  clientId: "", // graphql: OAuth2 client credentials from Admin → API → Applications
+  clientSecret: "",
+  scope: "",
+  ariURL: "", // e.g., https://pbx.example.com:8089/ari (events stream is derived from it)
+  ariApp: "freepbx-ui",
+  ariUser: "",
+  ariPass: "",
+  ariQueues: "", // "600 Support: PJSIP/1001, PJSIP/1003" per line
+};
+
+const PROFILE_STORE_KEY = "freepbx-ui.profiles";
+const PROFILE_ACTIVE_KEY = "freepbx-ui.active-profile"; // just the id; not secret
+const PROFILE_KDF_ITERATIONS = 310_000; // PBKDF2-HMAC-SHA256, per current OWASP guidance
+const PROFILE_MIN_PASSPHRASE = 10;
+const SERVER_PROFILE = "server"; // the UI server's own proxy; never stored
+const ALL_SYSTEMS = "all";
+const OVERVIEW_REFRESH_MS = 60_000;
+const OVERVIEW_TIMEOUT_MS = 10_000;
+const FAILED_DISPOSITIONS = ["FAILED", "BUSY", "CONGESTION"]; // NO ANSWER is a person, not the system
+
+// Only the connection fields, so nothing else in `cfg` ends up in the vault.
+const profileCfg = (cfg) => Object.fromEntries(Object.keys(PBX_CFG_DEFAULTS).map(k => [k, cfg[k] ?? PBX_CFG_DEFAULTS[k]]));
+
+function bytesToB64(bytes) {
+  let bin = "";
+  for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+const b64ToBytes = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+async function profileKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+function readProfileStore() {
+  try { return JSON.parse(localStorage.getItem(PROFILE_STORE_KEY)); } catch { return null; }
+}
+
+// vault: { key, salt, iterations }. A fresh IV every time; AES-GCM must never reuse one with a key.
+async function sealProfiles(profiles, { key, salt, iterations }) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(profiles)));
+  localStorage.setItem(PROFILE_STORE_KEY, JSON.stringify({ v: 1, iterations, salt: bytesToB64(salt), iv: bytesToB64(iv), data: bytesToB64(data) }));
+}
+
+async function openProfiles(passphrase) {
+  const store = readProfileStore();
+  if (!store) throw new Error(t("There are no saved profiles in this browser"));
+  const salt = b64ToBytes(store.salt);
+  const key = await profileKey(passphrase, salt, store.iterations);
+  try {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: b64ToBytes(store.iv) }, key, b64ToBytes(store.data));
+    return { key, salt, iterations: store.iterations, profiles: JSON.parse(new TextDecoder().decode(plain)) };
+  } catch {
+    throw new Error(t("Wrong passphrase"));
+  }
+}
+
+// Returns { secure, stored, unlocked, profiles, create, unlock, save, changePassphrase, lock, forget }.
+// profiles: [{ id, name, cfg }].
+function useProfiles() {
+  const [stored, setStored] = useState(() => Boolean(readProfileStore()));
+  const [vault, setVault] = useState(null); // { key, salt, iterations, profiles } while unlocked
+  const secure = Boolean(window.crypto?.subtle);
+
+  // Another tab re-encrypted or removed the store: this copy is stale, so lock rather than overwrite it.
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== PROFILE_STORE_KEY) return;
+      setStored(Boolean(e.newValue));
+      setVault(null);
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  async function persist(keys, profiles) {
+    await sealProfiles(profiles, keys);
+    setVault({ ...keys, profiles });
+    setStored(true);
+  }
+
+  async function freshKeys(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return { key: await profileKey(passphrase, salt, PROFILE_KDF_ITERATIONS), salt, iterations: PROFILE_KDF_ITERATIONS };
+  }
+
+  return {
+    secure, stored,
+    unlocked: Boolean(vault),
+    profiles: vault?.profiles || [],
+    create: async (passphrase) => persist(await freshKeys(passphrase), []),
+    unlock: async (passphrase) => setVault(await openProfiles(passphrase)),
+    save: (profiles) => persist(vault, profiles),
+    changePassphrase: async (current, next) => {
+      await openProfiles(current);
+      await persist(await freshKeys(next), vault.profiles);
+    },
+    lock: () => setVault(null),
+    forget: () => {
+      localStorage.removeItem(PROFILE_STORE_KEY);
+      localStorage.removeItem(PROFILE_ACTIVE_KEY);
+      setVault(null);
+      setStored(false);
+    },
+  };
+}
+
+function validatePassphrase(next, confirm) {
+  if (next.length < PROFILE_MIN_PASSPHRASE) return t("Use at least {n} characters", { n: PROFILE_MIN_PASSPHRASE });
+  if (next !== confirm) return t("The passphrases don't match");
+  return "";
+}
+
+function ProfilesModal({ open, store, cfg, activeId, canEdit, onClose, onUse, pushAudit }) {
+  const [pass, setPass] = useState({ current: "", next: "", confirm: "" });
+  const [newName, setNewName] = useState("");
+  const [names, setNames] = useState({}); // id -> name being edited
+  const [changing, setChanging] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [ask, askDialog] = useAsk();
+  useEffect(() => { setPass({ current: "", next: "", confirm: "" }); setNewName(""); setNames({}); setChanging(false); setError(""); }, [open]);
+
+  const nameError = (name, id) => {
+    const n = name.trim();
+    if (!n) return t("Give the profile a name");
+    if (n.length > 40) return t("Keep names under 40 characters");
+    if (n.includes(" / ")) return t("Names can't contain “ / ”");
+    if (store.profiles.some(p => p.id !== id && p.name.toLowerCase() === n.toLowerCase())) return t("There is already a profile called {name}", { name: n });
+    return "";
+  };
+
+  async function run(fn) {
+    setBusy(true); setError("");
+    try { await fn(); } catch (e) { setError(e.message); } finally { setBusy(false); }
+  }
+
+  const create = () => run(async () => {
+    const bad = validatePassphrase(pass.next, pass.confirm);
+    if (bad) throw new Error(bad);
+    await store.create(pass.next);
+    setPass({ current: "", next: "", confirm: "" });
+  });
+
+  const unlock = () => run(async () => {
+    await store.unlock(pass.current);
+    setPass({ current: "", next: "", confirm: "" });
+  });
+
+  const changePassphrase = () => run(async () => {
+    const bad = validatePassphrase(pass.next, pass.confirm);
+    if (bad) throw new Error(bad);
+    await store.changePassphrase(pass.current, pass.next);
+    pushAudit({ action: "change_profile_passphrase", detail: `${store.profiles.length} profiles` });
+    setPass({ current: "", next: "", confirm: "" });
+    setChanging(false);
+  });
+
+  const addCurrent = () => run(async () => {
+    const bad = nameError(newName);
+    if (bad) throw new Error(bad);
+    const profile = { id: crypto.randomUUID(), name: newName.trim(), cfg: profileCfg(cfg) };
+    await store.save([...store.profiles, profile]);
+    pushAudit({ action: "create_pbx_profile", detail: `${profile.name} (${profile.cfg.backend} ${profile.cfg.baseURL})` });
+    setNewName("");
+    onUse(profile.id, profile);
+  });
+
+  const rename = (p) => run(async () => {
+    const name = names[p.id] ?? p.name;
+    if (name.trim() === p.name) return;
+    const bad = nameError(name, p.id);
+    if (bad) throw new Error(bad);
+    await store.save(store.profiles.map(x => (x.id === p.id ? { ...x, name: name.trim() } : x)));
+    pushAudit({ action: "update_pbx_profile", detail: `${p.name} renamed to ${name.trim()}` });
+  });
+
+  const updateFromCurrent = (p) => run(async () => {
+    const next = profileCfg(cfg);
+    await store.save(store.profiles.map(x => (x.id === p.id ? { ...x, cfg: next } : x)));
+    // Field names only: the values include credentials.
+    const changed = Object.keys(next).filter(k => next[k] !== p.cfg[k]);
+    pushAudit({ action: "update_pbx_profile", detail: `${p.name}: ${changed.join(", ") || "no changes"}` });
+  });
+
+  const remove = (p) => run(async () => {
+    if (!(await ask(t("Delete the profile {name}? Its saved credentials are removed from this browser.", { name: p.name }), { confirmLabel: t("Delete"), danger: true }))) return;
+    await store.save(store.profiles.filter(x => x.id !== p.id));
+    pushAudit({ action: "delete_pbx_profile", detail: p.name });
+  });
+
+  async function forget() {
+    if (!(await ask(t("Delete every saved profile in this browser? Use this if the passphrase is lost."), { confirmLabel: t("Delete"), danger: true }))) return;
+    store.forget();
+    pushAudit({ action: "delete_pbx_profile", detail: "all profiles (store reset)" });
+  }
+
+  const passField = (label, key, { autoFocus = false, onEnter } = {}) => (
+    <div>
+      <TWLabel>{t(label)}</TWLabel>
+      <TWInput type="password" autoFocus={autoFocus} autoComplete={key === "current" ? "current-password" : "new-password"} value={pass[key]}
+        onChange={e => setPass({ ...pass, [key]: e.target.value })} onKeyDown={e => e.key === "Enter" && onEnter?.()} />
+    </div>
+  );
+
+  let body;
+  if (!store.secure) {
+    body = <div className="text-sm text-rose-700">{t("Saved profiles need this page on HTTPS (or localhost): browsers only offer WebCrypto in a secure context.")}</div>;
+  } else if (!store.stored) {
+    body = canEdit ? (
+      <div className="space-y-3 text-sm">
+        <p className="text-gray-600">{t("Choose a master passphrase. Profiles are encrypted with it in this browser; it isn't stored anywhere and can't be recovered.")}</p>
+        {passField("Master passphrase", "next", { autoFocus: true })}
+        {passField("Repeat passphrase", "confirm", { onEnter: create })}
+        <TWButton className="bg-black text-white" disabled={busy} onClick={create}>{busy ? t("Encrypting…") : t("Create profile store")}</TWButton>
+      </div>
+    ) : <div className="text-sm text-gray-600">{t("No PBX profiles are saved in this browser. Ask an administrator to add them.")}</div>;
+  } else if (!store.unlocked) {
+    body = (
+      <div className="space-y-3 text-sm">
+        {passField("Master passphrase", "current", { autoFocus: true, onEnter: unlock })}
+        <div className="flex items-center justify-between">
+          <TWButton className="bg-black text-white" disabled={busy || !pass.current} onClick={unlock}>{busy ? t("Unlocking…") : t("Unlock")}</TWButton>
+          {canEdit && <button className="text-xs text-rose-700 underline" onClick={forget}>{t("Forgot it? Delete saved profiles")}</button>}
+        </div>
+      </div>
+    );
+  } else {
+    body = (
+      <div className="space-y-4 text-sm">
+        {store.profiles.length === 0 && <div className="text-gray-500">{t("No profiles yet. Save the current connection to start.")}</div>}
+        {store.profiles.map(p => (
+          <div key={p.id} className={`border rounded-2xl p-3 ${p.id === activeId ? "border-black" : ""}`}>
+            <div className="flex items-center gap-2 flex-wrap">
+              {canEdit ? (
+                <div className="w-48"><TWInput value={names[p.id] ?? p.name} onChange={e => setNames({ ...names, [p.id]: e.target.value })} onBlur={() => rename(p)} /></div>
+              ) : <span className="font-medium">{p.name}</span>}
+              <TWBadge>{p.cfg.backend}</TWBadge>
+              {p.id === activeId && <TWBadge tone="ok">{t("active")}</TWBadge>}
+              <div className="flex-1" />
+              {p.id !== activeId && <TWButton className="bg-white" onClick={() => onUse(p.id, p)}>{t("Use")}</TWButton>}
+              {canEdit && p.id === activeId && <TWButton className="bg-white" disabled={busy} onClick={() => updateFromCurrent(p)} title={t("Save the connection settings as they are now")}>{t("Save current settings")}</TWButton>}
+              {canEdit && <TWButton className="bg-white text-rose-700" disabled={busy} onClick={() => remove(p)}>{t("Delete")}</TWButton>}
+            </div>
+            <div className="text-xs text-gray-500 mt-1 font-mono break-all">{p.cfg.backend === "mock" ? t("mock data") : p.cfg.baseURL}{p.cfg.ariURL && ` · ARI ${p.cfg.ariURL}`}</div>
+          </div>
+        ))}
+        {canEdit && (
+          <div className="flex items-end gap-2">
+            <div className="flex-1">
+              <TWLabel>{t("Save the current connection as")}</TWLabel>
+              <TWInput value={newName} onChange={e => setNewName(e.target.value)} placeholder={t("Sydney office")} onKeyDown={e => e.key === "Enter" && addCurrent()} />
             </div>
+            <TWButton className="bg-black text-white" disabled={busy} onClick={addCurrent}>{t("Add profile")}</TWButton>
+          </div>
+        )}
+        <div className="border-t pt-3 flex items-center gap-2 flex-wrap">
+          <TWButton className="bg-white" onClick={() => { store.lock(); onClose(); }}>{t("Lock now")}</TWButton>
+          {canEdit && <TWButton className="bg-white" onClick={() => setChanging(!changing)}>{t("Change passphrase")}</TWButton>}
+        </div>
+        {changing && (
+          <div className="grid md:grid-cols-3 gap-2 items-end">
+            {passField("Current passphrase", "current", { autoFocus: true })}
+            {passField("New passphrase", "next")}
+            {passField("Repeat new passphrase", "confirm", { onEnter: changePassphrase })}
+            <div className="md:col-span-3"><TWButton className="bg-black text-white" disabled={busy} onClick={changePassphrase}>{busy ? t("Re-encrypting…") : t("Change passphrase")}</TWButton></div>
+          </div>
+        )}
+      </div>
+    );
+  }
 
-            <div className="flex justify-end gap-2 mt-6">
-              <TWButton className="bg-gray-100" onClick={onClose}>Cancel</TWButton>
-              <TWButton className="bg-black text-white" onClick={() => { onSubmit(form); onClose(); }}>{isEdit ? "Save" : "Create"}</TWButton>
-            </div>
-          </motion.div>
-        </motion.div>
+  return (
+    <AnimatePresence>
+      {open && (
+        <Modal onClose={onClose} label={t("PBX profiles")} className="max-w-2xl max-h-[90vh] overflow-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{t("PBX profiles")}{store.stored && !store.unlocked && ` (${t("locked")})`}</h3>
+            <TWButton className="bg-gray-100" aria-label={t("Close")} onClick={onClose}>✕</TWButton>
+          </div>
+          {error && <div className="mb-3 text-sm text-rose-700">{error}</div>}
+          {body}
+          {askDialog}
+        </Modal>
       )}
     </AnimatePresence>
   );
 }
 
-// ===============
-// Extensions Panel (with RBAC, optimistic + audit)
-// ===============
-function ExtensionsPanel({ cfg, role, pushAudit }) {
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [q, setQ] = useState("");
-  const [modalOpen, setModalOpen] = useState(false);
-  const [editRow, setEditRow] = useState(null);
-
-  async function load() {
-    setLoading(true);
-    try { setData(await apiFetchExtensions(cfg)); } finally { setLoading(false); }
-  }
-  useEffect(() => { load(); }, [cfg.baseURL, cfg.apiKey, cfg.useMock]);
-
-  const filtered = useMemo(() => {
-    const term = q.trim().toLowerCase();
-    if (!term) return data;
-    return data.filter(r => [r.id, r.name, r.callerid, r.tech].join(" ").toLowerCase().includes(term));
-  }, [data, q]);
+const withTimeout = (promise, ms, what) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(t("{what} did not answer within {n} s", { what: t(what), n: ms / 1000 }))), ms)),
+]);
 
-  async function createExt(form) {
-    const optimistic = { id: Math.floor(Math.random() * 1e9), ...form, __optimistic: true };
-    setData(d => [optimistic, ...d]);
-    pushAudit({ action: "create_extension", detail: `${form.name} (${form.callerid})` });
-    try {
-      const saved = await apiCreateExtension(cfg, form);
-      setData(d => d.map(r => (r === optimistic ? saved : r)));
-    } catch (e) {
-      setData(d => d.filter(r => r !== optimistic));
-      pushAudit({ action: "rollback_create_extension", detail: `${form.name}` });
-      alert("Failed to create extension");
+// One overview row: a one-off ARI snapshot (no event stream) and the last day's failed calls.
+// Whatever the role can't see, or the profile has no connection for, stays null.
+async function systemSummary(system, can) {
+  const { cfg } = system;
+  const out = { id: system.id, name: system.name, backend: cfg.backend, status: null, failed: null, errors: [] };
+  const fail = (what) => (e) => out.errors.push(`${what}: ${e.response?.data?.message || e.message}`);
+  const jobs = [];
+  if (can("status:view")) {
+    if (cfg.backend === "mock") out.status = mockSimStatus();
+    else if (cfg.ariURL) {
+      jobs.push(withTimeout(ariSnapshot(cfg), OVERVIEW_TIMEOUT_MS, "ARI")
+        .then(s => { out.status = ariToStatus(s, parseQueueDefs(cfg.ariQueues)); }, fail("ARI")));
     }
   }
-
-  async function saveEdit(row, form) {
-    const prev = row;
-    const updated = { ...row, ...form };
-    setData(d => d.map(r => (r.id === row.id ? updated : r)));
-    pushAudit({ action: "update_extension", detail: `${row.id}` });
-    try {
-      const saved = await apiUpdateExtension(cfg, row.id, form);
-      setData(d => d.map(r => (r.id === row.id ? saved : r)));
-    } catch (e) {
-      setData(d => d.map(r => (r.id === row.id ? prev : r)));
-      pushAudit({ action: "rollback_update_extension", detail: `${row.id}` });
-      alert("Failed to save changes");
-    }
+  if (can("calls:view")) {
+    const since = Date.now() - 86_400_000;
+    jobs.push(withTimeout(apiFetchCalls(cfg, { from: toLocalInput(since).slice(0, 10), to: "", ext: "", page: 1, pageSize: 500 }), OVERVIEW_TIMEOUT_MS, "CDR")
+      .then(({ rows }) => {
+        out.failed = rows.filter(c => FAILED_DISPOSITIONS.includes(String(c.disposition).toUpperCase()) && new Date(c.calldate).getTime() >= since);
+      }, fail("CDR")));
   }
+  await Promise.all(jobs);
+  return out;
+}
 
-  async function deleteExt(id) {
-    const yes = confirm(`Delete extension ${id}?`);
-    if (!yes) return;
-    const prev = data;
-    setData(d => d.filter(r => r.id !== id));
-    pushAudit({ action: "delete_extension", detail: `${id}` });
-    try { await apiDeleteExtension(cfg, id); }
-    catch (e) {
-      setData(prev);
-      pushAudit({ action: "rollback_delete_extension", detail: `${id}` });
-      alert("Failed to delete extension");
-    }
+function AllSystemsPanel({ systems, activeId, can, onOpen }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [checkedAt, setCheckedAt] = useState(null);
+  const run = useRef(0);
+  const now = useNow(10_000);
+
+  async function refresh() {
+    const id = ++run.current;
+    setLoading(true);
+    const next = await Promise.all(systems.map(s => systemSummary(s, can)));
+    if (id !== run.current) return; // a newer refresh (or unmount) owns the state now
+    setRows(next);
+    setCheckedAt(Date.now());
+    setLoading(false);
   }
 
-  const canEdit = role === "admin";
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, OVERVIEW_REFRESH_MS);
+    return () => { clearInterval(timer); run.current += 1; };
+  }, [systems]);
+
+  const summary = rows.map(r => {
+    const trunks = r.status?.trunks || [];
+    const queues = r.status?.queues || [];
+    const since = queues.map(q => q.waiting_since).filter(Boolean);
+    return {
+      ...r,
+      trunksDown: trunks.filter(trunk => TRUNK_DOWN_RE.test(trunk.state)).length,
+      trunkCount: trunks.length,
+      worstLatency: Math.max(-1, ...trunks.map(trunk => trunk.latency_ms ?? -1)),
+      waiting: queues.reduce((n, q) => n + (q.waiting || 0), 0),
+      longestWait: since.length ? Math.round((now - Math.min(...since)) / 1000) : 0,
+      agents: queues.reduce((n, q) => n + (q.logged_in || 0), 0),
+      agentSeats: queues.reduce((n, q) => n + (q.agents || 0), 0),
+    };
+  });
+  const total = (k) => summary.reduce((n, r) => n + r[k], 0);
+  const recentFailed = summary
+    .flatMap(r => (r.failed || []).map(c => ({ ...c, system: r.name })))
+    .sort((a, b) => new Date(b.calldate) - new Date(a.calldate))
+    .slice(0, 15);
 
   return (
     <TWCard>
-      <div className="flex items-center justify-between mb-3">
-        <h2 className="text-xl font-semibold">Extensions</h2>
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
         <div className="flex items-center gap-2">
-          <TWInput placeholder="Search…" value={q} onChange={e => setQ(e.target.value)} className="w-48" />
-          <TWButton className={`text-white ${canEdit ? "bg-black" : "bg-gray-300"}`} disabled={!canEdit} onClick={() => setModalOpen(true)}>New</TWButton>
+          <h2 className="text-xl font-semibold">{t("All systems")}</h2>
+          <TWBadge>{t("{n} PBX(s)", { n: systems.length })}</TWBadge>
+          {checkedAt && <span className="text-xs text-gray-500">{t("checked {time}", { time: formatTime(checkedAt) })}</span>}
         </div>
+        <TWButton className="bg-white" disabled={loading} onClick={refresh}>{loading ? t("Checking…") : t("Refresh")}</TWButton>
       </div>
 
-      <div className="overflow-x-auto">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+        <div className="border rounded-2xl p-3">
+          <div className="text-gray-500">{t("Trunks down")}</div>
+          <div className={`text-2xl font-semibold ${total("trunksDown") ? "text-rose-700" : ""}`}>{total("trunksDown")} <span className="text-sm font-normal text-gray-500">{t("of {n}", { n: total("trunkCount") })}</span></div>
+        </div>
+        <div className="border rounded-2xl p-3">
+          <div className="text-gray-500">{t("Callers waiting")}</div>
+          <div className={`text-2xl font-semibold ${total("waiting") ? "text-amber-700" : ""}`}>{total("waiting")}</div>
+        </div>
+        <div className="border rounded-2xl p-3">
+          <div className="text-gray-500">{t("Agents logged in")}</div>
+          <div className="text-2xl font-semibold">{total("agents")} <span className="text-sm font-normal text-gray-500">{t("of {n}", { n: total("agentSeats") })}</span></div>
+        </div>
+        <div className="border rounded-2xl p-3">
+          <div className="text-gray-500">{t("Failed calls, 24 h")}</div>
+          <div className={`text-2xl font-semibold ${recentFailed.length ? "text-rose-700" : ""}`}>{summary.reduce((n, r) => n + (r.failed?.length || 0), 0)}</div>
+        </div>
+      </div>
+
+      <div className="overflow-auto">
         <table className="w-full text-sm">
           <thead>
-            <tr className="text-left border-b">
-              <th className="py-2">Ext</th>
-              <th>Tech</th>
-              <th>Name</th>
-              <th>Caller ID</th>
-              <th>Voicemail</th>
-              <th className="text-right">Actions</th>
-            </tr>
+            <tr className="text-left text-gray-600"><th className="py-1">{t("System")}</th><th>{t("Trunks")}</th><th>{t("Worst latency")}</th><th>{t("Waiting")}</th><th>{t("Agents")}</th><th>{t("Failed 24 h")}</th><th /></tr>
           </thead>
-          <tbody>
-            {loading ? (
-              <tr><td colSpan={6} className="py-8 text-center text-gray-500">Loading…</td></tr>
-            ) : filtered.length === 0 ? (
-              <tr><td colSpan={6} className="py-8 text-center text-gray-500">No results</td></tr>
-            ) : (
-              filtered.map(r => (
-                <tr key={r.id} className="border-b hover:bg-gray-50">
-                  <td className="py-2 font-mono">{r.id}{r.__optimistic && <span title="pending">*</span>}</td>
-                  <td>{r.tech}</td>
-                  <td>{r.name}</td>
-                  <td className="text-gray-600">{r.callerid}</td>
-                  <td>{r.voicemail ? <TWBadge tone="ok">on</TWBadge> : <TWBadge>off</TWBadge>}</td>
-                  <td className="text-right">
-                    <TWButton className="bg-gray-100 mr-2" disabled={!canEdit} onClick={() => { setEditRow(r); setModalOpen(true); }}>Edit</TWButton>
-                    <TWButton className={`text-white ${canEdit ? "bg-rose-600" : "bg-gray-300"}`} disabled={!canEdit} onClick={() => deleteExt(r.id)}>Delete</TWButton>
-                  </td>
-                </tr>
-              ))
-            )}
+          <tbody onKeyDown={rowKeyNav}>
+            {summary.map(r => (
+              <tr key={r.id} data-row tabIndex={0} className="border-t align-top">
+                <td className="py-2">
+                  <div className="flex items-center gap-2"><span className="font-medium">{r.name}</span><TWBadge>{r.backend}</TWBadge>{r.id === activeId && <TWBadge tone="ok">{t("active")}</TWBadge>}</div>
+                  {r.errors.map((e, i) => <div key={i} className="text-xs text-rose-700">{e}</div>)}
+                </td>
+                <td>{r.status ? <TWBadge tone={r.trunksDown ? "err" : "ok"}>{t("{up} / {all} up", { up: r.trunkCount - r.trunksDown, all: r.trunkCount })}</TWBadge> : "—"}</td>
+                <td>{r.status && r.worstLatency >= 0 ? `${r.worstLatency} ms` : "—"}</td>
+                <td>{r.status ? <TWBadge tone={r.waiting ? "warn" : "default"}>{r.waiting}{r.waiting > 0 && ` · ${fmtWait(r.longestWait)}`}</TWBadge> : "—"}</td>
+                <td>{r.status ? `${r.agents} / ${r.agentSeats}` : "—"}</td>
+                <td>{r.failed ? r.failed.length : "—"}</td>
+                <td className="text-right"><TWButton className="bg-white" onClick={() => onOpen(r.id)}>{t("Open")}</TWButton></td>
+              </tr>
+            ))}
           </tbody>
         </table>
+        {!rows.length && loading && <div className="text-sm text-gray-500 mt-2">{t("Checking every system…")}</div>}
       </div>
 
-      <ExtensionModal open={modalOpen} onClose={() => { setModalOpen(false); setEditRow(null); }} onSubmit={(f) => editRow ? saveEdit(editRow, f) : createExt(f)} initial={editRow} />
+      {can("calls:view") && (
+        <div className="mt-4">
+          <h3 className="font-medium mb-2">{t("Recent failed calls")}</h3>
+          {recentFailed.length === 0 ? <div className="text-sm text-gray-500">{t("None in the last 24 hours.")}</div> : (
+            <table className="w-full text-sm">
+              <thead><tr className="text-left text-gray-600"><th className="py-1">{t("System")}</th><th>{t("When")}</th><th>{t("From")}</th><th>{t("To")}</th><th>{t("Outcome")}</th></tr></thead>
+              <tbody>
+                {recentFailed.map((c, i) => (
+                  <tr key={`${c.system}-${c.id ?? i}`} className="border-t">
+                    <td className="py-1">{c.system}</td><td>{c.calldate}</td><td>{c.src}</td><td>{c.dst}</td>
+                    <td><TWBadge tone="err">{c.disposition}</TWBadge></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
     </TWCard>
   );
 }
 
-
 // ===============
-// Call Logs Panel (pagination + CSV export)
+// Connection settings (validation, persistence, Test connection)
 // ===============
-function CallLogsPanel({ cfg }) {
-  const [rows, setRows] = useState([]);
-  const [total, setTotal] = useState(0);
-  const [from, setFrom] = useState("");
-  const [to, setTo] = useState("");
-  const [ext, setExt] = useState("");
-  const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(20);
-  const [loading, setLoading] = useState(false);
+// Saved settings outside a profile go to localStorage in plain text, so the secret fields are left
+// out: they last for the session unless the connection is saved as an encrypted profile.
 
-  async function load() {
-    setLoading(true);
-    try {
-      const { rows, total } = await apiFetchCalls(cfg, { from, to, ext, page, pageSize });
-      setRows(rows); setTotal(total);
-    } finally { setLoading(false); }
+const SETTINGS_STORE_KEY = "freepbx-ui.settings";
+const PBX_SECRET_FIELDS = ["apiKey", "clientSecret", "ariPass"];
+const CONNECTION_TEST_TIMEOUT_MS = 8000;
+
+function readSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORE_KEY));
+    return saved ? { ...PBX_CFG_DEFAULTS, ...profileCfg(saved), ...Object.fromEntries(PBX_SECRET_FIELDS.map(k => [k, ""])) } : null;
+  } catch { return null; }
+}
+
+function writeSettings(cfg) {
+  const plain = profileCfg(cfg);
+  for (const k of PBX_SECRET_FIELDS) delete plain[k];
+  localStorage.setItem(SETTINGS_STORE_KEY, JSON.stringify(plain));
+}
+
+const QUEUE_LINE_RE = /^\d+\s+[^:]+:\s*[A-Za-z0-9]+\/[^\s,]+(\s*,\s*[A-Za-z0-9]+\/[^\s,]+)*\s*$/;
+
+// Returns { field: message }; empty when the settings can be saved.
+function validateSettings(cfg) {
+  const e = {};
+  const https = window.location.protocol === "https:";
+  // A path (/pbx, /pbx-ari) goes through the UI server on this page's origin.
+  const checkURL = (field, label, value, schemes) => {
+    if (value.startsWith("/")) return;
+    let url;
+    try { url = new URL(value); } catch { e[field] = t("{label} must be a full URL such as {example}, or a path on this server", { label: t(label), example: `${schemes[0]}://pbx.example.com/…` }); return; }
+    const scheme = url.protocol.slice(0, -1);
+    if (!schemes.includes(scheme)) e[field] = t("{label} must start with {schemes}", { label: t(label), schemes: schemes.map(x => `${x}://`).join(` ${t("or")} `) });
+    else if (https && (scheme === "http" || scheme === "ws")) e[field] = t("This page is on HTTPS, so the browser blocks {scheme}:// requests. Use {scheme}s://", { scheme });
+    else if (url.search || url.hash) e[field] = "Leave out the query string and #fragment";
+    else if (url.username || url.password) e[field] = "Put credentials in their own fields, not in the URL";
+  };
+
+  if (cfg.backend !== "mock") {
+    const baseURL = cfg.baseURL.trim();
+    const direct = !baseURL.startsWith("/");
+    if (!baseURL) e.baseURL = "Enter the API base URL";
+    else checkURL("baseURL", "The API base URL", baseURL, ["https", "http"]);
+    if (cfg.backend === "rest") {
+      if (/^bearer\s/i.test(cfg.apiKey.trim())) e.apiKey = "Paste the token without the \"Bearer\" prefix";
+      else if (/\s/.test(cfg.apiKey.trim())) e.apiKey = "Tokens don't contain spaces; check the paste";
+      else if (direct && !cfg.apiKey.trim()) e.apiKey = "The REST backend needs a token";
+    }
+    if (cfg.backend === "graphql" && direct) {
+      if (!cfg.clientId.trim()) e.clientId = "Enter the application's client ID";
+      if (!cfg.clientSecret) e.clientSecret = "Enter the client secret";
+    }
+    const ariURL = cfg.ariURL.trim();
+    if (ariURL) {
+      checkURL("ariURL", "The ARI URL", ariURL, ["https", "http", "wss", "ws"]);
+      if (!ariURL.startsWith("/") && !cfg.ariUser.trim()) e.ariUser = "Enter an ARI user from ari.conf";
+      if (!/^[A-Za-z0-9_.-]+$/.test(cfg.ariApp)) e.ariApp = "Use letters, digits, . _ and - only";
+    }
   }
+  const bad = cfg.ariQueues.split("\n").findIndex(l => l.trim() && !QUEUE_LINE_RE.test(l.trim()));
+  if (bad >= 0) e.ariQueues = t("Line {n}: write the queue number, its name, a colon and the member devices, e.g. 600 Support: PJSIP/1001, PJSIP/1003", { n: bad + 1 });
+  return e;
+}
 
-  useEffect(() => { load(); }, [cfg.baseURL, cfg.apiKey, cfg.useMock, page, pageSize]);
+// An opaque no-cors request succeeds whenever the host answers at all, so failing here means DNS,
+// the network or TLS. CORS can only be what's left when this works but a real request doesn't.
+async function probeHost(url) {
+  try {
+    await fetch(url, { mode: "no-cors", cache: "no-store", signal: AbortSignal.timeout(CONNECTION_TEST_TIMEOUT_MS) });
+    return true;
+  } catch { return false; }
+}
 
-  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+function wsHandshake(url) {
+  return new Promise(resolve => {
+    let ws;
+    try { ws = new WebSocket(url); } catch { resolve({ ok: false }); return; }
+    const done = (result) => {
+      clearTimeout(timer);
+      ws.onopen = null; ws.onclose = null;
+      ws.close();
+      resolve(result);
+    };
+    const timer = setTimeout(() => done({ ok: false, timeout: true }), CONNECTION_TEST_TIMEOUT_MS);
+    ws.onopen = () => done({ ok: true });
+    ws.onclose = (evt) => done({ ok: false, code: evt.code });
+  });
+}
 
-  return (
-    <TWCard>
-      <div className="flex items-center justify-between mb-3">
-        <h2 className="text-xl font-semibold">Call Logs</h2>
-        <div className="flex items-center gap-2">
-          <TWInput type="date" value={from} onChange={e => setFrom(e.target.value)} className="w-40" />
-          <TWInput type="date" value={to} onChange={e => setTo(e.target.value)} className="w-40" />
-          <TWInput placeholder="Filter by ext" value={ext} onChange={e => setExt(e.target.value)} className="w-32" />
-          <TWSelect value={pageSize} onChange={e => { setPageSize(Number(e.target.value)); setPage(1); }} className="w-28">
-            {[10,20,50,100].map(n => <option key={n} value={n}>{n}/page</option>)}
-          </TWSelect>
-          <TWButton className="bg-black text-white" onClick={() => { setPage(1); load(); }}>Apply</TWButton>
-          <TWButton className="bg-gray-100" onClick={() => downloadCsv(`cdr-export.csv`, rows)}>Export CSV</TWButton>
-        </div>
-      </div>
+// Checks the API and ARI one step at a time, so a failure points at DNS/TLS, CORS, credentials or
+// the API itself. Returns [{ label, state: "ok" | "fail" | "skip", detail }].
+async function testConnection(cfg) {
+  const checks = [];
+  const add = (label, state, detail) => checks.push({ label, state, detail });
+  const origin = window.location.origin;
+  const timed = (promise, what) => withTimeout(promise, CONNECTION_TEST_TIMEOUT_MS, what);
 
-      <div className="overflow-x-auto">
-        <table className="w-full text-sm">
-          <thead>
-            <tr className="text-left border-b">
-              <th className="py-2">Date/Time</th>
-              <th>From</th>
-              <th>To</th>
-              <th>Disposition</th>
-              <th className="text-right">Duration</th>
-            </tr>
-          </thead>
-          <tbody>
-            {loading ? (
-              <tr><td colSpan={5} className="py-8 text-center text-gray-500">Loading…</td></tr>
-            ) : rows.length === 0 ? (
-              <tr><td colSpan={5} className="py-8 text-center text-gray-500">No calls found</td></tr>
-            ) : (
-              rows.map(c => (
-                <tr key={c.id} className="border-b hover:bg-gray-50">
-                  <td className="py-2 whitespace-nowrap">{new Date(c.calldate).toLocaleString()}</td>
-                  <td className="font-mono">{c.src}</td>
-                  <td className="font-mono">{c.dst}</td>
-                  <td>
-                    <TWBadge tone={c.disposition === 'ANSWERED' ? 'ok' : 'warn'}>{c.disposition}</TWBadge>
-                  </td>
-                  <td className="text-right">{secondsToHMS(Number(c.duration || 0))}</td>
-                </tr>
-              ))
-            )}
-          </tbody>
-        </table>
-      </div>
+  if (cfg.backend === "mock") {
+    add("PBX API", "skip", t("Mock data needs no connection."));
+  } else {
+    const base = cfg.baseURL.trim().replace(/\/+$/, "");
+    const direct = !base.startsWith("/");
+    const reachable = direct ? await probeHost(base) : null;
+    if (!direct) add("Reachable", "skip", t("Requests go through the UI server, which holds the PBX credentials."));
+    else if (reachable) add("Reachable", "ok", t("{host} answered.", { host: new URL(base).host }));
+    else add("Reachable", "fail", t("No answer from {host}. Check the host name, port and firewall, and that this browser trusts its TLS certificate (open the URL in a tab once).", { host: new URL(base).host }));
 
-      <div className="mt-3 flex items-center justify-between">
-        <div className="text-sm text-gray-600">Total: {total} • Page {page} / {totalPages}</div>
-        <div className="flex items-center gap-2">
-          <TWButton className="bg-gray-100" disabled={page <= 1} onClick={() => setPage(p => Math.max(1, p - 1))}>Prev</TWButton>
-          <TWButton className="bg-gray-100" disabled={page >= totalPages} onClick={() => setPage(p => Math.min(totalPages, p + 1))}>Next</TWButton>
-        </div>
-      </div>
-    </TWCard>
-  );
+    const failure = (e) => {
+      if (!e.response && e.message === "Network Error" && reachable) {
+        return ["CORS", "fail", t("The PBX answered, but the browser blocked the response. Allow {origin} in Access-Control-Allow-Origin, with Authorization and Content-Type in Access-Control-Allow-Headers.", { origin })];
+      }
+      if ([401, 403].includes(e.response?.status)) return ["Authentication", "fail", describeError(e)];
+      return ["API", "fail", describeError(e, direct ? "The PBX" : "The UI server")];
+    };
+
+    let authed = true;
+    if (reachable !== false && cfg.backend === "graphql") {
+      try {
+        await timed(gqlToken(cfg, { force: true }), "The token endpoint");
+        if (direct) add("CORS", "ok", t("The PBX accepts requests from {origin}.", { origin }));
+        add("Authentication", "ok", t("The token endpoint issued an access token."));
+      } catch (e) {
+        add(...failure(e));
+        authed = false;
+      }
+    }
+    if (reachable !== false && authed) {
+      try {
+        const rows = await timed(apiAdapter(cfg).fetchExtensions(cfg), "The PBX API");
+        if (cfg.backend === "rest") {
+          if (direct) add("CORS", "ok", t("The PBX accepts requests from {origin}.", { origin }));
+          add("Authentication", "ok", t("The token was accepted."));
+        }
+        add("API", "ok", t("Read {n} extensions.", { n: rows.length }));
+      } catch (e) {
+        add(...failure(e));
+      }
+    }
+  }
+
+  if (cfg.backend === "mock" || !cfg.ariURL.trim()) {
+    add("ARI", "skip", cfg.backend === "mock" ? t("Mock data comes with mock status.") : t("No ARI URL, so realtime status is off."));
+    return checks;
+  }
+  const rest = ariRestBase(cfg.ariURL.trim());
+  const direct = !rest.startsWith("/");
+  const reachable = direct ? await probeHost(rest) : null;
+  if (reachable === false) {
+    add("ARI reachable", "fail", t("No answer from {host}. Check the port (8088, or 8089 with TLS), http.conf and the firewall.", { host: new URL(rest).host }));
+    return checks;
+  }
+  try {
+    const endpoints = await timed(ariGet(cfg, "/endpoints"), "ARI");
+    add("ARI REST", "ok", t("Asterisk listed {n} endpoints.", { n: endpoints.length }));
+  } catch (e) {
+    add("ARI REST", "fail", !e.response && e.message === "Network Error" && reachable
+      ? t("Asterisk answered, but the browser blocked the response. Add {origin} to allowed_origins in ari.conf.", { origin })
+      : describeError(e, "Asterisk"));
+  }
+  // A throwaway app name, so the test doesn't take over the console's own event stream.
+  const ws = await wsHandshake(ariEventsURL({ ...cfg, ariURL: cfg.ariURL.trim(), ariApp: `${cfg.ariApp || "freepbx-ui"}-test` }));
+  if (ws.ok) add("ARI events", "ok", t("The WebSocket handshake succeeded."));
+  else add("ARI events", "fail", `${ws.timeout ? t("The WebSocket handshake timed out.") : t("The WebSocket handshake was refused.")} ${t("Check the ARI user and password and allowed_origins in ari.conf.")}`);
+  return checks;
 }
 
+const CHECK_STYLE = {
+  ok: { icon: "✓", className: "text-green-700" },
+  fail: { icon: "✕", className: "text-rose-700" },
+  skip: { icon: "–", className: "text-gray-500" },
+};
+
+// The connection form. Edits stay in a draft until Save, so panels don't reload on every keystroke.
+// onSave(draft) persists it and resolves to a short note about where it went.
+function SettingsCard({ cfg, stored, onSave, onForget }) {
+  const [draft, setDraft] = useState(cfg);
+  const [showErrors, setShowErrors] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [checks, setChecks] = useState(null); // null | "running" | [{ label, state, detail }]
+  useEffect(() => { setDraft(cfg); }, [cfg]);
+  const errors = validateSettings(draft);
+  const err = (k) => (showErrors ? errors[k] : "");
+  const dirty = Object.keys(PBX_CFG_DEFAULTS).some(k => draft[k] !== cfg[k]);
+  const set = (patch) => { setDraft(d => ({ ...d, ...patch })); setNotice(""); };
+
+  async function save() {
+    if (Object.keys(errors).length) { setShowErrors(true); return; }
+    setSaving(true);
+    try { setNotice(await onSave(draft)); setShowErrors(false); }
+    catch (e) { setNotice(t("Could not save: {reason}", { reason: e.message })); }
+    finally { setSaving(false); }
+  }
+
+  async function test() {
+    if (Object.keys(errors).length) { setShowErrors(true); return; }
+    setChecks("running");
+    setChecks(await testConnection(draft));
+  }
 
-// ===============
-// Status Panel (Realtime via ARI)
-// ===============
-function StatusPanel({ cfg }) {
-  const status = useAriStatus({ ariWS: cfg.ariWS, useMock: cfg.useMock });
   return (
     <TWCard>
-      <div className="mb-3 flex items-center justify-between">
-        <h2 className="text-xl font-semibold">Queues & Trunks</h2>
-        <TWBadge tone={cfg.useMock ? 'warn' : 'default'}>{cfg.useMock ? 'mock' : 'live'}</TWBadge>
-      </div>
-      <div className="grid md:grid-cols-3 gap-3">
-        {status.trunks.map((t, idx) => (
-          <div key={`t${idx}`} className="border rounded-2xl p-3">
-            <div className="flex items-center justify-between">
-              <div className="font-medium">{t.name}</div>
-              <TWBadge tone={t.latency_ms > 150 ? 'warn' : 'ok'}>{t.state}</TWBadge>
+      <div className="grid md:grid-cols-5 gap-3 items-start">
+        <div className="md:col-span-2">
+          <TWLabel>{t("API Base URL")}</TWLabel>
+          <TWInput value={draft.baseURL} onChange={e => set({ baseURL: e.target.value })} placeholder="https://pbx.example.com/admin/api" disabled={draft.backend === "mock"} />
+          <FieldError msg={err("baseURL")} />
+        </div>
+        {draft.backend === "graphql" ? (
+          <>
+            <div className="md:col-span-1">
+              <TWLabel>{t("Client ID")}</TWLabel>
+              <TWInput value={draft.clientId} onChange={e => set({ clientId: e.target.value })} />
+              <FieldError msg={err("clientId")} />
             </div>
-            <div className="text-sm text-gray-600 mt-1">Latency {t.latency_ms} ms</div>
-          </div>
-        ))}
-        {status.queues.map((q, idx) => (
-          <div key={`q${idx}`} className="border rounded-2xl p-3">
-            <div className="flex items-center justify-between">
-              <div className="font-medium">{q.name}</div>
-              <TWBadge tone={q.waiting > 0 ? 'warn' : 'ok'}>{q.logged_in}/{q.agents} agents</TWBadge>
+            <div className="md:col-span-1">
+              <TWLabel>{t("Client Secret")}</TWLabel>
+              <TWInput type="password" value={draft.clientSecret} onChange={e => set({ clientSecret: e.target.value })} />
+              <FieldError msg={err("clientSecret")} />
             </div>
-            <div className="text-sm text-gray-600 mt-1">Waiting callers: {q.waiting}</div>
+          </>
+        ) : (
+          <div className="md:col-span-2">
+            <TWLabel>{t("API Key / Token")}</TWLabel>
+            <TWInput type="password" value={draft.apiKey} onChange={e => set({ apiKey: e.target.value })} placeholder={t("paste token")} disabled={draft.backend === "mock"} />
+            <FieldError msg={err("apiKey")} />
           </div>
-        ))}
+        )}
+        <div className="md:col-span-1">
+          <TWLabel>{t("Backend")}</TWLabel>
+          <TWSelect value={draft.backend} onChange={e => set({ backend: e.target.value })}>
+            <option value="mock">{t("Mock data")}</option>
+            <option value="rest">REST</option>
+            <option value="graphql">FreePBX 17 GraphQL</option>
+          </TWSelect>
+        </div>
+        {draft.backend === "graphql" && (
+          <div className="md:col-span-5">
+            <TWLabel>{t("OAuth2 scope (optional)")}</TWLabel>
+            <TWInput value={draft.scope} onChange={e => set({ scope: e.target.value })} placeholder="gql gql:core gql:cdr" />
+          </div>
+        )}
+        <div className="md:col-span-2">
+          <TWLabel>{t("ARI URL (optional)")}</TWLabel>
+          <TWInput value={draft.ariURL} onChange={e => set({ ariURL: e.target.value })} placeholder="https://pbx.example.com:8089/ari" />
+          <FieldError msg={err("ariURL")} />
+        </div>
+        <div className="md:col-span-1">
+          <TWLabel>{t("ARI app")}</TWLabel>
+          <TWInput value={draft.ariApp} onChange={e => set({ ariApp: e.target.value })} />
+          <FieldError msg={err("ariApp")} />
+        </div>
+        <div className="md:col-span-1">
+          <TWLabel>{t("ARI user")}</TWLabel>
+          <TWInput value={draft.ariUser} onChange={e => set({ ariUser: e.target.value })} />
+          <FieldError msg={err("ariUser")} />
+        </div>
+        <div className="md:col-span-1">
+          <TWLabel>{t("ARI password")}</TWLabel>
+          <TWInput type="password" value={draft.ariPass} onChange={e => set({ ariPass: e.target.value })} />
+        </div>
+        <div className="md:col-span-3">
+          <TWLabel>{t("Queue members (one queue per line)")}</TWLabel>
+          <TWTextarea rows={2} value={draft.ariQueues} onChange={e => set({ ariQueues: e.target.value })} placeholder={"600 Support: PJSIP/1001, PJSIP/1003\n700 Sales: PJSIP/1002"} />
+          <FieldError msg={err("ariQueues")} />
+        </div>
+        <div className="md:col-span-2 flex flex-wrap items-center justify-end gap-2 md:pt-6">
+          {dirty && <TWBadge tone="warn">{t("unsaved changes")}</TWBadge>}
+          {dirty && <TWButton className="bg-white" onClick={() => { setDraft(cfg); setShowErrors(false); }}>{t("Discard")}</TWButton>}
+          <TWButton className="bg-white" onClick={test} disabled={checks === "running"}>{checks === "running" ? t("Testing…") : t("Test connection")}</TWButton>
+          <TWButton className="bg-black text-white" onClick={save} disabled={saving || !dirty}>{saving ? t("Saving…") : t("Save")}</TWButton>
+        </div>
       </div>
+      {(notice || stored) && (
+        <div className="mt-3 text-xs text-gray-600 flex items-center justify-between gap-2">
+          <span>{notice}</span>
+          {stored && <button className="underline shrink-0" onClick={onForget}>{t("Forget saved settings")}</button>}
+        </div>
+      )}
+      {Array.isArray(checks) && (
+        <div className="mt-3 border rounded-2xl p-3 text-sm space-y-1">
+          {checks.map(c => (
+            <div key={c.label} className="flex gap-2">
+              <span className={`w-4 shrink-0 font-bold ${CHECK_STYLE[c.state].className}`}>{CHECK_STYLE[c.state].icon}</span>
+              <span className="w-32 shrink-0 font-medium">{t(c.label)}</span>
+              <span className={c.state === "fail" ? "text-rose-700" : "text-gray-600"}>{c.detail}</span>
+            </div>
+          ))}
+        </div>
+      )}
     </TWCard>
   );
 }
 
-
 // ===============
-// Audit Log Panel
+// PBX simulator card (mock backend)
 // ===============
-function AuditPanel({ entries }) {
+const MOCK_RATES = [[0, "Off"], [0.5, "0.5"], [1, "1"], [2, "2"], [4, "4"], [8, "8"], [15, "15"]];
+const MOCK_API_ERROR_RATES = [[0, "None"], [0.2, "1 in 5 requests"], [1, "Every request"]];
+const MOCK_API_DELAYS = [[0, "None"], [1500, "1.5 s"], [5000, "5 s"]];
+const MOCK_FLOOD_SIZE = 10;
+
+// Re-renders on every simulator tick and change.
+function useMockSim() {
+  const [, setVersion] = useState(0);
+  useEffect(() => {
+    mockSimInit();
+    const bump = () => setVersion(v => v + 1);
+    mockSim.listeners.add(bump);
+    return () => { mockSim.listeners.delete(bump); };
+  }, []);
+  return mockSim;
+}
+
+function SimulatorCard({ onReset }) {
+  const sim = useMockSim();
+  const [floodQueue, setFloodQueue] = useState(MOCK_QUEUES[0]?.id || "");
+  const [ask, askDialog] = useAsk();
+  const { settings, faults } = sim;
+  const calls = [...sim.calls.values()];
+  const queued = calls.filter(c => c.phase === "waiting").length;
+  const faultCount = faults.trunksDown.length + [faults.apiErrorRate, faults.apiDelayMs, faults.ariDown].filter(Boolean).length;
+  const toggleTrunk = (name) => mockSimSetFaults({
+    trunksDown: faults.trunksDown.includes(name) ? faults.trunksDown.filter(n => n !== name) : [...faults.trunksDown, name],
+  });
+
+  async function reset() {
+    if (!(await ask(t("Reset the simulated PBX? Configuration changes and call history made in this browser are lost."), { confirmLabel: t("Reset simulator"), danger: true }))) return;
+    mockSimReset();
+    onReset();
+  }
+
   return (
     <TWCard>
-      <div className="mb-3 flex items-center justify-between">
-        <h2 className="text-xl font-semibold">Audit Log</h2>
-        <TWBadge>{entries.length} events</TWBadge>
+      <div className="mb-3 flex items-center justify-between gap-3 flex-wrap">
+        <h2 className="text-xl font-semibold">{t("PBX simulator")}</h2>
+        <div className="flex gap-2">
+          <TWBadge>{t("{n} call(s) in progress", { n: calls.length })}{queued ? `, ${t("{n} queued", { n: queued })}` : ""}</TWBadge>
+          <TWBadge tone={faultCount ? "err" : "ok"}>{faultCount ? t("{n} fault(s) on", { n: faultCount }) : t("no faults")}</TWBadge>
+        </div>
       </div>
-      <div className="space-y-2 max-h-64 overflow-auto pr-1">
-        {entries.length === 0 ? (
-          <div className="text-sm text-gray-500">No activity yet.</div>
-        ) : (
-          entries.map((e, i) => (
-            <div key={i} className="text-sm flex items-center justify-between border rounded-xl p-2">
-              <div>
-                <span className="font-mono text-xs mr-2">{new Date(e.ts).toLocaleTimeString()}</span>
-                <span className="font-medium">{e.action}</span>
-                {e.detail && <span className="text-gray-600"> — {e.detail}</span>}
-              </div>
-              <TWBadge tone={e.action.startsWith('rollback') ? 'err' : 'default'}>{e.user}</TWBadge>
-            </div>
-          ))
-        )}
+      {askDialog}
+      <p className="text-sm text-gray-600 mb-3">
+        {t("Mock data comes from a PBX simulated in this browser. Its configuration and {n} call records are kept here until you reset it; faults last until the page is reloaded.", { n: MOCK_CALLS.length })}
+      </p>
+      <div className="grid md:grid-cols-4 gap-3 items-end">
+        <div>
+          <TWLabel>{t("New calls per minute")}</TWLabel>
+          <TWSelect value={settings.rate} onChange={e => mockSimConfigure({ rate: Number(e.target.value) })}>
+            {MOCK_RATES.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+          </TWSelect>
+        </div>
+        <div>
+          <TWLabel>{t("Random seed")}</TWLabel>
+          <TWInput value={settings.seed} placeholder={t("none (varies every run)")} onChange={e => mockSimConfigure({ seed: e.target.value.trim() })} />
+        </div>
+        <div className="md:col-span-2 flex justify-end">
+          <TWButton className="bg-white" onClick={reset}>{t("Reset simulator")}</TWButton>
+        </div>
+      </div>
+
+      <h3 className="font-medium mt-4 mb-2">{t("Faults")}</h3>
+      <div className="grid md:grid-cols-4 gap-3 items-end">
+        <div className="md:col-span-2">
+          <TWLabel>{t("Trunk outage")}</TWLabel>
+          <div className="flex flex-wrap gap-2">
+            {MOCK_TRUNKS.map(trunk => {
+              const down = faults.trunksDown.includes(trunk.name);
+              return (
+                <TWButton key={trunk.id} className={down ? "bg-rose-600 text-white" : "bg-white"} aria-pressed={down} onClick={() => toggleTrunk(trunk.name)}>
+                  {down ? t("Restore {name}", { name: trunk.name }) : t("Take {name} down", { name: trunk.name })}
+                </TWButton>
+              );
+            })}
+          </div>
+        </div>
+        <div>
+          <TWLabel>{t("Queue flood")}</TWLabel>
+          <div className="flex gap-2">
+            <TWSelect aria-label={t("Queue to flood")} value={floodQueue} onChange={e => setFloodQueue(e.target.value)}>
+              {MOCK_QUEUES.map(q => <option key={q.id} value={q.id}>{q.id} {q.name}</option>)}
+            </TWSelect>
+            <TWButton className="bg-white shrink-0" disabled={!floodQueue || !MOCK_TRUNKS.some(mockTrunkUp)}
+              onClick={() => mockSimFlood(floodQueue, MOCK_FLOOD_SIZE)}>{t("+{n} callers", { n: MOCK_FLOOD_SIZE })}</TWButton>
+          </div>
+        </div>
+        <div>
+          <TWLabel>{t("ARI event stream")}</TWLabel>
+          <TWButton className={`w-full ${faults.ariDown ? "bg-rose-600 text-white" : "bg-white"}`} aria-pressed={faults.ariDown}
+            onClick={() => mockSimSetFaults({ ariDown: !faults.ariDown })}>{faults.ariDown ? t("Restore ARI link") : t("Drop ARI link")}</TWButton>
+        </div>
+        <div>
+          <TWLabel>{t("API errors (500)")}</TWLabel>
+          <TWSelect value={faults.apiErrorRate} onChange={e => mockSimSetFaults({ apiErrorRate: Number(e.target.value) })}>
+            {MOCK_API_ERROR_RATES.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+          </TWSelect>
+        </div>
+        <div>
+          <TWLabel>{t("API latency")}</TWLabel>
+          <TWSelect value={faults.apiDelayMs} onChange={e => mockSimSetFaults({ apiDelayMs: Number(e.target.value) })}>
+            {MOCK_API_DELAYS.map(([v, l]) => <option key={v} value={v}>{t(l)}</option>)}
+          </TWSelect>
+        </div>
       </div>
     </TWCard>
   );
@@ -558,81 +11607,217 @@ function AuditPanel({ entries }) {
 // Root App with RBAC & Config
 // ===============
 export default function App() {
-  const [cfg, setCfg] = useState({
-    baseURL: "https://your-freepbx17/api", // e.g., https://pbx.example.com/admin/api
-    apiKey: "",
-    useMock: true,
-    ariWS: "", // e.g., wss://pbx.example.com/ari/ws?api_key=... (behind a proxy)
+  const { session, methods, notice, login, logout } = useSession();
+  if (session === undefined) return null;
+  if (!session) return <LoginScreen methods={methods} notice={notice} onLogin={login} />;
+  return <AdminConsole key={session.username} session={session} onLogout={logout} />;
+}
+
+function AdminConsole({ session, onLogout }) {
+  const can = (permission) => session.permissions.includes(permission);
+  const preferences = usePreferences(session.username);
+  const [prefsOpen, setPrefsOpen] = useState(false);
+  // When the UI server holds the PBX credentials, start on its proxy so roles are enforced there.
+  const serverCfg = useMemo(() => (session.pbx?.api
+    ? { ...PBX_CFG_DEFAULTS, backend: session.pbx.backend, baseURL: "/pbx", ariURL: session.pbx.ari ? "/pbx-ari" : "" }
+    : null), []);
+  // Settings saved in this browser win over the server's proxy; they were saved on purpose.
+  const homeConnection = () => {
+    const saved = readSettings();
+    if (saved) return { id: "", cfg: saved };
+    return serverCfg ? { id: SERVER_PROFILE, cfg: serverCfg } : { id: "", cfg: { ...PBX_CFG_DEFAULTS } };
+  };
+  const [cfg, setCfg] = useState(() => homeConnection().cfg);
+  const [savedSettings, setSavedSettings] = useState(readSettings);
+  const profiles = useProfiles();
+  const [profilesOpen, setProfilesOpen] = useState(false);
+  const [activeId, setActiveId] = useState(() => homeConnection().id); // "" = this browser's own settings
+  const [switches, setSwitches] = useState(0); // remounts the panels when the PBX changes
+  const [view, setView] = useState("pbx"); // "pbx" | ALL_SYSTEMS
+  const active = profiles.profiles.find(p => p.id === activeId); // a saved profile, not the server's
+  const systems = useMemo(() => [
+    ...(serverCfg ? [{ id: SERVER_PROFILE, name: "UI server", cfg: serverCfg }] : []),
+    ...profiles.profiles,
+  ], [profiles.profiles]);
+  const [cdrFilter, setCdrFilter] = useState(() => readCdrView().filter); // last applied Call Logs filter
+  const ariStatus = useAriStatus({ ...cfg, ariURL: can("status:view") ? cfg.ariURL : "", useMock: cfg.backend === "mock" });
+  const alerts = useAlerts({ status: ariStatus, enabled: can("alerts:view") && can("status:view"), scope: active?.name });
+  const recorder = useMetricsRecorder({ status: ariStatus, enabled: can("status:view"), profile: active?.id });
+  const softphone = useSoftphone({ cfg, username: session.username, enabled: can("calls:dial"), pushAudit });
+  const backups = useConfigBackups({
+    cfg, enabled: can("config:backup"),
+    // The same PBX reached through another profile or backend gets its own history.
+    pbx: { key: `${activeId || "browser"}|${cfg.backend}|${cfg.baseURL}`, name: active?.name || (activeId === SERVER_PROFILE ? "UI server" : "browser settings") },
   });
-  const [role, setRole] = useState("admin"); // "admin" | "helpdesk"
-  const [audit, setAudit] = useState([]);
+
+  function openSystem(id, profile = profiles.profiles.find(p => p.id === id)) {
+    setView("pbx");
+    setProfilesOpen(false);
+    const next = id === SERVER_PROFILE ? serverCfg : id === "" ? savedSettings : profile?.cfg;
+    if (id === activeId || !next) return;
+    setActiveId(id);
+    setCfg({ ...PBX_CFG_DEFAULTS, ...next });
+    setSwitches(n => n + 1);
+    localStorage.setItem(PROFILE_ACTIVE_KEY, id);
+    pushAudit({ action: "switch_pbx", detail: profile?.name || (id === SERVER_PROFILE ? "UI server" : "browser settings") });
+  }
+
+  async function saveSettings(next) {
+    const changed = Object.keys(PBX_CFG_DEFAULTS).filter(k => next[k] !== cfg[k]);
+    if (active) {
+      await profiles.save(profiles.profiles.map(p => (p.id === active.id ? { ...p, cfg: profileCfg(next) } : p)));
+      setCfg(next);
+      pushAudit({ action: "update_pbx_profile", detail: `${active.name}: ${changed.join(", ")}` });
+      return t("Saved to the encrypted {name} profile.", { name: active.name });
+    }
+    writeSettings(next);
+    setSavedSettings(readSettings());
+    setCfg(next);
+    setActiveId("");
+    localStorage.setItem(PROFILE_ACTIVE_KEY, "");
+    pushAudit({ action: "update_connection_settings", detail: changed.join(", ") });
+    return PBX_SECRET_FIELDS.some(k => next[k])
+      ? t("Saved in this browser, except the key, secret and password, which last for this session. Save the connection as a profile to keep them encrypted.")
+      : t("Saved in this browser.");
+  }
+
+  function forgetSettings() {
+    localStorage.removeItem(SETTINGS_STORE_KEY);
+    setSavedSettings(null);
+    if (activeId) return;
+    const home = homeConnection();
+    setActiveId(home.id);
+    setCfg(home.cfg);
+    setSwitches(n => n + 1);
+  }
+
+  // Back to the profile used last time once the store is unlocked.
+  useEffect(() => {
+    const last = localStorage.getItem(PROFILE_ACTIVE_KEY);
+    if (profiles.unlocked && last && profiles.profiles.some(p => p.id === last)) openSystem(last);
+  }, [profiles.unlocked]);
+
+  // Locking the store (or deleting the active profile) takes its credentials out of the page as well.
+  useEffect(() => {
+    if (!activeId || activeId === SERVER_PROFILE || active) return;
+    const home = homeConnection();
+    setActiveId(home.id);
+    setCfg(home.cfg);
+    setSwitches(n => n + 1);
+    setView("pbx");
+  }, [activeId, active]);
+
+  // Audit events go to the UI server, which stamps user, role and time and chains them.
+  // Events it can't take yet stay queued here and are retried.
+  // PBX changes through the UI server's proxy are recorded by the server itself, so they aren't
+  // reported from here. In mock mode or over a direct connection the server can't see them, so they
+  // go in as client_report, tagged as reported by the browser like every event sent from here.
+  // Call control goes to ARI and everything else to the PBX API, and either one can be proxied alone.
+  const proxied = (url) => cfg.backend !== "mock" && String(url || "").startsWith("/");
+  const auditQueue = useRef([]);
+  const auditFlushing = useRef(false);
+  const [auditPending, setAuditPending] = useState(0);
+  const [auditVersion, setAuditVersion] = useState(0);
+
+  async function flushAudit() {
+    if (auditFlushing.current) return;
+    auditFlushing.current = true;
+    while (auditQueue.current.length) {
+      try { await axios.post("/audit", auditQueue.current[0]); }
+      catch (e) { if (e.response?.status !== 400) break; } // a rejected event would block the queue forever
+      auditQueue.current.shift();
+    }
+    auditFlushing.current = false;
+    setAuditPending(auditQueue.current.length);
+    setAuditVersion(v => v + 1);
+  }
 
   function pushAudit(entry) {
-    setAudit(a => [{ ...entry, ts: Date.now(), user: role }, ...a].slice(0, 200));
+    if (!BROWSER_AUDIT_ACTIONS.includes(entry.action)) {
+      if (proxied(ARI_AUDIT_ACTION_RE.test(entry.action) ? cfg.ariURL : cfg.baseURL)) return;
+      entry = { ...entry, action: "client_report", detail: `${entry.action}${entry.detail ? `: ${entry.detail}` : ""}` };
+    }
+    auditQueue.current.push(entry);
+    flushAudit();
   }
 
+  useEffect(() => {
+    const timer = setInterval(() => { if (auditQueue.current.length) flushAudit(); }, 30_000);
+    return () => clearInterval(timer);
+  }, []);
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 p-4 md:p-8">
       <header className="max-w-6xl mx-auto mb-6">
         <div className="flex items-center justify-between">
           <div>
             <h1 className="text-2xl md:text-3xl font-bold">FreePBX 17 — Friendly Admin</h1>
-            <p className="text-gray-600 mt-1">Manage extensions, inspect CDRs, and watch realtime status.</p>
+            <p className="text-gray-600 mt-1">{t("Manage extensions, inspect CDRs, and watch realtime status.")}</p>
           </div>
-          <div className="flex items-center gap-2">
-            <TWSelect value={role} onChange={e => setRole(e.target.value)} className="w-36">
-              <option value="admin">Admin</option>
-              <option value="helpdesk">Helpdesk</option>
-            </TWSelect>
-            <TWBadge>{role}</TWBadge>
+          <div className="flex items-center gap-2 flex-wrap justify-end">
+            {systems.length + (!activeId || savedSettings ? 1 : 0) > 1 && (
+              <div className="w-48">
+                <TWSelect aria-label={t("PBX")} value={view === ALL_SYSTEMS ? ALL_SYSTEMS : activeId}
+                  onChange={e => (e.target.value === ALL_SYSTEMS ? setView(ALL_SYSTEMS) : openSystem(e.target.value))}>
+                  {(!activeId || savedSettings) && <option value="">{savedSettings ? t("This browser") : t("Unsaved connection")}</option>}
+                  {systems.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  {systems.length > 1 && <option value={ALL_SYSTEMS}>{t("All systems")}</option>}
+                </TWSelect>
+              </div>
+            )}
+            {(profiles.stored || can("settings:edit")) && (
+              <TWButton className="bg-white" onClick={() => setProfilesOpen(true)}>{profiles.stored && !profiles.unlocked ? `🔒 ${t("Unlock profiles")}` : t("Profiles")}</TWButton>
+            )}
+            <TWButton className="bg-white" onClick={() => setPrefsOpen(true)}>{t("Preferences")}</TWButton>
+            <span className="text-sm text-gray-700">{session.username}</span>
+            <TWBadge>{session.roleLabel}</TWBadge>
+            <TWButton className="bg-white" onClick={onLogout}>{t("Sign out")}</TWButton>
           </div>
         </div>
       </header>
 
-      <main className="max-w-6xl mx-auto grid gap-4 md:gap-6 grid-cols-1">
-        {/* Config */}
-        <TWCard>
-          <div className="grid md:grid-cols-5 gap-3 items-end">
-            <div className="md:col-span-2">
-              <TWLabel>API Base URL</TWLabel>
-              <TWInput value={cfg.baseURL} onChange={e => setCfg({ ...cfg, baseURL: e.target.value })} placeholder="https://pbx.example.com/admin/api" />
-            </div>
-            <div className="md:col-span-2">
-              <TWLabel>API Key / Token</TWLabel>
-              <TWInput value={cfg.apiKey} onChange={e => setCfg({ ...cfg, apiKey: e.target.value })} placeholder="paste token" />
-            </div>
-            <div className="md:col-span-1">
-              <TWLabel>Use mock data</TWLabel>
-              <div className="flex items-center gap-2">
-                <input id="mock" type="checkbox" checked={cfg.useMock} onChange={e => setCfg({ ...cfg, useMock: e.target.checked })} />
-                <label htmlFor="mock" className="text-sm">Mock</label>
-              </div>
-            </div>
-            <div className="md:col-span-3">
-              <TWLabel>ARI WebSocket URL (optional)</TWLabel>
-              <TWInput value={cfg.ariWS} onChange={e => setCfg({ ...cfg, ariWS: e.target.value })} placeholder="wss://pbx.example.com/ari/ws?api_key=..." />
-            </div>
-            <div className="md:col-span-2 text-right">
-              <TWButton className="bg-black text-white" onClick={() => alert("Saved locally for this session.")}>Save</TWButton>
-            </div>
+      <PreferencesModal open={prefsOpen} prefs={preferences.prefs} onSave={preferences.save} onClose={() => setPrefsOpen(false)} />
+      <ProfilesModal open={profilesOpen} store={profiles} cfg={cfg} activeId={activeId} canEdit={can("settings:edit")}
+        onClose={() => setProfilesOpen(false)} onUse={openSystem} pushAudit={pushAudit} />
+
+      {view === ALL_SYSTEMS ? (
+        <main className="max-w-6xl mx-auto">
+          <AllSystemsPanel systems={systems} activeId={activeId} can={can} onOpen={openSystem} />
+        </main>
+      ) : (
+        // Remounted on every PBX switch so each panel starts clean (filters, selections, caches) on the new PBX.
+        <main key={switches} className="max-w-6xl mx-auto grid gap-4 md:gap-6 grid-cols-1">
+          {/* Config */}
+          {can("settings:edit") && <SettingsCard cfg={cfg} stored={!active && Boolean(savedSettings)} onSave={saveSettings} onForget={forgetSettings} />}
+          {can("settings:edit") && cfg.backend === "mock" && <SimulatorCard onReset={() => setSwitches(n => n + 1)} />}
+
+          {/* Panels (each gated by the session's view permission) */}
+          <div className="grid md:grid-cols-2 gap-4 md:gap-6">
+            {can("extensions:view") && <ExtensionsPanel cfg={cfg} can={can} pushAudit={pushAudit} onDial={softphone.dial} />}
+            {can("calls:view") && <CallLogsPanel cfg={cfg} can={can} pushAudit={pushAudit} onApply={setCdrFilter} onDial={softphone.dial} />}
           </div>
-        </TWCard>
 
-        {/* Panels */}
-        <div className="grid md:grid-cols-2 gap-4 md:gap-6">
-          <ExtensionsPanel cfg={cfg} role={role} pushAudit={pushAudit} />
-          <CallLogsPanel cfg={cfg} />
-        </div>
+          {can("calls:view") && <CdrReportsPanel cfg={cfg} filter={cdrFilter} />}
+
+          {can("status:view") && <StatusPanel status={ariStatus} alerting={alerts.alerting} />}
+          {can("alerts:view") && can("status:view") && <AlertsPanel alerts={alerts} status={ariStatus} can={can} />}
+          {can("metrics:view") && <MetricsPanel recorder={recorder} />}
+          {can("trunks:view") && <TrunksPanel cfg={cfg} can={can} status={ariStatus} pushAudit={pushAudit} />}
+          {can("routes:view") && <RoutingPanel cfg={cfg} can={can} status={ariStatus} pushAudit={pushAudit} />}
+          {can("queues:view") && <QueuesPanel cfg={cfg} can={can} pushAudit={pushAudit} />}
+          {can("callflows:view") && <CallFlowPanel cfg={cfg} can={can} pushAudit={pushAudit} />}
+          {can("status:view") && <ActiveCallsPanel status={ariStatus} can={can} pushAudit={pushAudit} />}
+          {can("config:backup") && <ConfigBackupsPanel cfg={cfg} backups={backups} can={can} pushAudit={pushAudit} />}
+          {can("audit:view") && <AuditPanel version={auditVersion} pending={auditPending} />}
+        </main>
+      )}
 
-        <StatusPanel cfg={cfg} />
-        <AuditPanel entries={audit} />
-      </main>
+      {can("calls:dial") && <SoftphonePanel phone={softphone} />}
+      {can("calls:dial") && <IncomingCallPopup phone={softphone} />}
 
       <footer className="max-w-6xl mx-auto mt-8 text-xs text-gray-500">
         <p>
-          Security tip: expose the FreePBX API only on a trusted network or behind a reverse proxy with
-          mTLS/IP allowlists. Use least-privilege tokens. For ARI, put it behind an auth
-          gateway and normalize events to the payload shape consumed here.
+          {t("Security tip: expose the FreePBX API only on a trusted network or behind a reverse proxy with mTLS/IP allowlists. Use least-privilege tokens. For ARI, use a dedicated read-only ARI user over TLS and restrict ari.conf allowed_origins to this UI.")}
         </p>
       </footer>
     </div>
@@ -1,10 +1,22 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// The UI server (npm run server) handles login and the permission-checked PBX proxy.
+const uiServer = 'http://localhost:5138';
+
 export default defineConfig({
   plugins: [react()],
   server: {
     host: '0.0.0.0',
     port: 5137,
+    proxy: {
+      '/auth': uiServer,
+      '/audit': uiServer,
+      '/alerts': uiServer,
+      '/metrics': uiServer,
+      '/backups': uiServer,
+      '/pbx-ari': { target: uiServer, ws: true },
+      '/pbx/': uiServer,
+    },
   },
 });